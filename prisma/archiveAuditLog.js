@@ -0,0 +1,65 @@
+/**
+ * ============================================
+ * SatsBlox Audit Log Archival Script
+ * ============================================
+ *
+ * Purpose:
+ *   Apply the audit retention policy: move rows past their severity's
+ *   retention (AUDIT_RETENTION_<SEVERITY>_DAYS) into compressed monthly
+ *   archives in AUDIT_ARCHIVE_DIR, and seal restored rows whose
+ *   AUDIT_RESTORE_TTL_DAYS are up. See auditArchiveService.
+ *
+ * Execution:
+ *   npm run audit:archive
+ *
+ *   Run it daily, e.g. from cron:
+ *     15 3 * * * cd /srv/satsblox && npm run audit:archive >> logs/audit-archive.log 2>&1
+ *
+ *   Safe to re-run, and to run on several hosts: archived rows are never
+ *   archived twice.
+ *
+ * Output:
+ *   One line per archive written (file, rows, SHA-256). Copy new archives
+ *   and their manifests to off-site storage. Exit code 1 on failure; rows
+ *   not yet archived are picked up by the next run.
+ *
+ * ============================================
+ */
+
+const { disconnect } = require('../src/config/db');
+const auditService = require('../src/services/auditService');
+const auditArchiveService = require('../src/services/auditArchiveService');
+
+// ============================================
+// Logger Utility
+// ============================================
+const log = {
+  info: (msg) => console.log(`[AUDIT] ℹ️  ${msg}`),
+  success: (msg) => console.log(`[AUDIT] ✅ ${msg}`),
+  error: (msg) => console.error(`[AUDIT] ❌ ${msg}`),
+};
+
+async function main() {
+  log.info('Archiving audit rows past their retention...');
+  const { archives, resealedCount } = await auditArchiveService.archiveExpiredAuditLogs();
+
+  for (const archive of archives) {
+    log.success(`${archive.fileName}: ${archive.rowCount} rows (#${archive.firstRowId}-#${archive.lastRowId}), sha256 ${archive.sha256}`);
+  }
+
+  log.info(archives.length > 0 ? `${archives.length} archive(s) written` : 'Nothing to archive');
+  if (resealedCount > 0) {
+    log.info(`${resealedCount} restored rows sealed again`);
+  }
+}
+
+main()
+  .catch((err) => {
+    log.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    // AUDIT_LOG_ARCHIVED events are written asynchronously
+    await auditService.flushAuditLog();
+    await disconnect();
+  });
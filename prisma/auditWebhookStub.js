@@ -0,0 +1,146 @@
+/**
+ * ============================================
+ * SatsBlox Audit Webhook Stub
+ * ============================================
+ *
+ * Purpose:
+ *   A local receiver for the webhook audit sink, for trying out delivery
+ *   without a real alerting service. Checks each delivery's signature the
+ *   way a real receiver should and prints the event.
+ *
+ * Execution:
+ *   npm run audit:webhook-stub
+ *   npm run audit:webhook-stub -- --port 4010 --fail 2
+ *
+ *   --port: port to listen on (default 4010)
+ *   --fail: answer the first N deliveries with 503, to watch the API
+ *           retry with backoff (default 0)
+ *
+ *   Point the API at it (.env):
+ *     AUDIT_SINKS=database,console,webhook:HIGH
+ *     AUDIT_WEBHOOK_URL=http://localhost:4010/audit
+ *     AUDIT_WEBHOOK_SECRET=<same value for both>
+ *
+ * Signature Check:
+ *   X-SatsBlox-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>
+ *   HMAC-SHA256(AUDIT_WEBHOOK_SECRET, "<t>.<raw body>"), compared in
+ *   constant time; t older than 5 minutes is rejected as a replay.
+ *   Bad signature: 401 (the API does not retry it).
+ *
+ * ============================================
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+
+// Only AUDIT_WEBHOOK_SECRET is needed (not the API's full configuration)
+dotenv.config();
+
+// Oldest signature timestamp accepted
+const MAX_SIGNATURE_AGE_SECONDS = 5 * 60;
+
+// ============================================
+// Logger Utility
+// ============================================
+const log = {
+  info: (msg) => console.log(`[WEBHOOK] ℹ️  ${msg}`),
+  success: (msg) => console.log(`[WEBHOOK] ✅ ${msg}`),
+  warn: (msg) => console.warn(`[WEBHOOK] ⚠️  ${msg}`),
+  error: (msg) => console.error(`[WEBHOOK] ❌ ${msg}`),
+};
+
+/**
+ * Value following a command-line flag.
+ *
+ * @param {string[]} argv - Arguments
+ * @param {string} flag - e.g. '--port'
+ * @param {number} fallback - Default
+ * @returns {number}
+ */
+function numberArg(argv, flag, fallback) {
+  const index = argv.indexOf(flag);
+  return index === -1 ? fallback : Number(argv[index + 1]);
+}
+
+/**
+ * Check an X-SatsBlox-Signature header against the raw body.
+ *
+ * @param {string} header - Header value
+ * @param {string} body - Raw request body
+ * @param {string} secret - AUDIT_WEBHOOK_SECRET
+ * @returns {string|null} Why it was rejected, or null if valid
+ */
+function checkSignature(header, body, secret) {
+  const match = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(header || '');
+  if (!match) {
+    return 'missing or malformed signature';
+  }
+
+  const [, timestamp, signature] = match;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_SIGNATURE_AGE_SECONDS) {
+    return 'stale timestamp';
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  if (!crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(signature, 'hex'))) {
+    return 'signature mismatch';
+  }
+
+  return null;
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  const port = numberArg(argv, '--port', 4010);
+  let failuresLeft = numberArg(argv, '--fail', 0);
+  const secret = process.env.AUDIT_WEBHOOK_SECRET;
+
+  if (!secret) {
+    log.error('AUDIT_WEBHOOK_SECRET is not set');
+    process.exitCode = 1;
+    return;
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const deliveryId = req.headers['x-satsblox-delivery'];
+
+      // ---- Step 1: Only signed POSTs ----
+      if (req.method !== 'POST') {
+        res.writeHead(405).end();
+        return;
+      }
+
+      const rejection = checkSignature(req.headers['x-satsblox-signature'], body, secret);
+      if (rejection) {
+        log.error(`Rejected delivery ${deliveryId}: ${rejection}`);
+        res.writeHead(401).end();
+        return;
+      }
+
+      // ---- Step 2: Simulated outage (--fail) ----
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        log.warn(`Delivery ${deliveryId}: answering 503 (${failuresLeft} failures left)`);
+        res.writeHead(503).end();
+        return;
+      }
+
+      // ---- Step 3: Accept ----
+      const entry = JSON.parse(body);
+      log.success(`${entry.severity} ${entry.action} (delivery ${deliveryId})`);
+      console.log(JSON.stringify(entry, null, 2));
+      res.writeHead(204).end();
+    });
+  });
+
+  server.listen(port, () => {
+    log.info(`Listening on http://localhost:${port} (Ctrl+C to stop)`);
+  });
+}
+
+main();
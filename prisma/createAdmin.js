@@ -0,0 +1,106 @@
+/**
+ * ============================================
+ * SatsBlox Admin Account Creation Script
+ * ============================================
+ *
+ * Purpose:
+ *   Create a back-office admin account. There is deliberately no API
+ *   endpoint for this: whoever can run this script already has database
+ *   access.
+ *
+ * Execution:
+ *   ADMIN_PASSWORD='...' npm run admin:create -- --email ops@satsblox.com --name "Jane Ops"
+ *
+ *   The password is read from the environment (not a flag) so it does not
+ *   end up in shell history or the process list.
+ *
+ * Output:
+ *   The new admin's TOTP secret and otpauth:// URI, printed ONCE. Add it to
+ *   an authenticator app straight away; admin login always asks for a code
+ *   and the secret cannot be shown again (create a new admin instead).
+ *
+ * Requires the same environment as the API (DATABASE_URL, JWT_SECRET,
+ * ENCRYPTION_KEY, ...) because the secret is encrypted with the API's key.
+ *
+ * ============================================
+ */
+
+const { disconnect } = require('../src/config/db');
+const validators = require('../src/utils/validators');
+const adminService = require('../src/services/adminService');
+const auditService = require('../src/services/auditService');
+
+// ============================================
+// Logger Utility
+// ============================================
+const log = {
+  info: (msg) => console.log(`[ADMIN] ℹ️  ${msg}`),
+  success: (msg) => console.log(`[ADMIN] ✅ ${msg}`),
+  error: (msg) => console.error(`[ADMIN] ❌ ERROR: ${msg}`),
+  separator: () => console.log(`[ADMIN] ${'─'.repeat(60)}`),
+};
+
+/**
+ * Read --email and --name from the command line.
+ *
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{email?: string, fullName?: string}}
+ */
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--email') {
+      args.email = argv[i + 1];
+      i += 1;
+    } else if (argv[i] === '--name') {
+      args.fullName = argv[i + 1];
+      i += 1;
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  // ---- Step 1: Collect and validate input ----
+  const { email, fullName } = parseArgs(process.argv.slice(2));
+  const data = { email, fullName, password: process.env.ADMIN_PASSWORD };
+
+  const validation = validators.validateAdminCreationData(data);
+  if (!validation.isValid) {
+    Object.entries(validation.errors).forEach(([field, message]) => {
+      log.error(`${field}: ${message}`);
+    });
+    log.info('Usage: ADMIN_PASSWORD=... npm run admin:create -- --email <email> --name "<full name>"');
+    process.exitCode = 1;
+    return;
+  }
+
+  // ---- Step 2: Create the admin ----
+  try {
+    const { admin, secret, otpauthUri } = await adminService.createAdmin(data);
+
+    // ---- Step 3: Show the TOTP secret once ----
+    log.separator();
+    log.success(`Admin #${admin.id} created: ${admin.fullName} <${admin.email}>`);
+    log.separator();
+    log.info('Add this to an authenticator app NOW. It will not be shown again.');
+    console.log(`  Secret:      ${secret}`);
+    console.log(`  otpauth URI: ${otpauthUri}`);
+    log.separator();
+
+  } catch (err) {
+    log.error(err.message);
+    if (err.code !== 'ADMIN_EMAIL_EXISTS') {
+      console.error(err.stack);
+    }
+    process.exitCode = 1;
+  }
+}
+
+main().finally(async () => {
+  // ADMIN_CREATED is written to the audit log asynchronously
+  await auditService.flushAuditLog();
+  await disconnect();
+});
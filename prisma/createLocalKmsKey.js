@@ -0,0 +1,89 @@
+/**
+ * ============================================
+ * SatsBlox Local KMS Key Script
+ * ============================================
+ *
+ * Purpose:
+ *   Create (or rotate) the master key file of the local KMS provider, the
+ *   development and test stand-in for a real KMS (see kmsService).
+ *
+ * Execution:
+ *   npm run kms:local-key
+ *   npm run kms:local-key -- --rotate
+ *
+ *   (no flag): create KMS_LOCAL_KEY_FILE with a first master key; refuses
+ *              to overwrite an existing file
+ *   --rotate:  add a new master key and make it active; older keys stay
+ *              in the file to unwrap existing data keys
+ *
+ *   Then use it (.env): KMS_PROVIDER=local. After --rotate, restart the
+ *   API and run npm run encryption:reencrypt.
+ *
+ * Output:
+ *   The file path and the active master key id (never key material). The
+ *   file is written with mode 0600; don't commit it (secrets/ is ignored).
+ *
+ * ============================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+
+// Only KMS_LOCAL_KEY_FILE is needed (not the API's full configuration)
+dotenv.config();
+
+const KEY_FILE = process.env.KMS_LOCAL_KEY_FILE || 'secrets/kms-local.json';
+
+// ============================================
+// Logger Utility
+// ============================================
+const log = {
+  info: (msg) => console.log(`[KMS] ℹ️  ${msg}`),
+  success: (msg) => console.log(`[KMS] ✅ ${msg}`),
+  error: (msg) => console.error(`[KMS] ❌ ${msg}`),
+};
+
+function main() {
+  const rotate = process.argv.slice(2).includes('--rotate');
+  const exists = fs.existsSync(KEY_FILE);
+
+  // ---- Step 1: Current file ----
+  if (exists && !rotate) {
+    log.error(`${KEY_FILE} already exists; use --rotate to add a new master key`);
+    process.exitCode = 1;
+    return;
+  }
+  if (!exists && rotate) {
+    log.error(`${KEY_FILE} doesn't exist yet; run without --rotate first`);
+    process.exitCode = 1;
+    return;
+  }
+  const keyFile = exists ? JSON.parse(fs.readFileSync(KEY_FILE, 'utf8')) : { activeKeyId: null, keys: {} };
+
+  // ---- Step 2: New master key ----
+  // Never reuse an id: it is stored in every value its data keys encrypt
+  const lastNumber = Math.max(0, ...Object.keys(keyFile.keys).map((id) => Number(/^local-(\d+)$/.exec(id)?.[1] || 0)));
+  const keyId = `local-${lastNumber + 1}`;
+  keyFile.keys[keyId] = crypto.randomBytes(32).toString('hex');
+  keyFile.activeKeyId = keyId;
+
+  // ---- Step 3: Write (replace atomically, owner-only) ----
+  fs.mkdirSync(path.dirname(KEY_FILE), { recursive: true, mode: 0o700 });
+  const tempFile = `${KEY_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, `${JSON.stringify(keyFile, null, 2)}\n`, { mode: 0o600 });
+  fs.renameSync(tempFile, KEY_FILE);
+
+  log.success(`${KEY_FILE}: active master key ${keyId}`);
+  if (rotate) {
+    log.info('Restart the API, then run npm run encryption:reencrypt to rewrap existing values');
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  log.error(err.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,118 @@
+/**
+ * ============================================
+ * SatsBlox Plaintext Encryption Script
+ * ============================================
+ *
+ * Purpose:
+ *   Encrypt the parent names and children's dates of birth stored before
+ *   those columns were encrypted (migration 23) (see
+ *   keyRotationService.encryptPlaintextValues).
+ *
+ * Execution:
+ *   npm run encryption:encrypt -- --status
+ *   npm run encryption:encrypt
+ *
+ *   --status:     plaintext values left per column; change nothing
+ *   --batch-size: rows per query (default 200)
+ *
+ *   Run after deploying migration 23 and the API (which reads plaintext
+ *   and encrypted values in these columns alike, so it keeps working
+ *   meanwhile), with the same ENCRYPTION_* / KMS_* settings as the API.
+ *   Safe to interrupt and run again.
+ *
+ * Output:
+ *   Progress per column, then a summary. Exit code 1 if any value was
+ *   left in plaintext (a date of birth that isn't a date); those rows are
+ *   listed.
+ *
+ * ============================================
+ */
+
+const { disconnect } = require('../src/config/db');
+const auditService = require('../src/services/auditService');
+const encryptionService = require('../src/services/encryptionService');
+const keyRotationService = require('../src/services/keyRotationService');
+
+// ============================================
+// Logger Utility
+// ============================================
+const log = {
+  info: (msg) => console.log(`[ENCRYPTION] ℹ️  ${msg}`),
+  success: (msg) => console.log(`[ENCRYPTION] ✅ ${msg}`),
+  error: (msg) => console.error(`[ENCRYPTION] ❌ ${msg}`),
+};
+
+/**
+ * Read the flags from the command line.
+ *
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{status: boolean, batchSize?: number}}
+ */
+function parseArgs(argv) {
+  const args = { status: false };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--status') {
+      args.status = true;
+    } else if (argv[i] === '--batch-size') {
+      args.batchSize = Number.parseInt(argv[i + 1], 10);
+      i += 1;
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const { status, batchSize } = parseArgs(process.argv.slice(2));
+
+  if (batchSize !== undefined && !(batchSize > 0)) {
+    log.error('--batch-size must be a positive number');
+    process.exitCode = 1;
+    return;
+  }
+
+  // ---- Status only ----
+  if (status) {
+    const counts = await keyRotationService.countPlaintextValues({ batchSize });
+    for (const { column, plaintext } of counts) {
+      console.log(`  ${column}: ${plaintext} plaintext value(s)`);
+    }
+    return;
+  }
+
+  log.info(`Encrypting with: ${encryptionService.getKeyringStatus().activeKey}`);
+
+  // ---- Encrypt ----
+  const { columns } = await keyRotationService.encryptPlaintextValues({
+    batchSize,
+    onProgress: ({ column, total, processed, failed }) => {
+      log.info(`${column}: ${processed}/${total}${failed > 0 ? ` (${failed} failed)` : ''}`);
+    },
+  });
+
+  let failedTotal = 0;
+  for (const summary of columns) {
+    failedTotal += summary.failed;
+    log.success(`${summary.column}: ${summary.encrypted} encrypted, ${summary.skipped} already encrypted, ${summary.failed} failed`);
+    if (summary.failed > 0) {
+      log.error(`${summary.column}: not a valid value in rows ${summary.failedIds.join(', ')}${summary.failed > summary.failedIds.length ? ', ...' : ''}`);
+    }
+  }
+
+  if (failedTotal > 0) {
+    log.error(`${failedTotal} value(s) left in plaintext; fix them and run again`);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((err) => {
+    log.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    // PLAINTEXT_ENCRYPTED is written to the audit log asynchronously
+    await auditService.flushAuditLog();
+    await disconnect();
+  });
@@ -0,0 +1,147 @@
+-- Migration: Add Double-Entry Transaction Ledger
+--
+-- Purpose:
+--   - Record every wallet balance change as an immutable transaction
+--   - Store balanced DEBIT/CREDIT legs so satoshis are always accounted for
+--   - Make wallets.balance a reconcilable projection of the ledger
+--
+-- New Tables:
+--   - transactions: One row per business event (deposit, withdrawal, adjustment)
+--   - ledger_entries: Debit/credit legs belonging to a transaction
+--
+-- Invariants:
+--   - For every transaction: SUM(DEBIT amounts) = SUM(CREDIT amounts)
+--     (enforced by ledgerService before insert)
+--   - wallets.balance = SUM(CREDIT on WALLET) - SUM(DEBIT on WALLET)
+--     (checked by ledgerService.reconcileWallet)
+
+-- ============================================
+-- Create transactions Table
+-- ============================================
+
+CREATE TABLE "transactions" (
+    "id" SERIAL NOT NULL,
+    "type" VARCHAR(30) NOT NULL,
+    "amount" BIGINT NOT NULL,
+    "balanceAfter" BIGINT NOT NULL,
+    "description" VARCHAR(255),
+    "reference" VARCHAR(100),
+    "walletId" INTEGER NOT NULL,
+    "initiatedById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "transactions_pkey" PRIMARY KEY ("id")
+);
+
+-- ============================================
+-- Create ledger_entries Table
+-- ============================================
+
+CREATE TABLE "ledger_entries" (
+    "id" SERIAL NOT NULL,
+    "account" VARCHAR(50) NOT NULL,
+    "direction" VARCHAR(6) NOT NULL,
+    "amount" BIGINT NOT NULL,
+    "transactionId" INTEGER NOT NULL,
+    "walletId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ledger_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- ============================================
+-- Add Constraints
+-- ============================================
+
+-- Transaction type must be one of ledgerService.TRANSACTION_TYPES
+ALTER TABLE "transactions"
+  ADD CONSTRAINT "transactions_type_valid"
+  CHECK ("type" IN ('DEPOSIT', 'WITHDRAWAL', 'ADJUSTMENT'));
+
+-- Amounts are always positive; direction lives on the entries
+ALTER TABLE "transactions"
+  ADD CONSTRAINT "transactions_amount_positive" CHECK ("amount" > 0);
+
+-- A posted transaction can never leave a wallet negative
+ALTER TABLE "transactions"
+  ADD CONSTRAINT "transactions_balanceAfter_non_negative" CHECK ("balanceAfter" >= 0);
+
+ALTER TABLE "ledger_entries"
+  ADD CONSTRAINT "ledger_entries_direction_valid"
+  CHECK ("direction" IN ('DEBIT', 'CREDIT'));
+
+ALTER TABLE "ledger_entries"
+  ADD CONSTRAINT "ledger_entries_amount_positive" CHECK ("amount" > 0);
+
+-- WALLET legs must point at a wallet; other accounts must not
+ALTER TABLE "ledger_entries"
+  ADD CONSTRAINT "ledger_entries_wallet_account_consistent"
+  CHECK (("account" = 'WALLET') = ("walletId" IS NOT NULL));
+
+-- ============================================
+-- Add Indexes
+-- ============================================
+
+-- Unique external reference (idempotency for payment callbacks)
+CREATE UNIQUE INDEX "transactions_reference_key" ON "transactions"("reference");
+
+-- Per-wallet history, newest first
+CREATE INDEX "transactions_walletId_createdAt_idx" ON "transactions"("walletId", "createdAt");
+
+CREATE INDEX "ledger_entries_transactionId_idx" ON "ledger_entries"("transactionId");
+
+-- Balance derivation: SUM over a wallet's entries
+CREATE INDEX "ledger_entries_walletId_idx" ON "ledger_entries"("walletId");
+
+-- ============================================
+-- Add Foreign Keys
+-- ============================================
+
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_walletId_fkey"
+  FOREIGN KEY ("walletId") REFERENCES "wallets"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_initiatedById_fkey"
+  FOREIGN KEY ("initiatedById") REFERENCES "parents"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "ledger_entries" ADD CONSTRAINT "ledger_entries_transactionId_fkey"
+  FOREIGN KEY ("transactionId") REFERENCES "transactions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "ledger_entries" ADD CONSTRAINT "ledger_entries_walletId_fkey"
+  FOREIGN KEY ("walletId") REFERENCES "wallets"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- ============================================
+-- Data Migration (existing balances)
+-- ============================================
+
+-- Wallets with a non-zero balance predate the ledger. Post one ADJUSTMENT
+-- per wallet (DEBIT OPENING_BALANCE / CREDIT WALLET) so that the derived
+-- ledger balance matches wallets.balance from day one.
+WITH opening AS (
+  INSERT INTO "transactions" ("type", "amount", "balanceAfter", "description", "walletId")
+  SELECT 'ADJUSTMENT', "balance", "balance", 'Opening balance carried over from pre-ledger wallet', "id"
+  FROM "wallets"
+  WHERE "balance" > 0
+  RETURNING "id", "walletId", "amount"
+)
+INSERT INTO "ledger_entries" ("account", "direction", "amount", "transactionId", "walletId")
+SELECT 'OPENING_BALANCE', 'DEBIT', "amount", "id", NULL FROM opening
+UNION ALL
+SELECT 'WALLET', 'CREDIT', "amount", "id", "walletId" FROM opening;
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- Every transaction is balanced (expect zero rows):
+-- SELECT "transactionId",
+--        SUM(CASE WHEN "direction" = 'DEBIT' THEN "amount" ELSE 0 END) AS debits,
+--        SUM(CASE WHEN "direction" = 'CREDIT' THEN "amount" ELSE 0 END) AS credits
+-- FROM ledger_entries GROUP BY "transactionId"
+-- HAVING SUM(CASE WHEN "direction" = 'DEBIT' THEN "amount" ELSE -"amount" END) <> 0;
+
+-- Every wallet balance matches its ledger (expect zero rows):
+-- SELECT w.id, w.balance,
+--        COALESCE(SUM(CASE WHEN e."direction" = 'CREDIT' THEN e."amount" ELSE -e."amount" END), 0) AS ledger
+-- FROM wallets w LEFT JOIN ledger_entries e ON e."walletId" = w.id
+-- GROUP BY w.id, w.balance
+-- HAVING w.balance <> COALESCE(SUM(CASE WHEN e."direction" = 'CREDIT' THEN e."amount" ELSE -e."amount" END), 0);
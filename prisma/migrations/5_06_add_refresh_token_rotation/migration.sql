@@ -0,0 +1,105 @@
+-- Migration: Refresh Token Rotation with Reuse Detection
+--
+-- Purpose:
+--   - Issue a new refresh token on every /api/auth/refresh
+--   - Invalidate the token that was presented (single use)
+--   - Detect replay of an already-rotated token and revoke its whole family
+--
+-- New Tables:
+--   - refresh_tokens: One row per issued refresh token (SHA-256 hash only)
+--
+-- Removed Columns:
+--   - parents.refreshToken: Replaced by refresh_tokens. Stored the raw JWT
+--     and was never compared on refresh, so it offered no protection.
+--
+-- Token Families:
+--   - A login creates a family (familyId = new UUID)
+--   - Each rotation adds a row to the same family and links
+--     the previous row via replacedById
+
+-- ============================================
+-- Create refresh_tokens Table
+-- ============================================
+
+CREATE TABLE "refresh_tokens" (
+    "id" SERIAL NOT NULL,
+    "tokenHash" VARCHAR(64) NOT NULL,
+    "familyId" VARCHAR(36) NOT NULL,
+    "parentId" INTEGER NOT NULL,
+    "replacedById" INTEGER,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "revokedAt" TIMESTAMP(3),
+    "revokedReason" VARCHAR(30),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "refresh_tokens_pkey" PRIMARY KEY ("id")
+);
+
+-- ============================================
+-- Add Constraints
+-- ============================================
+
+ALTER TABLE "refresh_tokens"
+  ADD CONSTRAINT "refresh_tokens_revokedReason_valid"
+  CHECK ("revokedReason" IS NULL OR "revokedReason" IN ('ROTATED', 'LOGOUT', 'REUSE_DETECTED'));
+
+-- A rotated token is always revoked
+ALTER TABLE "refresh_tokens"
+  ADD CONSTRAINT "refresh_tokens_replaced_implies_revoked"
+  CHECK ("replacedById" IS NULL OR "revokedAt" IS NOT NULL);
+
+-- ============================================
+-- Add Indexes
+-- ============================================
+
+-- Lookup by presented token
+CREATE UNIQUE INDEX "refresh_tokens_tokenHash_key" ON "refresh_tokens"("tokenHash");
+
+-- A token can be rotated into at most one successor
+CREATE UNIQUE INDEX "refresh_tokens_replacedById_key" ON "refresh_tokens"("replacedById");
+
+-- Family-wide revocation on reuse
+CREATE INDEX "refresh_tokens_familyId_idx" ON "refresh_tokens"("familyId");
+
+-- Per-parent revocation on logout
+CREATE INDEX "refresh_tokens_parentId_idx" ON "refresh_tokens"("parentId");
+
+-- ============================================
+-- Add Foreign Keys
+-- ============================================
+
+ALTER TABLE "refresh_tokens" ADD CONSTRAINT "refresh_tokens_parentId_fkey"
+  FOREIGN KEY ("parentId") REFERENCES "parents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "refresh_tokens" ADD CONSTRAINT "refresh_tokens_replacedById_fkey"
+  FOREIGN KEY ("replacedById") REFERENCES "refresh_tokens"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- ============================================
+-- Data Migration (existing sessions)
+-- ============================================
+
+-- Carry over tokens stored on parents so logged-in clients are not forced
+-- to sign in again. Each becomes the head of its own family. expiresAt is
+-- an upper bound; the JWT exp claim is still verified on refresh.
+-- (sha256() requires PostgreSQL 11+, gen_random_uuid() PostgreSQL 13+)
+INSERT INTO "refresh_tokens" ("tokenHash", "familyId", "parentId", "expiresAt")
+SELECT encode(sha256(convert_to("refreshToken", 'UTF8')), 'hex'),
+       gen_random_uuid()::text,
+       "id",
+       CURRENT_TIMESTAMP + INTERVAL '7 days'
+FROM "parents"
+WHERE "refreshToken" IS NOT NULL;
+
+ALTER TABLE "parents" DROP COLUMN "refreshToken";
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- At most one live token per family (expect zero rows):
+-- SELECT "familyId", COUNT(*) FROM refresh_tokens
+-- WHERE "revokedAt" IS NULL GROUP BY "familyId" HAVING COUNT(*) > 1;
+
+-- Families revoked because of reuse:
+-- SELECT DISTINCT "familyId", "parentId" FROM refresh_tokens
+-- WHERE "revokedReason" = 'REUSE_DETECTED';
@@ -0,0 +1,87 @@
+-- Migration: Multi-Device Sessions for Parents
+--
+-- Purpose:
+--   - Allow a parent to be signed in on several devices at once
+--   - Record device name, user agent, IP and last use per sign-in
+--   - Support listing sessions and revoking one / all other sessions
+--
+-- New Tables:
+--   - sessions: One row per signed-in device
+--
+-- Changed Tables:
+--   - refresh_tokens.familyId → refresh_tokens.sessionId (FK to sessions)
+--     A refresh token family and a session are the same thing; the
+--     existing family UUIDs become session IDs.
+
+-- ============================================
+-- Create sessions Table
+-- ============================================
+
+CREATE TABLE "sessions" (
+    "id" VARCHAR(36) NOT NULL,
+    "deviceName" VARCHAR(100),
+    "userAgent" VARCHAR(500),
+    "ipAddress" VARCHAR(45),
+    "parentId" INTEGER NOT NULL,
+    "lastUsedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "revokedAt" TIMESTAMP(3),
+    "revokedReason" VARCHAR(30),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "sessions_pkey" PRIMARY KEY ("id")
+);
+
+ALTER TABLE "sessions"
+  ADD CONSTRAINT "sessions_revokedReason_valid"
+  CHECK ("revokedReason" IS NULL OR "revokedReason" IN ('LOGOUT', 'SESSION_REVOKED', 'REUSE_DETECTED'));
+
+-- "List my active sessions"
+CREATE INDEX "sessions_parentId_revokedAt_idx" ON "sessions"("parentId", "revokedAt");
+
+ALTER TABLE "sessions" ADD CONSTRAINT "sessions_parentId_fkey"
+  FOREIGN KEY ("parentId") REFERENCES "parents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- ============================================
+-- Data Migration (existing token families)
+-- ============================================
+
+-- Every existing family becomes a session. Families without a live
+-- token are recorded as already ended.
+INSERT INTO "sessions" ("id", "parentId", "createdAt", "lastUsedAt", "revokedAt", "revokedReason")
+SELECT "familyId",
+       MIN("parentId"),
+       MIN("createdAt"),
+       MAX("createdAt"),
+       CASE WHEN BOOL_AND("revokedAt" IS NOT NULL) THEN MAX("revokedAt") END,
+       CASE WHEN BOOL_AND("revokedAt" IS NOT NULL)
+            THEN CASE WHEN BOOL_OR("revokedReason" = 'REUSE_DETECTED') THEN 'REUSE_DETECTED' ELSE 'LOGOUT' END
+       END
+FROM "refresh_tokens"
+GROUP BY "familyId";
+
+-- ============================================
+-- Link refresh_tokens to sessions
+-- ============================================
+
+ALTER TABLE "refresh_tokens" RENAME COLUMN "familyId" TO "sessionId";
+ALTER INDEX "refresh_tokens_familyId_idx" RENAME TO "refresh_tokens_sessionId_idx";
+
+ALTER TABLE "refresh_tokens" ADD CONSTRAINT "refresh_tokens_sessionId_fkey"
+  FOREIGN KEY ("sessionId") REFERENCES "sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Tokens can now also be revoked when their session is signed out remotely
+ALTER TABLE "refresh_tokens" DROP CONSTRAINT "refresh_tokens_revokedReason_valid";
+ALTER TABLE "refresh_tokens"
+  ADD CONSTRAINT "refresh_tokens_revokedReason_valid"
+  CHECK ("revokedReason" IS NULL OR "revokedReason" IN ('ROTATED', 'LOGOUT', 'SESSION_REVOKED', 'REUSE_DETECTED'));
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- Active sessions per parent:
+-- SELECT "parentId", COUNT(*) FROM sessions WHERE "revokedAt" IS NULL GROUP BY "parentId";
+
+-- Live tokens in ended sessions (expect zero rows):
+-- SELECT t.id FROM refresh_tokens t JOIN sessions s ON s.id = t."sessionId"
+-- WHERE s."revokedAt" IS NOT NULL AND t."revokedAt" IS NULL;
@@ -0,0 +1,63 @@
+-- Migration: Password Reset Tokens
+--
+-- Purpose:
+--   - Support POST /api/auth/password/forgot and /api/auth/password/reset
+--   - Store reset tokens hashed, expiring and single use
+--   - Record session/refresh token revocation caused by a password reset
+--
+-- New Tables:
+--   - password_reset_tokens: One row per emailed reset link
+--
+-- Changed Constraints:
+--   - sessions.revokedReason and refresh_tokens.revokedReason accept
+--     'PASSWORD_RESET' (every session ends when the password is reset)
+
+-- ============================================
+-- Create password_reset_tokens Table
+-- ============================================
+
+CREATE TABLE "password_reset_tokens" (
+    "id" SERIAL NOT NULL,
+    "tokenHash" VARCHAR(64) NOT NULL,
+    "parentId" INTEGER NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "requestedIp" VARCHAR(45),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "password_reset_tokens_pkey" PRIMARY KEY ("id")
+);
+
+-- Lookup by presented token
+CREATE UNIQUE INDEX "password_reset_tokens_tokenHash_key" ON "password_reset_tokens"("tokenHash");
+
+-- Replace outstanding tokens when a new reset is requested
+CREATE INDEX "password_reset_tokens_parentId_idx" ON "password_reset_tokens"("parentId");
+
+ALTER TABLE "password_reset_tokens" ADD CONSTRAINT "password_reset_tokens_parentId_fkey"
+  FOREIGN KEY ("parentId") REFERENCES "parents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- ============================================
+-- Extend Revocation Reasons
+-- ============================================
+
+ALTER TABLE "sessions" DROP CONSTRAINT "sessions_revokedReason_valid";
+ALTER TABLE "sessions"
+  ADD CONSTRAINT "sessions_revokedReason_valid"
+  CHECK ("revokedReason" IS NULL OR "revokedReason" IN ('LOGOUT', 'SESSION_REVOKED', 'REUSE_DETECTED', 'PASSWORD_RESET'));
+
+ALTER TABLE "refresh_tokens" DROP CONSTRAINT "refresh_tokens_revokedReason_valid";
+ALTER TABLE "refresh_tokens"
+  ADD CONSTRAINT "refresh_tokens_revokedReason_valid"
+  CHECK ("revokedReason" IS NULL OR "revokedReason" IN ('ROTATED', 'LOGOUT', 'SESSION_REVOKED', 'REUSE_DETECTED', 'PASSWORD_RESET'));
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- Outstanding (unused, unexpired) reset tokens:
+-- SELECT "parentId", "expiresAt" FROM password_reset_tokens
+-- WHERE "usedAt" IS NULL AND "expiresAt" > NOW();
+
+-- Sessions ended by a password reset:
+-- SELECT "parentId", COUNT(*) FROM sessions WHERE "revokedReason" = 'PASSWORD_RESET' GROUP BY "parentId";
@@ -0,0 +1,64 @@
+-- Migration: Password History for Change-Password
+--
+-- Purpose:
+--   - Support POST /api/auth/password/change
+--   - Reject reuse of the last N passwords (PASSWORD_HISTORY_SIZE)
+--   - Record session/refresh token revocation caused by a password change
+--
+-- New Tables:
+--   - password_history: Previous bcrypt hashes per parent
+--
+-- Changed Constraints:
+--   - sessions.revokedReason and refresh_tokens.revokedReason accept
+--     'PASSWORD_CHANGED' (other sessions end when the password changes)
+
+-- ============================================
+-- Create password_history Table
+-- ============================================
+
+CREATE TABLE "password_history" (
+    "id" SERIAL NOT NULL,
+    "passwordHash" VARCHAR(255) NOT NULL,
+    "parentId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "password_history_pkey" PRIMARY KEY ("id")
+);
+
+-- Most recent N hashes for a parent
+CREATE INDEX "password_history_parentId_createdAt_idx" ON "password_history"("parentId", "createdAt");
+
+ALTER TABLE "password_history" ADD CONSTRAINT "password_history_parentId_fkey"
+  FOREIGN KEY ("parentId") REFERENCES "parents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- ============================================
+-- Extend Revocation Reasons
+-- ============================================
+
+ALTER TABLE "sessions" DROP CONSTRAINT "sessions_revokedReason_valid";
+ALTER TABLE "sessions"
+  ADD CONSTRAINT "sessions_revokedReason_valid"
+  CHECK ("revokedReason" IS NULL OR "revokedReason" IN (
+    'LOGOUT', 'SESSION_REVOKED', 'REUSE_DETECTED', 'PASSWORD_RESET', 'PASSWORD_CHANGED'
+  ));
+
+ALTER TABLE "refresh_tokens" DROP CONSTRAINT "refresh_tokens_revokedReason_valid";
+ALTER TABLE "refresh_tokens"
+  ADD CONSTRAINT "refresh_tokens_revokedReason_valid"
+  CHECK ("revokedReason" IS NULL OR "revokedReason" IN (
+    'ROTATED', 'LOGOUT', 'SESSION_REVOKED', 'REUSE_DETECTED', 'PASSWORD_RESET', 'PASSWORD_CHANGED'
+  ));
+
+-- ============================================
+-- Data Migration
+-- ============================================
+
+-- None: history starts empty. The current password always lives in
+-- parents.password and is checked alongside password_history.
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- History depth per parent (should not exceed PASSWORD_HISTORY_SIZE - 1):
+-- SELECT "parentId", COUNT(*) FROM password_history GROUP BY "parentId" ORDER BY 2 DESC;
@@ -0,0 +1,58 @@
+-- Migration: Email Address Verification
+--
+-- Purpose:
+--   - Record when a parent proved ownership of their email address
+--   - Support POST /api/auth/email/verify and /api/auth/email/verify/resend
+--   - Store verification tokens hashed, expiring and single use
+--
+-- Changed Tables:
+--   - parents: New nullable "emailVerifiedAt" column
+--
+-- New Tables:
+--   - email_verification_tokens: One row per emailed verification link
+--
+-- Existing Accounts:
+--   Parents created before this migration start unverified (NULL). They can
+--   request a link with POST /api/auth/email/verify/resend.
+
+-- ============================================
+-- Add Verification Timestamp to parents
+-- ============================================
+
+ALTER TABLE "parents" ADD COLUMN "emailVerifiedAt" TIMESTAMP(3);
+
+-- ============================================
+-- Create email_verification_tokens Table
+-- ============================================
+
+CREATE TABLE "email_verification_tokens" (
+    "id" SERIAL NOT NULL,
+    "tokenHash" VARCHAR(64) NOT NULL,
+    "parentId" INTEGER NOT NULL,
+    "email" VARCHAR(255) NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "email_verification_tokens_pkey" PRIMARY KEY ("id")
+);
+
+-- Lookup by presented token
+CREATE UNIQUE INDEX "email_verification_tokens_tokenHash_key" ON "email_verification_tokens"("tokenHash");
+
+-- Replace outstanding tokens when a new link is sent
+CREATE INDEX "email_verification_tokens_parentId_idx" ON "email_verification_tokens"("parentId");
+
+ALTER TABLE "email_verification_tokens" ADD CONSTRAINT "email_verification_tokens_parentId_fkey"
+  FOREIGN KEY ("parentId") REFERENCES "parents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- Unverified parents:
+-- SELECT id, email, "createdAt" FROM parents WHERE "emailVerifiedAt" IS NULL;
+
+-- Outstanding (unused, unexpired) verification tokens:
+-- SELECT "parentId", email, "expiresAt" FROM email_verification_tokens
+-- WHERE "usedAt" IS NULL AND "expiresAt" > NOW();
@@ -0,0 +1,56 @@
+-- Migration: Phone Number OTP Verification
+--
+-- Purpose:
+--   - Record when a parent proved they control their phone number
+--     (prerequisite for pushing M-Pesa payments to it)
+--   - Support POST /api/auth/phone/verify/request and /api/auth/phone/verify
+--   - Store SMS one-time codes hashed, expiring and attempt-limited
+--
+-- Changed Tables:
+--   - parents: New nullable "phoneVerifiedAt" column
+--
+-- New Tables:
+--   - phone_verification_codes: One row per SMS code sent
+--
+-- Existing Accounts:
+--   Parents created before this migration start unverified (NULL).
+
+-- ============================================
+-- Add Verification Timestamp to parents
+-- ============================================
+
+ALTER TABLE "parents" ADD COLUMN "phoneVerifiedAt" TIMESTAMP(3);
+
+-- ============================================
+-- Create phone_verification_codes Table
+-- ============================================
+
+CREATE TABLE "phone_verification_codes" (
+    "id" SERIAL NOT NULL,
+    "codeHash" VARCHAR(255) NOT NULL,
+    "parentId" INTEGER NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "phone_verification_codes_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "phone_verification_codes_attempts_non_negative" CHECK ("attempts" >= 0)
+);
+
+-- Newest code per parent; sends in the last hour (resend throttling)
+CREATE INDEX "phone_verification_codes_parentId_createdAt_idx" ON "phone_verification_codes"("parentId", "createdAt");
+
+ALTER TABLE "phone_verification_codes" ADD CONSTRAINT "phone_verification_codes_parentId_fkey"
+  FOREIGN KEY ("parentId") REFERENCES "parents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- Parents with a verified phone number:
+-- SELECT id, email, "phoneVerifiedAt" FROM parents WHERE "phoneVerifiedAt" IS NOT NULL;
+
+-- Codes sent per parent in the last hour:
+-- SELECT "parentId", COUNT(*) FROM phone_verification_codes
+-- WHERE "createdAt" > NOW() - INTERVAL '1 hour' GROUP BY "parentId";
@@ -0,0 +1,65 @@
+-- Migration: TOTP Two-Factor Authentication
+--
+-- Purpose:
+--   - Store each parent's authenticator app (TOTP) secret, encrypted
+--   - Store single-use recovery codes, hashed
+--   - Enable the two-step login (/api/auth/login → /api/auth/login/mfa)
+--
+-- New Tables:
+--   - totp_credentials: At most one per parent (enrolled or confirmed)
+--   - mfa_recovery_codes: Backup codes issued when two-factor is enabled
+--
+-- Existing Accounts:
+--   Unaffected; two-factor login applies once a parent confirms enrollment.
+
+-- ============================================
+-- Create totp_credentials Table
+-- ============================================
+
+CREATE TABLE "totp_credentials" (
+    "id" SERIAL NOT NULL,
+    "parentId" INTEGER NOT NULL,
+    "secret" VARCHAR(255) NOT NULL,
+    "confirmedAt" TIMESTAMP(3),
+    "lastUsedStep" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "totp_credentials_pkey" PRIMARY KEY ("id")
+);
+
+-- One authenticator per parent
+CREATE UNIQUE INDEX "totp_credentials_parentId_key" ON "totp_credentials"("parentId");
+
+ALTER TABLE "totp_credentials" ADD CONSTRAINT "totp_credentials_parentId_fkey"
+  FOREIGN KEY ("parentId") REFERENCES "parents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- ============================================
+-- Create mfa_recovery_codes Table
+-- ============================================
+
+CREATE TABLE "mfa_recovery_codes" (
+    "id" SERIAL NOT NULL,
+    "codeHash" VARCHAR(64) NOT NULL,
+    "parentId" INTEGER NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "mfa_recovery_codes_pkey" PRIMARY KEY ("id")
+);
+
+-- Lookup of a presented code within the parent's set
+CREATE UNIQUE INDEX "mfa_recovery_codes_parentId_codeHash_key" ON "mfa_recovery_codes"("parentId", "codeHash");
+
+ALTER TABLE "mfa_recovery_codes" ADD CONSTRAINT "mfa_recovery_codes_parentId_fkey"
+  FOREIGN KEY ("parentId") REFERENCES "parents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- Parents with two-factor login enabled:
+-- SELECT "parentId", "confirmedAt" FROM totp_credentials WHERE "confirmedAt" IS NOT NULL;
+
+-- Remaining recovery codes per parent:
+-- SELECT "parentId", COUNT(*) FROM mfa_recovery_codes WHERE "usedAt" IS NULL GROUP BY "parentId";
@@ -0,0 +1,41 @@
+-- Migration: Access Token Denylist
+--
+-- Purpose:
+--   - Make logout, password change and session revocation take effect
+--     immediately for access tokens (previously valid until expiry, 7 minutes)
+--   - Backing table for TOKEN_DENYLIST_STORE=database (tokenDenylistService)
+--
+-- New Tables:
+--   - access_token_denylist: One row per revoked token ("jti:<uuid>") or
+--     revoked session ("sid:<uuid>")
+--
+-- Housekeeping:
+--   Rows are useless once expired. The API deletes them as it goes; the
+--   "expiresAt" index keeps that cheap.
+
+-- ============================================
+-- Create access_token_denylist Table
+-- ============================================
+
+CREATE TABLE "access_token_denylist" (
+    "key" VARCHAR(64) NOT NULL,
+    "reason" VARCHAR(30),
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "access_token_denylist_pkey" PRIMARY KEY ("key"),
+    CONSTRAINT "access_token_denylist_key_format" CHECK ("key" LIKE 'jti:%' OR "key" LIKE 'sid:%')
+);
+
+-- Purge of expired entries
+CREATE INDEX "access_token_denylist_expiresAt_idx" ON "access_token_denylist"("expiresAt");
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- Currently revoked tokens and sessions:
+-- SELECT key, reason, "expiresAt" FROM access_token_denylist WHERE "expiresAt" > NOW();
+
+-- Manual purge:
+-- DELETE FROM access_token_denylist WHERE "expiresAt" <= NOW();
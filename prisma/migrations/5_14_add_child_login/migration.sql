@@ -0,0 +1,79 @@
+-- Migration: Child Login (username + PIN)
+--
+-- Purpose:
+--   - Let children sign in with their username and a PIN set by the parent
+--   - Lock a child's login after repeated wrong PINs (same pattern as parents)
+--   - Track a child's signed-in devices as sessions
+--
+-- Changed Tables:
+--   - children: pinHash, pinUpdatedAt, failedLoginAttempts,
+--     lastFailedLoginAttempt, lockedUntil
+--   - sessions: childId (set for a child's sign-in; parentId stays the owner)
+--   - sessions / refresh_tokens: revokedReason gains PIN_CHANGED and
+--     CHILD_DEACTIVATED
+--
+-- Existing Data:
+--   Existing children get no PIN (pinHash NULL) and cannot log in until
+--   their parent sets one.
+
+-- ============================================
+-- Child PIN and Lockout Columns
+-- ============================================
+
+-- bcrypt hash of the PIN (NULL = no PIN set, login disabled)
+ALTER TABLE "children" ADD COLUMN "pinHash" VARCHAR(255);
+ALTER TABLE "children" ADD COLUMN "pinUpdatedAt" TIMESTAMP(3);
+
+-- Lockout tracking (see parents, migration 3)
+ALTER TABLE "children" ADD COLUMN "failedLoginAttempts" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "children" ADD COLUMN "lastFailedLoginAttempt" TIMESTAMP(3);
+ALTER TABLE "children" ADD COLUMN "lockedUntil" TIMESTAMP(3);
+
+ALTER TABLE "children"
+  ADD CONSTRAINT "children_failedLoginAttempts_non_negative"
+  CHECK ("failedLoginAttempts" >= 0);
+
+-- ============================================
+-- Child Sessions
+-- ============================================
+
+ALTER TABLE "sessions" ADD COLUMN "childId" INTEGER;
+
+-- "Sign the child out" (new PIN, deactivation)
+CREATE INDEX "sessions_childId_revokedAt_idx" ON "sessions"("childId", "revokedAt");
+
+ALTER TABLE "sessions" ADD CONSTRAINT "sessions_childId_fkey"
+  FOREIGN KEY ("childId") REFERENCES "children"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- ============================================
+-- Revocation Reasons
+-- ============================================
+
+ALTER TABLE "sessions" DROP CONSTRAINT "sessions_revokedReason_valid";
+ALTER TABLE "sessions"
+  ADD CONSTRAINT "sessions_revokedReason_valid"
+  CHECK ("revokedReason" IS NULL OR "revokedReason" IN (
+    'LOGOUT', 'SESSION_REVOKED', 'REUSE_DETECTED', 'PASSWORD_RESET', 'PASSWORD_CHANGED',
+    'PIN_CHANGED', 'CHILD_DEACTIVATED'
+  ));
+
+ALTER TABLE "refresh_tokens" DROP CONSTRAINT "refresh_tokens_revokedReason_valid";
+ALTER TABLE "refresh_tokens"
+  ADD CONSTRAINT "refresh_tokens_revokedReason_valid"
+  CHECK ("revokedReason" IS NULL OR "revokedReason" IN (
+    'ROTATED', 'LOGOUT', 'SESSION_REVOKED', 'REUSE_DETECTED', 'PASSWORD_RESET', 'PASSWORD_CHANGED',
+    'PIN_CHANGED', 'CHILD_DEACTIVATED'
+  ));
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- Children who can log in:
+-- SELECT id, username, "pinUpdatedAt" FROM children WHERE "pinHash" IS NOT NULL AND "isActive";
+
+-- Locked child logins:
+-- SELECT id, username, "lockedUntil" FROM children WHERE "lockedUntil" > NOW();
+
+-- A child's active devices:
+-- SELECT id, "deviceName", "lastUsedAt" FROM sessions WHERE "childId" = 10 AND "revokedAt" IS NULL;
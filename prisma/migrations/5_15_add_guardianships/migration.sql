@@ -0,0 +1,101 @@
+-- Migration: Guardian Invitations (multi-guardian families)
+--
+-- Purpose:
+--   - Let a parent invite other adults (grandparents, co-parents) by email
+--     to help with one of their children
+--   - Store each guardian's permissions (view, deposit, approve withdrawals)
+--   - Support accept / decline of emailed invitations
+--
+-- New Tables:
+--   - guardianships: One row per invitation; becomes the guardian link
+--     once accepted
+--
+-- Existing Data:
+--   None affected. Children keep their owning parent (children.parentId);
+--   guardians are in addition to the owner, never a replacement.
+
+-- ============================================
+-- Create guardianships Table
+-- ============================================
+
+CREATE TABLE "guardianships" (
+    "id" SERIAL NOT NULL,
+    "childId" INTEGER NOT NULL,
+    "invitedById" INTEGER NOT NULL,
+    "guardianId" INTEGER,
+    "email" VARCHAR(255) NOT NULL,
+    "tokenHash" VARCHAR(64) NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "canDeposit" BOOLEAN NOT NULL DEFAULT false,
+    "canApproveWithdrawals" BOOLEAN NOT NULL DEFAULT false,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+    "respondedAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "guardianships_pkey" PRIMARY KEY ("id")
+);
+
+-- ============================================
+-- Constraints
+-- ============================================
+
+ALTER TABLE "guardianships"
+  ADD CONSTRAINT "guardianships_status_valid"
+  CHECK ("status" IN ('PENDING', 'ACCEPTED', 'DECLINED', 'REVOKED'));
+
+-- An accepted guardianship always names the guardian account
+ALTER TABLE "guardianships"
+  ADD CONSTRAINT "guardianships_accepted_has_guardian"
+  CHECK ("status" <> 'ACCEPTED' OR "guardianId" IS NOT NULL);
+
+-- The owner is never their own child's guardian
+ALTER TABLE "guardianships"
+  ADD CONSTRAINT "guardianships_guardian_not_inviter"
+  CHECK ("guardianId" IS NULL OR "guardianId" <> "invitedById");
+
+-- ============================================
+-- Indexes
+-- ============================================
+
+-- Lookup by presented invitation token
+CREATE UNIQUE INDEX "guardianships_tokenHash_key" ON "guardianships"("tokenHash");
+
+-- List a child's guardians / pending invitations
+CREATE INDEX "guardianships_childId_status_idx" ON "guardianships"("childId", "status");
+
+-- Ownership check and "children I guard"
+CREATE INDEX "guardianships_guardianId_status_idx" ON "guardianships"("guardianId", "status");
+
+-- One open invitation or guardianship per child and email address
+-- (not expressible in schema.prisma; DECLINED/REVOKED rows are history)
+CREATE UNIQUE INDEX "guardianships_childId_email_open_key"
+  ON "guardianships"("childId", "email")
+  WHERE "status" IN ('PENDING', 'ACCEPTED');
+
+-- ============================================
+-- Foreign Keys
+-- ============================================
+
+ALTER TABLE "guardianships" ADD CONSTRAINT "guardianships_childId_fkey"
+  FOREIGN KEY ("childId") REFERENCES "children"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "guardianships" ADD CONSTRAINT "guardianships_invitedById_fkey"
+  FOREIGN KEY ("invitedById") REFERENCES "parents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "guardianships" ADD CONSTRAINT "guardianships_guardianId_fkey"
+  FOREIGN KEY ("guardianId") REFERENCES "parents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- Guardians of a child:
+-- SELECT g.id, g.email, g.status, g."canDeposit", g."canApproveWithdrawals", p.email AS account
+-- FROM guardianships g LEFT JOIN parents p ON p.id = g."guardianId"
+-- WHERE g."childId" = 1 AND g.status IN ('PENDING', 'ACCEPTED');
+
+-- Children a parent account guards:
+-- SELECT "childId", "canDeposit", "canApproveWithdrawals"
+-- FROM guardianships WHERE "guardianId" = 2 AND status = 'ACCEPTED';
@@ -0,0 +1,101 @@
+-- Migration: Admin Accounts and Parent Deactivation
+--
+-- Purpose:
+--   - Back-office operators (admins) with their own table and mandatory
+--     two-factor login
+--   - Let an admin deactivate a parent account (who, when and why)
+--   - Sign a deactivated family out everywhere
+--
+-- New Tables:
+--   - admins: Admin accounts (bcrypt password, encrypted TOTP secret,
+--     lockout fields)
+--
+-- Changed Tables:
+--   - parents: isActive, deactivatedAt, deactivatedById, deactivationReason
+--   - sessions / refresh_tokens: revokedReason gains ACCOUNT_DEACTIVATED
+--
+-- Existing Data:
+--   Existing parents stay active (isActive defaults to true). No admin is
+--   created here; use `npm run admin:create`.
+
+-- ============================================
+-- Create admins Table
+-- ============================================
+
+CREATE TABLE "admins" (
+    "id" SERIAL NOT NULL,
+    "fullName" VARCHAR(255) NOT NULL,
+    "email" VARCHAR(255) NOT NULL,
+    "password" VARCHAR(255) NOT NULL,
+    "totpSecret" VARCHAR(255) NOT NULL,
+    "totpLastUsedStep" INTEGER,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "failedLoginAttempts" INTEGER NOT NULL DEFAULT 0,
+    "lastFailedLoginAttempt" TIMESTAMP(3),
+    "lockedUntil" TIMESTAMP(3),
+    "lastLoginAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "admins_pkey" PRIMARY KEY ("id")
+);
+
+-- Login lookup; emails are stored in lowercase
+CREATE UNIQUE INDEX "admins_email_key" ON "admins"("email");
+
+ALTER TABLE "admins"
+  ADD CONSTRAINT "admins_failedLoginAttempts_non_negative"
+  CHECK ("failedLoginAttempts" >= 0);
+
+-- ============================================
+-- Parent Deactivation
+-- ============================================
+
+ALTER TABLE "parents" ADD COLUMN "isActive" BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE "parents" ADD COLUMN "deactivatedAt" TIMESTAMP(3);
+ALTER TABLE "parents" ADD COLUMN "deactivatedById" INTEGER;
+ALTER TABLE "parents" ADD COLUMN "deactivationReason" VARCHAR(500);
+
+-- A deactivated parent always records when it happened
+ALTER TABLE "parents"
+  ADD CONSTRAINT "parents_deactivated_has_timestamp"
+  CHECK ("isActive" OR "deactivatedAt" IS NOT NULL);
+
+-- Removing an admin keeps the deactivation (only the link is cleared)
+ALTER TABLE "parents" ADD CONSTRAINT "parents_deactivatedById_fkey"
+  FOREIGN KEY ("deactivatedById") REFERENCES "admins"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- ============================================
+-- Revocation Reasons
+-- ============================================
+
+ALTER TABLE "sessions" DROP CONSTRAINT "sessions_revokedReason_valid";
+ALTER TABLE "sessions"
+  ADD CONSTRAINT "sessions_revokedReason_valid"
+  CHECK ("revokedReason" IS NULL OR "revokedReason" IN (
+    'LOGOUT', 'SESSION_REVOKED', 'REUSE_DETECTED', 'PASSWORD_RESET', 'PASSWORD_CHANGED',
+    'PIN_CHANGED', 'CHILD_DEACTIVATED', 'ACCOUNT_DEACTIVATED'
+  ));
+
+ALTER TABLE "refresh_tokens" DROP CONSTRAINT "refresh_tokens_revokedReason_valid";
+ALTER TABLE "refresh_tokens"
+  ADD CONSTRAINT "refresh_tokens_revokedReason_valid"
+  CHECK ("revokedReason" IS NULL OR "revokedReason" IN (
+    'ROTATED', 'LOGOUT', 'SESSION_REVOKED', 'REUSE_DETECTED', 'PASSWORD_RESET', 'PASSWORD_CHANGED',
+    'PIN_CHANGED', 'CHILD_DEACTIVATED', 'ACCOUNT_DEACTIVATED'
+  ));
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- Admin accounts:
+-- SELECT id, email, "isActive", "lockedUntil", "lastLoginAt" FROM admins;
+
+-- Deactivated parents and who deactivated them:
+-- SELECT p.id, p.email, p."deactivatedAt", a.email AS "deactivatedBy", p."deactivationReason"
+--   FROM parents p LEFT JOIN admins a ON a.id = p."deactivatedById"
+--   WHERE NOT p."isActive";
+
+-- Locked parent accounts (candidates for an admin unlock):
+-- SELECT id, email, "failedLoginAttempts", "lockedUntil" FROM parents WHERE "lockedUntil" > NOW();
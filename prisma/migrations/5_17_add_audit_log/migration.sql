@@ -0,0 +1,72 @@
+-- Migration: Hash-Chained Audit Log
+--
+-- Purpose:
+--   - Persist security audit events (previously console only)
+--   - Make tampering detectable: every row carries the hash of the row
+--     before it, so editing, deleting or reordering rows breaks the chain
+--
+-- New Tables:
+--   - audit_logs: One row per auditService.logAuditEvent call
+--
+-- Hash Chain:
+--   hash     = SHA-256(canonical JSON of prevHash + event fields), hex
+--   prevHash = hash of the previous row ('000...0' for the first row)
+--   Computed by the API (auditChainService), not the database, and checked
+--   with: npm run audit:verify
+--
+-- Not Linked to Other Tables:
+--   No foreign keys on userId / adminId / resourceId on purpose: audit rows
+--   must survive deletion of the accounts they describe.
+
+-- ============================================
+-- Create audit_logs Table
+-- ============================================
+
+CREATE TABLE "audit_logs" (
+    "id" SERIAL NOT NULL,
+    "timestamp" TIMESTAMP(3) NOT NULL,
+    "action" VARCHAR(100) NOT NULL,
+    "userId" INTEGER,
+    "adminId" INTEGER,
+    "resourceType" VARCHAR(50) NOT NULL,
+    "resourceId" INTEGER,
+    "severity" VARCHAR(20) NOT NULL,
+    "result" VARCHAR(20) NOT NULL,
+    "ipAddress" VARCHAR(255) NOT NULL,
+    "userAgent" TEXT NOT NULL,
+    "details" JSONB NOT NULL,
+    "environment" VARCHAR(20) NOT NULL,
+    "prevHash" CHAR(64) NOT NULL,
+    "hash" CHAR(64) NOT NULL,
+
+    CONSTRAINT "audit_logs_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "audit_logs_severity_valid" CHECK ("severity" IN ('CRITICAL', 'HIGH', 'MEDIUM', 'LOW')),
+    CONSTRAINT "audit_logs_result_valid" CHECK ("result" IN ('SUCCESS', 'FAILURE', 'BLOCKED')),
+    CONSTRAINT "audit_logs_hash_format" CHECK ("hash" ~ '^[0-9a-f]{64}$' AND "prevHash" ~ '^[0-9a-f]{64}$')
+);
+
+-- One row per hash, and at most one successor per row: the chain can't fork
+CREATE UNIQUE INDEX "audit_logs_hash_key" ON "audit_logs"("hash");
+CREATE UNIQUE INDEX "audit_logs_prevHash_key" ON "audit_logs"("prevHash");
+
+-- Time-range queries and admin filters
+CREATE INDEX "audit_logs_timestamp_idx" ON "audit_logs"("timestamp");
+CREATE INDEX "audit_logs_userId_timestamp_idx" ON "audit_logs"("userId", "timestamp");
+CREATE INDEX "audit_logs_adminId_timestamp_idx" ON "audit_logs"("adminId", "timestamp");
+CREATE INDEX "audit_logs_resourceType_resourceId_idx" ON "audit_logs"("resourceType", "resourceId");
+CREATE INDEX "audit_logs_action_idx" ON "audit_logs"("action");
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- Latest events:
+-- SELECT id, "timestamp", action, "userId", "adminId", severity, result FROM audit_logs ORDER BY id DESC LIMIT 20;
+
+-- Chain head (compare with a value noted earlier to detect truncation of the tail):
+-- SELECT id, hash FROM audit_logs ORDER BY id DESC LIMIT 1;
+
+-- Rows whose predecessor link is broken (quick check; npm run audit:verify also recomputes hashes):
+-- SELECT cur.id FROM audit_logs cur
+--   LEFT JOIN LATERAL (SELECT hash FROM audit_logs p WHERE p.id < cur.id ORDER BY p.id DESC LIMIT 1) prev ON TRUE
+--   WHERE cur."prevHash" <> COALESCE(prev.hash, repeat('0', 64));
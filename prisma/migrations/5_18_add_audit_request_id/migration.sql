@@ -0,0 +1,36 @@
+-- Migration: Request ID on Audit Log Rows
+--
+-- Purpose:
+--   - Record which API request wrote each audit row (the X-Request-Id
+--     response header), so an audit event can be matched with the
+--     server logs of the same request
+--
+-- Changes:
+--   - audit_logs.requestId: nullable; NULL for rows written outside a
+--     request (scripts) and for every row written before this migration
+--
+-- Hash Chain:
+--   requestId is part of a row's hash only when it is set, so the
+--   hashes of existing rows (all NULL) stay valid and npm run
+--   audit:verify keeps passing without rewriting the chain.
+
+-- ============================================
+-- Add requestId Column
+-- ============================================
+
+ALTER TABLE "audit_logs" ADD COLUMN "requestId" VARCHAR(128);
+
+-- Look up every event of one request
+CREATE INDEX "audit_logs_requestId_idx" ON "audit_logs"("requestId");
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- Events of one request (ID from a response header or a log line):
+-- SELECT id, "timestamp", action, "userId", "ipAddress", result FROM audit_logs
+--   WHERE "requestId" = '5b0f3c5e-2a8e-4d8f-9d6b-0c2b8f1e7a44' ORDER BY id;
+
+-- Share of recent rows written outside a request (should be small: scripts only):
+-- SELECT COUNT(*) FILTER (WHERE "requestId" IS NULL) AS "withoutRequest", COUNT(*) AS total
+--   FROM audit_logs WHERE "timestamp" > NOW() - INTERVAL '1 day';
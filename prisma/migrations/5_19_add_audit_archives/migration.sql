@@ -0,0 +1,105 @@
+-- Migration: Audit Log Retention and Archives
+--
+-- Purpose:
+--   - Stop keeping every audit row in the live table forever: rows past
+--     their severity's retention move to compressed monthly archive files
+--     (auditArchiveService, npm run audit:archive)
+--   - Keep the hash chain verifiable after rows are archived
+--
+-- New Tables:
+--   - audit_log_archives: One row per archive file (one month, one
+--     severity), with the file's SHA-256 and the chain head at the time
+--
+-- Changes to audit_logs:
+--   - archiveId / sealedAt / restoredAt: archival state of each row
+--   - Event fields become nullable: an archived row is "sealed", i.e. its
+--     event fields are cleared and only id, timestamp, severity, prevHash
+--     and hash stay. The chain still links row to row, and a restore can
+--     check every archived row against the hash it left behind.
+--
+-- Hash Chain:
+--   Unchanged. Live rows are checked as before; sealed rows are checked
+--   for their link only (their fields are in the archive).
+
+-- ============================================
+-- Create audit_log_archives Table
+-- ============================================
+
+CREATE TABLE "audit_log_archives" (
+    "id" SERIAL NOT NULL,
+    "month" CHAR(7) NOT NULL,
+    "severity" VARCHAR(20) NOT NULL,
+    "part" INTEGER NOT NULL DEFAULT 1,
+    "fileName" VARCHAR(255) NOT NULL,
+    "sha256" CHAR(64) NOT NULL,
+    "rowCount" INTEGER NOT NULL,
+    "firstRowId" INTEGER NOT NULL,
+    "lastRowId" INTEGER NOT NULL,
+    "chainHeadId" INTEGER NOT NULL,
+    "chainHeadHash" CHAR(64) NOT NULL,
+    "restoredAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_log_archives_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "audit_log_archives_month_format" CHECK ("month" ~ '^[0-9]{4}-(0[1-9]|1[0-2])$'),
+    CONSTRAINT "audit_log_archives_severity_valid" CHECK ("severity" IN ('CRITICAL', 'HIGH', 'MEDIUM', 'LOW')),
+    CONSTRAINT "audit_log_archives_hash_format" CHECK ("sha256" ~ '^[0-9a-f]{64}$' AND "chainHeadHash" ~ '^[0-9a-f]{64}$'),
+    CONSTRAINT "audit_log_archives_rows_valid" CHECK ("rowCount" > 0 AND "firstRowId" <= "lastRowId" AND "lastRowId" <= "chainHeadId")
+);
+
+CREATE UNIQUE INDEX "audit_log_archives_fileName_key" ON "audit_log_archives"("fileName");
+CREATE UNIQUE INDEX "audit_log_archives_month_severity_part_key" ON "audit_log_archives"("month", "severity", "part");
+
+-- ============================================
+-- Archival State on audit_logs
+-- ============================================
+
+ALTER TABLE "audit_logs"
+    ADD COLUMN "archiveId" INTEGER,
+    ADD COLUMN "sealedAt" TIMESTAMP(3),
+    ADD COLUMN "restoredAt" TIMESTAMP(3);
+
+-- An archive can't be deleted while rows point to it
+ALTER TABLE "audit_logs" ADD CONSTRAINT "audit_logs_archiveId_fkey"
+    FOREIGN KEY ("archiveId") REFERENCES "audit_log_archives"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Event fields may be cleared, but only on archived, sealed rows
+ALTER TABLE "audit_logs"
+    ALTER COLUMN "action" DROP NOT NULL,
+    ALTER COLUMN "resourceType" DROP NOT NULL,
+    ALTER COLUMN "result" DROP NOT NULL,
+    ALTER COLUMN "ipAddress" DROP NOT NULL,
+    ALTER COLUMN "userAgent" DROP NOT NULL,
+    ALTER COLUMN "details" DROP NOT NULL,
+    ALTER COLUMN "environment" DROP NOT NULL;
+
+ALTER TABLE "audit_logs" ADD CONSTRAINT "audit_logs_sealed_valid" CHECK (
+    ("sealedAt" IS NULL AND "action" IS NOT NULL AND "resourceType" IS NOT NULL AND "result" IS NOT NULL
+        AND "ipAddress" IS NOT NULL AND "userAgent" IS NOT NULL AND "details" IS NOT NULL AND "environment" IS NOT NULL)
+    OR ("sealedAt" IS NOT NULL AND "archiveId" IS NOT NULL)
+);
+
+-- Finding expired rows: one severity, oldest first
+CREATE INDEX "audit_logs_severity_timestamp_idx" ON "audit_logs"("severity", "timestamp");
+CREATE INDEX "audit_logs_archiveId_idx" ON "audit_logs"("archiveId");
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- Archives, newest first:
+-- SELECT id, "fileName", "rowCount", "firstRowId", "lastRowId", "chainHeadId", "restoredAt" FROM audit_log_archives ORDER BY id DESC;
+
+-- Live, sealed and restored rows per severity:
+-- SELECT severity,
+--        COUNT(*) FILTER (WHERE "archiveId" IS NULL) AS live,
+--        COUNT(*) FILTER (WHERE "sealedAt" IS NOT NULL) AS sealed,
+--        COUNT(*) FILTER (WHERE "restoredAt" IS NOT NULL) AS restored
+--   FROM audit_logs GROUP BY severity;
+
+-- Oldest live row per severity (compare with the retention settings):
+-- SELECT severity, MIN("timestamp") FROM audit_logs WHERE "archiveId" IS NULL GROUP BY severity;
+
+-- Every archive's row count matches the rows pointing to it (expect no rows):
+-- SELECT a.id, a."rowCount", COUNT(l.id) FROM audit_log_archives a
+--   LEFT JOIN audit_logs l ON l."archiveId" = a.id GROUP BY a.id HAVING a."rowCount" <> COUNT(l.id);
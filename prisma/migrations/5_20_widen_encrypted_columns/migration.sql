@@ -0,0 +1,34 @@
+-- Migration: Room for Versioned Ciphertexts
+--
+-- Purpose:
+--   - Encrypted values now start with the key version they were
+--     encrypted with ("v2:<base64>"), so a rotated key can be told apart
+--     from the old one (encryptionService, npm run encryption:reencrypt)
+--   - parents.phoneNumber holds an encrypted phone number, but was sized
+--     for the plain number: VARCHAR(20). A ciphertext is about 56
+--     characters (IV + number + auth tag, base64), 59 with the prefix.
+--
+-- Changes:
+--   - parents.phoneNumber: VARCHAR(20) → VARCHAR(255), like the other
+--     encrypted columns (totp_credentials.secret, admins.totpSecret)
+--
+-- Existing Data:
+--   Untouched. Values without a prefix are read as key version 1.
+
+-- ============================================
+-- Widen parents.phoneNumber
+-- ============================================
+
+ALTER TABLE "parents" ALTER COLUMN "phoneNumber" TYPE VARCHAR(255);
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- Column size (expect 255):
+-- SELECT character_maximum_length FROM information_schema.columns
+--   WHERE table_name = 'parents' AND column_name = 'phoneNumber';
+
+-- Phone numbers per key version (legacy = written before key versions):
+-- SELECT COALESCE(substring("phoneNumber" from '^v([0-9]+):'), 'legacy') AS "keyVersion", COUNT(*)
+--   FROM parents GROUP BY 1 ORDER BY 1;
@@ -0,0 +1,37 @@
+-- Migration: Room for Envelope-Encrypted Values
+--
+-- Purpose:
+--   - With envelope encryption (KMS_PROVIDER, kmsService), every
+--     encrypted value carries its own wrapped data key:
+--     "kms:<master key id>:<wrapped data key>:<base64>"
+--   - The wrapped key's size is up to the KMS: 60 bytes with the local
+--     provider, about 180 with AWS KMS (~250 characters in base64), which
+--     doesn't fit the VARCHAR(255) columns
+--
+-- Changes:
+--   - parents.phoneNumber, totp_credentials.secret, admins.totpSecret:
+--     VARCHAR(255) → TEXT (same storage in Postgres, no length limit)
+--
+-- Existing Data:
+--   Untouched. No rewrite: widening a varchar to text only changes the
+--   catalog.
+
+-- ============================================
+-- Encrypted Columns to TEXT
+-- ============================================
+
+ALTER TABLE "parents" ALTER COLUMN "phoneNumber" TYPE TEXT;
+ALTER TABLE "totp_credentials" ALTER COLUMN "secret" TYPE TEXT;
+ALTER TABLE "admins" ALTER COLUMN "totpSecret" TYPE TEXT;
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- Column types (expect text):
+-- SELECT table_name, column_name, data_type FROM information_schema.columns
+--   WHERE (table_name, column_name) IN (('parents', 'phoneNumber'), ('totp_credentials', 'secret'), ('admins', 'totpSecret'));
+
+-- Values per key (keyring version, or KMS master key):
+-- SELECT COALESCE(substring("phoneNumber" from '^(v[0-9]+|kms:[A-Za-z0-9._-]+):'), 'legacy') AS key, COUNT(*)
+--   FROM parents GROUP BY 1 ORDER BY 1;
@@ -0,0 +1,43 @@
+-- Migration: Blind Index for Parent Phone Numbers
+--
+-- Purpose:
+--   - parents.phoneNumber is encrypted with a random IV, so it can't be
+--     searched: no phone-based login, no matching M-Pesa callbacks to a
+--     parent, no duplicate phone detection
+--   - Store a blind index next to it: HMAC-SHA256 (BLIND_INDEX_KEY) of the
+--     E.164 number (encryptionService.computeBlindIndex), for equality
+--     lookups (encryptionService.getPhoneNumberLookup)
+--
+-- Changed Tables:
+--   - parents: New nullable "phoneNumberIndex" column, unique
+--
+-- Uniqueness Policy:
+--   One parent account per phone number. The unique index enforces it for
+--   every indexed row; NULLs don't conflict.
+--
+-- Existing Accounts:
+--   Start with NULL (the index needs BLIND_INDEX_KEY and the decrypted
+--   number). Fill it after deploying with: npm run encryption:reindex
+--   Parents sharing a number are reported there and stay unindexed.
+
+-- ============================================
+-- Add Blind Index to parents
+-- ============================================
+
+ALTER TABLE "parents" ADD COLUMN "phoneNumberIndex" CHAR(64);
+
+ALTER TABLE "parents" ADD CONSTRAINT "parents_phoneNumberIndex_hex"
+  CHECK ("phoneNumberIndex" ~ '^[0-9a-f]{64}$');
+
+-- Lookups by phone number; one account per number
+CREATE UNIQUE INDEX "parents_phoneNumberIndex_key" ON "parents"("phoneNumberIndex");
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- Parents not indexed yet (expect 0 after npm run encryption:reindex):
+-- SELECT COUNT(*) FROM parents WHERE "phoneNumberIndex" IS NULL;
+
+-- Index in use for lookups:
+-- EXPLAIN SELECT id FROM parents WHERE "phoneNumberIndex" = repeat('0', 64);
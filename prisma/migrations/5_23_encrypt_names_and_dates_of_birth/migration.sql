@@ -0,0 +1,41 @@
+-- Migration: Encrypt Parent Names and Children's Dates of Birth
+--
+-- Purpose:
+--   - parents.fullName and children.dateOfBirth are personal data stored
+--     in plaintext; encrypt them like phone numbers (encryptionService,
+--     through the client's ENCRYPTED_FIELDS in config/db.js)
+--
+-- Changed Tables:
+--   - parents: "fullName" VARCHAR(255) → TEXT (ciphertext)
+--   - children: "dateOfBirth" TIMESTAMP(3) → TEXT (ciphertext of
+--     "YYYY-MM-DD")
+--
+-- Existing Data:
+--   Converted in place, still plaintext: names as they are, dates of birth
+--   as "YYYY-MM-DD". The API reads both plaintext and encrypted values in
+--   these columns (ENCRYPTED_FIELDS migratedFromPlaintext) and encrypts on
+--   write, so it can be deployed with the rows still plaintext. Then
+--   encrypt them:
+--     npm run encryption:encrypt
+--   The job works in batches and can be interrupted and run again.
+
+-- ============================================
+-- parents.fullName to TEXT
+-- ============================================
+
+ALTER TABLE "parents" ALTER COLUMN "fullName" TYPE TEXT;
+
+-- ============================================
+-- children.dateOfBirth to TEXT
+-- ============================================
+
+ALTER TABLE "children" ALTER COLUMN "dateOfBirth" TYPE TEXT
+  USING to_char("dateOfBirth", 'YYYY-MM-DD');
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- Values still plaintext (expect 0 after npm run encryption:encrypt):
+-- SELECT COUNT(*) FROM parents WHERE "fullName" !~ '^(v[0-9]+|kms:[A-Za-z0-9._-]+):';
+-- SELECT COUNT(*) FROM children WHERE "dateOfBirth" !~ '^(v[0-9]+|kms:[A-Za-z0-9._-]+):';
@@ -0,0 +1,104 @@
+-- Migration: M-Pesa Deposits (payment intents)
+--
+-- Purpose:
+--   - Let a parent fund a child's wallet with M-Pesa: an STK push asks
+--     them to approve the payment on their phone, and M-Pesa's callback
+--     reports the result
+--   - Track each deposit from request to result, and link a successful
+--     one to the ledger transaction that credited the wallet
+--
+-- New Tables:
+--   - payment_intents: One row per deposit attempt
+--
+-- Existing Data:
+--   None affected. Deposits post to the ledger like any other
+--   (transactions.reference = 'MPESA:<receipt number>').
+
+-- ============================================
+-- Create payment_intents Table
+-- ============================================
+
+CREATE TABLE "payment_intents" (
+    "id" SERIAL NOT NULL,
+    "reference" VARCHAR(12) NOT NULL,
+    "walletId" INTEGER NOT NULL,
+    "initiatedById" INTEGER,
+    "transactionId" INTEGER,
+    "provider" VARCHAR(30) NOT NULL,
+    "phoneNumber" TEXT NOT NULL,
+    "amountKes" INTEGER NOT NULL,
+    "amountSats" BIGINT NOT NULL,
+    "merchantRequestId" VARCHAR(100),
+    "checkoutRequestId" VARCHAR(100),
+    "mpesaReceiptNumber" VARCHAR(30),
+    "resultCode" INTEGER,
+    "resultDesc" VARCHAR(255),
+    "status" VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "payment_intents_pkey" PRIMARY KEY ("id")
+);
+
+-- ============================================
+-- Constraints
+-- ============================================
+
+ALTER TABLE "payment_intents"
+  ADD CONSTRAINT "payment_intents_status_valid"
+  CHECK ("status" IN ('PENDING', 'PROCESSING', 'SUCCEEDED', 'FAILED', 'CANCELLED', 'EXPIRED'));
+
+ALTER TABLE "payment_intents"
+  ADD CONSTRAINT "payment_intents_amounts_positive"
+  CHECK ("amountKes" > 0 AND "amountSats" > 0);
+
+-- A succeeded payment always has its receipt and ledger transaction
+ALTER TABLE "payment_intents"
+  ADD CONSTRAINT "payment_intents_succeeded_is_posted"
+  CHECK ("status" <> 'SUCCEEDED' OR ("mpesaReceiptNumber" IS NOT NULL AND "transactionId" IS NOT NULL));
+
+-- ============================================
+-- Indexes
+-- ============================================
+
+-- Lookup by signed callback URL
+CREATE UNIQUE INDEX "payment_intents_reference_key" ON "payment_intents"("reference");
+
+-- One intent per STK push, one per M-Pesa payment, one per ledger posting
+CREATE UNIQUE INDEX "payment_intents_checkoutRequestId_key" ON "payment_intents"("checkoutRequestId");
+CREATE UNIQUE INDEX "payment_intents_mpesaReceiptNumber_key" ON "payment_intents"("mpesaReceiptNumber");
+CREATE UNIQUE INDEX "payment_intents_transactionId_key" ON "payment_intents"("transactionId");
+
+-- A wallet's deposit history
+CREATE INDEX "payment_intents_walletId_createdAt_idx" ON "payment_intents"("walletId", "createdAt");
+
+-- ============================================
+-- Foreign Keys
+-- ============================================
+
+ALTER TABLE "payment_intents" ADD CONSTRAINT "payment_intents_walletId_fkey"
+  FOREIGN KEY ("walletId") REFERENCES "wallets"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "payment_intents" ADD CONSTRAINT "payment_intents_initiatedById_fkey"
+  FOREIGN KEY ("initiatedById") REFERENCES "parents"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "payment_intents" ADD CONSTRAINT "payment_intents_transactionId_fkey"
+  FOREIGN KEY ("transactionId") REFERENCES "transactions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- A wallet's deposits:
+-- SELECT reference, status, "amountKes", "amountSats", "mpesaReceiptNumber", "resultDesc", "createdAt"
+-- FROM payment_intents WHERE "walletId" = 1 ORDER BY "createdAt" DESC;
+
+-- Deposits still waiting for M-Pesa past their expiry:
+-- SELECT id, reference, status, "expiresAt" FROM payment_intents
+-- WHERE status IN ('PENDING', 'PROCESSING') AND "expiresAt" < NOW();
+
+-- Succeeded deposits match their ledger postings (expect 0 rows):
+-- SELECT p.id FROM payment_intents p JOIN transactions t ON t.id = p."transactionId"
+-- WHERE p.status = 'SUCCEEDED' AND (t.amount <> p."amountSats" OR t.reference <> 'MPESA:' || p."mpesaReceiptNumber");
@@ -0,0 +1,50 @@
+-- Migration: Row Digest on Audit Log Archives
+--
+-- Purpose:
+--   - Let npm run audit:verify check sealed (archived) rows. Their event
+--     fields are cleared, so their own hash can't be recomputed; until
+--     now verification took a sealed row's stored hash on trust, and
+--     marking an edited row as sealed was enough to hide the edit
+--
+-- Changes:
+--   - audit_log_archives.rowsHash: SHA-256 over "<id>:<hash>\n" of the
+--     archive's rows, in id order (auditChainService.createArchiveRowsDigest).
+--     Verification recomputes it from the rows pointing to the archive,
+--     which must also lie in its ID range and severity.
+--
+-- Existing Data:
+--   Archives made before this migration get the digest of the rows
+--   pointing to them now, so the backfill vouches for those rows as they
+--   are. Before upgrading, check archives you have doubts about with the
+--   current release (npm run audit:restore -- <file> --check).
+
+-- ============================================
+-- Add rowsHash Column
+-- ============================================
+
+ALTER TABLE "audit_log_archives" ADD COLUMN "rowsHash" CHAR(64);
+
+UPDATE "audit_log_archives" a
+SET "rowsHash" = (
+    SELECT encode(sha256(convert_to(string_agg(l.id::text || ':' || l.hash || E'\n', '' ORDER BY l.id), 'UTF8')), 'hex')
+    FROM "audit_logs" l
+    WHERE l."archiveId" = a.id
+);
+
+-- Archives without rows can't exist (rowCount > 0), but don't leave NULLs behind
+UPDATE "audit_log_archives" SET "rowsHash" = encode(sha256(''::bytea), 'hex') WHERE "rowsHash" IS NULL;
+
+ALTER TABLE "audit_log_archives" ALTER COLUMN "rowsHash" SET NOT NULL;
+
+ALTER TABLE "audit_log_archives"
+  ADD CONSTRAINT "audit_log_archives_rows_hash_format" CHECK ("rowsHash" ~ '^[0-9a-f]{64}$');
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- Every archive's digest matches the rows pointing to it (expect no rows):
+-- SELECT a.id, a."fileName" FROM audit_log_archives a
+--   WHERE a."rowsHash" <> (
+--     SELECT encode(sha256(convert_to(string_agg(l.id::text || ':' || l.hash || E'\n', '' ORDER BY l.id), 'UTF8')), 'hex')
+--     FROM audit_logs l WHERE l."archiveId" = a.id);
@@ -0,0 +1,49 @@
+-- Migration: Single-Use MFA Challenges
+--
+-- Purpose:
+--   - Make the MFA challenge token from /api/auth/login single use: it
+--     completes one login, and allows a few second-factor attempts
+--     (MFA_CHALLENGE_MAX_ATTEMPTS) instead of unlimited guesses until it
+--     expires (mfaService)
+--   - The same for admin logins (/api/admin/auth/login, adminService)
+--
+-- New Tables:
+--   - mfa_challenges: One row per challenge token issued (id = its jti)
+--
+-- Existing Challenges:
+--   Tokens issued before this migration have no row and are refused; the
+--   parent logs in again (they live MFA_CHALLENGE_TTL_SECONDS, 5 minutes
+--   by default).
+--
+-- Housekeeping:
+--   Rows are useless once expired. The API deletes them as it goes; the
+--   "expiresAt" index keeps that cheap.
+
+-- ============================================
+-- Create mfa_challenges Table
+-- ============================================
+
+CREATE TABLE "mfa_challenges" (
+    "id" VARCHAR(36) NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "mfa_challenges_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "mfa_challenges_attempts_non_negative" CHECK ("attempts" >= 0)
+);
+
+-- Purge of expired challenges
+CREATE INDEX "mfa_challenges_expiresAt_idx" ON "mfa_challenges"("expiresAt");
+
+-- ============================================
+-- Verification Queries (for manual testing)
+-- ============================================
+
+-- Challenges still open:
+-- SELECT id, attempts, "expiresAt" FROM mfa_challenges
+-- WHERE "usedAt" IS NULL AND "expiresAt" > NOW();
+
+-- Challenges that ran out of attempts (possible code guessing):
+-- SELECT id, attempts, "createdAt" FROM mfa_challenges WHERE "usedAt" IS NULL AND attempts >= 5;
@@ -0,0 +1,131 @@
+/**
+ * ============================================
+ * SatsBlox Phone Number Index Script
+ * ============================================
+ *
+ * Purpose:
+ *   Fill parents.phoneNumberIndex, the blind index that finds a parent by
+ *   phone number (see encryptionService BLIND INDEX and
+ *   keyRotationService.rebuildPhoneNumberIndex): once after deploying
+ *   migration 22, and for every parent after changing BLIND_INDEX_KEY.
+ *
+ * Execution:
+ *   npm run encryption:reindex -- --status
+ *   npm run encryption:reindex
+ *   npm run encryption:reindex -- --all
+ *
+ *   --status:     parents without an index; change nothing
+ *   --all:        recompute every parent's index (after a BLIND_INDEX_KEY change)
+ *   --batch-size: rows per query (default 200)
+ *
+ *   Run with the same ENCRYPTION_* / KMS_* settings and BLIND_INDEX_KEY as
+ *   the API. Safe to interrupt and run again, and to run while the API is
+ *   serving.
+ *
+ * Output:
+ *   Progress, then a summary. Exit code 1 if any parent couldn't be
+ *   indexed: numbers that can't be decrypted or aren't Kenyan mobile
+ *   numbers, and numbers another parent already has (one account per
+ *   phone number). Those rows are listed and stay unindexed.
+ *
+ * ============================================
+ */
+
+const { disconnect } = require('../src/config/db');
+const auditService = require('../src/services/auditService');
+const keyRotationService = require('../src/services/keyRotationService');
+
+// ============================================
+// Logger Utility
+// ============================================
+const log = {
+  info: (msg) => console.log(`[ENCRYPTION] ℹ️  ${msg}`),
+  success: (msg) => console.log(`[ENCRYPTION] ✅ ${msg}`),
+  error: (msg) => console.error(`[ENCRYPTION] ❌ ${msg}`),
+};
+
+/**
+ * Read the flags from the command line.
+ *
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{status: boolean, all: boolean, batchSize?: number}}
+ */
+function parseArgs(argv) {
+  const args = { status: false, all: false };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--status') {
+      args.status = true;
+    } else if (argv[i] === '--all') {
+      args.all = true;
+    } else if (argv[i] === '--batch-size') {
+      args.batchSize = Number.parseInt(argv[i + 1], 10);
+      i += 1;
+    }
+  }
+
+  return args;
+}
+
+/**
+ * List reported row IDs ("..." when there were more).
+ *
+ * @param {number[]} ids - Reported IDs
+ * @param {number} count - Total count
+ * @returns {string}
+ */
+function formatIds(ids, count) {
+  return `${ids.join(', ')}${count > ids.length ? ', ...' : ''}`;
+}
+
+async function main() {
+  const { status, all, batchSize } = parseArgs(process.argv.slice(2));
+
+  if (batchSize !== undefined && !(batchSize > 0)) {
+    log.error('--batch-size must be a positive number');
+    process.exitCode = 1;
+    return;
+  }
+
+  // ---- Status only ----
+  if (status) {
+    const unindexed = await keyRotationService.countUnindexedPhoneNumbers();
+    console.log(`  parent.phoneNumber: ${unindexed} parent(s) without an index`);
+    return;
+  }
+
+  // ---- Index ----
+  const summary = await keyRotationService.rebuildPhoneNumberIndex({
+    all,
+    batchSize,
+    onProgress: ({ column, total, processed }) => {
+      log.info(`${column}: ${processed}/${total}`);
+    },
+  });
+
+  log.success(
+    `${summary.column}: ${summary.indexed} indexed, ${summary.unchanged} unchanged, ` +
+    `${summary.conflicts} conflicts, ${summary.failed} failed`
+  );
+
+  if (summary.conflicts > 0) {
+    log.error(`Phone number already indexed for another parent: rows ${formatIds(summary.conflictIds, summary.conflicts)}`);
+  }
+  if (summary.failed > 0) {
+    log.error(`Could not decrypt or normalize: rows ${formatIds(summary.failedIds, summary.failed)}`);
+  }
+  if (summary.conflicts > 0 || summary.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((err) => {
+    log.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    // BLIND_INDEX_REBUILT is written to the audit log asynchronously
+    await auditService.flushAuditLog();
+    await disconnect();
+  });
@@ -0,0 +1,120 @@
+/**
+ * ============================================
+ * SatsBlox Field Re-encryption Script
+ * ============================================
+ *
+ * Purpose:
+ *   After an encryption key rotation, move every encrypted value (phone
+ *   numbers, TOTP secrets) to the active key, so the old key can be
+ *   retired. See keyRotationService and the KEY ROTATION PROCEDURE in
+ *   encryptionService.
+ *
+ * Execution:
+ *   npm run encryption:reencrypt -- --status
+ *   npm run encryption:reencrypt
+ *
+ *   --status:     values still on another key, per column; change nothing
+ *   --batch-size: rows per query (default 200)
+ *
+ *   Run with the same ENCRYPTION_KEY / ENCRYPTION_KEYS /
+ *   ENCRYPTION_ACTIVE_KEY_VERSION and KMS_* settings as the API. Safe to
+ *   interrupt and run again, and to run while the API is serving: it
+ *   carries on with what is left.
+ *
+ * Output:
+ *   Progress per column, then a summary. Exit code 1 if any value
+ *   couldn't be decrypted (those rows are listed and left unchanged);
+ *   keep the old key until a run exits with 0.
+ *
+ * ============================================
+ */
+
+const { disconnect } = require('../src/config/db');
+const auditService = require('../src/services/auditService');
+const encryptionService = require('../src/services/encryptionService');
+const keyRotationService = require('../src/services/keyRotationService');
+
+// ============================================
+// Logger Utility
+// ============================================
+const log = {
+  info: (msg) => console.log(`[ENCRYPTION] ℹ️  ${msg}`),
+  success: (msg) => console.log(`[ENCRYPTION] ✅ ${msg}`),
+  error: (msg) => console.error(`[ENCRYPTION] ❌ ${msg}`),
+};
+
+/**
+ * Read the flags from the command line.
+ *
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{status: boolean, batchSize?: number}}
+ */
+function parseArgs(argv) {
+  const args = { status: false };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--status') {
+      args.status = true;
+    } else if (argv[i] === '--batch-size') {
+      args.batchSize = Number.parseInt(argv[i + 1], 10);
+      i += 1;
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const { status, batchSize } = parseArgs(process.argv.slice(2));
+  const { activeKey, versions } = encryptionService.getKeyringStatus();
+
+  if (batchSize !== undefined && !(batchSize > 0)) {
+    log.error('--batch-size must be a positive number');
+    process.exitCode = 1;
+    return;
+  }
+
+  log.info(`Active key: ${activeKey} (keyring: ${versions.map((version) => `v${version}`).join(', ') || 'empty'})`);
+
+  // ---- Status only ----
+  if (status) {
+    const pending = await keyRotationService.countPendingReencryption();
+    for (const { column, pending: count } of pending) {
+      console.log(`  ${column}: ${count} value(s) not on ${activeKey}`);
+    }
+    return;
+  }
+
+  // ---- Re-encrypt ----
+  const { columns } = await keyRotationService.reencryptAll({
+    batchSize,
+    onProgress: ({ column, total, processed, failed }) => {
+      log.info(`${column}: ${processed}/${total}${failed > 0 ? ` (${failed} failed)` : ''}`);
+    },
+  });
+
+  let failedTotal = 0;
+  for (const summary of columns) {
+    failedTotal += summary.failed;
+    log.success(`${summary.column}: ${summary.reencrypted} re-encrypted, ${summary.skipped} unchanged, ${summary.failed} failed`);
+    if (summary.failed > 0) {
+      log.error(`${summary.column}: could not decrypt rows ${summary.failedIds.join(', ')}${summary.failed > summary.failedIds.length ? ', ...' : ''}`);
+    }
+  }
+
+  if (failedTotal > 0) {
+    log.error(`${failedTotal} value(s) left on their old key; keep it in ENCRYPTION_KEYS`);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((err) => {
+    log.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    // REENCRYPTION_* events are written to the audit log asynchronously
+    await auditService.flushAuditLog();
+    await disconnect();
+  });
@@ -0,0 +1,113 @@
+/**
+ * ============================================
+ * SatsBlox Audit Archive Restore Script
+ * ============================================
+ *
+ * Purpose:
+ *   Bring an archived month of audit rows back into the audit_logs table
+ *   for an investigation (admin search and export see them again), or
+ *   just check an archive. See auditArchiveService.
+ *
+ * Execution:
+ *   npm run audit:restore -- --list
+ *   npm run audit:restore -- <file> --check
+ *   npm run audit:restore -- <file> --admin ops@satsblox.com
+ *
+ *   --list:  archives, newest first
+ *   --check: verify the file and every row against the table; change nothing
+ *   --admin: the admin responsible; the restore is audited under them
+ *
+ *   The archive file must be in AUDIT_ARCHIVE_DIR (copy it back from
+ *   off-site storage first). Restored rows are sealed again by
+ *   npm run audit:archive after AUDIT_RESTORE_TTL_DAYS.
+ *
+ * Output:
+ *   The number of rows restored and when they will be sealed again.
+ *   Exit code 1 if the archive is missing, damaged or doesn't match the
+ *   table (nothing is restored then).
+ *
+ * ============================================
+ */
+
+const { disconnect } = require('../src/config/db');
+const auditService = require('../src/services/auditService');
+const auditArchiveService = require('../src/services/auditArchiveService');
+
+// ============================================
+// Logger Utility
+// ============================================
+const log = {
+  info: (msg) => console.log(`[AUDIT] ℹ️  ${msg}`),
+  success: (msg) => console.log(`[AUDIT] ✅ ${msg}`),
+  error: (msg) => console.error(`[AUDIT] ❌ ${msg}`),
+};
+
+/**
+ * Read the archive name and flags from the command line.
+ *
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{fileName?: string, adminEmail?: string, list: boolean, check: boolean}}
+ */
+function parseArgs(argv) {
+  const args = { list: false, check: false };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--list') {
+      args.list = true;
+    } else if (argv[i] === '--check') {
+      args.check = true;
+    } else if (argv[i] === '--admin') {
+      args.adminEmail = argv[i + 1];
+      i += 1;
+    } else if (!args.fileName) {
+      args.fileName = argv[i];
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const { fileName, adminEmail, list, check } = parseArgs(process.argv.slice(2));
+
+  // ---- List ----
+  if (list) {
+    const archives = await auditArchiveService.listAuditArchives();
+    for (const archive of archives) {
+      const restored = archive.restoredAt ? ` (restored ${archive.restoredAt.toISOString()})` : '';
+      console.log(`  ${archive.fileName}  ${archive.rowCount} rows${restored}`);
+    }
+    log.info(`${archives.length} archive(s)`);
+    return;
+  }
+
+  if (!fileName || (!check && !adminEmail)) {
+    log.error('Usage: npm run audit:restore -- <file> (--check | --admin <email>) | --list');
+    process.exitCode = 1;
+    return;
+  }
+
+  // ---- Check only ----
+  if (check) {
+    const { archive } = await auditArchiveService.checkAuditArchive(fileName);
+    log.success(`${archive.fileName}: file and all ${archive.rowCount} rows match`);
+    return;
+  }
+
+  // ---- Restore ----
+  log.info(`Checking and restoring ${fileName}...`);
+  const { restoredCount, sealAfter } = await auditArchiveService.restoreAuditArchive(fileName, adminEmail);
+  log.success(`${restoredCount} rows restored`);
+  log.info(`They will be sealed again by the first archival run after ${sealAfter.toISOString()}`);
+}
+
+main()
+  .catch((err) => {
+    log.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    // AUDIT_ARCHIVE_RESTORED is written to the audit log asynchronously
+    await auditService.flushAuditLog();
+    await disconnect();
+  });
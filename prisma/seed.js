@@ -29,10 +29,11 @@
  * ============================================
  */
 
-const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcrypt');
 
-const prisma = new PrismaClient();
+// The application's client: encrypted fields (phone number) are encrypted
+// on write, like data created through the API (needs the .env keys)
+const { prisma } = require('../src/config/db');
 
 // ============================================
 // Logger Utility
@@ -101,11 +102,17 @@ async function seed() {
     // Step 1: Clean Database
     // ========================================
     // Delete records in reverse dependency order:
-    // Wallets → Children → Parents
+    // Ledger Entries → Transactions → Wallets → Children → Parents
     // (because Wallets depend on Children, Children depend on Parents)
     
     log.clean('Cleaning database...');
     
+    const deletedEntries = await prisma.ledgerEntry.deleteMany({});
+    log.action(`Deleted ${deletedEntries.count} ledger entries`);
+    
+    const deletedTransactions = await prisma.transaction.deleteMany({});
+    log.action(`Deleted ${deletedTransactions.count} transactions`);
+    
     const deletedWallets = await prisma.wallet.deleteMany({});
     log.action(`Deleted ${deletedWallets.count} wallets`);
     
@@ -174,6 +181,9 @@ async function seed() {
       log.action(`  └─ Date of Birth: ${createdChild.dateOfBirth.toISOString().split('T')[0]}`);
       
       // Create wallet for child
+      // The initial balance is posted as a balanced ledger transaction
+      // (DEBIT EXTERNAL_FUNDING / CREDIT WALLET) so that wallet.balance
+      // reconciles with its ledger entries, exactly as ledgerService would.
       const createdWallet = await prisma.wallet.create({
         data: {
           childId: createdChild.id, // Link to the child we just created
@@ -181,6 +191,25 @@ async function seed() {
         },
       });
       
+      if (childData.initialBalance > 0n) {
+        await prisma.transaction.create({
+          data: {
+            type: 'DEPOSIT',
+            amount: childData.initialBalance,
+            balanceAfter: childData.initialBalance,
+            description: 'Seed deposit',
+            walletId: createdWallet.id,
+            initiatedById: createdParent.id,
+            entries: {
+              create: [
+                { account: 'EXTERNAL_FUNDING', direction: 'DEBIT', amount: childData.initialBalance },
+                { account: 'WALLET', direction: 'CREDIT', amount: childData.initialBalance, walletId: createdWallet.id },
+              ],
+            },
+          },
+        });
+      }
+      
       log.wallet(`Created Wallet: ${createdWallet.balance} sats (ID: ${createdWallet.id})`);
       
       createdChildren.push({
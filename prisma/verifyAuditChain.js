@@ -0,0 +1,80 @@
+/**
+ * ============================================
+ * SatsBlox Audit Log Verification Script
+ * ============================================
+ *
+ * Purpose:
+ *   Walk the hash-chained audit_logs table from the first row and report
+ *   the first broken link (an edited, deleted, inserted or reordered row,
+ *   or an archived row its archive record doesn't account for).
+ *
+ * Execution:
+ *   npm run audit:verify
+ *   npm run audit:verify -- --anchor <hash>
+ *
+ *   --anchor: expected prevHash of the first row, when older rows have
+ *   been removed (default: the genesis hash, 64 zeros).
+ *
+ * Output:
+ *   - Intact: number of rows checked and the chain head (id + hash).
+ *     Note the head hash somewhere safe: comparing it later is how you
+ *     notice rows removed from the end of the chain.
+ *   - Broken: the first bad row, why, and the last good row. Exit code 1.
+ *
+ * ============================================
+ */
+
+const { disconnect } = require('../src/config/db');
+const auditChainService = require('../src/services/auditChainService');
+
+// ============================================
+// Logger Utility
+// ============================================
+const log = {
+  info: (msg) => console.log(`[AUDIT] ℹ️  ${msg}`),
+  success: (msg) => console.log(`[AUDIT] ✅ ${msg}`),
+  error: (msg) => console.error(`[AUDIT] ❌ ${msg}`),
+};
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const anchorIndex = argv.indexOf('--anchor');
+  const anchorHash = anchorIndex === -1 ? auditChainService.GENESIS_HASH : argv[anchorIndex + 1];
+
+  if (!/^[0-9a-f]{64}$/.test(anchorHash || '')) {
+    log.error('--anchor must be a 64-character hex hash');
+    process.exitCode = 1;
+    return;
+  }
+
+  log.info('Verifying audit log hash chain...');
+  const report = await auditChainService.verifyAuditChain({ anchorHash });
+
+  if (report.valid) {
+    log.success(`Chain intact: ${report.checkedCount} rows checked`);
+    if (report.sealedCount > 0) {
+      log.info(`${report.sealedCount} of them archived (checked against their archive's row count and rowsHash; contents checked on restore)`);
+    }
+    if (report.head) {
+      log.info(`Head: #${report.head.id} ${report.head.hash}`);
+    }
+    return;
+  }
+
+  const { brokenAt, lastValid } = report;
+  log.error(`Chain broken at row #${brokenAt.id} (${brokenAt.reason})`);
+  console.error(`  expected: ${brokenAt.expected}`);
+  console.error(`  actual:   ${brokenAt.actual}`);
+  log.info(`${report.checkedCount} rows verified before the break`);
+  log.info(lastValid ? `Last good row: #${lastValid.id} ${lastValid.hash}` : 'No good rows before the break');
+  process.exitCode = 1;
+}
+
+main()
+  .catch((err) => {
+    log.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await disconnect();
+  });
@@ -2,16 +2,284 @@
 // Manages the Prisma client singleton and database health checks.
 // This module:
 //   - Ensures a single Prisma client instance (singleton pattern)
+//   - Encrypts and decrypts sensitive fields transparently (ENCRYPTED_FIELDS)
 //   - Provides a health-check "ping" function to verify DB connectivity
 //   - Implements detailed error diagnostics (timeout, auth, not found, etc.)
 
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const encryptionService = require('../services/encryptionService');
+
+const { FIELD_TYPES } = encryptionService;
+
+// ============================================
+// Encrypted Fields
+// ============================================
+
+// Dates stored as "YYYY-MM-DD" (the time of day is dropped); read back as
+// midnight UTC
+const DATE_CODEC = {
+  encode: value => (value instanceof Date ? value.toISOString().slice(0, 10) : String(value)),
+  decode: text => new Date(`${text}T00:00:00Z`),
+  isValid: text => /^\d{4}-\d{2}-\d{2}$/.test(text) && !Number.isNaN(new Date(`${text}T00:00:00Z`).getTime()),
+};
+
+// Every column holding encryptionService ciphertexts, by Prisma model:
+//   - fieldType: classification (encryptionService.FIELD_TYPES)
+//   - blindIndex: column holding the field's blind index, written with it
+//     (lookups: encryptionService.getPhoneNumberLookup)
+//   - codec: for non-string fields, how values become plaintext and back
+//     (isValid: whether a plaintext value can be decoded)
+//   - migratedFromPlaintext: the column held plaintext before it was
+//     encrypted, so a value that isn't well-formed ciphertext (a key
+//     prefix and its payload: encryptionService.isEncryptedValue) is
+//     plaintext, not a legacy ciphertext: it is read back as is, and
+//     encrypted by keyRotationService.encryptPlaintextValues
+//
+// Through `prisma`, these fields are written as plaintext and read back
+// decrypted, including in nested writes and included relations; the
+// database only ever sees ciphertext. They can't be used in where
+// clauses (random IV): filter on the blind index instead.
+//
+// Adding a field: set migratedFromPlaintext, deploy, then encrypt the
+// existing rows (npm run encryption:encrypt). Until the job has finished
+// the API reads both, so it keeps working during a rolling deploy.
+const ENCRYPTED_FIELDS = {
+  Parent: {
+    phoneNumber: { fieldType: FIELD_TYPES.PHONE, blindIndex: 'phoneNumberIndex' },
+    fullName: { fieldType: FIELD_TYPES.NAME, migratedFromPlaintext: true },
+  },
+  Child: {
+    dateOfBirth: { fieldType: FIELD_TYPES.DATE_OF_BIRTH, codec: DATE_CODEC, migratedFromPlaintext: true },
+  },
+  PaymentIntent: {
+    phoneNumber: { fieldType: FIELD_TYPES.PHONE },
+  },
+  TotpCredential: {
+    secret: { fieldType: FIELD_TYPES.TOTP_SECRET },
+  },
+  Admin: {
+    totpSecret: { fieldType: FIELD_TYPES.TOTP_SECRET },
+  },
+};
+
+// Relation fields per model ({ Parent: { children: 'Child', ... } }), to
+// reach encrypted fields in nested writes and included relations
+const RELATIONS = Object.fromEntries(
+  Prisma.dmmf.datamodel.models.map(model => [
+    model.name,
+    Object.fromEntries(
+      model.fields.filter(field => field.kind === 'object').map(field => [field.name, field.type])
+    ),
+  ])
+);
+
+/**
+ * Apply fn to a value or to each element of an array.
+ *
+ * @param {*} value - Object or array of objects
+ * @param {Function} fn - async (object) => object
+ * @returns {Promise<*>}
+ */
+async function mapMaybeArray(value, fn) {
+  return Array.isArray(value) ? Promise.all(value.map(fn)) : fn(value);
+}
+
+/**
+ * Reject where clauses on encrypted fields: with a random IV they never
+ * match, which would fail silently.
+ *
+ * @param {string} model - Prisma model name
+ * @param {object} where - Where clause (AND / OR / NOT are checked too)
+ * @throws {Error} with code 'ENCRYPTED_FIELD_NOT_QUERYABLE'
+ */
+function assertQueryable(model, where) {
+  if (!where || typeof where !== 'object') {
+    return;
+  }
+
+  for (const [key, value] of Object.entries(where)) {
+    if (key === 'AND' || key === 'OR' || key === 'NOT') {
+      [].concat(value).forEach(condition => assertQueryable(model, condition));
+    } else if (ENCRYPTED_FIELDS[model]?.[key]) {
+      const { blindIndex } = ENCRYPTED_FIELDS[model][key];
+      const error = new Error(
+        `${model}.${key} is encrypted and can't be filtered on` +
+        (blindIndex ? `; use ${blindIndex} (blind index)` : '')
+      );
+      error.code = 'ENCRYPTED_FIELD_NOT_QUERYABLE';
+      throw error;
+    }
+  }
+}
+
+/**
+ * Encrypt the encrypted fields of create/update data (and their blind
+ * indexes), including nested writes to related models.
+ *
+ * @param {string} model - Prisma model name
+ * @param {object|object[]} data - Data as given by the caller (plaintext)
+ * @returns {Promise<object|object[]>} Data to send to the database
+ */
+async function encryptData(model, data) {
+  if (!data || typeof data !== 'object') {
+    return data;
+  }
+
+  return mapMaybeArray(data, async (row) => {
+    const encrypted = { ...row };
+
+    // ---- Step 1: This model's encrypted fields ----
+    for (const [field, { fieldType, blindIndex, codec }] of Object.entries(ENCRYPTED_FIELDS[model] || {})) {
+      if (encrypted[field] === undefined) {
+        continue;
+      }
+
+      // Updates may use { set: value }; Dates are also objects
+      const isSet = encrypted[field] !== null && typeof encrypted[field] === 'object' && 'set' in encrypted[field];
+      const value = isSet ? encrypted[field].set : encrypted[field];
+      const plaintext = codec && value !== null ? codec.encode(value) : value;
+      const ciphertext = await encryptionService.encryptField(plaintext, fieldType);
+
+      encrypted[field] = isSet ? { set: ciphertext } : ciphertext;
+      if (blindIndex) {
+        encrypted[blindIndex] = encryptionService.computeBlindIndex(plaintext, fieldType);
+      }
+    }
+
+    // ---- Step 2: Nested writes to related models ----
+    for (const [relation, target] of Object.entries(RELATIONS[model] || {})) {
+      if (encrypted[relation]) {
+        encrypted[relation] = await encryptNestedWrite(target, encrypted[relation]);
+      }
+    }
+
+    return encrypted;
+  });
+}
+
+/**
+ * Encrypt the data of a nested write ({ create, createMany, update, ... }).
+ *
+ * @param {string} model - Related model name
+ * @param {object} write - Nested write operations
+ * @returns {Promise<object>}
+ */
+async function encryptNestedWrite(model, write) {
+  const encrypted = { ...write };
+  // update/updateMany entries are { where, data }, or a to-one update's data itself
+  const withData = async (entry) => ('data' in entry ? { ...entry, data: await encryptData(model, entry.data) } : encryptData(model, entry));
+
+  if (write.create) {
+    encrypted.create = await encryptData(model, write.create);
+  }
+  if (write.createMany) {
+    encrypted.createMany = { ...write.createMany, data: await encryptData(model, write.createMany.data) };
+  }
+  if (write.connectOrCreate) {
+    encrypted.connectOrCreate = await mapMaybeArray(write.connectOrCreate, async entry => ({ ...entry, create: await encryptData(model, entry.create) }));
+  }
+  if (write.update) {
+    encrypted.update = await mapMaybeArray(write.update, withData);
+  }
+  if (write.updateMany) {
+    encrypted.updateMany = await mapMaybeArray(write.updateMany, withData);
+  }
+  if (write.upsert) {
+    encrypted.upsert = await mapMaybeArray(write.upsert, async entry => ({
+      ...entry,
+      create: await encryptData(model, entry.create),
+      update: await encryptData(model, entry.update),
+    }));
+  }
+
+  return encrypted;
+}
+
+/**
+ * Decrypt the encrypted fields of a query result, including included
+ * relations. The result is changed in place.
+ *
+ * Values of migratedFromPlaintext fields that aren't well-formed
+ * ciphertext (encryptionService.isEncryptedValue) are returned as they
+ * are: plaintext rows not encrypted yet, including one that happens to
+ * start like a key prefix.
+ *
+ * @param {string} model - Prisma model name
+ * @param {*} result - Row, rows, or anything else a query returns (count, ...)
+ * @returns {Promise<*>}
+ * @throws {Error} If a value can't be decrypted (see encryptionService.decryptField)
+ */
+async function decryptResult(model, result) {
+  if (!result || typeof result !== 'object' || result instanceof Date) {
+    return result;
+  }
+
+  return mapMaybeArray(result, async (row) => {
+    if (!row || typeof row !== 'object') {
+      return row;
+    }
+
+    for (const [field, { fieldType, codec, migratedFromPlaintext }] of Object.entries(ENCRYPTED_FIELDS[model] || {})) {
+      if (typeof row[field] === 'string') {
+        // Not encrypted yet (npm run encryption:encrypt still to run or running)
+        const plaintext = migratedFromPlaintext && !encryptionService.isEncryptedValue(row[field])
+          ? row[field]
+          : await encryptionService.decryptField(row[field], fieldType);
+        row[field] = codec && plaintext !== null ? codec.decode(plaintext) : plaintext;
+      }
+    }
+
+    for (const [relation, target] of Object.entries(RELATIONS[model] || {})) {
+      if (row[relation]) {
+        row[relation] = await decryptResult(target, row[relation]);
+      }
+    }
+
+    return row;
+  });
+}
+
+/**
+ * Prisma client extension: transparent field-level encryption.
+ *
+ * Workflow (every model, every operation):
+ *   1. Reject filters on encrypted fields
+ *   2. Encrypt encrypted fields in data / create / update (+ blind index)
+ *   3. Run the query
+ *   4. Decrypt encrypted fields in the result
+ */
+const fieldEncryption = Prisma.defineExtension({
+  name: 'fieldEncryption',
+  query: {
+    $allModels: {
+      async $allOperations({ model, args, query }) {
+        const encryptedArgs = args ? { ...args } : args;
+
+        if (encryptedArgs) {
+          assertQueryable(model, encryptedArgs.where);
+          for (const key of ['data', 'create', 'update']) {
+            if (encryptedArgs[key] !== undefined) {
+              encryptedArgs[key] = await encryptData(model, encryptedArgs[key]);
+            }
+          }
+        }
+
+        return decryptResult(model, await query(encryptedArgs));
+      },
+    },
+  },
+});
 
 // Initialize Prisma client (singleton)
-const prisma = new PrismaClient({
+// rawPrisma: values as stored (ciphertext); only for jobs that work on
+// stored values, such as re-encryption (keyRotationService)
+const rawPrisma = new PrismaClient({
   errorFormat: 'pretty', // Pretty error messages in development
 });
 
+// prisma: the client the application uses (encrypted fields in plaintext)
+const prisma = rawPrisma.$extends(fieldEncryption);
+
 /**
  * Perform a health check (ping) to verify database connectivity.
  * Attempts a simple query and returns detailed error info if it fails.
@@ -58,21 +326,18 @@ async function healthCheck() {
 
 /**
  * Disconnect from the database gracefully.
- * Call this when shutting down the server.
+ * Call this when shutting down the server: src/server.js does, on SIGTERM,
+ * once requests have drained and the audit log is flushed (there is no
+ * SIGTERM handler here, so nothing disconnects ahead of those writes).
  */
 async function disconnect() {
-  await prisma.$disconnect();
+  await rawPrisma.$disconnect();
 }
 
-// Handle graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('[SERVER] SIGTERM received. Disconnecting from database...');
-  await disconnect();
-  process.exit(0);
-});
-
 module.exports = {
   prisma,
+  rawPrisma,
+  ENCRYPTED_FIELDS,
   healthCheck,
   disconnect,
 };
@@ -9,6 +9,11 @@ const Joi = require('joi');
 // Load .env file into process.env
 dotenv.config();
 
+// AUDIT_SINKS: name[:LOW|MEDIUM|HIGH|CRITICAL], comma-separated
+const AUDIT_SINK_ENTRY = '\\s*[a-z][a-z0-9_-]*(:(LOW|MEDIUM|HIGH|CRITICAL))?\\s*';
+const AUDIT_SINKS_PATTERN = new RegExp(`^${AUDIT_SINK_ENTRY}(,${AUDIT_SINK_ENTRY})*$`);
+const AUDIT_WEBHOOK_SINK_PATTERN = /(^|,)\s*webhook\s*(:|,|$)/;
+
 // Define the schema for required environment variables.
 // Joi enforces types, presence, and valid values.
 const envSchema = Joi.object({
@@ -29,6 +34,242 @@ const envSchema = Joi.object({
   LOG_LEVEL: Joi.string()
     .valid('debug', 'info', 'warn', 'error')
     .default('info'),
+  APP_BASE_URL: Joi.string()
+    .uri({ scheme: ['http', 'https'] })
+    .default('http://localhost:3000')
+    .description('Base URL of the client app, used to build links in notifications'),
+  NOTIFIER_TRANSPORT: Joi.string()
+    .default('console')
+    .description('Notification transport: console, file, or one registered via notificationService'),
+  NOTIFIER_FILE_DIR: Joi.string()
+    .default('logs/outbox')
+    .description('Directory for the file notifier transport'),
+  PASSWORD_RESET_TOKEN_TTL_MINUTES: Joi.number()
+    .integer()
+    .min(5)
+    .max(24 * 60)
+    .default(30)
+    .description('Lifetime of password reset tokens'),
+  PASSWORD_HISTORY_SIZE: Joi.number()
+    .integer()
+    .min(1)
+    .max(24)
+    .default(5)
+    .description('Number of recent passwords (including the current one) that cannot be reused'),
+  EMAIL_VERIFICATION_TOKEN_TTL_HOURS: Joi.number()
+    .integer()
+    .min(1)
+    .max(7 * 24)
+    .default(48)
+    .description('Lifetime of email verification tokens'),
+  GUARDIAN_INVITE_TTL_HOURS: Joi.number()
+    .integer()
+    .min(1)
+    .max(30 * 24)
+    .default(7 * 24)
+    .description('Lifetime of guardian invitation links'),
+  SMS_GATEWAY: Joi.string()
+    .default('fake')
+    .description('SMS gateway: fake (local stand-in) or one registered via notificationService'),
+  PHONE_OTP_TTL_MINUTES: Joi.number()
+    .integer()
+    .min(1)
+    .max(30)
+    .default(10)
+    .description('Lifetime of SMS verification codes'),
+  PHONE_OTP_MAX_ATTEMPTS: Joi.number()
+    .integer()
+    .min(1)
+    .max(10)
+    .default(5)
+    .description('Guesses allowed per SMS verification code'),
+  PHONE_OTP_RESEND_INTERVAL_SECONDS: Joi.number()
+    .integer()
+    .min(0)
+    .max(15 * 60)
+    .default(60)
+    .description('Minimum wait between SMS verification codes'),
+  PHONE_OTP_MAX_SENDS_PER_HOUR: Joi.number()
+    .integer()
+    .min(1)
+    .max(20)
+    .default(5)
+    .description('SMS verification codes a parent can request per hour'),
+  MFA_ISSUER: Joi.string()
+    .max(50)
+    .default('SatsBlox')
+    .description('Issuer name shown in authenticator apps'),
+  MFA_CHALLENGE_TTL_SECONDS: Joi.number()
+    .integer()
+    .min(60)
+    .max(15 * 60)
+    .default(300)
+    .description('Lifetime of the MFA challenge token returned by /api/auth/login'),
+  MFA_CHALLENGE_MAX_ATTEMPTS: Joi.number()
+    .integer()
+    .min(1)
+    .max(10)
+    .default(5)
+    .description('Second factors that can be tried with one MFA challenge token'),
+  TOKEN_DENYLIST_STORE: Joi.string()
+    .default('memory')
+    .when('NODE_ENV', { is: 'production', then: Joi.string().invalid('memory').default('database') })
+    .description('Revoked access token store: memory (not in production), database (production default), or one registered via tokenDenylistService'),
+  JWT_KEYS_DIR: Joi.string()
+    .description('Directory of <kid>.pem keys for RS256/EdDSA token signing (unset: HS256 with JWT_SECRET)'),
+  JWT_ACTIVE_KID: Joi.string()
+    .when('JWT_KEYS_DIR', { is: Joi.exist(), then: Joi.required() })
+    .description('Key ID (file name in JWT_KEYS_DIR without .pem) that signs new tokens'),
+  JWT_ACCEPT_HS256: Joi.boolean()
+    .default(false)
+    .description('Migration window only: also accept tokens signed HS256 with JWT_SECRET while a keyring is configured'),
+  AUDIT_SINKS: Joi.string()
+    .allow('')
+    .pattern(AUDIT_SINKS_PATTERN)
+    .default('database,console')
+    .description('Comma-separated audit sinks, each name[:MIN_SEVERITY]: database, console, file, webhook'),
+  AUDIT_FILE_DIR: Joi.string()
+    .default('logs/audit')
+    .description('Directory for the file audit sink (daily NDJSON files)'),
+  AUDIT_FILE_MAX_BYTES: Joi.number()
+    .integer()
+    .min(1024)
+    .default(10 * 1024 * 1024)
+    .description('Size at which the file audit sink starts a new part of the day\'s file'),
+  AUDIT_WEBHOOK_URL: Joi.string()
+    .uri({ scheme: ['http', 'https'] })
+    .when('AUDIT_SINKS', { is: Joi.string().pattern(AUDIT_WEBHOOK_SINK_PATTERN), then: Joi.required() })
+    .description('Endpoint the webhook audit sink POSTs entries to'),
+  AUDIT_WEBHOOK_SECRET: Joi.string()
+    .min(16)
+    .when('AUDIT_SINKS', { is: Joi.string().pattern(AUDIT_WEBHOOK_SINK_PATTERN), then: Joi.required() })
+    .description('HMAC-SHA256 key for the X-SatsBlox-Signature header (at least 16 characters)'),
+  AUDIT_WEBHOOK_MAX_ATTEMPTS: Joi.number()
+    .integer()
+    .min(1)
+    .max(10)
+    .default(5)
+    .description('Delivery attempts per audit entry before the webhook sink gives up'),
+  AUDIT_WEBHOOK_TIMEOUT_MS: Joi.number()
+    .integer()
+    .min(100)
+    .default(5000)
+    .description('Timeout of one webhook delivery attempt'),
+  AUDIT_RETENTION_LOW_DAYS: Joi.number()
+    .integer()
+    .min(1)
+    .default(90)
+    .description('Days LOW audit events stay in the audit_logs table before archival'),
+  AUDIT_RETENTION_MEDIUM_DAYS: Joi.number()
+    .integer()
+    .min(1)
+    .default(365)
+    .description('Days MEDIUM audit events stay in the audit_logs table before archival'),
+  AUDIT_RETENTION_HIGH_DAYS: Joi.number()
+    .integer()
+    .min(1)
+    .default(3 * 365)
+    .description('Days HIGH audit events stay in the audit_logs table before archival'),
+  AUDIT_RETENTION_CRITICAL_DAYS: Joi.number()
+    .integer()
+    .min(1)
+    .default(7 * 365)
+    .description('Days CRITICAL audit events stay in the audit_logs table before archival'),
+  AUDIT_ARCHIVE_DIR: Joi.string()
+    .default('archives/audit')
+    .description('Directory for compressed audit archives and their manifests'),
+  AUDIT_RESTORE_TTL_DAYS: Joi.number()
+    .integer()
+    .min(1)
+    .default(30)
+    .description('Days restored audit rows stay readable before the archival job seals them again'),
+  KMS_PROVIDER: Joi.string()
+    .allow('')
+    .default('')
+    .description('KMS provider for envelope encryption of fields: local, or one registered via kmsService (unset: ENCRYPTION_KEY keyring)'),
+  KMS_LOCAL_KEY_FILE: Joi.string()
+    .default('secrets/kms-local.json')
+    .description('Master key file of the local KMS provider (npm run kms:local-key)'),
+  KMS_DATA_KEY_CACHE_TTL_SECONDS: Joi.number()
+    .integer()
+    .min(0)
+    .max(24 * 60 * 60)
+    .default(300)
+    .description('How long unwrapped data keys are cached in memory (0: no cache)'),
+  KMS_DATA_KEY_CACHE_MAX_ENTRIES: Joi.number()
+    .integer()
+    .min(1)
+    .default(1000)
+    .description('Most unwrapped data keys cached in memory'),
+  TRUSTED_PROXIES: Joi.string()
+    .allow('')
+    .default('')
+    .description('Comma-separated proxy IPs/CIDRs (or loopback, linklocal, uniquelocal) whose X-Forwarded-For and X-Request-Id are believed'),
+  MPESA_PROVIDER: Joi.string()
+    .allow('')
+    .default('')
+    .when('NODE_ENV', { is: 'production', then: Joi.invalid('simulator') })
+    .description('M-Pesa provider for deposits: daraja, simulator (not in production), or one registered via mpesaService (unset: deposits disabled)'),
+  MPESA_API_BASE_URL: Joi.string()
+    .uri({ scheme: ['https', 'http'] })
+    .default('https://sandbox.safaricom.co.ke')
+    .description('Daraja API base URL (https://api.safaricom.co.ke in production)'),
+  MPESA_CONSUMER_KEY: Joi.string()
+    .when('MPESA_PROVIDER', { is: 'daraja', then: Joi.required() })
+    .description('Daraja app consumer key'),
+  MPESA_CONSUMER_SECRET: Joi.string()
+    .when('MPESA_PROVIDER', { is: 'daraja', then: Joi.required() })
+    .description('Daraja app consumer secret'),
+  MPESA_SHORTCODE: Joi.string()
+    .pattern(/^\d{5,7}$/)
+    .when('MPESA_PROVIDER', { is: 'daraja', then: Joi.required() })
+    .description('Paybill or till (store) number the STK push is signed with'),
+  MPESA_PASSKEY: Joi.string()
+    .when('MPESA_PROVIDER', { is: 'daraja', then: Joi.required() })
+    .description('Lipa na M-Pesa Online passkey of MPESA_SHORTCODE'),
+  MPESA_TRANSACTION_TYPE: Joi.string()
+    .valid('CustomerPayBillOnline', 'CustomerBuyGoodsOnline')
+    .default('CustomerPayBillOnline')
+    .description('CustomerPayBillOnline for a paybill, CustomerBuyGoodsOnline for a till'),
+  MPESA_PARTY_B: Joi.string()
+    .pattern(/^\d{5,7}$/)
+    .description('Number receiving the payment when it differs from MPESA_SHORTCODE (till number of a store)'),
+  MPESA_CALLBACK_BASE_URL: Joi.string()
+    .uri({ scheme: ['https', 'http'] })
+    .default('http://localhost:3000')
+    .when('MPESA_PROVIDER', { is: 'daraja', then: Joi.string().uri({ scheme: 'https' }).required() })
+    .description('Public base URL of this API; M-Pesa posts payment results to <base>/api/payments/mpesa/callback/...'),
+  MPESA_CALLBACK_SECRET: Joi.string()
+    .min(32)
+    .when('MPESA_PROVIDER', { is: Joi.string().min(1), then: Joi.required() })
+    .description('HMAC-SHA256 key signing callback URLs (at least 32 characters)'),
+  MPESA_CALLBACK_ALLOWED_IPS: Joi.string()
+    .allow('')
+    .default('')
+    .when('MPESA_PROVIDER', { is: 'daraja', then: Joi.string().min(1).required() })
+    .description('Comma-separated IPs/CIDRs allowed to post M-Pesa callbacks (Safaricom\'s published list; unset: any)'),
+  MPESA_TIMEOUT_MS: Joi.number()
+    .integer()
+    .min(1000)
+    .default(15000)
+    .description('Timeout of one Daraja API request'),
+  MPESA_INTENT_TTL_MINUTES: Joi.number()
+    .integer()
+    .min(2)
+    .max(24 * 60)
+    .default(10)
+    .description('Minutes a deposit waits for the M-Pesa result before it is shown as expired'),
+  MPESA_SIMULATOR_DELAY_MS: Joi.number()
+    .integer()
+    .min(0)
+    .max(60 * 1000)
+    .default(3000)
+    .description('Delay before the simulator posts its callback (the time a parent takes to enter their PIN)'),
+  DEPOSIT_SATS_PER_KES: Joi.number()
+    .integer()
+    .min(1)
+    .when('MPESA_PROVIDER', { is: Joi.string().min(1), then: Joi.required() })
+    .description('Satoshis credited per Kenyan shilling deposited, fixed when the deposit starts'),
 }).unknown(true); // Allow extra env vars that aren't defined above
 
 // Validate environment on module load
@@ -49,4 +290,61 @@ module.exports = {
   databaseUrl: envVars.DATABASE_URL,
   jwtSecret: envVars.JWT_SECRET,
   logLevel: envVars.LOG_LEVEL,
+  appBaseUrl: envVars.APP_BASE_URL,
+  notifierTransport: envVars.NOTIFIER_TRANSPORT,
+  notifierFileDir: envVars.NOTIFIER_FILE_DIR,
+  passwordResetTokenTtlMinutes: envVars.PASSWORD_RESET_TOKEN_TTL_MINUTES,
+  passwordHistorySize: envVars.PASSWORD_HISTORY_SIZE,
+  emailVerificationTokenTtlHours: envVars.EMAIL_VERIFICATION_TOKEN_TTL_HOURS,
+  guardianInviteTtlHours: envVars.GUARDIAN_INVITE_TTL_HOURS,
+  smsGateway: envVars.SMS_GATEWAY,
+  phoneOtpTtlMinutes: envVars.PHONE_OTP_TTL_MINUTES,
+  phoneOtpMaxAttempts: envVars.PHONE_OTP_MAX_ATTEMPTS,
+  phoneOtpResendIntervalSeconds: envVars.PHONE_OTP_RESEND_INTERVAL_SECONDS,
+  phoneOtpMaxSendsPerHour: envVars.PHONE_OTP_MAX_SENDS_PER_HOUR,
+  mfaIssuer: envVars.MFA_ISSUER,
+  mfaChallengeTtlSeconds: envVars.MFA_CHALLENGE_TTL_SECONDS,
+  mfaChallengeMaxAttempts: envVars.MFA_CHALLENGE_MAX_ATTEMPTS,
+  tokenDenylistStore: envVars.TOKEN_DENYLIST_STORE,
+  jwtKeysDir: envVars.JWT_KEYS_DIR,
+  jwtActiveKid: envVars.JWT_ACTIVE_KID,
+  jwtAcceptHs256: envVars.JWT_ACCEPT_HS256,
+  auditSinks: envVars.AUDIT_SINKS.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [name, minSeverity = 'LOW'] = entry.split(':');
+    return { name, minSeverity };
+  }),
+  auditFileDir: envVars.AUDIT_FILE_DIR,
+  auditFileMaxBytes: envVars.AUDIT_FILE_MAX_BYTES,
+  auditWebhookUrl: envVars.AUDIT_WEBHOOK_URL,
+  auditWebhookSecret: envVars.AUDIT_WEBHOOK_SECRET,
+  auditWebhookMaxAttempts: envVars.AUDIT_WEBHOOK_MAX_ATTEMPTS,
+  auditWebhookTimeoutMs: envVars.AUDIT_WEBHOOK_TIMEOUT_MS,
+  auditRetentionDays: {
+    LOW: envVars.AUDIT_RETENTION_LOW_DAYS,
+    MEDIUM: envVars.AUDIT_RETENTION_MEDIUM_DAYS,
+    HIGH: envVars.AUDIT_RETENTION_HIGH_DAYS,
+    CRITICAL: envVars.AUDIT_RETENTION_CRITICAL_DAYS,
+  },
+  auditArchiveDir: envVars.AUDIT_ARCHIVE_DIR,
+  auditRestoreTtlDays: envVars.AUDIT_RESTORE_TTL_DAYS,
+  kmsProvider: envVars.KMS_PROVIDER,
+  kmsLocalKeyFile: envVars.KMS_LOCAL_KEY_FILE,
+  kmsDataKeyCacheTtlSeconds: envVars.KMS_DATA_KEY_CACHE_TTL_SECONDS,
+  kmsDataKeyCacheMaxEntries: envVars.KMS_DATA_KEY_CACHE_MAX_ENTRIES,
+  trustedProxies: envVars.TRUSTED_PROXIES.split(',').map(entry => entry.trim()).filter(Boolean),
+  mpesaProvider: envVars.MPESA_PROVIDER,
+  mpesaApiBaseUrl: envVars.MPESA_API_BASE_URL.replace(/\/+$/, ''),
+  mpesaConsumerKey: envVars.MPESA_CONSUMER_KEY,
+  mpesaConsumerSecret: envVars.MPESA_CONSUMER_SECRET,
+  mpesaShortcode: envVars.MPESA_SHORTCODE,
+  mpesaPasskey: envVars.MPESA_PASSKEY,
+  mpesaTransactionType: envVars.MPESA_TRANSACTION_TYPE,
+  mpesaPartyB: envVars.MPESA_PARTY_B || envVars.MPESA_SHORTCODE,
+  mpesaCallbackBaseUrl: envVars.MPESA_CALLBACK_BASE_URL.replace(/\/+$/, ''),
+  mpesaCallbackSecret: envVars.MPESA_CALLBACK_SECRET,
+  mpesaCallbackAllowedIps: envVars.MPESA_CALLBACK_ALLOWED_IPS.split(',').map(entry => entry.trim()).filter(Boolean),
+  mpesaTimeoutMs: envVars.MPESA_TIMEOUT_MS,
+  mpesaIntentTtlMinutes: envVars.MPESA_INTENT_TTL_MINUTES,
+  mpesaSimulatorDelayMs: envVars.MPESA_SIMULATOR_DELAY_MS,
+  depositSatsPerKes: envVars.DEPOSIT_SATS_PER_KES,
 };
@@ -162,6 +162,14 @@ const swaggerOptions = {
         name: 'Wallets',
         description: 'Bitcoin wallet operations (balance, transactions)',
       },
+      {
+        name: 'Payments',
+        description: 'M-Pesa payment results (called by M-Pesa, not by apps)',
+      },
+      {
+        name: 'Admin',
+        description: 'Back office (admin login, family lookup, account unlock/deactivation, audit)',
+      },
     ],
   },
 
@@ -171,6 +179,12 @@ const swaggerOptions = {
     './src/routes/parents.js',
     './src/routes/children.js',
     './src/routes/wallets.js',
+    './src/routes/wellKnownRoutes.js',
+    './src/routes/childSelfRoutes.js',
+    './src/routes/guardianRoutes.js',
+    './src/routes/adminRoutes.js',
+    './src/routes/childRoutes.js',
+    './src/routes/paymentRoutes.js',
   ],
 };
 
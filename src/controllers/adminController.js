@@ -0,0 +1,701 @@
+/**
+ * src/controllers/adminController.js
+ *
+ * HTTP Request/Response handlers for the admin back office.
+ *
+ * Purpose:
+ *   - Admin login (password step, authenticator step) and logout
+ *   - Parent search, family view, unlock, deactivation, audit history
+ *     and its CSV/NDJSON export
+ *
+ * Architecture Pattern: MVC Controllers
+ *   HTTP Request → Controller → adminService → Database → Response
+ *
+ * Security Considerations:
+ *   - Back-office handlers run after authenticate + requireAdmin, so
+ *     req.user.id is always an admin's ID (never a parent's)
+ *   - Every back-office call is audited by adminService with that ID
+ */
+
+const validators = require('../utils/validators');
+const adminService = require('../services/adminService');
+const { REQUEST_ID_PATTERN } = require('../middleware/requestContextMiddleware');
+const {
+  ACTIONS,
+  SEVERITY,
+  RESOURCE_TYPES,
+  AUDIT_EXPORT_FORMATS,
+  AUDIT_EXPORT_CONTENT_TYPES,
+} = require('../services/auditService');
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Parse a positive integer route parameter.
+ *
+ * @param {object} req - Express request object
+ * @param {string} name - Parameter name (parentId, childId)
+ * @returns {number|null} Positive integer ID, or null if malformed
+ */
+function parseIdParam(req, name) {
+  const id = parseInt(req.params[name], 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Parse an optional positive integer query parameter.
+ *
+ * @param {*} value - req.query value
+ * @returns {number|undefined|null} undefined if absent, null if malformed
+ */
+function parseOptionalId(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Parse an optional ISO 8601 date query parameter.
+ *
+ * @param {*} value - req.query value
+ * @returns {Date|undefined|null} undefined if absent, null if malformed
+ */
+function parseOptionalDate(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return null;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validate the audit search filters shared by the list and export endpoints.
+ *
+ * @param {object} query - req.query
+ * @returns {object} { filters, errors } (errors empty when valid)
+ */
+function parseAuditFilters(query) {
+  const { action, severity, resourceType, requestId } = query;
+  const errors = {};
+
+  const parentId = parseOptionalId(query.parentId);
+  if (parentId === null) {
+    errors.parentId = 'parentId must be a positive number';
+  }
+
+  const adminId = parseOptionalId(query.adminId);
+  if (adminId === null) {
+    errors.adminId = 'adminId must be a positive number';
+  }
+
+  if (action !== undefined && !Object.values(ACTIONS).includes(action)) {
+    errors.action = 'Unknown action';
+  }
+  if (severity !== undefined && !Object.values(SEVERITY).includes(severity)) {
+    errors.severity = `severity must be one of: ${Object.values(SEVERITY).join(', ')}`;
+  }
+  if (resourceType !== undefined && !Object.values(RESOURCE_TYPES).includes(resourceType)) {
+    errors.resourceType = `resourceType must be one of: ${Object.values(RESOURCE_TYPES).join(', ')}`;
+  }
+
+  if (requestId !== undefined && (typeof requestId !== 'string' || !REQUEST_ID_PATTERN.test(requestId))) {
+    errors.requestId = 'requestId must be an X-Request-Id value';
+  }
+
+  const from = parseOptionalDate(query.from);
+  if (from === null) {
+    errors.from = 'from must be an ISO 8601 date or date-time';
+  }
+
+  const to = parseOptionalDate(query.to);
+  if (to === null) {
+    errors.to = 'to must be an ISO 8601 date or date-time';
+  }
+
+  if (from && to && from > to) {
+    errors.to = 'to must not be before from';
+  }
+
+  return {
+    filters: { parentId, adminId, action, severity, resourceType, requestId, from, to },
+    errors,
+  };
+}
+
+// ============================================
+// Login Handlers
+// ============================================
+
+/**
+ * Handle POST /api/admin/auth/login request (step 1: password).
+ *
+ * HTTP Semantics:
+ *   - Status 200: Password accepted; an authenticator code is always required next
+ *   - Status 400: Validation error
+ *   - Status 401: Invalid credentials (same answer for unknown emails)
+ *   - Status 429: Account locked or rate limited
+ *
+ * Request Body:
+ *   { email: "ops@satsblox.dev", password: "..." }
+ *
+ * Success Response (200):
+ *   { message, mfaRequired: true, mfaToken, expiresIn }
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function login(req, res) {
+  try {
+    const { email, password } = req.body || {};
+
+    const validation = validators.validateLoginData({ email, password });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        message: 'Login validation failed',
+        errors: validation.errors,
+      });
+    }
+
+    const result = await adminService.loginAdmin(email, password, { ipAddress: req.ip });
+
+    return res.status(200).json({
+      message: 'Two-factor authentication required',
+      ...result,
+    });
+
+  } catch (err) {
+    if (err.code === 'INVALID_CREDENTIALS') {
+      console.warn('[ADMIN] Login failed: Invalid credentials');
+      return res.status(401).json({
+        message: 'Invalid credentials',
+      });
+    }
+
+    if (err.code === 'ACCOUNT_LOCKED') {
+      console.warn('[ADMIN] Login failed: Account locked');
+      return res.status(429).json({
+        message: err.message,
+        error: 'ACCOUNT_LOCKED',
+        lockedUntil: err.lockedUntil,
+      });
+    }
+
+    console.error('[ADMIN] Login error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to log in. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle POST /api/admin/auth/login/mfa request (step 2: authenticator code).
+ *
+ * HTTP Semantics:
+ *   - Status 200: Logged in; returns an ADMIN access token (no refresh token)
+ *   - Status 400: Validation error
+ *   - Status 401: Invalid/expired challenge or wrong code
+ *   - Status 429: Account locked or rate limited
+ *
+ * Request Body:
+ *   { mfaToken: "<from step 1>", code: "123456" }
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function loginMfa(req, res) {
+  try {
+    const { mfaToken, code } = req.body || {};
+
+    const errors = {};
+    const codeValidation = validators.validateOtpCode(code);
+    if (!codeValidation.isValid) {
+      errors.code = codeValidation.error;
+    }
+    if (!mfaToken || typeof mfaToken !== 'string') {
+      errors.mfaToken = 'MFA token is required';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        message: 'Two-factor login validation failed',
+        errors,
+      });
+    }
+
+    const { admin, accessToken, expiresIn } = await adminService.completeAdminLogin(
+      mfaToken,
+      code,
+      { ipAddress: req.ip }
+    );
+
+    return res.status(200).json({
+      message: 'Login successful',
+      admin,
+      accessToken,
+      expiresIn,
+    });
+
+  } catch (err) {
+    if (err.code === 'INVALID_MFA_TOKEN' || err.code === 'INVALID_MFA_CODE') {
+      console.warn(`[ADMIN] Two-factor login failed: ${err.code}`);
+      return res.status(401).json({
+        message: err.message,
+        error: err.code,
+      });
+    }
+
+    if (err.code === 'ACCOUNT_LOCKED') {
+      console.warn('[ADMIN] Two-factor login failed: Account locked');
+      return res.status(429).json({
+        message: err.message,
+        error: 'ACCOUNT_LOCKED',
+        lockedUntil: err.lockedUntil,
+      });
+    }
+
+    console.error('[ADMIN] Two-factor login error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to log in. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle POST /api/admin/auth/logout request.
+ *
+ * Revokes the presented access token immediately.
+ *
+ * @param {object} req - Express request object (with req.user from auth middleware)
+ * @param {object} res - Express response object
+ */
+async function logout(req, res) {
+  try {
+    await adminService.logoutAdmin(req.user.id, req.user, { ipAddress: req.ip });
+
+    return res.status(200).json({
+      message: 'Logout successful',
+    });
+
+  } catch (err) {
+    console.error('[ADMIN] Logout error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to log out. Please try again later.',
+    });
+  }
+}
+
+// ============================================
+// Back-Office Handlers
+// ============================================
+
+/**
+ * Handle GET /api/admin/parents request.
+ *
+ * Query Parameters:
+ *   - q: Email / name fragment, or a parent ID (optional)
+ *   - status: LOCKED or DEACTIVATED (optional)
+ *   - limit: Page size, 1-100 (default 20)
+ *   - cursor: Parent ID from a previous response's nextCursor
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function searchParents(req, res) {
+  try {
+    const { q, status } = req.query;
+
+    if (q !== undefined && (typeof q !== 'string' || q.trim().length === 0 || q.length > 255)) {
+      return res.status(400).json({
+        message: 'q must be a non-empty string of at most 255 characters',
+      });
+    }
+
+    if (status !== undefined && !Object.values(adminService.PARENT_STATUS_FILTERS).includes(status)) {
+      return res.status(400).json({
+        message: `status must be one of: ${Object.values(adminService.PARENT_STATUS_FILTERS).join(', ')}`,
+      });
+    }
+
+    const limit = req.query.limit === undefined ? undefined : parseInt(req.query.limit, 10);
+    if (limit !== undefined && (isNaN(limit) || limit < 1 || limit > adminService.MAX_PAGE_SIZE)) {
+      return res.status(400).json({
+        message: `limit must be a number between 1 and ${adminService.MAX_PAGE_SIZE}`,
+      });
+    }
+
+    const cursor = parseOptionalId(req.query.cursor);
+    if (cursor === null) {
+      return res.status(400).json({
+        message: 'cursor must be a positive parent ID',
+      });
+    }
+
+    const { parents, nextCursor } = await adminService.searchParents(
+      req.user.id,
+      { q, status, limit, cursor },
+      { ipAddress: req.ip }
+    );
+
+    return res.status(200).json({
+      message: 'Parents retrieved successfully',
+      count: parents.length,
+      parents,
+      nextCursor,
+    });
+
+  } catch (err) {
+    console.error('[ADMIN] Parent search error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to search parents. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle GET /api/admin/parents/:parentId request.
+ *
+ * The whole family: parent, children with wallets, guardians, security status.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function getFamily(req, res) {
+  try {
+    const parentId = parseIdParam(req, 'parentId');
+    if (!parentId) {
+      return res.status(400).json({
+        message: 'Invalid parentId format. Must be a number.',
+      });
+    }
+
+    const family = await adminService.getFamily(req.user.id, parentId, { ipAddress: req.ip });
+
+    return res.status(200).json({
+      message: 'Family retrieved successfully',
+      ...family,
+    });
+
+  } catch (err) {
+    if (err.code === 'PARENT_NOT_FOUND') {
+      return res.status(404).json({
+        message: err.message,
+      });
+    }
+
+    console.error('[ADMIN] Family view error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to retrieve family. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle POST /api/admin/parents/:parentId/unlock request.
+ *
+ * Clears lockedUntil and failedLoginAttempts so the parent can log in again.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function unlockParent(req, res) {
+  try {
+    const parentId = parseIdParam(req, 'parentId');
+    if (!parentId) {
+      return res.status(400).json({
+        message: 'Invalid parentId format. Must be a number.',
+      });
+    }
+
+    const result = await adminService.unlockParent(req.user.id, parentId, { ipAddress: req.ip });
+
+    return res.status(200).json({
+      message: 'Parent account unlocked',
+      ...result,
+    });
+
+  } catch (err) {
+    if (err.code === 'PARENT_NOT_FOUND') {
+      return res.status(404).json({
+        message: err.message,
+      });
+    }
+
+    console.error('[ADMIN] Parent unlock error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to unlock account. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle POST /api/admin/children/:childId/unlock request.
+ *
+ * Clears a child's PIN lockout (lockedUntil and failedLoginAttempts).
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function unlockChild(req, res) {
+  try {
+    const childId = parseIdParam(req, 'childId');
+    if (!childId) {
+      return res.status(400).json({
+        message: 'Invalid childId format. Must be a number.',
+      });
+    }
+
+    const result = await adminService.unlockChild(req.user.id, childId, { ipAddress: req.ip });
+
+    return res.status(200).json({
+      message: 'Child account unlocked',
+      ...result,
+    });
+
+  } catch (err) {
+    if (err.code === 'CHILD_NOT_FOUND') {
+      return res.status(404).json({
+        message: err.message,
+      });
+    }
+
+    console.error('[ADMIN] Child unlock error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to unlock account. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle POST /api/admin/parents/:parentId/deactivate request.
+ *
+ * HTTP Semantics:
+ *   - Status 200: Deactivated; the family is signed out everywhere
+ *   - Status 400: Validation error (reason required)
+ *   - Status 404: Parent not found
+ *   - Status 409: Already deactivated
+ *
+ * Request Body:
+ *   { reason: "Account takeover reported by the owner (ticket 4812)" }
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function deactivateParent(req, res) {
+  try {
+    const parentId = parseIdParam(req, 'parentId');
+    if (!parentId) {
+      return res.status(400).json({
+        message: 'Invalid parentId format. Must be a number.',
+      });
+    }
+
+    const validation = validators.validateParentDeactivationData(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: validation.errors,
+      });
+    }
+
+    const result = await adminService.deactivateParent(
+      req.user.id,
+      parentId,
+      req.body.reason,
+      { ipAddress: req.ip }
+    );
+
+    return res.status(200).json({
+      message: 'Parent account deactivated',
+      ...result,
+    });
+
+  } catch (err) {
+    if (err.code === 'PARENT_NOT_FOUND') {
+      return res.status(404).json({
+        message: err.message,
+      });
+    }
+
+    if (err.code === 'PARENT_ALREADY_DEACTIVATED') {
+      return res.status(409).json({
+        message: err.message,
+        error: err.code,
+      });
+    }
+
+    console.error('[ADMIN] Parent deactivation error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to deactivate account. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle GET /api/admin/audit-events request.
+ *
+ * Query Parameters (all optional):
+ *   - parentId: Events by or about this parent
+ *   - adminId: Events performed by this admin
+ *   - action / severity / resourceType: auditService constants
+ *   - requestId: Events written by one API request (X-Request-Id)
+ *   - from / to: ISO 8601 dates, inclusive
+ *   - cursor: nextCursor of the previous page
+ *   - limit: 1-200 (default 50)
+ *
+ * Success Response (200):
+ *   { message, count, events, nextCursor }   (nextCursor null on the last page)
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function listAuditEvents(req, res) {
+  try {
+    const { filters, errors } = parseAuditFilters(req.query);
+
+    const cursor = parseOptionalId(req.query.cursor);
+    if (cursor === null) {
+      errors.cursor = 'cursor must be a positive audit event ID';
+    }
+
+    const limit = req.query.limit === undefined ? undefined : parseInt(req.query.limit, 10);
+    if (limit !== undefined && (isNaN(limit) || limit < 1 || limit > adminService.MAX_AUDIT_EVENTS)) {
+      errors.limit = `limit must be a number between 1 and ${adminService.MAX_AUDIT_EVENTS}`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors,
+      });
+    }
+
+    const { events, nextCursor } = await adminService.getAuditHistory(
+      req.user.id,
+      filters,
+      { cursor, limit },
+      { ipAddress: req.ip }
+    );
+
+    return res.status(200).json({
+      message: 'Audit events retrieved successfully',
+      count: events.length,
+      events,
+      nextCursor,
+    });
+
+  } catch (err) {
+    console.error('[ADMIN] Audit history error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to retrieve audit events. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle GET /api/admin/audit-events/export request.
+ *
+ * Streams every matching event as a file download, newest first.
+ *
+ * Query Parameters:
+ *   - format: csv or ndjson (required)
+ *   - The filters of GET /api/admin/audit-events (no cursor or limit)
+ *
+ * HTTP Semantics:
+ *   - Status 200: File streamed (Content-Disposition: attachment)
+ *   - Status 400: Invalid format or filter
+ *
+ * An export stops after MAX_AUDIT_EXPORT_EVENTS rows and is audited as
+ * incomplete; narrow the date range to export the rest.
+ *
+ * Errors after the first byte can't change the status code, so the
+ * connection is dropped instead (the client sees a broken download,
+ * never a silently short file).
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function exportAuditEvents(req, res) {
+  try {
+    const { format } = req.query;
+    const { filters, errors } = parseAuditFilters(req.query);
+
+    if (!Object.values(AUDIT_EXPORT_FORMATS).includes(format)) {
+      errors.format = `format must be one of: ${Object.values(AUDIT_EXPORT_FORMATS).join(', ')}`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors,
+      });
+    }
+
+    const filename = `audit-events-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.status(200);
+    res.set({
+      'Content-Type': AUDIT_EXPORT_CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store',
+    });
+
+    // Respect backpressure: wait for the socket to drain before the next
+    // batch, and stop reading once the client has gone away
+    const write = (chunk) => {
+      if (res.destroyed) {
+        const error = new Error('Client closed the connection');
+        error.code = 'EXPORT_ABORTED';
+        throw error;
+      }
+      if (res.write(chunk)) {
+        return undefined;
+      }
+      return new Promise((resolve) => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+    };
+
+    await adminService.exportAuditHistory(req.user.id, filters, format, write, { ipAddress: req.ip });
+    return res.end();
+
+  } catch (err) {
+    if (err.code !== 'EXPORT_ABORTED') {
+      console.error('[ADMIN] Audit export error:', err.message, err.stack);
+    }
+
+    if (res.headersSent) {
+      return res.destroy(err);
+    }
+    return res.status(500).json({
+      message: 'Failed to export audit events. Please try again later.',
+    });
+  }
+}
+
+module.exports = {
+  login,
+  loginMfa,
+  logout,
+  searchParents,
+  getFamily,
+  unlockParent,
+  unlockChild,
+  deactivateParent,
+  listAuditEvents,
+  exportAuditEvents,
+};
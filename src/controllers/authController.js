@@ -23,8 +23,41 @@
  */
 
 const authService = require('../services/authService');
+const passwordService = require('../services/passwordService');
+const profileService = require('../services/profileService');
+const emailVerificationService = require('../services/emailVerificationService');
+const phoneVerificationService = require('../services/phoneVerificationService');
+const sessionService = require('../services/sessionService');
+const mfaService = require('../services/mfaService');
+const auditService = require('../services/auditService');
+const jwtKeyService = require('../services/jwtKeyService');
 const validators = require('../utils/validators');
 
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Collect device details recorded on the session created at sign-in.
+ *
+ * @param {object} req - Express request object
+ * @param {string} [deviceName] - Optional label supplied by the client
+ * @returns {object} { deviceName, userAgent, ipAddress }
+ */
+function getSessionContext(req, deviceName) {
+  return {
+    deviceName,
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip,
+  };
+}
+
+// Session IDs are UUIDs (see sessionService.createSession)
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// How long clients may cache /.well-known/jwks.json
+const JWKS_MAX_AGE_SECONDS = 5 * 60;
+
 // ============================================
 // Controller Functions
 // ============================================
@@ -87,12 +120,10 @@ async function register(req, res) {
 
     // ---- Step 2: Call service to register parent ----
     // Service layer handles database operations and business logic
-    const { parent, accessToken, refreshToken } = await authService.registerParent({
-      fullName,
-      email,
-      password,
-      phoneNumber,
-    });
+    const { parent, accessToken, refreshToken } = await authService.registerParent(
+      { fullName, email, password, phoneNumber },
+      getSessionContext(req)
+    );
 
     // ---- Step 3: Return success response ----
     // 201 Created: Standard HTTP status for successful resource creation
@@ -116,6 +147,15 @@ async function register(req, res) {
       });
     }
 
+    if (err.code === 'PHONE_EXISTS') {
+      // 409 Conflict: one parent account per phone number
+      console.warn('[AUTH] Registration failed: Phone number already registered');
+      return res.status(409).json({
+        message: 'Phone number already registered',
+        error: 'PHONE_EXISTS',
+      });
+    }
+
     // Any other error: 500 Server Error
     // Log full error for debugging (but don't send details to client)
     console.error('[AUTH] Registration error:', err.message, err.stack);
@@ -133,6 +173,7 @@ async function register(req, res) {
  *   - Status 200: Successfully authenticated
  *   - Status 400: Bad request (missing/invalid fields)
  *   - Status 401: Unauthorized (bad credentials)
+ *   - Status 429: Account temporarily locked (too many failed attempts)
  *   - Status 500: Server error
  * 
  * Request Body:
@@ -149,6 +190,15 @@ async function register(req, res) {
  *     refreshToken: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
  *   }
  * 
+ * Two-Factor Response (200, authenticator app enabled):
+ *   {
+ *     message: "Two-factor authentication required",
+ *     mfaRequired: true,
+ *     mfaToken: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+ *     expiresIn: 300
+ *   }
+ *   → exchange at POST /api/auth/login/mfa for access/refresh tokens
+ * 
  * Error Response (401):
  *   { message: "Invalid credentials" }
  * 
@@ -162,10 +212,10 @@ async function register(req, res) {
  */
 async function login(req, res) {
   try {
-    const { email, password } = req.body;
+    const { email, password, deviceName } = req.body;
 
     // ---- Step 1: Validate request body ----
-    const validation = validators.validateLoginData({ email, password });
+    const validation = validators.validateLoginData({ email, password, deviceName });
 
     if (!validation.isValid) {
       // Return 400 Bad Request with validation errors
@@ -176,11 +226,25 @@ async function login(req, res) {
     }
 
     // ---- Step 2: Call service to authenticate parent ----
-    const { parent, accessToken, refreshToken } = await authService.loginParent(
+    // Each login creates a new session; other devices stay signed in
+    const result = await authService.loginParent(
       email,
-      password
+      password,
+      getSessionContext(req, deviceName)
     );
 
+    // Two-factor accounts get a challenge instead of tokens
+    if (result.mfaRequired) {
+      return res.status(200).json({
+        message: 'Two-factor authentication required',
+        mfaRequired: true,
+        mfaToken: result.mfaToken,
+        expiresIn: result.expiresIn,
+      });
+    }
+
+    const { parent, accessToken, refreshToken } = result;
+
     // ---- Step 3: Return success response ----
     // 200 OK: Standard HTTP status for successful request
     return res.status(200).json({
@@ -202,6 +266,23 @@ async function login(req, res) {
       });
     }
 
+    if (err.code === 'ACCOUNT_LOCKED') {
+      console.warn('[AUTH] Login failed: Account locked');
+      return res.status(429).json({
+        message: err.message,
+        error: 'ACCOUNT_LOCKED',
+        lockedUntil: err.lockedUntil,
+      });
+    }
+
+    if (err.code === 'ACCOUNT_DEACTIVATED') {
+      console.warn('[AUTH] Login failed: Account deactivated');
+      return res.status(403).json({
+        message: err.message,
+        error: 'ACCOUNT_DEACTIVATED',
+      });
+    }
+
     // Any other error: 500 Server Error
     console.error('[AUTH] Login error:', err.message, err.stack);
     return res.status(500).json({
@@ -210,18 +291,122 @@ async function login(req, res) {
   }
 }
 
+/**
+ * Handle POST /api/auth/login/mfa request.
+ * 
+ * Second step of a two-factor login: exchange the MFA challenge token from
+ * POST /api/auth/login plus an authenticator (or recovery) code for tokens.
+ * 
+ * HTTP Semantics:
+ *   - Verb: POST (create session/tokens)
+ *   - Status 200: Successfully authenticated
+ *   - Status 400: Bad request (missing/invalid fields)
+ *   - Status 401: Unauthorized (invalid/expired challenge or wrong code)
+ *   - Status 429: Account temporarily locked (too many failed attempts)
+ *   - Status 500: Server error
+ * 
+ * Request Body:
+ *   {
+ *     mfaToken: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+ *     code: "123456"                       // or recoveryCode: "ABCD-EFGH-IJKL-MNOP"
+ *   }
+ * 
+ * Success Response (200): same as POST /api/auth/login
+ * 
+ * Security Note:
+ *   - Wrong codes count towards the same lockout as wrong passwords
+ *   - A challenge token signs in once and allows MFA_CHALLENGE_MAX_ATTEMPTS
+ *     codes (then 401 INVALID_MFA_TOKEN: log in again)
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function loginMfa(req, res) {
+  try {
+    const { mfaToken, code, recoveryCode, deviceName } = req.body;
+
+    // ---- Step 1: Validate request body ----
+    const validation = validators.validateSecondFactor({ code, recoveryCode });
+    const errors = { ...validation.errors };
+    if (!mfaToken || typeof mfaToken !== 'string') {
+      errors.mfaToken = 'MFA token is required';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        message: 'Two-factor login validation failed',
+        errors,
+      });
+    }
+
+    // ---- Step 2: Verify second factor and start session ----
+    const { parent, accessToken, refreshToken } = await authService.completeMfaLogin(
+      mfaToken,
+      { code, recoveryCode },
+      getSessionContext(req, deviceName)
+    );
+
+    // ---- Step 3: Return success response ----
+    return res.status(200).json({
+      message: 'Login successful',
+      parent,
+      accessToken,
+      refreshToken,
+    });
+
+  } catch (err) {
+    if (err.code === 'INVALID_MFA_TOKEN') {
+      console.warn('[AUTH] Two-factor login failed: Invalid MFA challenge');
+      return res.status(401).json({
+        message: 'Invalid or expired MFA challenge. Please log in again.',
+        error: 'INVALID_MFA_TOKEN',
+      });
+    }
+
+    if (err.code === 'INVALID_MFA_CODE') {
+      console.warn('[AUTH] Two-factor login failed: Invalid code');
+      return res.status(401).json({
+        message: 'Invalid authentication code',
+        error: 'INVALID_MFA_CODE',
+      });
+    }
+
+    if (err.code === 'ACCOUNT_LOCKED') {
+      console.warn('[AUTH] Two-factor login failed: Account locked');
+      return res.status(429).json({
+        message: err.message,
+        error: 'ACCOUNT_LOCKED',
+        lockedUntil: err.lockedUntil,
+      });
+    }
+
+    if (err.code === 'ACCOUNT_DEACTIVATED') {
+      console.warn('[AUTH] Two-factor login failed: Account deactivated');
+      return res.status(403).json({
+        message: err.message,
+        error: 'ACCOUNT_DEACTIVATED',
+      });
+    }
+
+    console.error('[AUTH] Two-factor login error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to log in. Please try again later.',
+    });
+  }
+}
+
 /**
  * Handle POST /api/auth/refresh request.
  * 
  * Purpose:
  *   - Allow client to get a new access token using their refresh token
- *   - Enables token rotation and extended sessions
+ *   - Rotates the refresh token (the presented one becomes invalid)
  * 
  * HTTP Semantics:
  *   - Verb: POST (create new token)
  *   - Status 200: New token issued
  *   - Status 400: Bad request (missing token)
- *   - Status 401: Unauthorized (invalid/expired token)
+ *   - Status 401: Unauthorized (invalid/expired/reused token)
  *   - Status 500: Server error
  * 
  * Request Body:
@@ -238,8 +423,13 @@ async function login(req, res) {
  *   1. Client makes request to protected endpoint with expired access token
  *   2. Middleware returns 401 with "Token expired" message
  *   3. Client calls /api/auth/refresh with their refresh token
- *   4. Server issues new access token
- *   5. Client retries original request with new access token
+ *   4. Server issues new access token AND new refresh token
+ *   5. Client stores the new refresh token (the old one is now dead)
+ *   6. Client retries original request with new access token
+ * 
+ * Reuse Detection:
+ *   - Presenting a refresh token that was already rotated revokes every
+ *     token from that login; the parent must log in again
  * 
  * @param {object} req - Express request object
  * @param {object} res - Express response object
@@ -276,6 +466,14 @@ async function refresh(req, res) {
       });
     }
 
+    if (err.code === 'TOKEN_REUSE_DETECTED') {
+      // 401 Unauthorized: Rotated token replayed; the whole family is revoked
+      console.warn('[AUTH] Token refresh failed: Refresh token reuse detected');
+      return res.status(401).json({
+        message: err.message,
+      });
+    }
+
     if (err.code === 'PARENT_NOT_FOUND') {
       // 401 Unauthorized: Parent account not found (deleted account)
       console.warn('[AUTH] Token refresh failed: Parent not found');
@@ -316,12 +514,9 @@ async function refresh(req, res) {
  *   { message: "Unauthorized - Invalid or missing token" }
  * 
  * Security Notes:
- *   - Invalidates the refresh token stored in database
+ *   - Revokes only the current session (sid claim); other devices stay signed in
  *   - Prevents the invalidated token from being used to get new access tokens
- *   - Access token cannot be revoked (stateless JWT)
- *     - Client should discard it after logout
- *     - Token remains valid for ~7 minutes (until natural expiration)
- *   - Future enhancement: implement access token denylist for immediate revocation
+ *   - The access token is denylisted and rejected immediately (401 TOKEN_REVOKED)
  * 
  * @param {object} req - Express request object (with req.user from auth middleware)
  * @param {object} res - Express response object
@@ -342,8 +537,11 @@ async function logout(req, res) {
     }
 
     // ---- Step 2: Call service to invalidate refresh token ----
-    // Service sets refreshToken to null and resets security fields
-    const result = await authService.logoutParent(parentId);
+    // Service revokes the current session and resets security fields
+    const result = await authService.logoutParent(parentId, req.user.sessionId, {
+      tokenId: req.user.tokenId,
+      expiresAt: req.user.expiresAt,
+    });
 
     // ---- Step 3: Return success response ----
     return res.status(200).json({
@@ -370,9 +568,1304 @@ async function logout(req, res) {
   }
 }
 
+/**
+ * Handle POST /api/auth/child/login request.
+ * 
+ * A child signs in with their username and the PIN their parent set
+ * (PUT /api/family/children/:childId/pin). Tokens carry role CHILD and
+ * only work on child-scoped routes (/api/child/me...).
+ * 
+ * HTTP Semantics:
+ *   - Verb: POST (create session/tokens)
+ *   - Status 200: Successfully authenticated
+ *   - Status 400: Bad request (missing/invalid fields)
+ *   - Status 401: Unauthorized (bad credentials)
+ *   - Status 429: Login temporarily locked (too many wrong PINs)
+ *   - Status 500: Server error
+ * 
+ * Request Body:
+ *   {
+ *     username: "amara-savings",
+ *     pin: "2580",
+ *     deviceName: "Amara's tablet"   // optional
+ *   }
+ * 
+ * Success Response (200):
+ *   {
+ *     message: "Login successful",
+ *     child: { id, username, avatar, colorTheme, parentId },
+ *     accessToken: "eyJhbGciOiJFZERTQSIsInR5cCI6IkpXVCJ9...",
+ *     refreshToken: "eyJhbGciOiJFZERTQSIsInR5cCI6IkpXVCJ9..."
+ *   }
+ *   → refresh with POST /api/auth/refresh (same as parents)
+ * 
+ * Security Note:
+ *   - Same "Invalid credentials" for unknown usernames, deactivated
+ *     children, children without a PIN and wrong PINs
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function loginChild(req, res) {
+  try {
+    const { username, pin, deviceName } = req.body;
+
+    // ---- Step 1: Validate request body ----
+    const validation = validators.validateChildLoginData({ username, pin, deviceName });
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        message: 'Login validation failed',
+        errors: validation.errors,
+      });
+    }
+
+    // ---- Step 2: Call service to authenticate child ----
+    const { child, accessToken, refreshToken } = await authService.loginChild(
+      username,
+      pin,
+      getSessionContext(req, deviceName)
+    );
+
+    // ---- Step 3: Return success response ----
+    return res.status(200).json({
+      message: 'Login successful',
+      child,
+      accessToken,
+      refreshToken,
+    });
+
+  } catch (err) {
+    if (err.code === 'INVALID_CREDENTIALS') {
+      console.warn('[AUTH] Child login failed: Invalid credentials');
+      return res.status(401).json({
+        message: 'Invalid credentials',
+      });
+    }
+
+    if (err.code === 'ACCOUNT_LOCKED') {
+      console.warn('[AUTH] Child login failed: Login locked');
+      return res.status(429).json({
+        message: err.message,
+        error: 'ACCOUNT_LOCKED',
+        lockedUntil: err.lockedUntil,
+      });
+    }
+
+    console.error('[AUTH] Child login error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to log in. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle POST /api/auth/child/logout request.
+ * 
+ * HTTP Semantics:
+ *   - Verb: POST (end session)
+ *   - Status 200: Logged out
+ *   - Status 401: Unauthorized (invalid token)
+ *   - Status 403: Not a child token
+ *   - Status 500: Server error
+ * 
+ * Success Response (200):
+ *   {
+ *     message: "Logout successful",
+ *     childId: 10
+ *   }
+ * 
+ * @param {object} req - Express request object (with req.user from auth middleware)
+ * @param {object} res - Express response object
+ */
+async function logoutChild(req, res) {
+  try {
+    const result = await authService.logoutChild(req.user, req.user.sessionId, {
+      tokenId: req.user.tokenId,
+      expiresAt: req.user.expiresAt,
+    });
+
+    return res.status(200).json({
+      message: result.message,
+      childId: result.childId,
+    });
+
+  } catch (err) {
+    console.error('[AUTH] Child logout error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to logout. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle POST /api/auth/password/forgot request.
+ * 
+ * HTTP Semantics:
+ *   - Verb: POST (perform action)
+ *   - Status 200: Request accepted (whether or not the email has an account)
+ *   - Status 400: Bad request (invalid email)
+ *   - Status 429: Too many requests (rate limited)
+ *   - Status 500: Server error
+ * 
+ * Request Body:
+ *   { email: "charity@example.com" }
+ * 
+ * Success Response (200):
+ *   { message: "If an account exists for that email, a password reset link has been sent." }
+ * 
+ * Security Note:
+ *   - Same response, in the same time, for known and unknown emails
+ *     (prevents enumeration): the link is sent in the background
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function forgotPassword(req, res) {
+  try {
+    const { email } = req.body;
+
+    // ---- Step 1: Validate email ----
+    const validation = validators.validateEmail(email);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        message: 'Password reset validation failed',
+        errors: { email: validation.error },
+      });
+    }
+
+    // ---- Step 2: Issue and send reset token (if account exists, in the background) ----
+    await passwordService.requestPasswordReset(email, { ipAddress: req.ip });
+
+    // ---- Step 3: Uniform response ----
+    return res.status(200).json({
+      message: 'If an account exists for that email, a password reset link has been sent.',
+    });
+
+  } catch (err) {
+    console.error('[AUTH] Forgot password error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to process password reset request. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle POST /api/auth/password/reset request.
+ * 
+ * HTTP Semantics:
+ *   - Verb: POST (perform action)
+ *   - Status 200: Password reset; every session signed out
+ *   - Status 400: Bad request (missing token, weak password, invalid/expired/used token)
+ *   - Status 429: Too many requests (rate limited)
+ *   - Status 500: Server error
+ * 
+ * Request Body:
+ *   { token: "<token from email link>", newPassword: "NewStrongPassword123!" }
+ * 
+ * Success Response (200):
+ *   { message: "Password reset successfully. Please log in with your new password." }
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function resetPassword(req, res) {
+  try {
+    const { token, newPassword } = req.body;
+
+    // ---- Step 1: Validate request body ----
+    const errors = {};
+    if (!token || typeof token !== 'string') {
+      errors.token = 'Reset token is required';
+    }
+    const passwordValidation = validators.validatePassword(newPassword);
+    if (!passwordValidation.isValid) {
+      errors.newPassword = passwordValidation.error;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        message: 'Password reset validation failed',
+        errors,
+      });
+    }
+
+    // ---- Step 2: Redeem token and set new password ----
+    await passwordService.resetPassword(token, newPassword, { ipAddress: req.ip });
+
+    // ---- Step 3: Return success response ----
+    return res.status(200).json({
+      message: 'Password reset successfully. Please log in with your new password.',
+    });
+
+  } catch (err) {
+    if (err.code === 'PASSWORD_REUSED') {
+      return res.status(400).json({
+        message: 'Password reset validation failed',
+        errors: { newPassword: err.message },
+      });
+    }
+
+    if (err.code === 'INVALID_RESET_TOKEN') {
+      // 400 (not 401): the token is request data, not a credential for this API
+      console.warn('[AUTH] Password reset failed: Invalid or expired token');
+      return res.status(400).json({
+        message: 'Invalid or expired password reset token',
+        error: 'INVALID_RESET_TOKEN',
+      });
+    }
+
+    console.error('[AUTH] Password reset error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to reset password. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle POST /api/auth/password/change request.
+ * 
+ * HTTP Semantics:
+ *   - Verb: POST (perform action)
+ *   - Status 200: Password changed; other sessions signed out
+ *   - Status 400: Validation error (weak or recently used new password)
+ *   - Status 401: Unauthorized (invalid token, or current password incorrect)
+ *   - Status 429: Too many attempts (rate limited)
+ *   - Status 500: Server error
+ * 
+ * Request Body:
+ *   { currentPassword: "StrongPassword123!", newPassword: "EvenStronger456!" }
+ * 
+ * Success Response (200):
+ *   {
+ *     message: "Password changed successfully",
+ *     revokedSessionCount: 2
+ *   }
+ * 
+ * Security Notes:
+ *   - The current session stays signed in; every other session is revoked
+ *   - Rate limited so a stolen access token can't be used to guess the password
+ * 
+ * @param {object} req - Express request object (with req.user from auth middleware)
+ * @param {object} res - Express response object
+ */
+async function changePassword(req, res) {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    // ---- Step 1: Validate request body ----
+    const errors = {};
+    if (!currentPassword || typeof currentPassword !== 'string') {
+      errors.currentPassword = 'Current password is required';
+    }
+    const passwordValidation = validators.validatePassword(newPassword);
+    if (!passwordValidation.isValid) {
+      errors.newPassword = passwordValidation.error;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        message: 'Password change validation failed',
+        errors,
+      });
+    }
+
+    // ---- Step 2: Change password, keep only this session ----
+    const result = await passwordService.changePassword(
+      req.user.id,
+      req.user.sessionId,
+      currentPassword,
+      newPassword,
+      { ipAddress: req.ip }
+    );
+
+    // ---- Step 3: Return success response ----
+    return res.status(200).json({
+      message: 'Password changed successfully',
+      revokedSessionCount: result.revokedSessionCount,
+    });
+
+  } catch (err) {
+    if (err.code === 'INVALID_CURRENT_PASSWORD') {
+      console.warn(`[AUTH] Password change failed: Wrong current password for parentId=${req.user?.id}`);
+      return res.status(401).json({
+        message: 'Current password is incorrect',
+        error: 'INVALID_CURRENT_PASSWORD',
+      });
+    }
+
+    if (err.code === 'PASSWORD_REUSED') {
+      return res.status(400).json({
+        message: 'Password change validation failed',
+        errors: { newPassword: err.message },
+      });
+    }
+
+    if (err.code === 'PARENT_NOT_FOUND') {
+      console.warn('[AUTH] Password change failed: Parent not found');
+      return res.status(401).json({
+        message: 'Parent account not found',
+      });
+    }
+
+    console.error('[AUTH] Password change error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to change password. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle PATCH /api/auth/profile request.
+ * 
+ * HTTP Semantics:
+ *   - Verb: PATCH (partial update)
+ *   - Status 200: Profile updated (or nothing to change)
+ *   - Status 400: Validation error
+ *   - Status 401: Unauthorized (invalid token)
+ *   - Status 409: Phone number belongs to another account
+ *   - Status 500: Server error
+ * 
+ * Request Body (at least one):
+ *   { fullName: "Charity Wanjiru Muigai", phoneNumber: "+254711000111" }
+ * 
+ * Success Response (200):
+ *   {
+ *     message: "Profile updated",
+ *     updatedFields: ["phoneNumber"],
+ *     parent: { id, email, fullName, phoneNumber, emailVerifiedAt, phoneVerifiedAt, createdAt }
+ *   }
+ * 
+ * Security Notes:
+ *   - A new phone number must be verified again (phoneVerifiedAt: null)
+ * 
+ * @param {object} req - Express request object (with req.user from auth middleware)
+ * @param {object} res - Express response object
+ */
+async function updateProfile(req, res) {
+  try {
+    const { fullName, phoneNumber } = req.body || {};
+
+    // ---- Step 1: Validate request body ----
+    const validation = validators.validateProfileUpdateData({ fullName, phoneNumber });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        message: 'Profile update validation failed',
+        errors: validation.errors,
+      });
+    }
+
+    // ---- Step 2: Update profile ----
+    const result = await profileService.updateProfile(
+      req.user.id,
+      { fullName, phoneNumber },
+      { ipAddress: req.ip }
+    );
+
+    // ---- Step 3: Return success response ----
+    return res.status(200).json({
+      message: result.updatedFields.length > 0 ? 'Profile updated' : 'Nothing to update',
+      updatedFields: result.updatedFields,
+      parent: result.parent,
+    });
+
+  } catch (err) {
+    if (err.code === 'PHONE_EXISTS') {
+      console.warn(`[AUTH] Profile update failed: Phone number already registered (parentId=${req.user?.id})`);
+      return res.status(409).json({
+        message: 'Phone number already registered',
+        error: 'PHONE_EXISTS',
+      });
+    }
+
+    if (err.code === 'PARENT_NOT_FOUND') {
+      console.warn('[AUTH] Profile update failed: Parent not found');
+      return res.status(401).json({
+        message: 'Parent account not found',
+      });
+    }
+
+    console.error('[AUTH] Profile update error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to update profile. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle POST /api/auth/email/verify request.
+ * 
+ * HTTP Semantics:
+ *   - Verb: POST (perform action)
+ *   - Status 200: Email address verified
+ *   - Status 400: Bad request (missing token, invalid/expired/used token)
+ *   - Status 429: Too many requests (rate limited)
+ *   - Status 500: Server error
+ * 
+ * Request Body:
+ *   { token: "<token from email link>" }
+ * 
+ * Success Response (200):
+ *   {
+ *     message: "Email address verified",
+ *     email: "charity@example.com",
+ *     emailVerifiedAt: "2024-02-18T09:00:00Z"
+ *   }
+ * 
+ * Note: No access token required; the link may be opened on any device.
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function verifyEmail(req, res) {
+  try {
+    const { token } = req.body;
+
+    // ---- Step 1: Validate request body ----
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        message: 'Email verification validation failed',
+        errors: { token: 'Verification token is required' },
+      });
+    }
+
+    // ---- Step 2: Redeem token ----
+    const result = await emailVerificationService.verifyEmail(token, { ipAddress: req.ip });
+
+    // ---- Step 3: Return success response ----
+    return res.status(200).json({
+      message: 'Email address verified',
+      email: result.email,
+      emailVerifiedAt: result.emailVerifiedAt,
+    });
+
+  } catch (err) {
+    if (err.code === 'INVALID_VERIFICATION_TOKEN') {
+      console.warn('[AUTH] Email verification failed: Invalid or expired token');
+      return res.status(400).json({
+        message: 'Invalid or expired email verification token',
+        error: 'INVALID_VERIFICATION_TOKEN',
+      });
+    }
+
+    console.error('[AUTH] Email verification error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to verify email address. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle POST /api/auth/email/verify/resend request.
+ * 
+ * HTTP Semantics:
+ *   - Verb: POST (perform action)
+ *   - Status 200: A new verification link was sent
+ *   - Status 401: Unauthorized (invalid token or parent not found)
+ *   - Status 409: Conflict (email already verified)
+ *   - Status 429: Too many requests (rate limited)
+ *   - Status 500: Server error
+ * 
+ * Success Response (200):
+ *   { message: "Verification email sent to charity@example.com" }
+ * 
+ * @param {object} req - Express request object (with req.user from auth middleware)
+ * @param {object} res - Express response object
+ */
+async function resendVerificationEmail(req, res) {
+  try {
+    await emailVerificationService.resendVerificationEmail(req.user.id, { ipAddress: req.ip });
+
+    return res.status(200).json({
+      message: `Verification email sent to ${req.user.email}`,
+    });
+
+  } catch (err) {
+    if (err.code === 'EMAIL_ALREADY_VERIFIED') {
+      return res.status(409).json({
+        message: 'Email address is already verified',
+        error: 'EMAIL_ALREADY_VERIFIED',
+      });
+    }
+
+    if (err.code === 'PARENT_NOT_FOUND') {
+      console.warn('[AUTH] Verification resend failed: Parent not found');
+      return res.status(401).json({
+        message: 'Parent account not found',
+      });
+    }
+
+    console.error('[AUTH] Verification resend error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to send verification email. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle POST /api/auth/phone/verify/request request.
+ * 
+ * Send a 6-digit verification code by SMS to the parent's phone number.
+ * 
+ * HTTP Semantics:
+ *   - Verb: POST (perform action)
+ *   - Status 200: Code sent
+ *   - Status 401: Unauthorized (invalid token or parent not found)
+ *   - Status 409: Conflict (phone number already verified)
+ *   - Status 429: Too many codes requested (retryAfter in seconds)
+ *   - Status 500: Server error
+ * 
+ * Success Response (200):
+ *   {
+ *     message: "Verification code sent",
+ *     phoneNumber: "+2547******78",
+ *     expiresAt: "2024-02-18T09:10:00Z",
+ *     resendAvailableAt: "2024-02-18T09:01:00Z"
+ *   }
+ * 
+ * @param {object} req - Express request object (with req.user from auth middleware)
+ * @param {object} res - Express response object
+ */
+async function requestPhoneVerification(req, res) {
+  try {
+    const result = await phoneVerificationService.requestPhoneVerification(
+      req.user.id,
+      { ipAddress: req.ip }
+    );
+
+    return res.status(200).json({
+      message: 'Verification code sent',
+      phoneNumber: result.maskedPhoneNumber,
+      expiresAt: result.expiresAt,
+      resendAvailableAt: result.resendAvailableAt,
+    });
+
+  } catch (err) {
+    if (err.code === 'OTP_RESEND_THROTTLED' || err.code === 'OTP_SEND_LIMIT_REACHED') {
+      return res.status(429).json({
+        message: err.code === 'OTP_RESEND_THROTTLED'
+          ? 'Please wait before requesting another code'
+          : 'Too many verification codes requested. Please try again later.',
+        error: err.code,
+        retryAfter: err.retryAfterSeconds,
+      });
+    }
+
+    if (err.code === 'PHONE_ALREADY_VERIFIED') {
+      return res.status(409).json({
+        message: 'Phone number is already verified',
+        error: 'PHONE_ALREADY_VERIFIED',
+      });
+    }
+
+    if (err.code === 'PARENT_NOT_FOUND') {
+      console.warn('[AUTH] Phone verification request failed: Parent not found');
+      return res.status(401).json({
+        message: 'Parent account not found',
+      });
+    }
+
+    console.error('[AUTH] Phone verification request error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to send verification code. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle POST /api/auth/phone/verify request.
+ * 
+ * HTTP Semantics:
+ *   - Verb: POST (perform action)
+ *   - Status 200: Phone number verified
+ *   - Status 400: Missing/malformed code, wrong code, or code expired
+ *   - Status 401: Unauthorized (invalid token)
+ *   - Status 429: Too many wrong codes (request a new code)
+ *   - Status 500: Server error
+ * 
+ * Request Body:
+ *   { code: "048213" }
+ * 
+ * Success Response (200):
+ *   { message: "Phone number verified", phoneVerifiedAt: "2024-02-18T09:02:00Z" }
+ * 
+ * Error Response (400, wrong code):
+ *   { message: "Incorrect verification code", error: "INVALID_OTP", attemptsRemaining: 3 }
+ * 
+ * @param {object} req - Express request object (with req.user from auth middleware)
+ * @param {object} res - Express response object
+ */
+async function verifyPhone(req, res) {
+  try {
+    const { code } = req.body;
+
+    // ---- Step 1: Validate request body ----
+    const validation = validators.validateOtpCode(code);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        message: 'Phone verification validation failed',
+        errors: { code: validation.error },
+      });
+    }
+
+    // ---- Step 2: Redeem code ----
+    const result = await phoneVerificationService.verifyPhone(req.user.id, code, { ipAddress: req.ip });
+
+    // ---- Step 3: Return success response ----
+    return res.status(200).json({
+      message: 'Phone number verified',
+      phoneVerifiedAt: result.phoneVerifiedAt,
+    });
+
+  } catch (err) {
+    if (err.code === 'INVALID_OTP') {
+      return res.status(400).json({
+        message: 'Incorrect verification code',
+        error: 'INVALID_OTP',
+        attemptsRemaining: err.attemptsRemaining,
+      });
+    }
+
+    if (err.code === 'OTP_EXPIRED') {
+      return res.status(400).json({
+        message: 'Verification code has expired. Please request a new one.',
+        error: 'OTP_EXPIRED',
+      });
+    }
+
+    if (err.code === 'OTP_ATTEMPTS_EXCEEDED') {
+      console.warn(`[AUTH] Phone verification blocked: Too many wrong codes for parentId=${req.user?.id}`);
+      return res.status(429).json({
+        message: 'Too many incorrect codes. Please request a new one.',
+        error: 'OTP_ATTEMPTS_EXCEEDED',
+      });
+    }
+
+    console.error('[AUTH] Phone verification error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to verify phone number. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle GET /api/auth/mfa request.
+ * 
+ * HTTP Semantics:
+ *   - Verb: GET (retrieve resource)
+ *   - Status 200: Status retrieved
+ *   - Status 401: Unauthorized (invalid token)
+ *   - Status 500: Server error
+ * 
+ * Success Response (200):
+ *   {
+ *     message: "Two-factor status retrieved",
+ *     enabled: true,
+ *     enabledAt: "2024-02-18T09:00:00Z",
+ *     enrollmentPending: false,
+ *     recoveryCodesRemaining: 9
+ *   }
+ * 
+ * @param {object} req - Express request object (with req.user from auth middleware)
+ * @param {object} res - Express response object
+ */
+async function getMfaStatus(req, res) {
+  try {
+    const status = await mfaService.getMfaStatus(req.user.id);
+
+    return res.status(200).json({
+      message: 'Two-factor status retrieved',
+      ...status,
+    });
+
+  } catch (err) {
+    console.error('[AUTH] MFA status error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to retrieve two-factor status. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle POST /api/auth/mfa/totp/enroll request.
+ * 
+ * Start authenticator enrollment. The client shows otpauthUri as a QR code
+ * (and secret for manual entry), then confirms with a first code.
+ * 
+ * HTTP Semantics:
+ *   - Verb: POST (create resource)
+ *   - Status 200: Enrollment started
+ *   - Status 401: Unauthorized (invalid token)
+ *   - Status 409: Two-factor already enabled
+ *   - Status 500: Server error
+ * 
+ * Success Response (200):
+ *   {
+ *     message: "Scan the QR code with your authenticator app, then confirm with a code",
+ *     secret: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP",
+ *     otpauthUri: "otpauth://totp/SatsBlox:charity%40example.com?secret=...&issuer=SatsBlox&..."
+ *   }
+ * 
+ * @param {object} req - Express request object (with req.user from auth middleware)
+ * @param {object} res - Express response object
+ */
+async function enrollTotp(req, res) {
+  try {
+    const { secret, otpauthUri } = await mfaService.startTotpEnrollment(req.user.id);
+
+    return res.status(200).json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri,
+    });
+
+  } catch (err) {
+    if (err.code === 'MFA_ALREADY_ENABLED') {
+      return res.status(409).json({
+        message: 'Two-factor authentication is already enabled',
+        error: 'MFA_ALREADY_ENABLED',
+      });
+    }
+
+    if (err.code === 'PARENT_NOT_FOUND') {
+      console.warn('[AUTH] MFA enrollment failed: Parent not found');
+      return res.status(401).json({
+        message: 'Parent account not found',
+      });
+    }
+
+    console.error('[AUTH] MFA enrollment error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to start two-factor enrollment. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle POST /api/auth/mfa/totp/confirm request.
+ * 
+ * Finish enrollment with a code from the authenticator app. From now on
+ * login requires a second factor.
+ * 
+ * HTTP Semantics:
+ *   - Verb: POST (perform action)
+ *   - Status 200: Two-factor enabled, recovery codes returned
+ *   - Status 400: Missing/malformed code, wrong code, or no enrollment started
+ *   - Status 401: Unauthorized (invalid token)
+ *   - Status 409: Two-factor already enabled
+ *   - Status 500: Server error
+ * 
+ * Request Body:
+ *   { code: "123456" }
+ * 
+ * Success Response (200):
+ *   {
+ *     message: "Two-factor authentication enabled",
+ *     recoveryCodes: ["ABCD-EFGH-IJKL-MNOP", ...]   // shown once; store safely
+ *   }
+ * 
+ * @param {object} req - Express request object (with req.user from auth middleware)
+ * @param {object} res - Express response object
+ */
+async function confirmTotp(req, res) {
+  try {
+    const { code } = req.body;
+
+    // ---- Step 1: Validate request body ----
+    const validation = validators.validateSecondFactor({ code });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        message: 'Two-factor confirmation validation failed',
+        errors: validation.errors,
+      });
+    }
+
+    // ---- Step 2: Confirm enrollment ----
+    const { recoveryCodes } = await mfaService.confirmTotpEnrollment(req.user.id, code, { ipAddress: req.ip });
+
+    // ---- Step 3: Return recovery codes (only time they are shown) ----
+    return res.status(200).json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+    });
+
+  } catch (err) {
+    if (err.code === 'INVALID_MFA_CODE') {
+      return res.status(400).json({
+        message: 'Invalid authentication code',
+        error: 'INVALID_MFA_CODE',
+      });
+    }
+
+    if (err.code === 'MFA_NOT_ENROLLED') {
+      return res.status(400).json({
+        message: 'Start enrollment before confirming',
+        error: 'MFA_NOT_ENROLLED',
+      });
+    }
+
+    if (err.code === 'MFA_ALREADY_ENABLED') {
+      return res.status(409).json({
+        message: 'Two-factor authentication is already enabled',
+        error: 'MFA_ALREADY_ENABLED',
+      });
+    }
+
+    console.error('[AUTH] MFA confirmation error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to enable two-factor authentication. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle POST /api/auth/mfa/totp/disable request.
+ * 
+ * HTTP Semantics:
+ *   - Verb: POST (perform action)
+ *   - Status 200: Two-factor disabled
+ *   - Status 400: Missing/invalid fields, or two-factor not enabled
+ *   - Status 401: Unauthorized (invalid token, wrong password or wrong code)
+ *   - Status 500: Server error
+ * 
+ * Request Body:
+ *   {
+ *     password: "CurrentPassword123",
+ *     code: "123456"                       // or recoveryCode: "ABCD-EFGH-IJKL-MNOP"
+ *   }
+ * 
+ * Security Note:
+ *   - Requires the password AND a second factor, so a stolen access token
+ *     alone can't remove two-factor protection
+ * 
+ * @param {object} req - Express request object (with req.user from auth middleware)
+ * @param {object} res - Express response object
+ */
+async function disableTotp(req, res) {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    // ---- Step 1: Validate request body ----
+    const validation = validators.validateSecondFactor({ code, recoveryCode });
+    const errors = { ...validation.errors };
+    if (!password || typeof password !== 'string') {
+      errors.password = 'Current password is required';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        message: 'Two-factor disable validation failed',
+        errors,
+      });
+    }
+
+    // ---- Step 2: Disable ----
+    await mfaService.disableTotp(req.user.id, password, { code, recoveryCode }, { ipAddress: req.ip });
+
+    return res.status(200).json({
+      message: 'Two-factor authentication disabled',
+    });
+
+  } catch (err) {
+    if (err.code === 'INVALID_CURRENT_PASSWORD') {
+      console.warn(`[AUTH] MFA disable failed: Wrong password for parentId=${req.user?.id}`);
+      return res.status(401).json({
+        message: 'Current password is incorrect',
+        error: 'INVALID_CURRENT_PASSWORD',
+      });
+    }
+
+    if (err.code === 'INVALID_MFA_CODE') {
+      return res.status(401).json({
+        message: 'Invalid authentication code',
+        error: 'INVALID_MFA_CODE',
+      });
+    }
+
+    if (err.code === 'MFA_NOT_ENABLED') {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled',
+        error: 'MFA_NOT_ENABLED',
+      });
+    }
+
+    if (err.code === 'PARENT_NOT_FOUND') {
+      console.warn('[AUTH] MFA disable failed: Parent not found');
+      return res.status(401).json({
+        message: 'Parent account not found',
+      });
+    }
+
+    console.error('[AUTH] MFA disable error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to disable two-factor authentication. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle POST /api/auth/mfa/recovery-codes request.
+ * 
+ * Replace all recovery codes (old ones stop working).
+ * 
+ * HTTP Semantics:
+ *   - Verb: POST (create resource)
+ *   - Status 200: New recovery codes returned
+ *   - Status 400: Missing/malformed code, or two-factor not enabled
+ *   - Status 401: Unauthorized (invalid token or wrong code)
+ *   - Status 500: Server error
+ * 
+ * Request Body:
+ *   { code: "123456" }
+ * 
+ * Success Response (200):
+ *   { message: "Recovery codes regenerated", recoveryCodes: ["ABCD-EFGH-IJKL-MNOP", ...] }
+ * 
+ * @param {object} req - Express request object (with req.user from auth middleware)
+ * @param {object} res - Express response object
+ */
+async function regenerateRecoveryCodes(req, res) {
+  try {
+    const { code } = req.body;
+
+    // ---- Step 1: Validate request body ----
+    const validation = validators.validateSecondFactor({ code });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        message: 'Recovery code regeneration validation failed',
+        errors: validation.errors,
+      });
+    }
+
+    // ---- Step 2: Replace codes ----
+    const { recoveryCodes } = await mfaService.regenerateRecoveryCodes(req.user.id, code, { ipAddress: req.ip });
+
+    return res.status(200).json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes,
+    });
+
+  } catch (err) {
+    if (err.code === 'INVALID_MFA_CODE') {
+      return res.status(401).json({
+        message: 'Invalid authentication code',
+        error: 'INVALID_MFA_CODE',
+      });
+    }
+
+    if (err.code === 'MFA_NOT_ENABLED') {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled',
+        error: 'MFA_NOT_ENABLED',
+      });
+    }
+
+    console.error('[AUTH] Recovery code regeneration error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to regenerate recovery codes. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle GET /api/auth/sessions request.
+ * 
+ * List the parent's active sessions (signed-in devices).
+ * 
+ * HTTP Semantics:
+ *   - Verb: GET (retrieve resource)
+ *   - Status 200: Sessions retrieved
+ *   - Status 401: Unauthorized (invalid or missing token)
+ *   - Status 500: Server error
+ * 
+ * Success Response (200):
+ *   {
+ *     message: "Sessions retrieved successfully",
+ *     count: 2,
+ *     sessions: [
+ *       {
+ *         id: "5b0f3c5e-...",
+ *         deviceName: "Charity's phone",
+ *         userAgent: "Mozilla/5.0 ...",
+ *         ipAddress: "197.248.10.1",
+ *         createdAt: "2024-02-17T10:30:00Z",
+ *         lastUsedAt: "2024-02-18T08:00:00Z",
+ *         current: true
+ *       },
+ *       ...
+ *     ]
+ *   }
+ * 
+ * @param {object} req - Express request object (with req.user from auth middleware)
+ * @param {object} res - Express response object
+ */
+async function listSessions(req, res) {
+  try {
+    const sessions = await sessionService.listActiveSessions(
+      req.user.id,
+      req.user.sessionId
+    );
+
+    return res.status(200).json({
+      message: 'Sessions retrieved successfully',
+      count: sessions.length,
+      sessions,
+    });
+
+  } catch (err) {
+    console.error('[AUTH] List sessions error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to retrieve sessions. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle DELETE /api/auth/sessions/:sessionId request.
+ * 
+ * Sign out one device. Revoking the current session is allowed
+ * (equivalent to logout).
+ * 
+ * HTTP Semantics:
+ *   - Verb: DELETE (end resource)
+ *   - Status 200: Session revoked
+ *   - Status 400: Malformed session ID
+ *   - Status 401: Unauthorized (invalid or missing token)
+ *   - Status 404: Session not found, not owned, or already ended
+ *   - Status 500: Server error
+ * 
+ * Security Notes:
+ *   - The device's refresh tokens stop working immediately
+ *   - Its access tokens are denylisted and rejected immediately
+ * 
+ * @param {object} req - Express request object (with req.user from auth middleware)
+ * @param {object} res - Express response object
+ */
+async function revokeSession(req, res) {
+  try {
+    const { sessionId } = req.params;
+
+    // ---- Step 1: Validate session ID format ----
+    if (!SESSION_ID_PATTERN.test(sessionId)) {
+      return res.status(400).json({
+        message: 'Invalid session ID',
+      });
+    }
+
+    // ---- Step 2: Revoke (scoped to the authenticated parent) ----
+    await sessionService.revokeSession(req.user.id, sessionId);
+
+    // ---- Step 3: Audit ----
+    try {
+      auditService.logSessionRevoked(req.user.id, [sessionId], req.user.sessionId, req.ip);
+    } catch (logErr) {
+      console.warn('[AUTH] Audit logging failed for session revocation:', logErr.message);
+    }
+
+    return res.status(200).json({
+      message: 'Session revoked successfully',
+      sessionId,
+    });
+
+  } catch (err) {
+    if (err.code === 'SESSION_NOT_FOUND') {
+      // 404 for not-owned too, so session IDs of other parents can't be probed
+      console.warn(`[AUTH] Revoke session failed: ${req.params.sessionId} not found for parentId=${req.user?.id}`);
+      return res.status(404).json({
+        message: 'Session not found',
+      });
+    }
+
+    console.error('[AUTH] Revoke session error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to revoke session. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle POST /api/auth/sessions/revoke-others request.
+ * 
+ * "Log out everywhere else": revoke every session except the current one.
+ * 
+ * HTTP Semantics:
+ *   - Verb: POST (perform action)
+ *   - Status 200: Other sessions revoked (possibly none)
+ *   - Status 400: Access token has no session (issued before sessions existed)
+ *   - Status 401: Unauthorized (invalid or missing token)
+ *   - Status 500: Server error
+ * 
+ * Success Response (200):
+ *   {
+ *     message: "Signed out of 2 other session(s)",
+ *     revokedCount: 2,
+ *     revokedSessionIds: ["...", "..."]
+ *   }
+ * 
+ * @param {object} req - Express request object (with req.user from auth middleware)
+ * @param {object} res - Express response object
+ */
+async function revokeOtherSessions(req, res) {
+  try {
+    const { id: parentId, sessionId } = req.user;
+
+    // Without a current session we can't tell which one to keep
+    if (!sessionId) {
+      return res.status(400).json({
+        message: 'Current session unknown. Please log in again.',
+      });
+    }
+
+    const revokedSessionIds = await sessionService.revokeOtherSessions(parentId, sessionId);
+
+    try {
+      auditService.logSessionRevoked(parentId, revokedSessionIds, sessionId, req.ip);
+    } catch (logErr) {
+      console.warn('[AUTH] Audit logging failed for session revocation:', logErr.message);
+    }
+
+    return res.status(200).json({
+      message: `Signed out of ${revokedSessionIds.length} other session(s)`,
+      revokedCount: revokedSessionIds.length,
+      revokedSessionIds,
+    });
+
+  } catch (err) {
+    console.error('[AUTH] Revoke other sessions error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to revoke sessions. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle GET /api/auth/activity request.
+ * 
+ * Security events on the caller's own account and children, newest
+ * first (see auditService.getAccountActivity for what is included).
+ * 
+ * HTTP Semantics:
+ *   - Verb: GET (read-only)
+ *   - Status 200: One page of activity (possibly empty)
+ *   - Status 400: Malformed cursor or limit
+ *   - Status 401: Unauthorized (invalid or missing token)
+ *   - Status 500: Server error
+ * 
+ * Query Parameters (all optional):
+ *   - cursor: nextCursor of the previous page
+ *   - limit: 1-100 (default 20)
+ * 
+ * Success Response (200):
+ *   {
+ *     message: "Activity retrieved successfully",
+ *     count: 1,
+ *     events: [
+ *       {
+ *         id: 1042,
+ *         timestamp: "2024-02-18T08:00:00.000Z",
+ *         action: "LOGIN_FAILED",
+ *         severity: "MEDIUM",
+ *         result: "FAILURE",
+ *         resourceType: "AUTH",
+ *         resourceId: 1,
+ *         byYou: false,
+ *         ipAddress: "197.248.10.1",
+ *         userAgent: "Mozilla/5.0 ..."
+ *       }
+ *     ],
+ *     nextCursor: null
+ *   }
+ * 
+ * @param {object} req - Express request object (with req.user from auth middleware)
+ * @param {object} res - Express response object
+ */
+async function listActivity(req, res) {
+  try {
+    // ---- Step 1: Validate paging ----
+    const cursor = req.query.cursor === undefined ? undefined : parseInt(req.query.cursor, 10);
+    if (cursor !== undefined && (!Number.isInteger(cursor) || cursor < 1)) {
+      return res.status(400).json({
+        message: 'cursor must be a positive activity event ID',
+      });
+    }
+
+    const limit = req.query.limit === undefined ? undefined : parseInt(req.query.limit, 10);
+    if (limit !== undefined && (isNaN(limit) || limit < 1 || limit > auditService.MAX_ACTIVITY_PAGE_SIZE)) {
+      return res.status(400).json({
+        message: `limit must be a number between 1 and ${auditService.MAX_ACTIVITY_PAGE_SIZE}`,
+      });
+    }
+
+    // ---- Step 2: Read the caller's own activity ----
+    const { events, nextCursor } = await auditService.getAccountActivity(req.user.id, { cursor, limit });
+
+    return res.status(200).json({
+      message: 'Activity retrieved successfully',
+      count: events.length,
+      events,
+      nextCursor,
+    });
+
+  } catch (err) {
+    console.error('[AUTH] List activity error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to retrieve activity. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle GET /.well-known/jwks.json request.
+ * 
+ * Publish the public keys that verify our access/refresh tokens, so other
+ * services can check them without sharing a secret. Retired keys stay
+ * listed until removed from the keyring.
+ * 
+ * HTTP Semantics:
+ *   - Verb: GET (public, no authentication)
+ *   - Status 200: Key set (empty when tokens are signed with JWT_SECRET)
+ *   - Cache-Control: clients may cache for JWKS_MAX_AGE_SECONDS; after a
+ *     rotation, a new kid they haven't seen means "refetch"
+ * 
+ * Success Response (200):
+ *   {
+ *     keys: [
+ *       { kty: "OKP", crv: "Ed25519", x: "11qYAYKxCrfVS...", kid: "2024-06", alg: "EdDSA", use: "sig" }
+ *     ]
+ *   }
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+function getJwks(req, res) {
+  res.set('Cache-Control', `public, max-age=${JWKS_MAX_AGE_SECONDS}`);
+  return res.status(200).json(jwtKeyService.getJwks());
+}
+
 module.exports = {
   register,
   login,
+  loginMfa,
   refresh,
   logout,
+  loginChild,
+  logoutChild,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  updateProfile,
+  verifyEmail,
+  resendVerificationEmail,
+  requestPhoneVerification,
+  verifyPhone,
+  getMfaStatus,
+  enrollTotp,
+  confirmTotp,
+  disableTotp,
+  regenerateRecoveryCodes,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  listActivity,
+  getJwks,
 };
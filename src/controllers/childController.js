@@ -17,6 +17,8 @@
  *   - Automatic parent association from JWT (no spoofing)
  *   - Parental listing (only authenticated parent's children)
  *   - Child details retrieval (with ownership verification)
+ *   - Child login PIN set/reset by the parent
+ *   - Child self-service (own profile and wallet, role CHILD)
  * 
  * Security Considerations:
  *   - parentId extracted from JWT, never from request body
@@ -27,6 +29,8 @@
 
 const { prisma } = require('../config/db');
 const validators = require('../utils/validators');
+const authService = require('../services/authService');
+const sessionService = require('../services/sessionService');
 
 // ============================================
 // Controller Functions
@@ -159,7 +163,7 @@ async function createChild(req, res) {
       const newChild = await tx.child.create({
         data: {
           username: username.toLowerCase().trim(), // Normalize for consistency
-          dateOfBirth: new Date(dateOfBirth), // Convert ISO string to Date
+          dateOfBirth: new Date(dateOfBirth), // Convert ISO string to Date (encrypted by the client)
           parentId: parentId, // Link to authenticated parent
           // ---- Gamification Metadata (optional) ----
           // avatar can be:
@@ -438,7 +442,7 @@ async function listMyChildren(req, res) {
  *   3. getChild - This controller (only runs if ownership valid)
  * 
  * Data Sensitivity:
- *   - Child.dateOfBirth - Not extremely sensitive
+ *   - Child.dateOfBirth - Personal data, encrypted at rest (decrypted by the client)
  *   - Wallet.balance - Sensitive financial data
  *   - Ownership verification is critical
  * 
@@ -494,9 +498,14 @@ async function getChild(req, res) {
     }
 
     // ---- Step 4: Return success response ----
+    // access: how the caller is linked to the child (owner or guardian)
     return res.status(200).json({
       message: 'Child details retrieved successfully',
       child,
+      access: {
+        role: req.childAccess.role,
+        permissions: req.childAccess.permissions,
+      },
     });
 
   } catch (err) {
@@ -797,7 +806,14 @@ async function deactivateChild(req, res) {
       },
     });
 
-    // ---- Step 4: Log deactivation for audit trail ----
+    // ---- Step 4: Sign the child out of every device ----
+    await sessionService.revokeChildSessions(
+      parentId,
+      childId,
+      sessionService.REVOCATION_REASONS.CHILD_DEACTIVATED
+    );
+
+    // ---- Step 5: Log deactivation for audit trail ----
     // TODO: Add audit logging
     // logSecurityEvent(`CHILD_DEACTIVATED`, parentId, childId, `Child ${username} deactivated`)
     console.log('[CHILD] Child deactivated:', {
@@ -807,7 +823,7 @@ async function deactivateChild(req, res) {
       timestamp: new Date().toISOString(),
     });
 
-    // ---- Step 5: Return success response ----
+    // ---- Step 6: Return success response ----
     return res.status(200).json({
       message: 'Child deactivated successfully',
       child: {
@@ -838,10 +854,183 @@ async function deactivateChild(req, res) {
   }
 }
 
+/**
+ * Handle PUT /api/family/children/:childId/pin request.
+ * 
+ * Set or reset the PIN the child logs in with (POST /api/auth/child/login).
+ * Also lifts a child login lockout and signs the child out of every
+ * device, so a forgotten or leaked PIN is fixed in one step.
+ * 
+ * HTTP Semantics:
+ *   - Verb: PUT (replace the PIN)
+ *   - Status 200: PIN set
+ *   - Status 400: Bad request (weak or malformed PIN)
+ *   - Status 404: Child not found (or not owned)
+ *   - Status 500: Server error
+ * 
+ * Request Body:
+ *   { pin: "2580" }
+ * 
+ * Success Response (200):
+ *   {
+ *     message: "PIN updated. The child can now log in with the new PIN.",
+ *     childId: 10,
+ *     pinUpdatedAt: "2024-02-18T09:00:00Z",
+ *     revokedSessionCount: 1
+ *   }
+ * 
+ * @param {object} req - Express request object (with req.child attached by middleware)
+ * @param {object} res - Express response object
+ */
+async function setChildPin(req, res) {
+  try {
+    // ---- Step 1: Validate PIN ----
+    const validation = validators.validateChildPin(req.body?.pin);
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        message: 'Invalid PIN',
+        errors: { pin: validation.error },
+      });
+    }
+
+    // ---- Step 2: Store PIN, unlock, sign the child out ----
+    const result = await authService.setChildPin(req.user.id, req.child.id, req.body.pin, {
+      ipAddress: req.ip,
+    });
+
+    // ---- Step 3: Return success response ----
+    return res.status(200).json({
+      message: 'PIN updated. The child can now log in with the new PIN.',
+      ...result,
+    });
+
+  } catch (err) {
+    if (err.code === 'CHILD_NOT_FOUND') {
+      return res.status(404).json({
+        message: 'Child not found',
+      });
+    }
+
+    console.error('[CHILD] Set PIN error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to update PIN. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle GET /api/child/me request.
+ * 
+ * The signed-in child's own profile (role CHILD).
+ * 
+ * HTTP Semantics:
+ *   - Verb: GET (retrieve resource)
+ *   - Status 200: Profile retrieved
+ *   - Status 401 / 403: Not signed in as a child
+ *   - Status 404: Child deactivated
+ *   - Status 500: Server error
+ * 
+ * Success Response (200):
+ *   {
+ *     message: "Profile retrieved successfully",
+ *     child: { id, username, dateOfBirth, avatar, colorTheme, createdAt }
+ *   }
+ * 
+ * @param {object} req - Express request object (with req.child from loadOwnChild)
+ * @param {object} res - Express response object
+ */
+async function getMyProfile(req, res) {
+  try {
+    const child = await prisma.child.findUnique({
+      where: { id: req.child.id },
+      select: {
+        id: true,
+        username: true,
+        dateOfBirth: true,
+        avatar: true,
+        colorTheme: true,
+        createdAt: true,
+      },
+    });
+
+    return res.status(200).json({
+      message: 'Profile retrieved successfully',
+      child,
+    });
+
+  } catch (err) {
+    console.error('[CHILD] Get own profile error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to retrieve profile. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle GET /api/child/me/wallet request.
+ * 
+ * The signed-in child's own wallet balance (role CHILD). History is at
+ * GET /api/child/me/transactions.
+ * 
+ * HTTP Semantics:
+ *   - Verb: GET (retrieve resource)
+ *   - Status 200: Wallet retrieved
+ *   - Status 401 / 403: Not signed in as a child
+ *   - Status 404: Child deactivated or wallet missing
+ *   - Status 500: Server error
+ * 
+ * Success Response (200):
+ *   {
+ *     message: "Wallet retrieved successfully",
+ *     wallet: { id: 100, balance: "12500", updatedAt: "2024-02-18T09:00:00Z" }
+ *   }
+ * 
+ * @param {object} req - Express request object (with req.child from loadOwnChild)
+ * @param {object} res - Express response object
+ */
+async function getMyWallet(req, res) {
+  try {
+    const wallet = await prisma.wallet.findUnique({
+      where: { childId: req.child.id },
+      select: {
+        id: true,
+        balance: true,
+        updatedAt: true,
+      },
+    });
+
+    if (!wallet) {
+      console.warn(`[CHILD] Wallet missing for childId=${req.child.id}`);
+      return res.status(404).json({
+        message: 'Wallet not found',
+      });
+    }
+
+    // BigInt → string (JSON-safe, keeps satoshi precision)
+    return res.status(200).json({
+      message: 'Wallet retrieved successfully',
+      wallet: {
+        ...wallet,
+        balance: wallet.balance.toString(),
+      },
+    });
+
+  } catch (err) {
+    console.error('[CHILD] Get own wallet error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to retrieve wallet. Please try again later.',
+    });
+  }
+}
+
 module.exports = {
   createChild,
   listMyChildren,
   getChild,
   getDashboard,
   deactivateChild,
+  setChildPin,
+  getMyProfile,
+  getMyWallet,
 };
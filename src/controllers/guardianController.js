@@ -0,0 +1,360 @@
+/**
+ * src/controllers/guardianController.js
+ *
+ * HTTP Request/Response handlers for guardian invitations.
+ *
+ * Purpose:
+ *   - Owning parents: invite, list, re-permission and remove a child's guardians
+ *   - Invitees: accept or decline an invitation; list the children they guard
+ *
+ * Architecture Pattern: MVC Controllers
+ *   HTTP Request → Controller → guardianService → Database → Response
+ *
+ * Security Considerations:
+ *   - Owner endpoints run after verifyParentalLink (owner only), so
+ *     req.child is always the signed-in parent's own child
+ *   - Invitation tokens arrive in the body, never in the URL (kept out of logs)
+ */
+
+const validators = require('../utils/validators');
+const guardianService = require('../services/guardianService');
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Parse the :guardianshipId route parameter.
+ *
+ * @param {object} req - Express request object
+ * @returns {number|null} Positive integer ID, or null if malformed
+ */
+function parseGuardianshipId(req) {
+  const guardianshipId = parseInt(req.params.guardianshipId, 10);
+  return Number.isInteger(guardianshipId) && guardianshipId > 0 ? guardianshipId : null;
+}
+
+// ============================================
+// Owner Handlers
+// ============================================
+
+/**
+ * Handle POST /api/family/children/:childId/guardians request.
+ *
+ * HTTP Semantics:
+ *   - Verb: POST (create invitation)
+ *   - Status 201: Invitation sent
+ *   - Status 400: Validation error or inviting yourself
+ *   - Status 404: Child not found (or not owned, or deactivated)
+ *   - Status 409: Already a guardian, or guardian limit reached
+ *   - Status 500: Server error
+ *
+ * Request Body:
+ *   { email: "grandma@example.com", canDeposit: true, canApproveWithdrawals: false }
+ *
+ * Success Response (201):
+ *   {
+ *     message: "Invitation sent to grandma@example.com",
+ *     guardian: { id: 3, email, status: "PENDING", permissions: ["VIEW", "DEPOSIT"], ... }
+ *   }
+ *
+ * @param {object} req - Express request object (with req.child attached by middleware)
+ * @param {object} res - Express response object
+ */
+async function inviteGuardian(req, res) {
+  try {
+    // ---- Step 1: Validate input ----
+    const validation = validators.validateGuardianInvitationData(req.body);
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: validation.errors,
+      });
+    }
+
+    // ---- Step 2: Create invitation and email it ----
+    const guardian = await guardianService.inviteGuardian(req.user.id, req.child.id, req.body, {
+      ipAddress: req.ip,
+    });
+
+    return res.status(201).json({
+      message: `Invitation sent to ${guardian.email}`,
+      guardian,
+    });
+
+  } catch (err) {
+    if (err.code === 'GUARDIAN_INVITE_SELF') {
+      return res.status(400).json({
+        message: err.message,
+        error: err.code,
+      });
+    }
+
+    if (err.code === 'CHILD_NOT_FOUND') {
+      return res.status(404).json({
+        message: 'Child not found',
+      });
+    }
+
+    if (err.code === 'GUARDIAN_ALREADY_LINKED' || err.code === 'GUARDIAN_LIMIT_REACHED') {
+      return res.status(409).json({
+        message: err.message,
+        error: err.code,
+      });
+    }
+
+    console.error('[GUARDIAN] Invite error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to send invitation. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle GET /api/family/children/:childId/guardians request.
+ *
+ * Lists accepted guardians and pending invitations (expired ones are
+ * flagged with expired = true; re-invite to send a fresh link).
+ *
+ * @param {object} req - Express request object (with req.child attached by middleware)
+ * @param {object} res - Express response object
+ */
+async function listGuardians(req, res) {
+  try {
+    const guardians = await guardianService.listGuardians(req.child.id);
+
+    return res.status(200).json({
+      message: 'Guardians retrieved successfully',
+      count: guardians.length,
+      guardians,
+    });
+
+  } catch (err) {
+    console.error('[GUARDIAN] List error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to retrieve guardians. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle PATCH /api/family/children/:childId/guardians/:guardianshipId request.
+ *
+ * HTTP Semantics:
+ *   - Status 200: Permissions updated
+ *   - Status 400: Validation error
+ *   - Status 404: Guardian not found for this child
+ *
+ * Request Body:
+ *   { canDeposit: false, canApproveWithdrawals: true }
+ *
+ * @param {object} req - Express request object (with req.child attached by middleware)
+ * @param {object} res - Express response object
+ */
+async function updateGuardianPermissions(req, res) {
+  try {
+    const guardianshipId = parseGuardianshipId(req);
+    if (!guardianshipId) {
+      return res.status(400).json({
+        message: 'Invalid guardianshipId format. Must be a number.',
+      });
+    }
+
+    const validation = validators.validateGuardianPermissionsData(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: validation.errors,
+      });
+    }
+
+    const guardian = await guardianService.updateGuardianPermissions(
+      req.user.id,
+      req.child.id,
+      guardianshipId,
+      req.body,
+      { ipAddress: req.ip }
+    );
+
+    return res.status(200).json({
+      message: 'Guardian permissions updated',
+      guardian,
+    });
+
+  } catch (err) {
+    if (err.code === 'GUARDIANSHIP_NOT_FOUND') {
+      return res.status(404).json({
+        message: err.message,
+      });
+    }
+
+    console.error('[GUARDIAN] Update permissions error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to update guardian permissions. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle DELETE /api/family/children/:childId/guardians/:guardianshipId request.
+ *
+ * Removes a guardian or cancels a pending invitation. The guardian loses
+ * access on their next request.
+ *
+ * @param {object} req - Express request object (with req.child attached by middleware)
+ * @param {object} res - Express response object
+ */
+async function revokeGuardian(req, res) {
+  try {
+    const guardianshipId = parseGuardianshipId(req);
+    if (!guardianshipId) {
+      return res.status(400).json({
+        message: 'Invalid guardianshipId format. Must be a number.',
+      });
+    }
+
+    const result = await guardianService.revokeGuardian(req.user.id, req.child.id, guardianshipId, {
+      ipAddress: req.ip,
+    });
+
+    return res.status(200).json({
+      message: 'Guardian removed',
+      ...result,
+    });
+
+  } catch (err) {
+    if (err.code === 'GUARDIANSHIP_NOT_FOUND') {
+      return res.status(404).json({
+        message: err.message,
+      });
+    }
+
+    console.error('[GUARDIAN] Revoke error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to remove guardian. Please try again later.',
+    });
+  }
+}
+
+// ============================================
+// Invitee Handlers
+// ============================================
+
+/**
+ * Handle POST /api/family/guardianships/accept request.
+ *
+ * HTTP Semantics:
+ *   - Status 200: Invitation accepted; the child now appears in GET /api/family/guardianships
+ *   - Status 400: Invalid, expired or already answered invitation
+ *   - Status 403: Signed in with a different email address than the one invited
+ *
+ * Request Body:
+ *   { token: "<token from the invitation link>" }
+ *
+ * @param {object} req - Express request object (with req.user from auth middleware)
+ * @param {object} res - Express response object
+ */
+async function acceptInvitation(req, res) {
+  try {
+    const result = await guardianService.acceptInvitation(req.user.id, req.body?.token, {
+      ipAddress: req.ip,
+    });
+
+    return res.status(200).json({
+      message: `You are now a guardian of ${result.child.username}`,
+      ...result,
+    });
+
+  } catch (err) {
+    if (err.code === 'INVALID_GUARDIAN_INVITATION') {
+      return res.status(400).json({
+        message: 'Invalid or expired invitation link. Ask the parent to send a new one.',
+        error: err.code,
+      });
+    }
+
+    if (err.code === 'GUARDIAN_INVITATION_EMAIL_MISMATCH') {
+      return res.status(403).json({
+        message: 'Sign in with the email address the invitation was sent to.',
+        error: err.code,
+      });
+    }
+
+    console.error('[GUARDIAN] Accept error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to accept invitation. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle POST /api/family/guardianships/decline request.
+ *
+ * No sign-in needed: the invitee may not have (or want) an account.
+ *
+ * Request Body:
+ *   { token: "<token from the invitation link>" }
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function declineInvitation(req, res) {
+  try {
+    await guardianService.declineInvitation(req.body?.token, { ipAddress: req.ip });
+
+    return res.status(200).json({
+      message: 'Invitation declined',
+    });
+
+  } catch (err) {
+    if (err.code === 'INVALID_GUARDIAN_INVITATION') {
+      return res.status(400).json({
+        message: 'Invalid or expired invitation link.',
+        error: err.code,
+      });
+    }
+
+    console.error('[GUARDIAN] Decline error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to decline invitation. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle GET /api/family/guardianships request.
+ *
+ * Children the signed-in parent is a guardian of (not their own children;
+ * those are at GET /api/family/children), with their permissions.
+ *
+ * @param {object} req - Express request object (with req.user from auth middleware)
+ * @param {object} res - Express response object
+ */
+async function listGuardedChildren(req, res) {
+  try {
+    const guardianships = await guardianService.listGuardedChildren(req.user.id);
+
+    return res.status(200).json({
+      message: 'Guardianships retrieved successfully',
+      count: guardianships.length,
+      guardianships,
+    });
+
+  } catch (err) {
+    console.error('[GUARDIAN] List guarded children error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to retrieve guardianships. Please try again later.',
+    });
+  }
+}
+
+module.exports = {
+  inviteGuardian,
+  listGuardians,
+  updateGuardianPermissions,
+  revokeGuardian,
+  acceptInvitation,
+  declineInvitation,
+  listGuardedChildren,
+};
@@ -0,0 +1,271 @@
+/**
+ * src/controllers/paymentController.js
+ *
+ * HTTP Request/Response handlers for M-Pesa deposits.
+ *
+ * Purpose:
+ *   - Let parents start a deposit into a child's wallet and follow it
+ *   - Receive M-Pesa's payment results (callbacks)
+ *
+ * Architecture Pattern: MVC Controllers
+ *   HTTP Request → Controller → paymentService → mpesaService / ledgerService → Response
+ *
+ * Security Considerations:
+ *   - Deposit routes: access to the child (owner, or guardian allowed to
+ *     deposit) is verified by ownershipMiddleware before these handlers run
+ *   - Callback route: no session; the URL signature and the caller's IP
+ *     are checked here before anything is read from the body
+ */
+
+const mpesaService = require('../services/mpesaService');
+const paymentService = require('../services/paymentService');
+const auditService = require('../services/auditService');
+const validators = require('../utils/validators');
+
+// What Daraja expects back from a callback
+const CALLBACK_ACCEPTED = { ResultCode: 0, ResultDesc: 'Accepted' };
+const CALLBACK_REJECTED = { ResultCode: 1, ResultDesc: 'Rejected' };
+
+// ============================================
+// Controller Functions
+// ============================================
+
+/**
+ * Handle POST /api/family/children/:childId/deposits request.
+ *
+ * Send an M-Pesa payment prompt (STK push) to the parent's verified phone;
+ * the wallet is credited when M-Pesa confirms the payment. Poll
+ * GET .../deposits/:intentId for the result.
+ *
+ * HTTP Semantics:
+ *   - Verb: POST (start a payment)
+ *   - Status 202: Prompt sent; waiting for the parent to approve it
+ *   - Status 400: Invalid amount
+ *   - Status 403: Phone number not verified
+ *   - Status 404: Child (or wallet) not found
+ *   - Status 429: Too many deposits started (rate limited)
+ *   - Status 502: M-Pesa refused the request or is unreachable
+ *   - Status 503: M-Pesa deposits are not enabled
+ *   - Status 500: Server error
+ *
+ * Request Body:
+ *   { amount: 500 }   // Whole Kenyan shillings, 10 to 150,000
+ *
+ * Success Response (202):
+ *   {
+ *     message: "Check your phone and enter your M-Pesa PIN to complete the deposit",
+ *     deposit: {
+ *       id: 42,
+ *       reference: "SBX7KQ2MZ9RD",
+ *       status: "PROCESSING",
+ *       amountKes: 500,
+ *       amountSats: "250000",
+ *       phoneNumber: "+2547******78",
+ *       mpesaReceiptNumber: null,
+ *       resultDesc: null,
+ *       transactionId: null,
+ *       expiresAt: "2024-02-18T09:10:00Z",
+ *       completedAt: null,
+ *       createdAt: "2024-02-18T09:00:00Z"
+ *     }
+ *   }
+ *
+ * @param {object} req - Express request object (with req.child from ownership middleware)
+ * @param {object} res - Express response object
+ */
+async function createDeposit(req, res) {
+  try {
+    // ---- Step 1: Validate request body ----
+    const validation = validators.validateDepositData(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        message: 'Deposit validation failed',
+        errors: validation.errors,
+      });
+    }
+
+    // ---- Step 2: Start the payment ----
+    const deposit = await paymentService.initiateDeposit(
+      req.user.id,
+      req.child.id,
+      { amount: req.body.amount },
+      { ipAddress: req.ip }
+    );
+
+    // ---- Step 3: Return accepted response ----
+    return res.status(202).json({
+      message: 'Check your phone and enter your M-Pesa PIN to complete the deposit',
+      deposit,
+    });
+
+  } catch (err) {
+    if (err.code === 'PAYMENTS_NOT_CONFIGURED') {
+      console.warn(`[PAYMENT] Deposit refused: ${err.message}`);
+      return res.status(503).json({
+        message: 'M-Pesa deposits are not available right now',
+        error: 'PAYMENTS_NOT_CONFIGURED',
+      });
+    }
+
+    if (err.code === 'PHONE_NOT_VERIFIED') {
+      return res.status(403).json({
+        message: 'Verify your phone number before depositing with M-Pesa',
+        error: 'PHONE_NOT_VERIFIED',
+      });
+    }
+
+    if (err.code === 'CHILD_NOT_FOUND' || err.code === 'WALLET_NOT_FOUND') {
+      console.warn(`[PAYMENT] Deposit failed: ${err.message} (childId=${req.child?.id})`);
+      return res.status(404).json({
+        message: err.message,
+      });
+    }
+
+    if (err.code === 'MPESA_REQUEST_REJECTED' || err.code === 'MPESA_UNAVAILABLE') {
+      return res.status(502).json({
+        message: 'M-Pesa could not start the payment. Please try again in a few minutes.',
+        error: err.code,
+      });
+    }
+
+    console.error('[PAYMENT] Deposit error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to start deposit. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle GET /api/family/children/:childId/deposits/:intentId request.
+ *
+ * Return one deposit's status (the app polls this after POST .../deposits).
+ *
+ * HTTP Semantics:
+ *   - Verb: GET (retrieve resource)
+ *   - Status 200: Deposit retrieved
+ *   - Status 400: Invalid deposit ID
+ *   - Status 404: No such deposit for this child
+ *   - Status 500: Server error
+ *
+ * Statuses: PENDING, PROCESSING (waiting for the parent), SUCCEEDED
+ * (wallet credited: transactionId), FAILED, CANCELLED, EXPIRED (no result
+ * in time; a late confirmation still credits)
+ *
+ * Success Response (200):
+ *   {
+ *     message: "Deposit retrieved successfully",
+ *     deposit: { id: 42, status: "SUCCEEDED", mpesaReceiptNumber: "SAB1CD2EF3", transactionId: 7, ... }
+ *   }
+ *
+ * @param {object} req - Express request object (with req.child from ownership middleware)
+ * @param {object} res - Express response object
+ */
+async function getDeposit(req, res) {
+  try {
+    // ---- Step 1: Validate the deposit ID ----
+    const intentId = parseInt(req.params.intentId, 10);
+    if (isNaN(intentId) || intentId < 1) {
+      return res.status(400).json({
+        message: 'Invalid deposit ID',
+      });
+    }
+
+    // ---- Step 2: Fetch (scoped to the child) ----
+    const deposit = await paymentService.getDeposit(req.child.id, intentId);
+
+    return res.status(200).json({
+      message: 'Deposit retrieved successfully',
+      deposit,
+    });
+
+  } catch (err) {
+    if (err.code === 'PAYMENT_NOT_FOUND') {
+      return res.status(404).json({
+        message: 'Deposit not found',
+      });
+    }
+
+    console.error('[PAYMENT] Get deposit error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to retrieve deposit. Please try again later.',
+    });
+  }
+}
+
+/**
+ * Handle POST /api/payments/mpesa/callback/:reference/:signature request.
+ *
+ * M-Pesa's result for one STK push. Only the URL handed to M-Pesa with the
+ * push is accepted (signature), and only from MPESA_CALLBACK_ALLOWED_IPS.
+ *
+ * HTTP Semantics:
+ *   - Verb: POST (M-Pesa delivers a result)
+ *   - Status 200: Result recorded (or already recorded: M-Pesa retried)
+ *   - Status 400: Body isn't an STK push callback, or doesn't match the intent
+ *   - Status 403: Caller IP not allowed, or bad URL signature
+ *   - Status 500: Server error (M-Pesa may retry)
+ *
+ * Request Body (from M-Pesa):
+ *   {
+ *     Body: {
+ *       stkCallback: {
+ *         MerchantRequestID: "29115-34620561-1",
+ *         CheckoutRequestID: "ws_CO_191220191020363925",
+ *         ResultCode: 0,
+ *         ResultDesc: "The service request is processed successfully.",
+ *         CallbackMetadata: {
+ *           Item: [
+ *             { Name: "Amount", Value: 500 },
+ *             { Name: "MpesaReceiptNumber", Value: "NLJ7RT61SV" },
+ *             { Name: "TransactionDate", Value: 20191219102115 },
+ *             { Name: "PhoneNumber", Value: 254708374149 }
+ *           ]
+ *         }
+ *       }
+ *     }
+ *   }
+ *
+ * Response: { ResultCode: 0, ResultDesc: "Accepted" } (non-zero when rejected)
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function mpesaCallback(req, res) {
+  const { reference, signature } = req.params;
+
+  try {
+    // ---- Step 1: Caller IP ----
+    if (!mpesaService.isCallbackIpAllowed(req.ip)) {
+      console.warn(`[PAYMENT] M-Pesa callback from disallowed IP ${req.ip}`);
+      auditService.logPaymentCallbackRejected('IP_NOT_ALLOWED', { reference }, req.ip);
+      return res.status(403).json(CALLBACK_REJECTED);
+    }
+
+    // ---- Step 2: URL signature ----
+    if (!mpesaService.verifyCallbackSignature(reference, signature)) {
+      console.warn(`[PAYMENT] M-Pesa callback with bad signature (reference=${reference})`);
+      auditService.logPaymentCallbackRejected('BAD_SIGNATURE', { reference }, req.ip);
+      return res.status(403).json(CALLBACK_REJECTED);
+    }
+
+    // ---- Step 3: Apply the result ----
+    const result = await paymentService.handleStkCallback(reference, req.body, { ipAddress: req.ip });
+
+    if (!result.accepted) {
+      console.warn(`[PAYMENT] M-Pesa callback for ${reference} rejected: ${result.reason}`);
+      return res.status(400).json(CALLBACK_REJECTED);
+    }
+
+    return res.status(200).json(CALLBACK_ACCEPTED);
+
+  } catch (err) {
+    console.error(`[PAYMENT] M-Pesa callback error (reference=${reference}):`, err.message, err.stack);
+    return res.status(500).json(CALLBACK_REJECTED);
+  }
+}
+
+module.exports = {
+  createDeposit,
+  getDeposit,
+  mpesaCallback,
+};
@@ -0,0 +1,170 @@
+/**
+ * src/controllers/transactionController.js
+ *
+ * HTTP Request/Response handlers for wallet transaction history.
+ *
+ * Purpose:
+ *   - Expose the ledger (see ledgerService) to parents
+ *   - Paginate transaction history per child wallet
+ *   - Format BigInt satoshi amounts as strings for JSON
+ *
+ * Architecture Pattern: MVC Controllers
+ *   HTTP Request → Controller → ledgerService → Database → Response
+ *
+ * Security Considerations:
+ *   - Ownership is verified by ownershipMiddleware before these handlers run
+ *   - Only the wallet of req.child is ever queried
+ */
+
+const { prisma } = require('../config/db');
+const ledgerService = require('../services/ledgerService');
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Convert a ledger transaction to a JSON-safe shape.
+ * BigInt cannot be serialized by JSON.stringify, so amounts become strings.
+ *
+ * @param {object} transaction - Transaction row with entries
+ * @returns {object}
+ */
+function formatTransaction(transaction) {
+  return {
+    ...transaction,
+    amount: transaction.amount.toString(),
+    balanceAfter: transaction.balanceAfter.toString(),
+    entries: transaction.entries.map(entry => ({
+      ...entry,
+      amount: entry.amount.toString(),
+    })),
+  };
+}
+
+// ============================================
+// Controller Functions
+// ============================================
+
+/**
+ * Handle GET /api/family/children/:childId/transactions request.
+ *
+ * Return the child's wallet transactions, newest first.
+ *
+ * HTTP Semantics:
+ *   - Verb: GET (retrieve resource)
+ *   - Status 200: History retrieved (possibly empty)
+ *   - Status 400: Invalid limit or cursor
+ *   - Status 404: Child (or wallet) not found
+ *   - Status 500: Server error
+ *
+ * Query Parameters:
+ *   - limit: Page size, 1-100 (default 20)
+ *   - cursor: Transaction ID from a previous response's nextCursor
+ *
+ * Success Response (200):
+ *   {
+ *     message: "Transactions retrieved successfully",
+ *     childId: 10,
+ *     walletId: 100,
+ *     balance: "12500",
+ *     count: 2,
+ *     nextCursor: null,
+ *     transactions: [
+ *       {
+ *         id: 7,
+ *         type: "WITHDRAWAL",
+ *         amount: "2500",
+ *         balanceAfter: "12500",
+ *         description: "School trip",
+ *         reference: null,
+ *         initiatedById: 1,
+ *         createdAt: "2024-02-18T09:00:00Z",
+ *         entries: [
+ *           { id: 13, account: "WALLET", direction: "DEBIT", amount: "2500" },
+ *           { id: 14, account: "EXTERNAL_PAYOUT", direction: "CREDIT", amount: "2500" }
+ *         ]
+ *       },
+ *       ...
+ *     ]
+ *   }
+ *
+ * @param {object} req - Express request object (with req.child from ownership middleware)
+ * @param {object} res - Express response object
+ */
+async function listChildTransactions(req, res) {
+  try {
+    const childId = req.child?.id;
+
+    if (!childId) {
+      console.error('[TRANSACTION] Child info missing from request');
+      return res.status(404).json({
+        message: 'Child not found',
+      });
+    }
+
+    // ---- Step 1: Validate pagination parameters ----
+    const limit = req.query.limit === undefined
+      ? ledgerService.DEFAULT_PAGE_SIZE
+      : parseInt(req.query.limit, 10);
+
+    if (isNaN(limit) || limit < 1 || limit > ledgerService.MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        message: `limit must be a number between 1 and ${ledgerService.MAX_PAGE_SIZE}`,
+      });
+    }
+
+    let cursor;
+    if (req.query.cursor !== undefined) {
+      cursor = parseInt(req.query.cursor, 10);
+      if (isNaN(cursor) || cursor < 1) {
+        return res.status(400).json({
+          message: 'cursor must be a positive transaction ID',
+        });
+      }
+    }
+
+    // ---- Step 2: Resolve the child's wallet ----
+    const wallet = await prisma.wallet.findUnique({
+      where: { childId },
+      select: { id: true, balance: true },
+    });
+
+    if (!wallet) {
+      console.warn(`[TRANSACTION] Wallet missing for childId=${childId}`);
+      return res.status(404).json({
+        message: 'Wallet not found',
+      });
+    }
+
+    // ---- Step 3: Fetch one page of history ----
+    const { transactions, nextCursor } = await ledgerService.listWalletTransactions(
+      wallet.id,
+      { limit, cursor }
+    );
+
+    // ---- Step 4: Return formatted response ----
+    return res.status(200).json({
+      message: transactions.length === 0
+        ? 'No transactions found'
+        : 'Transactions retrieved successfully',
+      childId,
+      walletId: wallet.id,
+      balance: wallet.balance.toString(),
+      count: transactions.length,
+      nextCursor,
+      transactions: transactions.map(formatTransaction),
+    });
+
+  } catch (err) {
+    console.error('[TRANSACTION] List transactions error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Failed to retrieve transactions. Please try again later.',
+    });
+  }
+}
+
+module.exports = {
+  listChildTransactions,
+  formatTransaction,
+};
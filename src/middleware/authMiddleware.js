@@ -12,6 +12,9 @@
  * Usage:
  *   router.get('/api/parents/me', authenticate, parentController.getProfile);
  *   // authenticate middleware runs before getProfile handler
+ *
+ *   router.post('/api/family/children', authenticate, requireVerifiedEmail, ...);
+ *   // wallet-affecting routes additionally require a verified email address
  * 
  * Client Integration:
  *   - Client includes JWT in "Authorization" header: "Bearer <token>"
@@ -24,8 +27,12 @@
  *   - Alternative: Could also support cookies (add-on feature)
  */
 
-const jwt = require('jsonwebtoken');
-const env = require('../config/env');
+const jwtKeyService = require('../services/jwtKeyService');
+const emailVerificationService = require('../services/emailVerificationService');
+const tokenDenylistService = require('../services/tokenDenylistService');
+const adminService = require('../services/adminService');
+const auditService = require('../services/auditService');
+const { setRequestUser } = require('../utils/requestContext');
 
 /**
  * Express middleware to require valid JWT token.
@@ -33,13 +40,15 @@ const env = require('../config/env');
  * Flow:
  *   1. Check if Authorization header exists
  *   2. Verify header format ("Bearer <token>")
- *   3. Extract and verify token signature and expiration
- *   4. If valid, attach user info to req.user and call next()
- *   5. If invalid, return 401 Unauthorized
+ *   3. Extract and verify token signature, expiration and type (access only)
+ *   4. Reject tokens revoked by logout/session revocation (denylist),
+ *      and admin tokens of deactivated admins
+ *   5. If valid, attach user info to req.user and call next()
+ *   6. If invalid, return 401 Unauthorized
  * 
  * Error Responses:
  *   - 400 Bad Request: Missing or malformed Authorization header
- *   - 401 Unauthorized: Invalid/expired token
+ *   - 401 Unauthorized: Invalid/expired/revoked token
  * 
  * Security Notes:
  *   - Token signature proves it hasn't been tampered with
@@ -47,14 +56,15 @@ const env = require('../config/env');
  *   - Timing-safe comparison (just sign verification, no strings)
  * 
  * On Success:
- *   - req.user = { id: 123, email: "user@example.com", iat: 1234567890, exp: 1234567900 }
+ *   - req.user = { id: 123, email: "user@example.com", role: "PARENT", sessionId, tokenId, issuedAt, expiresAt }
  *   - Next middleware/handler can access req.user
+ *   - The request context records the user (id, role) for audit entries
  * 
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  * @param {function} next - Express next middleware function
  */
-function authenticate(req, res, next) {
+async function authenticate(req, res, next) {
   try {
     // ---- Step 1: Extract Authorization header ----
     const authHeader = req.headers.authorization;
@@ -83,13 +93,13 @@ function authenticate(req, res, next) {
     const token = parts[1];
 
     // ---- Step 3: Verify token ----
-    // jwt.verify will throw if:
+    // verifyToken picks the key by the token's kid header and throws if:
     //   - Signature is invalid (token was modified)
     //   - Token is expired
-    //   - Secret key doesn't match
+    //   - kid names no configured key (e.g. a removed, rotated-out key)
     let payload;
     try {
-      payload = jwt.verify(token, env.jwtSecret);
+      payload = jwtKeyService.verifyToken(token);
     } catch (jwtErr) {
       // Token verification failed
       // Different error types for different failures (uncomment to differentiate)
@@ -113,17 +123,59 @@ function authenticate(req, res, next) {
       }
     }
 
-    // ---- Step 4: Attach user info to request ----
+    // Refresh tokens are signed with the same keys; only typ tells them
+    // apart. Tokens issued before the typ claim existed are refused too.
+    if (payload.typ !== jwtKeyService.TOKEN_TYPES.ACCESS) {
+      console.warn('[AUTH] Non-access token presented as Bearer token');
+      return res.status(401).json({
+        message: 'Invalid token',
+        error: 'INVALID_TOKEN',
+      });
+    }
+
+    // ---- Step 4: Reject revoked tokens ----
+    // Signed and unexpired, but logged out or its session was revoked.
+    // A store failure falls through to the 500 below (fail closed).
+    if (await tokenDenylistService.isAccessTokenRevoked(payload)) {
+      console.warn('[AUTH] Revoked token presented');
+      return res.status(401).json({
+        message: 'Token has been revoked',
+        error: 'TOKEN_REVOKED',
+      });
+    }
+
+    // Admin tokens have no session to revoke: deactivating the admin
+    // (Admin.isActive) has to cut them off here, on every request
+    if (payload.role === 'ADMIN' && !(await adminService.isAdminActive(payload.id))) {
+      console.warn(`[AUTH] Token of deactivated admin ${payload.id} presented`);
+      return res.status(401).json({
+        message: 'Token has been revoked',
+        error: 'TOKEN_REVOKED',
+      });
+    }
+
+    // ---- Step 5: Attach user info to request ----
     // Now available in protected handlers as req.user
     req.user = {
       id: payload.id,
       email: payload.email,
+      // Role claim from generateTokens (consumed by authorizeRoles)
+      role: payload.role,
+      // Child tokens only (role CHILD): id is the child; these name the
+      // child and the owning parent (see authService.generateChildTokens)
+      childId: payload.childId,
+      parentId: payload.parentId,
+      // Session (device) the token was issued to; used by logout/session routes
+      sessionId: payload.sid,
+      // Token ID (jti); logout denylists it
+      tokenId: payload.jti,
       // Include token timestamps for logging/audit purposes
       issuedAt: new Date(payload.iat * 1000),
       expiresAt: new Date(payload.exp * 1000),
     };
+    setRequestUser(req.user);
 
-    // ---- Step 5: Continue to next middleware/handler ----
+    // ---- Step 6: Continue to next middleware/handler ----
     next();
 
   } catch (err) {
@@ -147,13 +199,13 @@ function authenticate(req, res, next) {
  *   - Progressive enhancement (more features if authenticated)
  *   - Mixed public/private endpoints
  * 
- * Returns: req.user is set if valid token found, undefined otherwise
+ * Returns: req.user is set if a valid, unrevoked token was found, undefined otherwise
  * 
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  * @param {function} next - Express next middleware function
  */
-function authenticateOptional(req, res, next) {
+async function authenticateOptional(req, res, next) {
   try {
     // ---- Step 1: Check for Authorization header (optional) ----
     const authHeader = req.headers.authorization;
@@ -175,15 +227,29 @@ function authenticateOptional(req, res, next) {
 
     // ---- Step 3: Try to verify token ----
     try {
-      const payload = jwt.verify(token, env.jwtSecret);
+      const payload = jwtKeyService.verifyToken(token);
+
+      // Refresh tokens, revoked tokens and deactivated admins' tokens are
+      // treated like missing ones
+      const usable = payload.typ === jwtKeyService.TOKEN_TYPES.ACCESS
+        && !(await tokenDenylistService.isAccessTokenRevoked(payload))
+        && (payload.role !== 'ADMIN' || await adminService.isAdminActive(payload.id));
 
       // Token is valid, set user
-      req.user = {
-        id: payload.id,
-        email: payload.email,
-        issuedAt: new Date(payload.iat * 1000),
-        expiresAt: new Date(payload.exp * 1000),
-      };
+      if (usable) {
+        req.user = {
+          id: payload.id,
+          email: payload.email,
+          role: payload.role,
+          childId: payload.childId,
+          parentId: payload.parentId,
+          sessionId: payload.sid,
+          tokenId: payload.jti,
+          issuedAt: new Date(payload.iat * 1000),
+          expiresAt: new Date(payload.exp * 1000),
+        };
+        setRequestUser(req.user);
+      }
 
     } catch (jwtErr) {
       // Token verification failed, but that's OK
@@ -202,7 +268,68 @@ function authenticateOptional(req, res, next) {
   }
 }
 
+/**
+ * Express middleware to require a verified email address.
+ * 
+ * Use after authenticate() on routes that create wallets or move money.
+ * Verification is read from the database (Parent.emailVerifiedAt), not
+ * from the token, so it takes effect as soon as the emailed link is used.
+ * 
+ * Only applies to PARENT tokens; other roles pass through (authorizeRoles
+ * decides whether they may use the route at all).
+ * 
+ * Error Responses:
+ *   - 401 Unauthorized: authenticate() did not run (no req.user)
+ *   - 403 Forbidden: Email not verified ({ error: 'EMAIL_NOT_VERIFIED' })
+ * 
+ * @param {object} req - Express request object (with req.user from authenticate)
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function requireVerifiedEmail(req, res, next) {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        message: 'Authentication required. Please log in.',
+        error: 'UNAUTHENTICATED',
+      });
+    }
+
+    if (req.user.role !== 'PARENT') {
+      return next();
+    }
+
+    const verified = await emailVerificationService.isEmailVerified(req.user.id);
+
+    if (!verified) {
+      try {
+        auditService.logEmailVerificationRequired(
+          req.user.id,
+          `${req.method} ${req.originalUrl}`,
+          req.ip
+        );
+      } catch (logErr) {
+        console.warn('[AUTH] Audit logging failed for unverified email block:', logErr.message);
+      }
+
+      return res.status(403).json({
+        message: 'Please verify your email address to continue',
+        error: 'EMAIL_NOT_VERIFIED',
+      });
+    }
+
+    next();
+
+  } catch (err) {
+    console.error('[AUTH] Email verification check error:', err.message, err.stack);
+    return res.status(500).json({
+      message: 'Internal server error during authentication',
+    });
+  }
+}
+
 module.exports = {
   authenticate,
   authenticateOptional,
+  requireVerifiedEmail,
 };
@@ -0,0 +1,369 @@
+/**
+ * src/middleware/authorizePermissions.js
+ *
+ * Permission-based access control: a registry of fine-grained permissions,
+ * the grants that give them out, and the authorizePermissions middleware.
+ *
+ * ============================================
+ * WHY PERMISSIONS AS WELL AS ROLES
+ * ============================================
+ *
+ * authorizeRoles answers "is this a parent/child/admin token?". That is
+ * the right first gate (a CHILD token must never reach a route that reads
+ * req.user.id as a parent ID), but it cannot say "this guardian may
+ * deposit for child 10 but not approve withdrawals", or "this admin may
+ * read the audit log". Permissions can:
+ *
+ *   router.post(
+ *     '/:childId/deposits',
+ *     authMiddleware.authenticate,
+ *     authorizeRoles('PARENT'),
+ *     verifyParentalLink('childId', { guardianPermission: GUARDIAN_PERMISSIONS.DEPOSIT }),
+ *     authorizePermissions(PERMISSIONS.WALLET_DEPOSIT, { resource: RESOURCES.CHILD }),
+ *     controller.deposit
+ *   );
+ *
+ * Changing who may do what is then an edit to the grant tables below,
+ * not a new middleware per route.
+ *
+ * ============================================
+ * PERMISSIONS AND SCOPES
+ * ============================================
+ *
+ * Permissions are "resource:action" strings (child:create, wallet:withdraw,
+ * audit:read). Each is registered with a scope:
+ *   - GLOBAL: not tied to one record (create a child, read the audit log)
+ *   - CHILD: about one child (read child 10, deposit into child 10's wallet)
+ *
+ * ============================================
+ * GRANTS
+ * ============================================
+ *
+ * A request holds a permission if either:
+ *
+ *   1. Its token role grants it (ROLE_GRANTS). Role grants apply to every
+ *      resource, so only give a role a CHILD-scoped permission if it
+ *      really may act on every child.
+ *
+ *   2. A resource-scoped grant for that exact resource was attached to the
+ *      request (req.resourceGrants) by the middleware that established the
+ *      caller's relationship to it:
+ *        - verifyParentalLink: OWNER grants, or the guardian's grants
+ *          (GUARDIAN_GRANTS, from the permissions the owner gave them)
+ *        - loadOwnChild: SELF grants for the signed-in child
+ *      So authorizePermissions must run AFTER those middlewares.
+ *
+ * ============================================
+ * ERRORS
+ * ============================================
+ *
+ *   - 401 UNAUTHENTICATED: no req.user (authenticate did not run)
+ *   - 403 INSUFFICIENT_PERMISSIONS: generic, same as authorizeRoles; the
+ *     missing permissions are logged and audited, never sent to the client
+ *
+ * Unknown permissions, or a CHILD-scoped permission without a resource,
+ * throw when the route is defined (at startup), not per request.
+ */
+
+const auditService = require('../services/auditService');
+const { GUARDIAN_PERMISSIONS } = require('../services/guardianService');
+const { ROLES } = require('./authorizeRoles');
+
+// ============================================
+// PERMISSION REGISTRY
+// ============================================
+
+// What a permission is about
+const SCOPES = {
+  GLOBAL: 'GLOBAL',
+  CHILD: 'CHILD',
+};
+
+const PERMISSIONS = {
+  // Family (parent's own)
+  CHILD_CREATE: 'child:create',
+  FAMILY_READ: 'family:read',
+
+  // One child
+  CHILD_READ: 'child:read',
+  CHILD_DEACTIVATE: 'child:deactivate',
+  CHILD_SET_PIN: 'child:set-pin',
+  GUARDIAN_MANAGE: 'guardian:manage',
+  WALLET_READ: 'wallet:read',
+  WALLET_DEPOSIT: 'wallet:deposit',
+  WALLET_WITHDRAW: 'wallet:withdraw',
+  WITHDRAWAL_APPROVE: 'withdrawal:approve',
+
+  // Back office
+  PARENT_READ: 'parent:read',
+  ACCOUNT_UNLOCK: 'account:unlock',
+  PARENT_DEACTIVATE: 'parent:deactivate',
+  AUDIT_READ: 'audit:read',
+};
+
+// Scope and description of every permission; authorizePermissions only
+// accepts permissions listed here
+const PERMISSION_REGISTRY = {
+  [PERMISSIONS.CHILD_CREATE]: { scope: SCOPES.GLOBAL, description: 'Create child accounts' },
+  [PERMISSIONS.FAMILY_READ]: { scope: SCOPES.GLOBAL, description: 'List own children and view the family dashboard' },
+  [PERMISSIONS.CHILD_READ]: { scope: SCOPES.CHILD, description: "View a child's profile" },
+  [PERMISSIONS.CHILD_DEACTIVATE]: { scope: SCOPES.CHILD, description: 'Deactivate a child account' },
+  [PERMISSIONS.CHILD_SET_PIN]: { scope: SCOPES.CHILD, description: "Set or reset a child's login PIN" },
+  [PERMISSIONS.GUARDIAN_MANAGE]: { scope: SCOPES.CHILD, description: "Invite, re-permission and remove a child's guardians" },
+  [PERMISSIONS.WALLET_READ]: { scope: SCOPES.CHILD, description: "View a child's wallet balance and history" },
+  [PERMISSIONS.WALLET_DEPOSIT]: { scope: SCOPES.CHILD, description: "Add money to a child's wallet" },
+  [PERMISSIONS.WALLET_WITHDRAW]: { scope: SCOPES.CHILD, description: "Request a withdrawal from a child's wallet" },
+  [PERMISSIONS.WITHDRAWAL_APPROVE]: { scope: SCOPES.CHILD, description: "Approve a child's withdrawal requests" },
+  [PERMISSIONS.PARENT_READ]: { scope: SCOPES.GLOBAL, description: 'Search parents and view any family (back office)' },
+  [PERMISSIONS.ACCOUNT_UNLOCK]: { scope: SCOPES.GLOBAL, description: 'Unlock locked parent and child logins (back office)' },
+  [PERMISSIONS.PARENT_DEACTIVATE]: { scope: SCOPES.GLOBAL, description: 'Deactivate parent accounts (back office)' },
+  [PERMISSIONS.AUDIT_READ]: { scope: SCOPES.GLOBAL, description: 'Read the audit log (back office)' },
+};
+
+// ============================================
+// GRANTS
+// ============================================
+
+// Permissions a token role holds for every resource
+const ROLE_GRANTS = {
+  [ROLES.PARENT]: [
+    PERMISSIONS.CHILD_CREATE,
+    PERMISSIONS.FAMILY_READ,
+  ],
+  [ROLES.CHILD]: [],
+  [ROLES.ADMIN]: [
+    PERMISSIONS.PARENT_READ,
+    PERMISSIONS.ACCOUNT_UNLOCK,
+    PERMISSIONS.PARENT_DEACTIVATE,
+    PERMISSIONS.AUDIT_READ,
+  ],
+};
+
+// Permissions on one child, by relationship to that child
+const CHILD_GRANTS = {
+  // Owning parent: everything except spending the child's money
+  OWNER: [
+    PERMISSIONS.CHILD_READ,
+    PERMISSIONS.CHILD_DEACTIVATE,
+    PERMISSIONS.CHILD_SET_PIN,
+    PERMISSIONS.GUARDIAN_MANAGE,
+    PERMISSIONS.WALLET_READ,
+    PERMISSIONS.WALLET_DEPOSIT,
+    PERMISSIONS.WITHDRAWAL_APPROVE,
+  ],
+  // The child themselves (CHILD token)
+  SELF: [
+    PERMISSIONS.CHILD_READ,
+    PERMISSIONS.WALLET_READ,
+    PERMISSIONS.WALLET_WITHDRAW,
+  ],
+};
+
+// Permissions on one child for an invited guardian, per guardian permission
+// the owner granted (guardianService.GUARDIAN_PERMISSIONS)
+const GUARDIAN_GRANTS = {
+  [GUARDIAN_PERMISSIONS.VIEW]: [PERMISSIONS.CHILD_READ, PERMISSIONS.WALLET_READ],
+  [GUARDIAN_PERMISSIONS.DEPOSIT]: [PERMISSIONS.WALLET_DEPOSIT],
+  [GUARDIAN_PERMISSIONS.APPROVE_WITHDRAWALS]: [PERMISSIONS.WITHDRAWAL_APPROVE],
+};
+
+// Where authorizePermissions finds the resource a scoped check is about
+const RESOURCES = {
+  // req.child, set by verifyParentalLink or loadOwnChild
+  CHILD: { scope: SCOPES.CHILD, id: (req) => req.child?.id },
+};
+
+// ============================================
+// GRANT HELPERS
+// ============================================
+
+/**
+ * Expand a guardian's permissions (GUARDIAN_PERMISSIONS values) into
+ * registry permissions.
+ *
+ * @param {string[]} guardianPermissions - e.g. ['VIEW', 'DEPOSIT']
+ * @returns {string[]} e.g. ['child:read', 'wallet:read', 'wallet:deposit']
+ */
+function guardianGrants(guardianPermissions) {
+  return [...new Set(guardianPermissions.flatMap((p) => GUARDIAN_GRANTS[p] || []))];
+}
+
+/**
+ * Give this request permissions on one resource.
+ *
+ * Called by the middleware that proved the caller's relationship to the
+ * resource (ownership, guardianship, self). Grants accumulate; they never
+ * outlive the request.
+ *
+ * @param {object} req - Express request object
+ * @param {string} scope - SCOPES value
+ * @param {number} resourceId - ID of the resource
+ * @param {string[]} permissions - PERMISSIONS values
+ */
+function grantResourcePermissions(req, scope, resourceId, permissions) {
+  const key = `${scope}:${resourceId}`;
+
+  req.resourceGrants = req.resourceGrants || {};
+  req.resourceGrants[key] = [...new Set([...(req.resourceGrants[key] || []), ...permissions])];
+}
+
+/**
+ * Does this request hold a permission (optionally on one resource)?
+ *
+ * For checks inside controllers and services where a route-level
+ * authorizePermissions does not fit (e.g. optional fields).
+ *
+ * @param {object} req - Express request object (req.user set)
+ * @param {string} permission - PERMISSIONS value
+ * @param {number} [resourceId] - Resource ID for scoped permissions
+ * @returns {boolean}
+ */
+function hasPermission(req, permission, resourceId = null) {
+  if (!req.user) {
+    return false;
+  }
+
+  const roleGrants = ROLE_GRANTS[req.user.role] || [];
+  if (roleGrants.includes(permission)) {
+    return true;
+  }
+
+  const entry = PERMISSION_REGISTRY[permission];
+  if (!entry || entry.scope === SCOPES.GLOBAL || resourceId === null || resourceId === undefined) {
+    return false;
+  }
+
+  const scoped = req.resourceGrants?.[`${entry.scope}:${resourceId}`] || [];
+  return scoped.includes(permission);
+}
+
+/**
+ * All permissions a role holds for every resource.
+ *
+ * @param {string} role - ROLES value
+ * @returns {string[]}
+ */
+function getRolePermissions(role) {
+  return [...(ROLE_GRANTS[role] || [])];
+}
+
+// ============================================
+// MIDDLEWARE FACTORY
+// ============================================
+
+/**
+ * Create a middleware that requires ALL the given permissions.
+ *
+ * Flow:
+ *   1. Validate permissions and resource when the route is defined
+ *   2. Per request: 401 without req.user
+ *   3. Resolve the resource ID (scoped permissions only)
+ *   4. Check each permission against role grants, then resource grants
+ *   5. 403 (audited) if any is missing, otherwise next()
+ *
+ * @param {string|string[]} requiredPermissions - PERMISSIONS value(s)
+ * @param {object} [options]
+ * @param {object} [options.resource] - RESOURCES value; required when any
+ *   permission is not GLOBAL
+ * @returns {function} Express middleware
+ *
+ * @example
+ *   router.get('/audit-events', authenticate, authorizePermissions(PERMISSIONS.AUDIT_READ), handler);
+ *
+ * @example
+ *   router.put(
+ *     '/:childId/pin',
+ *     authenticate,
+ *     authorizeRoles('PARENT'),
+ *     verifyParentalLink('childId'),
+ *     authorizePermissions(PERMISSIONS.CHILD_SET_PIN, { resource: RESOURCES.CHILD }),
+ *     handler
+ *   );
+ */
+function authorizePermissions(requiredPermissions, options = {}) {
+  const permissions = Array.isArray(requiredPermissions) ? requiredPermissions : [requiredPermissions];
+  const { resource } = options;
+
+  // ---- Step 1: Fail at startup on typos and missing resources ----
+  if (permissions.length === 0) {
+    throw new Error('authorizePermissions needs at least one permission');
+  }
+
+  permissions.forEach((permission) => {
+    const entry = PERMISSION_REGISTRY[permission];
+    if (!entry) {
+      throw new Error(`Unknown permission: ${permission}`);
+    }
+    if (entry.scope !== SCOPES.GLOBAL && (!resource || resource.scope !== entry.scope)) {
+      throw new Error(`Permission ${permission} is ${entry.scope}-scoped; pass { resource: RESOURCES.${entry.scope} }`);
+    }
+  });
+
+  return (req, res, next) => {
+    // ---- Step 2: Must be authenticated ----
+    if (!req.user) {
+      return res.status(401).json({
+        message: 'Authentication required. Please log in.',
+        error: 'UNAUTHENTICATED',
+      });
+    }
+
+    // ---- Step 3: Which resource is this about? ----
+    const resourceId = resource ? resource.id(req) : null;
+
+    // ---- Step 4: Check every permission ----
+    const missing = permissions.filter((permission) => !hasPermission(req, permission, resourceId));
+
+    if (missing.length === 0) {
+      return next();
+    }
+
+    // ---- Step 5: Deny (details server-side only) ----
+    try {
+      auditService.logPermissionCheckFailed(
+        req.user.id,
+        req.user.role,
+        missing,
+        resource ? { scope: resource.scope, id: resourceId ?? null } : null,
+        req.ip
+      );
+    } catch (logErr) {
+      console.warn('[RBAC] Audit logging failed for permission check:', logErr.message);
+    }
+
+    console.warn('[RBAC] Permission check failed:', {
+      userId: req.user.id,
+      userRole: req.user.role,
+      missingPermissions: missing,
+      resourceId,
+      endpoint: req.path,
+      method: req.method,
+      ip: req.ip,
+    });
+
+    return res.status(403).json({
+      message: 'Forbidden',
+      error: 'INSUFFICIENT_PERMISSIONS',
+    });
+  };
+}
+
+module.exports = {
+  // Middleware factory
+  authorizePermissions,
+
+  // Grants
+  grantResourcePermissions,
+  guardianGrants,
+  hasPermission,
+  getRolePermissions,
+
+  // Constants
+  PERMISSIONS,
+  PERMISSION_REGISTRY,
+  SCOPES,
+  RESOURCES,
+  ROLE_GRANTS,
+  CHILD_GRANTS,
+  GUARDIAN_GRANTS,
+};
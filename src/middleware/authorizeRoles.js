@@ -42,33 +42,56 @@
  *      - View own child details (GET /api/family/children/:childId)
  *      - Deactivate own child (PATCH /api/family/children/:childId/deactivate)
  *      - View family dashboard (GET /api/family/children/dashboard)
+ *      - Set a child's login PIN (PUT /api/family/children/:childId/pin)
  *      - Logout (POST /api/auth/logout)
  *    Cannot:
  *      - View other parents' children
  *      - Delete children (only soft-delete/deactivate)
  *      - Access ADMIN functions
  *
- * Future Roles (Not MVP):
- *
- * 2. CHILD (Future)
+ * 2. CHILD
+ *    Signs in with username + PIN (POST /api/auth/child/login).
+ *    Token claims: id = childId = the child's ID, parentId = owning parent.
  *    Permissions:
- *      - View own wallet balance
- *      - View transaction history
- *      - Submit withdrawal requests
+ *      - View own profile (GET /api/child/me)
+ *      - View own wallet balance (GET /api/child/me/wallet)
+ *      - View own transaction history (GET /api/child/me/transactions)
+ *      - Logout (POST /api/auth/child/logout)
  *    Cannot:
  *      - Create other child accounts
  *      - Delete accounts
  *      - Access parent functions
  *
- * 3. ADMIN (Future)
+ * 3. GUARDIAN (per child, not a token role)
+ *    A parent account invited by a child's owner (grandparent, co-parent).
+ *    Signs in as PARENT; verifyParentalLink(paramName, { guardianPermission })
+ *    recognises the link and sets req.childAccess.role = GUARDIAN.
+ *    Permissions (guardianService.GUARDIAN_PERMISSIONS, set by the owner):
+ *      - VIEW: child details and wallet history (every accepted guardian)
+ *      - DEPOSIT: add money to the child's wallet (canDeposit)
+ *      - APPROVE_WITHDRAWALS: approve the child's withdrawals (canApproveWithdrawals)
+ *    Cannot:
+ *      - Deactivate the child, set the PIN or manage other guardians
+ *
+ * 4. ADMIN
+ *    Back-office operator. Lives in its own admins table (never a parent
+ *    account with a flag), is created from the command line
+ *    (npm run admin:create) and always signs in with password + TOTP
+ *    (POST /api/admin/auth/login, then /api/admin/auth/login/mfa).
+ *    Token claims: id = the admin's ID; no sid and no refresh token
+ *    (15 minute access token, revoked by jti on logout).
  *    Permissions:
- *      - View all parents' data
- *      - View all children's data
- *      - Delete users
- *      - Unlock accounts
- *      - Generate reports
- *      - Access system logs
- *    Security: Ultra-restricted, multi-factor auth required
+ *      - Search parents (GET /api/admin/parents)
+ *      - View a family (GET /api/admin/parents/:parentId)
+ *      - Unlock accounts (POST /api/admin/parents/:parentId/unlock,
+ *        POST /api/admin/children/:childId/unlock)
+ *      - Deactivate parents (POST /api/admin/parents/:parentId/deactivate)
+ *      - View and export audit history (GET /api/admin/audit-events,
+ *        GET /api/admin/audit-events/export)
+ *    Cannot:
+ *      - Act as a parent or child (every family route requires those roles)
+ *      - Move money
+ *    Every admin action is audited with the admin's ID.
  *
  * ============================================
  * JWT ROLE CLAIM
@@ -156,18 +179,16 @@
  *   - Each route needs to specify allowed roles
  *   - Must maintain role→permission mapping
  *
- * Current Implementation:
- *   - Role-based (check if user has required role)
- *   - Simple PARENT vs. ADMIN split
- *   - Easy to extend for CHILD, GUARDIAN, etc.
- *
- * Future: Permission Matrix
- *   Could build more sophisticated model:
- *   const rolePermissions = {
- *     PARENT: ['CREATE_CHILD', 'VIEW_CHILD', 'LOGOUT'],
- *     CHILD: ['VIEW_OWN_WALLET', 'REQUEST_WITHDRAWAL'],
- *     ADMIN: ['*'], // All permissions
- *   };
+ * Current Implementation: Both
+ *   - This file: role-based (is this a PARENT / CHILD / ADMIN token?)
+ *   - authorizePermissions.js: permission matrix on top of it
+ *     ("child:create", "wallet:withdraw", "audit:read", ...). Roles grant
+ *     permissions for every resource; verifyParentalLink / loadOwnChild
+ *     grant them for one child (owner, guardian, the child themselves).
+ *
+ *   Keep authorizeRoles as the identity gate wherever the handler reads
+ *   req.user.id as a particular kind of ID (a parent route must never see
+ *   a child token), and name the capability with authorizePermissions.
  *
  * ============================================
  * ERROR HANDLING & INFORMATION HIDING
@@ -352,9 +373,9 @@ const HTTP_STATUS = {
 // Roles in SatsBlox
 const ROLES = {
   PARENT: 'PARENT',      // Parent/Guardian
-  CHILD: 'CHILD',        // Child account (future)
-  ADMIN: 'ADMIN',        // System administrator (future)
-  GUARDIAN: 'GUARDIAN',  // Grandparent/other guardian (future)
+  CHILD: 'CHILD',        // Child account (username + PIN login)
+  ADMIN: 'ADMIN',        // Back-office administrator (admins table, MFA login)
+  GUARDIAN: 'GUARDIAN',  // Invited guardian of one child (see verifyParentalLink)
 };
 
 // ============================================
@@ -370,15 +391,39 @@ const ROLE_PERMISSIONS = {
     'GET /api/family/children',            // List children
     'GET /api/family/children/:childId',   // View child details
     'PATCH /api/family/children/:childId/deactivate', // Deactivate child
+    'PUT /api/family/children/:childId/pin', // Set child's login PIN
+    'POST /api/family/children/:childId/guardians', // Invite a guardian
+    'GET /api/family/children/:childId/guardians',  // List guardians
+    'PATCH /api/family/children/:childId/guardians/:guardianshipId',  // Change permissions
+    'DELETE /api/family/children/:childId/guardians/:guardianshipId', // Remove guardian
+    'GET /api/family/guardianships',       // Children I guard
+    'POST /api/family/guardianships/accept', // Accept a guardian invitation
     'GET /api/family/children/dashboard',  // View family dashboard
+    'GET /api/auth/activity',              // Own security activity
     'POST /api/auth/logout',               // Logout
     'POST /api/auth/refresh',              // Refresh token
   ],
   [ROLES.CHILD]: [
-    // Future: Child-specific endpoints
+    'GET /api/child/me',                   // Own profile
+    'GET /api/child/me/wallet',            // Own wallet balance
+    'GET /api/child/me/transactions',      // Own transaction history
+    'POST /api/auth/child/logout',         // Logout
+    'POST /api/auth/refresh',              // Refresh token
+  ],
+  [ROLES.GUARDIAN]: [
+    // Resolved per child by verifyParentalLink, not by the token role
+    'GET /api/family/children/:childId',   // View child details (VIEW)
+    'GET /api/family/children/:childId/transactions', // Wallet history (VIEW)
   ],
   [ROLES.ADMIN]: [
-    // All endpoints (admin can do everything)
+    'GET /api/admin/parents',              // Search parents
+    'GET /api/admin/parents/:parentId',    // View a family
+    'POST /api/admin/parents/:parentId/unlock',     // Unlock parent login
+    'POST /api/admin/parents/:parentId/deactivate', // Deactivate parent
+    'POST /api/admin/children/:childId/unlock',     // Unlock child PIN login
+    'GET /api/admin/audit-events',         // Audit history
+    'GET /api/admin/audit-events/export',  // Audit history as CSV/NDJSON
+    'POST /api/admin/auth/logout',         // Logout
   ],
 };
 
@@ -593,13 +638,19 @@ function getRoleDescription(role) {
     [ROLES.CHILD]: {
       id: ROLES.CHILD,
       name: 'Child',
-      description: 'Can view own wallet and savings goals (future)',
+      description: 'Can view own profile, wallet and transaction history',
       permissions: ROLE_PERMISSIONS[ROLES.CHILD],
     },
+    [ROLES.GUARDIAN]: {
+      id: ROLES.GUARDIAN,
+      name: 'Guardian',
+      description: 'Invited by a parent to view, deposit for or approve withdrawals of one child',
+      permissions: ROLE_PERMISSIONS[ROLES.GUARDIAN],
+    },
     [ROLES.ADMIN]: {
       id: ROLES.ADMIN,
       name: 'Administrator',
-      description: 'Full system access for managing platform',
+      description: 'Back-office support: search families, unlock and deactivate accounts, read audit history',
       permissions: ROLE_PERMISSIONS[ROLES.ADMIN],
     },
   };
@@ -28,9 +28,36 @@
  *   - Checks parentId from token matches child's parentId in DB
  *   - Prevents both direct attacks and authorization bypass
  *   - Logs suspicious access attempts for audit trail
+ * 
+ * Guardians:
+ *   Routes that also admit invited guardians pass the permission needed:
+ *     verifyParentalLink('childId', { guardianPermission: GUARDIAN_PERMISSIONS.VIEW })
+ *   The owner always passes. A guardian passes if their guardianship is
+ *   accepted, grants that permission and the child is active.
+ *   req.childAccess records which: { role: PARENT | GUARDIAN, permissions, guardianshipId? }
+ * 
+ * Permission Grants:
+ *   Both middlewares also attach resource-scoped grants for the child
+ *   (authorizePermissions CHILD_GRANTS / GUARDIAN_GRANTS), so a later
+ *   authorizePermissions(..., { resource: RESOURCES.CHILD }) can check a
+ *   precise capability such as wallet:deposit.
+ * 
+ * Child Self-Service:
+ *   Child-scoped routes (/api/child/me, role CHILD) use loadOwnChild
+ *   instead: the child comes from the token, never from the URL.
  */
 
 const { prisma } = require('../config/db');
+const { ROLES } = require('./authorizeRoles');
+const {
+  SCOPES,
+  CHILD_GRANTS,
+  grantResourcePermissions,
+  guardianGrants,
+} = require('./authorizePermissions');
+const guardianService = require('../services/guardianService');
+
+const { GUARDIAN_PERMISSIONS } = guardianService;
 
 /**
  * Middleware factory function for verifying parental link.
@@ -48,13 +75,15 @@ const { prisma } = require('../config/db');
  *   2. Get authenticated parent ID from JWT (req.user.id)
  *   3. Query database for child record
  *   4. Verify child exists and belongs to authenticated parent
- *   5. If valid, attach child to request and call next()
- *   6. If invalid, return 403 Forbidden with appropriate error
+ *   5. Otherwise, if the route admits guardians, look for an accepted
+ *      guardianship granting options.guardianPermission
+ *   6. If valid, attach child (and req.childAccess) to request and call next()
+ *   7. If invalid, return 404 (or 403 for a guardian lacking the permission)
  * 
  * Error Cases:
  *   - 400 Bad Request: Missing childId parameter
- *   - 404 Not Found: Child doesn't exist (or doesn't belong to parent)
- *   - 403 Forbidden: Child exists but belongs to different parent (spoofing attempt)
+ *   - 404 Not Found: Child doesn't exist (or isn't the parent's / guardian's)
+ *   - 403 Forbidden: Guardian of this child without the required permission
  *   - 500 Server Error: Database query error
  * 
  * Security Notes:
@@ -64,6 +93,9 @@ const { prisma } = require('../config/db');
  *   - Trade-off: Less detailed error message, but better security
  * 
  * @param {string} paramName - Request parameter name containing childId (default: 'childId')
+ * @param {object} [options]
+ * @param {string} [options.guardianPermission] - GUARDIAN_PERMISSIONS value that
+ *   also admits guardians (omit: owning parent only)
  * @returns {function} Express middleware function
  * 
  * @example
@@ -71,11 +103,17 @@ const { prisma } = require('../config/db');
  *   router.get(
  *     '/children/:childId',
  *     authenticate,
- *     verifyParentalLink('childId'),
+ *     verifyParentalLink('childId', { guardianPermission: GUARDIAN_PERMISSIONS.VIEW }),
  *     controller.getChild
  *   );
  */
-function verifyParentalLink(paramName = 'childId') {
+function verifyParentalLink(paramName = 'childId', options = {}) {
+  const { guardianPermission } = options;
+
+  if (guardianPermission && !Object.values(GUARDIAN_PERMISSIONS).includes(guardianPermission)) {
+    throw new Error(`Unknown guardian permission: ${guardianPermission}`);
+  }
+
   // Return the actual middleware function
   return async (req, res, next) => {
     try {
@@ -122,6 +160,7 @@ function verifyParentalLink(paramName = 'childId') {
           parentId: true,
           username: true,
           dateOfBirth: true,
+          isActive: true,
           createdAt: true,
           // Don't fetch wallet here to keep lightweight
           // The controller can fetch wallet if needed
@@ -139,7 +178,25 @@ function verifyParentalLink(paramName = 'childId') {
         });
       }
 
-      if (child.parentId !== parentId) {
+      if (child.parentId === parentId) {
+        // Owning parent: every permission
+        req.child = child;
+        req.childAccess = {
+          role: ROLES.PARENT,
+          permissions: Object.values(GUARDIAN_PERMISSIONS),
+        };
+        grantResourcePermissions(req, SCOPES.CHILD, child.id, CHILD_GRANTS.OWNER);
+        return next();
+      }
+
+      // ---- Step 5: Not the owner - an invited guardian? ----
+      // Only on routes that admit guardians; deactivated children are
+      // hidden from guardians entirely
+      const guardianship = guardianPermission && child.isActive
+        ? await guardianService.findActiveGuardianship(parentId, child.id)
+        : null;
+
+      if (!guardianship) {
         // Child exists but belongs to different parent (spoofing attempt)
         console.warn(
           `[OWNERSHIP] Unauthorized child access attempt: parent=${parentId}, childId=${childIdInt}, owner=${child.parentId}`
@@ -150,10 +207,28 @@ function verifyParentalLink(paramName = 'childId') {
         });
       }
 
-      // ---- Step 5: Success - attach child to request and proceed ----
+      if (!guardianship.permissions.includes(guardianPermission)) {
+        // A known guardian: saying so reveals nothing they don't already know
+        console.warn(
+          `[OWNERSHIP] Guardian lacks ${guardianPermission}: parent=${parentId}, childId=${childIdInt}`
+        );
+        return res.status(403).json({
+          message: 'Your guardian permissions for this child do not allow this action',
+          error: 'GUARDIAN_PERMISSION_REQUIRED',
+          requiredPermission: guardianPermission,
+        });
+      }
+
+      // ---- Step 6: Success - attach child to request and proceed ----
       // Store child in request so controller doesn't need to fetch again
       req.child = child;
-      
+      req.childAccess = {
+        role: ROLES.GUARDIAN,
+        permissions: guardianship.permissions,
+        guardianshipId: guardianship.id,
+      };
+      grantResourcePermissions(req, SCOPES.CHILD, child.id, guardianGrants(guardianship.permissions));
+
       // Proceed to next middleware/controller
       next();
 
@@ -182,7 +257,69 @@ function verifyParentalLink(paramName = 'childId') {
  */
 const verifyParentalLinkMiddleware = verifyParentalLink('childId');
 
+/**
+ * Middleware for child-scoped routes: attach the signed-in child.
+ * 
+ * The child ID comes from the CHILD token (req.user.childId), so a child
+ * can only ever reach their own profile and wallet. Use after
+ * authenticate and authorizeRoles('CHILD').
+ * 
+ * Sets req.child in the same shape as verifyParentalLink, so handlers
+ * such as transactionController.listChildTransactions work for both.
+ * 
+ * Error Cases:
+ *   - 401 Unauthorized: Token carries no childId
+ *   - 404 Not Found: Child no longer exists or was deactivated
+ *   - 500 Server Error: Database query error
+ * 
+ * @example
+ *   router.get('/me', authenticate, authorizeRoles('CHILD'), loadOwnChild, controller.getMyProfile);
+ */
+async function loadOwnChild(req, res, next) {
+  try {
+    const childId = req.user?.childId;
+
+    if (!childId) {
+      console.error('[OWNERSHIP] Missing childId in child-scoped request');
+      return res.status(401).json({
+        message: 'Authentication failed. Please re-authenticate.',
+      });
+    }
+
+    const child = await prisma.child.findUnique({
+      where: { id: childId },
+      select: {
+        id: true,
+        parentId: true,
+        username: true,
+        dateOfBirth: true,
+        isActive: true,
+        createdAt: true,
+      },
+    });
+
+    // Deactivated children keep no access, even with an unexpired token
+    if (!child || !child.isActive) {
+      return res.status(404).json({
+        message: 'Child not found',
+      });
+    }
+
+    req.child = child;
+    grantResourcePermissions(req, SCOPES.CHILD, child.id, CHILD_GRANTS.SELF);
+    next();
+
+  } catch (err) {
+    console.error('[OWNERSHIP] Error loading signed-in child:', err.message, err.stack);
+
+    return res.status(500).json({
+      message: 'Failed to load child account. Please try again.',
+    });
+  }
+}
+
 module.exports = {
   verifyParentalLink,      // Factory function (flexible)
   verifyParentalLinkMiddleware, // Direct middleware (simple)
+  loadOwnChild,            // Child-scoped routes (role CHILD)
 };
@@ -359,6 +359,75 @@ const LOGIN_RATE_LIMIT = {
   lockoutMs: 15 * 60 * 1000, // Lockout for 15 minutes
 };
 
+// Rate Limit Configuration for Password Reset (forgot + reset)
+// Separate key prefix so reset requests don't consume login attempts
+const PASSWORD_RESET_RATE_LIMIT = {
+  windowMs: 15 * 60 * 1000, // 15 minutes in milliseconds
+  maxAttempts: 5,           // Max 5 requests
+  lockoutMs: 15 * 60 * 1000, // Lockout for 15 minutes
+  keyPrefix: 'password-reset:',
+  message: 'Too many password reset requests. Please try again later.',
+};
+
+// Rate Limit Configuration for Change Password (authenticated)
+// Limits guessing of the current password with a stolen access token
+const PASSWORD_CHANGE_RATE_LIMIT = {
+  windowMs: 15 * 60 * 1000, // 15 minutes in milliseconds
+  maxAttempts: 5,           // Max 5 attempts
+  lockoutMs: 15 * 60 * 1000, // Lockout for 15 minutes
+  keyPrefix: 'password-change:',
+  message: 'Too many password change attempts. Please try again later.',
+};
+
+// Rate Limit Configuration for Email Verification (verify + resend)
+// Slows token guessing and stops resend from being used to spam an inbox
+const EMAIL_VERIFICATION_RATE_LIMIT = {
+  windowMs: 15 * 60 * 1000, // 15 minutes in milliseconds
+  maxAttempts: 10,          // Max 10 requests
+  lockoutMs: 15 * 60 * 1000, // Lockout for 15 minutes
+  keyPrefix: 'email-verification:',
+  message: 'Too many email verification requests. Please try again later.',
+};
+
+// Rate Limit Configuration for Child PIN Changes (set by the parent)
+const CHILD_PIN_RATE_LIMIT = {
+  windowMs: 15 * 60 * 1000, // 15 minutes in milliseconds
+  maxAttempts: 5,           // Max 5 changes
+  lockoutMs: 15 * 60 * 1000, // Lockout for 15 minutes
+  keyPrefix: 'child-pin:',
+  message: 'Too many PIN changes. Please try again later.',
+};
+
+// Rate Limit Configuration for Guardian Invitations (send, accept, decline)
+// Sending emails to arbitrary addresses and guessing tokens both need a cap
+const GUARDIAN_INVITATION_RATE_LIMIT = {
+  windowMs: 15 * 60 * 1000, // 15 minutes in milliseconds
+  maxAttempts: 10,          // Max 10 requests
+  lockoutMs: 15 * 60 * 1000, // Lockout for 15 minutes
+  keyPrefix: 'guardian-invitation:',
+  message: 'Too many guardian invitation requests. Please try again later.',
+};
+
+// Rate Limit Configuration for Admin Login (password + authenticator steps)
+// Tighter than parent login: an admin account reaches every family
+const ADMIN_LOGIN_RATE_LIMIT = {
+  windowMs: 15 * 60 * 1000, // 15 minutes in milliseconds
+  maxAttempts: 5,           // Max 5 attempts
+  lockoutMs: 60 * 60 * 1000, // Lockout for 1 hour
+  keyPrefix: 'admin-login:',
+  message: 'Too many admin login attempts. Please try again later.',
+};
+
+// Rate Limit Configuration for M-Pesa Deposits
+// Every deposit sends a payment prompt to a phone and calls M-Pesa
+const DEPOSIT_RATE_LIMIT = {
+  windowMs: 15 * 60 * 1000, // 15 minutes in milliseconds
+  maxAttempts: 10,          // Max 10 deposits started
+  lockoutMs: 15 * 60 * 1000, // Lockout for 15 minutes
+  keyPrefix: 'deposit:',
+  message: 'Too many deposits started. Please try again later.',
+};
+
 // IP-based rate limiting (this middleware)
 const RATE_LIMIT_STORE = new Map(); // Store: { ip -> { attempts, resetTime } }
 
@@ -400,6 +469,8 @@ const RATE_LIMIT_STORE = new Map(); // Store: { ip -> { attempts, resetTime } }
  * @param {number} options.windowMs - Time window (milliseconds)
  * @param {number} options.maxAttempts - Max attempts in window
  * @param {number} options.lockoutMs - How long to lock after exceeding
+ * @param {string} [options.keyPrefix] - Namespace so endpoints keep separate counters
+ * @param {string} [options.message] - 429 message (defaults to the login wording)
  *
  * @returns {function} Express middleware
  *
@@ -416,14 +487,16 @@ function rateLimitMiddleware(options = LOGIN_RATE_LIMIT) {
     // ---- Extract Client IP ----
     // req.ip: Express extracts IP from request
     // Could be IPv4 (xxx.xxx.xxx.xxx) or IPv6
-    // Behind proxy: May need x-forwarded-for header
+    // Behind a proxy: the real client only once TRUSTED_PROXIES lists it
     const clientIp = req.ip || 'unknown';
+    const storeKey = `${options.keyPrefix || ''}${clientIp}`;
+    const limitMessage = options.message || 'Too many login attempts. Please try again later.';
 
     // ---- Get Current Time ----
     const now = Date.now();
 
     // ---- Retrieve IP's Rate Limit Record ----
-    let record = RATE_LIMIT_STORE.get(clientIp);
+    let record = RATE_LIMIT_STORE.get(storeKey);
 
     // ---- Check if IP is Currently Locked Out ----
     if (record && record.lockedUntil && record.lockedUntil > now) {
@@ -436,7 +509,7 @@ function rateLimitMiddleware(options = LOGIN_RATE_LIMIT) {
       // Retry-After: When can they try again?
 
       return res.status(429).json({
-        message: 'Too many login attempts. Please try again later.',
+        message: limitMessage,
         error: 'RATE_LIMIT_EXCEEDED',
         retryAfter: lockRemainingSeconds,
         lockedUntilTime: new Date(record.lockedUntil).toISOString(),
@@ -463,7 +536,7 @@ function rateLimitMiddleware(options = LOGIN_RATE_LIMIT) {
       record.lockedUntil = now + options.lockoutMs; // 15 minute lockout
 
       // Save updated record
-      RATE_LIMIT_STORE.set(clientIp, record);
+      RATE_LIMIT_STORE.set(storeKey, record);
 
       // Log suspicious activity
       console.warn('[RATE_LIMIT] IP locked out (too many attempts):', {
@@ -477,7 +550,7 @@ function rateLimitMiddleware(options = LOGIN_RATE_LIMIT) {
       const lockRemainingSeconds = Math.ceil(options.lockoutMs / 1000);
 
       return res.status(429).json({
-        message: 'Too many login attempts. Account locked for 15 minutes.',
+        message: options.message || 'Too many login attempts. Account locked for 15 minutes.',
         error: 'RATE_LIMIT_EXCEEDED',
         retryAfter: lockRemainingSeconds,
       });
@@ -485,7 +558,7 @@ function rateLimitMiddleware(options = LOGIN_RATE_LIMIT) {
 
     // ---- Save Updated Record ----
     // Increment happens above, now persist it
-    RATE_LIMIT_STORE.set(clientIp, record);
+    RATE_LIMIT_STORE.set(storeKey, record);
 
     // ---- Add Rate Limit Headers to Response ----
     // These inform client about their rate limit status
@@ -602,8 +675,15 @@ function debugResetRateLimits(req, res) {
 
   const ip = req.query.ip || req.ip;
 
-  // Reset this IP's rate limit
+  // Reset this IP's rate limits (login, password, email verification, PIN, guardian and admin counters)
   RATE_LIMIT_STORE.delete(ip);
+  RATE_LIMIT_STORE.delete(`${PASSWORD_RESET_RATE_LIMIT.keyPrefix}${ip}`);
+  RATE_LIMIT_STORE.delete(`${PASSWORD_CHANGE_RATE_LIMIT.keyPrefix}${ip}`);
+  RATE_LIMIT_STORE.delete(`${EMAIL_VERIFICATION_RATE_LIMIT.keyPrefix}${ip}`);
+  RATE_LIMIT_STORE.delete(`${CHILD_PIN_RATE_LIMIT.keyPrefix}${ip}`);
+  RATE_LIMIT_STORE.delete(`${GUARDIAN_INVITATION_RATE_LIMIT.keyPrefix}${ip}`);
+  RATE_LIMIT_STORE.delete(`${ADMIN_LOGIN_RATE_LIMIT.keyPrefix}${ip}`);
+  RATE_LIMIT_STORE.delete(`${DEPOSIT_RATE_LIMIT.keyPrefix}${ip}`);
 
   res.json({
     message: `Rate limits reset for IP: ${ip}`,
@@ -621,6 +701,27 @@ module.exports = {
   // Pre-configured for login endpoint
   loginRateLimiter: rateLimitMiddleware(LOGIN_RATE_LIMIT),
 
+  // Pre-configured for password reset endpoints
+  passwordResetRateLimiter: rateLimitMiddleware(PASSWORD_RESET_RATE_LIMIT),
+
+  // Pre-configured for authenticated password change
+  passwordChangeRateLimiter: rateLimitMiddleware(PASSWORD_CHANGE_RATE_LIMIT),
+
+  // Pre-configured for email verification endpoints
+  emailVerificationRateLimiter: rateLimitMiddleware(EMAIL_VERIFICATION_RATE_LIMIT),
+
+  // Pre-configured for parents setting a child's login PIN
+  childPinRateLimiter: rateLimitMiddleware(CHILD_PIN_RATE_LIMIT),
+
+  // Pre-configured for guardian invitations (send, accept, decline)
+  guardianInvitationRateLimiter: rateLimitMiddleware(GUARDIAN_INVITATION_RATE_LIMIT),
+
+  // Pre-configured for admin login (both steps)
+  adminLoginRateLimiter: rateLimitMiddleware(ADMIN_LOGIN_RATE_LIMIT),
+
+  // Pre-configured for starting M-Pesa deposits
+  depositRateLimiter: rateLimitMiddleware(DEPOSIT_RATE_LIMIT),
+
   // Utilities
   cleanupOldEntries,
   startCleanupInterval,
@@ -630,5 +731,12 @@ module.exports = {
 
   // Constants
   LOGIN_RATE_LIMIT,
+  PASSWORD_RESET_RATE_LIMIT,
+  PASSWORD_CHANGE_RATE_LIMIT,
+  EMAIL_VERIFICATION_RATE_LIMIT,
+  CHILD_PIN_RATE_LIMIT,
+  GUARDIAN_INVITATION_RATE_LIMIT,
+  ADMIN_LOGIN_RATE_LIMIT,
+  DEPOSIT_RATE_LIMIT,
   RATE_LIMIT_STORE, // Exported for testing
 };
@@ -0,0 +1,100 @@
+/**
+ * src/middleware/requestContextMiddleware.js
+ *
+ * Opens a request context (src/utils/requestContext.js) for every request.
+ *
+ * Purpose:
+ *   - Give every request an ID, returned in the X-Request-Id response
+ *     header (quote it when reporting a problem; it tags the server logs)
+ *   - Capture the client IP and user agent once, for audit entries
+ *     written anywhere while the request is served
+ *
+ * Client IP:
+ *   req.ip, which honours TRUSTED_PROXIES (the app's "trust proxy"
+ *   setting): X-Forwarded-For is only believed for hops that are listed
+ *   proxies, so a client can't forge its own address.
+ *
+ * Request ID:
+ *   An X-Request-Id sent by a trusted proxy (load balancer, API gateway)
+ *   is kept, so its logs and ours share an ID. Anywhere else a fresh UUID
+ *   is generated: clients don't get to choose what our audit log says.
+ *
+ * Usage (server.js, before the routes):
+ *   app.use(requestContextMiddleware);
+ */
+
+const crypto = require('crypto');
+const { runWithRequestContext } = require('../utils/requestContext');
+
+// ============================================
+// Configuration Constants
+// ============================================
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Accepted format of a forwarded request ID (UUIDs, trace IDs, ...)
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Whether the request reached us through a trusted proxy.
+ *
+ * @param {object} req - Express request object
+ * @returns {boolean}
+ */
+function fromTrustedProxy(req) {
+  const trust = req.app.get('trust proxy fn');
+  return Boolean(trust && req.socket.remoteAddress && trust(req.socket.remoteAddress, 0));
+}
+
+/**
+ * The request ID to use: the proxy's, or a new UUID.
+ *
+ * @param {object} req - Express request object
+ * @returns {string}
+ */
+function resolveRequestId(req) {
+  const forwarded = req.get(REQUEST_ID_HEADER);
+
+  if (forwarded && REQUEST_ID_PATTERN.test(forwarded) && fromTrustedProxy(req)) {
+    return forwarded;
+  }
+
+  return crypto.randomUUID();
+}
+
+// ============================================
+// Middleware
+// ============================================
+
+/**
+ * Run the rest of the request inside a request context.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+function requestContextMiddleware(req, res, next) {
+  const requestId = resolveRequestId(req);
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  runWithRequestContext(
+    {
+      requestId,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    },
+    next
+  );
+}
+
+module.exports = {
+  requestContextMiddleware,
+  REQUEST_ID_HEADER,
+  REQUEST_ID_PATTERN,
+};
@@ -0,0 +1,767 @@
+/**
+ * src/routes/adminRoutes.js
+ *
+ * Admin back-office routes for SatsBlox API.
+ *
+ * Endpoints:
+ *   Login (always two steps):
+ *   - POST /api/admin/auth/login - Password step → MFA challenge
+ *   - POST /api/admin/auth/login/mfa - Authenticator code → ADMIN access token
+ *   - POST /api/admin/auth/logout - Revoke the current admin token
+ *
+ *   Back office:
+ *   - GET /api/admin/parents - Search parent accounts
+ *   - GET /api/admin/parents/:parentId - View a family
+ *   - POST /api/admin/parents/:parentId/unlock - Lift a parent's login lockout
+ *   - POST /api/admin/parents/:parentId/deactivate - Deactivate a parent account
+ *   - POST /api/admin/children/:childId/unlock - Lift a child's PIN lockout
+ *   - GET /api/admin/audit-events - Search the audit history
+ *   - GET /api/admin/audit-events/export - Download it as CSV or NDJSON
+ *
+ * Authentication:
+ *   - Login: adminLoginRateLimiter (IP-based, both steps share one counter)
+ *   - Logout: authMiddleware.authenticate + requireAdmin
+ *   - Back office: authMiddleware.authenticate + authorizePermissions with
+ *     the route's permission (parent:read, account:unlock,
+ *     parent:deactivate, audit:read). Only the ADMIN role holds these, so
+ *     parent and child tokens get 403.
+ *
+ * Admin accounts are created from the command line (npm run admin:create),
+ * never through the API.
+ *
+ * All documentation (request/response formats) is in Swagger comments
+ * for a single source of truth for API consumers.
+ */
+
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/authorizeRoles');
+const { authorizePermissions, PERMISSIONS } = require('../middleware/authorizePermissions');
+const { adminLoginRateLimiter } = require('../middleware/rateLimitMiddleware');
+const adminController = require('../controllers/adminController');
+
+const router = express.Router();
+
+// ============================================
+// Swagger/OpenAPI Documentation
+// ============================================
+
+/**
+ * @swagger
+ * /api/admin/auth/login:
+ *   post:
+ *     summary: Admin login, step 1 (password)
+ *     tags:
+ *       - Admin
+ *     description: |
+ *       Checks the password and always answers with an MFA challenge.
+ *       Exchange it at POST /api/admin/auth/login/mfa with a code from the
+ *       authenticator app set up when the admin account was created.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password accepted; second factor required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Two-factor authentication required"
+ *                 mfaRequired:
+ *                   type: boolean
+ *                   example: true
+ *                 mfaToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Seconds until the challenge expires
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid credentials
+ *       429:
+ *         description: Account temporarily locked (ACCOUNT_LOCKED) or rate limited
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/auth/login/mfa:
+ *   post:
+ *     summary: Admin login, step 2 (authenticator code)
+ *     tags:
+ *       - Admin
+ *     description: |
+ *       Returns a short-lived ADMIN access token. There is no refresh
+ *       token; log in again when it expires. Wrong codes count towards
+ *       the same lockout as wrong passwords.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *               - code
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Logged in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Login successful"
+ *                 admin:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     email:
+ *                       type: string
+ *                     fullName:
+ *                       type: string
+ *                 accessToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Seconds until the access token expires
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid, expired, used or exhausted challenge (INVALID_MFA_TOKEN) or wrong code (INVALID_MFA_CODE)
+ *       429:
+ *         description: Account temporarily locked (ACCOUNT_LOCKED) or rate limited
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/auth/logout:
+ *   post:
+ *     summary: Admin logout
+ *     tags:
+ *       - Admin
+ *     description: Revokes the presented access token immediately.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       403:
+ *         description: Not an admin token
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/parents:
+ *   get:
+ *     summary: Search parent accounts
+ *     tags:
+ *       - Admin
+ *     description: |
+ *       Matches q against email (partial, case-insensitive), the exact
+ *       parent ID or the exact phone number (any Kenyan format). Names are
+ *       encrypted and can't be searched. Oldest accounts first.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [LOCKED, DEACTIVATED]
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Parent ID returned as nextCursor by the previous page
+ *     responses:
+ *       200:
+ *         description: Parents retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 count:
+ *                   type: integer
+ *                 parents:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       fullName:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       emailVerifiedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       isActive:
+ *                         type: boolean
+ *                       deactivatedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       failedLoginAttempts:
+ *                         type: integer
+ *                       lockedUntil:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       locked:
+ *                         type: boolean
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                 nextCursor:
+ *                   type: integer
+ *                   nullable: true
+ *       400:
+ *         description: Invalid q, status, limit or cursor
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       403:
+ *         description: Not an admin token
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/parents/{parentId}:
+ *   get:
+ *     summary: View a family
+ *     tags:
+ *       - Admin
+ *     description: |
+ *       The parent (phone number masked), their children with wallet
+ *       balances and guardians, the children they guard, two-factor status
+ *       and number of signed-in devices. Includes deactivated children.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: parentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Family retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 parent:
+ *                   type: object
+ *                 children:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 guardianOf:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 security:
+ *                   type: object
+ *                   properties:
+ *                     mfaEnabled:
+ *                       type: boolean
+ *                     activeSessionCount:
+ *                       type: integer
+ *       400:
+ *         description: Invalid parentId
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       403:
+ *         description: Not an admin token
+ *       404:
+ *         description: Parent not found
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/parents/{parentId}/unlock:
+ *   post:
+ *     summary: Unlock a parent account
+ *     tags:
+ *       - Admin
+ *     description: Clears lockedUntil and failedLoginAttempts so the parent can log in again.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: parentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 parentId:
+ *                   type: integer
+ *                 wasLocked:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid parentId
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       403:
+ *         description: Not an admin token
+ *       404:
+ *         description: Parent not found
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/parents/{parentId}/deactivate:
+ *   post:
+ *     summary: Deactivate a parent account
+ *     tags:
+ *       - Admin
+ *     description: |
+ *       Signs the parent and their children out of every device. From then
+ *       on none of them can log in (ACCOUNT_DEACTIVATED). Balances, ledger
+ *       and history are kept.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: parentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 minLength: 5
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Deactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 parentId:
+ *                   type: integer
+ *                 deactivatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 revokedSessionCount:
+ *                   type: integer
+ *       400:
+ *         description: Invalid parentId or reason
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       403:
+ *         description: Not an admin token
+ *       404:
+ *         description: Parent not found
+ *       409:
+ *         description: Already deactivated (PARENT_ALREADY_DEACTIVATED)
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/children/{childId}/unlock:
+ *   post:
+ *     summary: Unlock a child's PIN login
+ *     tags:
+ *       - Admin
+ *     description: Clears lockedUntil and failedLoginAttempts; the PIN is unchanged.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: childId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Unlocked
+ *       400:
+ *         description: Invalid childId
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       403:
+ *         description: Not an admin token
+ *       404:
+ *         description: Child not found
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/audit-events:
+ *   get:
+ *     summary: Search the audit history
+ *     tags:
+ *       - Admin
+ *     description: |
+ *       Most recent audit events first, from the hash-chained audit log.
+ *       Filters combine with AND. To read the next page, pass the
+ *       response's nextCursor as cursor (null on the last page).
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: parentId
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Events by or about this parent
+ *       - in: query
+ *         name: adminId
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Events performed by this admin
+ *       - in: query
+ *         name: action
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: severity
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [CRITICAL, HIGH, MEDIUM, LOW]
+ *       - in: query
+ *         name: resourceType
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [PARENT, CHILD, WALLET, AUTH, ENCRYPTION, ADMIN, AUDIT_LOG]
+ *       - in: query
+ *         name: requestId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Events written by one API request (its X-Request-Id response header)
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Events at or after this time (ISO 8601)
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Events at or before this time (ISO 8601)
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Audit events retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 count:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Cursor for the next page (null on the last page)
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       timestamp:
+ *                         type: string
+ *                         format: date-time
+ *                       action:
+ *                         type: string
+ *                       userId:
+ *                         type: integer
+ *                         nullable: true
+ *                       adminId:
+ *                         type: integer
+ *                         nullable: true
+ *                       resourceType:
+ *                         type: string
+ *                       resourceId:
+ *                         type: integer
+ *                         nullable: true
+ *                       requestId:
+ *                         type: string
+ *                         nullable: true
+ *                       severity:
+ *                         type: string
+ *                       result:
+ *                         type: string
+ *                       details:
+ *                         type: object
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       403:
+ *         description: Not an admin token
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/audit-events/export:
+ *   get:
+ *     summary: Export the audit history
+ *     tags:
+ *       - Admin
+ *     description: |
+ *       Downloads every event matching the filters, newest first, as CSV
+ *       or NDJSON (one JSON object per line). Rows include prevHash and
+ *       hash, so the export can be checked against the chain.
+ *       
+ *       At most 100,000 rows per file; narrow the date range to export
+ *       more. Every export is audited (ADMIN_AUDIT_EXPORTED).
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *       - in: query
+ *         name: parentId
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: adminId
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: severity
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [CRITICAL, HIGH, MEDIUM, LOW]
+ *       - in: query
+ *         name: resourceType
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [PARENT, CHILD, WALLET, AUTH, ENCRYPTION, ADMIN, AUDIT_LOG]
+ *       - in: query
+ *         name: requestId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Events written by one API request (its X-Request-Id response header)
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: File download
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format or filter
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       403:
+ *         description: Not an admin token
+ *       500:
+ *         description: Internal server error
+ */
+
+// ============================================
+// Route Definitions
+// ============================================
+
+/**
+ * Admin login
+ *
+ * Middleware:
+ *   - adminLoginRateLimiter: IP-based (5 attempts per 15 minutes, 1 hour lockout)
+ *   - logout: authMiddleware.authenticate(), requireAdmin
+ */
+router.post('/auth/login', adminLoginRateLimiter, adminController.login);
+router.post('/auth/login/mfa', adminLoginRateLimiter, adminController.loginMfa);
+router.post('/auth/logout', authMiddleware.authenticate, requireAdmin, adminController.logout);
+
+/**
+ * Back office
+ *
+ * Middleware Chain:
+ *   1. authMiddleware.authenticate - Verify JWT
+ *   2. authorizePermissions(...) - The route's back-office permission
+ */
+router.get(
+  '/parents',
+  authMiddleware.authenticate,
+  authorizePermissions(PERMISSIONS.PARENT_READ),
+  adminController.searchParents
+);
+router.get(
+  '/parents/:parentId',
+  authMiddleware.authenticate,
+  authorizePermissions(PERMISSIONS.PARENT_READ),
+  adminController.getFamily
+);
+router.post(
+  '/parents/:parentId/unlock',
+  authMiddleware.authenticate,
+  authorizePermissions(PERMISSIONS.ACCOUNT_UNLOCK),
+  adminController.unlockParent
+);
+router.post(
+  '/parents/:parentId/deactivate',
+  authMiddleware.authenticate,
+  authorizePermissions(PERMISSIONS.PARENT_DEACTIVATE),
+  adminController.deactivateParent
+);
+router.post(
+  '/children/:childId/unlock',
+  authMiddleware.authenticate,
+  authorizePermissions(PERMISSIONS.ACCOUNT_UNLOCK),
+  adminController.unlockChild
+);
+router.get(
+  '/audit-events',
+  authMiddleware.authenticate,
+  authorizePermissions(PERMISSIONS.AUDIT_READ),
+  adminController.listAuditEvents
+);
+router.get(
+  '/audit-events/export',
+  authMiddleware.authenticate,
+  authorizePermissions(PERMISSIONS.AUDIT_READ),
+  adminController.exportAuditEvents
+);
+
+module.exports = router;
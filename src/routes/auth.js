@@ -6,7 +6,45 @@
  * Sprint 1 Endpoints:
  *   - POST /api/auth/register: Register new parent account
  *   - POST /api/auth/login: Authenticate parent and issue tokens
- *   - POST /api/auth/refresh: Refresh access token using refresh token
+ *   - POST /api/auth/refresh: Rotate access + refresh token (reuse detection)
+ *   - POST /api/auth/logout: Sign out the current session
+ * 
+ * Password Recovery:
+ *   - POST /api/auth/password/forgot: Email a single-use reset link
+ *   - POST /api/auth/password/reset: Set a new password with the emailed token
+ *   - POST /api/auth/password/change: Change password while signed in
+ * 
+ * Profile:
+ *   - PATCH /api/auth/profile: Change name and/or phone number
+ * 
+ * Email Verification:
+ *   - POST /api/auth/email/verify: Confirm the email address with the emailed token
+ *   - POST /api/auth/email/verify/resend: Send a new verification link
+ * 
+ * Phone Verification (SMS one-time code):
+ *   - POST /api/auth/phone/verify/request: Send a code to the parent's phone
+ *   - POST /api/auth/phone/verify: Confirm the phone number with the code
+ * 
+ * Two-Factor Authentication (authenticator app / TOTP):
+ *   - POST /api/auth/login/mfa: Second login step (exchange MFA challenge + code for tokens)
+ *   - GET /api/auth/mfa: Two-factor status
+ *   - POST /api/auth/mfa/totp/enroll: Start enrollment (secret + otpauth:// URI)
+ *   - POST /api/auth/mfa/totp/confirm: Confirm with a code, receive recovery codes
+ *   - POST /api/auth/mfa/totp/disable: Turn two-factor off (password + code)
+ *   - POST /api/auth/mfa/recovery-codes: Replace recovery codes
+ * 
+ * Child Login (username + PIN, role CHILD):
+ *   - POST /api/auth/child/login: Authenticate a child and issue CHILD tokens
+ *   - POST /api/auth/child/logout: Sign the child out of the current device
+ *   (Refresh uses POST /api/auth/refresh like parents.)
+ * 
+ * Session Endpoints:
+ *   - GET /api/auth/sessions: List signed-in devices
+ *   - DELETE /api/auth/sessions/:sessionId: Sign out one device
+ *   - POST /api/auth/sessions/revoke-others: Sign out every other device
+ * 
+ * Account Activity:
+ *   - GET /api/auth/activity: Security events on the parent's account and children
  * 
  * Architecture:
  *   - Route handlers delegate to controllers (request/response)
@@ -25,7 +63,12 @@
 const express = require('express');
 const authController = require('../controllers/authController');
 const authMiddleware = require('../middleware/authMiddleware');
-const { loginRateLimiter } = require('../middleware/rateLimitMiddleware');
+const {
+  loginRateLimiter,
+  passwordResetRateLimiter,
+  passwordChangeRateLimiter,
+  emailVerificationRateLimiter,
+} = require('../middleware/rateLimitMiddleware');
 const { authorizeRoles } = require('../middleware/authorizeRoles');
 
 const router = express.Router();
@@ -85,6 +128,18 @@ const router = express.Router();
  *             phoneNumber:
  *               type: string
  *               example: "+254700000000"
+ *             emailVerifiedAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *               description: null until the emailed verification link is used
+ *               example: null
+ *             phoneVerifiedAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *               description: null until an SMS verification code is confirmed
+ *               example: null
  *             createdAt:
  *               type: string
  *               format: date-time
@@ -120,6 +175,11 @@ const router = express.Router();
  *           format: password
  *           description: Parent's password (plain text, never stored)
  *           example: "StrongPassword123!"
+ *         deviceName:
+ *           type: string
+ *           maxLength: 100
+ *           description: Optional label for this device, shown in the session list
+ *           example: "Charity's phone"
  * 
  *     RefreshRequest:
  *       type: object
@@ -143,6 +203,102 @@ const router = express.Router();
  *             email: "Invalid email format"
  *             password: "Password must be at least 8 characters long"
  * 
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           example: "5b0f3c5e-2a8e-4d8f-9d6b-0c2b8f1e7a44"
+ *         deviceName:
+ *           type: string
+ *           nullable: true
+ *           example: "Charity's phone"
+ *         userAgent:
+ *           type: string
+ *           nullable: true
+ *           example: "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)"
+ *         ipAddress:
+ *           type: string
+ *           nullable: true
+ *           example: "197.248.10.1"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: True for the session the request was made from
+ *
+ *     ActivityEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1042
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *         action:
+ *           type: string
+ *           example: "LOGIN_FAILED"
+ *         severity:
+ *           type: string
+ *           enum: [CRITICAL, HIGH, MEDIUM, LOW]
+ *         result:
+ *           type: string
+ *           enum: [SUCCESS, FAILURE, BLOCKED]
+ *         resourceType:
+ *           type: string
+ *           example: "AUTH"
+ *         resourceId:
+ *           type: integer
+ *           nullable: true
+ *           description: The parent's ID, or one of their children's
+ *         byYou:
+ *           type: boolean
+ *           description: True if the parent performed the action
+ *         ipAddress:
+ *           type: string
+ *           nullable: true
+ *           description: Null when someone else (a guardian, support) performed the action
+ *           example: "197.248.10.1"
+ *         userAgent:
+ *           type: string
+ *           nullable: true
+ *
+ *     MfaChallenge:
+ *       type: object
+ *       description: Returned by login when two-factor authentication is enabled
+ *       properties:
+ *         message:
+ *           type: string
+ *           example: "Two-factor authentication required"
+ *         mfaRequired:
+ *           type: boolean
+ *           example: true
+ *         mfaToken:
+ *           type: string
+ *           description: Short-lived challenge token for POST /api/auth/login/mfa
+ *         expiresIn:
+ *           type: integer
+ *           description: Seconds until the challenge token expires
+ *           example: 300
+ *
+ *     RecoveryCodes:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         recoveryCodes:
+ *           type: array
+ *           description: Single-use codes, shown only once
+ *           items:
+ *             type: string
+ *             example: "ABCD-EFGH-IJKL-MNOP"
+ *
  *     ErrorResponse:
  *       type: object
  *       properties:
@@ -166,7 +322,7 @@ const router = express.Router();
  *       
  *       Workflow:
  *       1. Validate input fields (email format, password strength, Kenyan phone)
- *       2. Check for duplicate email (prevent multiple registrations)
+ *       2. Check for duplicate email or phone number (one account per number)
  *       3. Hash password using bcrypt (never store plain text)
  *       4. Create parent record in database
  *       5. Generate JWT access and refresh tokens
@@ -197,7 +353,7 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ValidationError'
  *       409:
- *         description: Email already registered
+ *         description: Email (EMAIL_EXISTS) or phone number (PHONE_EXISTS) already registered
  *         content:
  *           application/json:
  *             schema:
@@ -227,6 +383,11 @@ const router = express.Router();
  *       4. Generate new JWT tokens (token rotation for security)
  *       5. Return tokens to client
  *       
+ *       Two-Factor Accounts:
+ *       If an authenticator app is enabled, step 4 is replaced by a short-lived
+ *       MFA challenge (mfaRequired = true, mfaToken). Exchange it with a code
+ *       at POST /api/auth/login/mfa to receive the tokens.
+ *       
  *       Security:
  *       - Uses intentionally vague error message ("Invalid credentials")
  *       - Prevents email enumeration attacks
@@ -244,11 +405,13 @@ const router = express.Router();
  *             $ref: '#/components/schemas/LoginRequest'
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or MFA challenge for two-factor accounts
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/MfaChallenge'
  *       400:
  *         description: Validation error (missing email or password)
  *         content:
@@ -265,6 +428,10 @@ const router = express.Router();
  *                 message:
  *                   type: string
  *                   example: "Invalid credentials"
+ *       403:
+ *         description: Account deactivated by an administrator (ACCOUNT_DEACTIVATED)
+ *       429:
+ *         description: Account temporarily locked (ACCOUNT_LOCKED, see lockedUntil) or rate limited
  *       500:
  *         description: Internal server error
  *         content:
@@ -273,6 +440,65 @@ const router = express.Router();
  *               $ref: '#/components/schemas/ErrorResponse'
  */
 
+/**
+ * @swagger
+ * /api/auth/login/mfa:
+ *   post:
+ *     summary: Complete a two-factor login
+ *     tags:
+ *       - Auth
+ *     description: |
+ *       Exchange the MFA challenge token from POST /api/auth/login and a
+ *       code from the authenticator app (or one unused recovery code) for
+ *       access and refresh tokens.
+ *       
+ *       Security:
+ *       - The challenge token expires after 5 minutes (configurable)
+ *       - The challenge token signs in once, and allows 5 codes
+ *         (configurable); after that, log in again
+ *       - A TOTP code can only be used once
+ *       - Wrong codes count towards the same lockout as wrong passwords
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 pattern: '^\d{6}$'
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Use instead of code if the authenticator is unavailable
+ *                 example: "ABCD-EFGH-IJKL-MNOP"
+ *               deviceName:
+ *                 type: string
+ *                 maxLength: 100
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid, expired, used or exhausted challenge (INVALID_MFA_TOKEN) or wrong code (INVALID_MFA_CODE)
+ *       403:
+ *         description: Account deactivated by an administrator (ACCOUNT_DEACTIVATED)
+ *       429:
+ *         description: Account temporarily locked (ACCOUNT_LOCKED) or rate limited
+ *       500:
+ *         description: Internal server error
+ */
+
 /**
  * @swagger
  * /api/auth/refresh:
@@ -281,26 +507,29 @@ const router = express.Router();
  *     tags:
  *       - Auth
  *     description: |
- *       Issue a new access token using a valid refresh token.
+ *       Issue a new access token and a new refresh token using a valid refresh token.
  *       
  *       Workflow:
  *       1. Validate refresh token is provided
  *       2. Verify refresh token signature and expiration
- *       3. Verify parent account still exists
- *       4. Generate new short-lived access token
- *       5. Optionally rotate refresh token (current: reuse existing)
- *       6. Return new access token
+ *       3. Look up the stored token (by SHA-256 hash)
+ *       4. Reject and revoke the token family if the token was already rotated
+ *       5. Generate new access + refresh token; invalidate the presented one
+ *       6. Return both new tokens
  *       
  *       Use Case:
  *       - When access token expires (401 response with "Token expired")
  *       - Client calls this endpoint with refresh token
- *       - Receives new access token
+ *       - Receives new access token and new refresh token
+ *       - Stores the new refresh token (the old one can no longer be used)
  *       - Retries the original request with new access token
  *       
  *       Security:
  *       - Refresh token must be stored securely on client (httpOnly cookie preferred)
  *       - If refresh token expires or is revoked, user must re-authenticate
- *       - Future: Can implement refresh token rotation (new token on each refresh)
+ *       - Refresh tokens are single use (rotated on every call)
+ *       - Replaying a rotated token revokes every token from that login
+ *         and logs a CRITICAL audit event (stolen-token detection)
  *     requestBody:
  *       required: true
  *       content:
@@ -331,7 +560,7 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ValidationError'
  *       401:
- *         description: Invalid or expired refresh token
+ *         description: Invalid, expired, revoked or reused refresh token
  *         content:
  *           application/json:
  *             schema:
@@ -354,7 +583,7 @@ const router = express.Router();
  *         Obtained from:
  *         - POST /api/auth/register (returns both tokens)
  *         - POST /api/auth/login (returns both tokens)
- *         - POST /api/auth/refresh (returns new access token)
+ *         - POST /api/auth/refresh (returns new access and refresh token)
  *         
  *         Usage:
  *         Include in Authorization header as: "Bearer <accessToken>"
@@ -375,19 +604,19 @@ const router = express.Router();
  *     tags:
  *       - Auth
  *     description: |
- *       Logout a parent account by invalidating their refresh token.
+ *       Logout the current session (device) by revoking its refresh tokens.
+ *       Other devices stay signed in.
  *       
  *       Workflow:
  *       1. Verify access token via Authorization header
- *       2. Invalidate the stored refresh token in database
+ *       2. Revoke the session named by the token's sid claim
  *       3. Reset failed login attempts and account lock (if any)
  *       4. Return success message
  *       
  *       Security:
- *       - Access token cannot be revoked (stateless JWT)
- *         - Token remains valid for ~7 minutes (until expiration)
- *         - Client should discard the token after logout
- *         - Future: Implement denylist for immediate revocation
+ *       - Access token is denylisted until it expires
+ *         - Further requests with it get 401 (TOKEN_REVOKED)
+ *         - Client should still discard the token after logout
  *       - Refresh token is immediately invalidated
  *         - Cannot be used to get new access tokens after logout
  *         - Old token in possession of attacker becomes useless
@@ -397,7 +626,8 @@ const router = express.Router();
  *       - Can be extended for authorization checks on specific endpoints
  *       
  *       Token Management:
- *       - Clears refreshToken from database
+ *       - Marks the session and its refresh tokens as revoked (reason LOGOUT)
+ *       - Tokens issued before sessions existed (no sid) revoke every session
  *       - Resets security fields (failedLoginAttempts, lockedUntil)
  * 
  *     security:
@@ -430,50 +660,1080 @@ const router = express.Router();
  *               $ref: '#/components/schemas/ErrorResponse'
  */
 
-// ============================================
-// Route Handlers
-// ============================================
+/**
+ * @swagger
+ * /api/auth/password/forgot:
+ *   post:
+ *     summary: Request a password reset link
+ *     tags:
+ *       - Auth
+ *     description: |
+ *       Email a single-use password reset link to the parent.
+ *       
+ *       Security:
+ *       - Always returns 200 with the same message, whether or not the
+ *         email has an account (prevents email enumeration)
+ *       - Only the newest link works; it expires after 30 minutes (configurable)
+ *       - Rate limited per IP (5 requests per 15 minutes, shared with /password/reset)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "charity@example.com"
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "If an account exists for that email, a password reset link has been sent."
+ *       400:
+ *         description: Invalid email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       429:
+ *         description: Too many requests
+ *       500:
+ *         description: Internal server error
+ */
 
 /**
- * POST /api/auth/register
- * Handler delegates all logic to authController.register()
+ * @swagger
+ * /api/auth/password/reset:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     tags:
+ *       - Auth
+ *     description: |
+ *       Redeem the token from the reset email and set a new password.
+ *       
+ *       Effects:
+ *       - Password replaced (bcrypt, same strength rules as registration)
+ *       - Failed login counter and account lock cleared
+ *       - Every session signed out (all refresh tokens revoked)
+ *       - Token can never be used again
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the reset link
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 description: Minimum 8 characters
+ *                 example: "NewStrongPassword123!"
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Password reset successfully. Please log in with your new password."
+ *       400:
+ *         description: Validation error, or invalid/expired/used token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       429:
+ *         description: Too many requests
+ *       500:
+ *         description: Internal server error
  */
-router.post('/register', authController.register);
 
 /**
- * POST /api/auth/login
- * Handler delegates all logic to authController.login()
- * 
- * Middleware Applied:
- *   - loginRateLimiter: IP-based rate limiting (5 attempts per 15 minutes)
- *     Responds with 429 Too Many Requests when limit exceeded
+ * @swagger
+ * /api/auth/password/change:
+ *   post:
+ *     summary: Change password (signed in)
+ *     tags:
+ *       - Auth
+ *     description: |
+ *       Change the password of the authenticated parent.
+ *       
+ *       Rules:
+ *       - Current password must be correct
+ *       - New password: minimum 8 characters
+ *       - New password must differ from the last 5 passwords (configurable)
+ *       
+ *       Effects:
+ *       - Every other session is signed out (their refresh tokens revoked)
+ *       - The current session stays signed in
+ *       - Rate limited per IP (5 attempts per 15 minutes)
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 example: "EvenStronger456!"
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Password changed successfully"
+ *                 revokedSessionCount:
+ *                   type: integer
+ *                   example: 2
+ *       400:
+ *         description: Validation error (weak or recently used new password)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Invalid token or incorrect current password
+ *       429:
+ *         description: Too many attempts
+ *       500:
+ *         description: Internal server error
  */
-router.post('/login', loginRateLimiter, authController.login);
 
 /**
- * POST /api/auth/refresh
- * Handler delegates all logic to authController.refresh()
- * 
- * Middleware Applied:
- *   - authorizeRoles: RBAC check ensures user has PARENT role
- *     Responds with 403 Forbidden if authorization fails
+ * @swagger
+ * /api/auth/profile:
+ *   patch:
+ *     summary: Update profile (name, phone number)
+ *     tags:
+ *       - Auth
+ *     description: |
+ *       Change the authenticated parent's name and/or phone number. Send
+ *       only the fields to change.
+ *       
+ *       Rules:
+ *       - fullName: 2 to 255 characters
+ *       - phoneNumber: Kenyan format (+2547XXXXXXXX); one parent account
+ *         per phone number
+ *       
+ *       Effects of a new phone number:
+ *       - phoneVerifiedAt is cleared; verify the new number with
+ *         POST /api/auth/phone/verify/request
+ *       - Codes sent to the old number stop working
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *                 example: "Charity Wanjiru Muigai"
+ *               phoneNumber:
+ *                 type: string
+ *                 example: "+254711000111"
+ *     responses:
+ *       200:
+ *         description: Profile updated (updatedFields is empty if nothing changed)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Profile updated"
+ *                 updatedFields:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["phoneNumber"]
+ *                 parent:
+ *                   $ref: '#/components/schemas/AuthResponse/properties/parent'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       409:
+ *         description: Phone number already registered to another account (PHONE_EXISTS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
  */
-router.post('/refresh', authorizeRoles('PARENT'), authController.refresh);
 
 /**
- * POST /api/auth/logout
- * Handler delegates all logic to authController.logout()
- * 
- * Middleware:
- *   - authMiddleware.authenticate(): Verify access token via Authorization header
- *   - authorizeRoles: RBAC check ensures user has PARENT role
- *     
- * Security:
- *   - Invalidates refresh token in database
- *   - Resets security fields (failedLoginAttempts, lockedUntil)
- *   - Logs logout event for audit trail
+ * @swagger
+ * /api/auth/email/verify:
+ *   post:
+ *     summary: Verify email address
+ *     tags:
+ *       - Auth
+ *     description: |
+ *       Confirm the parent's email address with the token from the link
+ *       emailed at registration (<APP_BASE_URL>/verify-email?token=...).
+ *       
+ *       Rules:
+ *       - Tokens are single use and expire (default 48 hours)
+ *       - Only the most recently sent link works
+ *       - No access token required
+ *       
+ *       Until verified, wallet-affecting routes (e.g. creating a child)
+ *       respond 403 with error EMAIL_NOT_VERIFIED.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the verification link
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Email address verified"
+ *                 email:
+ *                   type: string
+ *                   example: "charity@example.com"
+ *                 emailVerifiedAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Missing, invalid, expired or already used token
+ *       429:
+ *         description: Too many requests
+ *       500:
+ *         description: Internal server error
  */
-router.post('/logout', authMiddleware.authenticate, authorizeRoles('PARENT'), authController.logout);
+
+/**
+ * @swagger
+ * /api/auth/email/verify/resend:
+ *   post:
+ *     summary: Resend email verification link
+ *     tags:
+ *       - Auth
+ *     description: |
+ *       Send a new verification link to the authenticated parent's email
+ *       address. Any previously sent link stops working.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       409:
+ *         description: Email address is already verified
+ *       429:
+ *         description: Too many requests
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/auth/phone/verify/request:
+ *   post:
+ *     summary: Send phone verification code
+ *     tags:
+ *       - Auth
+ *     description: |
+ *       Send a 6-digit one-time code by SMS to the authenticated parent's
+ *       phone number. A verified phone number is required before M-Pesa
+ *       payments are sent to it.
+ *       
+ *       Limits (configurable):
+ *       - One code per 60 seconds
+ *       - 5 codes per rolling hour
+ *       - Codes expire after 10 minutes
+ *       - Requesting a new code replaces the previous one
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Code sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Verification code sent"
+ *                 phoneNumber:
+ *                   type: string
+ *                   description: Masked phone number
+ *                   example: "+2547******78"
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                 resendAvailableAt:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       409:
+ *         description: Phone number is already verified
+ *       429:
+ *         description: Too many codes requested (OTP_RESEND_THROTTLED or OTP_SEND_LIMIT_REACHED; see retryAfter)
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/auth/phone/verify:
+ *   post:
+ *     summary: Verify phone number
+ *     tags:
+ *       - Auth
+ *     description: |
+ *       Confirm the phone number with the code from the most recent SMS.
+ *       Each code allows 5 attempts (configurable).
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 pattern: '^\d{6}$'
+ *                 example: "048213"
+ *     responses:
+ *       200:
+ *         description: Phone number verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Phone number verified"
+ *                 phoneVerifiedAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Malformed, incorrect (INVALID_OTP, with attemptsRemaining) or expired code (OTP_EXPIRED)
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       429:
+ *         description: Too many incorrect codes (OTP_ATTEMPTS_EXCEEDED); request a new code
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/auth/mfa:
+ *   get:
+ *     summary: Get two-factor authentication status
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Two-factor status retrieved"
+ *                 enabled:
+ *                   type: boolean
+ *                 enabledAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 enrollmentPending:
+ *                   type: boolean
+ *                 recoveryCodesRemaining:
+ *                   type: integer
+ *                   example: 10
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/auth/mfa/totp/enroll:
+ *   post:
+ *     summary: Start authenticator app enrollment
+ *     tags:
+ *       - Auth
+ *     description: |
+ *       Generate a new TOTP secret (RFC 6238: SHA-1, 6 digits, 30 seconds).
+ *       Show otpauthUri as a QR code (or the secret for manual entry), then
+ *       confirm with a code at POST /api/auth/mfa/totp/confirm.
+ *       Calling this again replaces a pending (unconfirmed) enrollment.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enrollment started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 secret:
+ *                   type: string
+ *                   example: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *                 otpauthUri:
+ *                   type: string
+ *                   example: "otpauth://totp/SatsBlox:charity%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=SatsBlox&algorithm=SHA1&digits=6&period=30"
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       409:
+ *         description: Two-factor already enabled (MFA_ALREADY_ENABLED)
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/auth/mfa/totp/confirm:
+ *   post:
+ *     summary: Confirm authenticator enrollment
+ *     tags:
+ *       - Auth
+ *     description: |
+ *       Enable two-factor login with a first code from the authenticator app.
+ *       Returns 10 single-use recovery codes. They are shown only once.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 pattern: '^\d{6}$'
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecoveryCodes'
+ *       400:
+ *         description: Malformed or wrong code (INVALID_MFA_CODE), or no enrollment started (MFA_NOT_ENROLLED)
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       409:
+ *         description: Two-factor already enabled (MFA_ALREADY_ENABLED)
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/auth/mfa/totp/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags:
+ *       - Auth
+ *     description: |
+ *       Requires the current password and a code (or recovery code).
+ *       Removes the authenticator secret and all recovery codes.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 pattern: '^\d{6}$'
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor disabled
+ *       400:
+ *         description: Validation error, or two-factor not enabled (MFA_NOT_ENABLED)
+ *       401:
+ *         description: Unauthorized (invalid token, INVALID_CURRENT_PASSWORD or INVALID_MFA_CODE)
+ *       429:
+ *         description: Too many requests (rate limited)
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     tags:
+ *       - Auth
+ *     description: |
+ *       Replace all recovery codes with 10 new ones (the old ones stop working).
+ *       Requires a current authenticator code.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 pattern: '^\d{6}$'
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecoveryCodes'
+ *       400:
+ *         description: Malformed code, or two-factor not enabled (MFA_NOT_ENABLED)
+ *       401:
+ *         description: Unauthorized (invalid token or INVALID_MFA_CODE)
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/auth/child/login:
+ *   post:
+ *     summary: Authenticate a child with username and PIN
+ *     tags:
+ *       - Auth
+ *     description: |
+ *       Children sign in with the username their parent created and the PIN
+ *       the parent set (PUT /api/family/children/{childId}/pin).
+ *       
+ *       Tokens carry role = CHILD and a childId claim, and only open the
+ *       child routes (/api/child/me...). Refresh them with POST /api/auth/refresh.
+ *       
+ *       Lockout:
+ *       - 5 wrong PINs lock the child account for 30 minutes (429 ACCOUNT_LOCKED)
+ *       - The parent setting a new PIN lifts the lock
+ *       
+ *       Security:
+ *       - Same "Invalid credentials" answer for unknown usernames, wrong PINs,
+ *         children without a PIN and deactivated children
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - pin
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 example: "alice_smith"
+ *               pin:
+ *                 type: string
+ *                 example: "2580"
+ *               deviceName:
+ *                 type: string
+ *                 example: "Alice's tablet"
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Login successful"
+ *                 child:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 10
+ *                     username:
+ *                       type: string
+ *                       example: "alice_smith"
+ *                     parentId:
+ *                       type: integer
+ *                       example: 1
+ *                 accessToken:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       400:
+ *         description: Validation error (missing username or PIN)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Invalid credentials
+ *       429:
+ *         description: Child account temporarily locked (ACCOUNT_LOCKED, see lockedUntil) or rate limited
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/auth/child/logout:
+ *   post:
+ *     summary: Sign a child out of the current device
+ *     tags:
+ *       - Auth
+ *     description: |
+ *       Revoke the child's current session. The refresh token stops working
+ *       and the access token is rejected immediately (401 TOKEN_REVOKED).
+ *       Requires a CHILD access token.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       403:
+ *         description: Not a child token
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions (signed-in devices)
+ *     tags:
+ *       - Auth
+ *     description: |
+ *       Return every device the parent is currently signed in on,
+ *       most recently used first. The session the request came from
+ *       is flagged with current = true.
+ *       
+ *       Sessions whose refresh tokens have all expired are not listed.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Sessions retrieved successfully"
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/auth/sessions/revoke-others:
+ *   post:
+ *     summary: Log out everywhere else
+ *     tags:
+ *       - Auth
+ *     description: |
+ *       Revoke every session except the one making the request.
+ *       Signed-out devices can no longer refresh their tokens, and their
+ *       access tokens are rejected immediately (401 TOKEN_REVOKED).
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked (possibly none)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Signed out of 2 other session(s)"
+ *                 revokedCount:
+ *                   type: integer
+ *                   example: 2
+ *                 revokedSessionIds:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Access token predates sessions (log in again)
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out one session
+ *     tags:
+ *       - Auth
+ *     description: |
+ *       Revoke a single session (device) belonging to the parent.
+ *       Revoking the current session is equivalent to logout.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Session revoked successfully"
+ *                 sessionId:
+ *                   type: string
+ *       400:
+ *         description: Malformed session ID
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       404:
+ *         description: Session not found, not owned, or already ended
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/auth/activity:
+ *   get:
+ *     summary: Account security activity
+ *     tags:
+ *       - Auth
+ *     description: |
+ *       Security events on the parent's own account, newest first:
+ *       sign-ins (including failed attempts and lockouts), password, email,
+ *       phone and two-factor changes, signed-out sessions, and changes to
+ *       their children and guardians.
+ *       
+ *       To read the next page, pass the response's nextCursor as cursor
+ *       (null on the last page).
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Activity retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Activity retrieved successfully"
+ *                 count:
+ *                   type: integer
+ *                   example: 20
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ActivityEvent'
+ *                 nextCursor:
+ *                   type: integer
+ *                   nullable: true
+ *       400:
+ *         description: Invalid cursor or limit
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       500:
+ *         description: Internal server error
+ */
+
+// ============================================
+// Route Handlers
+// ============================================
+
+/**
+ * POST /api/auth/register
+ * Handler delegates all logic to authController.register()
+ */
+router.post('/register', authController.register);
+
+/**
+ * POST /api/auth/login
+ * Handler delegates all logic to authController.login()
+ * 
+ * Middleware Applied:
+ *   - loginRateLimiter: IP-based rate limiting (5 attempts per 15 minutes)
+ *     Responds with 429 Too Many Requests when limit exceeded
+ */
+router.post('/login', loginRateLimiter, authController.login);
+
+/**
+ * POST /api/auth/login/mfa
+ * Handler delegates all logic to authController.loginMfa()
+ * 
+ * Middleware Applied:
+ *   - loginRateLimiter: shares the login budget (5 attempts per 15 minutes)
+ */
+router.post('/login/mfa', loginRateLimiter, authController.loginMfa);
+
+/**
+ * POST /api/auth/refresh
+ * Handler delegates all logic to authController.refresh()
+ * 
+ * No authenticate/authorizeRoles: callers arrive here precisely because
+ * their access token expired. The refresh token in the body is the
+ * credential and is verified (and rotated) by authService.
+ */
+router.post('/refresh', authController.refresh);
+
+/**
+ * POST /api/auth/logout
+ * Handler delegates all logic to authController.logout()
+ * 
+ * Middleware:
+ *   - authMiddleware.authenticate(): Verify access token via Authorization header
+ *   - authorizeRoles: RBAC check ensures user has PARENT role
+ *     
+ * Security:
+ *   - Revokes the current session's refresh tokens in database
+ *   - Resets security fields (failedLoginAttempts, lockedUntil)
+ *   - Logs logout event for audit trail
+ */
+router.post('/logout', authMiddleware.authenticate, authorizeRoles('PARENT'), authController.logout);
+
+/**
+ * Child login
+ * 
+ * Middleware:
+ *   - login: loginRateLimiter (IP-based, shared with parent login) on top of
+ *     the per-child PIN lockout in authService
+ *   - logout: authMiddleware.authenticate(), authorizeRoles('CHILD')
+ */
+router.post('/child/login', loginRateLimiter, authController.loginChild);
+router.post('/child/logout', authMiddleware.authenticate, authorizeRoles('CHILD'), authController.logoutChild);
+
+/**
+ * Password recovery
+ * 
+ * Middleware:
+ *   - passwordResetRateLimiter: IP-based (5 requests per 15 minutes),
+ *     counted separately from login attempts
+ */
+router.post('/password/forgot', passwordResetRateLimiter, authController.forgotPassword);
+router.post('/password/reset', passwordResetRateLimiter, authController.resetPassword);
+
+/**
+ * POST /api/auth/password/change
+ * 
+ * Middleware:
+ *   - authMiddleware.authenticate(), authorizeRoles('PARENT')
+ *   - passwordChangeRateLimiter: 5 attempts per 15 minutes per IP
+ */
+router.post(
+  '/password/change',
+  authMiddleware.authenticate,
+  authorizeRoles('PARENT'),
+  passwordChangeRateLimiter,
+  authController.changePassword
+);
+
+/**
+ * PATCH /api/auth/profile
+ * 
+ * Middleware:
+ *   - authMiddleware.authenticate(), authorizeRoles('PARENT')
+ */
+router.patch('/profile', authMiddleware.authenticate, authorizeRoles('PARENT'), authController.updateProfile);
+
+/**
+ * Email verification
+ * 
+ * Middleware:
+ *   - emailVerificationRateLimiter: IP-based (10 requests per 15 minutes)
+ *   - resend: authMiddleware.authenticate(), authorizeRoles('PARENT')
+ */
+router.post('/email/verify', emailVerificationRateLimiter, authController.verifyEmail);
+router.post(
+  '/email/verify/resend',
+  authMiddleware.authenticate,
+  authorizeRoles('PARENT'),
+  emailVerificationRateLimiter,
+  authController.resendVerificationEmail
+);
+
+/**
+ * Phone verification
+ * 
+ * Middleware:
+ *   - authMiddleware.authenticate(), authorizeRoles('PARENT')
+ *   - Sends and guesses are limited per parent by phoneVerificationService
+ */
+router.post(
+  '/phone/verify/request',
+  authMiddleware.authenticate,
+  authorizeRoles('PARENT'),
+  authController.requestPhoneVerification
+);
+router.post('/phone/verify', authMiddleware.authenticate, authorizeRoles('PARENT'), authController.verifyPhone);
+
+/**
+ * Two-factor authentication
+ * 
+ * Middleware:
+ *   - authMiddleware.authenticate(), authorizeRoles('PARENT')
+ *   - disable: passwordChangeRateLimiter (checks the current password)
+ */
+router.get('/mfa', authMiddleware.authenticate, authorizeRoles('PARENT'), authController.getMfaStatus);
+router.post('/mfa/totp/enroll', authMiddleware.authenticate, authorizeRoles('PARENT'), authController.enrollTotp);
+router.post('/mfa/totp/confirm', authMiddleware.authenticate, authorizeRoles('PARENT'), authController.confirmTotp);
+router.post(
+  '/mfa/totp/disable',
+  authMiddleware.authenticate,
+  authorizeRoles('PARENT'),
+  passwordChangeRateLimiter,
+  authController.disableTotp
+);
+router.post('/mfa/recovery-codes', authMiddleware.authenticate, authorizeRoles('PARENT'), authController.regenerateRecoveryCodes);
+
+/**
+ * Session management (multi-device)
+ * 
+ * Middleware:
+ *   - authMiddleware.authenticate(): Verify access token
+ *   - authorizeRoles('PARENT'): Sessions belong to parent accounts
+ */
+router.get('/sessions', authMiddleware.authenticate, authorizeRoles('PARENT'), authController.listSessions);
+router.post('/sessions/revoke-others', authMiddleware.authenticate, authorizeRoles('PARENT'), authController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', authMiddleware.authenticate, authorizeRoles('PARENT'), authController.revokeSession);
+
+/**
+ * Account activity
+ * 
+ * Middleware:
+ *   - authMiddleware.authenticate(): Verify access token
+ *   - authorizeRoles('PARENT'): Always the caller's own account (no ID in the path)
+ */
+router.get('/activity', authMiddleware.authenticate, authorizeRoles('PARENT'), authController.listActivity);
 
 module.exports = router;
 
@@ -7,6 +7,14 @@
  *   - POST /api/family/children - Create a new child account
  *   - GET /api/family/children - List all children for authenticated parent
  *   - GET /api/family/children/:childId - Get specific child details
+ *   - GET /api/family/children/:childId/transactions - Wallet transaction history
+ *   - POST /api/family/children/:childId/deposits - Deposit with M-Pesa (STK push)
+ *   - GET /api/family/children/:childId/deposits/:intentId - Deposit status
+ *   - PUT /api/family/children/:childId/pin - Set or reset the child's login PIN
+ *   - POST /api/family/children/:childId/guardians - Invite a guardian by email
+ *   - GET /api/family/children/:childId/guardians - List guardians and invitations
+ *   - PATCH /api/family/children/:childId/guardians/:guardianshipId - Change permissions
+ *   - DELETE /api/family/children/:childId/guardians/:guardianshipId - Remove a guardian
  * 
  * Architecture:
  *   - Route handlers delegate to controllers
@@ -16,10 +24,20 @@
  * Authentication:
  *   - ALL endpoints require: authMiddleware.authenticate
  *   - Verifies Bearer token and extracts parentId from JWT
+ *   - Wallet-affecting endpoints (POST /, POST :childId/deposits) also
+ *     require a verified email address: authMiddleware.requireVerifiedEmail
  * 
  * Authorization:
  *   - GET :childId requires: ownershipMiddleware.verifyParentalLink
  *   - Ensures parent can only access their own children
+ *   - GET :childId, GET :childId/transactions and GET :childId/deposits/*
+ *     also admit invited guardians with the VIEW permission, POST
+ *     :childId/deposits those with the DEPOSIT permission; everything else
+ *     is owner only
+ *   - Every route then names the permission it needs (authorizePermissions):
+ *     child:create / family:read from the PARENT role, per-child permissions
+ *     (child:read, wallet:read, guardian:manage, ...) from the grants
+ *     verifyParentalLink attached for this child
  * 
  * This separation enables:
  *   - Testability (mock routes in unit tests)
@@ -33,8 +51,14 @@
 const express = require('express');
 const authMiddleware = require('../middleware/authMiddleware');
 const { authorizeRoles } = require('../middleware/authorizeRoles');
+const { authorizePermissions, PERMISSIONS, RESOURCES } = require('../middleware/authorizePermissions');
 const { verifyParentalLink } = require('../middleware/ownershipMiddleware');
+const { childPinRateLimiter, guardianInvitationRateLimiter, depositRateLimiter } = require('../middleware/rateLimitMiddleware');
+const { GUARDIAN_PERMISSIONS } = require('../services/guardianService');
 const childController = require('../controllers/childController');
+const transactionController = require('../controllers/transactionController');
+const paymentController = require('../controllers/paymentController');
+const guardianController = require('../controllers/guardianController');
 
 const router = express.Router();
 
@@ -167,6 +191,7 @@ const router = express.Router();
  *       - Wallet initialized with 0 satoshi balance
  *       - Global username uniqueness enforced
  *       - Age validation (must be under 18)
+ *       - Requires a verified parent email address
  *       
  *       Workflow:
  *       1. Verify Bearer token and extract parentId
@@ -226,6 +251,8 @@ const router = express.Router();
  *                       example: "Date of birth must be in ISO format (YYYY-MM-DD)"
  *       401:
  *         description: Unauthorized (invalid or missing token)
+ *       403:
+ *         description: Parent email address not verified (error EMAIL_NOT_VERIFIED)
  *       409:
  *         description: Username conflict (already taken)
  *         content:
@@ -311,6 +338,8 @@ const router = express.Router();
  *       - Middleware verifies child belongs to authenticated parent
  *       - Returns 404 if child not found or not owned (no info leakage)
  *       - Prevents unauthorized access to sibling or other family data
+ *       - Invited guardians (any permission) may also view; "access"
+ *         tells the caller whether they are the owner or a guardian
  *       
  *       Data Sensitivity:
  *       - Child details: Low sensitivity
@@ -340,6 +369,17 @@ const router = express.Router();
  *                   example: "Child details retrieved successfully"
  *                 child:
  *                   $ref: '#/components/schemas/ChildWithWallet'
+ *                 access:
+ *                   type: object
+ *                   properties:
+ *                     role:
+ *                       type: string
+ *                       enum: [PARENT, GUARDIAN]
+ *                     permissions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         enum: [VIEW, DEPOSIT, APPROVE_WITHDRAWALS]
  *       401:
  *         description: Unauthorized (invalid or missing token)
  *       404:
@@ -528,6 +568,614 @@ const router = express.Router();
  *         description: Internal server error
  */
 
+/**
+ * @swagger
+ * /api/family/children/{childId}/transactions:
+ *   get:
+ *     summary: List a child's wallet transactions (ledger history)
+ *     tags:
+ *       - Family Management
+ *     description: |
+ *       Return the child's wallet transactions, newest first.
+ *       
+ *       Ledger Model:
+ *       - Every balance change is a transaction with balanced DEBIT/CREDIT entries
+ *       - Deposits: DEBIT EXTERNAL_FUNDING / CREDIT WALLET
+ *       - Withdrawals: DEBIT WALLET / CREDIT EXTERNAL_PAYOUT
+ *       - balanceAfter is the wallet balance right after the transaction posted
+ *       
+ *       Pagination:
+ *       - Pass nextCursor from the previous response as ?cursor= to get the next page
+ *       - nextCursor is null on the last page
+ * 
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: childId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 10
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Transaction ID returned as nextCursor by the previous page
+ *     responses:
+ *       200:
+ *         description: Transactions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Transactions retrieved successfully"
+ *                 childId:
+ *                   type: integer
+ *                   example: 10
+ *                 walletId:
+ *                   type: integer
+ *                   example: 100
+ *                 balance:
+ *                   type: string
+ *                   example: "12500"
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *                 nextCursor:
+ *                   type: integer
+ *                   nullable: true
+ *                   example: null
+ *                 transactions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 7
+ *                       type:
+ *                         type: string
+ *                         enum: [DEPOSIT, WITHDRAWAL, ADJUSTMENT]
+ *                       amount:
+ *                         type: string
+ *                         example: "2500"
+ *                       balanceAfter:
+ *                         type: string
+ *                         example: "12500"
+ *                       description:
+ *                         type: string
+ *                         nullable: true
+ *                       reference:
+ *                         type: string
+ *                         nullable: true
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       entries:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             account:
+ *                               type: string
+ *                               example: "WALLET"
+ *                             direction:
+ *                               type: string
+ *                               enum: [DEBIT, CREDIT]
+ *                             amount:
+ *                               type: string
+ *                               example: "2500"
+ *       400:
+ *         description: Invalid limit or cursor
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       404:
+ *         description: Child not found or doesn't belong to authenticated parent
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Deposit:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 42
+ *         reference:
+ *           type: string
+ *           description: Account reference shown in the parent's M-Pesa message
+ *           example: "SBX7KQ2MZ9RD"
+ *         status:
+ *           type: string
+ *           enum: [PENDING, PROCESSING, SUCCEEDED, FAILED, CANCELLED, EXPIRED]
+ *         amountKes:
+ *           type: integer
+ *           example: 500
+ *         amountSats:
+ *           type: string
+ *           description: Satoshis credited on success (fixed when the deposit started)
+ *           example: "250000"
+ *         phoneNumber:
+ *           type: string
+ *           description: Number the payment prompt was sent to (masked)
+ *           example: "+2547******78"
+ *         mpesaReceiptNumber:
+ *           type: string
+ *           nullable: true
+ *           example: "SAB1CD2EF3"
+ *         resultDesc:
+ *           type: string
+ *           nullable: true
+ *           example: "Request cancelled by user"
+ *         transactionId:
+ *           type: integer
+ *           nullable: true
+ *           description: Ledger transaction that credited the wallet (SUCCEEDED only)
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/family/children/{childId}/deposits:
+ *   post:
+ *     summary: Deposit into a child's wallet with M-Pesa
+ *     tags:
+ *       - Family Management
+ *     description: |
+ *       Send an M-Pesa payment prompt (STK push) to the signed-in parent's
+ *       verified phone number. The wallet is credited once the parent enters
+ *       their M-Pesa PIN and M-Pesa confirms the payment.
+ *       
+ *       Flow:
+ *       - 202 with the deposit in PROCESSING: the prompt is on the phone
+ *       - Poll GET /api/family/children/{childId}/deposits/{intentId}
+ *       - SUCCEEDED: amountSats credited (see transactionId); FAILED,
+ *         CANCELLED or EXPIRED: nothing credited
+ *       
+ *       Requirements:
+ *       - Verified email address and verified phone number
+ *       - Owner of the child, or a guardian allowed to deposit
+ *       - Amount in whole shillings, KES 10 to 150,000
+ *       
+ *       Rate limited: 10 deposits per 15 minutes per IP.
+ * 
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: childId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 10
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 minimum: 10
+ *                 maximum: 150000
+ *                 description: Kenyan shillings
+ *                 example: 500
+ *     responses:
+ *       202:
+ *         description: Payment prompt sent; waiting for the parent to approve it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Check your phone and enter your M-Pesa PIN to complete the deposit"
+ *                 deposit:
+ *                   $ref: '#/components/schemas/Deposit'
+ *       400:
+ *         description: Invalid amount
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       403:
+ *         description: Email or phone number not verified (error EMAIL_NOT_VERIFIED / PHONE_NOT_VERIFIED), or not allowed to deposit
+ *       404:
+ *         description: Child not found or not accessible to authenticated parent
+ *       429:
+ *         description: Too many deposits started
+ *       502:
+ *         description: M-Pesa refused the request or is unreachable (error MPESA_REQUEST_REJECTED / MPESA_UNAVAILABLE)
+ *       503:
+ *         description: M-Pesa deposits are not enabled (error PAYMENTS_NOT_CONFIGURED)
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/family/children/{childId}/deposits/{intentId}:
+ *   get:
+ *     summary: Get the status of an M-Pesa deposit
+ *     tags:
+ *       - Family Management
+ *     description: |
+ *       Return one deposit into the child's wallet. Deposits still waiting
+ *       for M-Pesa after their expiresAt are reported EXPIRED; a confirmation
+ *       arriving later still credits the wallet.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: childId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 10
+ *       - in: path
+ *         name: intentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 42
+ *     responses:
+ *       200:
+ *         description: Deposit retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Deposit retrieved successfully"
+ *                 deposit:
+ *                   $ref: '#/components/schemas/Deposit'
+ *       400:
+ *         description: Invalid deposit ID
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       404:
+ *         description: Child or deposit not found
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/family/children/{childId}/pin:
+ *   put:
+ *     summary: Set or reset a child's login PIN
+ *     tags:
+ *       - Family Management
+ *     description: |
+ *       Set the PIN the child signs in with (POST /api/auth/child/login).
+ *       
+ *       Effects:
+ *       - Replaces any previous PIN
+ *       - Lifts a child login lockout
+ *       - Signs the child out of every device (their tokens stop working)
+ *       
+ *       PIN Rules:
+ *       - 4 to 6 digits
+ *       - Not all the same digit (1111) and not a run (1234, 9876)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: childId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 10
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pin
+ *             properties:
+ *               pin:
+ *                 type: string
+ *                 example: "2580"
+ *     responses:
+ *       200:
+ *         description: PIN updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "PIN updated. The child can now log in with the new PIN."
+ *                 childId:
+ *                   type: integer
+ *                   example: 10
+ *                 pinUpdatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 revokedSessionCount:
+ *                   type: integer
+ *                   example: 1
+ *       400:
+ *         description: Invalid PIN
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       404:
+ *         description: Child not found (or not owned)
+ *       429:
+ *         description: Too many requests
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Guardian:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 3
+ *         email:
+ *           type: string
+ *           example: "grandma@example.com"
+ *         status:
+ *           type: string
+ *           enum: [PENDING, ACCEPTED]
+ *         expired:
+ *           type: boolean
+ *           description: Pending invitation whose link has expired (re-invite to resend)
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [VIEW, DEPOSIT, APPROVE_WITHDRAWALS]
+ *         guardian:
+ *           type: object
+ *           nullable: true
+ *           description: Account that accepted (null while pending)
+ *           properties:
+ *             id:
+ *               type: integer
+ *             fullName:
+ *               type: string
+ *         invitedAt:
+ *           type: string
+ *           format: date-time
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/family/children/{childId}/guardians:
+ *   post:
+ *     summary: Invite a guardian for a child
+ *     tags:
+ *       - Family Management
+ *     description: |
+ *       Email an invitation to another adult (grandparent, co-parent) to help
+ *       with this child. They accept with a SatsBlox account registered with
+ *       the invited address (POST /api/family/guardianships/accept).
+ *       
+ *       Permissions:
+ *       - Viewing the child and wallet history: every guardian
+ *       - canDeposit: may add money to the wallet
+ *       - canApproveWithdrawals: may approve the child's withdrawals
+ *       
+ *       Inviting an address with a pending invitation sends a fresh link
+ *       and replaces its permissions. At most 5 guardians and pending
+ *       invitations per child. Requires a verified email address.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: childId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: "grandma@example.com"
+ *               canDeposit:
+ *                 type: boolean
+ *                 default: false
+ *               canApproveWithdrawals:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 guardian:
+ *                   $ref: '#/components/schemas/Guardian'
+ *       400:
+ *         description: Validation error, or inviting your own email (GUARDIAN_INVITE_SELF)
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       403:
+ *         description: Email address not verified (EMAIL_NOT_VERIFIED)
+ *       404:
+ *         description: Child not found (or not owned)
+ *       409:
+ *         description: Already a guardian (GUARDIAN_ALREADY_LINKED) or limit reached (GUARDIAN_LIMIT_REACHED)
+ *       429:
+ *         description: Too many requests
+ *       500:
+ *         description: Internal server error
+ *   get:
+ *     summary: List a child's guardians and pending invitations
+ *     tags:
+ *       - Family Management
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: childId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Guardians retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 count:
+ *                   type: integer
+ *                 guardians:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Guardian'
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       404:
+ *         description: Child not found (or not owned)
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/family/children/{childId}/guardians/{guardianshipId}:
+ *   patch:
+ *     summary: Change a guardian's permissions
+ *     tags:
+ *       - Family Management
+ *     description: |
+ *       Takes effect on the guardian's next request. Works for pending
+ *       invitations too.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: childId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: guardianshipId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               canDeposit:
+ *                 type: boolean
+ *               canApproveWithdrawals:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Permissions updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 guardian:
+ *                   $ref: '#/components/schemas/Guardian'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       404:
+ *         description: Child or guardian not found
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Remove a guardian or cancel an invitation
+ *     tags:
+ *       - Family Management
+ *     description: |
+ *       The guardian loses access to the child on their next request.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: childId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: guardianshipId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Guardian removed
+ *       400:
+ *         description: Malformed guardianshipId
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       404:
+ *         description: Child or guardian not found
+ *       500:
+ *         description: Internal server error
+ */
+
 // ============================================
 // Route Definitions
 // ============================================
@@ -539,19 +1187,21 @@ const router = express.Router();
  * 
  * Middleware Chain (applied in order):
  *   1. authMiddleware.authenticate - Verify JWT and extract parent ID
- *   2. authorizeRoles('PARENT') - Verify user has PARENT role (RBAC)
- *   3. childController.createChild - Create child + wallet atomically
+ *   2. authorizePermissions(CHILD_CREATE) - Only parents hold child:create
+ *   3. authMiddleware.requireVerifiedEmail - Parent's email must be verified
+ *   4. childController.createChild - Create child + wallet atomically
  * 
  * Security:
  *   - Parent ID from JWT, not request body
- *   - Role verified (PARENT role required)
+ *   - Permission verified (child:create, granted to the PARENT role)
  *   - Username uniqueness enforced
  *   - Atomic transaction for consistency
  */
 router.post(
   '/',
   authMiddleware.authenticate,
-  authorizeRoles('PARENT'),
+  authorizePermissions(PERMISSIONS.CHILD_CREATE),
+  authMiddleware.requireVerifiedEmail,
   childController.createChild
 );
 
@@ -562,7 +1212,7 @@ router.post(
  * 
  * Middleware Chain:
  *   1. authMiddleware.authenticate - Verify JWT
- *   2. authorizeRoles('PARENT') - Verify user has PARENT role (RBAC)
+ *   2. authorizePermissions(FAMILY_READ) - Only parents hold family:read
  *   3. childController.listMyChildren - Fetch parent's children
  * 
  * Performance:
@@ -576,7 +1226,7 @@ router.post(
 router.get(
   '/',
   authMiddleware.authenticate,
-  authorizeRoles('PARENT'),
+  authorizePermissions(PERMISSIONS.FAMILY_READ),
   childController.listMyChildren
 );
 
@@ -600,7 +1250,8 @@ router.get(
  * 
  * Middleware Chain:
  *   1. authMiddleware.authenticate - Verify JWT and extract parentId
- *   2. childController.getDashboard - Fetch aggregated data with single query
+ *   2. authorizePermissions(FAMILY_READ) - Only parents hold family:read
+ *   3. childController.getDashboard - Fetch aggregated data with single query
  * 
  * Security:
  *   - Only returns authenticated parent's children
@@ -616,7 +1267,7 @@ router.get(
 router.get(
   '/dashboard',
   authMiddleware.authenticate,
-  authorizeRoles('PARENT'),
+  authorizePermissions(PERMISSIONS.FAMILY_READ),
   childController.getDashboard
 );
 
@@ -630,8 +1281,10 @@ router.get(
  * Middleware Chain:
  *   1. authMiddleware.authenticate - Verify JWT
  *   2. authorizeRoles('PARENT') - Verify user has PARENT role (RBAC)
- *   3. verifyParentalLink('childId') - Verify child belongs to parent
- *   4. childController.getChild - Fetch and return child+wallet details
+ *   3. verifyParentalLink('childId', VIEW) - Verify child belongs to parent,
+ *      or that the parent is a guardian of the child
+ *   4. authorizePermissions(CHILD_READ) - Owner or guardian grant on this child
+ *   5. childController.getChild - Fetch and return child+wallet details
  * 
  * Security:
  *   - Only PARENT role can access
@@ -647,7 +1300,8 @@ router.get(
   '/:childId',
   authMiddleware.authenticate,
   authorizeRoles('PARENT'),
-  verifyParentalLink('childId'),
+  verifyParentalLink('childId', { guardianPermission: GUARDIAN_PERMISSIONS.VIEW }),
+  authorizePermissions(PERMISSIONS.CHILD_READ, { resource: RESOURCES.CHILD }),
   childController.getChild
 );
 
@@ -676,7 +1330,8 @@ router.get(
  *   1. authMiddleware.authenticate - Verify JWT
  *   2. authorizeRoles('PARENT') - Verify user has PARENT role (RBAC)
  *   3. verifyParentalLink('childId') - Ensure child belongs to parent
- *   4. childController.deactivateChild - Update isActive = false
+ *   4. authorizePermissions(CHILD_DEACTIVATE) - Owner grant on this child
+ *   5. childController.deactivateChild - Update isActive = false
  * 
  * Security:
  *   - Only PARENT role can deactivate
@@ -689,7 +1344,158 @@ router.patch(
   authMiddleware.authenticate,
   authorizeRoles('PARENT'),
   verifyParentalLink('childId'),
+  authorizePermissions(PERMISSIONS.CHILD_DEACTIVATE, { resource: RESOURCES.CHILD }),
   childController.deactivateChild
 );
 
+/**
+ * GET /api/family/children/:childId/transactions
+ * 
+ * Paginated ledger history for the child's wallet.
+ * 
+ * Middleware Chain:
+ *   1. authMiddleware.authenticate - Verify JWT
+ *   2. authorizeRoles('PARENT') - Verify user has PARENT role (RBAC)
+ *   3. verifyParentalLink('childId', VIEW) - Ensure child belongs to parent
+ *      (or to a family the parent is a guardian in)
+ *   4. authorizePermissions(WALLET_READ) - Owner or guardian grant on this child
+ *   5. transactionController.listChildTransactions - Return one page of history
+ * 
+ * Security:
+ *   - Wallet history is financial data: ownership check is mandatory
+ *   - Returns 404 for "not found" and "not owned" (information hiding)
+ */
+router.get(
+  '/:childId/transactions',
+  authMiddleware.authenticate,
+  authorizeRoles('PARENT'),
+  verifyParentalLink('childId', { guardianPermission: GUARDIAN_PERMISSIONS.VIEW }),
+  authorizePermissions(PERMISSIONS.WALLET_READ, { resource: RESOURCES.CHILD }),
+  transactionController.listChildTransactions
+);
+
+/**
+ * POST /api/family/children/:childId/deposits
+ * 
+ * Start an M-Pesa deposit into the child's wallet (STK push to the
+ * parent's verified phone).
+ * 
+ * Middleware Chain:
+ *   1. authMiddleware.authenticate - Verify JWT
+ *   2. authorizeRoles('PARENT') - Verify user has PARENT role (RBAC)
+ *   3. verifyParentalLink('childId', DEPOSIT) - Ensure child belongs to parent
+ *      (or to a family the parent may deposit for as a guardian)
+ *   4. authorizePermissions(WALLET_DEPOSIT) - Owner or guardian grant on this child
+ *   5. authMiddleware.requireVerifiedEmail - Wallet-affecting action
+ *   6. depositRateLimiter - 10 deposits per 15 minutes per IP
+ *   7. paymentController.createDeposit - Record the intent, send the push
+ * 
+ * Security:
+ *   - The push only goes to the acting parent's own verified number
+ *   - The wallet is credited by M-Pesa's callback, never by this request
+ */
+router.post(
+  '/:childId/deposits',
+  authMiddleware.authenticate,
+  authorizeRoles('PARENT'),
+  verifyParentalLink('childId', { guardianPermission: GUARDIAN_PERMISSIONS.DEPOSIT }),
+  authorizePermissions(PERMISSIONS.WALLET_DEPOSIT, { resource: RESOURCES.CHILD }),
+  authMiddleware.requireVerifiedEmail,
+  depositRateLimiter,
+  paymentController.createDeposit
+);
+
+/**
+ * GET /api/family/children/:childId/deposits/:intentId
+ * 
+ * Status of one deposit (polled by the app after starting it).
+ * 
+ * Middleware Chain:
+ *   1. authMiddleware.authenticate - Verify JWT
+ *   2. authorizeRoles('PARENT') - Verify user has PARENT role (RBAC)
+ *   3. verifyParentalLink('childId', VIEW) - Ensure child belongs to parent
+ *      (or to a family the parent is a guardian in)
+ *   4. authorizePermissions(WALLET_READ) - Owner or guardian grant on this child
+ *   5. paymentController.getDeposit - Deposit scoped to this child's wallet
+ */
+router.get(
+  '/:childId/deposits/:intentId',
+  authMiddleware.authenticate,
+  authorizeRoles('PARENT'),
+  verifyParentalLink('childId', { guardianPermission: GUARDIAN_PERMISSIONS.VIEW }),
+  authorizePermissions(PERMISSIONS.WALLET_READ, { resource: RESOURCES.CHILD }),
+  paymentController.getDeposit
+);
+
+/**
+ * PUT /api/family/children/:childId/pin
+ * 
+ * Set or reset the child's login PIN.
+ * 
+ * Middleware Chain:
+ *   1. authMiddleware.authenticate - Verify JWT
+ *   2. authorizeRoles('PARENT') - Only parents set PINs
+ *   3. verifyParentalLink('childId') - Ensure child belongs to parent
+ *   4. authorizePermissions(CHILD_SET_PIN) - Owner grant on this child
+ *   5. childPinRateLimiter - 5 changes per 15 minutes per IP
+ *   6. childController.setChildPin - Hash PIN, unlock, sign the child out
+ */
+router.put(
+  '/:childId/pin',
+  authMiddleware.authenticate,
+  authorizeRoles('PARENT'),
+  verifyParentalLink('childId'),
+  authorizePermissions(PERMISSIONS.CHILD_SET_PIN, { resource: RESOURCES.CHILD }),
+  childPinRateLimiter,
+  childController.setChildPin
+);
+
+/**
+ * Guardian management (owner only)
+ * 
+ * Middleware Chain:
+ *   1. authMiddleware.authenticate - Verify JWT
+ *   2. authorizeRoles('PARENT') - Verify user has PARENT role (RBAC)
+ *   3. verifyParentalLink('childId') - Owner only (guardians can't invite guardians)
+ *   4. authorizePermissions(GUARDIAN_MANAGE) - Owner grant on this child
+ *   5. invite: requireVerifiedEmail + guardianInvitationRateLimiter (sends email)
+ */
+router.post(
+  '/:childId/guardians',
+  authMiddleware.authenticate,
+  authorizeRoles('PARENT'),
+  verifyParentalLink('childId'),
+  authorizePermissions(PERMISSIONS.GUARDIAN_MANAGE, { resource: RESOURCES.CHILD }),
+  authMiddleware.requireVerifiedEmail,
+  guardianInvitationRateLimiter,
+  guardianController.inviteGuardian
+);
+
+router.get(
+  '/:childId/guardians',
+  authMiddleware.authenticate,
+  authorizeRoles('PARENT'),
+  verifyParentalLink('childId'),
+  authorizePermissions(PERMISSIONS.GUARDIAN_MANAGE, { resource: RESOURCES.CHILD }),
+  guardianController.listGuardians
+);
+
+router.patch(
+  '/:childId/guardians/:guardianshipId',
+  authMiddleware.authenticate,
+  authorizeRoles('PARENT'),
+  verifyParentalLink('childId'),
+  authorizePermissions(PERMISSIONS.GUARDIAN_MANAGE, { resource: RESOURCES.CHILD }),
+  guardianController.updateGuardianPermissions
+);
+
+router.delete(
+  '/:childId/guardians/:guardianshipId',
+  authMiddleware.authenticate,
+  authorizeRoles('PARENT'),
+  verifyParentalLink('childId'),
+  authorizePermissions(PERMISSIONS.GUARDIAN_MANAGE, { resource: RESOURCES.CHILD }),
+  guardianController.revokeGuardian
+);
+
 module.exports = router;
@@ -0,0 +1,222 @@
+/**
+ * src/routes/childSelfRoutes.js
+ *
+ * Child self-service routes for SatsBlox API.
+ *
+ * Endpoints:
+ *   - GET /api/child/me - Own profile
+ *   - GET /api/child/me/wallet - Own wallet balance
+ *   - GET /api/child/me/transactions - Own wallet transaction history
+ *
+ * Authentication:
+ *   - ALL endpoints require: authMiddleware.authenticate
+ *   - Tokens come from POST /api/auth/child/login (role CHILD)
+ *
+ * Authorization:
+ *   - authorizeRoles('CHILD'): parent tokens are rejected (403); parents
+ *     use /api/family/children/:childId instead
+ *   - ownershipMiddleware.loadOwnChild: the child comes from the token's
+ *     childId claim, never from the URL, so a child can only ever reach
+ *     their own data
+ *   - authorizePermissions: child:read / wallet:read on the signed-in
+ *     child (SELF grants attached by loadOwnChild)
+ *
+ * All documentation (request/response formats) is in Swagger comments
+ * for a single source of truth for API consumers.
+ */
+
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorizeRoles } = require('../middleware/authorizeRoles');
+const { authorizePermissions, PERMISSIONS, RESOURCES } = require('../middleware/authorizePermissions');
+const { loadOwnChild } = require('../middleware/ownershipMiddleware');
+const childController = require('../controllers/childController');
+const transactionController = require('../controllers/transactionController');
+
+const router = express.Router();
+
+// ============================================
+// Swagger/OpenAPI Documentation
+// ============================================
+
+/**
+ * @swagger
+ * /api/child/me:
+ *   get:
+ *     summary: Get the signed-in child's profile
+ *     tags:
+ *       - Children
+ *     description: |
+ *       Profile of the child the access token was issued to
+ *       (POST /api/auth/child/login). Requires role CHILD.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Profile retrieved successfully"
+ *                 child:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 10
+ *                     username:
+ *                       type: string
+ *                       example: "alice_smith"
+ *                     dateOfBirth:
+ *                       type: string
+ *                       format: date-time
+ *                     avatar:
+ *                       type: string
+ *                       nullable: true
+ *                     colorTheme:
+ *                       type: string
+ *                       nullable: true
+ *                     createdAt:
+ *                       type: string
+ *                       format: date-time
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       403:
+ *         description: Not a child token
+ *       404:
+ *         description: Child account deactivated
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/child/me/wallet:
+ *   get:
+ *     summary: Get the signed-in child's wallet balance
+ *     tags:
+ *       - Children
+ *     description: |
+ *       Balance of the child's own wallet, in satoshis (string, BigInt-safe).
+ *       Requires role CHILD.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wallet retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Wallet retrieved successfully"
+ *                 wallet:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 100
+ *                     balance:
+ *                       type: string
+ *                       example: "12500"
+ *                     updatedAt:
+ *                       type: string
+ *                       format: date-time
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       403:
+ *         description: Not a child token
+ *       404:
+ *         description: Child account deactivated or wallet missing
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/child/me/transactions:
+ *   get:
+ *     summary: List the signed-in child's wallet transactions
+ *     tags:
+ *       - Children
+ *     description: |
+ *       Same response as GET /api/family/children/{childId}/transactions,
+ *       for the child's own wallet. Requires role CHILD.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Transaction ID returned as nextCursor by the previous page
+ *     responses:
+ *       200:
+ *         description: Transactions retrieved successfully
+ *       400:
+ *         description: Invalid limit or cursor
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       403:
+ *         description: Not a child token
+ *       404:
+ *         description: Child account deactivated or wallet missing
+ *       500:
+ *         description: Internal server error
+ */
+
+// ============================================
+// Route Definitions
+// ============================================
+
+/**
+ * Child self-service
+ *
+ * Middleware Chain:
+ *   1. authMiddleware.authenticate - Verify JWT
+ *   2. authorizeRoles('CHILD') - Child tokens only
+ *   3. loadOwnChild - Attach the token's (active) child as req.child
+ */
+router.get(
+  '/me',
+  authMiddleware.authenticate,
+  authorizeRoles('CHILD'),
+  loadOwnChild,
+  authorizePermissions(PERMISSIONS.CHILD_READ, { resource: RESOURCES.CHILD }),
+  childController.getMyProfile
+);
+
+router.get(
+  '/me/wallet',
+  authMiddleware.authenticate,
+  authorizeRoles('CHILD'),
+  loadOwnChild,
+  authorizePermissions(PERMISSIONS.WALLET_READ, { resource: RESOURCES.CHILD }),
+  childController.getMyWallet
+);
+
+router.get(
+  '/me/transactions',
+  authMiddleware.authenticate,
+  authorizeRoles('CHILD'),
+  loadOwnChild,
+  authorizePermissions(PERMISSIONS.WALLET_READ, { resource: RESOURCES.CHILD }),
+  transactionController.listChildTransactions
+);
+
+module.exports = router;
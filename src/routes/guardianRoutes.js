@@ -0,0 +1,210 @@
+/**
+ * src/routes/guardianRoutes.js
+ *
+ * Guardian-side routes for SatsBlox API (multi-guardian families).
+ *
+ * Endpoints:
+ *   - GET /api/family/guardianships - Children I am a guardian of
+ *   - POST /api/family/guardianships/accept - Accept an emailed invitation
+ *   - POST /api/family/guardianships/decline - Decline an emailed invitation
+ *
+ * Owners invite and manage guardians at
+ * /api/family/children/:childId/guardians (see childRoutes.js).
+ *
+ * Authentication:
+ *   - GET / and accept: authMiddleware.authenticate + authorizeRoles('PARENT')
+ *     (guardians sign in with an ordinary parent account)
+ *   - decline: none; the invitation token is the credential
+ *
+ * All documentation (request/response formats) is in Swagger comments
+ * for a single source of truth for API consumers.
+ */
+
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorizeRoles } = require('../middleware/authorizeRoles');
+const { guardianInvitationRateLimiter } = require('../middleware/rateLimitMiddleware');
+const guardianController = require('../controllers/guardianController');
+
+const router = express.Router();
+
+// ============================================
+// Swagger/OpenAPI Documentation
+// ============================================
+
+/**
+ * @swagger
+ * /api/family/guardianships:
+ *   get:
+ *     summary: List children I am a guardian of
+ *     tags:
+ *       - Family Management
+ *     description: |
+ *       Children of other parents who invited you as a guardian, with the
+ *       permissions they gave you. Your own children are at GET /api/family/children.
+ *       Open a child with GET /api/family/children/{childId}.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Guardianships retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 count:
+ *                   type: integer
+ *                 guardianships:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       guardianshipId:
+ *                         type: integer
+ *                       child:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           username:
+ *                             type: string
+ *                       permissions:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                           enum: [VIEW, DEPOSIT, APPROVE_WITHDRAWALS]
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/family/guardianships/accept:
+ *   post:
+ *     summary: Accept a guardian invitation
+ *     tags:
+ *       - Family Management
+ *     description: |
+ *       Sign in (or register) with the email address the invitation was sent
+ *       to, then send the token from the invitation link.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "You are now a guardian of alice_smith"
+ *                 guardianshipId:
+ *                   type: integer
+ *                 child:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     username:
+ *                       type: string
+ *                 permissions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid, expired or already answered invitation (INVALID_GUARDIAN_INVITATION)
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       403:
+ *         description: Signed in with a different email address (GUARDIAN_INVITATION_EMAIL_MISMATCH)
+ *       429:
+ *         description: Too many requests
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/family/guardianships/decline:
+ *   post:
+ *     summary: Decline a guardian invitation
+ *     tags:
+ *       - Family Management
+ *     description: |
+ *       No account needed; the token from the invitation link is enough.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       400:
+ *         description: Invalid, expired or already answered invitation (INVALID_GUARDIAN_INVITATION)
+ *       429:
+ *         description: Too many requests
+ *       500:
+ *         description: Internal server error
+ */
+
+// ============================================
+// Route Definitions
+// ============================================
+
+/**
+ * GET /api/family/guardianships
+ *
+ * Middleware Chain:
+ *   1. authMiddleware.authenticate - Verify JWT
+ *   2. authorizeRoles('PARENT') - Guardians use parent accounts
+ */
+router.get(
+  '/',
+  authMiddleware.authenticate,
+  authorizeRoles('PARENT'),
+  guardianController.listGuardedChildren
+);
+
+/**
+ * Invitation responses
+ *
+ * Middleware:
+ *   - guardianInvitationRateLimiter: IP-based (10 requests per 15 minutes)
+ *   - accept: authMiddleware.authenticate(), authorizeRoles('PARENT')
+ */
+router.post(
+  '/accept',
+  authMiddleware.authenticate,
+  authorizeRoles('PARENT'),
+  guardianInvitationRateLimiter,
+  guardianController.acceptInvitation
+);
+router.post('/decline', guardianInvitationRateLimiter, guardianController.declineInvitation);
+
+module.exports = router;
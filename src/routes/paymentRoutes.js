@@ -0,0 +1,129 @@
+/**
+ * src/routes/paymentRoutes.js
+ *
+ * Payment provider callbacks for SatsBlox API.
+ *
+ * Endpoints:
+ *   - POST /api/payments/mpesa/callback/:reference/:signature - M-Pesa STK push result
+ *
+ * Authentication:
+ *   - None (called by M-Pesa). Each URL is signed for one deposit
+ *     (mpesaService.buildCallbackUrl) and callers must be in
+ *     MPESA_CALLBACK_ALLOWED_IPS; paymentController checks both.
+ *
+ * Deposits are started from POST /api/family/children/:childId/deposits
+ * (childRoutes).
+ *
+ * All documentation (request/response formats) is in Swagger comments
+ * for a single source of truth for API consumers.
+ */
+
+const express = require('express');
+const paymentController = require('../controllers/paymentController');
+
+const router = express.Router();
+
+// ============================================
+// Swagger/OpenAPI Documentation
+// ============================================
+
+/**
+ * @swagger
+ * /api/payments/mpesa/callback/{reference}/{signature}:
+ *   post:
+ *     summary: M-Pesa STK push result (callback)
+ *     tags:
+ *       - Payments
+ *     security: []
+ *     description: |
+ *       Called by M-Pesa (Daraja) with the result of a deposit's payment
+ *       prompt; the URL is the CallBackURL sent with the STK push.
+ *
+ *       Checks:
+ *       - Caller IP in MPESA_CALLBACK_ALLOWED_IPS
+ *       - signature is the HMAC of reference (MPESA_CALLBACK_SECRET)
+ *       - CheckoutRequestID and Amount match the deposit
+ *
+ *       ResultCode 0 credits the child's wallet once; repeated callbacks
+ *       are acknowledged without effect.
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "SBX7KQ2MZ9RD"
+ *       - in: path
+ *         name: signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: "^[0-9a-f]{64}$"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Body:
+ *                 type: object
+ *                 properties:
+ *                   stkCallback:
+ *                     type: object
+ *                     properties:
+ *                       MerchantRequestID:
+ *                         type: string
+ *                         example: "29115-34620561-1"
+ *                       CheckoutRequestID:
+ *                         type: string
+ *                         example: "ws_CO_191220191020363925"
+ *                       ResultCode:
+ *                         type: integer
+ *                         example: 0
+ *                       ResultDesc:
+ *                         type: string
+ *                         example: "The service request is processed successfully."
+ *                       CallbackMetadata:
+ *                         type: object
+ *                         description: Only on success (Amount, MpesaReceiptNumber, TransactionDate, PhoneNumber)
+ *                         properties:
+ *                           Item:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 Name:
+ *                                   type: string
+ *                                   example: "MpesaReceiptNumber"
+ *                                 Value:
+ *                                   example: "NLJ7RT61SV"
+ *     responses:
+ *       200:
+ *         description: Result recorded (or already recorded)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ResultCode:
+ *                   type: integer
+ *                   example: 0
+ *                 ResultDesc:
+ *                   type: string
+ *                   example: "Accepted"
+ *       400:
+ *         description: Not an STK push callback, or it doesn't match the deposit
+ *       403:
+ *         description: Caller IP not allowed, or bad signature
+ *       500:
+ *         description: Internal server error
+ */
+
+// ============================================
+// Route Definitions
+// ============================================
+
+router.post('/mpesa/callback/:reference/:signature', paymentController.mpesaCallback);
+
+module.exports = router;
@@ -0,0 +1,76 @@
+/**
+ * src/routes/wellKnownRoutes.js
+ *
+ * Well-known URIs (RFC 8615) for SatsBlox API.
+ *
+ * Endpoints:
+ *   - GET /.well-known/jwks.json - Public keys that verify our JWTs
+ *
+ * Authentication:
+ *   - None; everything here is public by design
+ *
+ * All documentation (request/response formats) is in Swagger comments
+ * for a single source of truth for API consumers.
+ */
+
+const express = require('express');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// ============================================
+// Swagger/OpenAPI Documentation
+// ============================================
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: JSON Web Key Set for verifying access and refresh tokens
+ *     tags:
+ *       - Auth
+ *     security: []
+ *     description: |
+ *       Public keys of the JWT signing keyring (RFC 7517). Pick the key whose
+ *       kid matches the token header's kid. Retired keys stay listed until
+ *       their tokens have expired. Empty while tokens are signed with the
+ *       shared JWT_SECRET (HS256).
+ *     responses:
+ *       200:
+ *         description: Key set
+ *         headers:
+ *           Cache-Control:
+ *             schema:
+ *               type: string
+ *               example: "public, max-age=300"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       kty:
+ *                         type: string
+ *                         example: "OKP"
+ *                       kid:
+ *                         type: string
+ *                         example: "2024-06"
+ *                       alg:
+ *                         type: string
+ *                         enum: [RS256, EdDSA]
+ *                       use:
+ *                         type: string
+ *                         example: "sig"
+ */
+
+// ============================================
+// Route Definitions
+// ============================================
+
+router.get('/jwks.json', authController.getJwks);
+
+module.exports = router;
@@ -16,6 +16,12 @@ const swaggerUi = require('swagger-ui-express');
 
 // Import error handling middleware
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { requestContextMiddleware } = require('./middleware/requestContextMiddleware');
+const { installConsoleContext } = require('./utils/requestContext');
+const auditService = require('./services/auditService');
+
+// Tag console output written while serving a request with its request ID
+installConsoleContext();
 
 // Attempt to load prepared swagger specs if present; if the config file is missing
 // the route will still be set up defensively.
@@ -29,13 +35,25 @@ try {
 // Import routes
 const authRoutes = require('./routes/auth');
 const childRoutes = require('./routes/childRoutes');
+const childSelfRoutes = require('./routes/childSelfRoutes');
+const guardianRoutes = require('./routes/guardianRoutes');
+const wellKnownRoutes = require('./routes/wellKnownRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
 
 // Create Express app
 const app = express();
 
+// Believe X-Forwarded-For only from the configured proxies (req.ip)
+app.set('trust proxy', env.trustedProxies.length > 0 ? env.trustedProxies : false);
+
 // ============================================
 // Middleware
 // ============================================
+// Request ID, client IP and user agent for everything downstream (first,
+// so even body parsing errors are tagged)
+app.use(requestContextMiddleware);
+
 app.use(express.json());
 
 // ============================================
@@ -53,6 +71,21 @@ app.use('/api/auth', authRoutes);
 // Mount family management routes under /api/family
 app.use('/api/family/children', childRoutes);
 
+// Mount guardian-side routes (invitations, children I guard)
+app.use('/api/family/guardianships', guardianRoutes);
+
+// Mount child self-service routes (role CHILD) under /api/child
+app.use('/api/child', childSelfRoutes);
+
+// Mount admin back office (role ADMIN) under /api/admin
+app.use('/api/admin', adminRoutes);
+
+// Mount payment provider callbacks (M-Pesa) under /api/payments
+app.use('/api/payments', paymentRoutes);
+
+// Mount public key discovery (JWKS) under /.well-known
+app.use('/.well-known', wellKnownRoutes);
+
 // Root health-check route
 app.get('/', (req, res) => {
   res.json({ status: 'ok', message: 'SatsBlox Backend is Running!' });
@@ -94,10 +127,18 @@ app.use(errorHandler);
       console.log(`[SERVER] ✓ Swagger UI available at http://localhost:${env.port}/api-docs`);
     });
 
-    // Handle graceful shutdown
-    process.on('SIGTERM', async () => {
+    // Handle graceful shutdown, in order: stop accepting connections and
+    // let requests in flight finish, write out queued audit log entries
+    // (including sink retries), then disconnect from the database and exit.
+    // This is the only SIGTERM handler (db.js has none).
+    process.on('SIGTERM', () => {
       console.log('[SERVER] SIGTERM received. Shutting down gracefully...');
       server.close(async () => {
+        try {
+          await auditService.flushAuditLog();
+        } catch (err) {
+          console.error(`[SERVER] ✗ Flushing the audit log failed: ${err.message}`);
+        }
         await disconnect();
         process.exit(0);
       });
@@ -0,0 +1,906 @@
+/**
+ * src/services/adminService.js
+ *
+ * Business logic for the admin back office.
+ *
+ * Purpose:
+ *   - Create admin accounts (command line only: npm run admin:create)
+ *   - Admin login: password, then an authenticator code, every time
+ *   - Support tools: search parents, view a family, lift login lockouts,
+ *     deactivate a parent account, read and export the audit history
+ *
+ * Architecture Pattern: The Service Layer Pattern
+ *   adminController → adminService → Prisma ORM → Database
+ *
+ * Two-Step Login (mandatory):
+ *   1. POST /api/admin/auth/login { email, password }
+ *        → { mfaRequired: true, mfaToken }
+ *   2. POST /api/admin/auth/login/mfa { mfaToken, code }
+ *        → { accessToken }                     (role ADMIN, no refresh token)
+ *
+ * Security Considerations:
+ *   - Admins live in their own table; no parent token can become an admin
+ *     token and admin tokens are rejected by every PARENT/CHILD route
+ *   - Every admin has a TOTP secret (NOT NULL), so the second step can't be
+ *     skipped or switched off; there are no recovery codes (another admin
+ *     re-creates the account instead)
+ *   - A challenge token completes one login and allows
+ *     MFA_CHALLENGE_MAX_ATTEMPTS codes (MfaChallenge row, as for parents)
+ *   - Admin access tokens are short-lived and can't be refreshed; logout
+ *     denylists the token
+ *   - Wrong passwords and wrong codes share one lockout counter
+ *     (authService.LOCKOUT_POLICIES.ADMIN)
+ *   - Every back-office action is audited with the admin's id (adminId)
+ *   - Deactivating an admin (isActive = false, in the database) blocks new
+ *     logins and, at once, the tokens already issued: authenticate checks
+ *     isAdminActive on every admin request
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../config/db');
+const env = require('../config/env');
+const encryptionService = require('./encryptionService');
+const auditService = require('./auditService');
+const authService = require('./authService');
+const sessionService = require('./sessionService');
+const tokenDenylistService = require('./tokenDenylistService');
+const jwtKeyService = require('./jwtKeyService');
+const mfaService = require('./mfaService');
+const { maskPhoneNumber } = require('./phoneVerificationService');
+const totp = require('../utils/totp');
+
+// ============================================
+// Configuration Constants
+// ============================================
+
+// Admin access tokens: one working session, then log in again (no refresh)
+const ADMIN_ACCESS_TOKEN_EXPIRY = '15m';
+
+// Audience claim of admin MFA challenge tokens
+const ADMIN_MFA_CHALLENGE_AUDIENCE = 'satsblox:admin-mfa-challenge';
+
+// Signing key for admin challenge tokens (separate from parent challenges)
+const ADMIN_MFA_CHALLENGE_KEY = crypto
+  .createHmac('sha256', env.jwtSecret)
+  .update('admin-mfa-challenge')
+  .digest();
+
+// Parent search pagination bounds
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Most audit entries returned by one request
+const MAX_AUDIT_EVENTS = 200;
+
+// Audit export: rows read per query, and most rows in one file
+const AUDIT_EXPORT_BATCH_SIZE = 500;
+const MAX_AUDIT_EXPORT_EVENTS = 100000;
+
+// Parent search filters
+const PARENT_STATUS_FILTERS = {
+  LOCKED: 'LOCKED',
+  DEACTIVATED: 'DEACTIVATED',
+};
+
+// Fields shown for a parent in search results
+const PARENT_SUMMARY_SELECT = {
+  id: true,
+  fullName: true,
+  email: true,
+  emailVerifiedAt: true,
+  isActive: true,
+  deactivatedAt: true,
+  failedLoginAttempts: true,
+  lockedUntil: true,
+  createdAt: true,
+};
+
+const { LOCKOUT_POLICIES } = authService;
+const { REVOCATION_REASONS } = sessionService;
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Build an error with a code.
+ *
+ * @param {string} code - error.code
+ * @param {string} message - error.message
+ * @returns {Error}
+ */
+function adminError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Whether a parent/child/admin row is currently locked out.
+ *
+ * @param {object} account - Row with lockedUntil
+ * @returns {boolean}
+ */
+function isLocked(account) {
+  return Boolean(account.lockedUntil && account.lockedUntil > new Date());
+}
+
+/**
+ * Accept an admin's TOTP code once: verify it and advance totpLastUsedStep atomically.
+ *
+ * @param {object} admin - Admin row
+ * @param {string} code - 6-digit code
+ * @returns {Promise<boolean>} true if accepted
+ */
+async function consumeAdminTotpCode(admin, code) {
+  // admin.totpSecret is decrypted by the client (ENCRYPTED_FIELDS in config/db.js)
+  const step = totp.verifyCode(admin.totpSecret, code, { afterStep: admin.totpLastUsedStep });
+
+  if (step === null) {
+    return false;
+  }
+
+  // Conditional update: a concurrent request with the same code loses
+  const { count } = await prisma.admin.updateMany({
+    where: {
+      id: admin.id,
+      OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }],
+    },
+    data: { totpLastUsedStep: step },
+  });
+
+  return count === 1;
+}
+
+/**
+ * Count a failed admin login step and lock the account at the threshold.
+ *
+ * @param {object} admin - Admin row (id, failedLoginAttempts)
+ * @param {string} reason - INVALID_PASSWORD or INVALID_MFA_CODE
+ * @param {object} context - { ipAddress }
+ * @returns {Promise<void>}
+ */
+async function recordFailedAdminLogin(admin, reason, context) {
+  const { lockoutData, updatedFailedAttempts, locked } = authService.nextLockoutState(
+    admin,
+    LOCKOUT_POLICIES.ADMIN
+  );
+
+  try {
+    if (locked) {
+      auditService.logAdminAccountLockout(
+        admin.id,
+        updatedFailedAttempts,
+        LOCKOUT_POLICIES.ADMIN.lockoutMinutes,
+        context.ipAddress
+      );
+    } else {
+      auditService.logAdminLoginFailure(admin.id, reason, context.ipAddress, updatedFailedAttempts);
+    }
+  } catch (logErr) {
+    console.warn('[ADMIN] Audit logging failed:', logErr.message);
+  }
+
+  await prisma.admin.update({
+    where: { id: admin.id },
+    data: lockoutData,
+  });
+}
+
+/**
+ * Reject a login step for a locked admin account.
+ *
+ * @param {object} admin - Admin row
+ * @throws {Error} with code 'ACCOUNT_LOCKED'
+ */
+function assertAdminNotLocked(admin) {
+  if (isLocked(admin)) {
+    const error = adminError(
+      'ACCOUNT_LOCKED',
+      'Account temporarily locked due to too many failed login attempts. Please try again later.'
+    );
+    error.lockedUntil = admin.lockedUntil;
+    throw error;
+  }
+}
+
+/**
+ * Load a parent or fail.
+ *
+ * @param {number} parentId - Parent's ID
+ * @param {object} select - Prisma select
+ * @returns {Promise<object>}
+ * @throws {Error} with code 'PARENT_NOT_FOUND'
+ */
+async function findParentOrFail(parentId, select) {
+  const parent = await prisma.parent.findUnique({
+    where: { id: parentId },
+    select,
+  });
+
+  if (!parent) {
+    throw adminError('PARENT_NOT_FOUND', 'Parent not found');
+  }
+
+  return parent;
+}
+
+// ============================================
+// Challenge Tokens
+// ============================================
+
+/**
+ * Issue the token returned by the password step of an admin login.
+ *
+ * @param {number} adminId - Admin who passed the password step
+ * @returns {Promise<object>} { mfaToken, expiresIn } (expiresIn in seconds)
+ */
+async function issueAdminMfaChallenge(adminId) {
+  const challengeId = crypto.randomUUID();
+  const mfaToken = jwt.sign({}, ADMIN_MFA_CHALLENGE_KEY, {
+    subject: String(adminId),
+    audience: ADMIN_MFA_CHALLENGE_AUDIENCE,
+    expiresIn: env.mfaChallengeTtlSeconds,
+    jwtid: challengeId,
+  });
+
+  await mfaService.recordMfaChallenge(challengeId, new Date(jwt.decode(mfaToken).exp * 1000));
+
+  return { mfaToken, expiresIn: env.mfaChallengeTtlSeconds };
+}
+
+/**
+ * Verify an admin MFA challenge token and count the attempt it is
+ * presented for.
+ *
+ * @param {string} mfaToken - Token from POST /api/admin/auth/login
+ * @returns {Promise<object>} { adminId, challengeId }
+ * @throws {Error} with code 'INVALID_MFA_TOKEN' (invalid, expired, already
+ *   used or out of attempts)
+ */
+async function verifyAdminMfaChallenge(mfaToken) {
+  let payload;
+  try {
+    payload = jwt.verify(mfaToken, ADMIN_MFA_CHALLENGE_KEY, {
+      audience: ADMIN_MFA_CHALLENGE_AUDIENCE,
+    });
+  } catch (err) {
+    throw adminError('INVALID_MFA_TOKEN', 'Invalid or expired MFA challenge. Please log in again.');
+  }
+
+  await mfaService.countMfaChallengeAttempt(payload.jti);
+  return { adminId: parseInt(payload.sub, 10), challengeId: payload.jti };
+}
+
+// ============================================
+// Admin Accounts
+// ============================================
+
+/**
+ * Create an admin account with its authenticator secret.
+ *
+ * Only called from the command line (prisma/createAdmin.js). The secret
+ * and otpauth:// URI are returned once, to be scanned into an
+ * authenticator app before the first login.
+ *
+ * @param {object} data - { fullName, email, password } (validated by the caller)
+ * @returns {Promise<object>} { admin: { id, email, fullName }, secret, otpauthUri }
+ * @throws {Error} with code 'ADMIN_EMAIL_EXISTS'
+ */
+async function createAdmin({ fullName, email, password }) {
+  const normalizedEmail = email.trim().toLowerCase();
+
+  const existing = await prisma.admin.findUnique({
+    where: { email: normalizedEmail },
+    select: { id: true },
+  });
+
+  if (existing) {
+    throw adminError('ADMIN_EMAIL_EXISTS', 'An admin with this email already exists');
+  }
+
+  const secret = totp.generateSecret();
+
+  const admin = await prisma.admin.create({
+    data: {
+      fullName: fullName.trim(),
+      email: normalizedEmail,
+      password: await bcrypt.hash(password, authService.SALT_ROUNDS),
+      totpSecret: secret, // Stored encrypted
+    },
+    select: { id: true, email: true, fullName: true },
+  });
+
+  try {
+    auditService.logAdminCreated(admin.id);
+  } catch (logErr) {
+    console.warn('[ADMIN] Audit logging failed for admin creation:', logErr.message);
+  }
+
+  return {
+    admin,
+    secret,
+    otpauthUri: totp.buildOtpauthUri({
+      secret,
+      accountName: admin.email,
+      issuer: `${env.mfaIssuer} Admin`,
+    }),
+  };
+}
+
+// ============================================
+// Admin Login
+// ============================================
+
+/**
+ * Admin login, step 1: check the password and issue an MFA challenge.
+ *
+ * Failed attempts are not reset here; only a completed login resets them,
+ * so knowing the password gives no extra code guesses.
+ *
+ * @param {string} email - Admin's email address
+ * @param {string} password - Admin's password (plain text)
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { mfaRequired: true, mfaToken, expiresIn }
+ * @throws {Error} with code 'INVALID_CREDENTIALS' or 'ACCOUNT_LOCKED'
+ */
+async function loginAdmin(email, password, context = {}) {
+  // ---- Step 1: Find the admin ----
+  const admin = await prisma.admin.findUnique({
+    where: { email: email.trim().toLowerCase() },
+  });
+
+  // Unknown and deactivated admins get the same vague error
+  if (!admin || !admin.isActive) {
+    try {
+      auditService.logAdminLoginFailure(
+        admin ? admin.id : null,
+        admin ? 'ADMIN_INACTIVE' : 'EMAIL_NOT_FOUND',
+        context.ipAddress
+      );
+    } catch (logErr) {
+      console.warn('[ADMIN] Audit logging failed:', logErr.message);
+    }
+
+    throw adminError('INVALID_CREDENTIALS', 'Invalid credentials');
+  }
+
+  // ---- Step 2: Check lockout ----
+  assertAdminNotLocked(admin);
+
+  // ---- Step 3: Compare passwords ----
+  if (!(await bcrypt.compare(password, admin.password))) {
+    await recordFailedAdminLogin(admin, 'INVALID_PASSWORD', context);
+    throw adminError('INVALID_CREDENTIALS', 'Invalid credentials');
+  }
+
+  // ---- Step 4: Always require the second factor ----
+  return {
+    mfaRequired: true,
+    ...(await issueAdminMfaChallenge(admin.id)),
+  };
+}
+
+/**
+ * Admin login, step 2: check the authenticator code and issue an access token.
+ *
+ * @param {string} mfaToken - Challenge token from loginAdmin
+ * @param {string} code - 6-digit authenticator code
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { admin: { id, email, fullName }, accessToken, expiresIn }
+ * @throws {Error} with code 'INVALID_MFA_TOKEN', 'ACCOUNT_LOCKED' or 'INVALID_MFA_CODE'
+ */
+async function completeAdminLogin(mfaToken, code, context = {}) {
+  // ---- Step 1: Verify challenge token (and count this attempt) ----
+  const { adminId, challengeId } = await verifyAdminMfaChallenge(mfaToken);
+
+  const admin = await prisma.admin.findUnique({
+    where: { id: adminId },
+  });
+
+  // Removed or deactivated since the password step
+  if (!admin || !admin.isActive) {
+    throw adminError('INVALID_MFA_TOKEN', 'Invalid or expired MFA challenge. Please log in again.');
+  }
+
+  // ---- Step 2: Check lockout ----
+  assertAdminNotLocked(admin);
+
+  // ---- Step 3: Verify the code (wrong codes count towards the lockout) ----
+  if (!(await consumeAdminTotpCode(admin, code))) {
+    await recordFailedAdminLogin(admin, 'INVALID_MFA_CODE', context);
+    throw adminError('INVALID_MFA_CODE', 'Invalid authentication code');
+  }
+
+  // ---- Step 4: One login per challenge; reset lockout fields ----
+  await mfaService.redeemMfaChallenge(challengeId);
+  await prisma.admin.update({
+    where: { id: admin.id },
+    data: {
+      failedLoginAttempts: 0,
+      lastFailedLoginAttempt: null,
+      lockedUntil: null,
+      lastLoginAt: new Date(),
+    },
+  });
+
+  // ---- Step 5: Issue the access token ----
+  // No sid (no session, no refresh token); jti lets logout revoke it
+  const accessToken = jwtKeyService.signToken(
+    { id: admin.id, email: admin.email, role: 'ADMIN', typ: jwtKeyService.TOKEN_TYPES.ACCESS },
+    { expiresIn: ADMIN_ACCESS_TOKEN_EXPIRY, jwtid: crypto.randomUUID() }
+  );
+
+  try {
+    auditService.logAdminLoginSuccess(admin.id, context.ipAddress);
+  } catch (logErr) {
+    console.warn('[ADMIN] Audit logging failed for admin login:', logErr.message);
+  }
+
+  return {
+    admin: { id: admin.id, email: admin.email, fullName: admin.fullName },
+    accessToken,
+    expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+  };
+}
+
+/**
+ * Whether an admin account exists and is active.
+ *
+ * Checked by authMiddleware on every request with an admin token, so a
+ * deactivated admin loses access at once rather than when the token expires.
+ *
+ * @param {number} adminId - Admin's ID (from the access token)
+ * @returns {Promise<boolean>}
+ */
+async function isAdminActive(adminId) {
+  const admin = await prisma.admin.findUnique({
+    where: { id: adminId },
+    select: { isActive: true },
+  });
+
+  return Boolean(admin && admin.isActive);
+}
+
+/**
+ * Log an admin out: denylist the presented access token until it expires.
+ *
+ * @param {number} adminId - Admin's ID (from the access token)
+ * @param {object} accessToken - { tokenId (jti), expiresAt }
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<void>}
+ */
+async function logoutAdmin(adminId, accessToken, context = {}) {
+  await tokenDenylistService.revokeAccessToken({
+    jti: accessToken.tokenId,
+    expiresAt: accessToken.expiresAt,
+  });
+
+  try {
+    auditService.logAdminLogout(adminId, context.ipAddress);
+  } catch (logErr) {
+    console.warn('[ADMIN] Audit logging failed for admin logout:', logErr.message);
+  }
+}
+
+// ============================================
+// Back Office
+// ============================================
+
+/**
+ * Search parent accounts, oldest first, with cursor pagination.
+ *
+ * q matches the email address (case-insensitive, partial), the exact ID
+ * when it is a number, or the exact phone number (blind index). Names are
+ * encrypted and can't be searched.
+ *
+ * @param {number} adminId - Admin performing the search
+ * @param {object} [options]
+ * @param {string} [options.q] - Search text
+ * @param {string} [options.status] - PARENT_STATUS_FILTERS (LOCKED, DEACTIVATED)
+ * @param {number} [options.limit=20] - Page size (1-100)
+ * @param {number} [options.cursor] - Parent ID to continue after
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { parents, nextCursor }
+ */
+async function searchParents(adminId, { q, status, limit = DEFAULT_PAGE_SIZE, cursor } = {}, context = {}) {
+  const take = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  const where = {};
+
+  if (q) {
+    const term = q.trim();
+    where.OR = [
+      { email: { contains: term.toLowerCase() } },
+    ];
+    if (/^\d+$/.test(term)) {
+      where.OR.push({ id: parseInt(term, 10) });
+    }
+    const phoneLookup = encryptionService.getPhoneNumberLookup(term);
+    if (phoneLookup) {
+      where.OR.push(phoneLookup);
+    }
+  }
+
+  if (status === PARENT_STATUS_FILTERS.LOCKED) {
+    where.lockedUntil = { gt: new Date() };
+  } else if (status === PARENT_STATUS_FILTERS.DEACTIVATED) {
+    where.isActive = false;
+  }
+
+  // Fetch one extra row to know whether another page exists
+  const rows = await prisma.parent.findMany({
+    where,
+    orderBy: { id: 'asc' },
+    take: take + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    select: PARENT_SUMMARY_SELECT,
+  });
+
+  const hasMore = rows.length > take;
+  const parents = (hasMore ? rows.slice(0, take) : rows).map(parent => ({
+    ...parent,
+    locked: isLocked(parent),
+  }));
+
+  try {
+    auditService.logAdminParentsSearched(adminId, parents.length, context.ipAddress);
+  } catch (logErr) {
+    console.warn('[ADMIN] Audit logging failed for parent search:', logErr.message);
+  }
+
+  return {
+    parents,
+    nextCursor: hasMore ? parents[parents.length - 1].id : null,
+  };
+}
+
+/**
+ * View a family: the parent, their children and wallets, guardians on
+ * both sides, two-factor status and signed-in device count.
+ *
+ * The phone number is shown masked; passwords, PIN hashes and secrets
+ * are never selected.
+ *
+ * @param {number} adminId - Admin viewing the family
+ * @param {number} parentId - Parent to view
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { parent, children, guardianOf, security }
+ * @throws {Error} with code 'PARENT_NOT_FOUND'
+ */
+async function getFamily(adminId, parentId, context = {}) {
+  const parent = await findParentOrFail(parentId, {
+    ...PARENT_SUMMARY_SELECT,
+    phoneNumber: true,
+    phoneVerifiedAt: true,
+    lastFailedLoginAttempt: true,
+    deactivationReason: true,
+    deactivatedById: true,
+    totpCredential: { select: { confirmedAt: true } },
+    children: {
+      orderBy: { id: 'asc' },
+      select: {
+        id: true,
+        username: true,
+        dateOfBirth: true,
+        isActive: true,
+        pinUpdatedAt: true,
+        failedLoginAttempts: true,
+        lockedUntil: true,
+        createdAt: true,
+        wallet: { select: { id: true, balance: true, updatedAt: true } },
+        guardianships: {
+          orderBy: { id: 'asc' },
+          select: {
+            id: true,
+            guardianId: true,
+            status: true,
+            canDeposit: true,
+            canApproveWithdrawals: true,
+            createdAt: true,
+          },
+        },
+      },
+    },
+    guardianships: {
+      orderBy: { id: 'asc' },
+      select: { id: true, childId: true, status: true, canDeposit: true, canApproveWithdrawals: true },
+    },
+  });
+
+  const activeSessionCount = await prisma.session.count({
+    where: { parentId, revokedAt: null },
+  });
+
+  const { totpCredential, children, guardianships, phoneNumber, ...profile } = parent;
+
+  try {
+    auditService.logAdminFamilyViewed(adminId, parentId, context.ipAddress);
+  } catch (logErr) {
+    console.warn('[ADMIN] Audit logging failed for family view:', logErr.message);
+  }
+
+  return {
+    parent: {
+      ...profile,
+      maskedPhoneNumber: maskPhoneNumber(phoneNumber),
+      locked: isLocked(parent),
+    },
+    children: children.map(child => ({
+      ...child,
+      locked: isLocked(child),
+      wallet: child.wallet
+        ? { ...child.wallet, balance: child.wallet.balance.toString() }
+        : null,
+    })),
+    guardianOf: guardianships,
+    security: {
+      mfaEnabled: Boolean(totpCredential && totpCredential.confirmedAt),
+      activeSessionCount,
+    },
+  };
+}
+
+/**
+ * Lift a parent's login lockout (clears lockedUntil and failedLoginAttempts).
+ *
+ * Idempotent: unlocking an account that isn't locked just resets the counter.
+ *
+ * @param {number} adminId - Admin performing the unlock
+ * @param {number} parentId - Parent to unlock
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { parentId, wasLocked }
+ * @throws {Error} with code 'PARENT_NOT_FOUND'
+ */
+async function unlockParent(adminId, parentId, context = {}) {
+  const parent = await findParentOrFail(parentId, {
+    id: true,
+    failedLoginAttempts: true,
+    lockedUntil: true,
+  });
+
+  await prisma.parent.update({
+    where: { id: parentId },
+    data: {
+      failedLoginAttempts: 0,
+      lastFailedLoginAttempt: null,
+      lockedUntil: null,
+    },
+  });
+
+  try {
+    auditService.logAdminAccountUnlocked(
+      adminId,
+      auditService.RESOURCE_TYPES.PARENT,
+      parentId,
+      { failedLoginAttempts: parent.failedLoginAttempts, lockedUntil: parent.lockedUntil },
+      context.ipAddress
+    );
+  } catch (logErr) {
+    console.warn('[ADMIN] Audit logging failed for parent unlock:', logErr.message);
+  }
+
+  return { parentId, wasLocked: isLocked(parent) };
+}
+
+/**
+ * Lift a child's PIN lockout (clears lockedUntil and failedLoginAttempts).
+ *
+ * The PIN itself is unchanged; parents can also lift the lock by setting
+ * a new PIN.
+ *
+ * @param {number} adminId - Admin performing the unlock
+ * @param {number} childId - Child to unlock
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { childId, parentId, wasLocked }
+ * @throws {Error} with code 'CHILD_NOT_FOUND'
+ */
+async function unlockChild(adminId, childId, context = {}) {
+  const child = await prisma.child.findUnique({
+    where: { id: childId },
+    select: { id: true, parentId: true, failedLoginAttempts: true, lockedUntil: true },
+  });
+
+  if (!child) {
+    throw adminError('CHILD_NOT_FOUND', 'Child not found');
+  }
+
+  await prisma.child.update({
+    where: { id: childId },
+    data: {
+      failedLoginAttempts: 0,
+      lastFailedLoginAttempt: null,
+      lockedUntil: null,
+    },
+  });
+
+  try {
+    auditService.logAdminAccountUnlocked(
+      adminId,
+      auditService.RESOURCE_TYPES.CHILD,
+      childId,
+      { failedLoginAttempts: child.failedLoginAttempts, lockedUntil: child.lockedUntil },
+      context.ipAddress
+    );
+  } catch (logErr) {
+    console.warn('[ADMIN] Audit logging failed for child unlock:', logErr.message);
+  }
+
+  return { childId, parentId: child.parentId, wasLocked: isLocked(child) };
+}
+
+/**
+ * Deactivate a parent account.
+ *
+ * Workflow:
+ *   1. Mark the parent inactive (who, when, why); conditional, so two
+ *      admins can't both deactivate it
+ *   2. Revoke every session of the family (parent and children), which
+ *      also denylists their access tokens
+ *   3. Audit with the admin's id and the reason
+ *
+ * From then on the parent and their children can't log in or refresh
+ * (authService). Data is kept; nothing is deleted.
+ *
+ * @param {number} adminId - Admin performing the deactivation
+ * @param {number} parentId - Parent to deactivate
+ * @param {string} reason - Why (validated by the caller)
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { parentId, deactivatedAt, revokedSessionCount }
+ * @throws {Error} with code 'PARENT_NOT_FOUND' or 'PARENT_ALREADY_DEACTIVATED'
+ */
+async function deactivateParent(adminId, parentId, reason, context = {}) {
+  await findParentOrFail(parentId, { id: true });
+
+  const deactivatedAt = new Date();
+
+  // ---- Step 1 & 2: Deactivate and sign the family out ----
+  const revokedSessionIds = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.parent.updateMany({
+      where: { id: parentId, isActive: true },
+      data: {
+        isActive: false,
+        deactivatedAt,
+        deactivatedById: adminId,
+        deactivationReason: reason.trim(),
+      },
+    });
+
+    if (count === 0) {
+      throw adminError('PARENT_ALREADY_DEACTIVATED', 'This parent account is already deactivated');
+    }
+
+    return sessionService.revokeFamilySessions(parentId, REVOCATION_REASONS.ACCOUNT_DEACTIVATED, tx);
+  });
+
+  // ---- Step 3: Audit ----
+  try {
+    auditService.logAdminParentDeactivated(
+      adminId,
+      parentId,
+      reason.trim(),
+      revokedSessionIds.length,
+      context.ipAddress
+    );
+  } catch (logErr) {
+    console.warn('[ADMIN] Audit logging failed for parent deactivation:', logErr.message);
+  }
+
+  return { parentId, deactivatedAt, revokedSessionCount: revokedSessionIds.length };
+}
+
+/**
+ * Read one page of the audit history, newest first.
+ *
+ * Reading the history is itself audited (after the read, so it doesn't
+ * show up in its own result).
+ *
+ * @param {number} adminId - Admin reading the history
+ * @param {object} [filters] - See auditService.searchAuditEvents
+ * @param {object} [page] - { cursor, limit } (limit 1-200, default 50)
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { events, nextCursor }
+ */
+async function getAuditHistory(adminId, filters = {}, { cursor, limit } = {}, context = {}) {
+  const result = await auditService.searchAuditEvents(filters, {
+    cursor,
+    limit: Math.min(Math.max(limit || 50, 1), MAX_AUDIT_EVENTS),
+  });
+
+  try {
+    auditService.logAdminAuditViewed(adminId, { ...filters, cursor }, result.events.length, context.ipAddress);
+  } catch (logErr) {
+    console.warn('[ADMIN] Audit logging failed for audit view:', logErr.message);
+  }
+
+  return result;
+}
+
+/**
+ * Export the audit history matching the filters, newest first.
+ *
+ * Workflow:
+ *   1. Write the file header
+ *   2. Page through the matching rows in batches, writing each as it is
+ *      read (the file is never held in memory)
+ *   3. Stop after MAX_AUDIT_EXPORT_EVENTS rows; narrow the date range to
+ *      export more
+ *   4. Audit the export, including one that failed half way
+ *
+ * @param {number} adminId - Admin exporting
+ * @param {object} filters - See auditService.searchAuditEvents
+ * @param {string} format - One of auditService.AUDIT_EXPORT_FORMATS
+ * @param {Function} write - Receives each chunk of the file; may return a
+ *                           promise (awaited before the next chunk)
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { exportedCount, truncated }
+ */
+async function exportAuditHistory(adminId, filters, format, write, context = {}) {
+  let exportedCount = 0;
+  let truncated = false;
+  let complete = false;
+
+  try {
+    // ---- Step 1: Header ----
+    const header = auditService.formatAuditExportHeader(format);
+    if (header) {
+      await write(header);
+    }
+
+    // ---- Step 2: Rows, one batch at a time ----
+    let cursor;
+    do {
+      const limit = Math.min(AUDIT_EXPORT_BATCH_SIZE, MAX_AUDIT_EXPORT_EVENTS - exportedCount);
+      const page = await auditService.searchAuditEvents(filters, { cursor, limit });
+
+      if (page.events.length > 0) {
+        await write(page.events.map((event) => auditService.formatAuditExportRow(event, format)).join(''));
+        exportedCount += page.events.length;
+      }
+      cursor = page.nextCursor;
+
+      // ---- Step 3: Row cap ----
+      if (cursor && exportedCount >= MAX_AUDIT_EXPORT_EVENTS) {
+        truncated = true;
+        break;
+      }
+    } while (cursor);
+
+    complete = !truncated;
+    return { exportedCount, truncated };
+  } finally {
+    // ---- Step 4: Audit ----
+    try {
+      auditService.logAdminAuditExported(adminId, filters, format, exportedCount, complete, context.ipAddress);
+    } catch (logErr) {
+      console.warn('[ADMIN] Audit logging failed for audit export:', logErr.message);
+    }
+  }
+}
+
+module.exports = {
+  // Accounts
+  createAdmin,
+
+  // Login
+  loginAdmin,
+  completeAdminLogin,
+  logoutAdmin,
+  isAdminActive,
+
+  // Back office
+  searchParents,
+  getFamily,
+  unlockParent,
+  unlockChild,
+  deactivateParent,
+  getAuditHistory,
+  exportAuditHistory,
+
+  // Constants
+  PARENT_STATUS_FILTERS,
+  MAX_PAGE_SIZE,
+  MAX_AUDIT_EVENTS,
+  MAX_AUDIT_EXPORT_EVENTS,
+};
@@ -0,0 +1,619 @@
+/**
+ * src/services/auditArchiveService.js
+ *
+ * Retention for the audit_logs table: archive expired rows, restore them
+ * for an investigation.
+ *
+ * Purpose:
+ *   - Keep each audit row in the table only as long as its severity's
+ *     retention (AUDIT_RETENTION_<SEVERITY>_DAYS, e.g. LOW 90 days,
+ *     CRITICAL 7 years)
+ *   - Move expired rows into compressed monthly archive files instead of
+ *     deleting them
+ *   - Bring an archive back into the table when an incident needs it
+ *
+ * Architecture Pattern: Service Layer
+ *   npm run audit:archive / audit:restore → auditArchiveService → Prisma + files
+ *
+ * Archival (archiveExpiredAuditLogs, run daily from cron):
+ *   A month's rows of one severity are archived together, once the whole
+ *   month is past that severity's retention (so a row stays between its
+ *   retention and its retention plus one month). Each archive is two files
+ *   in AUDIT_ARCHIVE_DIR plus an audit_log_archives row:
+ *     audit-2024-06-low.ndjson.gz       one row per line, oldest first,
+ *                                       columns as in the admin export
+ *     audit-2024-06-low.manifest.json   row count and ID range, digest of
+ *                                       the rows' hashes (rowsHash), the
+ *                                       file's SHA-256, the chain head
+ *   The rows are then sealed: every event field is cleared, and only
+ *   id, timestamp, severity, prevHash and hash stay, so the hash chain
+ *   still verifies (npm run audit:verify checks sealed rows' links, and
+ *   their ids and hashes against the archive's row count and rowsHash).
+ *
+ * Restore (restoreAuditArchive, npm run audit:restore):
+ *   Checks the file against its SHA-256 and every row against the hash its
+ *   sealed row kept, then fills the fields back in. Restored rows show up
+ *   in the admin search and export again, and the archival job seals them
+ *   again AUDIT_RESTORE_TTL_DAYS later. The archive files are not changed.
+ *
+ * Security Considerations:
+ *   - Archives hold the same data as the table (IPs, IDs): the directory
+ *     and files are owner-only; copy them to write-once off-site storage
+ *     together with their manifests
+ *   - The file is durable (fsync) and linked into place before the rows
+ *     are sealed, in the same transaction; a failure leaves rows live
+ *   - A restore is attributed to an admin and audited (HIGH)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+const { pipeline } = require('stream/promises');
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/db');
+const env = require('../config/env');
+const auditService = require('./auditService');
+const auditChainService = require('./auditChainService');
+const { SEVERITY_LEVELS } = require('./auditSinkService');
+
+// ============================================
+// Configuration Constants
+// ============================================
+
+// Rows read per query while archiving, and written per transaction while restoring
+const ARCHIVE_BATCH_SIZE = 1000;
+const RESTORE_BATCH_SIZE = 500;
+
+// Sealing a month of LOW rows can take a while
+const ARCHIVE_TRANSACTION_TIMEOUT_MS = 5 * 60 * 1000;
+
+// pg_advisory_xact_lock key serializing archive runs across hosts
+const AUDIT_ARCHIVE_LOCK_KEY = 48151624;
+
+// Manifest layout version (2: rowsHash)
+const ARCHIVE_MANIFEST_VERSION = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Event fields cleared when a row is sealed (its archive keeps them)
+const SEALED_FIELDS = {
+  action: null,
+  userId: null,
+  adminId: null,
+  resourceType: null,
+  resourceId: null,
+  result: null,
+  ipAddress: null,
+  userAgent: null,
+  requestId: null,
+  details: Prisma.DbNull,
+  environment: null,
+};
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Build an error with a code.
+ *
+ * @param {string} code - error.code
+ * @param {string} message - error.message
+ * @returns {Error}
+ */
+function archiveError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * "YYYY-MM" (UTC) of a date.
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+function monthOf(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * First instant of a month and of the month after (UTC).
+ *
+ * @param {string} month - "YYYY-MM"
+ * @returns {{start: Date, end: Date}}
+ */
+function monthBounds(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return {
+    start: new Date(Date.UTC(year, monthNumber - 1, 1)),
+    end: new Date(Date.UTC(year, monthNumber, 1)),
+  };
+}
+
+/**
+ * File name stem of an archive: audit-2024-06-low, audit-2024-06-low-2, ...
+ *
+ * @param {string} month - "YYYY-MM"
+ * @param {string} severity - One of SEVERITY_LEVELS
+ * @param {number} part - 1 for the first archive of the month
+ * @returns {string}
+ */
+function archiveBaseName(month, severity, part) {
+  return `audit-${month}-${severity.toLowerCase()}${part > 1 ? `-${part}` : ''}`;
+}
+
+/**
+ * Hex SHA-256 of a file, read as a stream.
+ *
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * Flush a file to disk.
+ *
+ * @param {string} filePath
+ */
+async function syncFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Delete files, ignoring ones already gone.
+ *
+ * @param {string[]} filePaths
+ */
+async function removeFiles(filePaths) {
+  await Promise.all(
+    filePaths.map((filePath) =>
+      fs.promises.unlink(filePath).catch((err) => {
+        if (err.code !== 'ENOENT') {
+          console.error('[AUDIT_ARCHIVE] Failed to remove', filePath, err.message);
+        }
+      })
+    )
+  );
+}
+
+/**
+ * Archive rows back as audit_logs fields, in batches.
+ *
+ * @param {string} filePath - .ndjson.gz archive
+ * @param {number} batchSize
+ * @returns {AsyncGenerator<object[]>}
+ */
+async function* readArchiveBatches(filePath, batchSize) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity,
+  });
+
+  let batch = [];
+  for await (const line of lines) {
+    if (!line) {
+      continue;
+    }
+    const record = JSON.parse(line);
+    batch.push({ ...record, timestamp: new Date(record.timestamp) });
+
+    if (batch.length === batchSize) {
+      yield batch;
+      batch = [];
+    }
+  }
+
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+// ============================================
+// Archival
+// ============================================
+
+/**
+ * Archive and seal one month's live rows of one severity.
+ *
+ * Workflow:
+ *   1. Fix the chain head: rows written after it wait for the next run
+ *   2. Stream the rows into a temporary .ndjson.gz, then fsync it
+ *   3. Write the manifest next to it
+ *   4. In one transaction: record the archive, seal exactly the rows
+ *      written, link both files into place (never overwriting)
+ *   5. Audit the archive
+ *
+ * @param {string} month - "YYYY-MM"
+ * @param {string} severity - One of SEVERITY_LEVELS
+ * @param {Date} now - Run time
+ * @returns {Promise<object|null>} audit_log_archives row, or null if no rows
+ * @throws {Error} with code 'AUDIT_ARCHIVE_CONFLICT' if the rows changed
+ *   while being archived (another run); nothing is sealed
+ */
+async function archiveMonth(month, severity, now) {
+  const dir = path.resolve(env.auditArchiveDir);
+  await fs.promises.mkdir(dir, { recursive: true, mode: 0o700 });
+
+  // ---- Step 1: Rows to archive ----
+  const head = await prisma.auditLog.findFirst({
+    orderBy: { id: 'desc' },
+    select: { id: true, hash: true },
+  });
+  if (!head) {
+    return null;
+  }
+
+  const { start, end } = monthBounds(month);
+  const where = {
+    severity,
+    archiveId: null,
+    timestamp: { gte: start, lt: end },
+    id: { lte: head.id },
+  };
+
+  const part = (await prisma.auditLogArchive.count({ where: { month, severity } })) + 1;
+  const baseName = archiveBaseName(month, severity, part);
+  const fileName = `${baseName}.ndjson.gz`;
+  const filePath = path.join(dir, fileName);
+  const manifestPath = path.join(dir, `${baseName}.manifest.json`);
+  const tempSuffix = `.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`;
+  const tempFiles = [`${filePath}${tempSuffix}`, `${manifestPath}${tempSuffix}`];
+  const linkedFiles = [];
+
+  try {
+    // ---- Step 2: Stream the rows into the archive file ----
+    const stats = { rowCount: 0, first: null, last: null, rows: auditChainService.createArchiveRowsDigest() };
+
+    async function* rows() {
+      let cursor = null;
+      for (;;) {
+        const batch = await prisma.auditLog.findMany({
+          where,
+          orderBy: { id: 'asc' },
+          take: ARCHIVE_BATCH_SIZE,
+          ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+        });
+        if (batch.length === 0) {
+          return;
+        }
+
+        for (const row of batch) {
+          stats.first = stats.first || row;
+          stats.last = row;
+          stats.rowCount++;
+          stats.rows.add(row);
+          yield auditService.formatAuditExportRow(row, auditService.AUDIT_EXPORT_FORMATS.NDJSON);
+        }
+        cursor = batch[batch.length - 1].id;
+      }
+    }
+
+    await pipeline(rows, zlib.createGzip(), fs.createWriteStream(tempFiles[0], { mode: 0o600 }));
+
+    if (stats.rowCount === 0) {
+      return null;
+    }
+    await syncFile(tempFiles[0]);
+
+    // ---- Step 3: Manifest ----
+    const record = {
+      month,
+      severity,
+      part,
+      fileName,
+      sha256: await hashFile(tempFiles[0]),
+      rowCount: stats.rowCount,
+      rowsHash: stats.rows.digest(),
+      firstRowId: stats.first.id,
+      lastRowId: stats.last.id,
+      chainHeadId: head.id,
+      chainHeadHash: head.hash,
+    };
+
+    const manifest = {
+      version: ARCHIVE_MANIFEST_VERSION,
+      ...record,
+      firstTimestamp: stats.first.timestamp.toISOString(),
+      lastTimestamp: stats.last.timestamp.toISOString(),
+      retentionDays: env.auditRetentionDays[severity],
+      createdAt: now.toISOString(),
+    };
+    await fs.promises.writeFile(tempFiles[1], `${JSON.stringify(manifest, null, 2)}\n`, { mode: 0o600 });
+    await syncFile(tempFiles[1]);
+
+    // ---- Step 4: Record, seal, publish ----
+    const archive = await prisma.$transaction(
+      async (tx) => {
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(${AUDIT_ARCHIVE_LOCK_KEY}::bigint)`;
+
+        const created = await tx.auditLogArchive.create({ data: record });
+
+        const { count } = await tx.auditLog.updateMany({
+          where,
+          data: { ...SEALED_FIELDS, archiveId: created.id, sealedAt: now },
+        });
+        if (count !== stats.rowCount) {
+          throw archiveError(
+            'AUDIT_ARCHIVE_CONFLICT',
+            `${fileName}: ${stats.rowCount} rows written but ${count} to seal`
+          );
+        }
+
+        // link() fails if the name is taken: never overwrite an archive
+        await fs.promises.link(tempFiles[0], filePath);
+        linkedFiles.push(filePath);
+        await fs.promises.link(tempFiles[1], manifestPath);
+        linkedFiles.push(manifestPath);
+
+        return created;
+      },
+      { timeout: ARCHIVE_TRANSACTION_TIMEOUT_MS }
+    );
+    linkedFiles.length = 0;
+
+    // ---- Step 5: Audit ----
+    try {
+      auditService.logAuditLogArchived(archive);
+    } catch (logErr) {
+      console.warn('[AUDIT_ARCHIVE] Audit logging failed for archive:', logErr.message);
+    }
+
+    return archive;
+  } finally {
+    // Published files are kept only if the transaction committed
+    await removeFiles([...tempFiles, ...linkedFiles]);
+  }
+}
+
+/**
+ * Seal restored rows again once AUDIT_RESTORE_TTL_DAYS have passed.
+ *
+ * @param {Date} now - Run time
+ * @returns {Promise<number>} Rows sealed again
+ */
+async function resealRestoredRows(now) {
+  const restoredBefore = new Date(now.getTime() - env.auditRestoreTtlDays * DAY_MS);
+
+  const [{ count }] = await prisma.$transaction([
+    prisma.auditLog.updateMany({
+      where: { restoredAt: { lte: restoredBefore } },
+      data: { ...SEALED_FIELDS, sealedAt: now, restoredAt: null },
+    }),
+    prisma.auditLogArchive.updateMany({
+      where: { restoredAt: { lte: restoredBefore } },
+      data: { restoredAt: null },
+    }),
+  ]);
+
+  return count;
+}
+
+/**
+ * Apply the retention policy: archive every month that is entirely past
+ * its severity's retention, and seal expired restores.
+ *
+ * Safe to re-run: archived rows are never picked up again, and a run
+ * interrupted half way leaves the rows it hadn't sealed for the next run.
+ *
+ * @param {object} [options]
+ * @param {Date} [options.now=new Date()] - Run time
+ * @returns {Promise<object>} { archives: audit_log_archives rows, resealedCount }
+ */
+async function archiveExpiredAuditLogs({ now = new Date() } = {}) {
+  // ---- Step 1: Restores past their time ----
+  const resealedCount = await resealRestoredRows(now);
+
+  // ---- Step 2: Expired months, oldest first, per severity ----
+  const archives = [];
+
+  for (const severity of SEVERITY_LEVELS) {
+    const cutoff = new Date(now.getTime() - env.auditRetentionDays[severity] * DAY_MS);
+    // Rows before the cutoff's month belong to months entirely past retention
+    const { start: boundary } = monthBounds(monthOf(cutoff));
+
+    for (;;) {
+      const oldest = await prisma.auditLog.findFirst({
+        where: { severity, archiveId: null, timestamp: { lt: boundary } },
+        orderBy: { timestamp: 'asc' },
+        select: { timestamp: true },
+      });
+      if (!oldest) {
+        break;
+      }
+
+      const archive = await archiveMonth(monthOf(oldest.timestamp), severity, now);
+      if (!archive) {
+        break;
+      }
+      archives.push(archive);
+    }
+  }
+
+  return { archives, resealedCount };
+}
+
+// ============================================
+// Restore
+// ============================================
+
+/**
+ * All archives, newest first.
+ *
+ * @returns {Promise<object[]>} audit_log_archives rows
+ */
+async function listAuditArchives() {
+  return prisma.auditLogArchive.findMany({ orderBy: { id: 'desc' } });
+}
+
+/**
+ * Check an archive without changing anything.
+ *
+ * Workflow:
+ *   1. The file exists and matches the SHA-256 recorded when it was made
+ *   2. Every row hashes to its own hash (it wasn't edited)
+ *   3. Every row matches the sealed row it came from (same link, same
+ *      archive), and the row count and rowsHash match
+ *
+ * @param {string} fileName - Archive file name (see listAuditArchives)
+ * @returns {Promise<object>} { archive, filePath }
+ * @throws {Error} with code 'AUDIT_ARCHIVE_NOT_FOUND', 'AUDIT_ARCHIVE_FILE_MISSING',
+ *   'AUDIT_ARCHIVE_CORRUPT' or 'AUDIT_ARCHIVE_MISMATCH'
+ */
+async function checkAuditArchive(fileName) {
+  const archive = await prisma.auditLogArchive.findUnique({ where: { fileName } });
+  if (!archive) {
+    throw archiveError('AUDIT_ARCHIVE_NOT_FOUND', `Unknown audit archive: ${fileName}`);
+  }
+  const filePath = path.join(path.resolve(env.auditArchiveDir), archive.fileName);
+
+  // ---- Step 1: The file ----
+  let sha256;
+  try {
+    sha256 = await hashFile(filePath);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw archiveError('AUDIT_ARCHIVE_FILE_MISSING', `Archive file not found: ${filePath}`);
+    }
+    throw err;
+  }
+  if (sha256 !== archive.sha256) {
+    throw archiveError('AUDIT_ARCHIVE_CORRUPT', `${fileName}: file SHA-256 does not match the archive record`);
+  }
+
+  let rowCount = 0;
+  const rowsDigest = auditChainService.createArchiveRowsDigest();
+  for await (const batch of readArchiveBatches(filePath, RESTORE_BATCH_SIZE)) {
+    // ---- Step 2: Each row's contents ----
+    for (const row of batch) {
+      if (auditChainService.computeEntryHash(row.prevHash, row) !== row.hash) {
+        throw archiveError('AUDIT_ARCHIVE_CORRUPT', `${fileName}: row #${row.id} does not match its hash`);
+      }
+    }
+
+    // ---- Step 3: Each row against what stayed in the table ----
+    const sealed = await prisma.auditLog.findMany({
+      where: { id: { in: batch.map((row) => row.id) } },
+      select: { id: true, prevHash: true, hash: true, archiveId: true },
+    });
+    const sealedById = new Map(sealed.map((row) => [row.id, row]));
+
+    for (const row of batch) {
+      const kept = sealedById.get(row.id);
+      if (!kept || kept.archiveId !== archive.id || kept.prevHash !== row.prevHash || kept.hash !== row.hash) {
+        throw archiveError('AUDIT_ARCHIVE_MISMATCH', `${fileName}: row #${row.id} does not match the audit_logs table`);
+      }
+      rowsDigest.add(row);
+    }
+
+    rowCount += batch.length;
+  }
+
+  if (rowCount !== archive.rowCount) {
+    throw archiveError('AUDIT_ARCHIVE_MISMATCH', `${fileName}: ${rowCount} rows, ${archive.rowCount} expected`);
+  }
+  if (rowsDigest.digest() !== archive.rowsHash) {
+    throw archiveError('AUDIT_ARCHIVE_MISMATCH', `${fileName}: rows do not match the archive's rowsHash`);
+  }
+
+  return { archive, filePath };
+}
+
+/**
+ * Restore an archive's rows into the audit_logs table.
+ *
+ * Workflow:
+ *   1. Confirm the admin (restores are attributed)
+ *   2. Check the whole archive first (checkAuditArchive): nothing is
+ *      written from a damaged or mismatched file
+ *   3. Fill the sealed rows back in, batch by batch
+ *   4. Audit the restore
+ *
+ * Restoring again just extends the restore.
+ *
+ * @param {string} fileName - Archive file name
+ * @param {string} adminEmail - Active admin responsible for the restore
+ * @param {object} [options]
+ * @param {Date} [options.now=new Date()] - Restore time
+ * @returns {Promise<object>} { archive, restoredCount, sealAfter }
+ * @throws {Error} with code 'ADMIN_NOT_FOUND', or see checkAuditArchive
+ */
+async function restoreAuditArchive(fileName, adminEmail, { now = new Date() } = {}) {
+  // ---- Step 1: Who is restoring ----
+  const admin = await prisma.admin.findUnique({
+    where: { email: String(adminEmail || '').trim().toLowerCase() },
+    select: { id: true, isActive: true },
+  });
+  if (!admin || !admin.isActive) {
+    throw archiveError('ADMIN_NOT_FOUND', 'No active admin with that email');
+  }
+
+  // ---- Step 2: Check before writing ----
+  const { archive, filePath } = await checkAuditArchive(fileName);
+
+  // ---- Step 3: Fill the rows back in ----
+  let restoredCount = 0;
+  for await (const batch of readArchiveBatches(filePath, RESTORE_BATCH_SIZE)) {
+    await prisma.$transaction(
+      batch.map((row) =>
+        prisma.auditLog.update({
+          where: { id: row.id },
+          data: {
+            timestamp: row.timestamp,
+            action: row.action,
+            userId: row.userId,
+            adminId: row.adminId,
+            resourceType: row.resourceType,
+            resourceId: row.resourceId,
+            severity: row.severity,
+            result: row.result,
+            ipAddress: row.ipAddress,
+            userAgent: row.userAgent,
+            requestId: row.requestId,
+            details: row.details,
+            environment: row.environment,
+            sealedAt: null,
+            restoredAt: now,
+          },
+        })
+      )
+    );
+    restoredCount += batch.length;
+  }
+
+  const restored = await prisma.auditLogArchive.update({
+    where: { id: archive.id },
+    data: { restoredAt: now },
+  });
+  const sealAfter = new Date(now.getTime() + env.auditRestoreTtlDays * DAY_MS);
+
+  // ---- Step 4: Audit ----
+  try {
+    auditService.logAuditArchiveRestored(admin.id, restored, restoredCount, sealAfter);
+  } catch (logErr) {
+    console.warn('[AUDIT_ARCHIVE] Audit logging failed for restore:', logErr.message);
+  }
+
+  return { archive: restored, restoredCount, sealAfter };
+}
+
+module.exports = {
+  // Archival
+  archiveExpiredAuditLogs,
+
+  // Restore
+  listAuditArchives,
+  checkAuditArchive,
+  restoreAuditArchive,
+};
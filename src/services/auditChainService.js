@@ -0,0 +1,370 @@
+/**
+ * src/services/auditChainService.js
+ *
+ * Hash-chained audit log storage (the database sink of auditService).
+ *
+ * Purpose:
+ *   - Append audit entries to the audit_logs table
+ *   - Link every row to the one before it so tampering is detectable
+ *   - Walk the chain and report the first broken link
+ *
+ * Hash Chain:
+ *   hash     = SHA-256 over canonical JSON of { prevHash, ...event fields }
+ *   prevHash = hash of the previous row (GENESIS_HASH for the first row)
+ *
+ *   Canonical JSON sorts object keys at every level, so the hash does not
+ *   depend on key order (Postgres JSONB does not keep it).
+ *
+ *   requestId (added later) is hashed only when set, so rows written
+ *   before it existed keep their original hashes.
+ *
+ *   What verification catches:
+ *     - A row edited in place (its hash no longer matches its fields)
+ *     - A row deleted or reordered (the next row's prevHash no longer matches)
+ *     - A row inserted in the middle (same)
+ *   Archived ("sealed") rows keep only their link (see
+ *   auditArchiveService): verification can't recompute their hash until
+ *   the archive is restored, which checks every archived row against the
+ *   hash it left behind. Instead, each archive records its row count, ID
+ *   range and a digest of its rows' ids and hashes (rowsHash), and
+ *   verification checks every archived row against its archive:
+ *     - A sealed row outside its archive's range, or with no archive
+ *       (e.g. a row edited, then marked sealed to skip the hash check)
+ *     - An archive whose rows no longer add up to its count and digest
+ *
+ *   What it cannot catch on its own:
+ *     - Rows removed from the END of the chain. Record the head hash
+ *       (returned by verifyAuditChain) somewhere the database can't
+ *       rewrite, and compare.
+ *     - Someone with database access re-hashing the whole chain. The hash
+ *       is unkeyed on purpose, so anyone can verify an export.
+ *
+ * Ordering:
+ *   Appends in this process go through one promise queue, and each append
+ *   takes a Postgres advisory lock for its transaction, so concurrent API
+ *   instances still build one linear chain.
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('../config/db');
+
+// ============================================
+// Configuration Constants
+// ============================================
+
+// prevHash of the first row
+const GENESIS_HASH = '0'.repeat(64);
+
+// pg_advisory_xact_lock key serializing appends across API instances
+const AUDIT_CHAIN_LOCK_KEY = 48151623;
+
+// Rows read per query while verifying
+const VERIFY_BATCH_SIZE = 1000;
+
+// Why verifyAuditChain stopped
+const CHAIN_BREAK_REASONS = {
+  // prevHash does not match the hash of the row before it
+  PREV_HASH_MISMATCH: 'PREV_HASH_MISMATCH',
+  // The row's own fields no longer hash to its stored hash
+  HASH_MISMATCH: 'HASH_MISMATCH',
+  // Sealed or archived row that its archive record doesn't cover
+  NOT_IN_ARCHIVE: 'NOT_IN_ARCHIVE',
+  // An archive's rows don't match its recorded row count and rowsHash
+  ARCHIVE_MISMATCH: 'ARCHIVE_MISMATCH',
+};
+
+// ============================================
+// Hashing
+// ============================================
+
+/**
+ * JSON with object keys sorted at every level.
+ *
+ * @param {*} value - JSON-serializable value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash of one row: its predecessor's hash plus its own event fields.
+ *
+ * Accepts an auditService entry or an audit_logs row (timestamp as ISO
+ * string or Date; both hash the same).
+ *
+ * @param {string} prevHash - Hash of the previous row
+ * @param {object} entry - Event fields
+ * @returns {string} Hex SHA-256
+ */
+function computeEntryHash(prevHash, entry) {
+  const payload = {
+    prevHash,
+    timestamp: new Date(entry.timestamp).toISOString(),
+    action: entry.action,
+    userId: entry.userId ?? null,
+    adminId: entry.adminId ?? null,
+    resourceType: entry.resourceType,
+    resourceId: entry.resourceId ?? null,
+    severity: entry.severity,
+    result: entry.result,
+    ipAddress: entry.ipAddress,
+    userAgent: entry.userAgent,
+    // Left out (undefined) when null: see "Hash Chain" above
+    requestId: entry.requestId ?? undefined,
+    details: entry.details ?? {},
+    environment: entry.environment,
+  };
+
+  return crypto.createHash('sha256').update(canonicalJson(payload)).digest('hex');
+}
+
+/**
+ * Running digest of an archive's rows (audit_log_archives.rowsHash).
+ *
+ * SHA-256 over "<id>:<hash>\n" for each row, in id order. Rows must be
+ * added in that order.
+ *
+ * @returns {{add: function(object): void, digest: function(): string}}
+ */
+function createArchiveRowsDigest() {
+  const hash = crypto.createHash('sha256');
+  return {
+    add: (row) => hash.update(`${row.id}:${row.hash}\n`),
+    digest: () => hash.digest('hex'),
+  };
+}
+
+// ============================================
+// Append
+// ============================================
+
+// Tail of this process's write queue
+let appendQueue = Promise.resolve();
+
+/**
+ * Insert one entry at the head of the chain.
+ *
+ * @param {object} entry - auditService entry
+ * @returns {Promise<{id: number, hash: string}>}
+ */
+async function insertLinked(entry) {
+  return prisma.$transaction(async (tx) => {
+    // ---- Step 1: Serialize with other API instances ----
+    // Released automatically when the transaction ends
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(${AUDIT_CHAIN_LOCK_KEY}::bigint)`;
+
+    // ---- Step 2: Link to the current head ----
+    const head = await tx.auditLog.findFirst({
+      orderBy: { id: 'desc' },
+      select: { hash: true },
+    });
+    const prevHash = head ? head.hash : GENESIS_HASH;
+
+    // ---- Step 3: Insert ----
+    return tx.auditLog.create({
+      data: {
+        timestamp: new Date(entry.timestamp),
+        action: entry.action,
+        userId: entry.userId,
+        adminId: entry.adminId,
+        resourceType: entry.resourceType,
+        resourceId: entry.resourceId,
+        severity: entry.severity,
+        result: entry.result,
+        ipAddress: entry.ipAddress,
+        userAgent: entry.userAgent,
+        requestId: entry.requestId,
+        details: entry.details,
+        environment: entry.environment,
+        prevHash,
+        hash: computeEntryHash(prevHash, entry),
+      },
+      select: { id: true, hash: true },
+    });
+  });
+}
+
+/**
+ * Append an audit entry to the chain.
+ *
+ * Entries from this process are written in call order. A failed write
+ * rejects the returned promise but does not block later entries.
+ *
+ * @param {object} entry - auditService entry
+ * @returns {Promise<{id: number, hash: string}>}
+ */
+function appendAuditEntry(entry) {
+  const write = appendQueue.then(() => insertLinked(entry));
+  appendQueue = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Wait until every entry queued so far has been written (or failed).
+ *
+ * Call before disconnecting from the database in scripts and on shutdown.
+ *
+ * @returns {Promise<void>}
+ */
+function flushAuditEntries() {
+  return appendQueue;
+}
+
+// ============================================
+// Verification
+// ============================================
+
+/**
+ * Walk the chain from the first row and check every link.
+ *
+ * Rows with an archive (sealed, or restored) must lie in its ID range and
+ * severity; once an archive's last row is reached, its rows must match
+ * its row count and rowsHash. Archives starting before the first row
+ * (removed with it, see anchorHash) are not checked.
+ *
+ * @param {object} [options]
+ * @param {string} [options.anchorHash=GENESIS_HASH] - Expected prevHash of
+ *   the first row (the head hash of an earlier, removed part of the chain)
+ * @param {number} [options.batchSize=1000] - Rows per query
+ * @returns {Promise<object>}
+ *   Intact: { valid: true, checkedCount, sealedCount, head: { id, hash } | null }
+ *   (sealedCount: archived rows among them, checked against their archive)
+ *   Broken: { valid: false, checkedCount, lastValid: { id, hash } | null,
+ *             brokenAt: { id, reason, expected, actual } }
+ */
+async function verifyAuditChain({ anchorHash = GENESIS_HASH, batchSize = VERIFY_BATCH_SIZE } = {}) {
+  let expectedPrevHash = anchorHash;
+  let lastValid = null;
+  let checkedCount = 0;
+  let sealedCount = 0;
+  let cursor = null;
+
+  // Archive records, and the rows seen so far for each
+  const archives = new Map(
+    (await prisma.auditLogArchive.findMany({
+      select: { id: true, severity: true, rowCount: true, firstRowId: true, lastRowId: true, rowsHash: true },
+    })).map((archive) => [archive.id, { ...archive, seenCount: 0, rows: createArchiveRowsDigest() }])
+  );
+  let firstRowId = null;
+
+  const broken = (id, reason, expected, actual) => ({
+    valid: false,
+    checkedCount,
+    lastValid,
+    brokenAt: { id, reason, expected, actual },
+  });
+
+  for (;;) {
+    const rows = await prisma.auditLog.findMany({
+      orderBy: { id: 'asc' },
+      take: batchSize,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const row of rows) {
+      firstRowId = firstRowId ?? row.id;
+
+      // ---- Link to the previous row ----
+      if (row.prevHash !== expectedPrevHash) {
+        return broken(row.id, CHAIN_BREAK_REASONS.PREV_HASH_MISMATCH, expectedPrevHash, row.prevHash);
+      }
+
+      // ---- The row's own contents (sealed: its archive vouches for it) ----
+      const archive = row.archiveId === null ? null : archives.get(row.archiveId);
+
+      const inArchive = archive
+        && row.id >= archive.firstRowId
+        && row.id <= archive.lastRowId
+        && row.severity === archive.severity;
+
+      if ((row.archiveId !== null || row.sealedAt) && !inArchive) {
+        return broken(
+          row.id,
+          CHAIN_BREAK_REASONS.NOT_IN_ARCHIVE,
+          archive
+            ? `archive #${archive.id}: ${archive.severity} rows #${archive.firstRowId}-#${archive.lastRowId}`
+            : 'a recorded archive',
+          `archive ${row.archiveId === null ? 'none' : `#${row.archiveId}`}, ${row.severity} row #${row.id}`
+        );
+      }
+
+      if (!row.sealedAt) {
+        const recomputed = computeEntryHash(row.prevHash, row);
+        if (recomputed !== row.hash) {
+          return broken(row.id, CHAIN_BREAK_REASONS.HASH_MISMATCH, recomputed, row.hash);
+        }
+      }
+
+      // ---- The archive as a whole, at its last row ----
+      if (archive) {
+        archive.seenCount++;
+        archive.rows.add(row);
+
+        if (row.id === archive.lastRowId && archive.firstRowId >= firstRowId) {
+          const rowsHash = archive.rows.digest();
+          if (archive.seenCount !== archive.rowCount || rowsHash !== archive.rowsHash) {
+            return broken(
+              row.id,
+              CHAIN_BREAK_REASONS.ARCHIVE_MISMATCH,
+              `archive #${archive.id}: ${archive.rowCount} rows, ${archive.rowsHash}`,
+              `${archive.seenCount} rows, ${rowsHash}`
+            );
+          }
+          archives.delete(archive.id);
+        }
+      }
+
+      expectedPrevHash = row.hash;
+      lastValid = { id: row.id, hash: row.hash };
+      checkedCount++;
+      if (row.sealedAt) {
+        sealedCount++;
+      }
+    }
+
+    cursor = rows[rows.length - 1].id;
+  }
+
+  // ---- Archives whose last row never turned up ----
+  for (const archive of archives.values()) {
+    if (firstRowId !== null && archive.firstRowId >= firstRowId) {
+      return broken(
+        archive.lastRowId,
+        CHAIN_BREAK_REASONS.ARCHIVE_MISMATCH,
+        `archive #${archive.id}: ${archive.rowCount} rows, last #${archive.lastRowId}`,
+        `${archive.seenCount} rows found`
+      );
+    }
+  }
+
+  return {
+    valid: true,
+    checkedCount,
+    sealedCount,
+    head: lastValid,
+  };
+}
+
+module.exports = {
+  appendAuditEntry,
+  flushAuditEntries,
+  verifyAuditChain,
+  computeEntryHash,
+  createArchiveRowsDigest,
+  GENESIS_HASH,
+  CHAIN_BREAK_REASONS,
+};
@@ -48,9 +48,18 @@
  * STORAGE STRATEGY
  * ============================================
  *
- * Current Implementation (MVP):
- *   - Logs to console (for local development/testing)
- *   - Future: Database table or external service
+ * Current Implementation:
+ *   Every entry goes to the sinks listed in AUDIT_SINKS, each with its
+ *   own minimum severity (auditSinkService):
+ *   - database (default): audit_logs table, hash-chained so tampering is
+ *     detectable (auditChainService; check with npm run audit:verify).
+ *     Read back by searchAuditEvents (GET /api/admin/audit-events and its
+ *     CSV/NDJSON export) and getAccountActivity (GET /api/auth/activity).
+ *   - console (default): JSON lines, HIGH and CRITICAL on stderr
+ *   - file: daily NDJSON files under AUDIT_FILE_DIR, rotated by size
+ *   - webhook: signed POST to AUDIT_WEBHOOK_URL with retries, e.g.
+ *     webhook:CRITICAL to alert on tampering only
+ *   - Others (Sentry, CloudWatch): auditSinkService.registerAuditSink
  *
  * Production Options:
  *   1. Database Table (auditLog)
@@ -284,8 +293,9 @@
 // DEPENDENCIES
 // ============================================
 
-// No external dependencies required for MVP
-// In production, could integrate with Sentry, Winston, or CloudWatch
+const { prisma } = require('../config/db');
+const auditSinkService = require('./auditSinkService');
+const { getRequestContext } = require('../utils/requestContext');
 
 // ============================================
 // CONSTANTS
@@ -299,29 +309,90 @@ const ACTIONS = {
   LOGIN_ACCOUNT_LOCKED: 'LOGIN_ACCOUNT_LOCKED',
   TOKEN_REFRESH_SUCCESS: 'TOKEN_REFRESH_SUCCESS',
   TOKEN_REFRESH_FAILED: 'TOKEN_REFRESH_FAILED',
+  REFRESH_TOKEN_REUSE_DETECTED: 'REFRESH_TOKEN_REUSE_DETECTED',
   LOGOUT_SUCCESS: 'LOGOUT_SUCCESS',
+  SESSION_REVOKED: 'SESSION_REVOKED',
   PASSWORD_CHANGED: 'PASSWORD_CHANGED',
   PASSWORD_RESET_REQUESTED: 'PASSWORD_RESET_REQUESTED',
+  PASSWORD_RESET_FAILED: 'PASSWORD_RESET_FAILED',
+  EMAIL_VERIFICATION_SENT: 'EMAIL_VERIFICATION_SENT',
+  EMAIL_VERIFIED: 'EMAIL_VERIFIED',
+  EMAIL_VERIFICATION_FAILED: 'EMAIL_VERIFICATION_FAILED',
+  PHONE_VERIFICATION_SENT: 'PHONE_VERIFICATION_SENT',
+  PHONE_VERIFIED: 'PHONE_VERIFIED',
+  PHONE_VERIFICATION_FAILED: 'PHONE_VERIFICATION_FAILED',
+  PARENT_PROFILE_UPDATED: 'PARENT_PROFILE_UPDATED',
+  MFA_CHALLENGE_ISSUED: 'MFA_CHALLENGE_ISSUED',
+  MFA_ENABLED: 'MFA_ENABLED',
+  MFA_DISABLED: 'MFA_DISABLED',
+  MFA_VERIFICATION_FAILED: 'MFA_VERIFICATION_FAILED',
+  MFA_RECOVERY_CODE_USED: 'MFA_RECOVERY_CODE_USED',
+  MFA_RECOVERY_CODES_REGENERATED: 'MFA_RECOVERY_CODES_REGENERATED',
 
   // Authorization
   UNAUTHORIZED_ACCESS_ATTEMPT: 'UNAUTHORIZED_ACCESS_ATTEMPT',
   ROLE_CHECK_FAILED: 'ROLE_CHECK_FAILED',
+  PERMISSION_CHECK_FAILED: 'PERMISSION_CHECK_FAILED',
   OWNERSHIP_VERIFICATION_FAILED: 'OWNERSHIP_VERIFICATION_FAILED',
+  EMAIL_VERIFICATION_REQUIRED: 'EMAIL_VERIFICATION_REQUIRED',
 
   // Child Management
   CHILD_CREATED: 'CHILD_CREATED',
   CHILD_DEACTIVATED: 'CHILD_DEACTIVATED',
   CHILD_UPDATED: 'CHILD_UPDATED',
+  CHILD_PIN_SET: 'CHILD_PIN_SET',
+
+  // Child Authentication
+  CHILD_LOGIN_SUCCESS: 'CHILD_LOGIN_SUCCESS',
+  CHILD_LOGIN_FAILED: 'CHILD_LOGIN_FAILED',
+  CHILD_LOGIN_LOCKED: 'CHILD_LOGIN_LOCKED',
+  CHILD_LOGOUT: 'CHILD_LOGOUT',
+
+  // Guardians (multi-guardian families)
+  GUARDIAN_INVITED: 'GUARDIAN_INVITED',
+  GUARDIAN_INVITATION_ACCEPTED: 'GUARDIAN_INVITATION_ACCEPTED',
+  GUARDIAN_INVITATION_DECLINED: 'GUARDIAN_INVITATION_DECLINED',
+  GUARDIAN_INVITATION_FAILED: 'GUARDIAN_INVITATION_FAILED',
+  GUARDIAN_PERMISSIONS_UPDATED: 'GUARDIAN_PERMISSIONS_UPDATED',
+  GUARDIAN_REVOKED: 'GUARDIAN_REVOKED',
+
+  // Administration (back office; actor in adminId)
+  ADMIN_CREATED: 'ADMIN_CREATED',
+  ADMIN_LOGIN_SUCCESS: 'ADMIN_LOGIN_SUCCESS',
+  ADMIN_LOGIN_FAILED: 'ADMIN_LOGIN_FAILED',
+  ADMIN_LOGIN_LOCKED: 'ADMIN_LOGIN_LOCKED',
+  ADMIN_LOGOUT: 'ADMIN_LOGOUT',
+  ADMIN_PARENTS_SEARCHED: 'ADMIN_PARENTS_SEARCHED',
+  ADMIN_FAMILY_VIEWED: 'ADMIN_FAMILY_VIEWED',
+  ADMIN_ACCOUNT_UNLOCKED: 'ADMIN_ACCOUNT_UNLOCKED',
+  ADMIN_PARENT_DEACTIVATED: 'ADMIN_PARENT_DEACTIVATED',
+  ADMIN_AUDIT_VIEWED: 'ADMIN_AUDIT_VIEWED',
+  ADMIN_AUDIT_EXPORTED: 'ADMIN_AUDIT_EXPORTED',
+
+  // Audit Log Retention (auditArchiveService)
+  AUDIT_LOG_ARCHIVED: 'AUDIT_LOG_ARCHIVED',
+  AUDIT_ARCHIVE_RESTORED: 'AUDIT_ARCHIVE_RESTORED',
 
   // Wallet Operations
   WALLET_CREATED: 'WALLET_CREATED',
   WALLET_DEPOSIT: 'WALLET_DEPOSIT',
   WALLET_WITHDRAWAL: 'WALLET_WITHDRAWAL',
+  WALLET_BALANCE_MISMATCH: 'WALLET_BALANCE_MISMATCH',
+
+  // M-Pesa Deposits
+  PAYMENT_INITIATED: 'PAYMENT_INITIATED',
+  PAYMENT_SUCCEEDED: 'PAYMENT_SUCCEEDED',
+  PAYMENT_FAILED: 'PAYMENT_FAILED',
+  PAYMENT_CALLBACK_REJECTED: 'PAYMENT_CALLBACK_REJECTED',
 
   // Encryption/Decryption
   ENCRYPTION_FAILURE: 'ENCRYPTION_FAILURE',
   DECRYPTION_FAILURE: 'DECRYPTION_FAILURE',
   DECRYPTION_TAMPERING_DETECTED: 'DECRYPTION_TAMPERING_DETECTED',
+  REENCRYPTION_STARTED: 'REENCRYPTION_STARTED',
+  REENCRYPTION_COMPLETED: 'REENCRYPTION_COMPLETED',
+  BLIND_INDEX_REBUILT: 'BLIND_INDEX_REBUILT',
+  PLAINTEXT_ENCRYPTED: 'PLAINTEXT_ENCRYPTED',
 };
 
 // Severity levels for security events
@@ -339,6 +410,8 @@ const RESOURCE_TYPES = {
   WALLET: 'WALLET',
   AUTH: 'AUTH',
   ENCRYPTION: 'ENCRYPTION',
+  ADMIN: 'ADMIN',
+  AUDIT_LOG: 'AUDIT_LOG',
 };
 
 // Result codes
@@ -356,13 +429,24 @@ const RESULT = {
  * Create and store an audit log entry
  *
  * This is the main entry point for security event logging.
- * In MVP: Logs to console
- * In Production: Store to database/Sentry/CloudWatch
+ * The entry is handed to every configured sink whose minimum severity it
+ * meets (see STORAGE STRATEGY). Delivery is asynchronous: this function
+ * returns at once and a failed sink is reported on the console, never
+ * thrown at the caller.
+ *
+ * Request Context (src/utils/requestContext.js):
+ *   Inside an API request, fields the caller leaves out are filled in:
+ *   - ipAddress, userAgent: the client's
+ *   - requestId: always (the X-Request-Id response header)
+ *   - userId / adminId: the signed-in PARENT / ADMIN, only when the caller
+ *     names neither (pass null to record "no actor" explicitly). CHILD
+ *     tokens are not used: userId means the parent in child events.
  *
  * Security Event Structure:
  *   timestamp: When did this happen?
  *   action: What action occurred? (LOGIN_SUCCESS, CHILD_CREATED, etc.)
  *   userId: Who did it? (parentId, NULL if unauthenticated)
+ *   adminId: Which admin did it? (back-office actions only; userId is then NULL)
  *   resourceType: What resource was affected? (PARENT, CHILD, WALLET)
  *   resourceId: Which record? (e.g., childId=10, parentId=1)
  *   severity: How urgent? (CRITICAL, HIGH, MEDIUM, LOW)
@@ -374,6 +458,7 @@ const RESULT = {
  * @param {object} options - Configuration object
  * @param {string} options.action - Action type (use ACTIONS constants)
  * @param {integer} options.userId - ID of user performing action (parentId)
+ * @param {integer} [options.adminId] - ID of the admin performing the action
  * @param {string} options.resourceType - Type of resource (use RESOURCE_TYPES)
  * @param {integer} options.resourceId - ID of affected resource
  * @param {string} options.severity - Severity level (use SEVERITY constants)
@@ -427,6 +512,10 @@ function logAuditEvent(options) {
     }
   }
 
+  // ---- Fill in from the request being served ----
+  const context = getRequestContext();
+  const actor = options.userId === undefined && options.adminId === undefined ? context?.user : null;
+
   // ---- Build audit log entry ----
   const auditEntry = {
     // Timestamp when event occurred
@@ -436,7 +525,10 @@ function logAuditEvent(options) {
     action: options.action,
 
     // User: Who did it? (NULL if unauthenticated)
-    userId: options.userId || null,
+    userId: options.userId || (actor?.role === 'PARENT' ? actor.id : null),
+
+    // Admin: Which back-office operator did it? (NULL for family actions)
+    adminId: options.adminId || (actor?.role === 'ADMIN' ? actor.id : null),
 
     // Resource: What was affected?
     resourceType: options.resourceType,
@@ -449,8 +541,11 @@ function logAuditEvent(options) {
     result: options.result,
 
     // Client: Where from?
-    ipAddress: options.ipAddress || 'UNKNOWN',
-    userAgent: options.userAgent || 'UNKNOWN',
+    ipAddress: options.ipAddress || context?.ipAddress || 'UNKNOWN',
+    userAgent: options.userAgent || context?.userAgent || 'UNKNOWN',
+
+    // Request: Which API call? (X-Request-Id; NULL outside a request)
+    requestId: context?.requestId || null,
 
     // Context: Any additional info?
     details: options.details || {},
@@ -459,42 +554,335 @@ function logAuditEvent(options) {
     environment: process.env.NODE_ENV || 'development',
   };
 
-  // ---- Store/Send audit log ----
-  // MVP: Log to console
-  // Production: Store to database, send to Sentry, etc.
-
-  // Different formatting based on severity
-  if (auditEntry.severity === SEVERITY.CRITICAL) {
-    // CRITICAL: Use console.error (highest visibility)
-    console.error('[AUDIT_CRITICAL]', JSON.stringify(auditEntry, null, 2));
-  } else if (auditEntry.severity === SEVERITY.HIGH) {
-    // HIGH: Use console.warn
-    console.warn('[AUDIT_HIGH]', JSON.stringify(auditEntry, null, 2));
-  } else {
-    // MEDIUM/LOW: Use console.log
-    console.log('[AUDIT]', JSON.stringify(auditEntry));
-  }
+  // ---- Deliver to the configured sinks ----
+  auditSinkService.dispatchAuditEntry(auditEntry);
+
+  return auditEntry;
+}
+
+// ============================================
+// READING THE AUDIT LOG
+// ============================================
+
+// Page size bounds for GET /api/auth/activity
+const DEFAULT_ACTIVITY_PAGE_SIZE = 20;
+const MAX_ACTIVITY_PAGE_SIZE = 100;
 
-  // ---- Future: Send to external services ----
-  // Example - Send CRITICAL events to Slack webhook:
-  /*
-  if (auditEntry.severity === SEVERITY.CRITICAL) {
-    sendToSlack({
-      text: `🚨 CRITICAL SECURITY EVENT: ${auditEntry.action}`,
-      details: auditEntry,
-    });
+// Actions a parent sees in their own activity feed (GET /api/auth/activity).
+// Everything else stays back-office only: routine token refreshes,
+// authorization failures (they name other families' resources), wallet
+// movements (GET .../transactions) and encryption faults.
+const ACCOUNT_ACTIVITY_ACTIONS = [
+  // Sign-in and sessions
+  ACTIONS.LOGIN_SUCCESS,
+  ACTIONS.LOGIN_FAILED,
+  ACTIONS.LOGIN_ACCOUNT_LOCKED,
+  ACTIONS.REFRESH_TOKEN_REUSE_DETECTED,
+  ACTIONS.LOGOUT_SUCCESS,
+  ACTIONS.SESSION_REVOKED,
+
+  // Credentials and verification
+  ACTIONS.PASSWORD_CHANGED,
+  ACTIONS.PASSWORD_RESET_REQUESTED,
+  ACTIONS.EMAIL_VERIFIED,
+  ACTIONS.PHONE_VERIFIED,
+  ACTIONS.PARENT_PROFILE_UPDATED,
+  ACTIONS.MFA_ENABLED,
+  ACTIONS.MFA_DISABLED,
+  ACTIONS.MFA_VERIFICATION_FAILED,
+  ACTIONS.MFA_RECOVERY_CODE_USED,
+  ACTIONS.MFA_RECOVERY_CODES_REGENERATED,
+
+  // Children
+  ACTIONS.CHILD_CREATED,
+  ACTIONS.CHILD_DEACTIVATED,
+  ACTIONS.CHILD_UPDATED,
+  ACTIONS.CHILD_PIN_SET,
+  ACTIONS.CHILD_LOGIN_LOCKED,
+
+  // Guardians
+  ACTIONS.GUARDIAN_INVITED,
+  ACTIONS.GUARDIAN_INVITATION_ACCEPTED,
+  ACTIONS.GUARDIAN_INVITATION_DECLINED,
+  ACTIONS.GUARDIAN_PERMISSIONS_UPDATED,
+  ACTIONS.GUARDIAN_REVOKED,
+
+  // M-Pesa deposits
+  ACTIONS.PAYMENT_INITIATED,
+  ACTIONS.PAYMENT_SUCCEEDED,
+  ACTIONS.PAYMENT_FAILED,
+
+  // Support
+  ACTIONS.ADMIN_ACCOUNT_UNLOCKED,
+];
+
+/**
+ * Build the Prisma where clause for an audit search.
+ *
+ * @param {object} filters - See searchAuditEvents
+ * @returns {object} Prisma where clause
+ */
+function buildAuditWhere(filters) {
+  const { parentId, adminId, action, actions, severity, resourceType, requestId, from, to } = filters;
+  const where = {};
+
+  if (parentId !== undefined) {
+    where.OR = [
+      { userId: parentId },
+      { resourceType: RESOURCE_TYPES.PARENT, resourceId: parentId },
+    ];
+  }
+  if (adminId !== undefined) {
+    where.adminId = adminId;
+  }
+  if (action) {
+    where.action = action;
+  } else if (actions) {
+    where.action = { in: actions };
+  }
+  if (severity) {
+    where.severity = severity;
+  }
+  if (resourceType) {
+    where.resourceType = resourceType;
+  }
+  if (requestId) {
+    where.requestId = requestId;
+  }
+  if (from || to) {
+    where.timestamp = {
+      ...(from ? { gte: from } : {}),
+      ...(to ? { lte: to } : {}),
+    };
   }
-  */
 
-  // ---- Future: Store in database ----
-  // Example - Save to auditLog table:
-  /*
-  await prisma.auditLog.create({
-    data: auditEntry,
+  // Archived rows only while restored (sealed rows have no event fields)
+  where.sealedAt = null;
+
+  return where;
+}
+
+/**
+ * Search the audit_logs table, newest first, one page at a time.
+ *
+ * Only entries written by the database sink are returned (nothing if
+ * AUDIT_SINKS leaves it out, only HIGH and up for database:HIGH), and
+ * only while they are in the table: rows past their retention are
+ * archived and come back only when the archive is restored.
+ *
+ * Pagination:
+ *   Pass the nextCursor of one page as the cursor of the next; it is
+ *   null on the last page. Rows written after the first page was read
+ *   don't shift later pages (they sort before the cursor).
+ *
+ * @param {object} [filters]
+ * @param {integer} [filters.parentId] - Events by or about this parent
+ *                                       (userId, or a PARENT resource)
+ * @param {integer} [filters.adminId] - Events performed by this admin
+ * @param {string} [filters.action] - One of ACTIONS
+ * @param {string[]} [filters.actions] - Any of these ACTIONS (ignored with action)
+ * @param {string} [filters.severity] - One of SEVERITY
+ * @param {string} [filters.resourceType] - One of RESOURCE_TYPES
+ * @param {string} [filters.requestId] - Events written by this API request
+ * @param {Date} [filters.from] - Events at or after this time
+ * @param {Date} [filters.to] - Events at or before this time
+ * @param {object} [page]
+ * @param {integer} [page.cursor] - id of the last event of the previous page
+ * @param {integer} [page.limit=50] - Maximum entries returned
+ * @returns {Promise<object>} { events: audit_logs rows, nextCursor: number | null }
+ */
+async function searchAuditEvents(filters = {}, { cursor, limit = 50 } = {}) {
+  // Fetch one extra row to know whether another page exists
+  const rows = await prisma.auditLog.findMany({
+    where: buildAuditWhere(filters),
+    orderBy: { id: 'desc' },
+    take: limit + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
   });
-  */
 
-  return auditEntry;
+  const hasMore = rows.length > limit;
+  const events = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    events,
+    nextCursor: hasMore ? events[events.length - 1].id : null,
+  };
+}
+
+/**
+ * A parent's own security activity, newest first.
+ *
+ * Scope:
+ *   - Events the parent performed (userId)
+ *   - Events about their account (PARENT or AUTH resource with their ID:
+ *     failed sign-ins and lockouts happen before anyone is authenticated)
+ *   - Events about their own children (CHILD resource), including
+ *     deactivated ones
+ *   limited to ACCOUNT_ACTIVITY_ACTIONS.
+ *
+ * Security:
+ *   - details are never returned (they can hold other people's email
+ *     addresses and internal reason codes)
+ *   - adminId is never returned; IP and device are blanked on events
+ *     performed by someone else (a guardian, support staff)
+ *
+ * @param {integer} parentId - Parent whose activity to read
+ * @param {object} [page]
+ * @param {integer} [page.cursor] - nextCursor of the previous page
+ * @param {integer} [page.limit=20] - 1-100
+ * @returns {Promise<object>} { events, nextCursor }
+ */
+async function getAccountActivity(parentId, { cursor, limit = DEFAULT_ACTIVITY_PAGE_SIZE } = {}) {
+  // ---- Step 1: The parent's children ----
+  const children = await prisma.child.findMany({
+    where: { parentId },
+    select: { id: true },
+  });
+  const childIds = children.map((child) => child.id);
+
+  // ---- Step 2: Read one page ----
+  const take = Math.min(Math.max(limit, 1), MAX_ACTIVITY_PAGE_SIZE);
+  const rows = await prisma.auditLog.findMany({
+    where: {
+      action: { in: ACCOUNT_ACTIVITY_ACTIONS },
+      sealedAt: null,
+      OR: [
+        { userId: parentId },
+        { resourceType: { in: [RESOURCE_TYPES.PARENT, RESOURCE_TYPES.AUTH] }, resourceId: parentId },
+        ...(childIds.length > 0 ? [{ resourceType: RESOURCE_TYPES.CHILD, resourceId: { in: childIds } }] : []),
+      ],
+    },
+    orderBy: { id: 'desc' },
+    take: take + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+  });
+
+  const hasMore = rows.length > take;
+  const page = hasMore ? rows.slice(0, take) : rows;
+
+  // ---- Step 3: Project to what the parent may see ----
+  const events = page.map((row) => {
+    const byOtherUser = row.adminId !== null || (row.userId !== null && row.userId !== parentId);
+
+    return {
+      id: row.id,
+      timestamp: row.timestamp,
+      action: row.action,
+      severity: row.severity,
+      result: row.result,
+      resourceType: row.resourceType,
+      resourceId: row.resourceId,
+      byYou: row.userId === parentId,
+      ipAddress: byOtherUser ? null : row.ipAddress,
+      userAgent: byOtherUser ? null : row.userAgent,
+    };
+  });
+
+  return {
+    events,
+    nextCursor: hasMore ? page[page.length - 1].id : null,
+  };
+}
+
+/**
+ * Wait for entries still being delivered (database writes, webhook
+ * retries, ...). Call before disconnecting in scripts and on shutdown.
+ *
+ * @returns {Promise<void>}
+ */
+function flushAuditLog() {
+  return auditSinkService.flushAuditSinks();
+}
+
+// ============================================
+// EXPORTING THE AUDIT LOG
+// ============================================
+
+// Export file formats
+const AUDIT_EXPORT_FORMATS = {
+  CSV: 'csv',
+  NDJSON: 'ndjson',
+};
+
+// Content-Type of each export format
+const AUDIT_EXPORT_CONTENT_TYPES = {
+  [AUDIT_EXPORT_FORMATS.CSV]: 'text/csv; charset=utf-8',
+  [AUDIT_EXPORT_FORMATS.NDJSON]: 'application/x-ndjson; charset=utf-8',
+};
+
+// Columns of an export, in order. prevHash and hash are included so an
+// export can be checked against the chain (see auditChainService).
+const AUDIT_EXPORT_COLUMNS = [
+  'id',
+  'timestamp',
+  'action',
+  'severity',
+  'result',
+  'userId',
+  'adminId',
+  'resourceType',
+  'resourceId',
+  'ipAddress',
+  'userAgent',
+  'requestId',
+  'environment',
+  'details',
+  'prevHash',
+  'hash',
+];
+
+/**
+ * One CSV cell.
+ *
+ * Quotes values containing separators, and defuses values a spreadsheet
+ * would run as a formula (user agents are attacker-controlled).
+ *
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * First chunk of an export file (the CSV header row; nothing for NDJSON).
+ *
+ * @param {string} format - One of AUDIT_EXPORT_FORMATS
+ * @returns {string}
+ */
+function formatAuditExportHeader(format) {
+  return format === AUDIT_EXPORT_FORMATS.CSV ? `${AUDIT_EXPORT_COLUMNS.join(',')}\r\n` : '';
+}
+
+/**
+ * One audit_logs row as a line of an export file.
+ *
+ * @param {object} event - audit_logs row
+ * @param {string} format - One of AUDIT_EXPORT_FORMATS
+ * @returns {string} The line, including its line break
+ */
+function formatAuditExportRow(event, format) {
+  if (format === AUDIT_EXPORT_FORMATS.CSV) {
+    const cells = AUDIT_EXPORT_COLUMNS.map((column) =>
+      toCsvCell(column === 'details' ? JSON.stringify(event.details ?? {}) : event[column])
+    );
+    return `${cells.join(',')}\r\n`;
+  }
+
+  const record = {};
+  for (const column of AUDIT_EXPORT_COLUMNS) {
+    record[column] = event[column] ?? null;
+  }
+  return `${JSON.stringify(record)}\n`;
 }
 
 // ============================================
@@ -532,12 +920,15 @@ function logLoginSuccess(parentId, ipAddress, userAgent) {
  * @param {string} ipAddress - Client IP
  * @param {string} userAgent - Client user agent
  * @param {integer} failureCount - How many failures so far?
+ * @param {integer} [parentId] - Account attempted, when the email matched one
+ *                               (shows the attempt in that parent's activity)
  */
-function logLoginFailure(email, reason, ipAddress, userAgent, failureCount = 1) {
+function logLoginFailure(email, reason, ipAddress, userAgent, failureCount = 1, parentId = null) {
   return logAuditEvent({
     action: ACTIONS.LOGIN_FAILED,
     userId: null, // Not authenticated yet
     resourceType: RESOURCE_TYPES.AUTH,
+    resourceId: parentId,
     severity: failureCount >= 3 ? SEVERITY.HIGH : SEVERITY.MEDIUM,
     result: RESULT.FAILURE,
     ipAddress,
@@ -558,12 +949,14 @@ function logLoginFailure(email, reason, ipAddress, userAgent, failureCount = 1)
  * @param {integer} failureCount - Number of failures before lockout
  * @param {string} ipAddress - Client IP
  * @param {string} userAgent - Client user agent
+ * @param {integer} [parentId] - Locked account
  */
-function logAccountLockout(email, failureCount, ipAddress, userAgent) {
+function logAccountLockout(email, failureCount, ipAddress, userAgent, parentId = null) {
   return logAuditEvent({
     action: ACTIONS.LOGIN_ACCOUNT_LOCKED,
     userId: null,
     resourceType: RESOURCE_TYPES.AUTH,
+    resourceId: parentId,
     severity: SEVERITY.HIGH,
     result: RESULT.BLOCKED,
     ipAddress,
@@ -598,6 +991,34 @@ function logTokenRefreshSuccess(parentId, ipAddress) {
   });
 }
 
+/**
+ * Log replay of an already-rotated refresh token
+ *
+ * Reuse means the token chain is held by two parties (legitimate client
+ * and an attacker), so the whole session (token family) has been revoked.
+ *
+ * @param {integer} parentId - Owner of the session
+ * @param {string} sessionId - Revoked session (token family)
+ * @param {integer} revokedCount - Live tokens revoked as a result
+ * @param {string} ipAddress - Client IP
+ */
+function logRefreshTokenReuse(parentId, sessionId, revokedCount, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.REFRESH_TOKEN_REUSE_DETECTED,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.AUTH,
+    severity: SEVERITY.CRITICAL, // Strong signal of a stolen refresh token
+    result: RESULT.BLOCKED,
+    ipAddress,
+    details: {
+      parentId,
+      sessionId,
+      revokedCount,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
 /**
  * Log unauthorized access attempt
  *
@@ -673,6 +1094,172 @@ function logChildDeactivated(parentId, childId, childUsername) {
   });
 }
 
+/**
+ * Log wallet deposit (ledger credit to a child's wallet)
+ *
+ * @param {integer|null} parentId - Parent who initiated (null for system postings)
+ * @param {integer} walletId - Wallet credited
+ * @param {integer} transactionId - Ledger transaction ID
+ * @param {bigint} amount - Satoshis deposited
+ */
+function logWalletDeposit(parentId, walletId, transactionId, amount) {
+  return logAuditEvent({
+    action: ACTIONS.WALLET_DEPOSIT,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.WALLET,
+    resourceId: walletId,
+    severity: SEVERITY.MEDIUM,
+    result: RESULT.SUCCESS,
+    details: {
+      walletId,
+      transactionId,
+      amount: amount.toString(), // BigInt is not JSON-serializable
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log wallet withdrawal (ledger debit from a child's wallet)
+ *
+ * @param {integer|null} parentId - Parent who initiated (null for system postings)
+ * @param {integer} walletId - Wallet debited
+ * @param {integer} transactionId - Ledger transaction ID
+ * @param {bigint} amount - Satoshis withdrawn
+ */
+function logWalletWithdrawal(parentId, walletId, transactionId, amount) {
+  return logAuditEvent({
+    action: ACTIONS.WALLET_WITHDRAWAL,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.WALLET,
+    resourceId: walletId,
+    severity: SEVERITY.MEDIUM,
+    result: RESULT.SUCCESS,
+    details: {
+      walletId,
+      transactionId,
+      amount: amount.toString(),
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log wallet balance mismatch (cached balance disagrees with ledger)
+ *
+ * @param {integer} walletId - Wallet being reconciled
+ * @param {bigint} storedBalance - wallets.balance value
+ * @param {bigint} ledgerBalance - Balance derived from ledger entries
+ * @param {boolean} repaired - Whether the stored balance was corrected
+ */
+function logWalletBalanceMismatch(walletId, storedBalance, ledgerBalance, repaired) {
+  return logAuditEvent({
+    action: ACTIONS.WALLET_BALANCE_MISMATCH,
+    resourceType: RESOURCE_TYPES.WALLET,
+    resourceId: walletId,
+    severity: SEVERITY.HIGH, // Money out of sync with its history
+    result: repaired ? RESULT.SUCCESS : RESULT.FAILURE,
+    details: {
+      walletId,
+      storedBalance: storedBalance.toString(),
+      ledgerBalance: ledgerBalance.toString(),
+      repaired,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log the start of an M-Pesa deposit (STK push sent to the parent's phone)
+ *
+ * @param {integer} parentId - Parent who started the deposit
+ * @param {object} intent - PaymentIntent
+ * @param {string} maskedPhone - Number the push went to, masked
+ * @param {string} ipAddress - Client IP
+ */
+function logPaymentInitiated(parentId, intent, maskedPhone, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.PAYMENT_INITIATED,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.WALLET,
+    resourceId: intent.walletId,
+    severity: SEVERITY.LOW,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      paymentIntentId: intent.id,
+      reference: intent.reference,
+      provider: intent.provider,
+      amountKes: intent.amountKes,
+      amountSats: intent.amountSats.toString(),
+      phoneNumber: maskedPhone,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log the result of an M-Pesa deposit: PAYMENT_SUCCEEDED (wallet
+ * credited) or PAYMENT_FAILED (failed, cancelled on the phone, or the STK
+ * push itself was refused)
+ *
+ * @param {object} intent - PaymentIntent after the update
+ */
+function logPaymentCompleted(intent) {
+  const succeeded = intent.status === 'SUCCEEDED';
+
+  return logAuditEvent({
+    action: succeeded ? ACTIONS.PAYMENT_SUCCEEDED : ACTIONS.PAYMENT_FAILED,
+    userId: intent.initiatedById, // Callbacks have no signed-in user
+    resourceType: RESOURCE_TYPES.WALLET,
+    resourceId: intent.walletId,
+    severity: succeeded ? SEVERITY.MEDIUM : SEVERITY.LOW,
+    result: succeeded ? RESULT.SUCCESS : RESULT.FAILURE,
+    details: {
+      paymentIntentId: intent.id,
+      reference: intent.reference,
+      status: intent.status,
+      amountKes: intent.amountKes,
+      amountSats: intent.amountSats.toString(),
+      resultCode: intent.resultCode,
+      resultDesc: intent.resultDesc,
+      mpesaReceiptNumber: intent.mpesaReceiptNumber,
+      transactionId: intent.transactionId,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log an M-Pesa callback that was refused or couldn't be applied
+ *
+ * CRITICAL when M-Pesa reports money as paid that wasn't credited (amount
+ * mismatch, receipt already used): needs manual reconciliation.
+ *
+ * @param {string} reason - IP_NOT_ALLOWED, BAD_SIGNATURE, MALFORMED,
+ *                          UNKNOWN_REFERENCE, CHECKOUT_MISMATCH,
+ *                          AMOUNT_MISMATCH, DUPLICATE_RECEIPT
+ * @param {object} details - What is known (reference, intent, receipt...)
+ * @param {string} ipAddress - Caller IP
+ * @param {boolean} [paid=false] - Whether the callback reported a payment
+ */
+function logPaymentCallbackRejected(reason, details, ipAddress, paid = false) {
+  return logAuditEvent({
+    action: ACTIONS.PAYMENT_CALLBACK_REJECTED,
+    userId: details.initiatedById || null,
+    resourceType: RESOURCE_TYPES.WALLET,
+    resourceId: details.walletId || null,
+    severity: paid ? SEVERITY.CRITICAL : SEVERITY.HIGH,
+    result: RESULT.BLOCKED,
+    ipAddress,
+    details: {
+      reason,
+      ...details,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
 /**
  * Log encryption failure (data protection issue)
  *
@@ -722,6 +1309,97 @@ function logDecryptionFailure(fieldType, error) {
   });
 }
 
+/**
+ * Log a re-encryption run starting (key rotation)
+ *
+ * @param {string} activeKey - Key values are moved to ("v2", "kms:<master key id>")
+ * @param {object[]} pending - [{ column, pending }] values on other keys
+ */
+function logReencryptionStarted(activeKey, pending) {
+  return logAuditEvent({
+    action: ACTIONS.REENCRYPTION_STARTED,
+    resourceType: RESOURCE_TYPES.ENCRYPTION,
+    severity: SEVERITY.MEDIUM,
+    result: RESULT.SUCCESS,
+    details: {
+      activeKey,
+      pending,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a re-encryption run finishing (FAILURE if any value couldn't be moved)
+ *
+ * @param {string} activeKey - Key values were moved to ("v2", "kms:<master key id>")
+ * @param {object[]} columns - Per-column summary (see keyRotationService.reencryptAll)
+ * @param {boolean} complete - false if the run stopped early
+ */
+function logReencryptionCompleted(activeKey, columns, complete) {
+  const failed = columns.some((column) => column.failed > 0);
+
+  return logAuditEvent({
+    action: ACTIONS.REENCRYPTION_COMPLETED,
+    resourceType: RESOURCE_TYPES.ENCRYPTION,
+    severity: failed || !complete ? SEVERITY.HIGH : SEVERITY.MEDIUM,
+    result: failed || !complete ? RESULT.FAILURE : RESULT.SUCCESS,
+    details: {
+      activeKey,
+      complete,
+      columns,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a blind index rebuild (FAILURE if any row couldn't be indexed)
+ *
+ * @param {string} column - Indexed column ("parent.phoneNumber")
+ * @param {object} summary - { total, indexed, unchanged, conflicts, failed, conflictIds, failedIds }
+ * @param {boolean} complete - false if the run stopped early
+ */
+function logBlindIndexRebuilt(column, summary, complete) {
+  const failed = summary.conflicts > 0 || summary.failed > 0;
+
+  return logAuditEvent({
+    action: ACTIONS.BLIND_INDEX_REBUILT,
+    resourceType: RESOURCE_TYPES.ENCRYPTION,
+    severity: failed || !complete ? SEVERITY.HIGH : SEVERITY.MEDIUM,
+    result: failed || !complete ? RESULT.FAILURE : RESULT.SUCCESS,
+    details: {
+      column,
+      complete,
+      ...summary,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a run encrypting values stored before their column was encrypted
+ * (FAILURE if any value couldn't be encrypted)
+ *
+ * @param {object[]} columns - Per-column summary (see keyRotationService.encryptPlaintextValues)
+ * @param {boolean} complete - false if the run stopped early
+ */
+function logPlaintextEncrypted(columns, complete) {
+  const failed = columns.some((column) => column.failed > 0);
+
+  return logAuditEvent({
+    action: ACTIONS.PLAINTEXT_ENCRYPTED,
+    resourceType: RESOURCE_TYPES.ENCRYPTION,
+    severity: failed || !complete ? SEVERITY.HIGH : SEVERITY.MEDIUM,
+    result: failed || !complete ? RESULT.FAILURE : RESULT.SUCCESS,
+    details: {
+      complete,
+      columns,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
 /**
  * Log logout
  *
@@ -744,54 +1422,1152 @@ function logLogoutSuccess(parentId, ipAddress) {
 }
 
 /**
- * Log role check failure (authorization failure)
+ * Log remote sign-out of one or more sessions
  *
- * @param {integer} parentId - User attempting action
- * @param {string} requiredRole - What role was required (PARENT, ADMIN, etc.)
- * @param {string} userRole - What role they actually have
+ * @param {integer} parentId - Parent who revoked the sessions
+ * @param {string[]} sessionIds - Sessions that were revoked
+ * @param {string} currentSessionId - Session the request came from
  * @param {string} ipAddress - Client IP
  */
-function logRoleCheckFailed(parentId, requiredRole, userRole, ipAddress) {
+function logSessionRevoked(parentId, sessionIds, currentSessionId, ipAddress) {
   return logAuditEvent({
-    action: ACTIONS.ROLE_CHECK_FAILED,
+    action: ACTIONS.SESSION_REVOKED,
     userId: parentId,
     resourceType: RESOURCE_TYPES.AUTH,
-    severity: SEVERITY.HIGH, // Authorization failure is concerning
-    result: RESULT.BLOCKED,
+    severity: SEVERITY.MEDIUM,
+    result: RESULT.SUCCESS,
     ipAddress,
     details: {
       parentId,
-      requiredRole,
-      userRole,
+      sessionIds,
+      revokedCount: sessionIds.length,
+      currentSessionId,
       timestamp: new Date().toISOString(),
     },
   });
 }
 
-// ============================================
-// EXPORTS
-// ============================================
-
-module.exports = {
-  // Main logging function
-  logAuditEvent,
+/**
+ * Log a "forgot password" request
+ *
+ * Logged whether or not the email belongs to an account, so the audit
+ * trail shows enumeration attempts (the API response never does).
+ *
+ * @param {integer|null} parentId - Matching parent (null if email unknown)
+ * @param {string} email - Email the reset was requested for
+ * @param {string} ipAddress - Client IP
+ */
+function logPasswordResetRequested(parentId, email, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.PASSWORD_RESET_REQUESTED,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.AUTH,
+    severity: SEVERITY.MEDIUM,
+    result: parentId ? RESULT.SUCCESS : RESULT.FAILURE,
+    ipAddress,
+    details: {
+      email,
+      reason: parentId ? undefined : 'EMAIL_NOT_FOUND',
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a rejected password reset (unknown, expired or used token)
+ *
+ * @param {string} reason - INVALID_RESET_TOKEN
+ * @param {string} ipAddress - Client IP
+ */
+function logPasswordResetFailed(reason, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.PASSWORD_RESET_FAILED,
+    resourceType: RESOURCE_TYPES.AUTH,
+    severity: SEVERITY.HIGH, // Repeated failures suggest token guessing
+    result: RESULT.FAILURE,
+    ipAddress,
+    details: {
+      reason,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a password change
+ *
+ * @param {integer} parentId - Parent whose password changed
+ * @param {string} method - RESET (forgot-password link) or CHANGE (signed in)
+ * @param {integer} revokedSessionCount - Sessions ended as a result
+ * @param {string} ipAddress - Client IP
+ */
+function logPasswordChanged(parentId, method, revokedSessionCount, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.PASSWORD_CHANGED,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.PARENT,
+    resourceId: parentId,
+    severity: SEVERITY.HIGH, // Credential change: worth reviewing
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      parentId,
+      method,
+      revokedSessionCount,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log an email verification link being sent
+ *
+ * @param {integer} parentId - Parent the link was sent to
+ * @param {string} email - Address being verified
+ * @param {string} ipAddress - Client IP
+ */
+function logEmailVerificationSent(parentId, email, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.EMAIL_VERIFICATION_SENT,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.PARENT,
+    resourceId: parentId,
+    severity: SEVERITY.LOW,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      email,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a successful email verification
+ *
+ * @param {integer} parentId - Parent who verified
+ * @param {string} email - Verified address
+ * @param {string} ipAddress - Client IP
+ */
+function logEmailVerified(parentId, email, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.EMAIL_VERIFIED,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.PARENT,
+    resourceId: parentId,
+    severity: SEVERITY.MEDIUM,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      email,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a rejected email verification (unknown, expired, used or stale token)
+ *
+ * @param {string} reason - INVALID_VERIFICATION_TOKEN
+ * @param {string} ipAddress - Client IP
+ */
+function logEmailVerificationFailed(reason, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.EMAIL_VERIFICATION_FAILED,
+    resourceType: RESOURCE_TYPES.AUTH,
+    severity: SEVERITY.MEDIUM,
+    result: RESULT.FAILURE,
+    ipAddress,
+    details: {
+      reason,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a phone verification code being sent
+ *
+ * @param {integer} parentId - Parent the code was sent to
+ * @param {string} maskedPhoneNumber - e.g. +2547******78 (never the full number)
+ * @param {string} ipAddress - Client IP
+ */
+function logPhoneVerificationSent(parentId, maskedPhoneNumber, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.PHONE_VERIFICATION_SENT,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.PARENT,
+    resourceId: parentId,
+    severity: SEVERITY.LOW,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      phoneNumber: maskedPhoneNumber,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a successful phone verification
+ *
+ * @param {integer} parentId - Parent who verified
+ * @param {string} ipAddress - Client IP
+ */
+function logPhoneVerified(parentId, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.PHONE_VERIFIED,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.PARENT,
+    resourceId: parentId,
+    severity: SEVERITY.MEDIUM,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a rejected phone verification code
+ *
+ * @param {integer} parentId - Parent submitting the code
+ * @param {string} reason - INVALID_OTP, OTP_EXPIRED or OTP_ATTEMPTS_EXCEEDED
+ * @param {string} ipAddress - Client IP
+ */
+function logPhoneVerificationFailed(parentId, reason, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.PHONE_VERIFICATION_FAILED,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.PARENT,
+    resourceId: parentId,
+    // Exhausting the guesses looks like someone brute-forcing the code
+    severity: reason === 'OTP_ATTEMPTS_EXCEEDED' ? SEVERITY.HIGH : SEVERITY.MEDIUM,
+    result: reason === 'OTP_ATTEMPTS_EXCEEDED' ? RESULT.BLOCKED : RESULT.FAILURE,
+    ipAddress,
+    details: {
+      reason,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a parent changing their own profile
+ *
+ * @param {integer} parentId - Parent who changed their profile
+ * @param {string[]} fields - Changed fields (fullName, phoneNumber)
+ * @param {string|null} maskedPhoneNumber - New number, e.g. +2547******78 (never the full number); null if unchanged
+ * @param {string} ipAddress - Client IP
+ */
+function logParentProfileUpdated(parentId, fields, maskedPhoneNumber, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.PARENT_PROFILE_UPDATED,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.PARENT,
+    resourceId: parentId,
+    // A new phone number redirects M-Pesa payments: worth reviewing
+    severity: maskedPhoneNumber ? SEVERITY.HIGH : SEVERITY.LOW,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      fields,
+      ...(maskedPhoneNumber && { phoneNumber: maskedPhoneNumber }),
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a password check that passed but still needs a second factor
+ *
+ * @param {integer} parentId - Parent logging in
+ * @param {string} ipAddress - Client IP
+ */
+function logMfaChallengeIssued(parentId, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.MFA_CHALLENGE_ISSUED,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.AUTH,
+    severity: SEVERITY.LOW,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log two-factor authentication being turned on
+ *
+ * @param {integer} parentId - Parent who enabled it
+ * @param {string} ipAddress - Client IP
+ */
+function logMfaEnabled(parentId, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.MFA_ENABLED,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.PARENT,
+    resourceId: parentId,
+    severity: SEVERITY.MEDIUM,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      method: 'TOTP',
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log two-factor authentication being turned off
+ *
+ * @param {integer} parentId - Parent who disabled it
+ * @param {string} method - Second factor used to authorize it (TOTP, RECOVERY_CODE)
+ * @param {string} ipAddress - Client IP
+ */
+function logMfaDisabled(parentId, method, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.MFA_DISABLED,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.PARENT,
+    resourceId: parentId,
+    severity: SEVERITY.HIGH, // Account protection reduced: worth reviewing
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      method,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a rejected second factor (TOTP or recovery code)
+ *
+ * @param {integer} parentId - Parent the code was checked for
+ * @param {string} method - TOTP or RECOVERY_CODE
+ * @param {string} purpose - LOGIN, DISABLE, REGENERATE_RECOVERY_CODES
+ * @param {string} ipAddress - Client IP
+ */
+function logMfaVerificationFailed(parentId, method, purpose, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.MFA_VERIFICATION_FAILED,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.AUTH,
+    severity: SEVERITY.HIGH, // The password was already correct at this point
+    result: RESULT.FAILURE,
+    ipAddress,
+    details: {
+      method,
+      purpose,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a recovery code being redeemed
+ *
+ * @param {integer} parentId - Parent who used it
+ * @param {number} remaining - Unused recovery codes left
+ * @param {string} ipAddress - Client IP
+ */
+function logMfaRecoveryCodeUsed(parentId, remaining, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.MFA_RECOVERY_CODE_USED,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.AUTH,
+    severity: SEVERITY.MEDIUM,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      remaining,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log recovery codes being replaced
+ *
+ * @param {integer} parentId - Parent who regenerated them
+ * @param {string} ipAddress - Client IP
+ */
+function logMfaRecoveryCodesRegenerated(parentId, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.MFA_RECOVERY_CODES_REGENERATED,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.PARENT,
+    resourceId: parentId,
+    severity: SEVERITY.MEDIUM,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a request blocked because the parent's email is not verified
+ *
+ * @param {integer} parentId - Parent making the request
+ * @param {string} endpoint - "METHOD /path" that was blocked
+ * @param {string} ipAddress - Client IP
+ */
+function logEmailVerificationRequired(parentId, endpoint, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.EMAIL_VERIFICATION_REQUIRED,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.AUTH,
+    severity: SEVERITY.LOW, // Expected for new accounts; not an attack signal
+    result: RESULT.BLOCKED,
+    ipAddress,
+    details: {
+      endpoint,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log role check failure (authorization failure)
+ *
+ * @param {integer} parentId - User attempting action
+ * @param {string} requiredRole - What role was required (PARENT, ADMIN, etc.)
+ * @param {string} userRole - What role they actually have
+ * @param {string} ipAddress - Client IP
+ */
+function logRoleCheckFailed(parentId, requiredRole, userRole, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.ROLE_CHECK_FAILED,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.AUTH,
+    severity: SEVERITY.HIGH, // Authorization failure is concerning
+    result: RESULT.BLOCKED,
+    ipAddress,
+    details: {
+      parentId,
+      requiredRole,
+      userRole,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a failed permission check (authorizePermissions middleware)
+ *
+ * Admins are recorded in adminId, everyone else in userId.
+ *
+ * @param {integer} actorId - req.user.id
+ * @param {string} role - Token role
+ * @param {string[]} missingPermissions - Permissions the request lacked
+ * @param {object|null} resource - { scope, id } for resource-scoped checks
+ * @param {string} ipAddress - Client IP
+ */
+function logPermissionCheckFailed(actorId, role, missingPermissions, resource, ipAddress) {
+  const isAdmin = role === 'ADMIN';
+
+  return logAuditEvent({
+    action: ACTIONS.PERMISSION_CHECK_FAILED,
+    userId: isAdmin ? null : actorId,
+    adminId: isAdmin ? actorId : null,
+    resourceType: resource ? resource.scope : RESOURCE_TYPES.AUTH,
+    resourceId: resource ? resource.id : null,
+    severity: SEVERITY.HIGH,
+    result: RESULT.BLOCKED,
+    ipAddress,
+    details: {
+      role,
+      missingPermissions,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a parent setting (or resetting) a child's login PIN
+ *
+ * @param {integer} parentId - Parent who set it
+ * @param {integer} childId - Child whose PIN changed
+ * @param {integer} revokedSessionCount - Child sessions signed out as a result
+ * @param {string} ipAddress - Client IP
+ */
+function logChildPinSet(parentId, childId, revokedSessionCount, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.CHILD_PIN_SET,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.CHILD,
+    resourceId: childId,
+    severity: SEVERITY.MEDIUM,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      parentId,
+      childId,
+      revokedSessionCount,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log successful child login (username + PIN)
+ *
+ * @param {integer} childId - Child who logged in
+ * @param {integer} parentId - Owning parent
+ * @param {string} ipAddress - Client IP
+ */
+function logChildLoginSuccess(childId, parentId, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.CHILD_LOGIN_SUCCESS,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.CHILD,
+    resourceId: childId,
+    severity: SEVERITY.LOW,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      childId,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log failed child login attempt
+ *
+ * @param {string} username - Username attempted
+ * @param {string} reason - USERNAME_NOT_FOUND, LOGIN_DISABLED or INVALID_PIN
+ * @param {string} ipAddress - Client IP
+ * @param {integer} failureCount - Consecutive wrong PINs so far
+ */
+function logChildLoginFailure(username, reason, ipAddress, failureCount = 1) {
+  return logAuditEvent({
+    action: ACTIONS.CHILD_LOGIN_FAILED,
+    userId: null, // Not authenticated yet
+    resourceType: RESOURCE_TYPES.AUTH,
+    severity: failureCount >= 3 ? SEVERITY.HIGH : SEVERITY.MEDIUM,
+    result: RESULT.FAILURE,
+    ipAddress,
+    details: {
+      username,
+      reason,
+      failureCount,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log child login lockout (after too many wrong PINs)
+ *
+ * @param {integer} childId - Locked child
+ * @param {integer} parentId - Owning parent (can unlock by setting a new PIN)
+ * @param {integer} failureCount - Number of failures before lockout
+ * @param {integer} lockoutMinutes - How long the lock lasts
+ * @param {string} ipAddress - Client IP
+ */
+function logChildAccountLockout(childId, parentId, failureCount, lockoutMinutes, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.CHILD_LOGIN_LOCKED,
+    userId: null,
+    resourceType: RESOURCE_TYPES.CHILD,
+    resourceId: childId,
+    severity: SEVERITY.HIGH,
+    result: RESULT.BLOCKED,
+    ipAddress,
+    details: {
+      childId,
+      parentId,
+      failureCount,
+      lockDuration: `${lockoutMinutes} minutes`,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log child logout
+ *
+ * @param {integer} childId - Child logging out
+ * @param {integer} parentId - Owning parent
+ * @param {string} ipAddress - Client IP
+ */
+function logChildLogout(childId, parentId, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.CHILD_LOGOUT,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.CHILD,
+    resourceId: childId,
+    severity: SEVERITY.LOW,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      childId,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a parent inviting a guardian for one of their children
+ *
+ * @param {integer} parentId - Owning parent who sent the invitation
+ * @param {integer} childId - Child the invitation is for
+ * @param {integer} guardianshipId - Invitation ID
+ * @param {string} email - Invited address
+ * @param {object} permissions - { canDeposit, canApproveWithdrawals }
+ * @param {string} ipAddress - Client IP
+ */
+function logGuardianInvited(parentId, childId, guardianshipId, email, permissions, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.GUARDIAN_INVITED,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.CHILD,
+    resourceId: childId,
+    severity: SEVERITY.MEDIUM,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      guardianshipId,
+      email,
+      ...permissions,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a guardian accepting an invitation
+ *
+ * @param {integer} guardianId - Parent account that accepted
+ * @param {integer} childId - Child they now have access to
+ * @param {integer} guardianshipId - Invitation ID
+ * @param {string} ipAddress - Client IP
+ */
+function logGuardianInvitationAccepted(guardianId, childId, guardianshipId, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.GUARDIAN_INVITATION_ACCEPTED,
+    userId: guardianId,
+    resourceType: RESOURCE_TYPES.CHILD,
+    resourceId: childId,
+    severity: SEVERITY.MEDIUM, // Grants access to a child's data
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      guardianshipId,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log an invitee declining a guardian invitation
+ *
+ * @param {integer} childId - Child the invitation was for
+ * @param {integer} guardianshipId - Invitation ID
+ * @param {string} ipAddress - Client IP
+ */
+function logGuardianInvitationDeclined(childId, guardianshipId, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.GUARDIAN_INVITATION_DECLINED,
+    userId: null, // Declining needs no account
+    resourceType: RESOURCE_TYPES.CHILD,
+    resourceId: childId,
+    severity: SEVERITY.LOW,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      guardianshipId,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a rejected guardian invitation token (unknown, expired, used, or
+ * presented by the wrong account)
+ *
+ * @param {integer|null} parentId - Signed-in account, if any
+ * @param {string} reason - Error code
+ * @param {string} ipAddress - Client IP
+ */
+function logGuardianInvitationFailed(parentId, reason, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.GUARDIAN_INVITATION_FAILED,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.AUTH,
+    severity: SEVERITY.HIGH, // Possible token guessing or forwarded invitation
+    result: RESULT.FAILURE,
+    ipAddress,
+    details: {
+      reason,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a parent changing a guardian's permissions
+ *
+ * @param {integer} parentId - Owning parent
+ * @param {integer} childId - Child
+ * @param {integer} guardianshipId - Guardianship ID
+ * @param {object} permissions - New { canDeposit, canApproveWithdrawals }
+ * @param {string} ipAddress - Client IP
+ */
+function logGuardianPermissionsUpdated(parentId, childId, guardianshipId, permissions, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.GUARDIAN_PERMISSIONS_UPDATED,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.CHILD,
+    resourceId: childId,
+    severity: SEVERITY.MEDIUM,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      guardianshipId,
+      ...permissions,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a parent removing a guardian (or cancelling a pending invitation)
+ *
+ * @param {integer} parentId - Owning parent
+ * @param {integer} childId - Child
+ * @param {integer} guardianshipId - Guardianship ID
+ * @param {string} previousStatus - PENDING or ACCEPTED
+ * @param {string} ipAddress - Client IP
+ */
+function logGuardianRevoked(parentId, childId, guardianshipId, previousStatus, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.GUARDIAN_REVOKED,
+    userId: parentId,
+    resourceType: RESOURCE_TYPES.CHILD,
+    resourceId: childId,
+    severity: SEVERITY.MEDIUM,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      guardianshipId,
+      previousStatus,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log creation of an admin account (command line, npm run admin:create)
+ *
+ * @param {integer} adminId - New admin
+ */
+function logAdminCreated(adminId) {
+  return logAuditEvent({
+    action: ACTIONS.ADMIN_CREATED,
+    adminId,
+    resourceType: RESOURCE_TYPES.ADMIN,
+    resourceId: adminId,
+    severity: SEVERITY.HIGH,
+    result: RESULT.SUCCESS,
+    ipAddress: 'CLI',
+    details: {
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a completed admin login (password + authenticator code)
+ *
+ * @param {integer} adminId - Admin
+ * @param {string} ipAddress - Client IP
+ */
+function logAdminLoginSuccess(adminId, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.ADMIN_LOGIN_SUCCESS,
+    adminId,
+    resourceType: RESOURCE_TYPES.ADMIN,
+    resourceId: adminId,
+    severity: SEVERITY.MEDIUM,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log a failed admin login step
+ *
+ * @param {integer|null} adminId - Admin (null if the email is unknown)
+ * @param {string} reason - EMAIL_NOT_FOUND, ADMIN_INACTIVE, INVALID_PASSWORD or INVALID_MFA_CODE
+ * @param {string} ipAddress - Client IP
+ * @param {integer} [failureCount] - Consecutive failures so far
+ */
+function logAdminLoginFailure(adminId, reason, ipAddress, failureCount = null) {
+  return logAuditEvent({
+    action: ACTIONS.ADMIN_LOGIN_FAILED,
+    adminId,
+    resourceType: RESOURCE_TYPES.ADMIN,
+    resourceId: adminId,
+    severity: SEVERITY.HIGH,
+    result: RESULT.FAILURE,
+    ipAddress,
+    details: {
+      reason,
+      failureCount,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log an admin account locked after too many failed login steps
+ *
+ * @param {integer} adminId - Locked admin
+ * @param {integer} failureCount - Number of failures before lockout
+ * @param {integer} lockoutMinutes - How long the lock lasts
+ * @param {string} ipAddress - Client IP
+ */
+function logAdminAccountLockout(adminId, failureCount, lockoutMinutes, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.ADMIN_LOGIN_LOCKED,
+    adminId,
+    resourceType: RESOURCE_TYPES.ADMIN,
+    resourceId: adminId,
+    severity: SEVERITY.CRITICAL,
+    result: RESULT.BLOCKED,
+    ipAddress,
+    details: {
+      failureCount,
+      lockDuration: `${lockoutMinutes} minutes`,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log admin logout
+ *
+ * @param {integer} adminId - Admin
+ * @param {string} ipAddress - Client IP
+ */
+function logAdminLogout(adminId, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.ADMIN_LOGOUT,
+    adminId,
+    resourceType: RESOURCE_TYPES.ADMIN,
+    resourceId: adminId,
+    severity: SEVERITY.LOW,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log an admin searching parent accounts
+ *
+ * The search text itself is not logged (it is usually an email address).
+ *
+ * @param {integer} adminId - Admin
+ * @param {integer} resultCount - Parents returned
+ * @param {string} ipAddress - Client IP
+ */
+function logAdminParentsSearched(adminId, resultCount, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.ADMIN_PARENTS_SEARCHED,
+    adminId,
+    resourceType: RESOURCE_TYPES.PARENT,
+    severity: SEVERITY.LOW,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      resultCount,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log an admin opening a family (parent, children, wallets, guardians)
+ *
+ * @param {integer} adminId - Admin
+ * @param {integer} parentId - Parent viewed
+ * @param {string} ipAddress - Client IP
+ */
+function logAdminFamilyViewed(adminId, parentId, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.ADMIN_FAMILY_VIEWED,
+    adminId,
+    resourceType: RESOURCE_TYPES.PARENT,
+    resourceId: parentId,
+    severity: SEVERITY.MEDIUM,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log an admin lifting a login lockout
+ *
+ * @param {integer} adminId - Admin
+ * @param {string} resourceType - RESOURCE_TYPES.PARENT or RESOURCE_TYPES.CHILD
+ * @param {integer} resourceId - Parent or child unlocked
+ * @param {object} previous - { failedLoginAttempts, lockedUntil } before the unlock
+ * @param {string} ipAddress - Client IP
+ */
+function logAdminAccountUnlocked(adminId, resourceType, resourceId, previous, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.ADMIN_ACCOUNT_UNLOCKED,
+    adminId,
+    resourceType,
+    resourceId,
+    severity: SEVERITY.HIGH,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      previousFailedLoginAttempts: previous.failedLoginAttempts,
+      previousLockedUntil: previous.lockedUntil,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log an admin deactivating a parent account
+ *
+ * @param {integer} adminId - Admin
+ * @param {integer} parentId - Deactivated parent
+ * @param {string} reason - Reason given by the admin
+ * @param {integer} revokedSessionCount - Family sessions signed out
+ * @param {string} ipAddress - Client IP
+ */
+function logAdminParentDeactivated(adminId, parentId, reason, revokedSessionCount, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.ADMIN_PARENT_DEACTIVATED,
+    adminId,
+    resourceType: RESOURCE_TYPES.PARENT,
+    resourceId: parentId,
+    severity: SEVERITY.HIGH,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      reason,
+      revokedSessionCount,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log an admin reading the audit history
+ *
+ * @param {integer} adminId - Admin
+ * @param {object} filters - Filters applied (see searchAuditEvents)
+ * @param {integer} resultCount - Entries returned
+ * @param {string} ipAddress - Client IP
+ */
+function logAdminAuditViewed(adminId, filters, resultCount, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.ADMIN_AUDIT_VIEWED,
+    adminId,
+    resourceType: RESOURCE_TYPES.AUDIT_LOG,
+    severity: SEVERITY.LOW,
+    result: RESULT.SUCCESS,
+    ipAddress,
+    details: {
+      filters,
+      resultCount,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log an admin exporting the audit history (a bulk data export)
+ *
+ * @param {integer} adminId - Admin
+ * @param {object} filters - Filters applied (see searchAuditEvents)
+ * @param {string} format - One of AUDIT_EXPORT_FORMATS
+ * @param {integer} exportedCount - Entries written to the file
+ * @param {boolean} complete - false if the export stopped early (row cap or error)
+ * @param {string} ipAddress - Client IP
+ */
+function logAdminAuditExported(adminId, filters, format, exportedCount, complete, ipAddress) {
+  return logAuditEvent({
+    action: ACTIONS.ADMIN_AUDIT_EXPORTED,
+    adminId,
+    resourceType: RESOURCE_TYPES.AUDIT_LOG,
+    severity: SEVERITY.HIGH,
+    result: complete ? RESULT.SUCCESS : RESULT.FAILURE,
+    ipAddress,
+    details: {
+      filters,
+      format,
+      exportedCount,
+      complete,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log audit rows moving into an archive file (retention job)
+ *
+ * @param {object} archive - audit_log_archives row
+ */
+function logAuditLogArchived(archive) {
+  return logAuditEvent({
+    action: ACTIONS.AUDIT_LOG_ARCHIVED,
+    resourceType: RESOURCE_TYPES.AUDIT_LOG,
+    resourceId: archive.id,
+    severity: SEVERITY.MEDIUM,
+    result: RESULT.SUCCESS,
+    details: {
+      fileName: archive.fileName,
+      month: archive.month,
+      severity: archive.severity,
+      rowCount: archive.rowCount,
+      firstRowId: archive.firstRowId,
+      lastRowId: archive.lastRowId,
+      sha256: archive.sha256,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Log an admin restoring an archive into the audit_logs table
+ * (archived personal data becomes readable again)
+ *
+ * @param {integer} adminId - Admin who ran the restore
+ * @param {object} archive - audit_log_archives row
+ * @param {integer} restoredCount - Rows restored
+ * @param {Date} sealAfter - When the archival job seals them again
+ */
+function logAuditArchiveRestored(adminId, archive, restoredCount, sealAfter) {
+  return logAuditEvent({
+    action: ACTIONS.AUDIT_ARCHIVE_RESTORED,
+    adminId,
+    resourceType: RESOURCE_TYPES.AUDIT_LOG,
+    resourceId: archive.id,
+    severity: SEVERITY.HIGH,
+    result: RESULT.SUCCESS,
+    details: {
+      fileName: archive.fileName,
+      restoredCount,
+      sealAfter: sealAfter.toISOString(),
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  // Main logging function
+  logAuditEvent,
+
+  // Reading the audit log
+  searchAuditEvents,
+  getAccountActivity,
+  flushAuditLog,
+
+  // Exporting the audit log
+  formatAuditExportHeader,
+  formatAuditExportRow,
 
   // Convenience functions for common events
   logLoginSuccess,
   logLoginFailure,
   logAccountLockout,
   logTokenRefreshSuccess,
+  logRefreshTokenReuse,
   logUnauthorizedAccessAttempt,
   logChildCreated,
   logChildDeactivated,
+  logWalletDeposit,
+  logWalletWithdrawal,
+  logWalletBalanceMismatch,
+  logPaymentInitiated,
+  logPaymentCompleted,
+  logPaymentCallbackRejected,
   logEncryptionFailure,
   logDecryptionFailure,
+  logReencryptionStarted,
+  logReencryptionCompleted,
+  logBlindIndexRebuilt,
+  logPlaintextEncrypted,
   logLogoutSuccess,
+  logSessionRevoked,
+  logPasswordResetRequested,
+  logPasswordResetFailed,
+  logPasswordChanged,
+  logEmailVerificationSent,
+  logEmailVerified,
+  logEmailVerificationFailed,
+  logEmailVerificationRequired,
+  logPhoneVerificationSent,
+  logPhoneVerified,
+  logPhoneVerificationFailed,
+  logParentProfileUpdated,
+  logMfaChallengeIssued,
+  logMfaEnabled,
+  logMfaDisabled,
+  logMfaVerificationFailed,
+  logMfaRecoveryCodeUsed,
+  logMfaRecoveryCodesRegenerated,
   logRoleCheckFailed,
+  logPermissionCheckFailed,
+  logChildPinSet,
+  logChildLoginSuccess,
+  logChildLoginFailure,
+  logChildAccountLockout,
+  logChildLogout,
+  logGuardianInvited,
+  logGuardianInvitationAccepted,
+  logGuardianInvitationDeclined,
+  logGuardianInvitationFailed,
+  logGuardianPermissionsUpdated,
+  logGuardianRevoked,
+  logAdminCreated,
+  logAdminLoginSuccess,
+  logAdminLoginFailure,
+  logAdminAccountLockout,
+  logAdminLogout,
+  logAdminParentsSearched,
+  logAdminFamilyViewed,
+  logAdminAccountUnlocked,
+  logAdminParentDeactivated,
+  logAdminAuditViewed,
+  logAdminAuditExported,
+  logAuditLogArchived,
+  logAuditArchiveRestored,
 
   // Constants for use in application
   ACTIONS,
   SEVERITY,
   RESOURCE_TYPES,
   RESULT,
+  ACCOUNT_ACTIVITY_ACTIONS,
+  MAX_ACTIVITY_PAGE_SIZE,
+  AUDIT_EXPORT_FORMATS,
+  AUDIT_EXPORT_CONTENT_TYPES,
 };
@@ -0,0 +1,386 @@
+/**
+ * src/services/auditSinkService.js
+ *
+ * Where audit entries go: pluggable sinks, each with a minimum severity.
+ *
+ * Purpose:
+ *   - Deliver every entry built by auditService.logAuditEvent to the
+ *     configured sinks
+ *   - Route by severity, so CRITICAL events (tampering, cross-family
+ *     access attempts) can page someone while LOW events stay local
+ *   - Never let a failing sink reach the caller or the other sinks
+ *
+ * Architecture Pattern: Strategy (sink) + Service Layer
+ *   auditService.logAuditEvent → auditSinkService → sinks
+ *
+ * Configuration (AUDIT_SINKS):
+ *   Comma-separated name[:MIN_SEVERITY] (default LOW = everything):
+ *     AUDIT_SINKS=database,console:MEDIUM,webhook:CRITICAL
+ *
+ * Sinks:
+ *   A sink is any object with `async write(entry)` and optionally
+ *   `async flush()` (wait for writes in progress).
+ *     - database: hash-chained audit_logs table (auditChainService). The
+ *                 admin search, exports and activity feed read from it.
+ *     - console:  One JSON document per entry; HIGH on stderr via
+ *                 console.warn, CRITICAL via console.error
+ *     - file:     NDJSON under AUDIT_FILE_DIR, one file per UTC day, a new
+ *                 part (.1, .2, ...) once AUDIT_FILE_MAX_BYTES is reached
+ *     - webhook:  HTTPS POST of the entry to AUDIT_WEBHOOK_URL, signed
+ *                 with AUDIT_WEBHOOK_SECRET, retried with backoff
+ *   Others (Sentry, CloudWatch, ...) are added with registerAuditSink()
+ *   and listed in AUDIT_SINKS.
+ *
+ * Webhook Signature:
+ *   X-SatsBlox-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>
+ *   over "<t>.<raw body>". Receivers recompute it with the shared secret,
+ *   compare in constant time and reject stale t (replays).
+ *   X-SatsBlox-Delivery stays the same across retries of one entry, so
+ *   receivers can drop duplicates.
+ *
+ * Security Considerations:
+ *   - Entries never hold secrets (see auditService DATA PRIVACY), but do
+ *     hold IPs and IDs: audit files are owner-only (0600) and the
+ *     webhook should be HTTPS
+ *   - A failed delivery is printed in full on the console so the event
+ *     can still be recovered from the server logs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const env = require('../config/env');
+const auditChainService = require('./auditChainService');
+
+// ============================================
+// Configuration Constants
+// ============================================
+
+// auditService.SEVERITY, least to most urgent
+const SEVERITY_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// Webhook retry backoff: 1s, 2s, 4s, ... plus up to 1s of jitter
+const WEBHOOK_BACKOFF_BASE_MS = 1000;
+
+// Webhook responses worth retrying (everything else 4xx is final)
+const WEBHOOK_RETRY_STATUSES = [408, 425, 429];
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Whether an entry is urgent enough for a sink.
+ *
+ * @param {string} severity - Entry severity
+ * @param {string} minSeverity - Sink's minimum
+ * @returns {boolean}
+ */
+function meetsSeverity(severity, minSeverity) {
+  return SEVERITY_LEVELS.indexOf(severity) >= SEVERITY_LEVELS.indexOf(minSeverity);
+}
+
+/**
+ * Track a promise until it settles (for flush()).
+ *
+ * @param {Set<Promise>} pending - In-flight set
+ * @param {Promise} promise - Work to track
+ * @returns {Promise} The same promise
+ */
+function track(pending, promise) {
+  const settled = promise.finally(() => pending.delete(settled));
+  pending.add(settled);
+  return settled;
+}
+
+/**
+ * Wait for every tracked promise, ignoring failures.
+ *
+ * @param {Set<Promise>} pending - In-flight set
+ * @returns {Promise<void>}
+ */
+async function settleAll(pending) {
+  await Promise.allSettled([...pending]);
+}
+
+// ============================================
+// Built-in Sinks
+// ============================================
+
+/**
+ * Hash-chained audit_logs table.
+ */
+const databaseSink = {
+  async write(entry) {
+    await auditChainService.appendAuditEntry(entry);
+  },
+
+  async flush() {
+    await auditChainService.flushAuditEntries();
+  },
+};
+
+/**
+ * One JSON document per entry on the console, louder for higher severity.
+ */
+const consoleSink = {
+  async write(entry) {
+    if (entry.severity === 'CRITICAL') {
+      // CRITICAL: Use console.error (highest visibility)
+      console.error('[AUDIT_CRITICAL]', JSON.stringify(entry, null, 2));
+    } else if (entry.severity === 'HIGH') {
+      // HIGH: Use console.warn
+      console.warn('[AUDIT_HIGH]', JSON.stringify(entry, null, 2));
+    } else {
+      // MEDIUM/LOW: Use console.log
+      console.log('[AUDIT]', JSON.stringify(entry));
+    }
+  },
+};
+
+/**
+ * Daily NDJSON files with size-based parts:
+ *   audit-2024-06-01.ndjson, audit-2024-06-01.1.ndjson, ...
+ *
+ * Writes go through one queue, so lines are never interleaved and the
+ * size check stays accurate.
+ */
+function createFileSink() {
+  let queue = Promise.resolve();
+  let current = null; // { day, part, size }
+
+  const fileName = (day, part) => `audit-${day}${part > 0 ? `.${part}` : ''}.ndjson`;
+
+  async function sizeOf(filePath) {
+    try {
+      return (await fs.promises.stat(filePath)).size;
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return 0;
+      }
+      throw err;
+    }
+  }
+
+  async function append(entry) {
+    const dir = path.resolve(env.auditFileDir);
+    const line = `${JSON.stringify(entry)}\n`;
+    const bytes = Buffer.byteLength(line);
+    const day = entry.timestamp.slice(0, 10);
+
+    // ---- Step 1: New day (or first write): pick up where the last run left off ----
+    if (!current || current.day !== day) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      current = { day, part: 0, size: await sizeOf(path.join(dir, fileName(day, 0))) };
+    }
+
+    // ---- Step 2: Rotate to the next part once this one is full ----
+    while (current.size > 0 && current.size + bytes > env.auditFileMaxBytes) {
+      current.part++;
+      current.size = await sizeOf(path.join(dir, fileName(day, current.part)));
+    }
+
+    // ---- Step 3: Append ----
+    await fs.promises.appendFile(path.join(dir, fileName(day, current.part)), line, { mode: 0o600 });
+    current.size += bytes;
+  }
+
+  return {
+    write(entry) {
+      const write = queue.then(() => append(entry));
+      queue = write.catch(() => {});
+      return write;
+    },
+
+    async flush() {
+      await queue;
+    },
+  };
+}
+
+/**
+ * Signed HTTPS POST per entry, retried with exponential backoff.
+ *
+ * Retries: network errors, timeouts, 408/425/429 and 5xx, up to
+ * AUDIT_WEBHOOK_MAX_ATTEMPTS attempts in total.
+ */
+function createWebhookSink() {
+  const pending = new Set();
+
+  function sign(body, timestamp) {
+    return crypto
+      .createHmac('sha256', env.auditWebhookSecret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+  }
+
+  async function deliver(entry) {
+    const body = JSON.stringify(entry);
+    const deliveryId = crypto.randomUUID();
+
+    for (let attempt = 1; ; attempt++) {
+      let response;
+      let failure;
+
+      // ---- Step 1: POST, signed afresh for every attempt ----
+      try {
+        const timestamp = Math.floor(Date.now() / 1000);
+        response = await fetch(env.auditWebhookUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'SatsBlox-Audit/1.0',
+            'X-SatsBlox-Delivery': deliveryId,
+            'X-SatsBlox-Event': entry.action,
+            'X-SatsBlox-Signature': `t=${timestamp},v1=${sign(body, timestamp)}`,
+          },
+          body,
+          signal: AbortSignal.timeout(env.auditWebhookTimeoutMs),
+        });
+      } catch (err) {
+        failure = err; // Network error or timeout: retry
+      }
+
+      // ---- Step 2: Done, give up, or retry ----
+      if (response) {
+        // The body isn't needed; release the connection
+        await response.body?.cancel().catch(() => {});
+
+        if (response.ok) {
+          return;
+        }
+
+        failure = new Error(`Webhook answered ${response.status}`);
+        if (response.status < 500 && !WEBHOOK_RETRY_STATUSES.includes(response.status)) {
+          throw failure; // Retrying won't help
+        }
+      }
+
+      // ---- Step 3: Back off ----
+      if (attempt >= env.auditWebhookMaxAttempts) {
+        failure.message = `${failure.message} (gave up after ${attempt} attempts)`;
+        throw failure;
+      }
+
+      const delay = WEBHOOK_BACKOFF_BASE_MS * 2 ** (attempt - 1) + Math.floor(Math.random() * WEBHOOK_BACKOFF_BASE_MS);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+
+  return {
+    write(entry) {
+      return track(pending, deliver(entry));
+    },
+
+    async flush() {
+      await settleAll(pending);
+    },
+  };
+}
+
+const sinks = new Map([
+  ['database', databaseSink],
+  ['console', consoleSink],
+  ['file', createFileSink()],
+  ['webhook', createWebhookSink()],
+]);
+
+// ============================================
+// Sink Registry
+// ============================================
+
+/**
+ * Register (or replace) a sink.
+ *
+ * @param {string} name - Name used in AUDIT_SINKS
+ * @param {object} sink - Object with async write(entry) and optional async flush()
+ *
+ * @example
+ * auditSinkService.registerAuditSink('sentry', {
+ *   async write(entry) { Sentry.captureMessage(entry.action, { level: 'warning', extra: entry }); },
+ *   async flush() { await Sentry.flush(2000); },
+ * });
+ */
+function registerAuditSink(name, sink) {
+  if (!sink || typeof sink.write !== 'function') {
+    throw new Error(`Audit sink "${name}" must implement write(entry)`);
+  }
+  sinks.set(name, sink);
+}
+
+/**
+ * Resolve a configured sink.
+ *
+ * @param {string} name - Name from AUDIT_SINKS
+ * @returns {object} Sink
+ * @throws {Error} with code 'AUDIT_SINK_NOT_CONFIGURED' if unknown
+ */
+function getAuditSink(name) {
+  const sink = sinks.get(name);
+
+  if (!sink) {
+    const error = new Error(`Unknown audit sink: ${name}`);
+    error.code = 'AUDIT_SINK_NOT_CONFIGURED';
+    throw error;
+  }
+
+  return sink;
+}
+
+// ============================================
+// Service Functions
+// ============================================
+
+/**
+ * Send an entry to every configured sink whose minimum it meets.
+ *
+ * Returns at once. Each sink runs independently; a failure is printed
+ * with the full entry and never thrown.
+ *
+ * @param {object} entry - Entry built by auditService.logAuditEvent
+ */
+function dispatchAuditEntry(entry) {
+  for (const { name, minSeverity } of env.auditSinks) {
+    if (!meetsSeverity(entry.severity, minSeverity)) {
+      continue;
+    }
+
+    Promise.resolve()
+      .then(() => getAuditSink(name).write(entry))
+      .catch((err) => {
+        // Keep the event: print it in full so it can be recovered from the logs
+        console.error(`[AUDIT] Sink "${name}" failed:`, err.message, JSON.stringify(entry));
+      });
+  }
+}
+
+/**
+ * Wait until every configured sink has finished what it was given
+ * (including webhook retries). Call before exiting.
+ *
+ * @returns {Promise<void>}
+ */
+async function flushAuditSinks() {
+  // Let dispatches queued in this tick reach their sinks first
+  await new Promise((resolve) => setImmediate(resolve));
+
+  await Promise.allSettled(
+    env.auditSinks.map(({ name }) => {
+      const sink = sinks.get(name);
+      return sink && typeof sink.flush === 'function' ? sink.flush() : undefined;
+    })
+  );
+}
+
+module.exports = {
+  // Sink registry
+  registerAuditSink,
+  getAuditSink,
+
+  // Delivery
+  dispatchAuditEntry,
+  flushAuditSinks,
+
+  // Constants
+  SEVERITY_LEVELS,
+};
@@ -14,17 +14,24 @@
  * 
  * This layer handles:
  *   - Password hashing and verification
+ *   - Child login (username + PIN set by the parent, role CHILD tokens)
  *   - JWT token generation and rotation
  *   - Database operations (create user, find user, update tokens)
  *   - Business rule validation and error handling
  */
 
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { prisma } = require('../config/db');
-const env = require('../config/env');
 const encryptionService = require('./encryptionService');
 const auditService = require('./auditService');
+const sessionService = require('./sessionService');
+const tokenDenylistService = require('./tokenDenylistService');
+const emailVerificationService = require('./emailVerificationService');
+const mfaService = require('./mfaService');
+const jwtKeyService = require('./jwtKeyService');
+const { normalizeKenyanPhone } = require('../utils/validators');
 
 // ============================================
 // Configuration Constants
@@ -52,6 +59,7 @@ const SALT_ROUNDS = 10;
  *   - Short-lived (7 minutes) reduces window if token is compromised
  *   - Requires refresh token to get new access token
  *   - Balances security with user experience (not too many refresh calls)
+ *   - Keep tokenDenylistService.ACCESS_TOKEN_MAX_AGE_SECONDS in step
  */
 const ACCESS_TOKEN_EXPIRY = '7m';
 
@@ -65,6 +73,27 @@ const ACCESS_TOKEN_EXPIRY = '7m';
  */
 const REFRESH_TOKEN_EXPIRY = '7d';
 
+/**
+ * Failed-login lockout policies.
+ * 
+ * After maxFailedAttempts consecutive failures the account is locked for
+ * lockoutMinutes. A successful login resets the counter.
+ *   - PARENT: wrong passwords and wrong second factors share one counter
+ *   - CHILD: wrong PINs. A 4-digit PIN has only 10,000 values, so the lock
+ *     lasts longer; the parent can lift it early by setting a new PIN.
+ *   - ADMIN: wrong passwords and wrong authenticator codes (adminService).
+ *     Fewer attempts and a longer lock: an admin account reaches every family.
+ * 
+ * An admin can lift a parent's or child's lock early (POST /api/admin/.../unlock).
+ */
+const LOCKOUT_POLICIES = {
+  PARENT: { maxFailedAttempts: 5, lockoutMinutes: 15 },
+  CHILD: { maxFailedAttempts: 5, lockoutMinutes: 30 },
+  ADMIN: { maxFailedAttempts: 3, lockoutMinutes: 60 },
+};
+
+const { REVOCATION_REASONS } = sessionService;
+
 // ============================================
 // Service Functions
 // ============================================
@@ -73,21 +102,25 @@ const REFRESH_TOKEN_EXPIRY = '7d';
  * Register a new parent account.
  * 
  * Workflow:
- *   1. Check if email already exists (prevent duplicates)
+ *   1. Check if email or phone number already exists (prevent duplicates;
+ *      the phone number through its blind index, one account per number)
  *   2. Hash password using bcrypt (never store plain text)
- *   3. Create parent record in database
- *   4. Generate access and refresh tokens
- *   5. Return tokens (parent is immediately logged in)
+ *   3. Create parent record in database (encrypted phone number + blind index)
+ *   4. Start a session and generate access and refresh tokens
+ *   5. Email a verification link (emailVerifiedAt stays null until used)
+ *   6. Return tokens (parent is immediately logged in; wallet-affecting
+ *      routes still require a verified email)
  * 
  * Error Handling:
  *   - Throws specific error types that controller can handle appropriately
  *   - Does not catch general errors (let controller decide HTTP response)
  * 
  * @param {object} userData - Registration data { fullName, email, password, phoneNumber }
+ * @param {object} [context] - Device details for the session { userAgent, ipAddress }
  * @returns {Promise<object>} { parent, accessToken, refreshToken }
- * @throws {Error} with code property for error type identification
+ * @throws {Error} with code 'EMAIL_EXISTS' or 'PHONE_EXISTS'
  */
-async function registerParent(userData) {
+async function registerParent(userData, context = {}) {
   const { fullName, email, password, phoneNumber } = userData;
 
   try {
@@ -103,48 +136,69 @@ async function registerParent(userData) {
       throw error;
     }
 
+    // The number is stored in E.164 form; its blind index finds it again
+    const normalizedPhoneNumber = normalizeKenyanPhone(phoneNumber);
+    const phoneNumberLookup = encryptionService.getPhoneNumberLookup(normalizedPhoneNumber);
+
+    await assertPhoneNumberAvailable(phoneNumberLookup);
+
     // ---- Step 2: Hash password ----
     // bcrypt.hash is async and takes time (by design, for security)
     // This prevents GPU/specialized hardware from accelerating brute-force attacks
     const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
 
     // ---- Step 3: Create parent record ----
-    // Encrypt the phone number before storage (AES-256-GCM field-level encryption)
-    const encryptedPhoneNumber = encryptionService.encryptField(
-      phoneNumber.trim(),
-      'PHONE'
-    );
+    // The phone number is encrypted on write, and its blind index set, by
+    // the client (ENCRYPTED_FIELDS in config/db.js)
+    let parent;
+    try {
+      parent = await prisma.parent.create({
+        data: {
+          fullName: fullName.trim(),
+          email: email.toLowerCase().trim(),
+          phoneNumber: normalizedPhoneNumber, // Stored encrypted
+          password: hashedPassword,
+          // Initialize rate-limiting fields to secure defaults
+          failedLoginAttempts: 0, // No failed attempts yet
+          lastFailedLoginAttempt: null,
+          lockedUntil: null,
+        },
+        select: {
+          id: true,
+          email: true,
+          fullName: true,
+          phoneNumber: true, // Encrypted in DB, decrypted on read
+          emailVerifiedAt: true, // null until the emailed link is used
+          phoneVerifiedAt: true, // null until an SMS code is confirmed
+          createdAt: true,
+          // Note: Intentionally excluding password and sensitive fields from response
+        },
+      });
+    } catch (err) {
+      // Concurrent registration with the same email or phone number
+      if (err.code === 'P2002') {
+        if (isPhoneNumberConflict(err)) {
+          throw phoneNumberExistsError();
+        }
+        const error = new Error('Email already registered');
+        error.code = 'EMAIL_EXISTS';
+        throw error;
+      }
+      throw err;
+    }
 
-    const parent = await prisma.parent.create({
-      data: {
-        fullName: fullName.trim(),
-        email: email.toLowerCase().trim(),
-        phoneNumber: encryptedPhoneNumber, // Store encrypted
-        password: hashedPassword,
-        // Initialize rate-limiting fields to secure defaults
-        failedLoginAttempts: 0, // No failed attempts yet
-        refreshToken: null, // No token until first login
-        lastFailedLoginAttempt: null,
-        lockedUntil: null,
-      },
-      select: {
-        id: true,
-        email: true,
-        fullName: true,
-        phoneNumber: true, // Will be encrypted in DB
-        createdAt: true,
-        // Note: Intentionally excluding password and sensitive fields from response
-      },
-    });
+    // ---- Step 4: Start a session and issue tokens ----
+    const { accessToken, refreshToken } = await startSession(parent.id, parent.email, context);
 
-    // Decrypt phone number for response (so client sees readable phone)
-    const decryptedParent = {
-      ...parent,
-      phoneNumber: encryptionService.decryptField(parent.phoneNumber, 'PHONE'),
-    };
-    const { accessToken, refreshToken } = generateTokens(parent.id, parent.email);
+    // ---- Step 5: Send email verification link ----
+    // Delivery problems must not fail registration; the parent can resend
+    try {
+      await emailVerificationService.sendVerificationEmail(parent, context);
+    } catch (mailErr) {
+      console.warn('[AUTH] Verification email failed during registration:', mailErr.message);
+    }
 
-    // ---- Step 5: Log successful registration (audit trail) ----
+    // ---- Step 6: Log successful registration (audit trail) ----
     // Note: Logging is informational, doesn't block registration if it fails
     try {
       auditService.logAuditEvent({
@@ -159,9 +213,9 @@ async function registerParent(userData) {
       // Don't throw - registration should succeed even if audit log fails
     }
 
-    // ---- Step 6: Return result ----
+    // ---- Step 7: Return result ----
     return {
-      parent: decryptedParent, // Return decrypted phone number
+      parent, // Phone number already decrypted by the client
       accessToken,
       refreshToken,
     };
@@ -180,9 +234,11 @@ async function registerParent(userData) {
  *   2. Check if account is locked (rate-limiting)
  *   3. Compare provided password with hashed password in database
  *   4. If mismatch: increment failed attempts and check if should lock
- *   5. If match: reset failed attempts and generate new tokens
- *   6. Store new refresh token in database
- *   7. Return tokens and parent data
+ *   5. If match and two-factor is enabled: return an MFA challenge token
+ *      (exchanged at /api/auth/login/mfa via completeMfaLogin)
+ *   6. Otherwise: reset failed attempts and generate new tokens
+ *   7. Create a session for this device and store the refresh token hash
+ *   8. Return tokens and parent data
  * 
  * Rate Limiting Strategy:
  *   - Track failed login attempts in database
@@ -200,16 +256,19 @@ async function registerParent(userData) {
  *     - Current approach: Simpler and adequate for MVP
  * 
  * Token Rotation:
- *   - Each login generates new refresh token
+ *   - Each login creates a new session (other devices stay signed in)
  *   - Reduces window if old token is compromised
- *   - Refresh token stored in database for logout/revocation support
+ *   - Refresh token hash stored in database for rotation/revocation support
  * 
  * @param {string} email - Parent's email address
  * @param {string} password - Parent's password (plain text)
- * @returns {Promise<object>} { parent, accessToken, refreshToken }
- * @throws {Error} with code 'INVALID_CREDENTIALS' or 'ACCOUNT_LOCKED' if auth fails
+ * @param {object} [context] - Device details for the session { deviceName, userAgent, ipAddress }
+ * @returns {Promise<object>} { parent, accessToken, refreshToken }, or
+ *                            { mfaRequired: true, mfaToken, expiresIn } for two-factor accounts
+ * @throws {Error} with code 'INVALID_CREDENTIALS', 'ACCOUNT_LOCKED' or
+ *                 'ACCOUNT_DEACTIVATED' if auth fails
  */
-async function loginParent(email, password) {
+async function loginParent(email, password, context = {}) {
   try {
     // ---- Step 1: Find parent by email ----
     const parent = await prisma.parent.findUnique({
@@ -221,11 +280,7 @@ async function loginParent(email, password) {
     if (!parent) {
       // Log failed login attempt (email not found)
       try {
-        auditService.logLoginFailure(
-          email,
-          'EMAIL_NOT_FOUND',
-          '' // IP will be added by middleware
-        );
+        auditService.logLoginFailure(email, 'EMAIL_NOT_FOUND', context.ipAddress, context.userAgent);
       } catch (logErr) {
         console.warn('[AUTH] Audit logging failed:', logErr.message);
       }
@@ -250,140 +305,142 @@ async function loginParent(email, password) {
     const isPasswordValid = await bcrypt.compare(password, parent.password);
 
     if (!isPasswordValid) {
-      // ---- Failed Login: Increment attempt counter ----
-      // Track consecutive failed attempts for rate-limiting
-      const updatedFailedAttempts = parent.failedLoginAttempts + 1;
-      
-      // Security threshold: lock after 5 failed attempts
-      const MAX_FAILED_ATTEMPTS = 5;
-      const LOCKOUT_MINUTES = 15;
-      
-      let lockoutData = {
-        failedLoginAttempts: updatedFailedAttempts,
-        lastFailedLoginAttempt: new Date(),
-      };
-
-      // If exceeded threshold, lock the account
-      if (updatedFailedAttempts >= MAX_FAILED_ATTEMPTS) {
-        lockoutData.lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
-
-        // Log account lockout event
-        try {
-          auditService.logAccountLockout(
-            email,
-            updatedFailedAttempts,
-            '' // IP will be added by middleware
-          );
-        } catch (logErr) {
-          console.warn('[AUTH] Audit logging failed for lockout:', logErr.message);
-        }
-      } else {
-        // Log failed login attempt (not yet locked)
-        try {
-          auditService.logLoginFailure(
-            email,
-            'INVALID_PASSWORD',
-            '' // IP will be added by middleware
-          );
-        } catch (logErr) {
-          console.warn('[AUTH] Audit logging failed:', logErr.message);
-        }
-      }
-
-      // Update database with failed attempt tracking
-      await prisma.parent.update({
-        where: { id: parent.id },
-        data: lockoutData,
-      });
+      // ---- Failed Login: Increment attempt counter (may lock the account) ----
+      await recordFailedLogin(parent, 'INVALID_PASSWORD');
 
       const error = new Error('Invalid credentials');
       error.code = 'INVALID_CREDENTIALS';
       throw error;
     }
 
+    // ---- Deactivated by an admin: told only once the password is right ----
+    assertParentActive(parent);
+
+    // ---- Two-Factor Accounts: Issue an MFA challenge instead of tokens ----
+    // Failed attempts are NOT reset yet: a caller who knows the password must
+    // not be able to guess authenticator codes without hitting the lockout
+    if (await mfaService.isMfaEnabled(parent.id)) {
+      try {
+        auditService.logMfaChallengeIssued(parent.id, context.ipAddress);
+      } catch (logErr) {
+        console.warn('[AUTH] Audit logging failed for MFA challenge:', logErr.message);
+      }
+
+      return {
+        mfaRequired: true,
+        ...(await mfaService.issueMfaChallenge(parent.id)),
+      };
+    }
+
     // ---- Successful Login: Reset failed attempts and generate tokens ----
-    // Reset security fields for successful authentication
-    const { accessToken, refreshToken } = generateTokens(parent.id, parent.email);
+    return await completeLogin(parent, context);
 
-    // Update parent: store refresh token and reset failed attempts
-    const updatedParent = await prisma.parent.update({
-      where: { id: parent.id },
-      data: {
-        refreshToken, // Store for logout/revocation support
-        failedLoginAttempts: 0, // Reset to 0 on successful login
-        lastFailedLoginAttempt: null, // Clear failed attempt timestamp
-        lockedUntil: null, // Unlock account (if was locked)
-      },
-      select: {
-        id: true,
-        email: true,
-        fullName: true,
-        phoneNumber: true,
-        createdAt: true,
-        // Intentionally exclude sensitive fields
-      },
-    });
+  } catch (err) {
+    throw err;
+  }
+}
 
-    // Decrypt phone number for response
-    const decryptedParent = {
-      ...updatedParent,
-      phoneNumber: encryptionService.decryptField(updatedParent.phoneNumber, 'PHONE'),
-    };
+/**
+ * Complete a two-factor login with an authenticator or recovery code.
+ * 
+ * Workflow:
+ *   1. Verify the MFA challenge token issued by loginParent, and count
+ *      the attempt against it (MFA_CHALLENGE_MAX_ATTEMPTS per token)
+ *   2. Check the account is not locked
+ *   3. Verify the second factor (TOTP code or one recovery code)
+ *   4. If wrong: count a failed login attempt (same lockout as passwords)
+ *   5. If right: mark the challenge used (one login per token), reset
+ *      failed attempts, start a session and issue tokens
+ * 
+ * @param {string} mfaToken - Challenge token returned by loginParent
+ * @param {object} factor - { code } or { recoveryCode }
+ * @param {object} [context] - Device details for the session { deviceName, userAgent, ipAddress }
+ * @returns {Promise<object>} { parent, accessToken, refreshToken }
+ * @throws {Error} with code 'INVALID_MFA_TOKEN', 'ACCOUNT_LOCKED', 'ACCOUNT_DEACTIVATED'
+ *                 or 'INVALID_MFA_CODE'
+ */
+async function completeMfaLogin(mfaToken, factor, context = {}) {
+  // ---- Step 1: Verify challenge token (and count this attempt) ----
+  const { parentId, challengeId } = await mfaService.verifyMfaChallenge(mfaToken);
 
-    // Log successful login
-    try {
-      auditService.logLoginSuccess(
-        parent.id,
-        email,
-        '' // IP will be added by middleware
-      );
-    } catch (logErr) {
-      console.warn('[AUTH] Audit logging failed for login success:', logErr.message);
-    }
+  const parent = await prisma.parent.findUnique({
+    where: { id: parentId },
+  });
 
-    return {
-      parent: decryptedParent,
-      accessToken,
-      refreshToken,
-    };
+  if (!parent) {
+    const error = new Error('Invalid or expired MFA challenge. Please log in again.');
+    error.code = 'INVALID_MFA_TOKEN';
+    throw error;
+  }
+
+  // ---- Step 2: Check if account is locked ----
+  if (parent.lockedUntil && parent.lockedUntil > new Date()) {
+    const error = new Error('Account temporarily locked due to too many failed login attempts. Please try again later.');
+    error.code = 'ACCOUNT_LOCKED';
+    error.lockedUntil = parent.lockedUntil;
+    throw error;
+  }
+
+  // Deactivated between the two login steps
+  assertParentActive(parent);
 
+  // ---- Step 3: Verify second factor ----
+  try {
+    await mfaService.verifySecondFactor(parent.id, factor, {
+      ipAddress: context.ipAddress,
+      purpose: 'LOGIN',
+    });
   } catch (err) {
+    // ---- Step 4: Wrong codes share the password lockout budget ----
+    if (err.code === 'INVALID_MFA_CODE') {
+      await recordFailedLogin(parent, 'INVALID_MFA_CODE');
+    }
+    // Two-factor was switched off after the challenge was issued
+    if (err.code === 'MFA_NOT_ENABLED') {
+      err.code = 'INVALID_MFA_TOKEN';
+    }
     throw err;
   }
+
+  // ---- Step 5: Successful login ----
+  await mfaService.redeemMfaChallenge(challengeId);
+  return completeLogin(parent, context);
 }
 
 /**
- * Refresh/rotate the access token using a valid refresh token.
+ * Rotate tokens using a valid refresh token.
  * 
  * Workflow:
- *   1. Verify the refresh token (check signature and expiration)
- *   2. Extract parent ID from token payload
- *   3. Verify parent still exists in database
- *   4. Generate new access token (short-lived)
- *   5. Optionally rotate refresh token (generate new one)
+ *   1. Verify the refresh token (check signature, expiration and typ)
+ *   2. Look up the stored token by hash
+ *   3. If it was already rotated: reuse detected → revoke family, reject
+ *   4. Issue new access + refresh token in the same session
+ *   5. Mark the presented token as rotated (single use), touch the session
  *   6. Return new tokens
  * 
  * Token Rotation Strategy:
- *   - Current: Issue new access token only (refresh token stays same)
- *   - Alternative: Issue both new access and refresh token (maximum security)
- *   - See commented "Option B" below for max-rotation strategy
+ *   - Every refresh returns a NEW refresh token; the presented one is dead
+ *   - Tokens from one login form a family: the login's Session
+ *   - Replaying a rotated token means the chain was copied, so the
+ *     session is revoked and that device must log in again
  * 
  * Security Considerations:
- *   - Prevents attackers from using stolen access token indefinitely
- *   - Limits damage if refresh token is compromised
- *   - Can implement blacklist to revoke tokens
+ *   - Only SHA-256 hashes are stored (a DB leak cannot be replayed)
+ *   - The presented token is claimed with a conditional update, so two
+ *     concurrent refreshes with the same token cannot both succeed
+ *   - Reuse is logged as a CRITICAL audit event
  * 
  * @param {string} refreshToken - JWT refresh token from client
  * @returns {Promise<object>} { accessToken, refreshToken }
- * @throws {Error} if token is invalid, expired, or parent not found
+ * @throws {Error} with code 'INVALID_TOKEN' or 'TOKEN_REUSE_DETECTED'
  */
 async function refreshAccessToken(refreshToken) {
   try {
-    // ---- Step 1: Verify token signature and expiration ----
-    // jwt.verify throws if token is invalid or expired
+    // ---- Step 1: Verify token signature, expiration and type ----
+    // verifyToken throws if token is invalid or expired
     let payload;
     try {
-      payload = jwt.verify(refreshToken, env.jwtSecret);
+      payload = jwtKeyService.verifyToken(refreshToken);
     } catch (err) {
       // Token verification failed (invalid signature, expired, etc.)
       const error = new Error('Invalid or expired refresh token');
@@ -391,53 +448,98 @@ async function refreshAccessToken(refreshToken) {
       throw error;
     }
 
-    // ---- Step 2: Extract parent ID from payload ----
-    const parentId = payload.id;
-    const parentEmail = payload.email;
+    // Access tokens (and tokens issued before the typ claim) can't refresh
+    if (payload.typ !== jwtKeyService.TOKEN_TYPES.REFRESH) {
+      const error = new Error('Invalid or expired refresh token');
+      error.code = 'INVALID_TOKEN';
+      throw error;
+    }
 
-    // ---- Step 3: Verify parent still exists ----
-    // Prevents issuing tokens for deleted accounts
-    const parent = await prisma.parent.findUnique({
-      where: { id: parentId },
-      select: { id: true, email: true, createdAt: true },
+    // ---- Step 2: Look up the stored token ----
+    // Unknown hash = never issued as a refresh token (e.g., an access token)
+    const storedToken = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(refreshToken) },
+      include: {
+        parent: { select: { id: true, email: true, isActive: true } },
+        // Set for a child's sign-in: new tokens are child tokens again
+        session: {
+          select: {
+            child: { select: { id: true, username: true, parentId: true, isActive: true } },
+          },
+        },
+      },
     });
 
-    if (!parent) {
-      const error = new Error('Parent account not found');
-      error.code = 'PARENT_NOT_FOUND';
+    if (!storedToken || storedToken.expiresAt <= new Date()) {
+      const error = new Error('Invalid or expired refresh token');
+      error.code = 'INVALID_TOKEN';
       throw error;
     }
 
-    // ---- Step 4 & 5: Generate new tokens ----
-    // Option A: Rotate only access token (current implementation)
-    const newAccessToken = jwt.sign(
-      { id: parent.id, email: parent.email },
-      env.jwtSecret,
-      { expiresIn: ACCESS_TOKEN_EXPIRY }
-    );
+    // ---- Step 3: Reuse detection ----
+    if (storedToken.replacedById !== null) {
+      throw await handleRefreshTokenReuse(storedToken);
+    }
 
-    // Option B: Maximum rotation (both tokens) - uncomment to implement
-    // const { accessToken: newAccessToken, refreshToken: newRefreshToken } = generateTokens(parent.id, parent.email);
-    // return { accessToken: newAccessToken, refreshToken: newRefreshToken };
+    const child = storedToken.session?.child || null;
 
-    // ---- Step 6: Log token refresh for audit trail ----
+    if (storedToken.revokedAt || !storedToken.parent.isActive || (child && !child.isActive)) {
+      // Revoked by logout or by an earlier family revocation, or the
+      // account was deactivated (its sessions are revoked at the same time)
+      const error = new Error('Invalid or expired refresh token');
+      error.code = 'INVALID_TOKEN';
+      throw error;
+    }
+
+    // ---- Step 4 & 5: Issue new tokens and retire the presented one ----
+    const { parent } = storedToken;
+    let tokens;
     try {
-      auditService.logAuditEvent({
-        action: auditService.ACTIONS.TOKEN_REFRESH,
-        severity: auditService.SEVERITY.LOW,
-        resourceType: auditService.RESOURCE_TYPES.PARENT,
-        resourceId: parent.id,
-        details: `New access token issued for ${parent.email}`,
+      tokens = await prisma.$transaction(async (tx) => {
+        const issued = await issueTokens(parent.id, parent.email, {
+          sessionId: storedToken.sessionId,
+          client: tx,
+          child,
+        });
+
+        // Conditional claim: fails if another request rotated it first
+        const { count } = await tx.refreshToken.updateMany({
+          where: { id: storedToken.id, revokedAt: null },
+          data: {
+            revokedAt: new Date(),
+            revokedReason: REVOCATION_REASONS.ROTATED,
+            replacedById: issued.refreshTokenId,
+          },
+        });
+
+        if (count === 0) {
+          const error = new Error('Refresh token already used');
+          error.code = 'TOKEN_REUSE_DETECTED';
+          throw error; // Rolls back the token issued above
+        }
+
+        await sessionService.touchSession(storedToken.sessionId, tx);
+
+        return issued;
       });
+    } catch (err) {
+      if (err.code === 'TOKEN_REUSE_DETECTED') {
+        throw await handleRefreshTokenReuse(storedToken);
+      }
+      throw err;
+    }
+
+    // ---- Step 6: Log token refresh for audit trail ----
+    try {
+      auditService.logTokenRefreshSuccess(parent.id);
     } catch (logErr) {
       console.warn('[AUTH] Audit logging failed for token refresh:', logErr.message);
       // Don't throw - token refresh should succeed even if audit log fails
     }
 
-    // ---- Return new access token ----
     return {
-      accessToken: newAccessToken,
-      refreshToken, // Reuse existing refresh token (Option A)
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
     };
 
   } catch (err) {
@@ -446,42 +548,42 @@ async function refreshAccessToken(refreshToken) {
 }
 
 /**
- * Logout a parent by invalidating their refresh token.
+ * Logout a parent from the current session (device).
  * 
  * Workflow:
- *   1. Find parent by ID
- *   2. Set their refreshToken to null (invalidates current token)
- *   3. Reset failed login attempts (clean slate for next login)
- *   4. Clear account lock (lockedUntil = null)
- *   5. Return confirmation
+ *   1. Reset failed login attempts and account lock (clean slate)
+ *   2. Revoke the session the access token belongs to (sid claim)
+ *   3. Denylist the presented access token (jti claim) until it expires
+ *   4. Return confirmation
+ * 
+ * Other devices stay signed in. Use sessionService.revokeOtherSessions
+ * (POST /api/auth/sessions/revoke-others) to sign them out.
  * 
  * Security Considerations:
- *   - Invalidates the stored refresh token so client can't use it again
+ *   - Revokes the session's refresh tokens so the client can't use them again
  *   - Even if old token is leaked, it's no longer valid after logout
- *   - IMPORTANT: Access token cannot be revoked (it's stateless)
- *     - Access tokens are short-lived (7 minutes) for this reason
- *     - After logout, client should discard access token
- *     - If access token is still valid, user could use it until expiration
  * 
  * Token Revocation Strategy:
- *   - Refresh Token: Stored in DB, can be revoked immediately ✓
- *   - Access Token: Stateless, cannot be revoked
- *     - Future enhancement: Implement token blacklist/denylist
- *     - For now: Client should clear token after logout
+ *   - Refresh Token: Hash stored in DB, can be revoked immediately ✓
+ *   - Access Token: Listed in tokenDenylistService until it expires ✓
+ *     (by jti, and every token of the session by sid)
+ * 
+ * Legacy Tokens:
+ *   - Access tokens issued before sessions existed carry no sid claim;
+ *     logging out with one revokes every session (previous behaviour)
  * 
  * @param {number} parentId - Parent's ID from JWT/database
+ * @param {string} [sessionId] - Session ID from the access token's sid claim
+ * @param {object} [accessToken] - Presented access token { tokenId (jti), expiresAt }
  * @returns {Promise<object>} { message: "Logout successful" }
  * @throws {Error} if parent not found
  */
-async function logoutParent(parentId) {
+async function logoutParent(parentId, sessionId, accessToken = {}) {
   try {
-    // ---- Step 1: Find parent and invalidate refresh token ----
-    // Set refreshToken to null so the old token can't be used
-    // Also reset security fields for clean slate
+    // ---- Step 1: Reset security fields for clean slate ----
     const parent = await prisma.parent.update({
       where: { id: parentId },
       data: {
-        refreshToken: null, // Invalidates current refresh token
         failedLoginAttempts: 0, // Reset failed attempts counter
         lastFailedLoginAttempt: null, // Clear failed attempt timestamp
         lockedUntil: null, // Unlock account (if locked)
@@ -492,15 +594,29 @@ async function logoutParent(parentId) {
       },
     });
 
-    // ---- Step 2: Log logout for audit trail ----
+    // ---- Step 2: Revoke the current session ----
+    // Idempotent: logging out of an already-ended session still succeeds
+    if (sessionId) {
+      try {
+        await sessionService.revokeSession(parent.id, sessionId, REVOCATION_REASONS.LOGOUT);
+      } catch (err) {
+        if (err.code !== 'SESSION_NOT_FOUND') {
+          throw err;
+        }
+      }
+    } else {
+      await sessionService.revokeAllSessions(parent.id, REVOCATION_REASONS.LOGOUT);
+    }
+
+    // ---- Step 3: Stop the presented access token working right away ----
+    await tokenDenylistService.revokeAccessToken({
+      jti: accessToken.tokenId,
+      expiresAt: accessToken.expiresAt,
+    });
+
+    // ---- Step 4: Log logout for audit trail ----
     try {
-      auditService.logAuditEvent({
-        action: auditService.ACTIONS.LOGOUT,
-        severity: auditService.SEVERITY.LOW,
-        resourceType: auditService.RESOURCE_TYPES.PARENT,
-        resourceId: parent.id,
-        details: `Parent ${parent.email} logged out and invalidated refresh token`,
-      });
+      auditService.logLogoutSuccess(parent.id);
     } catch (logErr) {
       console.warn('[AUTH] Audit logging failed for logout:', logErr.message);
       // Don't throw - logout should succeed even if audit log fails
@@ -523,12 +639,221 @@ async function logoutParent(parentId) {
   }
 }
 
+// ============================================
+// Child Login
+// ============================================
+
+/**
+ * Set (or reset) a child's login PIN.
+ * 
+ * Workflow:
+ *   1. Hash the PIN with bcrypt (same cost as passwords)
+ *   2. Store it and clear the child's lockout (a new PIN is how a parent
+ *      unlocks a child who guessed wrong too often)
+ *   3. Sign the child out of every device (the old PIN may be known to
+ *      someone else)
+ *   4. Log the change
+ * 
+ * @param {number} parentId - Owning parent (from JWT)
+ * @param {number} childId - Child to set the PIN for
+ * @param {string} pin - PIN already checked by validators.validateChildPin
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { childId, pinUpdatedAt, revokedSessionCount }
+ * @throws {Error} with code 'CHILD_NOT_FOUND' if not owned by the parent
+ */
+async function setChildPin(parentId, childId, pin, context = {}) {
+  // ---- Step 1: Hash PIN ----
+  const pinHash = await bcrypt.hash(pin, SALT_ROUNDS);
+  const pinUpdatedAt = new Date();
+
+  // ---- Step 2: Store PIN and lift any lockout ----
+  // Scoped by parentId as well as id: never write another family's child
+  const { count } = await prisma.child.updateMany({
+    where: { id: childId, parentId },
+    data: {
+      pinHash,
+      pinUpdatedAt,
+      failedLoginAttempts: 0,
+      lastFailedLoginAttempt: null,
+      lockedUntil: null,
+    },
+  });
+
+  if (count === 0) {
+    const error = new Error('Child not found');
+    error.code = 'CHILD_NOT_FOUND';
+    throw error;
+  }
+
+  // ---- Step 3: End the child's sessions ----
+  const revokedSessionIds = await sessionService.revokeChildSessions(
+    parentId,
+    childId,
+    REVOCATION_REASONS.PIN_CHANGED
+  );
+
+  // ---- Step 4: Audit ----
+  try {
+    auditService.logChildPinSet(parentId, childId, revokedSessionIds.length, context.ipAddress);
+  } catch (logErr) {
+    console.warn('[AUTH] Audit logging failed for child PIN change:', logErr.message);
+  }
+
+  return {
+    childId,
+    pinUpdatedAt,
+    revokedSessionCount: revokedSessionIds.length,
+  };
+}
+
+/**
+ * Authenticate a child with username and PIN.
+ * 
+ * Workflow:
+ *   1. Find the child by username (case-insensitive)
+ *   2. Reject unknown, deactivated and PIN-less children like a wrong PIN
+ *   3. Check if the child's login is locked
+ *   4. Compare the PIN; if wrong, count a failed attempt (may lock)
+ *   5. Reset failed attempts, start a child session, issue CHILD tokens
+ * 
+ * Lockout Policy (LOCKOUT_POLICIES.CHILD):
+ *   - 5 wrong PINs lock the child's login for 30 minutes
+ *   - The parent can unlock early by setting a new PIN
+ *   - loginRateLimiter additionally limits guesses per IP
+ * 
+ * @param {string} username - Child's username
+ * @param {string} pin - Child's PIN (plain text)
+ * @param {object} [context] - Device details for the session { deviceName, userAgent, ipAddress }
+ * @returns {Promise<object>} { child, accessToken, refreshToken }
+ * @throws {Error} with code 'INVALID_CREDENTIALS' or 'ACCOUNT_LOCKED'
+ */
+async function loginChild(username, pin, context = {}) {
+  // ---- Step 1: Find child by username ----
+  const child = await prisma.child.findUnique({
+    where: { username: username.trim().toLowerCase() },
+    include: { parent: { select: { isActive: true } } },
+  });
+
+  // ---- Step 2: Only active children with a PIN can log in ----
+  // Same vague error as a wrong PIN (no username enumeration).
+  // A deactivated parent account takes its children's logins with it.
+  if (!child || !child.isActive || !child.pinHash || !child.parent.isActive) {
+    try {
+      auditService.logChildLoginFailure(username, child ? 'LOGIN_DISABLED' : 'USERNAME_NOT_FOUND', context.ipAddress);
+    } catch (logErr) {
+      console.warn('[AUTH] Audit logging failed:', logErr.message);
+    }
+
+    const error = new Error('Invalid credentials');
+    error.code = 'INVALID_CREDENTIALS';
+    throw error;
+  }
+
+  // ---- Step 3: Check if login is locked ----
+  if (child.lockedUntil && child.lockedUntil > new Date()) {
+    const error = new Error('Too many wrong PINs. Please try again later or ask your parent to set a new PIN.');
+    error.code = 'ACCOUNT_LOCKED';
+    error.lockedUntil = child.lockedUntil;
+    throw error;
+  }
+
+  // ---- Step 4: Compare PIN ----
+  const isPinValid = await bcrypt.compare(pin, child.pinHash);
+
+  if (!isPinValid) {
+    await recordFailedChildLogin(child, context);
+
+    const error = new Error('Invalid credentials');
+    error.code = 'INVALID_CREDENTIALS';
+    throw error;
+  }
+
+  // ---- Step 5: Reset lockout, start a session and issue tokens ----
+  await prisma.child.update({
+    where: { id: child.id },
+    data: {
+      failedLoginAttempts: 0,
+      lastFailedLoginAttempt: null,
+      lockedUntil: null,
+    },
+  });
+
+  const { accessToken, refreshToken } = await prisma.$transaction(async (tx) => {
+    const session = await sessionService.createSession(child.parentId, context, tx, child.id);
+    return issueTokens(child.parentId, null, { sessionId: session.id, client: tx, child });
+  });
+
+  try {
+    auditService.logChildLoginSuccess(child.id, child.parentId, context.ipAddress);
+  } catch (logErr) {
+    console.warn('[AUTH] Audit logging failed for child login:', logErr.message);
+  }
+
+  return {
+    child: {
+      id: child.id,
+      username: child.username,
+      avatar: child.avatar,
+      colorTheme: child.colorTheme,
+      parentId: child.parentId,
+    },
+    accessToken,
+    refreshToken,
+  };
+}
+
+/**
+ * Logout a child from the current session (device).
+ * 
+ * Workflow:
+ *   1. Revoke the session the access token belongs to (sid claim)
+ *   2. Denylist the presented access token (jti claim) until it expires
+ *   3. Return confirmation
+ * 
+ * Unlike logoutParent, the lockout counter is left alone: logging out
+ * must not hand a PIN guesser a fresh set of attempts.
+ * 
+ * @param {object} child - From the access token { childId, parentId }
+ * @param {string} sessionId - Session ID from the access token's sid claim
+ * @param {object} [accessToken] - Presented access token { tokenId (jti), expiresAt }
+ * @returns {Promise<object>} { message: "Logout successful" }
+ */
+async function logoutChild({ childId, parentId }, sessionId, accessToken = {}) {
+  // ---- Step 1: Revoke the current session ----
+  // Idempotent: logging out of an already-ended session still succeeds
+  try {
+    await sessionService.revokeSession(parentId, sessionId, REVOCATION_REASONS.LOGOUT);
+  } catch (err) {
+    if (err.code !== 'SESSION_NOT_FOUND') {
+      throw err;
+    }
+  }
+
+  // ---- Step 2: Stop the presented access token working right away ----
+  await tokenDenylistService.revokeAccessToken({
+    jti: accessToken.tokenId,
+    expiresAt: accessToken.expiresAt,
+  });
+
+  try {
+    auditService.logChildLogout(childId, parentId);
+  } catch (logErr) {
+    console.warn('[AUTH] Audit logging failed for child logout:', logErr.message);
+  }
+
+  return {
+    message: 'Logout successful',
+    childId,
+  };
+}
+
 /**
  * Verify a JWT token and extract its payload.
  * 
  * Purpose:
  *   - Used by auth middleware to validate incoming requests
- *   - Ensures token hasn't been tampered with (signature verified)
+ *   - Ensures token hasn't been tampered with (signature verified with
+ *     the keyring key named by the token's kid - see jwtKeyService)
  *   - Ensures token hasn't expired
  * 
  * Returns payload on success, throws on failure.
@@ -540,10 +865,10 @@ async function logoutParent(parentId) {
  */
 function verifyToken(token) {
   try {
-    const payload = jwt.verify(token, env.jwtSecret);
+    const payload = jwtKeyService.verifyToken(token);
     return payload;
   } catch (err) {
-    // jwt.verify throws:
+    // verifyToken throws:
     //   - TokenExpiredError: if token has expired
     //   - JsonWebTokenError: if signature is invalid
     // Let middleware handle these (convert to 401 response)
@@ -560,11 +885,17 @@ function verifyToken(token) {
  *   - id: Parent's unique identifier (needed for database lookups)
  *   - email: Parent's email (useful for logging, display)
  *   - role: 'PARENT' (supports future RBAC - Role-Based Access Control)
- *   - iat: Issued-at timestamp (automatically added by jwt.sign)
+ *   - sid: Session ID (identifies the device for logout/session listing)
+ *   - jti: Token ID (unique per token; lets a single token be revoked)
+ *   - typ: 'access' or 'refresh' (added by signTokenPair)
+ *   - iat: Issued-at timestamp (automatically added when signing)
  *   - exp: Expiration timestamp (based on expiresIn)
  * 
  * Note: These are self-contained (stateless) tokens.
  * Server doesn't need to store them; signature proves authenticity.
+ * Signed with the active keyring key (kid header) or, without a keyring,
+ * HS256 with JWT_SECRET (jwtKeyService).
+ * Revoked access tokens are listed in tokenDenylistService until they expire.
  * 
  * The 'role' claim enables future authorization checks:
  *   - Middleware can verify role before allowing endpoint access
@@ -573,32 +904,414 @@ function verifyToken(token) {
  * 
  * @param {number} parentId - Parent's ID from database
  * @param {string} email - Parent's email address
+ * @param {string} sessionId - Session the tokens belong to
  * @returns {object} { accessToken, refreshToken }
  */
-function generateTokens(parentId, email) {
+function generateTokens(parentId, email, sessionId) {
   // Payload includes role for RBAC support
   const payload = {
     id: parentId,
     email,
     role: 'PARENT', // Reserved for future feature: fine-grained authorization
+    sid: sessionId,
   };
 
+  return signTokenPair(payload);
+}
+
+/**
+ * Generate access and refresh tokens for a child's sign-in.
+ * 
+ * Tokens include:
+ *   - id / childId: Child's ID (id keeps req.user.id populated)
+ *   - parentId: Owning parent (for audit and ownership checks)
+ *   - username: Child's username (display, logging)
+ *   - role: 'CHILD' (only routes with authorizeRoles('CHILD') accept it)
+ *   - sid / jti / iat / exp: As for parent tokens
+ * 
+ * No email claim: children have none, and nothing in a child token can
+ * pass for a parent identity on PARENT routes.
+ * 
+ * @param {object} child - { id, username, parentId }
+ * @param {string} sessionId - Session the tokens belong to
+ * @returns {object} { accessToken, refreshToken }
+ */
+function generateChildTokens(child, sessionId) {
+  return signTokenPair({
+    id: child.id,
+    childId: child.id,
+    parentId: child.parentId,
+    username: child.username,
+    role: 'CHILD',
+    sid: sessionId,
+  });
+}
+
+/**
+ * Sign an access token and a refresh token over the same claims.
+ * 
+ * Each token also gets a typ claim ('access' or 'refresh'): authenticate
+ * only accepts access tokens and refreshAccessToken only refresh tokens,
+ * so a 7-day refresh token never works as a Bearer token.
+ * 
+ * @param {object} payload - Claims shared by both tokens
+ * @returns {object} { accessToken, refreshToken }
+ */
+function signTokenPair(payload) {
   // Generate short-lived access token (7 minutes)
   // Used for API authentication; must be included in Authorization header
-  const accessToken = jwt.sign(payload, env.jwtSecret, { expiresIn: ACCESS_TOKEN_EXPIRY });
+  // jwtid lets logout revoke exactly this token (tokenDenylistService)
+  const accessToken = jwtKeyService.signToken({ ...payload, typ: jwtKeyService.TOKEN_TYPES.ACCESS }, {
+    expiresIn: ACCESS_TOKEN_EXPIRY,
+    jwtid: crypto.randomUUID(),
+  });
 
   // Generate long-lived refresh token (7 days)
   // Used only to refresh access token; should be stored securely (httpOnly cookie)
-  const refreshToken = jwt.sign(payload, env.jwtSecret, { expiresIn: REFRESH_TOKEN_EXPIRY });
+  // jwtid makes every refresh token unique, even when issued within the same second
+  const refreshToken = jwtKeyService.signToken({ ...payload, typ: jwtKeyService.TOKEN_TYPES.REFRESH }, {
+    expiresIn: REFRESH_TOKEN_EXPIRY,
+    jwtid: crypto.randomUUID(),
+  });
 
   return { accessToken, refreshToken };
 }
 
+/**
+ * Hash a refresh token for storage/lookup.
+ * 
+ * SHA-256 (not bcrypt) is sufficient: the input is a high-entropy signed
+ * JWT, and a deterministic hash allows lookup by unique index.
+ * 
+ * @param {string} token - Signed refresh token
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate tokens and persist the refresh token's hash.
+ * 
+ * @param {number} parentId - Parent's ID from database (the owner, for a child)
+ * @param {string} email - Parent's email address
+ * @param {object} options
+ * @param {string} options.sessionId - Session (token family) to issue into
+ * @param {object} [options.client] - Prisma client or transaction client
+ * @param {object} [options.child] - { id, username, parentId } to issue child tokens
+ * @returns {Promise<object>} { accessToken, refreshToken, refreshTokenId }
+ */
+async function issueTokens(parentId, email, { sessionId, client = prisma, child = null }) {
+  const { accessToken, refreshToken } = child
+    ? generateChildTokens(child, sessionId)
+    : generateTokens(parentId, email, sessionId);
+  const { exp } = jwt.decode(refreshToken);
+
+  const record = await client.refreshToken.create({
+    data: {
+      tokenHash: hashToken(refreshToken),
+      sessionId,
+      parentId,
+      expiresAt: new Date(exp * 1000),
+    },
+    select: { id: true },
+  });
+
+  return { accessToken, refreshToken, refreshTokenId: record.id };
+}
+
+/**
+ * Count a failed login attempt and lock the account at the threshold.
+ * 
+ * Wrong passwords and wrong second factors share one counter, so the
+ * two-step login offers no extra guesses.
+ * 
+ * @param {object} parent - Parent row (id, email, failedLoginAttempts)
+ * @param {string} reason - INVALID_PASSWORD or INVALID_MFA_CODE (for the audit log)
+ * @returns {Promise<void>}
+ */
+async function recordFailedLogin(parent, reason) {
+  const { lockoutData, updatedFailedAttempts, locked } = nextLockoutState(parent, LOCKOUT_POLICIES.PARENT);
+
+  if (locked) {
+    // Log account lockout event
+    try {
+      auditService.logAccountLockout(
+        parent.email,
+        updatedFailedAttempts,
+        undefined, // IP and user agent: from the request context
+        undefined,
+        parent.id
+      );
+    } catch (logErr) {
+      console.warn('[AUTH] Audit logging failed for lockout:', logErr.message);
+    }
+  } else {
+    // Log failed login attempt (not yet locked)
+    try {
+      auditService.logLoginFailure(
+        parent.email,
+        reason,
+        undefined, // IP and user agent: from the request context
+        undefined,
+        updatedFailedAttempts,
+        parent.id
+      );
+    } catch (logErr) {
+      console.warn('[AUTH] Audit logging failed:', logErr.message);
+    }
+  }
+
+  // Update database with failed attempt tracking
+  await prisma.parent.update({
+    where: { id: parent.id },
+    data: lockoutData,
+  });
+}
+
+/**
+ * Count a wrong PIN and lock the child's login at the threshold.
+ * 
+ * @param {object} child - Child row (id, username, parentId, failedLoginAttempts)
+ * @param {object} context - { ipAddress }
+ * @returns {Promise<void>}
+ */
+async function recordFailedChildLogin(child, context) {
+  const { lockoutData, updatedFailedAttempts, locked } = nextLockoutState(child, LOCKOUT_POLICIES.CHILD);
+
+  try {
+    if (locked) {
+      auditService.logChildAccountLockout(
+        child.id,
+        child.parentId,
+        updatedFailedAttempts,
+        LOCKOUT_POLICIES.CHILD.lockoutMinutes,
+        context.ipAddress
+      );
+    } else {
+      auditService.logChildLoginFailure(child.username, 'INVALID_PIN', context.ipAddress, updatedFailedAttempts);
+    }
+  } catch (logErr) {
+    console.warn('[AUTH] Audit logging failed:', logErr.message);
+  }
+
+  await prisma.child.update({
+    where: { id: child.id },
+    data: lockoutData,
+  });
+}
+
+/**
+ * Work out the lockout fields after one more failed login.
+ * 
+ * Shared by parent (password / second factor), child (PIN) and admin
+ * (adminService) logins; each passes its own policy from LOCKOUT_POLICIES.
+ * 
+ * @param {object} account - Parent, Child or Admin row (failedLoginAttempts)
+ * @param {object} policy - { maxFailedAttempts, lockoutMinutes }
+ * @returns {object} { lockoutData (fields to update), updatedFailedAttempts, locked }
+ */
+function nextLockoutState(account, policy) {
+  // Track consecutive failed attempts for rate-limiting
+  const updatedFailedAttempts = account.failedLoginAttempts + 1;
+
+  const lockoutData = {
+    failedLoginAttempts: updatedFailedAttempts,
+    lastFailedLoginAttempt: new Date(),
+  };
+
+  // If exceeded threshold, lock the account
+  const locked = updatedFailedAttempts >= policy.maxFailedAttempts;
+  if (locked) {
+    lockoutData.lockedUntil = new Date(Date.now() + policy.lockoutMinutes * 60 * 1000);
+  }
+
+  return { lockoutData, updatedFailedAttempts, locked };
+}
+
+/**
+ * Reject a parent account an admin has deactivated.
+ * 
+ * @param {object} parent - Parent row (isActive)
+ * @throws {Error} with code 'ACCOUNT_DEACTIVATED'
+ */
+function assertParentActive(parent) {
+  if (!parent.isActive) {
+    const error = new Error('This account has been deactivated. Please contact support.');
+    error.code = 'ACCOUNT_DEACTIVATED';
+    throw error;
+  }
+}
+
+/**
+ * Error for a phone number another parent account already has.
+ * 
+ * @returns {Error} with code 'PHONE_EXISTS'
+ */
+function phoneNumberExistsError() {
+  const error = new Error('Phone number already registered');
+  error.code = 'PHONE_EXISTS';
+  return error;
+}
+
+/**
+ * Enforce one parent account per phone number (blind index lookup).
+ * 
+ * The unique index on phoneNumberIndex catches concurrent writes; check
+ * isPhoneNumberConflict on the write's error.
+ * 
+ * @param {{phoneNumberIndex: string}} phoneNumberLookup - encryptionService.getPhoneNumberLookup()
+ * @param {number} [parentId] - Parent keeping their own number (profile update)
+ * @returns {Promise<void>}
+ * @throws {Error} with code 'PHONE_EXISTS'
+ */
+async function assertPhoneNumberAvailable(phoneNumberLookup, parentId = null) {
+  const owner = await prisma.parent.findUnique({
+    where: phoneNumberLookup,
+    select: { id: true },
+  });
+
+  if (owner && owner.id !== parentId) {
+    throw phoneNumberExistsError();
+  }
+}
+
+/**
+ * Whether a Prisma error is a unique violation on parents.phoneNumberIndex.
+ * 
+ * @param {Error} err - Error from a parent create/update
+ * @returns {boolean}
+ */
+function isPhoneNumberConflict(err) {
+  return err.code === 'P2002' && String(err.meta?.target).includes('phoneNumberIndex');
+}
+
+/**
+ * Finish a successful login: reset lockout fields, start a session, issue tokens.
+ * 
+ * @param {object} parent - Authenticated parent row
+ * @param {object} context - Device details { deviceName, userAgent, ipAddress }
+ * @returns {Promise<object>} { parent, accessToken, refreshToken }
+ */
+async function completeLogin(parent, context) {
+  // Reset security fields for successful authentication
+  const updatedParent = await prisma.parent.update({
+    where: { id: parent.id },
+    data: {
+      failedLoginAttempts: 0, // Reset to 0 on successful login
+      lastFailedLoginAttempt: null, // Clear failed attempt timestamp
+      lockedUntil: null, // Unlock account (if was locked)
+    },
+    select: {
+      id: true,
+      email: true,
+      fullName: true,
+      phoneNumber: true,
+      emailVerifiedAt: true,
+      phoneVerifiedAt: true,
+      createdAt: true,
+      // Intentionally exclude sensitive fields
+    },
+  });
+
+  // Start a session for this device; other devices' sessions are untouched
+  const { accessToken, refreshToken } = await startSession(parent.id, parent.email, context);
+
+  // Log successful login
+  try {
+    auditService.logLoginSuccess(parent.id, context.ipAddress, context.userAgent);
+  } catch (logErr) {
+    console.warn('[AUTH] Audit logging failed for login success:', logErr.message);
+  }
+
+  return {
+    parent: updatedParent, // Phone number decrypted by the client
+    accessToken,
+    refreshToken,
+  };
+}
+
+/**
+ * Create a session for a new sign-in and issue its first tokens.
+ * 
+ * @param {number} parentId - Parent's ID from database
+ * @param {string} email - Parent's email address
+ * @param {object} context - Device details { deviceName, userAgent, ipAddress }
+ * @returns {Promise<object>} { accessToken, refreshToken, refreshTokenId }
+ */
+async function startSession(parentId, email, context) {
+  return prisma.$transaction(async (tx) => {
+    const session = await sessionService.createSession(parentId, context, tx);
+    return issueTokens(parentId, email, { sessionId: session.id, client: tx });
+  });
+}
+
+/**
+ * Respond to replay of an already-rotated refresh token.
+ * 
+ * Revokes the whole session (the attacker's and the legitimate client's
+ * tokens alike) and logs a CRITICAL audit event.
+ * 
+ * @param {object} storedToken - refresh_tokens row that was replayed
+ * @returns {Promise<Error>} Error with code 'TOKEN_REUSE_DETECTED' for the caller to throw
+ */
+async function handleRefreshTokenReuse(storedToken) {
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { sessionId: storedToken.sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: REVOCATION_REASONS.REUSE_DETECTED },
+  });
+
+  try {
+    await sessionService.revokeSession(
+      storedToken.parentId,
+      storedToken.sessionId,
+      REVOCATION_REASONS.REUSE_DETECTED
+    );
+  } catch (err) {
+    // Already ended (e.g., replayed after logout); tokens are revoked above
+    if (err.code !== 'SESSION_NOT_FOUND') {
+      throw err;
+    }
+  }
+
+  console.warn(
+    `[AUTH] Refresh token reuse detected: parentId=${storedToken.parentId}, ` +
+    `sessionId=${storedToken.sessionId}, revoked=${count}`
+  );
+
+  try {
+    auditService.logRefreshTokenReuse(storedToken.parentId, storedToken.sessionId, count);
+  } catch (logErr) {
+    console.warn('[AUTH] Audit logging failed for refresh token reuse:', logErr.message);
+  }
+
+  const error = new Error('Refresh token has already been used. Please log in again.');
+  error.code = 'TOKEN_REUSE_DETECTED';
+  return error;
+}
+
 module.exports = {
   registerParent,
   loginParent,
+  completeMfaLogin,
   logoutParent,
+  setChildPin,
+  loginChild,
+  logoutChild,
   refreshAccessToken,
   verifyToken,
   generateTokens,
+  generateChildTokens,
+
+  // Lockout (shared with adminService)
+  nextLockoutState,
+
+  // One account per phone number (shared with profileService)
+  assertPhoneNumberAvailable,
+  isPhoneNumberConflict,
+  phoneNumberExistsError,
+
+  // Constants (shared with passwordService and adminService)
+  SALT_ROUNDS,
+  LOCKOUT_POLICIES,
 };
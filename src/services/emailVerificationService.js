@@ -0,0 +1,267 @@
+/**
+ * src/services/emailVerificationService.js
+ *
+ * Business logic for proving a parent owns their email address.
+ *
+ * Purpose:
+ *   - Send a verification link when a parent registers
+ *   - Re-send the link on request (replacing any outstanding one)
+ *   - Redeem a link to set Parent.emailVerifiedAt
+ *
+ * Architecture Pattern: The Service Layer Pattern
+ *   Controller / authService → emailVerificationService → Prisma ORM → Database
+ *                                                      → notificationService → transport
+ *
+ * Workflow:
+ *   1. POST /api/auth/register
+ *        → token emailed as <APP_BASE_URL>/verify-email?token=<token>
+ *   2. POST /api/auth/email/verify { token }
+ *        → emailVerifiedAt set
+ *   (POST /api/auth/email/verify/resend sends a fresh link)
+ *
+ * Security Considerations:
+ *   - Tokens are 256-bit random values; only their SHA-256 hash is stored
+ *   - Tokens expire (EMAIL_VERIFICATION_TOKEN_TTL_HOURS) and are single use
+ *   - A token is bound to the address it was sent to; if Parent.email has
+ *     changed since, the token no longer verifies anything
+ *   - Unknown, expired and used tokens are indistinguishable to the caller
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('../config/db');
+const env = require('../config/env');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+
+// ============================================
+// Configuration Constants
+// ============================================
+
+// Random bytes per verification token (256 bits, base64url encoded in the link)
+const VERIFICATION_TOKEN_BYTES = 32;
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Hash a verification token for storage/lookup.
+ *
+ * @param {string} token - Raw token from the email link
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashVerificationToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Build the error thrown for unknown, expired, used or stale tokens.
+ *
+ * @returns {Error} Error with code 'INVALID_VERIFICATION_TOKEN'
+ */
+function invalidVerificationTokenError() {
+  const error = new Error('Invalid or expired email verification token');
+  error.code = 'INVALID_VERIFICATION_TOKEN';
+  return error;
+}
+
+// ============================================
+// Service Functions
+// ============================================
+
+/**
+ * Issue a verification token for a parent's current email and send it.
+ *
+ * Any outstanding (unused) token for the parent is discarded, so only the
+ * newest link works.
+ *
+ * @param {object} parent - { id, email, fullName }
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(parent, context = {}) {
+  // ---- Step 1: Issue token (replaces outstanding ones) ----
+  const token = crypto.randomBytes(VERIFICATION_TOKEN_BYTES).toString('base64url');
+  const ttlHours = env.emailVerificationTokenTtlHours;
+
+  await prisma.$transaction([
+    prisma.emailVerificationToken.deleteMany({
+      where: { parentId: parent.id, usedAt: null },
+    }),
+    prisma.emailVerificationToken.create({
+      data: {
+        tokenHash: hashVerificationToken(token),
+        parentId: parent.id,
+        email: parent.email,
+        expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000),
+      },
+    }),
+  ]);
+
+  // ---- Step 2: Deliver link ----
+  const verifyUrl = new URL('/verify-email', env.appBaseUrl);
+  verifyUrl.searchParams.set('token', token);
+
+  await notificationService.sendEmailVerificationEmail(parent.email, {
+    fullName: parent.fullName,
+    verifyUrl: verifyUrl.toString(),
+    expiresInHours: ttlHours,
+  });
+
+  // ---- Step 3: Audit ----
+  try {
+    auditService.logEmailVerificationSent(parent.id, parent.email, context.ipAddress);
+  } catch (logErr) {
+    console.warn('[EMAIL_VERIFY] Audit logging failed for verification email:', logErr.message);
+  }
+}
+
+/**
+ * Send a fresh verification link to a signed-in parent.
+ *
+ * @param {number} parentId - Parent's ID (from the access token)
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<void>}
+ * @throws {Error} with code 'PARENT_NOT_FOUND' or 'EMAIL_ALREADY_VERIFIED'
+ */
+async function resendVerificationEmail(parentId, context = {}) {
+  const parent = await prisma.parent.findUnique({
+    where: { id: parentId },
+    select: { id: true, email: true, fullName: true, emailVerifiedAt: true },
+  });
+
+  if (!parent) {
+    const error = new Error('Parent not found');
+    error.code = 'PARENT_NOT_FOUND';
+    throw error;
+  }
+
+  if (parent.emailVerifiedAt) {
+    const error = new Error('Email address is already verified');
+    error.code = 'EMAIL_ALREADY_VERIFIED';
+    throw error;
+  }
+
+  await sendVerificationEmail(parent, context);
+}
+
+/**
+ * Redeem a verification token.
+ *
+ * Workflow:
+ *   1. Look up the token by hash (must be unused and unexpired)
+ *   2. Check it was sent to the parent's current email address
+ *   3. In one transaction:
+ *        - claim the token (conditional update → single use under races)
+ *        - set emailVerifiedAt (kept if already set)
+ *        - discard any other outstanding verification tokens
+ *   4. Audit the verification
+ *
+ * @param {string} token - Raw token from the email link
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { parentId, email, emailVerifiedAt }
+ * @throws {Error} with code 'INVALID_VERIFICATION_TOKEN'
+ */
+async function verifyEmail(token, context = {}) {
+  try {
+    // ---- Step 1: Find a redeemable token ----
+    const verificationToken = await prisma.emailVerificationToken.findUnique({
+      where: { tokenHash: hashVerificationToken(token) },
+      select: {
+        id: true,
+        parentId: true,
+        email: true,
+        expiresAt: true,
+        usedAt: true,
+        parent: { select: { email: true } },
+      },
+    });
+
+    if (
+      !verificationToken ||
+      verificationToken.usedAt ||
+      verificationToken.expiresAt <= new Date()
+    ) {
+      throw invalidVerificationTokenError();
+    }
+
+    // ---- Step 2: Token must match the current address ----
+    if (verificationToken.email !== verificationToken.parent.email) {
+      throw invalidVerificationTokenError();
+    }
+
+    // ---- Step 3: Apply atomically ----
+    const parent = await prisma.$transaction(async (tx) => {
+      const now = new Date();
+
+      const { count } = await tx.emailVerificationToken.updateMany({
+        where: { id: verificationToken.id, usedAt: null },
+        data: { usedAt: now },
+      });
+
+      // Lost a race with a concurrent request using the same token
+      if (count === 0) {
+        throw invalidVerificationTokenError();
+      }
+
+      await tx.parent.updateMany({
+        where: { id: verificationToken.parentId, emailVerifiedAt: null },
+        data: { emailVerifiedAt: now },
+      });
+
+      await tx.emailVerificationToken.deleteMany({
+        where: { parentId: verificationToken.parentId, usedAt: null },
+      });
+
+      return tx.parent.findUnique({
+        where: { id: verificationToken.parentId },
+        select: { id: true, email: true, emailVerifiedAt: true },
+      });
+    });
+
+    // ---- Step 4: Audit ----
+    try {
+      auditService.logEmailVerified(parent.id, parent.email, context.ipAddress);
+    } catch (logErr) {
+      console.warn('[EMAIL_VERIFY] Audit logging failed for email verification:', logErr.message);
+    }
+
+    return {
+      parentId: parent.id,
+      email: parent.email,
+      emailVerifiedAt: parent.emailVerifiedAt,
+    };
+
+  } catch (err) {
+    if (err.code === 'INVALID_VERIFICATION_TOKEN') {
+      try {
+        auditService.logEmailVerificationFailed('INVALID_VERIFICATION_TOKEN', context.ipAddress);
+      } catch (logErr) {
+        console.warn('[EMAIL_VERIFY] Audit logging failed for rejected verification:', logErr.message);
+      }
+    }
+    throw err;
+  }
+}
+
+/**
+ * Check whether a parent has verified their email address.
+ *
+ * @param {number} parentId - Parent's ID
+ * @returns {Promise<boolean>} false if unverified or the parent doesn't exist
+ */
+async function isEmailVerified(parentId) {
+  const parent = await prisma.parent.findUnique({
+    where: { id: parentId },
+    select: { emailVerifiedAt: true },
+  });
+
+  return Boolean(parent && parent.emailVerifiedAt);
+}
+
+module.exports = {
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail,
+  isEmailVerified,
+};
@@ -14,7 +14,8 @@
  * ============================
  * 
  * Problem:
- *   - Database stores: phone numbers (M-Pesa integration), child names, parent names
+ *   - Database stores: phone numbers (M-Pesa integration), parent names,
+ *     children's dates of birth
  *   - If database is compromised: attackers can link users to phone numbers
  *   - If database is publicly exposed: privacy violation for entire family
  *   - Phone numbers especially: directly linked to mobile money accounts (M-Pesa)
@@ -27,7 +28,7 @@
  * 
  * Data Security Levels:
  *   1. Passwords: One-way hash (bcrypt) - never stored plaintext, never decrypted
- *   2. PII (Phone, Names): Symmetric encryption - encrypted at rest, decrypted on read
+ *   2. PII (Phone, Names, Dates of Birth): Symmetric encryption - encrypted at rest, decrypted on read
  *   3. IDs, timestamps: No encryption - not sensitive
  * 
  * ============================================
@@ -77,7 +78,27 @@
  * ENCRYPTION KEY MANAGEMENT
  * ============================================
  * 
- * Key Source: Environment variable ENCRYPTION_KEY (should be 32 bytes for AES-256)
+ * Key Source: A keyring of numbered 32-byte keys (64 hex characters each)
+ *   - ENCRYPTION_KEY: key version 1 (the original single key)
+ *   - ENCRYPTION_KEYS: more keys, "<version>:<hex>" comma-separated,
+ *     e.g. ENCRYPTION_KEYS=2:<64 hex>,3:<64 hex>
+ *   - ENCRYPTION_ACTIVE_KEY_VERSION: the key new values are encrypted with
+ *     (required with ENCRYPTION_KEYS; otherwise 1). Every other key is
+ *     decrypt-only.
+ *   - With KMS_PROVIDER set, the keyring is decrypt-only (values written
+ *     before envelope encryption) and may be left empty
+ * 
+ * ============================================
+ * ENVELOPE ENCRYPTION (KMS_PROVIDER)
+ * ============================================
+ * 
+ * Every value is encrypted with its own random data key; the data key is
+ * wrapped by a master key held by a KMS (kmsService) and stored with the
+ * value. The master key never reaches this process, and rotating it
+ * doesn't require changing any encryption key in the environment.
+ *   - Encrypt: kmsService.generateDataKey() → AES-256-GCM with the data key
+ *   - Decrypt: kmsService.unwrapDataKey() (cached for
+ *     KMS_DATA_KEY_CACHE_TTL_SECONDS) → AES-256-GCM with the data key
  * 
  * Production Best Practice:
  *   - Generate: `openssl rand -hex 32` → outputs 64 hex chars = 32 bytes
@@ -91,6 +112,22 @@
  *   - Check .gitignore has .env
  * 
  * ============================================
+ * BLIND INDEX (LOOKUPS ON ENCRYPTED FIELDS)
+ * ============================================
+ * 
+ * Encrypted values use a random IV, so the same phone number never gives
+ * the same ciphertext and can't be searched for. Searchable fields get a
+ * second column with a blind index: HMAC-SHA256 of the normalized value
+ * (phone numbers: E.164) under BLIND_INDEX_KEY.
+ *   - Separate key: BLIND_INDEX_KEY (64 hex characters), never an
+ *     encryption key, so the index reveals nothing about the ciphertext
+ *   - Equality only: the same number in any format gives the same index,
+ *     but the index can't be reversed without the key
+ *   - Written next to the encrypted value (registerParent, profile update)
+ *   - Lookup: prisma.parent.findUnique({ where: getPhoneNumberLookup(phone) })
+ *   - Changing BLIND_INDEX_KEY: deploy, then npm run encryption:reindex -- --all
+ * 
+ * ============================================
  * ENCRYPTION FLOW
  * ============================================
  * 
@@ -144,9 +181,18 @@
  *   - Format: Binary data (base64 encoded for storage)
  * 
  * Concatenation Strategy:
- *   - Stored format: base64(IV + ciphertext + authTag)
- *   - IV (16 bytes) + Ciphertext (variable) + AuthTag (16 bytes)
- *   - On decrypt: Extract each component, use to recreate decipher
+ *   - Stored format: v<key version>:base64(IV + ciphertext + authTag)
+ *     e.g. "v2:xK9pIj2L3m9oP5qR..."
+ *   - IV (12 bytes) + Ciphertext (variable) + AuthTag (16 bytes)
+ *   - The prefix names the key that encrypted the value, so values
+ *     encrypted with different keys can live side by side during rotation
+ *   - Legacy values (written before key versions existed) have no prefix
+ *     and belong to key version 1 (ENCRYPTION_KEY)
+ *   - Envelope format (KMS_PROVIDER set):
+ *     kms:<master key id>:base64(wrapped data key):base64(IV + ciphertext + authTag)
+ *     Each value has its own data key (see ENVELOPE ENCRYPTION)
+ *   - On decrypt: Pick the key by prefix, extract each component, use to
+ *     recreate decipher
  * 
  * ============================================
  * PERFORMANCE CONSIDERATIONS
@@ -172,13 +218,13 @@
  * 
  * Encrypting a Phone Number:
  * 
- *   const encrypted = encryptField("0712345678", "PHONE");
- *   // encrypted: "xK9pIj2L3m9oP5qR6sT7uV8wX9yZ0aB1cD2eF3gH4i="
- *   //           (base64 of: IV + ciphertext + authTag)
+ *   const encrypted = await encryptField("0712345678", "PHONE");
+ *   // encrypted: "v1:xK9pIj2L3m9oP5qR6sT7uV8wX9yZ0aB1cD2eF3gH4i="
+ *   //           (key version + base64 of: IV + ciphertext + authTag)
  * 
  * Decrypting a Phone Number:
  * 
- *   const decrypted = decryptField(encrypted, "PHONE");
+ *   const decrypted = await decryptField(encrypted, "PHONE");
  *   // decrypted: "0712345678"
  * 
  * In Database Interaction (Create Parent):
@@ -187,7 +233,7 @@
  *     data: {
  *       email: "parent@example.com",
  *       fullName: "John Doe",  // Could be encrypted too
- *       phoneNumber: encryptField(req.body.phoneNumber, "PHONE"),
+ *       phoneNumber: await encryptField(req.body.phoneNumber, "PHONE"),
  *       passwordHash: bcrypt.hashSync(req.body.password, 10),
  *     }
  *   });
@@ -198,7 +244,7 @@
  *     where: { id: 1 },
  *   });
  *   
- *   const phoneNumber = decryptField(parent.phoneNumber, "PHONE");
+ *   const phoneNumber = await decryptField(parent.phoneNumber, "PHONE");
  *   console.log(`Parent phone (decrypted): ${phoneNumber}`);
  * 
  * ============================================
@@ -206,9 +252,9 @@
  * ============================================
  * 
  * Error 1: Encryption Key Not Set
- *   Cause: ENCRYPTION_KEY env variable missing
+ *   Cause: Neither ENCRYPTION_KEY nor KMS_PROVIDER set
  *   Behavior: Throws error immediately on import
- *   Fix: Set ENCRYPTION_KEY before server starts
+ *   Fix: Set ENCRYPTION_KEY (or KMS_PROVIDER) before server starts
  * 
  * Error 2: Invalid Ciphertext (Tampering Detected)
  *   Cause: Ciphertext was modified, auth tag no longer matches
@@ -220,7 +266,8 @@
  *   Cause: ENCRYPTION_KEY changed but ciphertext from old key
  *   Behavior: EBADAUTH (auth tag no longer valid)
  *   Response: Can't decrypt (need old key)
- *   Mitigation: Key rotation procedure needed
+ *   Mitigation: Keep the old key in the keyring (decrypt-only) until its
+ *     values are re-encrypted (see KEY ROTATION PROCEDURE)
  * 
  * Error 4: Null or Undefined Input
  *   Cause: Passing null/undefined to encryptField()
@@ -228,25 +275,33 @@
  *   Rationale: Field might not exist for this record
  * 
  * ============================================
- * KEY ROTATION PROCEDURE (FUTURE)
+ * KEY ROTATION PROCEDURE
  * ============================================
  * 
  * When to rotate: Every 90 days or if key compromised
  * 
  * Steps:
  *   1. Generate new key: `openssl rand -hex 32`
- *   2. Update environment with new key
- *   3. DO NOT delete old key yet (keep for decryption)
- *   4. Query all encrypted fields
- *   5. Decrypt with old algorithm (keep old key in env temporarily)
- *   6. Re-encrypt with new key
- *   7. Update database with new ciphertexts
- *   8. Finally: Update env to remove old key
- * 
- * Note: For this MVP, I'm not implementing key rotation
- *       but the pattern is straightforward once key management is centralized
+ *   2. Add it to ENCRYPTION_KEYS with the next version, set
+ *      ENCRYPTION_ACTIVE_KEY_VERSION to it, deploy
+ *      (new values use the new key; old values still decrypt)
+ *   3. Re-encrypt stored values: `npm run encryption:reencrypt`
+ *      (keyRotationService; resumable, reports progress, audited)
+ *   4. When it reports nothing left on the old key, remove the old key
+ *      from the environment and deploy
+ * 
+ * With envelope encryption, rotate the master key in the KMS instead
+ * (local provider: npm run kms:local-key -- --rotate, restart), keeping
+ * the old master key available for unwrapping, then run step 3: data keys
+ * wrapped by another master key are replaced. Switching from the keyring
+ * to envelope encryption works the same way: set KMS_PROVIDER, keep
+ * ENCRYPTION_KEY until step 3 reports nothing left.
+ * 
+ * A value whose key has been removed can't be decrypted: decryptField
+ * throws with code ENCRYPTION_KEY_UNAVAILABLE.
  * 
  * ============================================
+ * ============================================
  * COMPLIANCE & STANDARDS
  * ============================================
  * 
@@ -280,6 +335,12 @@
 // - createHash: Creates hash objects (not needed here, but shown for reference)
 const crypto = require('crypto');
 
+// kmsService: Master keys and data keys for envelope encryption (KMS_PROVIDER)
+const kmsService = require('./kmsService');
+
+// normalizeKenyanPhone: E.164 form of phone numbers before blind indexing
+const { normalizeKenyanPhone } = require('../utils/validators');
+
 // ============================================
 // CONSTANTS & CONFIGURATION
 // ============================================
@@ -313,40 +374,88 @@ const FIELD_TYPES = {
   NAME: 'NAME',             // Personal names (parent/child)
   EMAIL: 'EMAIL',           // Email addresses (optional encryption)
   ADDRESS: 'ADDRESS',       // Physical address (if stored)
+  TOTP_SECRET: 'TOTP_SECRET', // Authenticator app secrets (two-factor login)
+  DATE_OF_BIRTH: 'DATE_OF_BIRTH', // Children's dates of birth ("YYYY-MM-DD")
 };
 
 // ============================================
-// LOAD & VALIDATE ENCRYPTION KEY
+// LOAD & VALIDATE ENCRYPTION KEYRING
 // ============================================
 
-// Get encryption key from environment variable
-// Must be 64 hex characters (representing 32 bytes for AES-256)
+// Key version prefix of stored values: "v2:<base64>"
+const KEY_VERSION_PATTERN = /^v([1-9][0-9]*):/;
+
+// Envelope-encrypted values: "kms:<master key id>:<wrapped data key>:<base64>"
+const ENVELOPE_PATTERN = /^kms:([A-Za-z0-9._-]{1,64}):([A-Za-z0-9+/]+={0,2}):/;
+
+// Payload after the prefix: padded base64, as Buffer#toString writes it
+const BASE64_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+// Keys must be 64 hex characters (32 bytes)
+const KEY_HEX_PATTERN = /^[0-9a-fA-F]{64}$/;
+
+// Keyring: version → 32-byte key
 // Example: ENCRYPTION_KEY=12345678901234567890123456789012345678901234567890123456789012ab
-let encryptionKey = null;
+const encryptionKeys = new Map();
+let activeKeyVersion = null;
 
 try {
-  // Get key from environment
-  const keyHex = process.env.ENCRYPTION_KEY;
-  
-  if (!keyHex) {
-    throw new Error('ENCRYPTION_KEY environment variable not set');
+  // ---- Version 1: ENCRYPTION_KEY ----
+  const legacyKeyHex = process.env.ENCRYPTION_KEY;
+  if (legacyKeyHex) {
+    if (!KEY_HEX_PATTERN.test(legacyKeyHex)) {
+      throw new Error(
+        'ENCRYPTION_KEY must be 64 hex characters (32 bytes). ' +
+        'Generate with: openssl rand -hex 32'
+      );
+    }
+    encryptionKeys.set(1, Buffer.from(legacyKeyHex, 'hex'));
   }
-  
-  // Validate: Must be 64 hex characters (32 bytes)
-  if (!/^[0-9a-fA-F]{64}$/.test(keyHex)) {
-    throw new Error(
-      'ENCRYPTION_KEY must be 64 hex characters (32 bytes). ' +
-      'Generate with: openssl rand -hex 32'
+
+  // ---- More versions: ENCRYPTION_KEYS ----
+  const extraKeys = (process.env.ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  for (const entry of extraKeys) {
+    const match = /^([1-9][0-9]*):([0-9a-fA-F]{64})$/.exec(entry);
+    if (!match) {
+      throw new Error('ENCRYPTION_KEYS entries must be <version>:<64 hex characters>');
+    }
+
+    const version = Number(match[1]);
+    if (encryptionKeys.has(version)) {
+      throw new Error(`Encryption key version ${version} is configured twice`);
+    }
+    encryptionKeys.set(version, Buffer.from(match[2], 'hex'));
+  }
+
+  if (kmsService.isKmsEnabled()) {
+    // ---- Envelope encryption: the keyring only decrypts older values ----
+    const decryptOnly = [...encryptionKeys.keys()].map(version => `v${version}`);
+    console.log(
+      `[ENCRYPTION] Envelope encryption (AES-256-GCM) with KMS provider ${process.env.KMS_PROVIDER}` +
+      (decryptOnly.length > 0 ? `, decrypt-only ${decryptOnly.join(', ')}` : '')
+    );
+  } else {
+    if (encryptionKeys.size === 0) {
+      throw new Error('ENCRYPTION_KEY environment variable not set');
+    }
+
+    // ---- Active key ----
+    const activeSetting = process.env.ENCRYPTION_ACTIVE_KEY_VERSION;
+    if (!activeSetting && extraKeys.length > 0) {
+      throw new Error('ENCRYPTION_ACTIVE_KEY_VERSION is required with ENCRYPTION_KEYS');
+    }
+    activeKeyVersion = activeSetting ? Number(activeSetting) : 1;
+    if (!encryptionKeys.has(activeKeyVersion)) {
+      throw new Error(`ENCRYPTION_ACTIVE_KEY_VERSION ${activeSetting || 1} is not in the keyring`);
+    }
+
+    const decryptOnly = [...encryptionKeys.keys()].filter(version => version !== activeKeyVersion);
+    console.log(
+      `[ENCRYPTION] Encryption keyring loaded (AES-256-GCM): active v${activeKeyVersion}` +
+      (decryptOnly.length > 0 ? `, decrypt-only ${decryptOnly.map(version => `v${version}`).join(', ')}` : '')
     );
   }
   
-  // Convert hex string to Buffer
-  // Buffer: Node.js binary data type
-  // from(str, 'hex'): Parse hex string to bytes
-  encryptionKey = Buffer.from(keyHex, 'hex');
-  
-  console.log('[ENCRYPTION] Encryption key loaded (AES-256-GCM)');
-  
 } catch (err) {
   // Fail fast: If encryption key is missing, server should not start
   // Having bad security is worse than no service
@@ -354,6 +463,112 @@ try {
   process.exit(1);
 }
 
+// ============================================
+// LOAD & VALIDATE BLIND INDEX KEY
+// ============================================
+
+// Normalization per field type before indexing (same value, same index)
+const BLIND_INDEX_NORMALIZERS = {
+  [FIELD_TYPES.PHONE]: normalizeKenyanPhone,
+};
+
+// HMAC key of blind indexes (BLIND_INDEX_KEY); never an encryption key
+let blindIndexKey = null;
+
+try {
+  const blindIndexKeyHex = process.env.BLIND_INDEX_KEY;
+  if (!blindIndexKeyHex) {
+    throw new Error('BLIND_INDEX_KEY environment variable not set');
+  }
+  if (!KEY_HEX_PATTERN.test(blindIndexKeyHex)) {
+    throw new Error(
+      'BLIND_INDEX_KEY must be 64 hex characters (32 bytes). ' +
+      'Generate with: openssl rand -hex 32'
+    );
+  }
+  blindIndexKey = Buffer.from(blindIndexKeyHex, 'hex');
+  if ([...encryptionKeys.values()].some(key => key.equals(blindIndexKey))) {
+    throw new Error('BLIND_INDEX_KEY must differ from every encryption key');
+  }
+} catch (err) {
+  console.error('[ENCRYPTION] CRITICAL ERROR:', err.message);
+  process.exit(1);
+}
+
+/**
+ * Key version of a stored value (1 for legacy values without a prefix).
+ * 
+ * @param {string} encryptedData - Stored value
+ * @returns {number|null} Key version, or null if encryptedData is empty or
+ *   envelope-encrypted
+ */
+function getKeyVersion(encryptedData) {
+  if (!encryptedData || ENVELOPE_PATTERN.test(encryptedData)) {
+    return null;
+  }
+  const match = KEY_VERSION_PATTERN.exec(encryptedData);
+  return match ? Number(match[1]) : 1;
+}
+
+/**
+ * Key for a new value and the prefix naming it.
+ * 
+ * @returns {Promise<{key: Buffer, prefix: string}>} A fresh data key
+ *   ("kms:<id>:<wrapped>:") with KMS_PROVIDER, else the active keyring key ("v<N>:")
+ */
+async function getEncryptionKey() {
+  if (!kmsService.isKmsEnabled()) {
+    return { key: encryptionKeys.get(activeKeyVersion), prefix: `v${activeKeyVersion}:` };
+  }
+
+  const { plaintextKey, wrappedKey, keyId } = await kmsService.generateDataKey();
+  return { key: plaintextKey, prefix: `kms:${keyId}:${wrappedKey.toString(ENCODING)}:` };
+}
+
+/**
+ * Key a stored value was encrypted with, and the value without its prefix.
+ * 
+ * @param {string} encryptedData - Stored value (any format)
+ * @param {string} fieldType - For error messages
+ * @returns {Promise<{key: Buffer, payload: string}>}
+ * @throws {Error} with code 'ENCRYPTION_KEY_UNAVAILABLE' if the key isn't configured
+ */
+async function getDecryptionKey(encryptedData, fieldType) {
+  const envelope = ENVELOPE_PATTERN.exec(encryptedData);
+
+  // ---- Envelope: unwrap the value's data key ----
+  if (envelope) {
+    if (!kmsService.isKmsEnabled()) {
+      const error = new Error(`Failed to decrypt ${fieldType}: KMS_PROVIDER is not configured`);
+      error.code = 'ENCRYPTION_KEY_UNAVAILABLE';
+      throw error;
+    }
+
+    try {
+      const key = await kmsService.unwrapDataKey(Buffer.from(envelope[2], ENCODING), envelope[1]);
+      return { key, payload: encryptedData.slice(envelope[0].length) };
+    } catch (err) {
+      // Our own codes (unknown master key, KMS misconfigured) pass through
+      if (err.code === 'ENCRYPTION_KEY_UNAVAILABLE' || /^KMS_/.test(err.code || '')) {
+        throw err;
+      }
+      console.error('[ENCRYPTION] Data key unwrap failed:', { fieldType, keyId: envelope[1], error: err.message });
+      throw new Error(`Failed to decrypt ${fieldType}: data key could not be unwrapped (${err.message})`);
+    }
+  }
+
+  // ---- Keyring: pick the version's key ----
+  const keyVersion = getKeyVersion(encryptedData);
+  const key = encryptionKeys.get(keyVersion);
+  if (!key) {
+    const error = new Error(`Failed to decrypt ${fieldType}: encryption key v${keyVersion} is not configured`);
+    error.code = 'ENCRYPTION_KEY_UNAVAILABLE';
+    throw error;
+  }
+
+  return { key, payload: encryptedData.replace(KEY_VERSION_PATTERN, '') };
+}
+
 // ============================================
 // ENCRYPTION FUNCTION
 // ============================================
@@ -362,12 +577,14 @@ try {
  * Encrypt a sensitive field (phone number, name, etc.)
  * 
  * Algorithm Flow:
- *   1. Generate random IV (initialization vector)
- *   2. Create cipher with key and IV
+ *   1. Pick the key (envelope: fresh data key from the KMS) and generate
+ *      random IV (initialization vector)
+ *   2. Create cipher with that key and IV
  *   3. Encrypt plaintext
  *   4. Get authentication tag (for tampering detection)
  *   5. Concatenate: IV + ciphertext + authTag
- *   6. Return as base64 string for storage
+ *   6. Return as "v<active key version>:" + base64 for storage
+ *      (envelope: "kms:<master key id>:<wrapped data key>:" + base64)
  * 
  * Security Properties:
  *   - Determinism: Different encryption each time (due to random IV)
@@ -382,14 +599,15 @@ try {
  * @param {string|null} plaintext - Value to encrypt (e.g., "0712345678")
  *                                   If null/undefined: return null (field doesn't exist for this record)
  * @param {string} fieldType - Type of field (PHONE, NAME, etc.) for future extensibility
- * @returns {string|null} Encrypted value as base64 string, or null if plaintext is null
- * @throws {Error} If encryption fails or key is invalid
+ * @returns {Promise<string|null>} Encrypted value ("v<version>:" or "kms:...:" + base64),
+ *   or null if plaintext is null
+ * @throws {Error} If encryption fails, key is invalid or the KMS can't be reached
  * 
  * Example:
- *   encryptField("0712345678", "PHONE")
- *   // Returns: "xK9pIj2L3m9oP5qR6sT7uV8wX9yZ0aB1cD2eF3gH4i="
+ *   await encryptField("0712345678", "PHONE")
+ *   // Returns: "v2:xK9pIj2L3m9oP5qR6sT7uV8wX9yZ0aB1cD2eF3gH4i="
  */
-function encryptField(plaintext, fieldType) {
+async function encryptField(plaintext, fieldType) {
   // ---- Validation ----
   // If value is null/undefined: return null (optional field)
   if (plaintext === null || plaintext === undefined) {
@@ -404,8 +622,12 @@ function encryptField(plaintext, fieldType) {
     return null;
   }
   
+  // ---- Step 1a: Pick the Key ----
+  // Outside the try: KMS errors keep their code
+  const { key, prefix } = await getEncryptionKey();
+  
   try {
-    // ---- Step 1: Generate Random IV ----
+    // ---- Step 1b: Generate Random IV ----
     // IV = Initialization Vector (random 12-byte value)
     // Why: Ensures same plaintext encrypts differently each time
     // crypto.randomBytes: Cryptographically secure random generator
@@ -416,9 +638,9 @@ function encryptField(plaintext, fieldType) {
     // cipher: Encryption engine using AES-256-GCM algorithm
     // Arguments:
     //   - ALGORITHM: 'aes-256-gcm'
-    //   - encryptionKey: 32-byte key (loaded from environment)
+    //   - key: 32-byte key (data key, or ENCRYPTION_ACTIVE_KEY_VERSION)
     //   - iv: 12-byte random initialization vector
-    const cipher = crypto.createCipheriv(ALGORITHM, encryptionKey, iv);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
     
     // ---- Step 3: Encrypt Plaintext ----
     // update(): Process plaintext and produce ciphertext
@@ -449,11 +671,12 @@ function encryptField(plaintext, fieldType) {
       authTag,                            // 16 bytes - authentication tag
     ]);
     
-    // ---- Step 6: Return as Base64 ----
+    // ---- Step 6: Return as Base64, Tagged With the Key Version ----
     // Base64: Text-safe encoding for binary data
     // Why: Can store in JSON, databases, pass in URLs
     // Size: ~4/3 of binary size (~60 bytes base64 for typical short value)
-    return encryptedBuffer.toString(ENCODING);
+    // Prefix: names the key, so decryptField picks the right one after rotation
+    return `${prefix}${encryptedBuffer.toString(ENCODING)}`;
     
   } catch (err) {
     // ---- Error Handling ----
@@ -473,7 +696,8 @@ function encryptField(plaintext, fieldType) {
  * Decrypt a sensitive field back to plaintext
  * 
  * Algorithm Flow:
- *   1. Decode base64 string to binary
+ *   1. Pick the key named by the prefix (envelope: unwrap the data key;
+ *      none: version 1) and decode the base64 rest to binary
  *   2. Extract components: IV, ciphertext, authTag
  *   3. Create decipher with key and IV
  *   4. Set authentication tag for tampering verification
@@ -491,28 +715,33 @@ function encryptField(plaintext, fieldType) {
  *   - Corrupted ciphertext: Auth tag verification fails
  *   - IV/authTag corrupted: Decryption fails with crypto error
  * 
- * @param {string} encryptedData - Encrypted value as base64 string
+ * @param {string} encryptedData - Encrypted value ("v<version>:" or "kms:...:" + base64, or legacy base64)
  * @param {string} fieldType - Type of field (PHONE, NAME, etc.)
- * @returns {string} Decrypted plaintext (e.g., "0712345678")
- * @throws {Error} If decryption fails (wrong key, tampering, corrupted data)
+ * @returns {Promise<string>} Decrypted plaintext (e.g., "0712345678")
+ * @throws {Error} If decryption fails (wrong key, tampering, corrupted data);
+ *   with code 'ENCRYPTION_KEY_UNAVAILABLE' if its key is not in the keyring
  * 
  * Example:
- *   decryptField("xK9pIj2L3m9oP5qR6sT7uV8wX9yZ0aB1cD2eF3gH4i=", "PHONE")
+ *   await decryptField("v2:xK9pIj2L3m9oP5qR6sT7uV8wX9yZ0aB1cD2eF3gH4i=", "PHONE")
  *   // Returns: "0712345678"
  *   // Throws if authTag doesn't match (tampering detected)
  */
-function decryptField(encryptedData, fieldType) {
+async function decryptField(encryptedData, fieldType) {
   // ---- Validation ----
   // If encrypted data is null: return null
   if (!encryptedData) {
     return null;
   }
   
+  // ---- Step 1a: Pick the Key ----
+  // A removed key can't be guessed at: fail clearly instead of as tampering
+  const { key, payload } = await getDecryptionKey(encryptedData, fieldType);
+  
   try {
-    // ---- Step 1: Decode Base64 ----
-    // Convert base64 string back to binary buffer
+    // ---- Step 1b: Decode Base64 ----
+    // Convert base64 string back to binary buffer (after the key prefix)
     // from(str, 'base64'): Parse base64 string to bytes
-    const encryptedBuffer = Buffer.from(encryptedData, ENCODING);
+    const encryptedBuffer = Buffer.from(payload, ENCODING);
     
     // ---- Step 2: Extract Components ----
     // Format: IV (12 bytes) + ciphertext (variable) + authTag (16 bytes)
@@ -536,7 +765,7 @@ function decryptField(encryptedData, fieldType) {
     // decipher: Decryption engine using same algorithm as encryption
     // Args: algorithm, key, IV
     // Key and IV MUST match encryption, otherwise auth tag won't verify
-    const decipher = crypto.createDecipheriv(ALGORITHM, encryptionKey, iv);
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
     
     // ---- Step 4: Set Authentication Tag ----
     // setAuthTag: Before decrypting, tell decipher what authTag to expect
@@ -588,6 +817,145 @@ function decryptField(encryptedData, fieldType) {
   }
 }
 
+// ============================================
+// KEY ROTATION HELPERS
+// ============================================
+
+/**
+ * Prefix of values encrypted with the active key: "v<N>:", or
+ * "kms:<master key id>:" with envelope encryption.
+ * 
+ * @returns {string}
+ */
+function getActiveKeyPrefix() {
+  return `${getKeyringStatus().activeKey}:`;
+}
+
+/**
+ * Whether a stored value was encrypted with a key other than the active one
+ * (envelope encryption: its data key is wrapped by another master key, or
+ * it isn't envelope-encrypted yet).
+ * 
+ * @param {string|null} encryptedData - Stored value
+ * @returns {boolean} false for empty values
+ */
+function needsReencryption(encryptedData) {
+  if (!encryptedData || encryptedData.startsWith(getActiveKeyPrefix())) {
+    return false;
+  }
+  // Legacy values without a prefix are already on key version 1
+  return kmsService.isKmsEnabled() || getKeyVersion(encryptedData) !== activeKeyVersion;
+}
+
+/**
+ * Whether a stored value is ciphertext as encryptField writes it: a key
+ * prefix ("v<N>:" or "kms:<id>:...") followed by base64 of at least an IV
+ * and an auth tag.
+ *
+ * Tells ciphertext from plaintext in columns that were never encrypted in
+ * the legacy (unprefixed) format, while their rows are being encrypted. A
+ * prefix alone isn't enough: a name can be typed as "v2: Jane".
+ *
+ * @param {string|null} storedValue - Stored value
+ * @returns {boolean}
+ */
+function isEncryptedValue(storedValue) {
+  if (typeof storedValue !== 'string') {
+    return false;
+  }
+
+  const prefix = ENVELOPE_PATTERN.exec(storedValue) || KEY_VERSION_PATTERN.exec(storedValue);
+  if (!prefix) {
+    return false;
+  }
+
+  const payload = storedValue.slice(prefix[0].length);
+  return BASE64_PATTERN.test(payload) &&
+    Buffer.from(payload, ENCODING).length >= IV_LENGTH + AUTH_TAG_LENGTH;
+}
+
+/**
+ * Re-encrypt a stored value with the active key.
+ * 
+ * @param {string} encryptedData - Stored value (any configured key)
+ * @param {string} fieldType - Type of field (PHONE, NAME, etc.)
+ * @returns {Promise<string>} Value encrypted with the active key (unchanged if it already was)
+ * @throws {Error} If the value can't be decrypted (see decryptField)
+ */
+async function reencryptField(encryptedData, fieldType) {
+  if (!needsReencryption(encryptedData)) {
+    return encryptedData;
+  }
+  return encryptField(await decryptField(encryptedData, fieldType), fieldType);
+}
+
+/**
+ * Keyring summary (versions and key ids only, never key material).
+ * 
+ * @returns {{activeKey: string, activeVersion: number|null, versions: number[]}}
+ *   activeKey: "v<N>", or "kms:<master key id>" with envelope encryption
+ *   (activeVersion is then null)
+ */
+function getKeyringStatus() {
+  return {
+    activeKey: kmsService.isKmsEnabled() ? `kms:${kmsService.getActiveMasterKeyId()}` : `v${activeKeyVersion}`,
+    activeVersion: activeKeyVersion,
+    versions: [...encryptionKeys.keys()].sort((a, b) => a - b),
+  };
+}
+
+// ============================================
+// BLIND INDEX
+// ============================================
+
+/**
+ * Blind index of a value: HMAC-SHA256 under BLIND_INDEX_KEY of the
+ * normalized value, for equality lookups on an encrypted column.
+ * 
+ * Security:
+ *   - Deterministic by design: equal values give equal indexes, so only
+ *     index fields where that is acceptable (one account per phone number)
+ *   - The field type is part of the HMAC input, so equal values of
+ *     different field types don't give equal indexes
+ * 
+ * @param {string|null} value - Plaintext value
+ * @param {string} fieldType - Type of field (PHONE, ...)
+ * @returns {string|null} 64 hex characters, or null for an empty value or
+ *   one that can't be normalized (e.g. not a Kenyan mobile number)
+ */
+function computeBlindIndex(value, fieldType) {
+  if (!value) {
+    return null;
+  }
+
+  const normalize = BLIND_INDEX_NORMALIZERS[fieldType] || (input => String(input).trim());
+  const normalized = normalize(value);
+  if (!normalized) {
+    return null;
+  }
+
+  return crypto
+    .createHmac('sha256', blindIndexKey)
+    .update(`${fieldType}:${normalized}`)
+    .digest('hex');
+}
+
+/**
+ * Prisma where clause finding a parent by phone number, in any accepted
+ * format (+254712345678, 254712345678, 0712345678).
+ * 
+ * @example
+ *   const lookup = getPhoneNumberLookup(msisdn);
+ *   const parent = lookup && await prisma.parent.findUnique({ where: lookup });
+ * 
+ * @param {string} phoneNumber - Phone number to look up
+ * @returns {{phoneNumberIndex: string}|null} null if it isn't a Kenyan mobile number
+ */
+function getPhoneNumberLookup(phoneNumber) {
+  const phoneNumberIndex = computeBlindIndex(phoneNumber, FIELD_TYPES.PHONE);
+  return phoneNumberIndex ? { phoneNumberIndex } : null;
+}
+
 // ============================================
 // ERROR LOGGING HELPER
 // ============================================
@@ -634,11 +1002,23 @@ module.exports = {
   encryptField,      // Encrypt sensitive data before storing in DB
   decryptField,      // Decrypt sensitive data from DB for authenticated user
   
+  // Key rotation
+  getKeyVersion,     // Key version a stored value was encrypted with
+  getActiveKeyPrefix, // "v<N>:" or "kms:<master key id>:"
+  needsReencryption, // Stored value not on the active key?
+  reencryptField,    // Move a stored value to the active key
+  isEncryptedValue,  // Stored value is ciphertext, not (yet) plaintext?
+  getKeyringStatus,  // { activeKey, activeVersion, versions }
+  
+  // Lookups on encrypted fields
+  computeBlindIndex, // HMAC of the normalized value (BLIND_INDEX_KEY)
+  getPhoneNumberLookup, // { phoneNumberIndex } where clause for a phone number
+  
   // Constants for documentation/testing
   ALGORITHM,         // 'aes-256-gcm'
   IV_LENGTH,         // 12 bytes
   AUTH_TAG_LENGTH,   // 16 bytes
-  FIELD_TYPES,       // { PHONE, NAME, EMAIL, ADDRESS }
+  FIELD_TYPES,       // { PHONE, NAME, EMAIL, ADDRESS, TOTP_SECRET }
   
   // Utilities
   logEncryptionEvent, // Log encryption events for audit trail
@@ -0,0 +1,633 @@
+/**
+ * src/services/guardianService.js
+ *
+ * Business logic for multi-guardian families.
+ *
+ * Purpose:
+ *   - Let a parent invite other adults (grandparents, co-parents) by email
+ *     to help with one of their children
+ *   - Accept / decline invitations; change or revoke a guardian's access
+ *   - Answer "may this parent account do X for this child?" for
+ *     ownershipMiddleware.verifyParentalLink
+ *
+ * Architecture Pattern: The Service Layer Pattern
+ *   Controller → guardianService → Prisma ORM → Database
+ *                                → notificationService → transport
+ *   ownershipMiddleware → guardianService.findActiveGuardianship
+ *
+ * Workflow:
+ *   1. POST /api/family/children/:childId/guardians { email, canDeposit, ... }
+ *        → invitation emailed as <APP_BASE_URL>/guardian-invitation?token=<token>
+ *   2. POST /api/family/guardianships/accept { token } (signed in as the invitee)
+ *        or POST /api/family/guardianships/decline { token }
+ *   3. The guardian reaches the child through the routes that allow
+ *      guardians, limited by their permissions
+ *
+ * Roles:
+ *   Guardians sign in with an ordinary parent account (token role PARENT).
+ *   Being a guardian is a relationship to one child, not an account type:
+ *   verifyParentalLink resolves it per request and records it as
+ *   req.childAccess.role = ROLES.GUARDIAN.
+ *
+ * Permissions:
+ *   - VIEW: every accepted guardian (child details, wallet history)
+ *   - DEPOSIT: canDeposit
+ *   - APPROVE_WITHDRAWALS: canApproveWithdrawals
+ *   The owning parent always has all of them.
+ *
+ * Security Considerations:
+ *   - Invitation tokens are 256-bit random values; only their SHA-256 hash
+ *     is stored. They expire (GUARDIAN_INVITE_TTL_HOURS) and are single use
+ *   - Only the parent account whose email matches the invitation can
+ *     accept it, so a forwarded link is useless to anyone else
+ *   - Unknown, expired and answered tokens are indistinguishable to the caller
+ *   - Guardians lose access as soon as they are revoked or the child is
+ *     deactivated (checked on every request)
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('../config/db');
+const env = require('../config/env');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+
+// ============================================
+// Configuration Constants
+// ============================================
+
+// Random bytes per invitation token (256 bits, base64url encoded in the link)
+const INVITATION_TOKEN_BYTES = 32;
+
+// Pending + accepted guardians per child
+const MAX_GUARDIANS_PER_CHILD = 5;
+
+/**
+ * Guardianship lifecycle (Guardianship.status, CHECK constraint in migration 15).
+ */
+const GUARDIANSHIP_STATUS = {
+  PENDING: 'PENDING',
+  ACCEPTED: 'ACCEPTED',
+  DECLINED: 'DECLINED',
+  REVOKED: 'REVOKED',
+};
+
+// Statuses that count as an open invitation or link
+const OPEN_STATUSES = [GUARDIANSHIP_STATUS.PENDING, GUARDIANSHIP_STATUS.ACCEPTED];
+
+/**
+ * What a guardian may do for a child (see verifyParentalLink).
+ */
+const GUARDIAN_PERMISSIONS = {
+  VIEW: 'VIEW',
+  DEPOSIT: 'DEPOSIT',
+  APPROVE_WITHDRAWALS: 'APPROVE_WITHDRAWALS',
+};
+
+// Fields returned to the owning parent when listing guardians
+const GUARDIANSHIP_SELECT = {
+  id: true,
+  email: true,
+  status: true,
+  canDeposit: true,
+  canApproveWithdrawals: true,
+  expiresAt: true,
+  respondedAt: true,
+  createdAt: true,
+  guardian: { select: { id: true, fullName: true } },
+};
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Hash an invitation token for storage/lookup.
+ *
+ * @param {string} token - Raw token from the email link
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashInvitationToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Build the error thrown for unknown, expired or already answered invitations.
+ *
+ * @returns {Error} Error with code 'INVALID_GUARDIAN_INVITATION'
+ */
+function invalidInvitationError() {
+  const error = new Error('Invalid or expired guardian invitation');
+  error.code = 'INVALID_GUARDIAN_INVITATION';
+  return error;
+}
+
+/**
+ * Build the error thrown when a guardianship doesn't exist for the child.
+ *
+ * @returns {Error} Error with code 'GUARDIANSHIP_NOT_FOUND'
+ */
+function guardianshipNotFoundError() {
+  const error = new Error('Guardian not found');
+  error.code = 'GUARDIANSHIP_NOT_FOUND';
+  return error;
+}
+
+/**
+ * Permissions granted by a guardianship.
+ *
+ * @param {object} guardianship - { canDeposit, canApproveWithdrawals }
+ * @returns {string[]} GUARDIAN_PERMISSIONS values (always includes VIEW)
+ */
+function permissionsOf(guardianship) {
+  const permissions = [GUARDIAN_PERMISSIONS.VIEW];
+  if (guardianship.canDeposit) {
+    permissions.push(GUARDIAN_PERMISSIONS.DEPOSIT);
+  }
+  if (guardianship.canApproveWithdrawals) {
+    permissions.push(GUARDIAN_PERMISSIONS.APPROVE_WITHDRAWALS);
+  }
+  return permissions;
+}
+
+/**
+ * Shape a guardianship row for API responses.
+ *
+ * @param {object} row - Selected with GUARDIANSHIP_SELECT
+ * @returns {object}
+ */
+function toGuardianView(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    status: row.status,
+    expired: row.status === GUARDIANSHIP_STATUS.PENDING && row.expiresAt <= new Date(),
+    permissions: permissionsOf(row),
+    guardian: row.guardian || null,
+    invitedAt: row.createdAt,
+    respondedAt: row.respondedAt,
+  };
+}
+
+/**
+ * Find a redeemable (pending, unexpired) invitation by raw token.
+ *
+ * @param {string} token - Raw token from the email link
+ * @returns {Promise<object>} Guardianship with child { id, username, parentId, isActive }
+ * @throws {Error} with code 'INVALID_GUARDIAN_INVITATION'
+ */
+async function findPendingInvitation(token) {
+  if (!token || typeof token !== 'string') {
+    throw invalidInvitationError();
+  }
+
+  const invitation = await prisma.guardianship.findUnique({
+    where: { tokenHash: hashInvitationToken(token) },
+    select: {
+      id: true,
+      email: true,
+      status: true,
+      expiresAt: true,
+      canDeposit: true,
+      canApproveWithdrawals: true,
+      childId: true,
+      child: { select: { id: true, username: true, parentId: true, isActive: true } },
+    },
+  });
+
+  if (
+    !invitation ||
+    invitation.status !== GUARDIANSHIP_STATUS.PENDING ||
+    invitation.expiresAt <= new Date() ||
+    !invitation.child.isActive
+  ) {
+    throw invalidInvitationError();
+  }
+
+  return invitation;
+}
+
+// ============================================
+// Owner Functions
+// ============================================
+
+/**
+ * Invite someone by email to be a guardian of one of the parent's children.
+ *
+ * Workflow:
+ *   1. Load the child (scoped to the owning parent) and the parent
+ *   2. Reject inviting yourself or someone who is already a guardian
+ *   3. Re-inviting a pending address replaces its link (and permissions);
+ *      otherwise create a new invitation (at most MAX_GUARDIANS_PER_CHILD open)
+ *   4. Email the link and audit
+ *
+ * @param {number} parentId - Owning parent (from the access token)
+ * @param {number} childId - Child (ownership checked by verifyParentalLink)
+ * @param {object} invitation - { email, canDeposit?, canApproveWithdrawals? }
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} Guardian view (see toGuardianView)
+ * @throws {Error} with code 'CHILD_NOT_FOUND', 'GUARDIAN_INVITE_SELF',
+ *   'GUARDIAN_ALREADY_LINKED' or 'GUARDIAN_LIMIT_REACHED'
+ */
+async function inviteGuardian(parentId, childId, invitation, context = {}) {
+  const email = invitation.email.trim().toLowerCase();
+  const permissions = {
+    canDeposit: invitation.canDeposit === true,
+    canApproveWithdrawals: invitation.canApproveWithdrawals === true,
+  };
+
+  // ---- Step 1: Load child and inviting parent ----
+  const child = await prisma.child.findFirst({
+    where: { id: childId, parentId, isActive: true },
+    select: {
+      id: true,
+      username: true,
+      parent: { select: { email: true, fullName: true } },
+    },
+  });
+
+  if (!child) {
+    const error = new Error('Child not found');
+    error.code = 'CHILD_NOT_FOUND';
+    throw error;
+  }
+
+  // ---- Step 2: Reject self-invites and existing guardians ----
+  if (child.parent.email.toLowerCase() === email) {
+    const error = new Error('You cannot invite yourself as a guardian of your own child');
+    error.code = 'GUARDIAN_INVITE_SELF';
+    throw error;
+  }
+
+  const existing = await prisma.guardianship.findFirst({
+    where: { childId, email, status: { in: OPEN_STATUSES } },
+    select: { id: true, status: true },
+  });
+
+  if (existing?.status === GUARDIANSHIP_STATUS.ACCEPTED) {
+    const error = new Error('This person is already a guardian of this child');
+    error.code = 'GUARDIAN_ALREADY_LINKED';
+    throw error;
+  }
+
+  // ---- Step 3: Issue (or re-issue) the invitation ----
+  const token = crypto.randomBytes(INVITATION_TOKEN_BYTES).toString('base64url');
+  const ttlHours = env.guardianInviteTtlHours;
+  const data = {
+    tokenHash: hashInvitationToken(token),
+    expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000),
+    ...permissions,
+  };
+
+  let guardianship;
+  if (existing) {
+    // Pending: the new link replaces the old one
+    guardianship = await prisma.guardianship.update({
+      where: { id: existing.id },
+      data,
+      select: GUARDIANSHIP_SELECT,
+    });
+  } else {
+    const openCount = await prisma.guardianship.count({
+      where: { childId, status: { in: OPEN_STATUSES } },
+    });
+
+    if (openCount >= MAX_GUARDIANS_PER_CHILD) {
+      const error = new Error(`A child can have at most ${MAX_GUARDIANS_PER_CHILD} guardians and pending invitations`);
+      error.code = 'GUARDIAN_LIMIT_REACHED';
+      throw error;
+    }
+
+    try {
+      guardianship = await prisma.guardianship.create({
+        data: { ...data, childId, invitedById: parentId, email },
+        select: GUARDIANSHIP_SELECT,
+      });
+    } catch (err) {
+      // Concurrent invite of the same address (partial unique index)
+      if (err.code === 'P2002') {
+        const error = new Error('This person has already been invited');
+        error.code = 'GUARDIAN_ALREADY_LINKED';
+        throw error;
+      }
+      throw err;
+    }
+  }
+
+  // ---- Step 4: Deliver link and audit ----
+  const invitationUrl = new URL('/guardian-invitation', env.appBaseUrl);
+  invitationUrl.searchParams.set('token', token);
+
+  await notificationService.sendGuardianInvitationEmail(email, {
+    inviterName: child.parent.fullName,
+    childUsername: child.username,
+    invitationUrl: invitationUrl.toString(),
+    expiresInHours: ttlHours,
+  });
+
+  try {
+    auditService.logGuardianInvited(parentId, childId, guardianship.id, email, permissions, context.ipAddress);
+  } catch (logErr) {
+    console.warn('[GUARDIAN] Audit logging failed for invitation:', logErr.message);
+  }
+
+  return toGuardianView(guardianship);
+}
+
+/**
+ * List a child's guardians and pending invitations.
+ *
+ * @param {number} childId - Child (ownership checked by verifyParentalLink)
+ * @returns {Promise<object[]>} Guardian views, oldest first
+ */
+async function listGuardians(childId) {
+  const rows = await prisma.guardianship.findMany({
+    where: { childId, status: { in: OPEN_STATUSES } },
+    select: GUARDIANSHIP_SELECT,
+    orderBy: { createdAt: 'asc' },
+  });
+
+  return rows.map(toGuardianView);
+}
+
+/**
+ * Change what a guardian (or pending invitee) may do.
+ *
+ * @param {number} parentId - Owning parent
+ * @param {number} childId - Child (ownership checked by verifyParentalLink)
+ * @param {number} guardianshipId - Guardianship ID
+ * @param {object} changes - { canDeposit?, canApproveWithdrawals? }
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} Updated guardian view
+ * @throws {Error} with code 'GUARDIANSHIP_NOT_FOUND'
+ */
+async function updateGuardianPermissions(parentId, childId, guardianshipId, changes, context = {}) {
+  const data = {};
+  if (changes.canDeposit !== undefined) {
+    data.canDeposit = changes.canDeposit;
+  }
+  if (changes.canApproveWithdrawals !== undefined) {
+    data.canApproveWithdrawals = changes.canApproveWithdrawals;
+  }
+
+  // Scoped by childId and open status: revoked/declined rows stay as history
+  const { count } = await prisma.guardianship.updateMany({
+    where: { id: guardianshipId, childId, status: { in: OPEN_STATUSES } },
+    data,
+  });
+
+  if (count === 0) {
+    throw guardianshipNotFoundError();
+  }
+
+  const guardianship = await prisma.guardianship.findUnique({
+    where: { id: guardianshipId },
+    select: GUARDIANSHIP_SELECT,
+  });
+
+  try {
+    auditService.logGuardianPermissionsUpdated(parentId, childId, guardianshipId, {
+      canDeposit: guardianship.canDeposit,
+      canApproveWithdrawals: guardianship.canApproveWithdrawals,
+    }, context.ipAddress);
+  } catch (logErr) {
+    console.warn('[GUARDIAN] Audit logging failed for permission change:', logErr.message);
+  }
+
+  return toGuardianView(guardianship);
+}
+
+/**
+ * Remove a guardian, or cancel a pending invitation.
+ *
+ * Takes effect on the guardian's next request (access is checked per
+ * request, not stored in tokens).
+ *
+ * @param {number} parentId - Owning parent
+ * @param {number} childId - Child (ownership checked by verifyParentalLink)
+ * @param {number} guardianshipId - Guardianship ID
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { guardianshipId, revokedAt }
+ * @throws {Error} with code 'GUARDIANSHIP_NOT_FOUND'
+ */
+async function revokeGuardian(parentId, childId, guardianshipId, context = {}) {
+  const guardianship = await prisma.guardianship.findFirst({
+    where: { id: guardianshipId, childId, status: { in: OPEN_STATUSES } },
+    select: { id: true, status: true },
+  });
+
+  if (!guardianship) {
+    throw guardianshipNotFoundError();
+  }
+
+  const revokedAt = new Date();
+  const { count } = await prisma.guardianship.updateMany({
+    where: { id: guardianshipId, status: guardianship.status },
+    data: { status: GUARDIANSHIP_STATUS.REVOKED, revokedAt },
+  });
+
+  // Accepted/declined/revoked concurrently
+  if (count === 0) {
+    throw guardianshipNotFoundError();
+  }
+
+  try {
+    auditService.logGuardianRevoked(parentId, childId, guardianshipId, guardianship.status, context.ipAddress);
+  } catch (logErr) {
+    console.warn('[GUARDIAN] Audit logging failed for revocation:', logErr.message);
+  }
+
+  return { guardianshipId, revokedAt };
+}
+
+// ============================================
+// Invitee Functions
+// ============================================
+
+/**
+ * Accept a guardian invitation as the signed-in parent account.
+ *
+ * @param {number} parentId - Signed-in account (from the access token)
+ * @param {string} token - Raw token from the email link
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { guardianshipId, child: { id, username }, permissions }
+ * @throws {Error} with code 'INVALID_GUARDIAN_INVITATION' or
+ *   'GUARDIAN_INVITATION_EMAIL_MISMATCH'
+ */
+async function acceptInvitation(parentId, token, context = {}) {
+  try {
+    // ---- Step 1: Find a redeemable invitation ----
+    const invitation = await findPendingInvitation(token);
+
+    // ---- Step 2: Only the invited address may accept ----
+    const parent = await prisma.parent.findUnique({
+      where: { id: parentId },
+      select: { email: true },
+    });
+
+    if (!parent || invitation.child.parentId === parentId) {
+      throw invalidInvitationError();
+    }
+
+    if (parent.email.toLowerCase() !== invitation.email) {
+      const error = new Error('This invitation was sent to a different email address');
+      error.code = 'GUARDIAN_INVITATION_EMAIL_MISMATCH';
+      throw error;
+    }
+
+    // ---- Step 3: Claim it (conditional update → single use under races) ----
+    const { count } = await prisma.guardianship.updateMany({
+      where: { id: invitation.id, status: GUARDIANSHIP_STATUS.PENDING },
+      data: {
+        status: GUARDIANSHIP_STATUS.ACCEPTED,
+        guardianId: parentId,
+        respondedAt: new Date(),
+      },
+    });
+
+    if (count === 0) {
+      throw invalidInvitationError();
+    }
+
+    // ---- Step 4: Audit ----
+    try {
+      auditService.logGuardianInvitationAccepted(parentId, invitation.childId, invitation.id, context.ipAddress);
+    } catch (logErr) {
+      console.warn('[GUARDIAN] Audit logging failed for acceptance:', logErr.message);
+    }
+
+    return {
+      guardianshipId: invitation.id,
+      child: { id: invitation.child.id, username: invitation.child.username },
+      permissions: permissionsOf(invitation),
+    };
+
+  } catch (err) {
+    if (err.code === 'INVALID_GUARDIAN_INVITATION' || err.code === 'GUARDIAN_INVITATION_EMAIL_MISMATCH') {
+      try {
+        auditService.logGuardianInvitationFailed(parentId, err.code, context.ipAddress);
+      } catch (logErr) {
+        console.warn('[GUARDIAN] Audit logging failed for rejected invitation:', logErr.message);
+      }
+    }
+    throw err;
+  }
+}
+
+/**
+ * Decline a guardian invitation. Needs no account: the token is the credential.
+ *
+ * @param {string} token - Raw token from the email link
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<void>}
+ * @throws {Error} with code 'INVALID_GUARDIAN_INVITATION'
+ */
+async function declineInvitation(token, context = {}) {
+  try {
+    const invitation = await findPendingInvitation(token);
+
+    const { count } = await prisma.guardianship.updateMany({
+      where: { id: invitation.id, status: GUARDIANSHIP_STATUS.PENDING },
+      data: { status: GUARDIANSHIP_STATUS.DECLINED, respondedAt: new Date() },
+    });
+
+    if (count === 0) {
+      throw invalidInvitationError();
+    }
+
+    try {
+      auditService.logGuardianInvitationDeclined(invitation.childId, invitation.id, context.ipAddress);
+    } catch (logErr) {
+      console.warn('[GUARDIAN] Audit logging failed for decline:', logErr.message);
+    }
+
+  } catch (err) {
+    if (err.code === 'INVALID_GUARDIAN_INVITATION') {
+      try {
+        auditService.logGuardianInvitationFailed(null, err.code, context.ipAddress);
+      } catch (logErr) {
+        console.warn('[GUARDIAN] Audit logging failed for rejected invitation:', logErr.message);
+      }
+    }
+    throw err;
+  }
+}
+
+/**
+ * List the (active) children a parent account is a guardian of.
+ *
+ * @param {number} guardianId - Signed-in account
+ * @returns {Promise<object[]>} [{ guardianshipId, child: { id, username, avatar, colorTheme }, permissions }]
+ */
+async function listGuardedChildren(guardianId) {
+  const rows = await prisma.guardianship.findMany({
+    where: {
+      guardianId,
+      status: GUARDIANSHIP_STATUS.ACCEPTED,
+      child: { isActive: true },
+    },
+    select: {
+      id: true,
+      canDeposit: true,
+      canApproveWithdrawals: true,
+      child: { select: { id: true, username: true, avatar: true, colorTheme: true } },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  return rows.map(row => ({
+    guardianshipId: row.id,
+    child: row.child,
+    permissions: permissionsOf(row),
+  }));
+}
+
+// ============================================
+// Authorization
+// ============================================
+
+/**
+ * Accepted guardianship linking a parent account to a child, if any.
+ *
+ * Used by ownershipMiddleware.verifyParentalLink for accounts that don't
+ * own the child.
+ *
+ * @param {number} guardianId - Signed-in account
+ * @param {number} childId - Child
+ * @returns {Promise<object|null>} { id, permissions } or null
+ */
+async function findActiveGuardianship(guardianId, childId) {
+  const guardianship = await prisma.guardianship.findFirst({
+    where: { guardianId, childId, status: GUARDIANSHIP_STATUS.ACCEPTED },
+    select: { id: true, canDeposit: true, canApproveWithdrawals: true },
+  });
+
+  if (!guardianship) {
+    return null;
+  }
+
+  return {
+    id: guardianship.id,
+    permissions: permissionsOf(guardianship),
+  };
+}
+
+module.exports = {
+  // Owner
+  inviteGuardian,
+  listGuardians,
+  updateGuardianPermissions,
+  revokeGuardian,
+
+  // Invitee
+  acceptInvitation,
+  declineInvitation,
+  listGuardedChildren,
+
+  // Authorization
+  findActiveGuardianship,
+
+  // Constants
+  GUARDIANSHIP_STATUS,
+  GUARDIAN_PERMISSIONS,
+  MAX_GUARDIANS_PER_CHILD,
+};
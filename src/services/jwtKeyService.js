@@ -0,0 +1,265 @@
+/**
+ * src/services/jwtKeyService.js
+ *
+ * Keyring for signing and verifying access/refresh tokens.
+ *
+ * Purpose:
+ *   - Sign tokens with the active asymmetric key (RS256 or EdDSA) and a
+ *     "kid" header naming it
+ *   - Verify tokens with whichever configured key the "kid" names, so keys
+ *     can be rotated without signing everyone out
+ *   - Publish the public keys as a JWKS (GET /.well-known/jwks.json) so
+ *     other services can verify tokens without holding any secret
+ *
+ * Key Configuration (JWT_KEYS_DIR):
+ *   One PEM file per key, named <kid>.pem:
+ *     - Private key (PKCS#8 or PKCS#1)  → can sign and verify
+ *     - Public key (SPKI)               → verify only (retired key)
+ *   Key type picks the algorithm: RSA (≥ 2048 bits) → RS256, Ed25519 → EdDSA.
+ *   JWT_ACTIVE_KID names the key new tokens are signed with.
+ *
+ *   Generate keys:
+ *     openssl genpkey -algorithm ed25519 -out keys/2024-06.pem
+ *     openssl genpkey -algorithm rsa -pkeyopt rsa_keygen_bits:2048 -out keys/2024-06.pem
+ *
+ * Rotation:
+ *   1. Add the new <kid>.pem and deploy (verified, not yet used to sign)
+ *   2. Set JWT_ACTIVE_KID to the new kid and deploy
+ *   3. Replace the old private key with its public key
+ *      (openssl pkey -in old.pem -pubout -out old.pem)
+ *   4. Delete the old file once its tokens have expired (refresh tokens: 7 days)
+ *
+ * Legacy HS256 (JWT_SECRET):
+ *   Without JWT_KEYS_DIR, tokens are signed HS256 with JWT_SECRET (no kid),
+ *   as before. With a keyring, kid-less HS256 tokens are refused unless
+ *   JWT_ACCEPT_HS256=true: an opt-in for the switch-over, so it doesn't sign
+ *   everyone out. While it is on, anyone holding JWT_SECRET can still mint
+ *   tokens, so turn it off once those tokens have expired (7 days).
+ *
+ * Security Considerations:
+ *   - The header's alg must match the key's algorithm (no alg switching,
+ *     no "none", no verifying RS256 tokens as HS256 with the public key)
+ *   - Private keys never leave this module; the JWKS holds public keys only
+ *   - Invalid key configuration stops the server at startup
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const env = require('../config/env');
+const jws = require('../utils/jws');
+
+// ============================================
+// Configuration Constants
+// ============================================
+
+// kid values become file names and JWKS entries
+const KID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Smallest RSA modulus accepted (NIST SP 800-131A)
+const MIN_RSA_MODULUS_BITS = 2048;
+
+// typ claim: what a token may be used for. Access and refresh tokens are
+// signed with the same keys, so only this claim keeps a refresh token from
+// being accepted as a Bearer token (and vice versa).
+const TOKEN_TYPES = {
+  ACCESS: 'access',
+  REFRESH: 'refresh',
+};
+
+// ============================================
+// Key Loading
+// ============================================
+
+/**
+ * Pick the JWS algorithm for a public key.
+ *
+ * @param {KeyObject} publicKey
+ * @param {string} kid - For error messages
+ * @returns {string} RS256 or EdDSA
+ * @throws {Error} for unsupported key types and short RSA keys
+ */
+function algorithmForKey(publicKey, kid) {
+  const { asymmetricKeyType, asymmetricKeyDetails } = publicKey;
+
+  if (asymmetricKeyType === 'rsa') {
+    if (asymmetricKeyDetails.modulusLength < MIN_RSA_MODULUS_BITS) {
+      throw new Error(`JWT key "${kid}": RSA keys must be at least ${MIN_RSA_MODULUS_BITS} bits`);
+    }
+    return jws.ALGORITHMS.RS256;
+  }
+
+  if (asymmetricKeyType === 'ed25519') {
+    return jws.ALGORITHMS.EdDSA;
+  }
+
+  throw new Error(`JWT key "${kid}": unsupported key type ${asymmetricKeyType} (use RSA or Ed25519)`);
+}
+
+/**
+ * Parse one PEM file into a keyring entry.
+ *
+ * @param {string} kid - Key ID (file name without .pem)
+ * @param {string} pem - File contents
+ * @returns {object} { kid, algorithm, publicKey, privateKey|null }
+ */
+function parseKey(kid, pem) {
+  let privateKey = null;
+  let publicKey;
+
+  if (pem.includes('PRIVATE KEY')) {
+    privateKey = crypto.createPrivateKey(pem);
+    publicKey = crypto.createPublicKey(privateKey);
+  } else {
+    publicKey = crypto.createPublicKey(pem);
+  }
+
+  return {
+    kid,
+    algorithm: algorithmForKey(publicKey, kid),
+    publicKey,
+    privateKey,
+  };
+}
+
+/**
+ * Load every <kid>.pem in a directory.
+ *
+ * @param {string} dir - JWT_KEYS_DIR
+ * @param {string} activeKid - JWT_ACTIVE_KID
+ * @returns {Map<string, object>} kid → key
+ * @throws {Error} if a file is invalid or the active key can't sign
+ */
+function loadKeyring(dir, activeKid) {
+  const keyring = new Map();
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (path.extname(file) !== '.pem') {
+      continue;
+    }
+
+    const kid = path.basename(file, '.pem');
+    if (!KID_PATTERN.test(kid)) {
+      throw new Error(`JWT key file "${file}": name must match ${KID_PATTERN}`);
+    }
+
+    keyring.set(kid, parseKey(kid, fs.readFileSync(path.join(dir, file), 'utf8')));
+  }
+
+  const active = keyring.get(activeKid);
+  if (!active) {
+    throw new Error(`JWT_ACTIVE_KID "${activeKid}" has no ${activeKid}.pem in ${dir}`);
+  }
+  if (!active.privateKey) {
+    throw new Error(`JWT_ACTIVE_KID "${activeKid}" is a public key; the active key must be a private key`);
+  }
+
+  return keyring;
+}
+
+// Loaded once at startup; an invalid configuration stops the server
+let keyring = new Map();
+
+try {
+  if (env.jwtKeysDir) {
+    keyring = loadKeyring(env.jwtKeysDir, env.jwtActiveKid);
+    const active = keyring.get(env.jwtActiveKid);
+    console.log(`[JWT] Keyring loaded: ${keyring.size} key(s), signing with "${active.kid}" (${active.algorithm})`);
+  }
+} catch (err) {
+  console.error('[JWT] CRITICAL ERROR:', err.message);
+  process.exit(1);
+}
+
+// ============================================
+// Key Selection
+// ============================================
+
+/**
+ * Key used to sign new tokens.
+ *
+ * @returns {object} { algorithm, key, kid? } for jws.sign
+ */
+function getSigningKey() {
+  if (keyring.size === 0) {
+    // Legacy mode: HS256 with JWT_SECRET, no kid
+    return { algorithm: jws.ALGORITHMS.HS256, key: env.jwtSecret };
+  }
+
+  const active = keyring.get(env.jwtActiveKid);
+  return { algorithm: active.algorithm, key: active.privateKey, kid: active.kid };
+}
+
+/**
+ * Key that should have signed a token, chosen by its header.
+ *
+ * @param {object} header - Decoded JWS header { alg, kid? }
+ * @returns {object|null} { algorithm, key } or null if none matches
+ */
+function resolveVerificationKey(header) {
+  if (header.kid !== undefined) {
+    const entry = keyring.get(header.kid);
+    return entry ? { algorithm: entry.algorithm, key: entry.publicKey } : null;
+  }
+
+  // kid-less tokens: HS256 with JWT_SECRET (always without a keyring;
+  // with one, only during the opt-in migration window)
+  if (keyring.size === 0 || env.jwtAcceptHs256) {
+    return { algorithm: jws.ALGORITHMS.HS256, key: env.jwtSecret };
+  }
+
+  return null;
+}
+
+// ============================================
+// Service Functions
+// ============================================
+
+/**
+ * Sign a token with the active key.
+ *
+ * @param {object} payload - Claims
+ * @param {object} [options] - { expiresIn, jwtid, subject, audience } (see jws.sign)
+ * @returns {string} Signed token
+ */
+function signToken(payload, options = {}) {
+  return jws.sign(payload, getSigningKey(), options);
+}
+
+/**
+ * Verify a token's signature (key chosen by kid) and time claims.
+ *
+ * @param {string} token
+ * @param {object} [options] - { audience }
+ * @returns {object} Token payload
+ * @throws {Error} JsonWebTokenError / TokenExpiredError (same as jsonwebtoken)
+ */
+function verifyToken(token, options = {}) {
+  return jws.verify(token, resolveVerificationKey, options);
+}
+
+/**
+ * Public keys as a JSON Web Key Set (RFC 7517).
+ *
+ * Includes verify-only (retired) keys so tokens they signed still verify
+ * elsewhere. Empty in legacy HS256 mode (a shared secret is never published).
+ *
+ * @returns {object} { keys: [{ kty, kid, alg, use, ... }] }
+ */
+function getJwks() {
+  return {
+    keys: [...keyring.values()].map(entry => ({
+      ...entry.publicKey.export({ format: 'jwk' }),
+      kid: entry.kid,
+      alg: entry.algorithm,
+      use: 'sig',
+    })),
+  };
+}
+
+module.exports = {
+  TOKEN_TYPES,
+  signToken,
+  verifyToken,
+  getJwks,
+};
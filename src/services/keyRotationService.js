@@ -0,0 +1,562 @@
+/**
+ * src/services/keyRotationService.js
+ *
+ * Re-encrypts stored values with the active encryption key, after a key
+ * rotation (see encryptionService KEY ROTATION PROCEDURE).
+ *
+ * Purpose:
+ *   - Walk every encrypted column and move values still on an older key
+ *     to the active one: ENCRYPTION_ACTIVE_KEY_VERSION, or with envelope
+ *     encryption a data key wrapped by the KMS's active master key
+ *   - Report progress while doing so, and audit the run
+ *   - Tell when an old key is no longer needed (nothing pending on it)
+ *   - Fill parents.phoneNumberIndex (blind index) for rows written before
+ *     it existed, or recompute it after a BLIND_INDEX_KEY change
+ *   - Encrypt values stored before their column was encrypted (parent
+ *     names, children's dates of birth)
+ *
+ * Architecture Pattern: Service Layer
+ *   npm run encryption:reencrypt → keyRotationService → encryptionService + Prisma
+ *   npm run encryption:reindex   → keyRotationService → encryptionService + Prisma
+ *   npm run encryption:encrypt   → keyRotationService → encryptionService + Prisma
+ *
+ * Resuming:
+ *   Nothing is tracked outside the data: a value's key prefix ("v2:",
+ *   "kms:<master key id>:") says whether it still needs work. A run that stops half way (crash, Ctrl+C)
+ *   is resumed by running it again; it only sees what is left.
+ *
+ * Concurrency:
+ *   Each value is written back only if it is still the value that was
+ *   read, so a parent changing their phone number during the run wins
+ *   (their new value is already on the active key). Safe to run while the
+ *   API serves traffic.
+ *
+ * Security Considerations:
+ *   - Plaintext exists only in memory, one value at a time; it is never
+ *     logged or included in progress or audit details
+ *   - A value that can't be decrypted is left untouched, counted, and
+ *     audited (DECRYPTION_FAILURE / DECRYPTION_TAMPERING_DETECTED); keep
+ *     the old key until the run reports no failures
+ */
+
+// rawPrisma: this job reads and writes ciphertexts as stored, so it
+// bypasses the client's transparent encryption
+const { rawPrisma: prisma, ENCRYPTED_FIELDS } = require('../config/db');
+const encryptionService = require('./encryptionService');
+const auditService = require('./auditService');
+
+const { FIELD_TYPES } = encryptionService;
+
+// ============================================
+// Configuration Constants
+// ============================================
+
+// Every column holding encryptionService ciphertexts (ENCRYPTED_FIELDS in
+// config/db.js), as { model: client property, field, fieldType, codec,
+// migratedFromPlaintext }
+const ENCRYPTED_COLUMNS = Object.entries(ENCRYPTED_FIELDS).flatMap(([model, fields]) =>
+  Object.entries(fields).map(([field, { fieldType, codec, migratedFromPlaintext }]) => ({
+    model: model.charAt(0).toLowerCase() + model.slice(1),
+    field,
+    fieldType,
+    codec: codec || null,
+    migratedFromPlaintext: Boolean(migratedFromPlaintext),
+  }))
+);
+
+// Columns whose rows may still hold the plaintext they had before being
+// encrypted (npm run encryption:encrypt)
+const PLAINTEXT_COLUMNS = ENCRYPTED_COLUMNS.filter((column) => column.migratedFromPlaintext);
+
+// Rows read per query
+const REENCRYPT_BATCH_SIZE = 200;
+
+// Failed row IDs kept per column in the summary and audit event
+const MAX_REPORTED_FAILURES = 20;
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * "model.field", as shown in progress and audit details.
+ *
+ * @param {object} column - ENCRYPTED_COLUMNS entry
+ * @returns {string}
+ */
+function columnName(column) {
+  return `${column.model}.${column.field}`;
+}
+
+/**
+ * Rows whose value isn't (yet) on the active key.
+ *
+ * Legacy values carry no prefix, so they match too; with the active key at
+ * version 1 they are left as they are (see reencryptColumn).
+ *
+ * @param {object} column - ENCRYPTED_COLUMNS entry
+ * @returns {object} Prisma where
+ */
+function pendingWhere(column) {
+  return {
+    [column.field]: { not: null },
+    NOT: { [column.field]: { startsWith: encryptionService.getActiveKeyPrefix() } },
+  };
+}
+
+/**
+ * Rows the plaintext job has to look at: every stored value.
+ *
+ * Not pendingWhere: plaintext can start with the active key's prefix
+ * ("v2: Jane"), so only isEncryptedValue can tell the two apart.
+ *
+ * @param {object} column - PLAINTEXT_COLUMNS entry
+ * @returns {object} Prisma where
+ */
+function plaintextWhere(column) {
+  return { [column.field]: { not: null } };
+}
+
+// ============================================
+// Service Functions
+// ============================================
+
+/**
+ * Values still to re-encrypt, per column.
+ *
+ * @returns {Promise<object[]>} [{ column: 'parent.phoneNumber', pending }]
+ */
+async function countPendingReencryption() {
+  return Promise.all(
+    ENCRYPTED_COLUMNS.map(async (column) => ({
+      column: columnName(column),
+      pending: await prisma[column.model].count({ where: pendingWhere(column) }),
+    }))
+  );
+}
+
+/**
+ * Re-encrypt one column, batch by batch.
+ *
+ * @param {object} column - ENCRYPTED_COLUMNS entry
+ * @param {number} total - Pending count at the start (for progress)
+ * @param {object} options - { batchSize, onProgress }
+ * @returns {Promise<object>} { column, total, reencrypted, skipped, failed, failedIds }
+ */
+async function reencryptColumn(column, total, { batchSize, onProgress }) {
+  const summary = {
+    column: columnName(column),
+    total,
+    reencrypted: 0,
+    skipped: 0,
+    failed: 0,
+    failedIds: [],
+  };
+  const where = pendingWhere(column);
+  let lastId = 0;
+
+  for (;;) {
+    // ---- Step 1: Next batch (by id, so failed rows don't come round again) ----
+    const rows = await prisma[column.model].findMany({
+      where: { ...where, id: { gt: lastId } },
+      orderBy: { id: 'asc' },
+      take: batchSize,
+      select: { id: true, [column.field]: true },
+    });
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const row of rows) {
+      const current = row[column.field];
+
+      // ---- Step 2: Legacy values already on the active key ----
+      // (and plaintext, left to encryptPlaintextValues)
+      if (!encryptionService.needsReencryption(current) ||
+          (column.migratedFromPlaintext && !encryptionService.isEncryptedValue(current))) {
+        summary.skipped++;
+        continue;
+      }
+
+      // ---- Step 3: Decrypt with the old key, encrypt with the active one ----
+      let reencrypted;
+      try {
+        reencrypted = await encryptionService.reencryptField(current, column.fieldType);
+      } catch (err) {
+        summary.failed++;
+        if (summary.failedIds.length < MAX_REPORTED_FAILURES) {
+          summary.failedIds.push(row.id);
+        }
+        auditService.logDecryptionFailure(column.fieldType, err);
+        continue;
+      }
+
+      // ---- Step 4: Write back unless the value changed meanwhile ----
+      const { count } = await prisma[column.model].updateMany({
+        where: { id: row.id, [column.field]: current },
+        data: { [column.field]: reencrypted },
+      });
+      if (count === 1) {
+        summary.reencrypted++;
+      } else {
+        summary.skipped++;
+      }
+    }
+
+    lastId = rows[rows.length - 1].id;
+
+    // ---- Step 5: Progress ----
+    if (onProgress) {
+      onProgress({ ...summary, processed: summary.reencrypted + summary.skipped + summary.failed });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Move every encrypted value to the active key.
+ *
+ * Workflow:
+ *   1. Count what is pending per column; audit the start
+ *   2. Re-encrypt each column (see reencryptColumn), reporting progress
+ *   3. Audit the outcome, including a run that stopped on an error
+ *
+ * @param {object} [options]
+ * @param {number} [options.batchSize=200] - Rows per query
+ * @param {Function} [options.onProgress] - Called after each batch with
+ *   { column, total, processed, reencrypted, skipped, failed, failedIds }
+ * @returns {Promise<object>} { activeKey, columns: [per-column summary] }
+ */
+async function reencryptAll({ batchSize = REENCRYPT_BATCH_SIZE, onProgress } = {}) {
+  const { activeKey } = encryptionService.getKeyringStatus();
+  const columns = [];
+  let complete = false;
+
+  // ---- Step 1: What is left ----
+  const pending = await countPendingReencryption();
+  auditService.logReencryptionStarted(activeKey, pending);
+
+  try {
+    // ---- Step 2: Column by column ----
+    for (const column of ENCRYPTED_COLUMNS) {
+      const { pending: total } = pending.find((entry) => entry.column === columnName(column));
+      columns.push(await reencryptColumn(column, total, { batchSize, onProgress }));
+    }
+
+    complete = true;
+    return { activeKey, columns };
+  } finally {
+    // ---- Step 3: Audit ----
+    try {
+      auditService.logReencryptionCompleted(activeKey, columns, complete);
+    } catch (logErr) {
+      console.warn('[ENCRYPTION] Audit logging failed for re-encryption:', logErr.message);
+    }
+  }
+}
+
+/**
+ * Parents whose phone number blind index is missing.
+ *
+ * @returns {Promise<number>}
+ */
+async function countUnindexedPhoneNumbers() {
+  return prisma.parent.count({ where: { phoneNumberIndex: null } });
+}
+
+/**
+ * Fill (or recompute) parents.phoneNumberIndex from the encrypted numbers.
+ *
+ * Workflow:
+ *   1. Count the rows to index
+ *   2. Batch by batch: decrypt each number, compute its blind index, write
+ *      it unless the number changed meanwhile
+ *   3. Audit the outcome, including a run that stopped on an error
+ *
+ * Uniqueness Policy:
+ *   One parent account per phone number. A number already indexed for
+ *   another parent is a conflict: the row is left unindexed and reported,
+ *   for support to resolve (only one account can keep the number).
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.all=false] - Every parent, not only unindexed
+ *   ones (after changing BLIND_INDEX_KEY)
+ * @param {number} [options.batchSize=200] - Rows per query
+ * @param {Function} [options.onProgress] - Called after each batch with
+ *   { column, total, processed, indexed, unchanged, conflicts, failed }
+ * @returns {Promise<object>} { column, total, indexed, unchanged, conflicts,
+ *   failed, conflictIds, failedIds }
+ */
+async function rebuildPhoneNumberIndex({ all = false, batchSize = REENCRYPT_BATCH_SIZE, onProgress } = {}) {
+  const where = all ? {} : { phoneNumberIndex: null };
+  const summary = {
+    column: 'parent.phoneNumber',
+    total: await prisma.parent.count({ where }),
+    indexed: 0,
+    unchanged: 0,
+    conflicts: 0,
+    failed: 0,
+    conflictIds: [],
+    failedIds: [],
+  };
+  let complete = false;
+  let lastId = 0;
+
+  const report = (kind, id) => {
+    summary[kind === 'conflict' ? 'conflicts' : 'failed']++;
+    const ids = kind === 'conflict' ? summary.conflictIds : summary.failedIds;
+    if (ids.length < MAX_REPORTED_FAILURES) {
+      ids.push(id);
+    }
+  };
+
+  try {
+    for (;;) {
+      // ---- Step 1: Next batch (by id, so conflicting rows don't come round again) ----
+      const rows = await prisma.parent.findMany({
+        where: { ...where, id: { gt: lastId } },
+        orderBy: { id: 'asc' },
+        take: batchSize,
+        select: { id: true, phoneNumber: true, phoneNumberIndex: true },
+      });
+      if (rows.length === 0) {
+        break;
+      }
+
+      for (const row of rows) {
+        // ---- Step 2: Decrypt and index ----
+        let phoneNumberIndex;
+        try {
+          const phoneNumber = await encryptionService.decryptField(row.phoneNumber, FIELD_TYPES.PHONE);
+          phoneNumberIndex = encryptionService.computeBlindIndex(phoneNumber, FIELD_TYPES.PHONE);
+        } catch (err) {
+          report('failed', row.id);
+          auditService.logDecryptionFailure(FIELD_TYPES.PHONE, err);
+          continue;
+        }
+
+        // Not a Kenyan mobile number (stored before validation): can't be indexed
+        if (!phoneNumberIndex) {
+          report('failed', row.id);
+          continue;
+        }
+
+        if (phoneNumberIndex === row.phoneNumberIndex) {
+          summary.unchanged++;
+          continue;
+        }
+
+        // ---- Step 3: Write unless the number changed meanwhile ----
+        try {
+          const { count } = await prisma.parent.updateMany({
+            where: { id: row.id, phoneNumber: row.phoneNumber },
+            data: { phoneNumberIndex },
+          });
+          if (count === 1) {
+            summary.indexed++;
+          } else {
+            // The API wrote a new number, and its index with it
+            summary.unchanged++;
+          }
+        } catch (err) {
+          if (err.code !== 'P2002') {
+            throw err;
+          }
+          report('conflict', row.id);
+        }
+      }
+
+      lastId = rows[rows.length - 1].id;
+
+      // ---- Step 4: Progress ----
+      if (onProgress) {
+        onProgress({
+          column: summary.column,
+          total: summary.total,
+          processed: summary.indexed + summary.unchanged + summary.conflicts + summary.failed,
+          indexed: summary.indexed,
+          unchanged: summary.unchanged,
+          conflicts: summary.conflicts,
+          failed: summary.failed,
+        });
+      }
+    }
+
+    complete = true;
+    return summary;
+  } finally {
+    // ---- Step 5: Audit ----
+    try {
+      auditService.logBlindIndexRebuilt(summary.column, summary, complete);
+    } catch (logErr) {
+      console.warn('[ENCRYPTION] Audit logging failed for blind index rebuild:', logErr.message);
+    }
+  }
+}
+
+/**
+ * Values still stored as plaintext, per PLAINTEXT_COLUMNS column.
+ *
+ * Plaintext can't be told from ciphertext in a where clause, so each
+ * column is read through (values only), batch by batch.
+ *
+ * @param {object} [options]
+ * @param {number} [options.batchSize=200] - Rows per query
+ * @returns {Promise<object[]>} [{ column: 'parent.fullName', plaintext }]
+ */
+async function countPlaintextValues({ batchSize = REENCRYPT_BATCH_SIZE } = {}) {
+  const counts = [];
+
+  for (const column of PLAINTEXT_COLUMNS) {
+    let plaintext = 0;
+    let lastId = 0;
+
+    for (;;) {
+      const rows = await prisma[column.model].findMany({
+        where: { ...plaintextWhere(column), id: { gt: lastId } },
+        orderBy: { id: 'asc' },
+        take: batchSize,
+        select: { id: true, [column.field]: true },
+      });
+      if (rows.length === 0) {
+        break;
+      }
+
+      plaintext += rows.filter((row) => !encryptionService.isEncryptedValue(row[column.field])).length;
+      lastId = rows[rows.length - 1].id;
+    }
+
+    counts.push({ column: columnName(column), plaintext });
+  }
+
+  return counts;
+}
+
+/**
+ * Encrypt one column's plaintext values, batch by batch.
+ *
+ * @param {object} column - PLAINTEXT_COLUMNS entry
+ * @param {object} options - { batchSize, onProgress }
+ * @returns {Promise<object>} { column, total, encrypted, skipped, failed, failedIds }
+ */
+async function encryptPlaintextColumn(column, { batchSize, onProgress }) {
+  // total: the candidates; those already encrypted are skipped
+  const where = plaintextWhere(column);
+  const summary = {
+    column: columnName(column),
+    total: await prisma[column.model].count({ where }),
+    encrypted: 0,
+    skipped: 0,
+    failed: 0,
+    failedIds: [],
+  };
+  let lastId = 0;
+
+  for (;;) {
+    // ---- Step 1: Next batch (by id, so failed rows don't come round again) ----
+    const rows = await prisma[column.model].findMany({
+      where: { ...where, id: { gt: lastId } },
+      orderBy: { id: 'asc' },
+      take: batchSize,
+      select: { id: true, [column.field]: true },
+    });
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const row of rows) {
+      const current = row[column.field];
+
+      // ---- Step 2: Already encrypted (older key: encryption:reencrypt) ----
+      if (encryptionService.isEncryptedValue(current)) {
+        summary.skipped++;
+        continue;
+      }
+
+      // ---- Step 3: A value its codec can't decode stays as it is ----
+      if (column.codec && !column.codec.isValid(current)) {
+        summary.failed++;
+        if (summary.failedIds.length < MAX_REPORTED_FAILURES) {
+          summary.failedIds.push(row.id);
+        }
+        continue;
+      }
+
+      // ---- Step 4: Encrypt; write back unless the value changed meanwhile ----
+      const ciphertext = await encryptionService.encryptField(current, column.fieldType);
+      const { count } = await prisma[column.model].updateMany({
+        where: { id: row.id, [column.field]: current },
+        data: { [column.field]: ciphertext },
+      });
+      if (count === 1) {
+        summary.encrypted++;
+      } else {
+        summary.skipped++;
+      }
+    }
+
+    lastId = rows[rows.length - 1].id;
+
+    // ---- Step 5: Progress ----
+    if (onProgress) {
+      onProgress({ ...summary, processed: summary.encrypted + summary.skipped + summary.failed });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Encrypt the values stored before their column was encrypted (parent
+ * names and children's dates of birth, migration 23).
+ *
+ * Workflow:
+ *   1. Each PLAINTEXT_COLUMNS column in turn (see encryptPlaintextColumn):
+ *      values that aren't ciphertext (encryptionService.isEncryptedValue)
+ *      are encrypted with the active key
+ *   2. Audit the outcome, including a run that stopped on an error
+ *
+ * A value that can't be encrypted (a date of birth that isn't a date) is
+ * left as it is and reported; the API can't read that row until it is
+ * fixed and the job run again.
+ *
+ * @param {object} [options]
+ * @param {number} [options.batchSize=200] - Rows per query
+ * @param {Function} [options.onProgress] - Called after each batch with
+ *   { column, total, processed, encrypted, skipped, failed, failedIds }
+ * @returns {Promise<object>} { columns: [per-column summary] }
+ * @throws {Error} If encryption fails (key or KMS unavailable); the run
+ *   stops and can be resumed
+ */
+async function encryptPlaintextValues({ batchSize = REENCRYPT_BATCH_SIZE, onProgress } = {}) {
+  const columns = [];
+  let complete = false;
+
+  try {
+    // ---- Step 1: Column by column ----
+    for (const column of PLAINTEXT_COLUMNS) {
+      columns.push(await encryptPlaintextColumn(column, { batchSize, onProgress }));
+    }
+
+    complete = true;
+    return { columns };
+  } finally {
+    // ---- Step 2: Audit ----
+    try {
+      auditService.logPlaintextEncrypted(columns, complete);
+    } catch (logErr) {
+      console.warn('[ENCRYPTION] Audit logging failed for plaintext encryption:', logErr.message);
+    }
+  }
+}
+
+module.exports = {
+  countPendingReencryption,
+  reencryptAll,
+  countUnindexedPhoneNumbers,
+  rebuildPhoneNumberIndex,
+  countPlaintextValues,
+  encryptPlaintextValues,
+  ENCRYPTED_COLUMNS,
+};
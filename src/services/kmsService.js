@@ -0,0 +1,359 @@
+/**
+ * src/services/kmsService.js
+ *
+ * Key management for envelope encryption (see encryptionService).
+ *
+ * Purpose:
+ *   - Give encryptionService a fresh data key for every value it encrypts,
+ *     wrapped (encrypted) by a master key that stays in a KMS
+ *   - Unwrap stored data keys for decryption, caching them for a while so
+ *     reads don't call the KMS on every request
+ *
+ * Architecture Pattern: Strategy (provider) + Service Layer
+ *   encryptionService → kmsService → provider (local file, AWS KMS, Vault, ...)
+ *
+ * Envelope Encryption:
+ *   value ──AES-256-GCM(data key)──▶ payload
+ *   data key ──provider(master key)──▶ wrapped key
+ *   Both are stored with the value; the data key itself never is. The
+ *   master key never leaves the KMS (for the local provider: the key file).
+ *   Rotating the master key only means re-wrapping data keys; a leaked
+ *   data key exposes one value.
+ *
+ * Providers:
+ *   A provider is any object with
+ *     getActiveKeyId()                  → id of the master key new data keys are wrapped with
+ *     async generateDataKey()           → { plaintextKey: Buffer(32), wrappedKey: Buffer }
+ *     async unwrapDataKey(wrapped, id)  → Buffer(32)
+ *   Master key ids are stored in every value: [A-Za-z0-9._-], at most 64
+ *   characters (map long ids such as ARNs to a short alias).
+ *   - local: master keys in KMS_LOCAL_KEY_FILE (npm run kms:local-key).
+ *            For development and tests only: the key file sits next to
+ *            the application.
+ *   Other providers are added with registerKmsProvider() and selected with
+ *   KMS_PROVIDER=<name>. Unset KMS_PROVIDER: no envelope encryption
+ *   (encryptionService uses its ENCRYPTION_KEY keyring).
+ *
+ * Data Key Cache:
+ *   Unwrapped data keys are kept in memory for KMS_DATA_KEY_CACHE_TTL_SECONDS
+ *   (0: no cache), at most KMS_DATA_KEY_CACHE_MAX_ENTRIES of them (least
+ *   recently used dropped first). Concurrent unwraps of the same key share
+ *   one KMS call.
+ *
+ * Security Considerations:
+ *   - Data keys are never logged, returned to clients or written anywhere
+ *   - A wrapped key that fails to unwrap (tampered, wrong master key) is
+ *     not cached, so the next read asks the KMS again
+ *   - clearDataKeyCache() after a suspected compromise or master key
+ *     revocation
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const env = require('../config/env');
+
+// ============================================
+// Configuration Constants
+// ============================================
+
+// Data keys are AES-256 keys
+const DATA_KEY_LENGTH = 32;
+
+// Master key ids become part of every stored value
+const MASTER_KEY_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Local provider: AES-256-GCM key wrapping
+const WRAP_ALGORITHM = 'aes-256-gcm';
+const WRAP_IV_LENGTH = 12;
+const WRAP_AUTH_TAG_LENGTH = 16;
+
+// ============================================
+// Built-in Providers
+// ============================================
+
+/**
+ * Read and check the local key file.
+ *
+ * Format: { "activeKeyId": "local-1", "keys": { "local-1": "<64 hex>" } }
+ *
+ * @param {string} filePath - KMS_LOCAL_KEY_FILE
+ * @returns {{activeKeyId: string, keys: Map<string, Buffer>}}
+ * @throws {Error} with code 'KMS_KEY_FILE_INVALID'
+ */
+function readLocalKeyFile(filePath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    const error = new Error(`Local KMS key file ${filePath} can't be read (${err.message}); create it with npm run kms:local-key`);
+    error.code = 'KMS_KEY_FILE_INVALID';
+    throw error;
+  }
+
+  const keys = new Map();
+  for (const [keyId, keyHex] of Object.entries(parsed.keys || {})) {
+    if (!MASTER_KEY_ID_PATTERN.test(keyId) || !/^[0-9a-fA-F]{64}$/.test(keyHex)) {
+      const error = new Error(`Local KMS key file ${filePath}: key "${keyId}" must be 64 hex characters with an id of [A-Za-z0-9._-]`);
+      error.code = 'KMS_KEY_FILE_INVALID';
+      throw error;
+    }
+    keys.set(keyId, Buffer.from(keyHex, 'hex'));
+  }
+
+  if (!keys.has(parsed.activeKeyId)) {
+    const error = new Error(`Local KMS key file ${filePath}: activeKeyId "${parsed.activeKeyId}" is not one of its keys`);
+    error.code = 'KMS_KEY_FILE_INVALID';
+    throw error;
+  }
+
+  return { activeKeyId: parsed.activeKeyId, keys };
+}
+
+/**
+ * Local file KMS. Master keys are read from KMS_LOCAL_KEY_FILE on first
+ * use (restart to pick up a rotated file); data keys are wrapped with
+ * AES-256-GCM, the master key id as additional authenticated data.
+ *
+ * Wrapped key: IV (12 bytes) + wrapped data key (32 bytes) + auth tag (16 bytes)
+ */
+function createLocalFileProvider() {
+  let keyFile = null;
+
+  const load = () => {
+    if (!keyFile) {
+      keyFile = readLocalKeyFile(env.kmsLocalKeyFile);
+      if (env.nodeEnv === 'production') {
+        console.warn('[KMS] Using the local file KMS in production; it is meant for development and tests');
+      }
+    }
+    return keyFile;
+  };
+
+  return {
+    getActiveKeyId() {
+      return load().activeKeyId;
+    },
+
+    async generateDataKey() {
+      const { activeKeyId, keys } = load();
+      const plaintextKey = crypto.randomBytes(DATA_KEY_LENGTH);
+      const iv = crypto.randomBytes(WRAP_IV_LENGTH);
+
+      const cipher = crypto.createCipheriv(WRAP_ALGORITHM, keys.get(activeKeyId), iv);
+      cipher.setAAD(Buffer.from(activeKeyId, 'utf8'));
+      const wrapped = Buffer.concat([cipher.update(plaintextKey), cipher.final()]);
+
+      return { plaintextKey, wrappedKey: Buffer.concat([iv, wrapped, cipher.getAuthTag()]) };
+    },
+
+    async unwrapDataKey(wrappedKey, keyId) {
+      const masterKey = load().keys.get(keyId);
+      if (!masterKey) {
+        const error = new Error(`Master key "${keyId}" is not in the local KMS key file`);
+        error.code = 'ENCRYPTION_KEY_UNAVAILABLE';
+        throw error;
+      }
+
+      const iv = wrappedKey.subarray(0, WRAP_IV_LENGTH);
+      const authTag = wrappedKey.subarray(wrappedKey.length - WRAP_AUTH_TAG_LENGTH);
+      const decipher = crypto.createDecipheriv(WRAP_ALGORITHM, masterKey, iv);
+      decipher.setAAD(Buffer.from(keyId, 'utf8'));
+      decipher.setAuthTag(authTag);
+
+      return Buffer.concat([
+        decipher.update(wrappedKey.subarray(WRAP_IV_LENGTH, wrappedKey.length - WRAP_AUTH_TAG_LENGTH)),
+        decipher.final(),
+      ]);
+    },
+  };
+}
+
+const providers = new Map([
+  ['local', createLocalFileProvider()],
+]);
+
+// ============================================
+// Provider Registry
+// ============================================
+
+/**
+ * Register (or replace) a KMS provider.
+ *
+ * @param {string} name - Value of KMS_PROVIDER that selects it
+ * @param {object} provider - Object with getActiveKeyId(), generateDataKey(), unwrapDataKey()
+ *
+ * @example
+ * kmsService.registerKmsProvider('aws', {
+ *   getActiveKeyId: () => 'satsblox-fields',
+ *   async generateDataKey() {
+ *     const out = await kms.generateDataKey({ KeyId: 'alias/satsblox-fields', KeySpec: 'AES_256' });
+ *     return { plaintextKey: Buffer.from(out.Plaintext), wrappedKey: Buffer.from(out.CiphertextBlob) };
+ *   },
+ *   async unwrapDataKey(wrappedKey) {
+ *     const out = await kms.decrypt({ CiphertextBlob: wrappedKey });
+ *     return Buffer.from(out.Plaintext);
+ *   },
+ * });
+ */
+function registerKmsProvider(name, provider) {
+  if (!provider || ['getActiveKeyId', 'generateDataKey', 'unwrapDataKey'].some(method => typeof provider[method] !== 'function')) {
+    throw new Error(`KMS provider "${name}" must implement getActiveKeyId(), generateDataKey() and unwrapDataKey()`);
+  }
+  providers.set(name, provider);
+  clearDataKeyCache();
+}
+
+/**
+ * Whether envelope encryption is turned on (KMS_PROVIDER set).
+ *
+ * @returns {boolean}
+ */
+function isKmsEnabled() {
+  return Boolean(env.kmsProvider);
+}
+
+/**
+ * Resolve the configured provider.
+ *
+ * @returns {object} Provider
+ * @throws {Error} with code 'KMS_PROVIDER_NOT_CONFIGURED' if unset or unknown
+ */
+function getKmsProvider() {
+  const provider = providers.get(env.kmsProvider);
+
+  if (!provider) {
+    const error = new Error(env.kmsProvider ? `Unknown KMS provider: ${env.kmsProvider}` : 'KMS_PROVIDER is not set');
+    error.code = 'KMS_PROVIDER_NOT_CONFIGURED';
+    throw error;
+  }
+
+  return provider;
+}
+
+/**
+ * Id of the master key new data keys are wrapped with.
+ *
+ * @returns {string}
+ * @throws {Error} with code 'KMS_PROVIDER_NOT_CONFIGURED' or 'KMS_KEY_ID_INVALID'
+ */
+function getActiveMasterKeyId() {
+  const keyId = getKmsProvider().getActiveKeyId();
+
+  if (!MASTER_KEY_ID_PATTERN.test(keyId || '')) {
+    const error = new Error(`KMS master key id "${keyId}" must be 1-64 characters of [A-Za-z0-9._-]`);
+    error.code = 'KMS_KEY_ID_INVALID';
+    throw error;
+  }
+
+  return keyId;
+}
+
+// ============================================
+// Data Key Cache
+// ============================================
+
+// wrapped key (base64) → { keyPromise, expiresAt }; Map order = least recently used first
+const dataKeyCache = new Map();
+
+/**
+ * Remember an unwrapped data key (no-op with a TTL of 0).
+ *
+ * @param {string} cacheKey - Wrapped key, base64
+ * @param {Promise<Buffer>} keyPromise - Data key
+ */
+function cacheDataKey(cacheKey, keyPromise) {
+  if (env.kmsDataKeyCacheTtlSeconds === 0) {
+    return;
+  }
+
+  dataKeyCache.delete(cacheKey);
+  dataKeyCache.set(cacheKey, { keyPromise, expiresAt: Date.now() + env.kmsDataKeyCacheTtlSeconds * 1000 });
+
+  while (dataKeyCache.size > env.kmsDataKeyCacheMaxEntries) {
+    dataKeyCache.delete(dataKeyCache.keys().next().value);
+  }
+}
+
+/**
+ * Forget every cached data key (next reads unwrap through the KMS again).
+ */
+function clearDataKeyCache() {
+  dataKeyCache.clear();
+}
+
+// ============================================
+// Service Functions
+// ============================================
+
+/**
+ * Create a data key for one value.
+ *
+ * The new key is cached under its wrapped form, so reading the value back
+ * right away doesn't need the KMS.
+ *
+ * @returns {Promise<{plaintextKey: Buffer, wrappedKey: Buffer, keyId: string}>}
+ * @throws {Error} If the provider fails or returns a key of the wrong size
+ */
+async function generateDataKey() {
+  const keyId = getActiveMasterKeyId();
+  const { plaintextKey, wrappedKey } = await getKmsProvider().generateDataKey();
+
+  if (!Buffer.isBuffer(plaintextKey) || plaintextKey.length !== DATA_KEY_LENGTH || !Buffer.isBuffer(wrappedKey)) {
+    throw new Error(`KMS provider ${env.kmsProvider} returned an invalid data key`);
+  }
+
+  cacheDataKey(`${keyId}:${wrappedKey.toString('base64')}`, Promise.resolve(plaintextKey));
+  return { plaintextKey, wrappedKey, keyId };
+}
+
+/**
+ * Unwrap a stored data key, from the cache if possible.
+ *
+ * @param {Buffer} wrappedKey - As returned by generateDataKey
+ * @param {string} keyId - Master key it was wrapped with
+ * @returns {Promise<Buffer>} 32-byte data key
+ * @throws {Error} If the provider can't unwrap it (unknown master key:
+ *   code 'ENCRYPTION_KEY_UNAVAILABLE'; tampered: the provider's error)
+ */
+async function unwrapDataKey(wrappedKey, keyId) {
+  const cacheKey = `${keyId}:${wrappedKey.toString('base64')}`;
+
+  // ---- Step 1: Cached (or being unwrapped right now) ----
+  const cached = dataKeyCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    dataKeyCache.delete(cacheKey);
+    dataKeyCache.set(cacheKey, cached);
+    return cached.keyPromise;
+  }
+  dataKeyCache.delete(cacheKey);
+
+  // ---- Step 2: Ask the KMS ----
+  const provider = getKmsProvider();
+  const keyPromise = Promise.resolve().then(() => provider.unwrapDataKey(wrappedKey, keyId)).then((plaintextKey) => {
+    if (!Buffer.isBuffer(plaintextKey) || plaintextKey.length !== DATA_KEY_LENGTH) {
+      throw new Error(`KMS provider ${env.kmsProvider} returned an invalid data key`);
+    }
+    return plaintextKey;
+  });
+  cacheDataKey(cacheKey, keyPromise);
+
+  // ---- Step 3: Failures are not cached ----
+  try {
+    return await keyPromise;
+  } catch (err) {
+    if (dataKeyCache.get(cacheKey)?.keyPromise === keyPromise) {
+      dataKeyCache.delete(cacheKey);
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  registerKmsProvider,
+  isKmsEnabled,
+  getActiveMasterKeyId,
+  generateDataKey,
+  unwrapDataKey,
+  clearDataKeyCache,
+  MASTER_KEY_ID_PATTERN,
+};
@@ -0,0 +1,529 @@
+/**
+ * src/services/ledgerService.js
+ *
+ * Double-entry ledger for child wallet balances.
+ *
+ * Purpose:
+ *   - Record every balance change as an immutable Transaction
+ *   - Keep each Transaction balanced (total DEBIT = total CREDIT)
+ *   - Maintain Wallet.balance as a cached projection of the ledger
+ *   - Provide history and reconciliation for wallets
+ *
+ * Architecture Pattern: The Service Layer Pattern
+ *   Controller → ledgerService → Prisma ORM → Database
+ *
+ * Accounting Model:
+ *   Each Transaction has two or more LedgerEntry legs posted to accounts.
+ *   A child's wallet is the WALLET account (entry.walletId is set); money
+ *   entering or leaving the platform is posted to an EXTERNAL_* account.
+ *
+ *     Deposit 10,000 sats:       DEBIT  EXTERNAL_FUNDING 10,000
+ *                                CREDIT WALLET           10,000
+ *
+ *     Withdraw 2,500 sats:       DEBIT  WALLET            2,500
+ *                                CREDIT EXTERNAL_PAYOUT   2,500
+ *
+ *   Wallet balance = SUM(CREDIT on WALLET) - SUM(DEBIT on WALLET)
+ *
+ * Consistency:
+ *   - Entries, the Transaction header and the Wallet.balance update are
+ *     written in one database transaction (all or nothing)
+ *   - Debits from a wallet use a conditional update (balance >= amount)
+ *     so concurrent withdrawals cannot overdraw
+ *   - reconcileWallet() compares Wallet.balance with the ledger and can
+ *     repair drift
+ *
+ * Rule: Never write Wallet.balance directly. Always post through this service.
+ */
+
+const { prisma } = require('../config/db');
+const auditService = require('./auditService');
+
+// ============================================
+// Constants
+// ============================================
+
+// Transaction types (mirrors CHECK constraint in migration 5)
+const TRANSACTION_TYPES = {
+  DEPOSIT: 'DEPOSIT',       // Money into a child's wallet
+  WITHDRAWAL: 'WITHDRAWAL', // Money out of a child's wallet
+  ADJUSTMENT: 'ADJUSTMENT', // Corrections and opening balances
+};
+
+// Entry directions
+const ENTRY_DIRECTIONS = {
+  DEBIT: 'DEBIT',
+  CREDIT: 'CREDIT',
+};
+
+// Ledger account codes
+const LEDGER_ACCOUNTS = {
+  WALLET: 'WALLET',                     // A child's wallet (entry.walletId set)
+  EXTERNAL_FUNDING: 'EXTERNAL_FUNDING', // Source of deposits (M-Pesa, top-ups)
+  EXTERNAL_PAYOUT: 'EXTERNAL_PAYOUT',   // Destination of withdrawals
+  OPENING_BALANCE: 'OPENING_BALANCE',   // Pre-ledger balances (migration 5)
+};
+
+// History pagination bounds
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Build an Error carrying a code property (same convention as authService).
+ *
+ * @param {string} message - Human-readable message
+ * @param {string} code - Machine-readable code for controllers
+ * @returns {Error}
+ */
+function ledgerError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Normalize an amount to a positive BigInt number of satoshis.
+ *
+ * Accepts BigInt, safe integers and digit strings (e.g. "50000").
+ *
+ * @param {bigint|number|string} amount - Satoshi amount
+ * @returns {bigint}
+ * @throws {Error} code 'INVALID_AMOUNT' if not a positive whole number
+ */
+function toSatoshis(amount) {
+  let value;
+
+  if (typeof amount === 'bigint') {
+    value = amount;
+  } else if (typeof amount === 'number' && Number.isSafeInteger(amount)) {
+    value = BigInt(amount);
+  } else if (typeof amount === 'string' && /^\d+$/.test(amount)) {
+    value = BigInt(amount);
+  } else {
+    throw ledgerError('Amount must be a whole number of satoshis', 'INVALID_AMOUNT');
+  }
+
+  if (value <= 0n) {
+    throw ledgerError('Amount must be greater than zero', 'INVALID_AMOUNT');
+  }
+
+  return value;
+}
+
+/**
+ * Verify that entries are well-formed and balanced.
+ *
+ * @param {Array<object>} entries - [{ account, direction, amount, walletId? }]
+ * @throws {Error} code 'LEDGER_UNBALANCED' or 'INVALID_ENTRY'
+ */
+function assertBalanced(entries) {
+  if (!Array.isArray(entries) || entries.length < 2) {
+    throw ledgerError('A transaction needs at least two entries', 'INVALID_ENTRY');
+  }
+
+  let debits = 0n;
+  let credits = 0n;
+
+  for (const entry of entries) {
+    if (!Object.values(LEDGER_ACCOUNTS).includes(entry.account)) {
+      throw ledgerError(`Unknown ledger account: ${entry.account}`, 'INVALID_ENTRY');
+    }
+
+    // WALLET legs must name a wallet; other accounts must not
+    if ((entry.account === LEDGER_ACCOUNTS.WALLET) !== Boolean(entry.walletId)) {
+      throw ledgerError('walletId must be set exactly on WALLET entries', 'INVALID_ENTRY');
+    }
+
+    if (entry.direction === ENTRY_DIRECTIONS.DEBIT) {
+      debits += entry.amount;
+    } else if (entry.direction === ENTRY_DIRECTIONS.CREDIT) {
+      credits += entry.amount;
+    } else {
+      throw ledgerError(`Unknown entry direction: ${entry.direction}`, 'INVALID_ENTRY');
+    }
+  }
+
+  if (debits !== credits) {
+    throw ledgerError(
+      `Transaction is unbalanced (debits ${debits} != credits ${credits})`,
+      'LEDGER_UNBALANCED'
+    );
+  }
+}
+
+/**
+ * Run work inside a database transaction.
+ *
+ * If the caller already holds a transaction client (tx), reuse it so the
+ * ledger posting commits or rolls back together with the caller's writes
+ * (e.g. a payment callback marking its intent as settled).
+ *
+ * @param {object} client - prisma or an interactive transaction client
+ * @param {function} work - async (tx) => result
+ * @returns {Promise<*>}
+ */
+function withTransaction(client, work) {
+  if (client && client !== prisma) {
+    return work(client);
+  }
+  return prisma.$transaction(work);
+}
+
+// ============================================
+// Service Functions
+// ============================================
+
+/**
+ * Post a balanced transaction against a single wallet.
+ *
+ * Workflow:
+ *   1. Validate entries (known accounts, balanced)
+ *   2. Compute the net effect on the wallet (credits - debits on WALLET)
+ *   3. Apply it to Wallet.balance (conditional update for debits)
+ *   4. Insert Transaction header with nested entries and balanceAfter
+ *
+ * @param {object} params
+ * @param {number} params.walletId - Wallet affected
+ * @param {string} params.type - TRANSACTION_TYPES value
+ * @param {bigint} params.amount - Headline amount (positive)
+ * @param {Array<object>} params.entries - Balanced legs
+ * @param {string} [params.description] - Optional note
+ * @param {string} [params.reference] - Optional unique external reference
+ * @param {number} [params.initiatedById] - Parent who initiated
+ * @param {object} [client=prisma] - Prisma client or transaction client
+ * @returns {Promise<object>} Created transaction with entries
+ * @throws {Error} codes: INVALID_ENTRY, LEDGER_UNBALANCED, WALLET_NOT_FOUND,
+ *                 INSUFFICIENT_FUNDS, DUPLICATE_REFERENCE
+ */
+async function postTransaction(params, client = prisma) {
+  const { walletId, type, amount, entries, description, reference, initiatedById } = params;
+
+  if (!Object.values(TRANSACTION_TYPES).includes(type)) {
+    throw ledgerError(`Unknown transaction type: ${type}`, 'INVALID_ENTRY');
+  }
+
+  assertBalanced(entries);
+
+  // Every WALLET leg must belong to the wallet this transaction is filed under
+  const walletEntries = entries.filter(e => e.account === LEDGER_ACCOUNTS.WALLET);
+  if (walletEntries.some(e => e.walletId !== walletId)) {
+    throw ledgerError('WALLET entries must reference the transaction wallet', 'INVALID_ENTRY');
+  }
+
+  // Net change to the wallet: credits increase, debits decrease
+  const delta = walletEntries.reduce(
+    (sum, e) => (e.direction === ENTRY_DIRECTIONS.CREDIT ? sum + e.amount : sum - e.amount),
+    0n
+  );
+
+  try {
+    return await withTransaction(client, async (tx) => {
+      // ---- Step 1: Apply delta to cached balance ----
+      if (delta < 0n) {
+        // Conditional decrement: only succeeds if funds are sufficient
+        // (atomic in PostgreSQL, so concurrent withdrawals can't overdraw)
+        const { count } = await tx.wallet.updateMany({
+          where: { id: walletId, balance: { gte: -delta } },
+          data: { balance: { decrement: -delta } },
+        });
+
+        if (count === 0) {
+          const exists = await tx.wallet.findUnique({ where: { id: walletId }, select: { id: true } });
+          throw exists
+            ? ledgerError('Insufficient wallet balance', 'INSUFFICIENT_FUNDS')
+            : ledgerError('Wallet not found', 'WALLET_NOT_FOUND');
+        }
+      } else if (delta > 0n) {
+        await tx.wallet.update({
+          where: { id: walletId },
+          data: { balance: { increment: delta } },
+        });
+      }
+
+      const wallet = await tx.wallet.findUnique({
+        where: { id: walletId },
+        select: { balance: true },
+      });
+
+      if (!wallet) {
+        throw ledgerError('Wallet not found', 'WALLET_NOT_FOUND');
+      }
+
+      // ---- Step 2: Write transaction header and legs ----
+      return tx.transaction.create({
+        data: {
+          type,
+          amount,
+          balanceAfter: wallet.balance,
+          description: description || null,
+          reference: reference || null,
+          walletId,
+          initiatedById: initiatedById || null,
+          entries: {
+            create: entries.map(e => ({
+              account: e.account,
+              direction: e.direction,
+              amount: e.amount,
+              walletId: e.walletId || null,
+            })),
+          },
+        },
+        include: { entries: true },
+      });
+    });
+  } catch (err) {
+    // P2025 = record to update not found (increment on missing wallet)
+    if (err.code === 'P2025') {
+      throw ledgerError('Wallet not found', 'WALLET_NOT_FOUND');
+    }
+    // P2002 = unique constraint (reference already posted)
+    if (err.code === 'P2002') {
+      throw ledgerError('A transaction with this reference already exists', 'DUPLICATE_REFERENCE');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Audit a posted deposit or withdrawal (WALLET_DEPOSIT / WALLET_WITHDRAWAL).
+ *
+ * recordDeposit and recordWithdrawal call this themselves, except when
+ * given the caller's transaction client: that transaction may still roll
+ * back, so the caller calls this once it has committed.
+ *
+ * @param {object} transaction - Transaction returned by recordDeposit / recordWithdrawal
+ */
+function auditPostedTransaction(transaction) {
+  const { type, initiatedById, walletId, id, amount } = transaction;
+
+  try {
+    if (type === TRANSACTION_TYPES.DEPOSIT) {
+      auditService.logWalletDeposit(initiatedById || null, walletId, id, amount);
+    } else if (type === TRANSACTION_TYPES.WITHDRAWAL) {
+      auditService.logWalletWithdrawal(initiatedById || null, walletId, id, amount);
+    }
+  } catch (logErr) {
+    console.warn(`[LEDGER] Audit logging failed for ${type.toLowerCase()}:`, logErr.message);
+  }
+}
+
+/**
+ * Credit a child's wallet with funds from outside the platform.
+ *
+ * Entries: DEBIT EXTERNAL_FUNDING / CREDIT WALLET
+ * Audit: WALLET_DEPOSIT (by the caller, after commit, when client is a
+ * transaction client: see auditPostedTransaction)
+ *
+ * @param {object} params - { walletId, amount, description?, reference?, initiatedById? }
+ * @param {object} [client=prisma] - Prisma client or transaction client
+ * @returns {Promise<object>} Created transaction with entries
+ */
+async function recordDeposit(params, client = prisma) {
+  const { walletId, description, reference, initiatedById } = params;
+  const amount = toSatoshis(params.amount);
+
+  const transaction = await postTransaction({
+    walletId,
+    type: TRANSACTION_TYPES.DEPOSIT,
+    amount,
+    description,
+    reference,
+    initiatedById,
+    entries: [
+      { account: LEDGER_ACCOUNTS.EXTERNAL_FUNDING, direction: ENTRY_DIRECTIONS.DEBIT, amount },
+      { account: LEDGER_ACCOUNTS.WALLET, direction: ENTRY_DIRECTIONS.CREDIT, amount, walletId },
+    ],
+  }, client);
+
+  // Inside the caller's transaction: the caller audits after commit
+  if (!client || client === prisma) {
+    auditPostedTransaction(transaction);
+  }
+
+  return transaction;
+}
+
+/**
+ * Debit a child's wallet for funds leaving the platform.
+ *
+ * Entries: DEBIT WALLET / CREDIT EXTERNAL_PAYOUT
+ * Audit: WALLET_WITHDRAWAL (after commit, as for recordDeposit)
+ *
+ * @param {object} params - { walletId, amount, description?, reference?, initiatedById? }
+ * @param {object} [client=prisma] - Prisma client or transaction client
+ * @returns {Promise<object>} Created transaction with entries
+ * @throws {Error} code 'INSUFFICIENT_FUNDS' if balance is too low
+ */
+async function recordWithdrawal(params, client = prisma) {
+  const { walletId, description, reference, initiatedById } = params;
+  const amount = toSatoshis(params.amount);
+
+  const transaction = await postTransaction({
+    walletId,
+    type: TRANSACTION_TYPES.WITHDRAWAL,
+    amount,
+    description,
+    reference,
+    initiatedById,
+    entries: [
+      { account: LEDGER_ACCOUNTS.WALLET, direction: ENTRY_DIRECTIONS.DEBIT, amount, walletId },
+      { account: LEDGER_ACCOUNTS.EXTERNAL_PAYOUT, direction: ENTRY_DIRECTIONS.CREDIT, amount },
+    ],
+  }, client);
+
+  // Inside the caller's transaction: the caller audits after commit
+  if (!client || client === prisma) {
+    auditPostedTransaction(transaction);
+  }
+
+  return transaction;
+}
+
+/**
+ * Derive a wallet's balance from its ledger entries.
+ *
+ * @param {number} walletId - Wallet to sum
+ * @param {object} [client=prisma] - Prisma client or transaction client
+ * @returns {Promise<bigint>} SUM(CREDIT) - SUM(DEBIT) on the WALLET account
+ */
+async function getLedgerBalance(walletId, client = prisma) {
+  const sums = await client.ledgerEntry.groupBy({
+    by: ['direction'],
+    where: { walletId, account: LEDGER_ACCOUNTS.WALLET },
+    _sum: { amount: true },
+  });
+
+  return sums.reduce((balance, row) => {
+    const total = row._sum.amount || 0n;
+    return row.direction === ENTRY_DIRECTIONS.CREDIT ? balance + total : balance - total;
+  }, 0n);
+}
+
+/**
+ * Compare a wallet's cached balance with its ledger.
+ *
+ * With { repair: true }, a mismatched Wallet.balance is overwritten with
+ * the ledger value (the ledger is the source of truth). Mismatches are
+ * always audited.
+ *
+ * @param {number} walletId - Wallet to reconcile
+ * @param {object} [options]
+ * @param {boolean} [options.repair=false] - Correct Wallet.balance on mismatch
+ * @returns {Promise<object>} { walletId, storedBalance, ledgerBalance, inSync, repaired }
+ * @throws {Error} code 'WALLET_NOT_FOUND'
+ */
+async function reconcileWallet(walletId, { repair = false } = {}) {
+  const result = await prisma.$transaction(async (tx) => {
+    const wallet = await tx.wallet.findUnique({
+      where: { id: walletId },
+      select: { id: true, balance: true },
+    });
+
+    if (!wallet) {
+      throw ledgerError('Wallet not found', 'WALLET_NOT_FOUND');
+    }
+
+    const ledgerBalance = await getLedgerBalance(walletId, tx);
+    const inSync = wallet.balance === ledgerBalance;
+
+    if (!inSync && repair) {
+      await tx.wallet.update({
+        where: { id: walletId },
+        data: { balance: ledgerBalance },
+      });
+    }
+
+    return {
+      walletId,
+      storedBalance: wallet.balance,
+      ledgerBalance,
+      inSync,
+      repaired: !inSync && repair,
+    };
+  });
+
+  if (!result.inSync) {
+    try {
+      auditService.logWalletBalanceMismatch(
+        walletId,
+        result.storedBalance,
+        result.ledgerBalance,
+        result.repaired
+      );
+    } catch (logErr) {
+      console.warn('[LEDGER] Audit logging failed for reconciliation:', logErr.message);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * List a wallet's transactions, newest first, with cursor pagination.
+ *
+ * @param {number} walletId - Wallet to list
+ * @param {object} [options]
+ * @param {number} [options.limit=20] - Page size (1-100)
+ * @param {number} [options.cursor] - Transaction ID to continue after
+ * @returns {Promise<object>} { transactions, nextCursor }
+ */
+async function listWalletTransactions(walletId, { limit = DEFAULT_PAGE_SIZE, cursor } = {}) {
+  const take = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+
+  // Fetch one extra row to know whether another page exists
+  const rows = await prisma.transaction.findMany({
+    where: { walletId },
+    orderBy: { id: 'desc' },
+    take: take + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    select: {
+      id: true,
+      type: true,
+      amount: true,
+      balanceAfter: true,
+      description: true,
+      reference: true,
+      initiatedById: true,
+      createdAt: true,
+      entries: {
+        select: {
+          id: true,
+          account: true,
+          direction: true,
+          amount: true,
+        },
+        orderBy: { id: 'asc' },
+      },
+    },
+  });
+
+  const hasMore = rows.length > take;
+  const transactions = hasMore ? rows.slice(0, take) : rows;
+
+  return {
+    transactions,
+    nextCursor: hasMore ? transactions[transactions.length - 1].id : null,
+  };
+}
+
+module.exports = {
+  postTransaction,
+  recordDeposit,
+  recordWithdrawal,
+  auditPostedTransaction,
+  getLedgerBalance,
+  reconcileWallet,
+  listWalletTransactions,
+  toSatoshis,
+
+  // Constants
+  TRANSACTION_TYPES,
+  ENTRY_DIRECTIONS,
+  LEDGER_ACCOUNTS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+};
@@ -0,0 +1,576 @@
+/**
+ * src/services/mfaService.js
+ *
+ * Business logic for two-factor authentication (authenticator app / TOTP).
+ *
+ * Purpose:
+ *   - Enroll an authenticator app (secret + otpauth:// URI for a QR code)
+ *   - Confirm enrollment with a first code and issue recovery codes
+ *   - Verify the second factor during login (TOTP code or recovery code)
+ *   - Issue and verify the short-lived MFA challenge token that links the
+ *     two login steps
+ *   - Disable two-factor and regenerate recovery codes
+ *
+ * Architecture Pattern: The Service Layer Pattern
+ *   Controller / authService → mfaService → Prisma ORM → Database
+ *
+ * Two-Step Login:
+ *   1. POST /api/auth/login { email, password }
+ *        → { mfaRequired: true, mfaToken }      (no session yet)
+ *   2. POST /api/auth/login/mfa { mfaToken, code | recoveryCode }
+ *        → { accessToken, refreshToken }         (session created)
+ *
+ * Security Considerations:
+ *   - TOTP secrets are encrypted at rest (TOTP_SECRET, ENCRYPTED_FIELDS in config/db.js)
+ *     and only shown once, at enrollment
+ *   - A code can't be replayed: the accepted time step is stored and only
+ *     later steps are accepted (conditional update, race-safe)
+ *   - Recovery codes (80-bit) are stored as SHA-256 hashes and single use
+ *   - MFA challenge tokens are signed with a key derived from JWT_SECRET
+ *     for this purpose only, so they can never pass as access tokens
+ *   - A challenge token completes one login and allows
+ *     MFA_CHALLENGE_MAX_ATTEMPTS second factors (MfaChallenge row, by jti),
+ *     so a captured token can't be used to keep guessing codes
+ *   - Wrong second factors count towards the login lockout (authService)
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../config/db');
+const env = require('../config/env');
+const auditService = require('./auditService');
+const totp = require('../utils/totp');
+
+// ============================================
+// Configuration Constants
+// ============================================
+
+// Recovery codes issued per set
+const RECOVERY_CODE_COUNT = 10;
+
+// Random bytes per recovery code (80 bits → 16 Base32 characters)
+const RECOVERY_CODE_BYTES = 10;
+
+// Audience claim of MFA challenge tokens
+const MFA_CHALLENGE_AUDIENCE = 'satsblox:mfa-challenge';
+
+// Signing key for challenge tokens (domain-separated from access tokens)
+const MFA_CHALLENGE_KEY = crypto
+  .createHmac('sha256', env.jwtSecret)
+  .update('mfa-challenge')
+  .digest();
+
+// Minimum time between sweeps of expired challenges
+const CHALLENGE_PURGE_INTERVAL_MS = 60 * 1000;
+
+// Second-factor methods (audit details)
+const MFA_METHODS = {
+  TOTP: 'TOTP',
+  RECOVERY_CODE: 'RECOVERY_CODE',
+};
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Build an error with a code.
+ *
+ * @param {string} code - error.code
+ * @param {string} message - error.message
+ * @returns {Error}
+ */
+function mfaError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Normalize a recovery code as typed by a user ("abcd-efgh ..." → "ABCDEFGH...").
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeRecoveryCode(code) {
+  return code.toUpperCase().replace(/[^A-Z2-7]/g, '');
+}
+
+/**
+ * Hash a recovery code for storage/lookup.
+ *
+ * @param {string} code - Raw or formatted recovery code
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * Generate a fresh set of recovery codes, formatted XXXX-XXXX-XXXX-XXXX.
+ *
+ * @returns {string[]}
+ */
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    totp.base32Encode(crypto.randomBytes(RECOVERY_CODE_BYTES)).match(/.{4}/g).join('-')
+  );
+}
+
+/**
+ * Replace a parent's recovery codes with a new set.
+ *
+ * @param {number} parentId - Parent's ID
+ * @param {object} tx - Transaction client
+ * @returns {Promise<string[]>} The new codes (plain text, shown once)
+ */
+async function replaceRecoveryCodes(parentId, tx) {
+  const codes = generateRecoveryCodes();
+
+  await tx.mfaRecoveryCode.deleteMany({ where: { parentId } });
+  await tx.mfaRecoveryCode.createMany({
+    data: codes.map(code => ({ parentId, codeHash: hashRecoveryCode(code) })),
+  });
+
+  return codes;
+}
+
+/**
+ * Load a parent's confirmed authenticator.
+ *
+ * @param {number} parentId - Parent's ID
+ * @returns {Promise<object>} TotpCredential row
+ * @throws {Error} with code 'MFA_NOT_ENABLED'
+ */
+async function getConfirmedCredential(parentId) {
+  const credential = await prisma.totpCredential.findUnique({
+    where: { parentId },
+  });
+
+  if (!credential || !credential.confirmedAt) {
+    throw mfaError('MFA_NOT_ENABLED', 'Two-factor authentication is not enabled');
+  }
+
+  return credential;
+}
+
+/**
+ * Accept a TOTP code once: verify it and advance lastUsedStep atomically.
+ *
+ * @param {object} credential - TotpCredential row
+ * @param {string} code - 6-digit code
+ * @returns {Promise<boolean>} true if accepted
+ */
+async function consumeTotpCode(credential, code) {
+  // credential.secret is decrypted by the client (ENCRYPTED_FIELDS in config/db.js)
+  const step = totp.verifyCode(credential.secret, code, { afterStep: credential.lastUsedStep });
+
+  if (step === null) {
+    return false;
+  }
+
+  // Conditional update: a concurrent request with the same code loses
+  const { count } = await prisma.totpCredential.updateMany({
+    where: {
+      id: credential.id,
+      OR: [{ lastUsedStep: null }, { lastUsedStep: { lt: step } }],
+    },
+    data: { lastUsedStep: step },
+  });
+
+  return count === 1;
+}
+
+/**
+ * Accept a recovery code once.
+ *
+ * @param {number} parentId - Parent's ID
+ * @param {string} recoveryCode - Code as typed
+ * @returns {Promise<boolean>} true if accepted
+ */
+async function consumeRecoveryCode(parentId, recoveryCode) {
+  const { count } = await prisma.mfaRecoveryCode.updateMany({
+    where: { parentId, codeHash: hashRecoveryCode(recoveryCode), usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  return count === 1;
+}
+
+// ============================================
+// Challenge Tokens
+// ============================================
+
+let lastChallengePurgeAt = 0;
+
+/**
+ * Record a new challenge (its MfaChallenge row), and delete expired ones
+ * at most once per CHALLENGE_PURGE_INTERVAL_MS.
+ *
+ * Also used for admin login challenges (adminService).
+ *
+ * @param {string} challengeId - jti of the challenge token
+ * @param {Date} expiresAt - exp of the challenge token
+ * @returns {Promise<void>}
+ */
+async function recordMfaChallenge(challengeId, expiresAt) {
+  await prisma.mfaChallenge.create({ data: { id: challengeId, expiresAt } });
+
+  if (Date.now() - lastChallengePurgeAt > CHALLENGE_PURGE_INTERVAL_MS) {
+    lastChallengePurgeAt = Date.now();
+    await prisma.mfaChallenge.deleteMany({ where: { expiresAt: { lte: new Date() } } });
+  }
+}
+
+/**
+ * Count one second-factor attempt against a challenge.
+ *
+ * Conditional update, so concurrent requests can't get past the limit.
+ *
+ * @param {string} challengeId - jti of the challenge token
+ * @returns {Promise<void>}
+ * @throws {Error} with code 'INVALID_MFA_TOKEN' if the challenge is
+ *   unknown, used, expired or out of attempts
+ */
+async function countMfaChallengeAttempt(challengeId) {
+  const { count } = await prisma.mfaChallenge.updateMany({
+    where: {
+      id: challengeId,
+      usedAt: null,
+      expiresAt: { gt: new Date() },
+      attempts: { lt: env.mfaChallengeMaxAttempts },
+    },
+    data: { attempts: { increment: 1 } },
+  });
+
+  if (count === 0) {
+    throw mfaError('INVALID_MFA_TOKEN', 'Invalid or expired MFA challenge. Please log in again.');
+  }
+}
+
+/**
+ * Issue the token returned by /api/auth/login when a second factor is needed.
+ *
+ * @param {number} parentId - Parent who passed the password step
+ * @returns {Promise<object>} { mfaToken, expiresIn } (expiresIn in seconds)
+ */
+async function issueMfaChallenge(parentId) {
+  const challengeId = crypto.randomUUID();
+  const mfaToken = jwt.sign({}, MFA_CHALLENGE_KEY, {
+    subject: String(parentId),
+    audience: MFA_CHALLENGE_AUDIENCE,
+    expiresIn: env.mfaChallengeTtlSeconds,
+    jwtid: challengeId,
+  });
+
+  await recordMfaChallenge(challengeId, new Date(jwt.decode(mfaToken).exp * 1000));
+
+  return { mfaToken, expiresIn: env.mfaChallengeTtlSeconds };
+}
+
+/**
+ * Verify an MFA challenge token and count the attempt it is presented for.
+ *
+ * @param {string} mfaToken - Token from /api/auth/login
+ * @returns {Promise<object>} { parentId, challengeId } (challengeId for
+ *   redeemMfaChallenge once the second factor is right)
+ * @throws {Error} with code 'INVALID_MFA_TOKEN' (invalid, expired, already
+ *   used or out of attempts)
+ */
+async function verifyMfaChallenge(mfaToken) {
+  let payload;
+  try {
+    payload = jwt.verify(mfaToken, MFA_CHALLENGE_KEY, {
+      audience: MFA_CHALLENGE_AUDIENCE,
+    });
+  } catch (err) {
+    throw mfaError('INVALID_MFA_TOKEN', 'Invalid or expired MFA challenge. Please log in again.');
+  }
+
+  await countMfaChallengeAttempt(payload.jti);
+  return { parentId: parseInt(payload.sub, 10), challengeId: payload.jti };
+}
+
+/**
+ * Mark a challenge used: it has completed its login.
+ *
+ * @param {string} challengeId - From verifyMfaChallenge
+ * @returns {Promise<void>}
+ * @throws {Error} with code 'INVALID_MFA_TOKEN' if a concurrent request
+ *   used it first
+ */
+async function redeemMfaChallenge(challengeId) {
+  const { count } = await prisma.mfaChallenge.updateMany({
+    where: { id: challengeId, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  if (count === 0) {
+    throw mfaError('INVALID_MFA_TOKEN', 'Invalid or expired MFA challenge. Please log in again.');
+  }
+}
+
+// ============================================
+// Service Functions
+// ============================================
+
+/**
+ * Check whether two-factor login is enabled for a parent.
+ *
+ * @param {number} parentId - Parent's ID
+ * @returns {Promise<boolean>}
+ */
+async function isMfaEnabled(parentId) {
+  const credential = await prisma.totpCredential.findUnique({
+    where: { parentId },
+    select: { confirmedAt: true },
+  });
+
+  return Boolean(credential && credential.confirmedAt);
+}
+
+/**
+ * Describe a parent's two-factor setup.
+ *
+ * @param {number} parentId - Parent's ID
+ * @returns {Promise<object>} { enabled, enabledAt, enrollmentPending, recoveryCodesRemaining }
+ */
+async function getMfaStatus(parentId) {
+  const [credential, recoveryCodesRemaining] = await Promise.all([
+    prisma.totpCredential.findUnique({
+      where: { parentId },
+      select: { confirmedAt: true },
+    }),
+    prisma.mfaRecoveryCode.count({
+      where: { parentId, usedAt: null },
+    }),
+  ]);
+
+  return {
+    enabled: Boolean(credential && credential.confirmedAt),
+    enabledAt: credential ? credential.confirmedAt : null,
+    enrollmentPending: Boolean(credential && !credential.confirmedAt),
+    recoveryCodesRemaining,
+  };
+}
+
+/**
+ * Start (or restart) authenticator enrollment.
+ *
+ * A pending enrollment is replaced, so scanning a new QR code always works.
+ * Two-factor login is not required until confirmTotpEnrollment succeeds.
+ *
+ * @param {number} parentId - Parent's ID (from the access token)
+ * @returns {Promise<object>} { secret, otpauthUri }
+ * @throws {Error} with code 'PARENT_NOT_FOUND' or 'MFA_ALREADY_ENABLED'
+ */
+async function startTotpEnrollment(parentId) {
+  const parent = await prisma.parent.findUnique({
+    where: { id: parentId },
+    select: { id: true, email: true, totpCredential: { select: { confirmedAt: true } } },
+  });
+
+  if (!parent) {
+    throw mfaError('PARENT_NOT_FOUND', 'Parent not found');
+  }
+
+  if (parent.totpCredential && parent.totpCredential.confirmedAt) {
+    throw mfaError('MFA_ALREADY_ENABLED', 'Two-factor authentication is already enabled');
+  }
+
+  const secret = totp.generateSecret();
+
+  // Stored encrypted (ENCRYPTED_FIELDS in config/db.js)
+  await prisma.totpCredential.upsert({
+    where: { parentId },
+    create: { parentId, secret },
+    update: { secret, confirmedAt: null, lastUsedStep: null },
+  });
+
+  return {
+    secret,
+    otpauthUri: totp.buildOtpauthUri({
+      secret,
+      accountName: parent.email,
+      issuer: env.mfaIssuer,
+    }),
+  };
+}
+
+/**
+ * Confirm enrollment with a code from the authenticator app.
+ *
+ * @param {number} parentId - Parent's ID (from the access token)
+ * @param {string} code - 6-digit code
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { recoveryCodes } (plain text, shown once)
+ * @throws {Error} with code 'MFA_NOT_ENROLLED', 'MFA_ALREADY_ENABLED' or 'INVALID_MFA_CODE'
+ */
+async function confirmTotpEnrollment(parentId, code, context = {}) {
+  const credential = await prisma.totpCredential.findUnique({
+    where: { parentId },
+  });
+
+  if (!credential) {
+    throw mfaError('MFA_NOT_ENROLLED', 'Start enrollment before confirming');
+  }
+
+  if (credential.confirmedAt) {
+    throw mfaError('MFA_ALREADY_ENABLED', 'Two-factor authentication is already enabled');
+  }
+
+  if (!(await consumeTotpCode(credential, code))) {
+    throw mfaError('INVALID_MFA_CODE', 'Invalid authentication code');
+  }
+
+  const recoveryCodes = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.totpCredential.updateMany({
+      where: { id: credential.id, confirmedAt: null },
+      data: { confirmedAt: new Date() },
+    });
+
+    // Confirmed by a concurrent request
+    if (count === 0) {
+      throw mfaError('MFA_ALREADY_ENABLED', 'Two-factor authentication is already enabled');
+    }
+
+    return replaceRecoveryCodes(parentId, tx);
+  });
+
+  try {
+    auditService.logMfaEnabled(parentId, context.ipAddress);
+  } catch (logErr) {
+    console.warn('[MFA] Audit logging failed for MFA enablement:', logErr.message);
+  }
+
+  return { recoveryCodes };
+}
+
+/**
+ * Verify a second factor (login step 2, or to authorize MFA changes).
+ *
+ * Exactly one of code / recoveryCode is expected.
+ *
+ * @param {number} parentId - Parent's ID
+ * @param {object} factor - { code } or { recoveryCode }
+ * @param {object} [context] - { ipAddress, purpose } (purpose for audit: LOGIN, DISABLE, ...)
+ * @returns {Promise<string>} Method used (MFA_METHODS)
+ * @throws {Error} with code 'MFA_NOT_ENABLED' or 'INVALID_MFA_CODE'
+ */
+async function verifySecondFactor(parentId, { code, recoveryCode } = {}, context = {}) {
+  const credential = await getConfirmedCredential(parentId);
+  const method = recoveryCode ? MFA_METHODS.RECOVERY_CODE : MFA_METHODS.TOTP;
+
+  const accepted = recoveryCode
+    ? await consumeRecoveryCode(parentId, recoveryCode)
+    : await consumeTotpCode(credential, code);
+
+  if (!accepted) {
+    try {
+      auditService.logMfaVerificationFailed(parentId, method, context.purpose, context.ipAddress);
+    } catch (logErr) {
+      console.warn('[MFA] Audit logging failed for rejected second factor:', logErr.message);
+    }
+    throw mfaError('INVALID_MFA_CODE', 'Invalid authentication code');
+  }
+
+  if (method === MFA_METHODS.RECOVERY_CODE) {
+    try {
+      const remaining = await prisma.mfaRecoveryCode.count({ where: { parentId, usedAt: null } });
+      auditService.logMfaRecoveryCodeUsed(parentId, remaining, context.ipAddress);
+    } catch (logErr) {
+      console.warn('[MFA] Audit logging failed for recovery code use:', logErr.message);
+    }
+  }
+
+  return method;
+}
+
+/**
+ * Turn two-factor login off.
+ *
+ * Requires the current password and a second factor, so a stolen access
+ * token alone can't remove the protection.
+ *
+ * @param {number} parentId - Parent's ID (from the access token)
+ * @param {string} password - Current password
+ * @param {object} factor - { code } or { recoveryCode }
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<void>}
+ * @throws {Error} with code 'PARENT_NOT_FOUND', 'INVALID_CURRENT_PASSWORD',
+ *                 'MFA_NOT_ENABLED' or 'INVALID_MFA_CODE'
+ */
+async function disableTotp(parentId, password, factor, context = {}) {
+  const parent = await prisma.parent.findUnique({
+    where: { id: parentId },
+    select: { id: true, password: true },
+  });
+
+  if (!parent) {
+    throw mfaError('PARENT_NOT_FOUND', 'Parent not found');
+  }
+
+  if (!(await bcrypt.compare(password, parent.password))) {
+    throw mfaError('INVALID_CURRENT_PASSWORD', 'Current password is incorrect');
+  }
+
+  const method = await verifySecondFactor(parentId, factor, { ...context, purpose: 'DISABLE' });
+
+  await prisma.$transaction([
+    prisma.mfaRecoveryCode.deleteMany({ where: { parentId } }),
+    prisma.totpCredential.delete({ where: { parentId } }),
+  ]);
+
+  try {
+    auditService.logMfaDisabled(parentId, method, context.ipAddress);
+  } catch (logErr) {
+    console.warn('[MFA] Audit logging failed for MFA disablement:', logErr.message);
+  }
+}
+
+/**
+ * Replace the recovery codes (e.g. after using several, or if they leaked).
+ *
+ * @param {number} parentId - Parent's ID (from the access token)
+ * @param {string} code - Current 6-digit TOTP code
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { recoveryCodes } (plain text, shown once)
+ * @throws {Error} with code 'MFA_NOT_ENABLED' or 'INVALID_MFA_CODE'
+ */
+async function regenerateRecoveryCodes(parentId, code, context = {}) {
+  await verifySecondFactor(parentId, { code }, { ...context, purpose: 'REGENERATE_RECOVERY_CODES' });
+
+  const recoveryCodes = await prisma.$transaction(tx => replaceRecoveryCodes(parentId, tx));
+
+  try {
+    auditService.logMfaRecoveryCodesRegenerated(parentId, context.ipAddress);
+  } catch (logErr) {
+    console.warn('[MFA] Audit logging failed for recovery code regeneration:', logErr.message);
+  }
+
+  return { recoveryCodes };
+}
+
+module.exports = {
+  // Status
+  isMfaEnabled,
+  getMfaStatus,
+
+  // Enrollment
+  startTotpEnrollment,
+  confirmTotpEnrollment,
+  disableTotp,
+  regenerateRecoveryCodes,
+
+  // Login
+  verifySecondFactor,
+  issueMfaChallenge,
+  verifyMfaChallenge,
+  recordMfaChallenge,
+  countMfaChallengeAttempt,
+  redeemMfaChallenge,
+
+  // Constants
+  MFA_METHODS,
+};
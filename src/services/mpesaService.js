@@ -0,0 +1,563 @@
+/**
+ * src/services/mpesaService.js
+ *
+ * M-Pesa client for deposits: Lipa na M-Pesa Online (STK push) through
+ * Safaricom's Daraja API, and the callbacks that report the result.
+ *
+ * Purpose:
+ *   - Ask M-Pesa to push a payment prompt ("enter your M-Pesa PIN") to a
+ *     parent's phone
+ *   - Give every push a signed callback URL and check callbacks against it
+ *     and against Safaricom's IP addresses
+ *   - Read Daraja's callback body into a plain result
+ *
+ * Architecture Pattern: Strategy (provider) + Service Layer
+ *   paymentService → mpesaService → provider (Daraja, simulator, ...)
+ *
+ * Providers:
+ *   A provider is any object with
+ *     async initiateStkPush({ phoneNumber, amount, accountReference, description, callbackUrl })
+ *       → { merchantRequestId, checkoutRequestId }
+ *   phoneNumber is the MSISDN (2547XXXXXXXX), amount whole shillings. The
+ *   provider must eventually POST a Daraja-shaped callback to callbackUrl.
+ *   - daraja:    Safaricom's Daraja API (MPESA_API_BASE_URL: sandbox or
+ *                production). OAuth access tokens are cached until shortly
+ *                before they expire.
+ *   - simulator: No network; posts a callback to this API after
+ *                MPESA_SIMULATOR_DELAY_MS. The outcome depends on the last
+ *                four digits of the phone number (SIMULATOR_OUTCOMES).
+ *                Refused in production.
+ *   Other providers are added with registerMpesaProvider() and selected
+ *   with MPESA_PROVIDER=<name>. Unset MPESA_PROVIDER: deposits disabled.
+ *
+ * Callback Security:
+ *   Daraja doesn't sign callbacks, so:
+ *   - The callback URL carries our reference and an HMAC-SHA256 of it
+ *     (MPESA_CALLBACK_SECRET): only M-Pesa, which received the URL with
+ *     the push, can address a callback to an intent
+ *   - The caller's IP must be in MPESA_CALLBACK_ALLOWED_IPS (required with
+ *     daraja; req.ip, so set TRUSTED_PROXIES behind a load balancer)
+ *   - paymentService also checks the CheckoutRequestID and the amount
+ *     against the intent
+ *
+ * Security Considerations:
+ *   - Consumer secret, passkey and access tokens are never logged
+ *   - Phone numbers are not logged (only masked, by callers)
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const env = require('../config/env');
+
+// ============================================
+// Configuration Constants
+// ============================================
+
+// Daraja endpoints (relative to MPESA_API_BASE_URL)
+const DARAJA_OAUTH_PATH = '/oauth/v1/generate?grant_type=client_credentials';
+const DARAJA_STK_PUSH_PATH = '/mpesa/stkpush/v1/processrequest';
+
+// Renew access tokens this long before Daraja says they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Daraja limits on the text shown to the payer
+const ACCOUNT_REFERENCE_MAX_LENGTH = 12;
+const TRANSACTION_DESC_MAX_LENGTH = 13;
+
+// Daraja timestamps are in Kenyan time (EAT, UTC+3, no daylight saving)
+const EAT_OFFSET_MS = 3 * 60 * 60 * 1000;
+
+// ResultCode values of STK push callbacks
+const MPESA_RESULT_CODES = {
+  SUCCESS: 0,
+  INSUFFICIENT_FUNDS: 1,
+  CANCELLED_BY_USER: 1032,
+  NO_RESPONSE: 1037, // Phone unreachable, or the prompt timed out
+  WRONG_PIN: 2001,
+};
+
+// Callback URL path (mounted by paymentRoutes under /api/payments)
+const CALLBACK_PATH = '/api/payments/mpesa/callback';
+
+// Simulator: outcome by the last four digits of the phone number
+// (anything else succeeds)
+const SIMULATOR_OUTCOMES = {
+  1032: { resultCode: MPESA_RESULT_CODES.CANCELLED_BY_USER, resultDesc: 'Request cancelled by user' },
+  2001: { resultCode: MPESA_RESULT_CODES.WRONG_PIN, resultDesc: 'The initiator information is invalid.' },
+  1001: { resultCode: MPESA_RESULT_CODES.INSUFFICIENT_FUNDS, resultDesc: 'The balance is insufficient for the transaction.' },
+  1037: null, // No callback at all: the intent expires
+};
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Build an Error carrying a code property (same convention as authService).
+ *
+ * @param {string} message - Human-readable message
+ * @param {string} code - Machine-readable code for controllers
+ * @returns {Error}
+ */
+function mpesaError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Current time as Daraja wants it: YYYYMMDDHHmmss in Kenyan time.
+ *
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function darajaTimestamp(now = new Date()) {
+  return new Date(now.getTime() + EAT_OFFSET_MS).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+/**
+ * Call the Daraja API.
+ *
+ * @param {string} path - Path and query, relative to MPESA_API_BASE_URL
+ * @param {object} options - { method, headers, body? }
+ * @returns {Promise<object>} Parsed response body
+ * @throws {Error} code 'MPESA_UNAVAILABLE' (network error, timeout, 5xx) or
+ *                 'MPESA_REQUEST_REJECTED' (4xx), with .status
+ */
+async function darajaRequest(path, { method, headers, body }) {
+  let response;
+  try {
+    response = await fetch(`${env.mpesaApiBaseUrl}${path}`, {
+      method,
+      headers: {
+        Accept: 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...headers,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(env.mpesaTimeoutMs),
+    });
+  } catch (err) {
+    throw mpesaError(`M-Pesa API unreachable: ${err.message}`, 'MPESA_UNAVAILABLE');
+  }
+
+  const text = await response.text();
+  let parsed = {};
+  try {
+    parsed = text ? JSON.parse(text) : {};
+  } catch {
+    // Gateways in front of Daraja answer errors in HTML
+  }
+
+  if (!response.ok) {
+    const error = mpesaError(
+      `M-Pesa API answered ${response.status}: ${parsed.errorMessage || parsed.ResponseDescription || 'no details'}`,
+      response.status >= 500 ? 'MPESA_UNAVAILABLE' : 'MPESA_REQUEST_REJECTED'
+    );
+    error.status = response.status;
+    throw error;
+  }
+
+  return parsed;
+}
+
+// ============================================
+// Built-in Providers
+// ============================================
+
+/**
+ * Safaricom Daraja API (Lipa na M-Pesa Online).
+ *
+ * Access tokens (client credentials, about an hour) are cached and renewed
+ * a minute early, or at once when Daraja rejects one; concurrent requests
+ * share one token request.
+ */
+function createDarajaProvider() {
+  let token = null;        // { value, expiresAt }
+  let tokenRequest = null; // In-flight token request
+
+  async function requestAccessToken() {
+    const credentials = Buffer
+      .from(`${env.mpesaConsumerKey}:${env.mpesaConsumerSecret}`)
+      .toString('base64');
+
+    const body = await darajaRequest(DARAJA_OAUTH_PATH, {
+      method: 'GET',
+      headers: { Authorization: `Basic ${credentials}` },
+    });
+
+    if (!body.access_token) {
+      throw mpesaError('M-Pesa API returned no access token', 'MPESA_UNAVAILABLE');
+    }
+
+    const lifetimeMs = (Number(body.expires_in) || 3599) * 1000;
+    token = {
+      value: body.access_token,
+      expiresAt: Date.now() + Math.max(lifetimeMs - TOKEN_EXPIRY_MARGIN_MS, 0),
+    };
+    return token.value;
+  }
+
+  function getAccessToken() {
+    if (token && token.expiresAt > Date.now()) {
+      return Promise.resolve(token.value);
+    }
+    if (!tokenRequest) {
+      tokenRequest = requestAccessToken().finally(() => {
+        tokenRequest = null;
+      });
+    }
+    return tokenRequest;
+  }
+
+  async function sendStkPush(request) {
+    return darajaRequest(DARAJA_STK_PUSH_PATH, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${await getAccessToken()}` },
+      body: request,
+    });
+  }
+
+  return {
+    async initiateStkPush({ phoneNumber, amount, accountReference, description, callbackUrl }) {
+      const timestamp = darajaTimestamp();
+      const request = {
+        BusinessShortCode: env.mpesaShortcode,
+        Password: Buffer.from(`${env.mpesaShortcode}${env.mpesaPasskey}${timestamp}`).toString('base64'),
+        Timestamp: timestamp,
+        TransactionType: env.mpesaTransactionType,
+        Amount: amount,
+        PartyA: phoneNumber,
+        PartyB: env.mpesaPartyB,
+        PhoneNumber: phoneNumber,
+        CallBackURL: callbackUrl,
+        AccountReference: accountReference.slice(0, ACCOUNT_REFERENCE_MAX_LENGTH),
+        TransactionDesc: description.slice(0, TRANSACTION_DESC_MAX_LENGTH),
+      };
+
+      let body;
+      try {
+        body = await sendStkPush(request);
+      } catch (err) {
+        if (err.status !== 401) {
+          throw err;
+        }
+        // Token revoked or expired early: get a new one and retry once
+        token = null;
+        body = await sendStkPush(request);
+      }
+
+      if (String(body.ResponseCode) !== '0' || !body.CheckoutRequestID) {
+        throw mpesaError(`M-Pesa refused the payment request: ${body.ResponseDescription || 'no details'}`, 'MPESA_REQUEST_REJECTED');
+      }
+
+      return {
+        merchantRequestId: body.MerchantRequestID,
+        checkoutRequestId: body.CheckoutRequestID,
+      };
+    },
+  };
+}
+
+/**
+ * Local stand-in for Daraja: accepts every push and, like M-Pesa, posts
+ * the result to the callback URL (through the API's own route, so the
+ * signature and IP checks run). Receipt numbers start with "SIM".
+ */
+function createSimulatorProvider() {
+  async function postCallback(callbackUrl, stkCallback) {
+    const response = await fetch(callbackUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ Body: { stkCallback } }),
+      signal: AbortSignal.timeout(env.mpesaTimeoutMs),
+    });
+    await response.body?.cancel().catch(() => {});
+
+    if (!response.ok) {
+      throw new Error(`callback answered ${response.status}`);
+    }
+  }
+
+  return {
+    async initiateStkPush({ phoneNumber, amount, callbackUrl }) {
+      if (env.nodeEnv === 'production') {
+        throw mpesaError('The M-Pesa simulator is not available in production', 'PAYMENTS_NOT_CONFIGURED');
+      }
+
+      const merchantRequestId = `SIM-${crypto.randomBytes(6).toString('hex')}`;
+      const checkoutRequestId = `ws_CO_SIM_${crypto.randomBytes(10).toString('hex')}`;
+      const suffix = phoneNumber.slice(-4);
+      const outcome = suffix in SIMULATOR_OUTCOMES
+        ? SIMULATOR_OUTCOMES[suffix]
+        : { resultCode: MPESA_RESULT_CODES.SUCCESS, resultDesc: 'The service request is processed successfully.' };
+
+      if (outcome) {
+        const stkCallback = {
+          MerchantRequestID: merchantRequestId,
+          CheckoutRequestID: checkoutRequestId,
+          ResultCode: outcome.resultCode,
+          ResultDesc: outcome.resultDesc,
+        };
+
+        if (outcome.resultCode === MPESA_RESULT_CODES.SUCCESS) {
+          stkCallback.CallbackMetadata = {
+            Item: [
+              { Name: 'Amount', Value: amount },
+              { Name: 'MpesaReceiptNumber', Value: `SIM${crypto.randomBytes(4).toString('hex').toUpperCase().slice(0, 7)}` },
+              { Name: 'TransactionDate', Value: Number(darajaTimestamp()) },
+              { Name: 'PhoneNumber', Value: Number(phoneNumber) },
+            ],
+          };
+        }
+
+        setTimeout(() => {
+          postCallback(callbackUrl, stkCallback).catch((err) => {
+            console.warn(`[MPESA] Simulator callback for ${checkoutRequestId} failed: ${err.message}`);
+          });
+        }, env.mpesaSimulatorDelayMs).unref();
+      }
+
+      return { merchantRequestId, checkoutRequestId };
+    },
+  };
+}
+
+const providers = new Map([
+  ['daraja', createDarajaProvider()],
+  ['simulator', createSimulatorProvider()],
+]);
+
+// ============================================
+// Provider Registry
+// ============================================
+
+/**
+ * Register (or replace) an M-Pesa provider.
+ *
+ * @param {string} name - Value of MPESA_PROVIDER that selects it
+ * @param {object} provider - Object with initiateStkPush()
+ *
+ * @example
+ * mpesaService.registerMpesaProvider('aggregator', {
+ *   async initiateStkPush({ phoneNumber, amount, accountReference, callbackUrl }) {
+ *     const res = await aggregator.charge({ msisdn: phoneNumber, amount, reference: accountReference, callbackUrl });
+ *     return { merchantRequestId: res.id, checkoutRequestId: res.checkoutId };
+ *   },
+ * });
+ */
+function registerMpesaProvider(name, provider) {
+  if (!provider || typeof provider.initiateStkPush !== 'function') {
+    throw new Error(`M-Pesa provider "${name}" must implement initiateStkPush()`);
+  }
+  providers.set(name, provider);
+}
+
+/**
+ * Whether deposits are turned on (MPESA_PROVIDER set).
+ *
+ * @returns {boolean}
+ */
+function isMpesaEnabled() {
+  return Boolean(env.mpesaProvider);
+}
+
+/**
+ * Resolve the configured provider.
+ *
+ * @returns {object} Provider
+ * @throws {Error} with code 'PAYMENTS_NOT_CONFIGURED' if unset or unknown
+ */
+function getMpesaProvider() {
+  const provider = providers.get(env.mpesaProvider);
+
+  if (!provider) {
+    throw mpesaError(
+      env.mpesaProvider ? `Unknown M-Pesa provider: ${env.mpesaProvider}` : 'MPESA_PROVIDER is not set',
+      'PAYMENTS_NOT_CONFIGURED'
+    );
+  }
+
+  return provider;
+}
+
+// ============================================
+// STK Push
+// ============================================
+
+/**
+ * Send an STK push through the configured provider.
+ *
+ * @param {object} params
+ * @param {string} params.phoneNumber - +2547XXXXXXXX
+ * @param {number} params.amount - Whole shillings
+ * @param {string} params.reference - PaymentIntent reference (account reference, callback URL)
+ * @param {string} params.description - Shown on the prompt (13 characters kept)
+ * @returns {Promise<object>} { merchantRequestId, checkoutRequestId }
+ * @throws {Error} codes: PAYMENTS_NOT_CONFIGURED, MPESA_UNAVAILABLE,
+ *                 MPESA_REQUEST_REJECTED
+ */
+async function initiateStkPush({ phoneNumber, amount, reference, description }) {
+  const provider = getMpesaProvider();
+
+  return provider.initiateStkPush({
+    phoneNumber: phoneNumber.replace(/^\+/, ''), // MSISDN: 2547XXXXXXXX
+    amount,
+    accountReference: reference,
+    description,
+    callbackUrl: buildCallbackUrl(reference),
+  });
+}
+
+// ============================================
+// Callbacks
+// ============================================
+
+/**
+ * HMAC-SHA256 of a reference, as put in its callback URL.
+ *
+ * @param {string} reference - PaymentIntent reference
+ * @returns {string} 64 hex characters
+ */
+function signCallbackReference(reference) {
+  return crypto
+    .createHmac('sha256', env.mpesaCallbackSecret)
+    .update(`mpesa-callback:${reference}`)
+    .digest('hex');
+}
+
+/**
+ * Callback URL for one intent:
+ *   <MPESA_CALLBACK_BASE_URL>/api/payments/mpesa/callback/<reference>/<signature>
+ *
+ * @param {string} reference - PaymentIntent reference
+ * @returns {string}
+ */
+function buildCallbackUrl(reference) {
+  return `${env.mpesaCallbackBaseUrl}${CALLBACK_PATH}/${encodeURIComponent(reference)}/${signCallbackReference(reference)}`;
+}
+
+/**
+ * Check the signature of a callback URL (constant time).
+ *
+ * @param {string} reference - From the URL
+ * @param {string} signature - From the URL
+ * @returns {boolean}
+ */
+function verifyCallbackSignature(reference, signature) {
+  if (!env.mpesaCallbackSecret || typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature)) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(
+    Buffer.from(signCallbackReference(String(reference)), 'hex'),
+    Buffer.from(signature, 'hex')
+  );
+}
+
+/**
+ * Build the allow-list of MPESA_CALLBACK_ALLOWED_IPS.
+ *
+ * An invalid entry stops the process at startup, like other configuration
+ * errors (config/env.js).
+ *
+ * @param {string[]} entries - IPs and CIDRs
+ * @returns {net.BlockList|null} null: no entries, any caller allowed
+ */
+function buildCallbackAllowList(entries) {
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const allowList = new net.BlockList();
+  for (const entry of entries) {
+    const [address, prefix] = entry.split('/');
+    const family = net.isIP(address);
+    const prefixLength = Number(prefix);
+
+    if (family === 0 || (prefix !== undefined && !(Number.isInteger(prefixLength) && prefixLength >= 0 && prefixLength <= (family === 4 ? 32 : 128)))) {
+      console.error(`[ENV] Configuration error:\n  - "MPESA_CALLBACK_ALLOWED_IPS" entry "${entry}" is not an IP address or CIDR`);
+      process.exit(1);
+    }
+
+    const type = family === 4 ? 'ipv4' : 'ipv6';
+    if (prefix === undefined) {
+      allowList.addAddress(address, type);
+    } else {
+      allowList.addSubnet(address, prefixLength, type);
+    }
+  }
+
+  return allowList;
+}
+
+const callbackAllowList = buildCallbackAllowList(env.mpesaCallbackAllowedIps);
+
+/**
+ * Whether an IP may post M-Pesa callbacks (MPESA_CALLBACK_ALLOWED_IPS).
+ *
+ * @param {string} ipAddress - req.ip (IPv4-mapped IPv6 is accepted)
+ * @returns {boolean}
+ */
+function isCallbackIpAllowed(ipAddress) {
+  if (!callbackAllowList) {
+    return true;
+  }
+  if (typeof ipAddress !== 'string') {
+    return false;
+  }
+
+  const address = ipAddress.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+  const family = net.isIP(address);
+
+  return family !== 0 && callbackAllowList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Read a Daraja STK push callback body.
+ *
+ * Body: { Body: { stkCallback: { MerchantRequestID, CheckoutRequestID,
+ *   ResultCode, ResultDesc, CallbackMetadata?: { Item: [{ Name, Value }] } } } }
+ * CallbackMetadata (Amount, MpesaReceiptNumber, TransactionDate,
+ * PhoneNumber) is only present for successful payments.
+ *
+ * @param {object} body - Parsed request body
+ * @returns {object|null} { merchantRequestId, checkoutRequestId, resultCode,
+ *   resultDesc, amount, receiptNumber, transactionDate, phoneNumber },
+ *   or null if it isn't an STK callback
+ */
+function parseStkCallback(body) {
+  const callback = body && body.Body && body.Body.stkCallback;
+  const resultCode = callback ? Number(callback.ResultCode) : NaN;
+
+  if (!callback || typeof callback.CheckoutRequestID !== 'string' || !Number.isInteger(resultCode)) {
+    return null;
+  }
+
+  const items = Array.isArray(callback.CallbackMetadata?.Item) ? callback.CallbackMetadata.Item : [];
+  const metadata = Object.fromEntries(
+    items.filter(item => item && typeof item.Name === 'string').map(item => [item.Name, item.Value])
+  );
+
+  return {
+    merchantRequestId: callback.MerchantRequestID || null,
+    checkoutRequestId: callback.CheckoutRequestID,
+    resultCode,
+    resultDesc: typeof callback.ResultDesc === 'string' ? callback.ResultDesc : null,
+    amount: metadata.Amount !== undefined ? Number(metadata.Amount) : null,
+    receiptNumber: metadata.MpesaReceiptNumber ? String(metadata.MpesaReceiptNumber) : null,
+    transactionDate: metadata.TransactionDate ? String(metadata.TransactionDate) : null,
+    phoneNumber: metadata.PhoneNumber ? String(metadata.PhoneNumber) : null,
+  };
+}
+
+module.exports = {
+  registerMpesaProvider,
+  isMpesaEnabled,
+  initiateStkPush,
+  buildCallbackUrl,
+  verifyCallbackSignature,
+  isCallbackIpAllowed,
+  parseStkCallback,
+  MPESA_RESULT_CODES,
+};
@@ -0,0 +1,381 @@
+/**
+ * src/services/notificationService.js
+ *
+ * Outgoing notifications (email and SMS) behind pluggable transports.
+ *
+ * Purpose:
+ *   - Give services one place to send messages to parents
+ *   - Keep message wording (templates) out of business logic
+ *   - Let each environment choose how messages are delivered
+ *
+ * Architecture Pattern: Strategy (transport) + Service Layer
+ *   authService / passwordService → notificationService → transport
+ *
+ * Transports:
+ *   A transport is any object with `async send(message)`.
+ *     - console: Prints the message to the server log (development default)
+ *     - file: Writes each message as a JSON file to NOTIFIER_FILE_DIR
+ *             (inspect with: ls logs/outbox && cat logs/outbox/<file>.json)
+ *   Providers (SES, SendGrid, ...) are added with registerTransport()
+ *   and selected with NOTIFIER_TRANSPORT=<name>.
+ *
+ * SMS Gateways:
+ *   An SMS gateway is any object with `async send(message)`.
+ *     - fake: Local stand-in. Keeps messages in memory (getFakeSmsOutbox)
+ *             and passes them to the notifier transport above, so codes
+ *             appear in the server log or the outbox directory
+ *   Providers (Africa's Talking, Twilio, ...) are added with
+ *   registerSmsGateway() and selected with SMS_GATEWAY=<name>.
+ *
+ * Message Shape:
+ *   { channel: 'email', type, to, subject, text, createdAt }
+ *   { channel: 'sms', type, to, text, createdAt }
+ *
+ * Security Considerations:
+ *   - Messages can contain single-use secrets (reset and verification
+ *     links). The console and file transports are for local development only.
+ *   - Transports must never log message bodies in production.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const env = require('../config/env');
+
+// ============================================
+// Configuration Constants
+// ============================================
+
+// Notification types (used for file names and provider templates)
+const NOTIFICATION_TYPES = {
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  EMAIL_VERIFICATION: 'EMAIL_VERIFICATION',
+  PHONE_VERIFICATION: 'PHONE_VERIFICATION',
+  GUARDIAN_INVITATION: 'GUARDIAN_INVITATION',
+};
+
+// Messages kept by the fake SMS gateway (oldest dropped first)
+const FAKE_SMS_OUTBOX_LIMIT = 100;
+
+// ============================================
+// Built-in Transports
+// ============================================
+
+/**
+ * Print messages to the server log.
+ */
+const consoleTransport = {
+  async send(message) {
+    const subject = message.subject ? `Subject: ${message.subject}\n\n` : '';
+    console.log(
+      `[NOTIFY] ${message.channel} to ${message.to} (${message.type})\n` +
+      `${subject}${message.text}`
+    );
+  },
+};
+
+/**
+ * Write each message to its own JSON file.
+ */
+const fileTransport = {
+  async send(message) {
+    const dir = path.resolve(env.notifierFileDir);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.type.toLowerCase()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.promises.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify(message, null, 2),
+      { mode: 0o600 } // Owner-only: messages may contain secrets
+    );
+  },
+};
+
+const transports = new Map([
+  ['console', consoleTransport],
+  ['file', fileTransport],
+]);
+
+// ============================================
+// Built-in SMS Gateways
+// ============================================
+
+const fakeSmsOutbox = [];
+
+/**
+ * Local stand-in for a real SMS provider.
+ */
+const fakeSmsGateway = {
+  async send(message) {
+    fakeSmsOutbox.push(message);
+    if (fakeSmsOutbox.length > FAKE_SMS_OUTBOX_LIMIT) {
+      fakeSmsOutbox.shift();
+    }
+
+    // Make the message visible the same way emails are in development
+    await getTransport().send(message);
+  },
+};
+
+const smsGateways = new Map([
+  ['fake', fakeSmsGateway],
+]);
+
+// ============================================
+// Transport Registry
+// ============================================
+
+/**
+ * Register (or replace) a transport.
+ *
+ * @param {string} name - Value of NOTIFIER_TRANSPORT that selects it
+ * @param {object} transport - Object with async send(message)
+ *
+ * @example
+ * notificationService.registerTransport('ses', {
+ *   async send(message) { await ses.sendEmail(...); },
+ * });
+ */
+function registerTransport(name, transport) {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Transport "${name}" must implement send(message)`);
+  }
+  transports.set(name, transport);
+}
+
+/**
+ * Resolve the configured transport.
+ *
+ * @returns {object} Transport
+ * @throws {Error} with code 'NOTIFIER_NOT_CONFIGURED' if unknown
+ */
+function getTransport() {
+  const transport = transports.get(env.notifierTransport);
+
+  if (!transport) {
+    const error = new Error(`Unknown notifier transport: ${env.notifierTransport}`);
+    error.code = 'NOTIFIER_NOT_CONFIGURED';
+    throw error;
+  }
+
+  return transport;
+}
+
+// ============================================
+// SMS Gateway Registry
+// ============================================
+
+/**
+ * Register (or replace) an SMS gateway.
+ *
+ * @param {string} name - Value of SMS_GATEWAY that selects it
+ * @param {object} gateway - Object with async send(message)
+ *
+ * @example
+ * notificationService.registerSmsGateway('africastalking', {
+ *   async send(message) { await sms.send({ to: [message.to], message: message.text }); },
+ * });
+ */
+function registerSmsGateway(name, gateway) {
+  if (!gateway || typeof gateway.send !== 'function') {
+    throw new Error(`SMS gateway "${name}" must implement send(message)`);
+  }
+  smsGateways.set(name, gateway);
+}
+
+/**
+ * Resolve the configured SMS gateway.
+ *
+ * @returns {object} Gateway
+ * @throws {Error} with code 'SMS_GATEWAY_NOT_CONFIGURED' if unknown
+ */
+function getSmsGateway() {
+  const gateway = smsGateways.get(env.smsGateway);
+
+  if (!gateway) {
+    const error = new Error(`Unknown SMS gateway: ${env.smsGateway}`);
+    error.code = 'SMS_GATEWAY_NOT_CONFIGURED';
+    throw error;
+  }
+
+  return gateway;
+}
+
+/**
+ * Messages sent through the fake SMS gateway, oldest first.
+ *
+ * @returns {object[]} Copy of the outbox
+ */
+function getFakeSmsOutbox() {
+  return [...fakeSmsOutbox];
+}
+
+// ============================================
+// Service Functions
+// ============================================
+
+/**
+ * Send an email through the configured transport.
+ *
+ * @param {object} params
+ * @param {string} params.type - One of NOTIFICATION_TYPES
+ * @param {string} params.to - Recipient email address
+ * @param {string} params.subject - Subject line
+ * @param {string} params.text - Plain-text body
+ * @returns {Promise<void>}
+ */
+async function sendEmail({ type, to, subject, text }) {
+  await getTransport().send({
+    channel: 'email',
+    type,
+    to,
+    subject,
+    text,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Send the password reset link.
+ *
+ * @param {string} to - Parent's email address
+ * @param {object} params
+ * @param {string} params.fullName - Parent's name (greeting)
+ * @param {string} params.resetUrl - Link containing the raw reset token
+ * @param {number} params.expiresInMinutes - Link lifetime
+ * @returns {Promise<void>}
+ */
+async function sendPasswordResetEmail(to, { fullName, resetUrl, expiresInMinutes }) {
+  await sendEmail({
+    type: NOTIFICATION_TYPES.PASSWORD_RESET,
+    to,
+    subject: 'Reset your SatsBlox password',
+    text: [
+      `Hi ${fullName},`,
+      '',
+      'We received a request to reset your SatsBlox password.',
+      `Use the link below within ${expiresInMinutes} minutes. It can only be used once.`,
+      '',
+      resetUrl,
+      '',
+      'If you did not request this, you can ignore this email; your password will not change.',
+    ].join('\n'),
+  });
+}
+
+/**
+ * Send the email address verification link.
+ *
+ * @param {string} to - Address being verified
+ * @param {object} params
+ * @param {string} params.fullName - Parent's name (greeting)
+ * @param {string} params.verifyUrl - Link containing the raw verification token
+ * @param {number} params.expiresInHours - Link lifetime
+ * @returns {Promise<void>}
+ */
+async function sendEmailVerificationEmail(to, { fullName, verifyUrl, expiresInHours }) {
+  await sendEmail({
+    type: NOTIFICATION_TYPES.EMAIL_VERIFICATION,
+    to,
+    subject: 'Confirm your SatsBlox email address',
+    text: [
+      `Hi ${fullName},`,
+      '',
+      'Please confirm this is your email address by opening the link below.',
+      `The link is valid for ${expiresInHours} hours and can only be used once.`,
+      '',
+      verifyUrl,
+      '',
+      'Until your email is confirmed you will not be able to move money in your children\'s wallets.',
+      'If you did not create a SatsBlox account, you can ignore this email.',
+    ].join('\n'),
+  });
+}
+
+/**
+ * Send a guardian invitation link.
+ *
+ * @param {string} to - Invitee's email address
+ * @param {object} params
+ * @param {string} params.inviterName - Owning parent's name
+ * @param {string} params.childUsername - Child the invitation is for
+ * @param {string} params.invitationUrl - Link containing the raw invitation token
+ * @param {number} params.expiresInHours - Link lifetime
+ * @returns {Promise<void>}
+ */
+async function sendGuardianInvitationEmail(to, { inviterName, childUsername, invitationUrl, expiresInHours }) {
+  await sendEmail({
+    type: NOTIFICATION_TYPES.GUARDIAN_INVITATION,
+    to,
+    subject: `${inviterName} invited you to help with ${childUsername}'s SatsBlox savings`,
+    text: [
+      'Hi,',
+      '',
+      `${inviterName} invited you to join ${childUsername}'s savings on SatsBlox as a guardian.`,
+      `Open the link below within ${expiresInHours} hours to accept or decline.`,
+      'You will need a SatsBlox account registered with this email address to accept.',
+      '',
+      invitationUrl,
+      '',
+      'If you do not know the sender, you can ignore this email.',
+    ].join('\n'),
+  });
+}
+
+/**
+ * Send an SMS through the configured gateway.
+ *
+ * @param {object} params
+ * @param {string} params.type - One of NOTIFICATION_TYPES
+ * @param {string} params.to - Recipient phone number (E.164, e.g. +254700000000)
+ * @param {string} params.text - Message body (keep under 160 characters)
+ * @returns {Promise<void>}
+ */
+async function sendSms({ type, to, text }) {
+  await getSmsGateway().send({
+    channel: 'sms',
+    type,
+    to,
+    text,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Send a phone verification code.
+ *
+ * @param {string} to - Phone number being verified
+ * @param {object} params
+ * @param {string} params.code - 6-digit one-time code
+ * @param {number} params.expiresInMinutes - Code lifetime
+ * @returns {Promise<void>}
+ */
+async function sendPhoneVerificationSms(to, { code, expiresInMinutes }) {
+  await sendSms({
+    type: NOTIFICATION_TYPES.PHONE_VERIFICATION,
+    to,
+    text: `Your SatsBlox verification code is ${code}. It expires in ${expiresInMinutes} minutes. Never share this code.`,
+  });
+}
+
+module.exports = {
+  // Transport registry
+  registerTransport,
+  getTransport,
+
+  // SMS gateway registry
+  registerSmsGateway,
+  getSmsGateway,
+  getFakeSmsOutbox,
+
+  // Senders
+  sendEmail,
+  sendPasswordResetEmail,
+  sendEmailVerificationEmail,
+  sendGuardianInvitationEmail,
+  sendSms,
+  sendPhoneVerificationSms,
+
+  // Constants
+  NOTIFICATION_TYPES,
+};
@@ -0,0 +1,413 @@
+/**
+ * src/services/passwordService.js
+ *
+ * Business logic for password recovery ("forgot password") and change.
+ *
+ * Purpose:
+ *   - Issue password reset tokens and deliver them by email
+ *   - Redeem a token to set a new password
+ *   - Let a signed-in parent change their password
+ *   - Prevent reuse of recent passwords (password history)
+ *   - End sessions when a password is reset or changed
+ *
+ * Architecture Pattern: The Service Layer Pattern
+ *   Controller → passwordService → Prisma ORM → Database
+ *                               → notificationService → transport
+ *
+ * Workflow:
+ *   1. POST /api/auth/password/forgot { email }
+ *        → token emailed as <APP_BASE_URL>/reset-password?token=<token>
+ *   2. POST /api/auth/password/reset { token, newPassword }
+ *        → password replaced, lockout cleared, all sessions revoked
+ *
+ *   POST /api/auth/password/change { currentPassword, newPassword }
+ *        → password replaced, every OTHER session revoked
+ *
+ * Security Considerations:
+ *   - Tokens are 256-bit random values; only their SHA-256 hash is stored
+ *   - Tokens expire (PASSWORD_RESET_TOKEN_TTL_MINUTES) and are single use
+ *   - forgot always answers the same way, so it can't reveal which emails
+ *     have accounts (the audit log records the difference)
+ *   - After a reset every refresh token is revoked: whoever knew the old
+ *     password is signed out everywhere
+ *   - The last PASSWORD_HISTORY_SIZE passwords (including the current one)
+ *     cannot be reused; previous hashes are kept in password_history
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { prisma } = require('../config/db');
+const env = require('../config/env');
+const auditService = require('./auditService');
+const sessionService = require('./sessionService');
+const notificationService = require('./notificationService');
+const { SALT_ROUNDS } = require('./authService');
+
+// ============================================
+// Configuration Constants
+// ============================================
+
+// Random bytes per reset token (256 bits, base64url encoded in the link)
+const RESET_TOKEN_BYTES = 32;
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Hash a reset token for storage/lookup.
+ *
+ * @param {string} token - Raw token from the email link
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Build the error thrown for unknown, expired or already-used tokens.
+ * The three cases are deliberately indistinguishable to the caller.
+ *
+ * @returns {Error} Error with code 'INVALID_RESET_TOKEN'
+ */
+function invalidResetTokenError() {
+  const error = new Error('Invalid or expired password reset token');
+  error.code = 'INVALID_RESET_TOKEN';
+  return error;
+}
+
+/**
+ * Reject a new password that matches the current or a recent password.
+ *
+ * Compares against Parent.password plus the newest
+ * (PASSWORD_HISTORY_SIZE - 1) rows of password_history.
+ *
+ * @param {object} parent - { id, password } (current bcrypt hash)
+ * @param {string} newPassword - Candidate password (plain text)
+ * @returns {Promise<void>}
+ * @throws {Error} with code 'PASSWORD_REUSED'
+ */
+async function assertPasswordNotReused(parent, newPassword) {
+  const history = await prisma.passwordHistory.findMany({
+    where: { parentId: parent.id },
+    orderBy: { createdAt: 'desc' },
+    take: env.passwordHistorySize - 1,
+    select: { passwordHash: true },
+  });
+
+  const recentHashes = [parent.password, ...history.map(entry => entry.passwordHash)];
+
+  for (const hash of recentHashes) {
+    if (await bcrypt.compare(newPassword, hash)) {
+      const error = new Error(
+        `New password must differ from your last ${env.passwordHistorySize} passwords`
+      );
+      error.code = 'PASSWORD_REUSED';
+      throw error;
+    }
+  }
+}
+
+/**
+ * Move the replaced hash into password_history and trim old rows.
+ *
+ * @param {number} parentId - Parent whose password changed
+ * @param {string} previousHash - Bcrypt hash being replaced
+ * @param {object} tx - Transaction client
+ * @returns {Promise<void>}
+ */
+async function recordPasswordHistory(parentId, previousHash, tx) {
+  await tx.passwordHistory.create({
+    data: { parentId, passwordHash: previousHash },
+  });
+
+  // Keep only what assertPasswordNotReused can ever look at
+  const stale = await tx.passwordHistory.findMany({
+    where: { parentId },
+    orderBy: { createdAt: 'desc' },
+    skip: env.passwordHistorySize - 1,
+    select: { id: true },
+  });
+
+  if (stale.length > 0) {
+    await tx.passwordHistory.deleteMany({
+      where: { id: { in: stale.map(entry => entry.id) } },
+    });
+  }
+}
+
+// ============================================
+// Service Functions
+// ============================================
+
+/**
+ * Issue a reset token for a parent and email them the link.
+ *
+ * Runs after requestPasswordReset has returned (see there).
+ *
+ * @param {object} parent - { id, email, fullName }
+ * @param {object} context - { ipAddress }
+ * @returns {Promise<void>}
+ */
+async function issueAndSendResetLink(parent, context) {
+  // ---- Step 1: Issue token (only the newest link works) ----
+  const token = crypto.randomBytes(RESET_TOKEN_BYTES).toString('base64url');
+  const ttlMinutes = env.passwordResetTokenTtlMinutes;
+
+  await prisma.$transaction([
+    prisma.passwordResetToken.deleteMany({
+      where: { parentId: parent.id, usedAt: null },
+    }),
+    prisma.passwordResetToken.create({
+      data: {
+        tokenHash: hashResetToken(token),
+        parentId: parent.id,
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+        requestedIp: context.ipAddress || null,
+      },
+    }),
+  ]);
+
+  // ---- Step 2: Deliver link ----
+  const resetUrl = new URL('/reset-password', env.appBaseUrl);
+  resetUrl.searchParams.set('token', token);
+
+  await notificationService.sendPasswordResetEmail(parent.email, {
+    fullName: parent.fullName,
+    resetUrl: resetUrl.toString(),
+    expiresInMinutes: ttlMinutes,
+  });
+}
+
+/**
+ * Start a password reset for an email address.
+ *
+ * Workflow:
+ *   1. Find parent by email (case-insensitive)
+ *   2. Audit the request (parentId null for an unknown email)
+ *   3. Known email: replace any outstanding token with a new one (hash
+ *      stored) and email the link, in the background
+ *
+ * Security Considerations:
+ *   - Known and unknown emails take the same time and give the same
+ *     result: the token write and the email are not awaited, and a mail
+ *     transport failure is logged, not thrown (it would otherwise turn
+ *     into a 500 for registered addresses only)
+ *
+ * @param {string} email - Email entered on the "forgot password" form
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<void>}
+ */
+async function requestPasswordReset(email, context = {}) {
+  const normalizedEmail = email.toLowerCase().trim();
+
+  // ---- Step 1: Find parent ----
+  const parent = await prisma.parent.findUnique({
+    where: { email: normalizedEmail },
+    select: { id: true, email: true, fullName: true },
+  });
+
+  // ---- Step 2: Audit ----
+  try {
+    auditService.logPasswordResetRequested(parent ? parent.id : null, normalizedEmail, context.ipAddress);
+  } catch (logErr) {
+    console.warn('[PASSWORD] Audit logging failed for reset request:', logErr.message);
+  }
+
+  // ---- Step 3: Issue and deliver (known email only, not awaited) ----
+  if (parent) {
+    issueAndSendResetLink(parent, context).catch((err) => {
+      console.error(`[PASSWORD] Reset link for parent ${parent.id} not sent:`, err.message);
+    });
+  }
+}
+
+/**
+ * Redeem a reset token and set a new password.
+ *
+ * Workflow:
+ *   1. Look up the token by hash (must be unused and unexpired)
+ *   2. Reject recently used passwords, hash the new one (bcrypt)
+ *   3. In one transaction:
+ *        - claim the token (conditional update → single use under races)
+ *        - store the new password (old hash → history), clear lockout fields
+ *        - discard any other outstanding reset tokens
+ *        - revoke every session and refresh token
+ *   4. Audit the change
+ *
+ * The new password must already have passed validators.validatePassword
+ * (enforced by the controller).
+ *
+ * @param {string} token - Raw token from the email link
+ * @param {string} newPassword - New password (plain text)
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { parentId, revokedSessionCount }
+ * @throws {Error} with code 'INVALID_RESET_TOKEN' or 'PASSWORD_REUSED'
+ */
+async function resetPassword(token, newPassword, context = {}) {
+  try {
+    // ---- Step 1: Find a redeemable token ----
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashResetToken(token) },
+      select: {
+        id: true,
+        parentId: true,
+        expiresAt: true,
+        usedAt: true,
+        parent: { select: { id: true, password: true } },
+      },
+    });
+
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt <= new Date()) {
+      throw invalidResetTokenError();
+    }
+
+    // ---- Step 2: Check history, hash new password (slow; outside the transaction) ----
+    await assertPasswordNotReused(resetToken.parent, newPassword);
+    const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+
+    // ---- Step 3: Apply atomically ----
+    const revokedSessionIds = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null },
+        data: { usedAt: new Date() },
+      });
+
+      if (count === 0) {
+        throw invalidResetTokenError(); // Redeemed concurrently
+      }
+
+      await recordPasswordHistory(resetToken.parentId, resetToken.parent.password, tx);
+
+      await tx.parent.update({
+        where: { id: resetToken.parentId },
+        data: {
+          password: hashedPassword,
+          failedLoginAttempts: 0,
+          lastFailedLoginAttempt: null,
+          lockedUntil: null,
+        },
+      });
+
+      await tx.passwordResetToken.deleteMany({
+        where: { parentId: resetToken.parentId, usedAt: null },
+      });
+
+      return sessionService.revokeAllSessions(
+        resetToken.parentId,
+        sessionService.REVOCATION_REASONS.PASSWORD_RESET,
+        tx
+      );
+    });
+
+    // ---- Step 4: Audit ----
+    try {
+      auditService.logPasswordChanged(
+        resetToken.parentId,
+        'RESET',
+        revokedSessionIds.length,
+        context.ipAddress
+      );
+    } catch (logErr) {
+      console.warn('[PASSWORD] Audit logging failed for password reset:', logErr.message);
+    }
+
+    return {
+      parentId: resetToken.parentId,
+      revokedSessionCount: revokedSessionIds.length,
+    };
+
+  } catch (err) {
+    if (err.code === 'INVALID_RESET_TOKEN') {
+      try {
+        auditService.logPasswordResetFailed(err.code, context.ipAddress);
+      } catch (logErr) {
+        console.warn('[PASSWORD] Audit logging failed for reset failure:', logErr.message);
+      }
+    }
+    throw err;
+  }
+}
+
+/**
+ * Change the password of a signed-in parent.
+ *
+ * Workflow:
+ *   1. Load parent and verify the current password (bcrypt, timing-safe)
+ *   2. Reject recently used passwords, hash the new one
+ *   3. In one transaction:
+ *        - store the new password (old hash → history)
+ *        - revoke every session except the caller's
+ *   4. Audit the change
+ *
+ * The new password must already have passed validators.validatePassword
+ * (enforced by the controller).
+ *
+ * Legacy access tokens without a session (no sid claim) can't identify
+ * the session to keep, so every session is revoked.
+ *
+ * @param {number} parentId - Authenticated parent
+ * @param {string} [currentSessionId] - Session to keep signed in
+ * @param {string} currentPassword - Current password (plain text)
+ * @param {string} newPassword - New password (plain text)
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { parentId, revokedSessionCount }
+ * @throws {Error} with code 'PARENT_NOT_FOUND', 'INVALID_CURRENT_PASSWORD' or 'PASSWORD_REUSED'
+ */
+async function changePassword(parentId, currentSessionId, currentPassword, newPassword, context = {}) {
+  // ---- Step 1: Verify current password ----
+  const parent = await prisma.parent.findUnique({
+    where: { id: parentId },
+    select: { id: true, password: true },
+  });
+
+  if (!parent) {
+    const error = new Error('Parent account not found');
+    error.code = 'PARENT_NOT_FOUND';
+    throw error;
+  }
+
+  const isCurrentPasswordValid = await bcrypt.compare(currentPassword, parent.password);
+  if (!isCurrentPasswordValid) {
+    const error = new Error('Current password is incorrect');
+    error.code = 'INVALID_CURRENT_PASSWORD';
+    throw error;
+  }
+
+  // ---- Step 2: Check history, hash new password ----
+  await assertPasswordNotReused(parent, newPassword);
+  const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+
+  // ---- Step 3: Apply atomically ----
+  const revokedSessionIds = await prisma.$transaction(async (tx) => {
+    await recordPasswordHistory(parent.id, parent.password, tx);
+
+    await tx.parent.update({
+      where: { id: parent.id },
+      data: { password: hashedPassword },
+    });
+
+    const reason = sessionService.REVOCATION_REASONS.PASSWORD_CHANGED;
+    return currentSessionId
+      ? sessionService.revokeOtherSessions(parent.id, currentSessionId, reason, tx)
+      : sessionService.revokeAllSessions(parent.id, reason, tx);
+  });
+
+  // ---- Step 4: Audit ----
+  try {
+    auditService.logPasswordChanged(parent.id, 'CHANGE', revokedSessionIds.length, context.ipAddress);
+  } catch (logErr) {
+    console.warn('[PASSWORD] Audit logging failed for password change:', logErr.message);
+  }
+
+  return {
+    parentId: parent.id,
+    revokedSessionCount: revokedSessionIds.length,
+  };
+}
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+};
@@ -0,0 +1,486 @@
+/**
+ * src/services/paymentService.js
+ *
+ * M-Pesa deposits into children's wallets.
+ *
+ * Purpose:
+ *   - Start a deposit: record a PaymentIntent and send an STK push to the
+ *     parent's verified phone
+ *   - Apply M-Pesa's callback: credit the wallet through the ledger when
+ *     the payment is confirmed, record why when it isn't
+ *   - Report a deposit's status to the app (which polls it)
+ *
+ * Architecture Pattern: The Service Layer Pattern
+ *   Controller → paymentService → mpesaService (M-Pesa) / ledgerService → Database
+ *
+ * Workflow:
+ *   POST /api/family/children/:childId/deposits { amount }
+ *     → intent PENDING → STK push sent → PROCESSING (202)
+ *   Parent enters their M-Pesa PIN (or cancels)
+ *   M-Pesa → POST /api/payments/mpesa/callback/:reference/:signature
+ *     → SUCCEEDED (wallet credited) | FAILED | CANCELLED
+ *   GET /api/family/children/:childId/deposits/:intentId
+ *     → current status (EXPIRED once MPESA_INTENT_TTL_MINUTES pass without
+ *       a result)
+ *
+ * State Machine (PAYMENT_TRANSITIONS):
+ *   PENDING    → PROCESSING, FAILED, and the callback results (a callback
+ *                may beat the push response)
+ *   PROCESSING → SUCCEEDED, FAILED, CANCELLED, EXPIRED
+ *   EXPIRED    → SUCCEEDED, FAILED, CANCELLED (a late result still counts:
+ *                money taken from the parent is never dropped)
+ *   SUCCEEDED, FAILED, CANCELLED: final
+ *   Every transition is a conditional update on the current status, so
+ *   concurrent callbacks (M-Pesa retries) apply once.
+ *
+ * Security Considerations:
+ *   - The push only goes to the acting parent's own verified number, so a
+ *     stolen session can't send payment prompts to arbitrary phones
+ *   - The satoshi amount is fixed at initiation; a callback can't change
+ *     it, and one whose amount differs from the request credits nothing
+ *   - The M-Pesa receipt number is the ledger reference: one payment can
+ *     never be credited twice
+ *   - Phone numbers are stored encrypted and returned masked
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('../config/db');
+const env = require('../config/env');
+const auditService = require('./auditService');
+const ledgerService = require('./ledgerService');
+const mpesaService = require('./mpesaService');
+const { maskPhoneNumber } = require('./phoneVerificationService');
+
+// ============================================
+// Constants
+// ============================================
+
+// PaymentIntent statuses (mirrors CHECK constraint in migration 24)
+const PAYMENT_STATUSES = {
+  PENDING: 'PENDING',
+  PROCESSING: 'PROCESSING',
+  SUCCEEDED: 'SUCCEEDED',
+  FAILED: 'FAILED',
+  CANCELLED: 'CANCELLED',
+  EXPIRED: 'EXPIRED',
+};
+
+// Allowed status changes (see the state machine above)
+const PAYMENT_TRANSITIONS = {
+  PENDING: ['PROCESSING', 'SUCCEEDED', 'FAILED', 'CANCELLED'],
+  PROCESSING: ['SUCCEEDED', 'FAILED', 'CANCELLED', 'EXPIRED'],
+  EXPIRED: ['SUCCEEDED', 'FAILED', 'CANCELLED'],
+  SUCCEEDED: [],
+  FAILED: [],
+  CANCELLED: [],
+};
+
+// References: "SBX" + 9 characters (M-Pesa shows at most 12), no 0/O/1/I
+const REFERENCE_PREFIX = 'SBX';
+const REFERENCE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const REFERENCE_RANDOM_LENGTH = 9;
+
+// Shown on the parent's phone (M-Pesa keeps 13 characters)
+const STK_DESCRIPTION = 'SatsBlox';
+
+// Ledger transaction description
+const DEPOSIT_DESCRIPTION = 'M-Pesa deposit';
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Build an Error carrying a code property (same convention as authService).
+ *
+ * @param {string} message - Human-readable message
+ * @param {string} code - Machine-readable code for controllers
+ * @returns {Error}
+ */
+function paymentError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * New random intent reference, e.g. "SBX7KQ2MZ9RD".
+ *
+ * @returns {string}
+ */
+function generateReference() {
+  const bytes = crypto.randomBytes(REFERENCE_RANDOM_LENGTH);
+  let reference = REFERENCE_PREFIX;
+  for (const byte of bytes) {
+    reference += REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length];
+  }
+  return reference;
+}
+
+/**
+ * Move an intent to a new status if nobody moved it first.
+ *
+ * @param {object} client - prisma or a transaction client
+ * @param {object} intent - PaymentIntent as last read (id, status)
+ * @param {string} status - PAYMENT_STATUSES value
+ * @param {object} [data] - Other columns to set
+ * @returns {Promise<boolean>} false if the intent was no longer in intent.status
+ * @throws {Error} code 'INVALID_PAYMENT_TRANSITION'
+ */
+async function transitionIntent(client, intent, status, data = {}) {
+  if (!PAYMENT_TRANSITIONS[intent.status].includes(status)) {
+    throw paymentError(`A ${intent.status} payment can't become ${status}`, 'INVALID_PAYMENT_TRANSITION');
+  }
+
+  const { count } = await client.paymentIntent.updateMany({
+    where: { id: intent.id, status: intent.status },
+    data: { status, ...data },
+  });
+
+  return count === 1;
+}
+
+/**
+ * Lock an intent and move it from its current status (not the one read
+ * before the lock: initiateDeposit or another callback may have moved it).
+ *
+ * @param {number} intentId - PaymentIntent ID
+ * @param {string} status - PAYMENT_STATUSES value
+ * @param {object} [data] - Other columns to set
+ * @returns {Promise<boolean>} false if the intent can no longer become status
+ */
+async function transitionLockedIntent(intentId, status, data = {}) {
+  return prisma.$transaction(async (tx) => {
+    const [locked] = await tx.$queryRaw`SELECT * FROM "payment_intents" WHERE "id" = ${intentId} FOR UPDATE`;
+    if (!PAYMENT_TRANSITIONS[locked.status].includes(status)) {
+      return false;
+    }
+    return transitionIntent(tx, locked, status, data);
+  });
+}
+
+/**
+ * Shape an intent for API responses (amounts as strings, phone masked).
+ *
+ * @param {object} intent - PaymentIntent
+ * @returns {object}
+ */
+function formatIntent(intent) {
+  return {
+    id: intent.id,
+    reference: intent.reference,
+    status: intent.status,
+    amountKes: intent.amountKes,
+    amountSats: intent.amountSats.toString(),
+    phoneNumber: maskPhoneNumber(intent.phoneNumber),
+    mpesaReceiptNumber: intent.mpesaReceiptNumber,
+    resultDesc: intent.resultDesc,
+    transactionId: intent.transactionId,
+    expiresAt: intent.expiresAt,
+    completedAt: intent.completedAt,
+    createdAt: intent.createdAt,
+  };
+}
+
+/**
+ * Audit a deposit's result without failing the caller.
+ *
+ * @param {number} intentId - PaymentIntent just settled
+ */
+async function auditCompleted(intentId) {
+  try {
+    const intent = await prisma.paymentIntent.findUnique({ where: { id: intentId } });
+    auditService.logPaymentCompleted(intent);
+  } catch (logErr) {
+    console.warn('[PAYMENT] Audit logging failed for payment result:', logErr.message);
+  }
+}
+
+// ============================================
+// Service Functions
+// ============================================
+
+/**
+ * Start an M-Pesa deposit into a child's wallet.
+ *
+ * Workflow:
+ *   1. Deposits must be configured; the parent needs a verified phone
+ *      number; the child must be active with a wallet
+ *   2. Record the intent (PENDING) with the satoshi amount fixed now
+ *   3. Send the STK push; a refused push marks the intent FAILED
+ *   4. PROCESSING, with M-Pesa's request IDs
+ *   5. Audit
+ *
+ * The amount must already have passed validators.validateDepositData
+ * (enforced by the controller), and the parent's access to the child
+ * (owner, or guardian allowed to deposit) by verifyParentalLink.
+ *
+ * @param {number} parentId - Acting parent (owner or guardian)
+ * @param {number} childId - Child whose wallet is credited
+ * @param {object} data - { amount } whole shillings
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} Formatted intent
+ * @throws {Error} codes: PAYMENTS_NOT_CONFIGURED, PHONE_NOT_VERIFIED,
+ *                 CHILD_NOT_FOUND, WALLET_NOT_FOUND, MPESA_UNAVAILABLE,
+ *                 MPESA_REQUEST_REJECTED
+ */
+async function initiateDeposit(parentId, childId, { amount }, context = {}) {
+  // ---- Step 1: Preconditions ----
+  if (!mpesaService.isMpesaEnabled()) {
+    throw paymentError('M-Pesa deposits are not enabled', 'PAYMENTS_NOT_CONFIGURED');
+  }
+
+  const parent = await prisma.parent.findUnique({
+    where: { id: parentId },
+    select: { phoneNumber: true, phoneVerifiedAt: true },
+  });
+
+  if (!parent || !parent.phoneVerifiedAt) {
+    throw paymentError('Verify your phone number before depositing with M-Pesa', 'PHONE_NOT_VERIFIED');
+  }
+
+  const child = await prisma.child.findUnique({
+    where: { id: childId },
+    select: { isActive: true, wallet: { select: { id: true } } },
+  });
+
+  if (!child || !child.isActive) {
+    throw paymentError('Child not found', 'CHILD_NOT_FOUND');
+  }
+  if (!child.wallet) {
+    throw paymentError('Wallet not found', 'WALLET_NOT_FOUND');
+  }
+
+  // ---- Step 2: Record the intent ----
+  let intent = await prisma.paymentIntent.create({
+    data: {
+      reference: generateReference(),
+      walletId: child.wallet.id,
+      initiatedById: parentId,
+      provider: env.mpesaProvider,
+      phoneNumber: parent.phoneNumber, // Encrypted by the client
+      amountKes: amount,
+      amountSats: BigInt(amount) * BigInt(env.depositSatsPerKes),
+      expiresAt: new Date(Date.now() + env.mpesaIntentTtlMinutes * 60 * 1000),
+    },
+  });
+
+  // ---- Step 3: STK push ----
+  let push;
+  try {
+    push = await mpesaService.initiateStkPush({
+      phoneNumber: parent.phoneNumber,
+      amount,
+      reference: intent.reference,
+      description: STK_DESCRIPTION,
+    });
+  } catch (err) {
+    console.error(`[PAYMENT] STK push for ${intent.reference} failed:`, err.message);
+
+    const failed = await transitionIntent(prisma, intent, PAYMENT_STATUSES.FAILED, {
+      resultDesc: err.message.slice(0, 255),
+      completedAt: new Date(),
+    });
+    if (failed) {
+      await auditCompleted(intent.id);
+    }
+    throw err;
+  }
+
+  // ---- Step 4: Waiting for the callback ----
+  // No-op if the callback already settled it
+  await transitionIntent(prisma, intent, PAYMENT_STATUSES.PROCESSING, {
+    merchantRequestId: push.merchantRequestId,
+    checkoutRequestId: push.checkoutRequestId,
+  });
+  intent = await prisma.paymentIntent.findUnique({ where: { id: intent.id } });
+
+  // ---- Step 5: Audit ----
+  try {
+    auditService.logPaymentInitiated(parentId, intent, maskPhoneNumber(parent.phoneNumber), context.ipAddress);
+  } catch (logErr) {
+    console.warn('[PAYMENT] Audit logging failed for deposit:', logErr.message);
+  }
+
+  return formatIntent(intent);
+}
+
+/**
+ * Apply an M-Pesa STK push callback.
+ *
+ * The callback URL's signature and the caller's IP have already been
+ * checked (paymentController via mpesaService).
+ *
+ * Workflow:
+ *   1. Read the body; find the intent by reference; the CheckoutRequestID
+ *      must be the one M-Pesa gave us for it
+ *   2. Already settled: nothing to do (M-Pesa retried)
+ *   3. Paid: amount must match; in one transaction (intent row locked)
+ *      post the deposit to the ledger (reference MPESA:<receipt>) and
+ *      mark SUCCEEDED
+ *   4. Not paid: CANCELLED (parent dismissed the prompt) or FAILED, from
+ *      the locked row as in 3
+ *   5. Audit
+ *
+ * Callbacks that can't be applied are audited (CRITICAL when M-Pesa
+ * reports money taken that wasn't credited) and reported as rejected.
+ *
+ * @param {string} reference - From the callback URL
+ * @param {object} body - Callback body
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { accepted, status?, duplicate?, reason? }
+ */
+async function handleStkCallback(reference, body, context = {}) {
+  const reject = (reason, details, paid = false) => {
+    try {
+      auditService.logPaymentCallbackRejected(reason, { reference, ...details }, context.ipAddress, paid);
+    } catch (logErr) {
+      console.warn('[PAYMENT] Audit logging failed for rejected callback:', logErr.message);
+    }
+    return { accepted: false, reason };
+  };
+
+  // ---- Step 1: Match the callback to its intent ----
+  const callback = mpesaService.parseStkCallback(body);
+  if (!callback) {
+    return reject('MALFORMED', {});
+  }
+
+  const paid = callback.resultCode === mpesaService.MPESA_RESULT_CODES.SUCCESS;
+  const intent = await prisma.paymentIntent.findUnique({ where: { reference } });
+
+  if (!intent) {
+    return reject('UNKNOWN_REFERENCE', { checkoutRequestId: callback.checkoutRequestId }, paid);
+  }
+
+  const intentDetails = {
+    paymentIntentId: intent.id,
+    walletId: intent.walletId,
+    initiatedById: intent.initiatedById,
+    checkoutRequestId: callback.checkoutRequestId,
+    mpesaReceiptNumber: callback.receiptNumber,
+  };
+
+  if (intent.checkoutRequestId && intent.checkoutRequestId !== callback.checkoutRequestId) {
+    return reject('CHECKOUT_MISMATCH', intentDetails, paid);
+  }
+
+  // ---- Step 2: Already settled ----
+  if (PAYMENT_TRANSITIONS[intent.status].length === 0) {
+    return { accepted: true, duplicate: true, status: intent.status };
+  }
+
+  const result = {
+    merchantRequestId: intent.merchantRequestId || callback.merchantRequestId,
+    checkoutRequestId: callback.checkoutRequestId,
+    resultCode: callback.resultCode,
+    resultDesc: callback.resultDesc && callback.resultDesc.slice(0, 255),
+    completedAt: new Date(),
+  };
+
+  // ---- Step 3: Paid ----
+  if (paid) {
+    if (callback.amount !== intent.amountKes || !callback.receiptNumber) {
+      await transitionLockedIntent(intent.id, PAYMENT_STATUSES.FAILED, {
+        ...result,
+        resultDesc: `Not credited: M-Pesa reported KES ${callback.amount} (receipt ${callback.receiptNumber || 'missing'})`,
+      });
+      await auditCompleted(intent.id);
+      return reject('AMOUNT_MISMATCH', { ...intentDetails, amountKes: intent.amountKes, paidKes: callback.amount }, true);
+    }
+
+    let settled;
+    try {
+      settled = await prisma.$transaction(async (tx) => {
+        // Lock the intent and work from the locked row: since it was read
+        // above, initiateDeposit may have moved it to PROCESSING, or a
+        // concurrent callback settled it (that one waits here, then sees it)
+        const [locked] = await tx.$queryRaw`SELECT * FROM "payment_intents" WHERE "id" = ${intent.id} FOR UPDATE`;
+        if (!PAYMENT_TRANSITIONS[locked.status].includes(PAYMENT_STATUSES.SUCCEEDED)) {
+          return { status: locked.status };
+        }
+
+        const transaction = await ledgerService.recordDeposit({
+          walletId: locked.walletId,
+          amount: locked.amountSats,
+          description: DEPOSIT_DESCRIPTION,
+          reference: `MPESA:${callback.receiptNumber}`,
+          initiatedById: locked.initiatedById,
+        }, tx);
+
+        await transitionIntent(tx, locked, PAYMENT_STATUSES.SUCCEEDED, {
+          ...result,
+          mpesaReceiptNumber: callback.receiptNumber,
+          transactionId: transaction.id,
+        });
+        return { status: PAYMENT_STATUSES.SUCCEEDED, transaction };
+      });
+    } catch (err) {
+      // The receipt was already credited for another intent (ledger
+      // reference or intent receipt number taken)
+      if (err.code === 'DUPLICATE_REFERENCE' || err.code === 'P2002') {
+        return reject('DUPLICATE_RECEIPT', intentDetails, true);
+      }
+      throw err;
+    }
+
+    if (!settled.transaction) {
+      return { accepted: true, duplicate: true, status: settled.status };
+    }
+
+    // Committed: now the deposit can be audited (WALLET_DEPOSIT)
+    ledgerService.auditPostedTransaction(settled.transaction);
+    await auditCompleted(intent.id);
+    return { accepted: true, status: PAYMENT_STATUSES.SUCCEEDED };
+  }
+
+  // ---- Step 4: Not paid ----
+  const status = callback.resultCode === mpesaService.MPESA_RESULT_CODES.CANCELLED_BY_USER
+    ? PAYMENT_STATUSES.CANCELLED
+    : PAYMENT_STATUSES.FAILED;
+
+  const moved = await transitionLockedIntent(intent.id, status, result);
+  if (!moved) {
+    return { accepted: true, duplicate: true };
+  }
+
+  // ---- Step 5: Audit ----
+  await auditCompleted(intent.id);
+  return { accepted: true, status };
+}
+
+/**
+ * One deposit into a child's wallet, for status polling.
+ *
+ * An intent still waiting for M-Pesa past its expiresAt is marked EXPIRED
+ * here (a late callback can still settle it).
+ *
+ * @param {number} childId - Child (access checked by verifyParentalLink)
+ * @param {number} intentId - PaymentIntent ID
+ * @returns {Promise<object>} Formatted intent
+ * @throws {Error} code 'PAYMENT_NOT_FOUND'
+ */
+async function getDeposit(childId, intentId) {
+  let intent = await prisma.paymentIntent.findFirst({
+    where: { id: intentId, wallet: { childId } },
+  });
+
+  if (!intent) {
+    throw paymentError('Deposit not found', 'PAYMENT_NOT_FOUND');
+  }
+
+  // PENDING intents are mid-request (FAILED or PROCESSING within seconds)
+  if (intent.status === PAYMENT_STATUSES.PROCESSING && intent.expiresAt <= new Date()) {
+    await transitionIntent(prisma, intent, PAYMENT_STATUSES.EXPIRED);
+    intent = await prisma.paymentIntent.findUnique({ where: { id: intent.id } });
+  }
+
+  return formatIntent(intent);
+}
+
+module.exports = {
+  initiateDeposit,
+  handleStkCallback,
+  getDeposit,
+  PAYMENT_STATUSES,
+};
@@ -0,0 +1,307 @@
+/**
+ * src/services/phoneVerificationService.js
+ *
+ * Business logic for proving a parent controls their phone number (SMS OTP).
+ *
+ * Purpose:
+ *   - Send a 6-digit one-time code to the parent's phone number
+ *   - Redeem the code to set Parent.phoneVerifiedAt
+ *   - Throttle sends and limit guesses
+ *
+ * Why: M-Pesa payments are pushed to Parent.phoneNumber. The number is
+ * format-checked (validateKenyanPhone) at registration, but only an OTP
+ * proves it belongs to the parent.
+ *
+ * Architecture Pattern: The Service Layer Pattern
+ *   Controller → phoneVerificationService → Prisma ORM → Database
+ *                                        → notificationService → SMS gateway
+ *
+ * Workflow:
+ *   1. POST /api/auth/phone/verify/request
+ *        → code sent by SMS (valid PHONE_OTP_TTL_MINUTES)
+ *   2. POST /api/auth/phone/verify { code }
+ *        → phoneVerifiedAt set
+ *
+ * Security Considerations:
+ *   - Codes come from crypto.randomInt; only a bcrypt hash is stored
+ *     (a 6-digit space is too small for a plain SHA-256 to protect)
+ *   - Each code allows PHONE_OTP_MAX_ATTEMPTS guesses; the attempt is
+ *     counted before the code is compared, so parallel guesses can't
+ *     exceed the limit
+ *   - Only the newest unused code can be redeemed
+ *   - Sends are limited to one per PHONE_OTP_RESEND_INTERVAL_SECONDS and
+ *     PHONE_OTP_MAX_SENDS_PER_HOUR per rolling hour (SMS costs money and
+ *     can be used to harass the number's owner)
+ *   - The full phone number is never returned; responses show a masked form
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { prisma } = require('../config/db');
+const env = require('../config/env');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const { SALT_ROUNDS } = require('./authService');
+
+// ============================================
+// Configuration Constants
+// ============================================
+
+// Digits per code
+const OTP_LENGTH = 6;
+
+// Rolling window for PHONE_OTP_MAX_SENDS_PER_HOUR
+const SEND_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Generate a uniformly random numeric code, zero-padded.
+ *
+ * @returns {string} e.g. "048213"
+ */
+function generateOtpCode() {
+  return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+}
+
+/**
+ * Mask a phone number for display: +254712345678 → +2547******78
+ *
+ * @param {string} phoneNumber - E.164 phone number
+ * @returns {string}
+ */
+function maskPhoneNumber(phoneNumber) {
+  return `${phoneNumber.slice(0, 5)}${'*'.repeat(Math.max(phoneNumber.length - 7, 0))}${phoneNumber.slice(-2)}`;
+}
+
+/**
+ * Build an error with a code (and optional extra properties).
+ *
+ * @param {string} code - error.code
+ * @param {string} message - error.message
+ * @param {object} [extra] - e.g. { retryAfterSeconds }
+ * @returns {Error}
+ */
+function otpError(code, message, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+/**
+ * Enforce the resend interval and hourly send limit.
+ *
+ * @param {number} parentId - Parent's ID
+ * @returns {Promise<void>}
+ * @throws {Error} with code 'OTP_RESEND_THROTTLED' or 'OTP_SEND_LIMIT_REACHED'
+ *                 (both carry retryAfterSeconds)
+ */
+async function assertCanSendCode(parentId) {
+  const now = Date.now();
+
+  const recentCodes = await prisma.phoneVerificationCode.findMany({
+    where: { parentId, createdAt: { gt: new Date(now - SEND_LIMIT_WINDOW_MS) } },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true },
+  });
+
+  if (recentCodes.length === 0) {
+    return;
+  }
+
+  // ---- Minimum interval since the last code ----
+  const resendAt = recentCodes[0].createdAt.getTime() + env.phoneOtpResendIntervalSeconds * 1000;
+  if (resendAt > now) {
+    throw otpError('OTP_RESEND_THROTTLED', 'Please wait before requesting another code', {
+      retryAfterSeconds: Math.ceil((resendAt - now) / 1000),
+    });
+  }
+
+  // ---- Sends per rolling hour ----
+  if (recentCodes.length >= env.phoneOtpMaxSendsPerHour) {
+    const oldest = recentCodes[env.phoneOtpMaxSendsPerHour - 1].createdAt.getTime();
+    throw otpError('OTP_SEND_LIMIT_REACHED', 'Too many verification codes requested', {
+      retryAfterSeconds: Math.ceil((oldest + SEND_LIMIT_WINDOW_MS - now) / 1000),
+    });
+  }
+}
+
+// ============================================
+// Service Functions
+// ============================================
+
+/**
+ * Send a verification code to the parent's phone number.
+ *
+ * Workflow:
+ *   1. Load parent (must exist, phone not yet verified)
+ *   2. Enforce resend interval and hourly limit
+ *   3. Store a bcrypt hash of a new random code
+ *   4. Send the code through the SMS gateway
+ *   5. Audit the send
+ *
+ * @param {number} parentId - Parent's ID (from the access token)
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { maskedPhoneNumber, expiresAt, resendAvailableAt }
+ * @throws {Error} with code 'PARENT_NOT_FOUND', 'PHONE_ALREADY_VERIFIED',
+ *                 'OTP_RESEND_THROTTLED' or 'OTP_SEND_LIMIT_REACHED'
+ */
+async function requestPhoneVerification(parentId, context = {}) {
+  // ---- Step 1: Load parent ----
+  const parent = await prisma.parent.findUnique({
+    where: { id: parentId },
+    select: { id: true, phoneNumber: true, phoneVerifiedAt: true },
+  });
+
+  if (!parent) {
+    throw otpError('PARENT_NOT_FOUND', 'Parent not found');
+  }
+
+  if (parent.phoneVerifiedAt) {
+    throw otpError('PHONE_ALREADY_VERIFIED', 'Phone number is already verified');
+  }
+
+  // ---- Step 2: Throttle ----
+  await assertCanSendCode(parent.id);
+
+  // ---- Step 3: Store hashed code ----
+  const code = generateOtpCode();
+  const ttlMinutes = env.phoneOtpTtlMinutes;
+
+  const stored = await prisma.phoneVerificationCode.create({
+    data: {
+      codeHash: await bcrypt.hash(code, SALT_ROUNDS),
+      parentId: parent.id,
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    },
+    select: { expiresAt: true, createdAt: true },
+  });
+
+  // ---- Step 4: Send SMS ----
+  // parent.phoneNumber is decrypted by the client (ENCRYPTED_FIELDS in config/db.js)
+  const { phoneNumber } = parent;
+  await notificationService.sendPhoneVerificationSms(phoneNumber, {
+    code,
+    expiresInMinutes: ttlMinutes,
+  });
+
+  // ---- Step 5: Audit ----
+  const maskedPhoneNumber = maskPhoneNumber(phoneNumber);
+  try {
+    auditService.logPhoneVerificationSent(parent.id, maskedPhoneNumber, context.ipAddress);
+  } catch (logErr) {
+    console.warn('[PHONE_VERIFY] Audit logging failed for verification SMS:', logErr.message);
+  }
+
+  return {
+    maskedPhoneNumber,
+    expiresAt: stored.expiresAt,
+    resendAvailableAt: new Date(
+      stored.createdAt.getTime() + env.phoneOtpResendIntervalSeconds * 1000
+    ),
+  };
+}
+
+/**
+ * Redeem a verification code.
+ *
+ * Workflow:
+ *   1. Find the newest unused code (must exist and be unexpired)
+ *   2. Count the attempt (conditional update; fails once the limit is hit)
+ *   3. Compare the code with the stored hash
+ *   4. On match: claim the code and set phoneVerifiedAt atomically
+ *   5. Audit the outcome
+ *
+ * @param {number} parentId - Parent's ID (from the access token)
+ * @param {string} code - 6-digit code from the SMS
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { phoneVerifiedAt }
+ * @throws {Error} with code 'INVALID_OTP' (carries attemptsRemaining),
+ *                 'OTP_EXPIRED' or 'OTP_ATTEMPTS_EXCEEDED'
+ */
+async function verifyPhone(parentId, code, context = {}) {
+  try {
+    // ---- Step 1: Newest unused code ----
+    const otp = await prisma.phoneVerificationCode.findFirst({
+      where: { parentId, usedAt: null },
+      orderBy: { createdAt: 'desc' },
+      select: { id: true, codeHash: true, expiresAt: true, attempts: true },
+    });
+
+    if (!otp || otp.expiresAt <= new Date()) {
+      throw otpError('OTP_EXPIRED', 'Verification code has expired. Please request a new one.');
+    }
+
+    // ---- Step 2: Count the attempt before comparing ----
+    const maxAttempts = env.phoneOtpMaxAttempts;
+    const { count } = await prisma.phoneVerificationCode.updateMany({
+      where: { id: otp.id, usedAt: null, attempts: { lt: maxAttempts } },
+      data: { attempts: { increment: 1 } },
+    });
+
+    if (count === 0) {
+      throw otpError('OTP_ATTEMPTS_EXCEEDED', 'Too many incorrect codes. Please request a new one.');
+    }
+
+    // ---- Step 3: Compare ----
+    const isValid = await bcrypt.compare(code, otp.codeHash);
+
+    if (!isValid) {
+      const attemptsRemaining = Math.max(maxAttempts - (otp.attempts + 1), 0);
+      throw otpError('INVALID_OTP', 'Incorrect verification code', { attemptsRemaining });
+    }
+
+    // ---- Step 4: Apply atomically ----
+    const parent = await prisma.$transaction(async (tx) => {
+      const now = new Date();
+
+      const claimed = await tx.phoneVerificationCode.updateMany({
+        where: { id: otp.id, usedAt: null },
+        data: { usedAt: now },
+      });
+
+      // Lost a race with a concurrent request using the same code
+      if (claimed.count === 0) {
+        throw otpError('OTP_EXPIRED', 'Verification code has already been used');
+      }
+
+      await tx.parent.updateMany({
+        where: { id: parentId, phoneVerifiedAt: null },
+        data: { phoneVerifiedAt: now },
+      });
+
+      return tx.parent.findUnique({
+        where: { id: parentId },
+        select: { id: true, phoneVerifiedAt: true },
+      });
+    });
+
+    // ---- Step 5: Audit ----
+    try {
+      auditService.logPhoneVerified(parentId, context.ipAddress);
+    } catch (logErr) {
+      console.warn('[PHONE_VERIFY] Audit logging failed for phone verification:', logErr.message);
+    }
+
+    return { phoneVerifiedAt: parent.phoneVerifiedAt };
+
+  } catch (err) {
+    if (['INVALID_OTP', 'OTP_EXPIRED', 'OTP_ATTEMPTS_EXCEEDED'].includes(err.code)) {
+      try {
+        auditService.logPhoneVerificationFailed(parentId, err.code, context.ipAddress);
+      } catch (logErr) {
+        console.warn('[PHONE_VERIFY] Audit logging failed for rejected code:', logErr.message);
+      }
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  requestPhoneVerification,
+  verifyPhone,
+  maskPhoneNumber,
+};
@@ -0,0 +1,150 @@
+/**
+ * src/services/profileService.js
+ *
+ * Business logic for a parent changing their own profile.
+ *
+ * Purpose:
+ *   - Let a signed-in parent change their name and phone number
+ *   - Keep the phone number's blind index in step with the encrypted number
+ *   - Enforce one parent account per phone number
+ *
+ * Architecture Pattern: The Service Layer Pattern
+ *   Controller → profileService → Prisma ORM → Database
+ *
+ * Workflow:
+ *   PATCH /api/auth/profile { fullName?, phoneNumber? }
+ *     → fields updated; a new phone number must be verified again
+ *       (POST /api/auth/phone/verify/request)
+ *
+ * Security Considerations:
+ *   - The phone number is where M-Pesa payments are pushed: a new number
+ *     clears phoneVerifiedAt and invalidates codes sent to the old one
+ *   - The number is stored encrypted; the client (config/db.js) writes
+ *     phoneNumberIndex (blind index) in the same update, so lookups never
+ *     see a stale index
+ *   - The audit log records the change with the number masked
+ */
+
+const { prisma } = require('../config/db');
+const encryptionService = require('./encryptionService');
+const auditService = require('./auditService');
+const authService = require('./authService');
+const { maskPhoneNumber } = require('./phoneVerificationService');
+const { normalizeKenyanPhone } = require('../utils/validators');
+
+// Fields returned after an update (phoneNumber decrypted by the client)
+const PROFILE_SELECT = {
+  id: true,
+  email: true,
+  fullName: true,
+  phoneNumber: true,
+  emailVerifiedAt: true,
+  phoneVerifiedAt: true,
+  createdAt: true,
+};
+
+/**
+ * Update a parent's name and/or phone number.
+ *
+ * Workflow:
+ *   1. Load the parent; drop fields that don't change anything
+ *   2. New phone number: normalize, check no other account has it
+ *   3. In one transaction:
+ *        - store the fields (phone: encrypted + blind index, unverified)
+ *        - invalidate unused SMS codes sent to the old number
+ *   4. Audit the change (changed field names, masked number)
+ *
+ * The data must already have passed validators.validateProfileUpdateData
+ * (enforced by the controller).
+ *
+ * @param {number} parentId - Authenticated parent
+ * @param {object} data - { fullName?, phoneNumber? }
+ * @param {object} [context] - { ipAddress }
+ * @returns {Promise<object>} { parent, updatedFields }
+ * @throws {Error} with code 'PARENT_NOT_FOUND' or 'PHONE_EXISTS'
+ */
+async function updateProfile(parentId, data, context = {}) {
+  // ---- Step 1: Load parent, find what changes ----
+  const parent = await prisma.parent.findUnique({
+    where: { id: parentId },
+    select: PROFILE_SELECT,
+  });
+
+  if (!parent) {
+    const error = new Error('Parent account not found');
+    error.code = 'PARENT_NOT_FOUND';
+    throw error;
+  }
+
+  const update = {};
+
+  if (data.fullName !== undefined && data.fullName.trim() !== parent.fullName) {
+    update.fullName = data.fullName.trim();
+  }
+
+  // ---- Step 2: New phone number ----
+  let phoneNumber = null;
+  if (data.phoneNumber !== undefined) {
+    phoneNumber = normalizeKenyanPhone(data.phoneNumber);
+
+    if (phoneNumber === normalizeKenyanPhone(parent.phoneNumber)) {
+      phoneNumber = null;
+    } else {
+      await authService.assertPhoneNumberAvailable(encryptionService.getPhoneNumberLookup(phoneNumber), parent.id);
+      update.phoneNumber = phoneNumber; // Encrypted (+ blind index) by the client
+      update.phoneVerifiedAt = null;
+    }
+  }
+
+  const updatedFields = Object.keys(update).filter(field => field !== 'phoneVerifiedAt');
+  if (updatedFields.length === 0) {
+    return { parent, updatedFields };
+  }
+
+  // ---- Step 3: Apply atomically ----
+  let updated;
+  try {
+    updated = await prisma.$transaction(async (tx) => {
+      if (update.phoneNumber) {
+        // Codes sent to the old number must not verify the new one
+        await tx.phoneVerificationCode.updateMany({
+          where: { parentId: parent.id, usedAt: null },
+          data: { usedAt: new Date() },
+        });
+      }
+
+      return tx.parent.update({
+        where: { id: parent.id },
+        data: update,
+        select: PROFILE_SELECT,
+      });
+    });
+  } catch (err) {
+    // Another account took the number between the check and the update
+    if (authService.isPhoneNumberConflict(err)) {
+      throw authService.phoneNumberExistsError();
+    }
+    throw err;
+  }
+
+  // ---- Step 4: Audit ----
+  try {
+    auditService.logParentProfileUpdated(
+      parent.id,
+      updatedFields,
+      phoneNumber && maskPhoneNumber(phoneNumber),
+      context.ipAddress
+    );
+  } catch (logErr) {
+    console.warn('[PROFILE] Audit logging failed for profile update:', logErr.message);
+  }
+
+  return {
+    parent: updated,
+    updatedFields,
+  };
+}
+
+module.exports = {
+  updateProfile,
+};
@@ -0,0 +1,310 @@
+/**
+ * src/services/sessionService.js
+ *
+ * Multi-device session management for parents.
+ *
+ * Purpose:
+ *   - Create a session for every successful login (one per device)
+ *   - List a parent's active sessions
+ *   - Revoke one session, all other sessions, or every session
+ *
+ * Architecture Pattern: The Service Layer Pattern
+ *   authService / Controller → sessionService → Prisma ORM → Database
+ *
+ * Session Model:
+ *   A session is the refresh token family issued at one login. Revoking
+ *   a session revokes every refresh token in it, so that device can no
+ *   longer rotate and is signed out once its access token expires.
+ *
+ *     Session (id = UUID, carried as "sid" in access tokens)
+ *       └─→ RefreshToken[] (rotated on every /api/auth/refresh)
+ *
+ * Child Sessions:
+ *   A child's sign-in (username + PIN) is a session with childId set and
+ *   parentId = the owning parent. The parent's own session list and
+ *   "sign out everywhere" leave them alone (childId: null); a new PIN or
+ *   deactivating the child ends them (revokeChildSessions).
+ *
+ * Security Considerations:
+ *   - Session IDs are random UUIDs (not enumerable)
+ *   - Every query is scoped by parentId; a parent can never see or revoke
+ *     another parent's sessions (not-owned looks like not-found)
+ *   - Device name, user agent and IP are informational only
+ *   - Revoked sessions are denylisted (tokenDenylistService), so their
+ *     outstanding access tokens stop working at once, not at expiry
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('../config/db');
+const tokenDenylistService = require('./tokenDenylistService');
+
+// ============================================
+// Configuration Constants
+// ============================================
+
+/**
+ * Reasons recorded on sessions.revokedReason and refresh_tokens.revokedReason.
+ *
+ *   - ROTATED: Refresh token exchanged for a new one (tokens only)
+ *   - LOGOUT: Parent logged out of this device
+ *   - SESSION_REVOKED: Signed out remotely from another device
+ *   - REUSE_DETECTED: A rotated refresh token was replayed
+ *   - PASSWORD_RESET: Password was reset via a "forgot password" link
+ *   - PASSWORD_CHANGED: Password changed while signed in (other sessions end)
+ *   - PIN_CHANGED: Parent set a new PIN for the child (child sessions end)
+ *   - CHILD_DEACTIVATED: Parent deactivated the child (child sessions end)
+ *   - ACCOUNT_DEACTIVATED: An admin deactivated the parent (whole family signed out)
+ */
+const REVOCATION_REASONS = {
+  ROTATED: 'ROTATED',
+  LOGOUT: 'LOGOUT',
+  SESSION_REVOKED: 'SESSION_REVOKED',
+  REUSE_DETECTED: 'REUSE_DETECTED',
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  PASSWORD_CHANGED: 'PASSWORD_CHANGED',
+  PIN_CHANGED: 'PIN_CHANGED',
+  CHILD_DEACTIVATED: 'CHILD_DEACTIVATED',
+  ACCOUNT_DEACTIVATED: 'ACCOUNT_DEACTIVATED',
+};
+
+// Column limits (see Session model)
+const MAX_DEVICE_NAME_LENGTH = 100;
+const MAX_USER_AGENT_LENGTH = 500;
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Run work inside a database transaction, reusing the caller's if given.
+ *
+ * @param {object} client - prisma or an interactive transaction client
+ * @param {function} work - async (tx) => result
+ * @returns {Promise<*>}
+ */
+function withTransaction(client, work) {
+  if (client && client !== prisma) {
+    return work(client);
+  }
+  return prisma.$transaction(work);
+}
+
+/**
+ * Revoke every active session matching a filter, plus their refresh tokens
+ * and outstanding access tokens.
+ *
+ * Access tokens are denylisted once the sessions are marked revoked. If the
+ * caller's transaction later rolls back, the denylist entries stay (signing
+ * the device out early is the safe failure).
+ *
+ * @param {object} where - Prisma filter on Session (must include parentId)
+ * @param {string} reason - One of REVOCATION_REASONS
+ * @param {object} [client] - Prisma client or transaction client
+ * @returns {Promise<string[]>} IDs of the sessions that were revoked
+ */
+async function revokeSessionsWhere(where, reason, client = prisma) {
+  const revokedSessionIds = await withTransaction(client, async (tx) => {
+    const sessions = await tx.session.findMany({
+      where: { ...where, revokedAt: null },
+      select: { id: true },
+    });
+
+    if (sessions.length === 0) {
+      return [];
+    }
+
+    const sessionIds = sessions.map(session => session.id);
+    const revokedAt = new Date();
+
+    await tx.session.updateMany({
+      where: { id: { in: sessionIds }, revokedAt: null },
+      data: { revokedAt, revokedReason: reason },
+    });
+
+    await tx.refreshToken.updateMany({
+      where: { sessionId: { in: sessionIds }, revokedAt: null },
+      data: { revokedAt, revokedReason: reason },
+    });
+
+    return sessionIds;
+  });
+
+  await tokenDenylistService.revokeSessionAccessTokens(revokedSessionIds, reason);
+
+  return revokedSessionIds;
+}
+
+// ============================================
+// Service Functions
+// ============================================
+
+/**
+ * Create a session for a parent who just signed in.
+ *
+ * @param {number} parentId - Parent's ID
+ * @param {object} [context] - Device details from the login request
+ * @param {string} [context.deviceName] - Label supplied by the client
+ * @param {string} [context.userAgent] - User-Agent header
+ * @param {string} [context.ipAddress] - Client IP
+ * @param {object} [client] - Prisma client or transaction client
+ * @param {number} [childId] - Set for a child's sign-in (parentId = owning parent)
+ * @returns {Promise<object>} Created session
+ */
+async function createSession(parentId, context = {}, client = prisma, childId = null) {
+  const { deviceName, userAgent, ipAddress } = context;
+
+  return client.session.create({
+    data: {
+      id: crypto.randomUUID(),
+      parentId,
+      childId,
+      deviceName: deviceName ? deviceName.trim().slice(0, MAX_DEVICE_NAME_LENGTH) : null,
+      userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+      ipAddress: ipAddress || null,
+    },
+  });
+}
+
+/**
+ * Record that a session was just used (refresh token rotated).
+ *
+ * @param {string} sessionId - Session UUID
+ * @param {object} [client] - Prisma client or transaction client
+ * @returns {Promise<void>}
+ */
+async function touchSession(sessionId, client = prisma) {
+  await client.session.update({
+    where: { id: sessionId },
+    data: { lastUsedAt: new Date() },
+  });
+}
+
+/**
+ * List a parent's active sessions, most recently used first.
+ *
+ * A session counts as active while it is not revoked and still holds an
+ * unexpired, unrevoked refresh token (idle sessions age out on their own).
+ *
+ * @param {number} parentId - Parent's ID
+ * @param {string} [currentSessionId] - Session of the calling request (flagged current)
+ * @returns {Promise<object[]>} Sessions with a `current` flag
+ */
+async function listActiveSessions(parentId, currentSessionId) {
+  const sessions = await prisma.session.findMany({
+    where: {
+      parentId,
+      childId: null, // The parent's own devices, not their children's
+      revokedAt: null,
+      refreshTokens: {
+        some: { revokedAt: null, expiresAt: { gt: new Date() } },
+      },
+    },
+    orderBy: { lastUsedAt: 'desc' },
+    select: {
+      id: true,
+      deviceName: true,
+      userAgent: true,
+      ipAddress: true,
+      createdAt: true,
+      lastUsedAt: true,
+    },
+  });
+
+  return sessions.map(session => ({
+    ...session,
+    current: session.id === currentSessionId,
+  }));
+}
+
+/**
+ * Revoke one of a parent's sessions (including their children's).
+ *
+ * @param {number} parentId - Parent's ID (ownership scope)
+ * @param {string} sessionId - Session UUID to revoke
+ * @param {string} [reason] - One of REVOCATION_REASONS (default SESSION_REVOKED)
+ * @param {object} [client] - Prisma client or transaction client
+ * @returns {Promise<string>} The revoked session ID
+ * @throws {Error} with code 'SESSION_NOT_FOUND' if not owned or already ended
+ */
+async function revokeSession(parentId, sessionId, reason = REVOCATION_REASONS.SESSION_REVOKED, client = prisma) {
+  const revoked = await revokeSessionsWhere({ parentId, id: sessionId }, reason, client);
+
+  if (revoked.length === 0) {
+    const error = new Error('Session not found');
+    error.code = 'SESSION_NOT_FOUND';
+    throw error;
+  }
+
+  return revoked[0];
+}
+
+/**
+ * Revoke every session except the caller's ("log out everywhere else").
+ *
+ * @param {number} parentId - Parent's ID
+ * @param {string} currentSessionId - Session to keep
+ * @param {string} [reason] - One of REVOCATION_REASONS (default SESSION_REVOKED)
+ * @param {object} [client] - Prisma client or transaction client
+ * @returns {Promise<string[]>} IDs of the revoked sessions
+ */
+async function revokeOtherSessions(parentId, currentSessionId, reason = REVOCATION_REASONS.SESSION_REVOKED, client = prisma) {
+  return revokeSessionsWhere(
+    { parentId, childId: null, id: { not: currentSessionId } },
+    reason,
+    client
+  );
+}
+
+/**
+ * Revoke every session a parent has (their children's are left alone).
+ *
+ * @param {number} parentId - Parent's ID
+ * @param {string} reason - One of REVOCATION_REASONS
+ * @param {object} [client] - Prisma client or transaction client
+ * @returns {Promise<string[]>} IDs of the revoked sessions
+ */
+async function revokeAllSessions(parentId, reason, client = prisma) {
+  return revokeSessionsWhere({ parentId, childId: null }, reason, client);
+}
+
+/**
+ * Revoke every session a child has.
+ *
+ * @param {number} parentId - Owning parent's ID (ownership scope)
+ * @param {number} childId - Child's ID
+ * @param {string} reason - One of REVOCATION_REASONS (PIN_CHANGED, CHILD_DEACTIVATED, ...)
+ * @param {object} [client] - Prisma client or transaction client
+ * @returns {Promise<string[]>} IDs of the revoked sessions
+ */
+async function revokeChildSessions(parentId, childId, reason, client = prisma) {
+  return revokeSessionsWhere({ parentId, childId }, reason, client);
+}
+
+/**
+ * Revoke every session of a family: the parent's and all their children's.
+ *
+ * @param {number} parentId - Parent's ID
+ * @param {string} reason - One of REVOCATION_REASONS (ACCOUNT_DEACTIVATED, ...)
+ * @param {object} [client] - Prisma client or transaction client
+ * @returns {Promise<string[]>} IDs of the revoked sessions
+ */
+async function revokeFamilySessions(parentId, reason, client = prisma) {
+  return revokeSessionsWhere({ parentId }, reason, client);
+}
+
+module.exports = {
+  // Lifecycle
+  createSession,
+  touchSession,
+  listActiveSessions,
+
+  // Revocation
+  revokeSession,
+  revokeOtherSessions,
+  revokeAllSessions,
+  revokeChildSessions,
+  revokeFamilySessions,
+
+  // Constants
+  REVOCATION_REASONS,
+};
@@ -0,0 +1,280 @@
+/**
+ * src/services/tokenDenylistService.js
+ *
+ * Access token denylist: makes logout and session revocation take effect
+ * immediately instead of when the 7-minute access token expires.
+ *
+ * Purpose:
+ *   - Record revoked access tokens (by jti) and revoked sessions (by sid)
+ *   - Let authMiddleware reject a token that is revoked but not yet expired
+ *   - Forget entries on their own once the tokens they cover have expired
+ *
+ * Architecture Pattern: Strategy (store) + Service Layer
+ *   authService / sessionService → tokenDenylistService → store
+ *   authMiddleware.authenticate  → tokenDenylistService → store
+ *
+ * Entries:
+ *   - jti:<uuid>  One access token (logout). Kept until that token's exp.
+ *   - sid:<uuid>  Every access token of a session (session revocation,
+ *                 password change/reset, refresh token reuse). Kept for one
+ *                 access token lifetime, after which no token of the session
+ *                 can still be valid.
+ *
+ * Stores:
+ *   A store is any object with
+ *     async add(key, expiresAt, reason), async has(key), async purgeExpired()
+ *   - memory:   Map in this process (development default). Entries are lost
+ *               on restart and not shared between instances, so env
+ *               validation rejects it in production.
+ *   - database: access_token_denylist table (Postgres). Production default;
+ *               use it whenever more than one API instance runs.
+ *   Other stores (Redis, ...) are added with registerDenylistStore() and
+ *   selected with TOKEN_DENYLIST_STORE=<name>.
+ *
+ * Security Considerations:
+ *   - Lookups fail closed: if the store can't be read, authenticate
+ *     answers 500 rather than accepting a possibly revoked token
+ *   - Tokens issued before jti/sid claims existed can't be listed; they
+ *     expire within one access token lifetime
+ */
+
+const { prisma } = require('../config/db');
+const env = require('../config/env');
+
+// ============================================
+// Configuration Constants
+// ============================================
+
+/**
+ * Longest an access token can live (ACCESS_TOKEN_EXPIRY in authService).
+ * Session entries are kept this long; keep the two in step.
+ */
+const ACCESS_TOKEN_MAX_AGE_SECONDS = 7 * 60;
+
+// Minimum time between sweeps of expired entries
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Why an entry was added (stored for the database store, useful in logs).
+ *
+ * Session revocations reuse sessionService.REVOCATION_REASONS.
+ */
+const DENYLIST_REASONS = {
+  LOGOUT: 'LOGOUT',
+};
+
+// ============================================
+// Built-in Stores
+// ============================================
+
+/**
+ * In-process store. Expired entries are skipped on lookup and swept
+ * at most once per PURGE_INTERVAL_MS.
+ */
+function createMemoryStore() {
+  const entries = new Map();
+  let lastPurgeAt = 0;
+
+  return {
+    async add(key, expiresAt) {
+      const expiresAtMs = expiresAt.getTime();
+      const existing = entries.get(key);
+      entries.set(key, Math.max(expiresAtMs, existing || 0));
+
+      if (Date.now() - lastPurgeAt > PURGE_INTERVAL_MS) {
+        await this.purgeExpired();
+      }
+    },
+
+    async has(key) {
+      const expiresAtMs = entries.get(key);
+      return expiresAtMs !== undefined && expiresAtMs > Date.now();
+    },
+
+    async purgeExpired() {
+      const now = Date.now();
+      lastPurgeAt = now;
+      let count = 0;
+      for (const [key, expiresAtMs] of entries) {
+        if (expiresAtMs <= now) {
+          entries.delete(key);
+          count++;
+        }
+      }
+      return count;
+    },
+  };
+}
+
+/**
+ * Postgres store (AccessTokenDenylist model). Expired rows are ignored on
+ * lookup and deleted at most once per PURGE_INTERVAL_MS per process.
+ */
+function createDatabaseStore() {
+  let lastPurgeAt = 0;
+
+  return {
+    async add(key, expiresAt, reason) {
+      await prisma.accessTokenDenylist.upsert({
+        where: { key },
+        create: { key, expiresAt, reason },
+        update: { expiresAt, reason },
+      });
+
+      if (Date.now() - lastPurgeAt > PURGE_INTERVAL_MS) {
+        await this.purgeExpired();
+      }
+    },
+
+    async has(key) {
+      const entry = await prisma.accessTokenDenylist.findUnique({
+        where: { key },
+        select: { expiresAt: true },
+      });
+      return Boolean(entry && entry.expiresAt > new Date());
+    },
+
+    async purgeExpired() {
+      lastPurgeAt = Date.now();
+      const { count } = await prisma.accessTokenDenylist.deleteMany({
+        where: { expiresAt: { lte: new Date() } },
+      });
+      return count;
+    },
+  };
+}
+
+const stores = new Map([
+  ['memory', createMemoryStore()],
+  ['database', createDatabaseStore()],
+]);
+
+// ============================================
+// Store Registry
+// ============================================
+
+/**
+ * Register (or replace) a denylist store.
+ *
+ * @param {string} name - Value of TOKEN_DENYLIST_STORE that selects it
+ * @param {object} store - Object with async add(key, expiresAt, reason), has(key), purgeExpired()
+ *
+ * @example
+ * tokenDenylistService.registerDenylistStore('redis', {
+ *   async add(key, expiresAt) { await redis.set(key, '1', { PXAT: expiresAt.getTime() }); },
+ *   async has(key) { return (await redis.exists(key)) === 1; },
+ *   async purgeExpired() { return 0; }, // Redis expires keys itself
+ * });
+ */
+function registerDenylistStore(name, store) {
+  if (!store || ['add', 'has', 'purgeExpired'].some(method => typeof store[method] !== 'function')) {
+    throw new Error(`Denylist store "${name}" must implement add(), has() and purgeExpired()`);
+  }
+  stores.set(name, store);
+}
+
+/**
+ * Resolve the configured store.
+ *
+ * @returns {object} Store
+ * @throws {Error} with code 'DENYLIST_STORE_NOT_CONFIGURED' if unknown
+ */
+function getDenylistStore() {
+  const store = stores.get(env.tokenDenylistStore);
+
+  if (!store) {
+    const error = new Error(`Unknown token denylist store: ${env.tokenDenylistStore}`);
+    error.code = 'DENYLIST_STORE_NOT_CONFIGURED';
+    throw error;
+  }
+
+  return store;
+}
+
+// ============================================
+// Service Functions
+// ============================================
+
+/**
+ * Revoke one access token until it expires.
+ *
+ * @param {object} token - Claims of the token to revoke
+ * @param {string} token.jti - Token ID
+ * @param {Date} token.expiresAt - Token expiry (exp claim)
+ * @param {string} [reason] - Why (default LOGOUT)
+ * @returns {Promise<boolean>} false if the token has no jti or already expired
+ */
+async function revokeAccessToken({ jti, expiresAt }, reason = DENYLIST_REASONS.LOGOUT) {
+  if (!jti || !expiresAt || expiresAt <= new Date()) {
+    return false;
+  }
+
+  await getDenylistStore().add(`jti:${jti}`, expiresAt, reason);
+  return true;
+}
+
+/**
+ * Revoke every access token issued to the given sessions.
+ *
+ * @param {string[]} sessionIds - Session UUIDs (sid claim)
+ * @param {string} reason - One of sessionService.REVOCATION_REASONS
+ * @returns {Promise<void>}
+ */
+async function revokeSessionAccessTokens(sessionIds, reason) {
+  if (sessionIds.length === 0) {
+    return;
+  }
+
+  const expiresAt = new Date(Date.now() + ACCESS_TOKEN_MAX_AGE_SECONDS * 1000);
+  const store = getDenylistStore();
+
+  for (const sessionId of sessionIds) {
+    await store.add(`sid:${sessionId}`, expiresAt, reason);
+  }
+}
+
+/**
+ * Check whether a verified access token has been revoked.
+ *
+ * @param {object} payload - Verified JWT payload ({ jti, sid, ... })
+ * @returns {Promise<boolean>}
+ */
+async function isAccessTokenRevoked(payload) {
+  const store = getDenylistStore();
+
+  const checks = [];
+  if (payload.jti) {
+    checks.push(store.has(`jti:${payload.jti}`));
+  }
+  if (payload.sid) {
+    checks.push(store.has(`sid:${payload.sid}`));
+  }
+
+  const results = await Promise.all(checks);
+  return results.some(Boolean);
+}
+
+/**
+ * Delete expired entries now (e.g. from a scheduled job).
+ *
+ * @returns {Promise<number>} Entries removed
+ */
+async function purgeExpired() {
+  return getDenylistStore().purgeExpired();
+}
+
+module.exports = {
+  // Revocation
+  revokeAccessToken,
+  revokeSessionAccessTokens,
+  isAccessTokenRevoked,
+  purgeExpired,
+
+  // Store registry
+  registerDenylistStore,
+  getDenylistStore,
+
+  // Constants
+  DENYLIST_REASONS,
+  ACCESS_TOKEN_MAX_AGE_SECONDS,
+};
@@ -0,0 +1,244 @@
+/**
+ * src/utils/jws.js
+ *
+ * Compact JSON Web Tokens (RFC 7515 / RFC 7519) signed with Node's crypto.
+ *
+ * Purpose:
+ *   - Sign and verify tokens with HS256, RS256 and EdDSA (Ed25519)
+ *   - Carry a "kid" header so verifiers can pick the key from a keyring
+ *
+ * Why not jsonwebtoken: it has no EdDSA support. Its error classes are
+ * reused here, so callers keep checking err.name === 'TokenExpiredError'
+ * / 'JsonWebTokenError' exactly as before.
+ *
+ * Claims:
+ *   - sign() adds iat, and exp / jti / sub / aud from options
+ *   - verify() checks the signature, exp, nbf and (if asked) aud
+ */
+
+const crypto = require('crypto');
+const { JsonWebTokenError, TokenExpiredError, NotBeforeError } = require('jsonwebtoken');
+
+// ============================================
+// Configuration Constants
+// ============================================
+
+const ALGORITHMS = {
+  HS256: 'HS256',
+  RS256: 'RS256',
+  EdDSA: 'EdDSA',
+};
+
+// Duration units accepted by expiresIn ('7m', '7d', ...)
+const DURATION_UNITS_SECONDS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Convert expiresIn (seconds, or a string like '7m') to seconds.
+ *
+ * @param {number|string} expiresIn
+ * @returns {number}
+ * @throws {Error} on an unrecognized format
+ */
+function toSeconds(expiresIn) {
+  if (typeof expiresIn === 'number') {
+    return expiresIn;
+  }
+
+  const match = /^(\d+)([smhd])$/.exec(expiresIn);
+  if (!match) {
+    throw new Error(`Invalid expiresIn: ${expiresIn}`);
+  }
+  return Number(match[1]) * DURATION_UNITS_SECONDS[match[2]];
+}
+
+/**
+ * Encode a JSON value as base64url.
+ *
+ * @param {object} value
+ * @returns {string}
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Decode a base64url JSON segment.
+ *
+ * @param {string} segment
+ * @returns {object}
+ * @throws {JsonWebTokenError} if not valid JSON
+ */
+function decodeSegment(segment) {
+  try {
+    const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    if (!value || typeof value !== 'object') {
+      throw new Error('not an object');
+    }
+    return value;
+  } catch (err) {
+    throw new JsonWebTokenError('jwt malformed');
+  }
+}
+
+/**
+ * Create a signature over "<header>.<payload>".
+ *
+ * @param {string} algorithm - One of ALGORITHMS
+ * @param {string} signingInput
+ * @param {string|Buffer|KeyObject} key - HMAC secret or private key
+ * @returns {Buffer}
+ */
+function createSignature(algorithm, signingInput, key) {
+  switch (algorithm) {
+    case ALGORITHMS.HS256:
+      return crypto.createHmac('sha256', key).update(signingInput).digest();
+    case ALGORITHMS.RS256:
+      return crypto.sign('sha256', Buffer.from(signingInput), key);
+    case ALGORITHMS.EdDSA:
+      return crypto.sign(null, Buffer.from(signingInput), key);
+    default:
+      throw new Error(`Unsupported algorithm: ${algorithm}`);
+  }
+}
+
+/**
+ * Check a signature over "<header>.<payload>".
+ *
+ * @param {string} algorithm - One of ALGORITHMS
+ * @param {string} signingInput
+ * @param {Buffer} signature
+ * @param {string|Buffer|KeyObject} key - HMAC secret or public key
+ * @returns {boolean}
+ */
+function checkSignature(algorithm, signingInput, signature, key) {
+  switch (algorithm) {
+    case ALGORITHMS.HS256: {
+      const expected = createSignature(algorithm, signingInput, key);
+      return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+    case ALGORITHMS.RS256:
+      return crypto.verify('sha256', Buffer.from(signingInput), key, signature);
+    case ALGORITHMS.EdDSA:
+      return crypto.verify(null, Buffer.from(signingInput), key, signature);
+    default:
+      return false;
+  }
+}
+
+// ============================================
+// Token Functions
+// ============================================
+
+/**
+ * Sign a token.
+ *
+ * @param {object} payload - Claims
+ * @param {object} key - { algorithm, key, kid? } (key = secret or private KeyObject)
+ * @param {object} [options]
+ * @param {number|string} [options.expiresIn] - Seconds or '7m' / '7d' style
+ * @param {string} [options.jwtid] - jti claim
+ * @param {string} [options.subject] - sub claim
+ * @param {string} [options.audience] - aud claim
+ * @returns {string} Compact JWS
+ */
+function sign(payload, { algorithm, key, kid }, options = {}) {
+  const header = { alg: algorithm, typ: 'JWT' };
+  if (kid) {
+    header.kid = kid;
+  }
+
+  const iat = Math.floor(Date.now() / 1000);
+  const claims = { ...payload, iat };
+  if (options.expiresIn !== undefined) {
+    claims.exp = iat + toSeconds(options.expiresIn);
+  }
+  if (options.audience) {
+    claims.aud = options.audience;
+  }
+  if (options.subject) {
+    claims.sub = options.subject;
+  }
+  if (options.jwtid) {
+    claims.jti = options.jwtid;
+  }
+
+  const signingInput = `${encodeSegment(header)}.${encodeSegment(claims)}`;
+  const signature = createSignature(algorithm, signingInput, key).toString('base64url');
+
+  return `${signingInput}.${signature}`;
+}
+
+/**
+ * Read a token's header without verifying it.
+ *
+ * @param {string} token
+ * @returns {object} Header ({ alg, typ, kid? })
+ * @throws {JsonWebTokenError} if malformed
+ */
+function decodeHeader(token) {
+  if (typeof token !== 'string' || token.split('.').length !== 3) {
+    throw new JsonWebTokenError('jwt malformed');
+  }
+  return decodeSegment(token.split('.')[0]);
+}
+
+/**
+ * Verify a token and return its claims.
+ *
+ * @param {string} token
+ * @param {function} resolveKey - (header) => { algorithm, key } or null if no key matches
+ * @param {object} [options]
+ * @param {string} [options.audience] - Required aud claim
+ * @returns {object} Claims
+ * @throws {JsonWebTokenError|TokenExpiredError|NotBeforeError}
+ */
+function verify(token, resolveKey, options = {}) {
+  const header = decodeHeader(token);
+  const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+
+  // ---- Key and algorithm must match (no alg switching, no "none") ----
+  const resolved = resolveKey(header);
+  if (!resolved) {
+    throw new JsonWebTokenError(header.kid ? 'unknown signing key' : 'jwt signing key not specified');
+  }
+  if (header.alg !== resolved.algorithm) {
+    throw new JsonWebTokenError('invalid algorithm');
+  }
+
+  // ---- Signature ----
+  const signature = Buffer.from(encodedSignature, 'base64url');
+  if (!checkSignature(resolved.algorithm, `${encodedHeader}.${encodedPayload}`, signature, resolved.key)) {
+    throw new JsonWebTokenError('invalid signature');
+  }
+
+  // ---- Time-based claims ----
+  const claims = decodeSegment(encodedPayload);
+  const now = Math.floor(Date.now() / 1000);
+
+  if (claims.exp !== undefined && (typeof claims.exp !== 'number' || now >= claims.exp)) {
+    throw new TokenExpiredError('jwt expired', new Date(claims.exp * 1000));
+  }
+  if (claims.nbf !== undefined && (typeof claims.nbf !== 'number' || now < claims.nbf)) {
+    throw new NotBeforeError('jwt not active', new Date(claims.nbf * 1000));
+  }
+
+  // ---- Audience ----
+  if (options.audience !== undefined && claims.aud !== options.audience) {
+    throw new JsonWebTokenError(`jwt audience invalid. expected: ${options.audience}`);
+  }
+
+  return claims;
+}
+
+module.exports = {
+  sign,
+  verify,
+  decodeHeader,
+
+  // Constants
+  ALGORITHMS,
+};
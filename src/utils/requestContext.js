@@ -0,0 +1,117 @@
+/**
+ * src/utils/requestContext.js
+ *
+ * Per-request context (request ID, client IP, user agent, signed-in user)
+ * available anywhere in the call chain, without passing req around.
+ *
+ * Purpose:
+ *   - Let services that never see req (authService, auditService, ...)
+ *     know which request they are serving
+ *   - Fill in audit entries' IP address and user agent automatically
+ *   - Tag every console line written while serving a request with its
+ *     request ID, so one request's logs can be pulled out of the stream
+ *
+ * How It Works:
+ *   Node's AsyncLocalStorage keeps one store per asynchronous call chain.
+ *   requestContextMiddleware opens a store for each request; everything
+ *   that runs for that request (awaits, callbacks, Prisma queries) sees
+ *   the same store, and concurrent requests never see each other's.
+ *   Outside a request (startup, scripts) there is no store.
+ *
+ * Store:
+ *   {
+ *     requestId: "5b0f3c5e-...",   // X-Request-Id
+ *     ipAddress: "197.248.10.1",  // req.ip (TRUSTED_PROXIES applied)
+ *     userAgent: "Mozilla/5.0 ...",
+ *     user: { id, role } | null   // set by authMiddleware once the token checks out
+ *   }
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const util = require('util');
+
+const storage = new AsyncLocalStorage();
+
+// Console methods tagged by installConsoleContext
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug'];
+
+let consoleInstalled = false;
+
+// ============================================
+// Context Access
+// ============================================
+
+/**
+ * Run a function inside a new request context.
+ *
+ * @param {object} context - { requestId, ipAddress, userAgent, user }
+ * @param {Function} fn - Runs with the context active
+ * @returns {*} fn's return value
+ */
+function runWithRequestContext(context, fn) {
+  return storage.run({ user: null, ...context }, fn);
+}
+
+/**
+ * The current request's context.
+ *
+ * @returns {object|undefined} The store, or undefined outside a request
+ */
+function getRequestContext() {
+  return storage.getStore();
+}
+
+/**
+ * Record the authenticated user in the current request's context.
+ *
+ * Only the ID and role are kept (no email or token details). Does nothing
+ * outside a request.
+ *
+ * @param {object} user - req.user ({ id, role, ... })
+ */
+function setRequestUser(user) {
+  const context = storage.getStore();
+  if (context && user) {
+    context.user = { id: user.id, role: user.role };
+  }
+}
+
+// ============================================
+// Console Tagging
+// ============================================
+
+/**
+ * Prefix console output with the request ID while serving a request.
+ *
+ *   [AUTH] Login error: ...                      (outside a request)
+ *   [req:5b0f3c5e-...] [AUTH] Login error: ...   (inside one)
+ *
+ * Idempotent; call once at startup.
+ */
+function installConsoleContext() {
+  if (consoleInstalled) {
+    return;
+  }
+  consoleInstalled = true;
+
+  for (const method of CONSOLE_METHODS) {
+    const original = console[method].bind(console);
+
+    console[method] = (...args) => {
+      const context = storage.getStore();
+      if (!context) {
+        return original(...args);
+      }
+
+      // Keep printf-style format strings working: format first, then tag
+      return original(`[req:${context.requestId}] ${util.format(...args)}`);
+    };
+  }
+}
+
+module.exports = {
+  runWithRequestContext,
+  getRequestContext,
+  setRequestUser,
+  installConsoleContext,
+};
@@ -0,0 +1,211 @@
+/**
+ * src/utils/totp.js
+ *
+ * Time-based one-time passwords (RFC 6238) for authenticator apps.
+ *
+ * Purpose:
+ *   - Generate TOTP secrets and otpauth:// provisioning URIs (QR codes)
+ *   - Verify 6-digit codes from Google Authenticator, Authy, 1Password, ...
+ *
+ * Parameters (the defaults every authenticator app supports):
+ *   - HMAC-SHA1, 6 digits, 30-second time step
+ *   - Secrets are 160 bits, Base32 encoded (RFC 4648, no padding)
+ *
+ * Algorithm:
+ *   step = floor(unixSeconds / 30)
+ *   hmac = HMAC-SHA1(secret, step as 8-byte big-endian)
+ *   code = dynamicTruncate(hmac) mod 10^6     (RFC 4226 HOTP)
+ */
+
+const crypto = require('crypto');
+
+// ============================================
+// Configuration Constants
+// ============================================
+
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const ALGORITHM = 'sha1';
+
+// Secret size recommended by RFC 4226 (160 bits)
+const SECRET_BYTES = 20;
+
+// Accept codes from one step before/after "now" (clock drift)
+const DEFAULT_WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ============================================
+// Base32 (RFC 4648)
+// ============================================
+
+/**
+ * Encode bytes as Base32 without padding.
+ *
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode Base32 (case-insensitive; spaces and padding ignored).
+ *
+ * @param {string} input
+ * @returns {Buffer}
+ * @throws {Error} on characters outside the Base32 alphabet
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid Base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// ============================================
+// TOTP
+// ============================================
+
+/**
+ * Generate a new random Base32 secret.
+ *
+ * @returns {string}
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Time step for a moment in time.
+ *
+ * @param {number} [timeMs] - Milliseconds since epoch (default now)
+ * @returns {number}
+ */
+function getTimeStep(timeMs = Date.now()) {
+  return Math.floor(timeMs / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Compute the code for a given time step (RFC 4226 HOTP).
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac(ALGORITHM, base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+}
+
+/**
+ * Verify a code against the current time (± window steps).
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {object} [options]
+ * @param {number} [options.window] - Steps of drift accepted each way (default 1)
+ * @param {number} [options.timeMs] - Time to verify against (default now)
+ * @param {number|null} [options.afterStep] - Reject steps <= this (replay protection)
+ * @returns {number|null} Matching time step, or null if the code is invalid
+ */
+function verifyCode(secret, code, options = {}) {
+  const { window = DEFAULT_WINDOW, timeMs = Date.now(), afterStep = null } = options;
+
+  if (typeof code !== 'string' || !new RegExp(`^\\d{${DIGITS}}$`).test(code)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timeMs);
+  const expected = Buffer.from(code);
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (afterStep !== null && step <= afterStep) {
+      continue;
+    }
+    if (crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), expected)) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps import (usually as a QR code).
+ *
+ * Format: otpauth://totp/<issuer>:<account>?secret=...&issuer=...&algorithm=SHA1&digits=6&period=30
+ * See https://github.com/google/google-authenticator/wiki/Key-Uri-Format
+ *
+ * @param {object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.accountName - Shown in the app (the parent's email)
+ * @param {string} params.issuer - Service name shown in the app
+ * @returns {string}
+ */
+function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: ALGORITHM.toUpperCase(),
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  getTimeStep,
+  buildOtpauthUri,
+  base32Encode,
+  base32Decode,
+
+  // Constants
+  DIGITS,
+  STEP_SECONDS,
+};
@@ -89,8 +89,11 @@ function validatePassword(password) {
  *   - +2540700000000 (incorrect country code format)
  *   - +254800000000 (doesn't start with 7)
  * 
+ * M-Pesa:
+ *   - Deposits are pushed to the parent's number in this format
+ *     (sent to M-Pesa as 2547XXXXXXXX, see mpesaService)
+ * 
  * Future Use:
- *   - M-Pesa integration expects this format
  *   - Multi-country support planned for expansion
  * 
  * @param {string} phone - Phone number to validate
@@ -121,6 +124,88 @@ function validateKenyanPhone(phone) {
   return { isValid: true };
 }
 
+/**
+ * Normalizes a Kenyan mobile number to E.164 (+2547XXXXXXXX).
+ * 
+ * Used wherever phone numbers are compared rather than displayed (the
+ * phone number blind index): the same number must always produce the same
+ * string, whichever way it was written.
+ * 
+ * Accepted Forms (spaces, dashes and parentheses are ignored):
+ *   - +254712345678
+ *   - 254712345678 (M-Pesa MSISDN format)
+ *   - 0712345678 (local format)
+ *   - 712345678
+ * 
+ * @param {string} phone - Phone number in any accepted form
+ * @returns {string|null} +2547XXXXXXXX, or null if it isn't a Kenyan mobile number
+ */
+function normalizeKenyanPhone(phone) {
+  if (!phone || typeof phone !== 'string') {
+    return null;
+  }
+
+  const compact = phone.trim().replace(/[\s()-]/g, '');
+  const match = /^(?:\+?254|0)?(7\d{8})$/.exec(compact);
+
+  return match ? `+254${match[1]}` : null;
+}
+
+/**
+ * Validates a one-time verification code (SMS OTP).
+ * 
+ * Format: exactly 6 digits, as a string (leading zeros are significant)
+ * 
+ * @param {string} code - Code entered by the user
+ * @returns {object} { isValid: boolean, error?: string }
+ */
+function validateOtpCode(code) {
+  if (!code || typeof code !== 'string') {
+    return { isValid: false, error: 'Verification code is required and must be a string' };
+  }
+
+  if (!/^\d{6}$/.test(code)) {
+    return { isValid: false, error: 'Verification code must be exactly 6 digits' };
+  }
+
+  return { isValid: true };
+}
+
+/**
+ * Validates a second factor for two-factor authentication.
+ * 
+ * Requirements:
+ *   - Exactly one of code / recoveryCode
+ *   - code: 6 digits from the authenticator app
+ *   - recoveryCode: string of at most 64 characters (dashes/spaces allowed)
+ * 
+ * @param {object} data - { code?, recoveryCode? }
+ * @returns {object} { isValid: boolean, errors: object }
+ */
+function validateSecondFactor(data) {
+  const errors = {};
+  const { code, recoveryCode } = data || {};
+
+  if (code === undefined && recoveryCode === undefined) {
+    errors.code = 'Authentication code or recovery code is required';
+  } else if (code !== undefined && recoveryCode !== undefined) {
+    errors.code = 'Provide either an authentication code or a recovery code, not both';
+  } else if (code !== undefined) {
+    if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+      errors.code = 'Authentication code must be exactly 6 digits';
+    }
+  } else if (typeof recoveryCode !== 'string' || recoveryCode.trim().length === 0) {
+    errors.recoveryCode = 'Recovery code must be a non-empty string';
+  } else if (recoveryCode.length > 64) {
+    errors.recoveryCode = 'Recovery code must not exceed 64 characters';
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
 /**
  * Validates full name input.
  * 
@@ -201,14 +286,52 @@ function validateRegistrationData(data) {
   };
 }
 
+/**
+ * Validates a parent's profile update (PATCH /api/auth/profile).
+ * 
+ * Requirements:
+ *   - At least one of fullName / phoneNumber
+ *   - Each one given follows the registration rules
+ * 
+ * @param {object} data - { fullName?, phoneNumber? }
+ * @returns {object} { isValid: boolean, errors: object }
+ */
+function validateProfileUpdateData(data) {
+  const errors = {};
+
+  if (!data || (data.fullName === undefined && data.phoneNumber === undefined)) {
+    return { isValid: false, errors: { general: 'Provide at least one of: fullName, phoneNumber' } };
+  }
+
+  if (data.fullName !== undefined) {
+    const fullNameValidation = validateFullName(data.fullName);
+    if (!fullNameValidation.isValid) {
+      errors.fullName = fullNameValidation.error;
+    }
+  }
+
+  if (data.phoneNumber !== undefined) {
+    const phoneValidation = validateKenyanPhone(data.phoneNumber);
+    if (!phoneValidation.isValid) {
+      errors.phoneNumber = phoneValidation.error;
+    }
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
 /**
  * Validates login credentials.
  * 
  * Requirements:
  *   - Email must be a valid email format
  *   - Password must be a non-empty string
+ *   - deviceName (optional) must be a string of at most 100 characters
  * 
- * @param {object} data - Login data { email, password }
+ * @param {object} data - Login data { email, password, deviceName? }
  * @returns {object} { isValid: boolean, errors: object }
  */
 function validateLoginData(data) {
@@ -229,6 +352,15 @@ function validateLoginData(data) {
     errors.password = 'Password is required';
   }
 
+  // Validate optional device label (shown in the session list)
+  if (data.deviceName !== undefined && data.deviceName !== null) {
+    if (typeof data.deviceName !== 'string' || data.deviceName.trim().length === 0) {
+      errors.deviceName = 'Device name must be a non-empty string';
+    } else if (data.deviceName.trim().length > 100) {
+      errors.deviceName = 'Device name must not exceed 100 characters';
+    }
+  }
+
   return {
     isValid: Object.keys(errors).length === 0,
     errors,
@@ -299,6 +431,31 @@ function validateChildUsername(username) {
   return { isValid: true };
 }
 
+// Children's accounts are for under-18s (validateChildDateOfBirth)
+const CHILD_AGE_LIMIT = 18;
+
+/**
+ * The date a child reaches CHILD_AGE_LIMIT: their 18th birthday (1 March
+ * for a 29 February birthday).
+ * 
+ * @param {Date|string} dateOfBirth - Date, or ISO date string (YYYY-MM-DD)
+ * @returns {Date|null} Midnight UTC on the age-out date; null if
+ *   dateOfBirth is missing or not a valid date
+ */
+function getAgeOutDate(dateOfBirth) {
+  if (!dateOfBirth) {
+    return null;
+  }
+
+  const dob = dateOfBirth instanceof Date ? dateOfBirth : new Date(dateOfBirth + 'T00:00:00Z');
+  if (isNaN(dob.getTime())) {
+    return null;
+  }
+
+  // Date.UTC rolls 29 February over to 1 March in non-leap years
+  return new Date(Date.UTC(dob.getUTCFullYear() + CHILD_AGE_LIMIT, dob.getUTCMonth(), dob.getUTCDate()));
+}
+
 /**
  * Validates child date of birth.
  * 
@@ -322,7 +479,7 @@ function validateChildUsername(username) {
  * Purpose:
  *   - Used for age-appropriate content and parental controls
  *   - SatsBlox targets children under 18 (family units)
- *   - Stored as DATE type in database
+ *   - Stored encrypted (ENCRYPTED_FIELDS in config/db.js)
  * 
  * @param {string} dateOfBirth - Date of birth in ISO format (YYYY-MM-DD)
  * @returns {object} { isValid: boolean, error?: string }
@@ -352,18 +509,10 @@ function validateChildDateOfBirth(dateOfBirth) {
     return { isValid: false, error: 'Child cannot have a future date of birth' };
   }
 
-  // Calculate age (approximate, doesn't account for exact hour/minute)
-  const age = today.getFullYear() - dob.getFullYear();
-  const monthDiff = today.getMonth() - dob.getMonth();
-  const dayDiff = today.getDate() - dob.getDate();
-
-  // Adjust if birthday hasn't occurred this year
-  const exactAge = monthDiff < 0 || (monthDiff === 0 && dayDiff < 0) ? age - 1 : age;
-
   // Check if child is under 18 (maximum age for family app)
   // Note: Could be made configurable if targeting different age groups
-  if (exactAge >= 18) {
-    return { isValid: false, error: 'Child must be under 18 years old' };
+  if (getAgeOutDate(dob) <= today) {
+    return { isValid: false, error: `Child must be under ${CHILD_AGE_LIMIT} years old` };
   }
 
   return { isValid: true };
@@ -617,12 +766,261 @@ function validateDeactivateChild(data) {
   return { isValid: true };
 }
 
+/**
+ * Validates a child's login PIN (set by the parent).
+ * 
+ * Requirements:
+ *   - 4 to 6 digits, as a string (leading zeros are significant)
+ *   - Not a single repeated digit ("0000", "111111")
+ *   - Not a straight run ("1234", "987654")
+ * 
+ * A PIN is a small secret (10,000 combinations at 4 digits); the child
+ * lockout policy (authService.LOCKOUT_POLICIES.CHILD) is what makes it
+ * safe to use.
+ * 
+ * @param {string} pin - PIN chosen by the parent
+ * @returns {object} { isValid: boolean, error?: string }
+ */
+function validateChildPin(pin) {
+  if (!pin || typeof pin !== 'string') {
+    return { isValid: false, error: 'PIN is required and must be a string' };
+  }
+
+  if (!/^\d{4,6}$/.test(pin)) {
+    return { isValid: false, error: 'PIN must be 4 to 6 digits' };
+  }
+
+  if (/^(\d)\1+$/.test(pin)) {
+    return { isValid: false, error: 'PIN cannot be a single repeated digit' };
+  }
+
+  const digits = pin.split('').map(Number);
+  const steps = digits.slice(1).map((digit, i) => digit - digits[i]);
+  if (steps.every(step => step === 1) || steps.every(step => step === -1)) {
+    return { isValid: false, error: 'PIN cannot be a sequence like 1234' };
+  }
+
+  return { isValid: true };
+}
+
+/**
+ * Validates child login request data.
+ * 
+ * Requirements:
+ *   - username: non-empty string (format is not re-checked; an unknown
+ *     username simply fails to log in)
+ *   - pin: non-empty string (strength is not re-checked at login)
+ *   - deviceName (optional) must be a string of at most 100 characters
+ * 
+ * @param {object} data - Login data { username, pin, deviceName? }
+ * @returns {object} { isValid: boolean, errors: object }
+ */
+function validateChildLoginData(data) {
+  const errors = {};
+
+  if (!data) {
+    return { isValid: false, errors: { general: 'Request body is required' } };
+  }
+
+  if (!data.username || typeof data.username !== 'string') {
+    errors.username = 'Username is required';
+  }
+
+  if (!data.pin || typeof data.pin !== 'string') {
+    errors.pin = 'PIN is required';
+  }
+
+  if (data.deviceName !== undefined && data.deviceName !== null) {
+    if (typeof data.deviceName !== 'string' || data.deviceName.trim().length === 0) {
+      errors.deviceName = 'Device name must be a non-empty string';
+    } else if (data.deviceName.trim().length > 100) {
+      errors.deviceName = 'Device name must not exceed 100 characters';
+    }
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
+// Guardian permission flags (viewing is implied for every accepted guardian)
+const GUARDIAN_PERMISSION_FIELDS = ['canDeposit', 'canApproveWithdrawals'];
+
+/**
+ * Validates a guardian invitation.
+ * 
+ * Requirements:
+ *   - email: valid email address (the invitee's, not the parent's own;
+ *     that is checked by guardianService)
+ *   - canDeposit / canApproveWithdrawals (optional): booleans, default false
+ * 
+ * @param {object} data - { email, canDeposit?, canApproveWithdrawals? }
+ * @returns {object} { isValid: boolean, errors: object }
+ */
+function validateGuardianInvitationData(data) {
+  const errors = {};
+
+  if (!data) {
+    return { isValid: false, errors: { general: 'Request body is required' } };
+  }
+
+  const emailValidation = validateEmail(data.email);
+  if (!emailValidation.isValid) {
+    errors.email = emailValidation.error;
+  }
+
+  for (const field of GUARDIAN_PERMISSION_FIELDS) {
+    if (data[field] !== undefined && typeof data[field] !== 'boolean') {
+      errors[field] = `${field} must be true or false`;
+    }
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
+/**
+ * Validates a change to a guardian's permissions.
+ * 
+ * Requirements:
+ *   - At least one of canDeposit / canApproveWithdrawals
+ *   - Each one given must be a boolean
+ * 
+ * @param {object} data - { canDeposit?, canApproveWithdrawals? }
+ * @returns {object} { isValid: boolean, errors: object }
+ */
+function validateGuardianPermissionsData(data) {
+  const errors = {};
+
+  if (!data || !GUARDIAN_PERMISSION_FIELDS.some(field => data[field] !== undefined)) {
+    return {
+      isValid: false,
+      errors: { general: `Provide at least one of: ${GUARDIAN_PERMISSION_FIELDS.join(', ')}` },
+    };
+  }
+
+  for (const field of GUARDIAN_PERMISSION_FIELDS) {
+    if (data[field] !== undefined && typeof data[field] !== 'boolean') {
+      errors[field] = `${field} must be true or false`;
+    }
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
+// M-Pesa deposit limits in Kenyan shillings (M-Pesa's own limit per
+// transaction is KES 150,000)
+const DEPOSIT_AMOUNT_KES = {
+  MIN: 10,
+  MAX: 150000,
+};
+
+/**
+ * Validates a request to deposit into a child's wallet with M-Pesa.
+ * 
+ * Requirements:
+ *   - amount: whole Kenyan shillings (M-Pesa has no cents), between
+ *     DEPOSIT_AMOUNT_KES.MIN and DEPOSIT_AMOUNT_KES.MAX
+ * 
+ * @param {object} data - { amount }
+ * @returns {object} { isValid: boolean, errors: object }
+ */
+function validateDepositData(data) {
+  const errors = {};
+  const amount = data ? data.amount : undefined;
+
+  if (!Number.isInteger(amount)) {
+    errors.amount = 'Amount is required and must be a whole number of shillings';
+  } else if (amount < DEPOSIT_AMOUNT_KES.MIN || amount > DEPOSIT_AMOUNT_KES.MAX) {
+    errors.amount = `Amount must be between KES ${DEPOSIT_AMOUNT_KES.MIN} and KES ${DEPOSIT_AMOUNT_KES.MAX.toLocaleString('en-US')}`;
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
+/**
+ * Validates the fields for a new admin account (npm run admin:create).
+ * 
+ * Same rules as parent registration for name, email and password;
+ * admins have no phone number.
+ * 
+ * @param {object} data - { fullName, email, password }
+ * @returns {object} { isValid: boolean, errors: object }
+ */
+function validateAdminCreationData(data) {
+  const errors = {};
+
+  if (!data) {
+    return { isValid: false, errors: { general: 'Admin details are required' } };
+  }
+
+  const fullNameValidation = validateFullName(data.fullName);
+  if (!fullNameValidation.isValid) {
+    errors.fullName = fullNameValidation.error;
+  }
+
+  const emailValidation = validateEmail(data.email);
+  if (!emailValidation.isValid) {
+    errors.email = emailValidation.error;
+  }
+
+  const passwordValidation = validatePassword(data.password);
+  if (!passwordValidation.isValid) {
+    errors.password = passwordValidation.error;
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
+/**
+ * Validates an admin's request to deactivate a parent account.
+ * 
+ * Requirements:
+ *   - reason: 5 to 500 characters (stored on the parent and in the audit log)
+ * 
+ * @param {object} data - { reason }
+ * @returns {object} { isValid: boolean, errors: object }
+ */
+function validateParentDeactivationData(data) {
+  const errors = {};
+  const reason = data ? data.reason : undefined;
+
+  if (!reason || typeof reason !== 'string') {
+    errors.reason = 'Reason is required and must be a string';
+  } else if (reason.trim().length < 5) {
+    errors.reason = 'Reason must be at least 5 characters long';
+  } else if (reason.trim().length > 500) {
+    errors.reason = 'Reason must not exceed 500 characters';
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
 module.exports = {
   validateEmail,
   validatePassword,
   validateKenyanPhone,
+  normalizeKenyanPhone,
+  validateOtpCode,
+  validateSecondFactor,
   validateFullName,
   validateRegistrationData,
+  validateProfileUpdateData,
   validateLoginData,
   validateChildUsername,
   validateChildDateOfBirth,
@@ -630,4 +1028,11 @@ module.exports = {
   validateChildColorTheme,
   validateCreateChildData,
   validateDeactivateChild,
+  validateChildPin,
+  validateChildLoginData,
+  validateGuardianInvitationData,
+  validateGuardianPermissionsData,
+  validateDepositData,
+  validateAdminCreationData,
+  validateParentDeactivationData,
 };
@@ -0,0 +1,626 @@
+/**
+ * tests/helpers/fakePrisma.js
+ *
+ * In-memory stand-in for the Prisma client, for service tests.
+ *
+ * Purpose:
+ *   - Run services against real query semantics (conditional updateMany,
+ *     unique constraints, transaction rollback) without a database
+ *   - Read models, defaults, unique keys and relations from
+ *     prisma/schema.prisma, so tests don't restate the schema
+ *
+ * Usage:
+ *   jest.mock('../../src/config/db', () => ({
+ *     prisma: require('../helpers/fakePrisma').createFakePrisma(),
+ *   }));
+ *   const { prisma } = require('../../src/config/db');
+ *   prisma.tables.wallet.push({ ... });  // Seed rows directly
+ *
+ *   Or behind the real config/db.js (field encryption extension applied;
+ *   rawPrisma.tables holds the stored ciphertexts):
+ *   jest.mock('@prisma/client', () => require('../helpers/fakePrisma').createFakePrismaModule());
+ *
+ * Supported:
+ *   - create, createMany, findUnique, findFirst, findMany, update,
+ *     updateMany, upsert, delete, deleteMany, count, groupBy (_sum)
+ *   - where: equality, in, notIn, not, gt/gte/lt/lte, contains,
+ *     startsWith, AND/OR/NOT, relation filters (to-one, some/none/every)
+ *   - data: set, increment, decrement, nested create of a list relation
+ *   - select / include of relations (nested)
+ *   - $transaction(fn) rolls every table back if fn throws; the client
+ *     fn receives is not the same object as prisma (as with Prisma).
+ *     Transactions run one after another (as if SERIALIZABLE)
+ *   - $queryRaw / $executeRaw are jest.fn()s: tests give them the
+ *     behaviour of the statement under test
+ *
+ * Not simulated: CHECK constraints, onDelete actions, rollback of the
+ * array form of $transaction (its queries have already run).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_PATH = path.join(__dirname, '..', '..', 'prisma', 'schema.prisma');
+
+// ============================================
+// Schema
+// ============================================
+
+/**
+ * Delegate name of a model (RefreshToken → refreshToken).
+ *
+ * @param {string} modelName - Model name from schema.prisma
+ * @returns {string}
+ */
+function delegateName(modelName) {
+  return modelName[0].toLowerCase() + modelName.slice(1);
+}
+
+/**
+ * Parse a field's @default(...) into a function producing the value.
+ *
+ * @param {string} expression - Text inside @default()
+ * @param {string} type - Scalar type (Int, BigInt, String, ...)
+ * @returns {function|null} (sequence) => value, or null if unsupported
+ */
+function parseDefault(expression, type) {
+  if (expression === 'autoincrement()') return (next) => next();
+  if (expression === 'now()') return () => new Date();
+  if (expression === 'uuid()') return () => crypto.randomUUID();
+  if (expression === 'true' || expression === 'false') return () => expression === 'true';
+  if (/^".*"$/.test(expression)) return () => expression.slice(1, -1);
+  if (/^-?\d+$/.test(expression)) {
+    return type === 'BigInt' ? () => BigInt(expression) : () => Number(expression);
+  }
+  return null;
+}
+
+/**
+ * Read models from schema.prisma.
+ *
+ * @returns {object} delegate name → { fields, defaults, uniques, relations }
+ */
+function loadSchema() {
+  const text = fs.readFileSync(SCHEMA_PATH, 'utf8');
+  const blocks = [...text.matchAll(/^model (\w+) \{([\s\S]*?)^\}/gm)];
+  const modelNames = new Set(blocks.map(([, name]) => name));
+  const models = {};
+
+  for (const [, name, body] of blocks) {
+    const model = { name, fields: [], defaults: {}, optional: [], uniques: [], relations: {} };
+
+    for (const rawLine of body.split('\n')) {
+      const line = rawLine.replace(/\/\/.*$/, '').trim();
+      if (!line) continue;
+
+      const compound = line.match(/^@@(?:unique|id)\(\[([^\]]+)\]/);
+      if (compound) {
+        model.uniques.push(compound[1].split(',').map(field => field.trim()));
+        continue;
+      }
+      if (line.startsWith('@@')) continue;
+
+      const [field, rawType] = line.split(/\s+/);
+      const type = rawType.replace(/[?[\]]/g, '');
+      const list = rawType.endsWith('[]');
+
+      if (modelNames.has(type)) {
+        const relation = line.match(/@relation\(([^)]*)\)/);
+        const relationName = relation && (relation[1].match(/^"([^"]+)"/) || [])[1];
+        const fields = relation && relation[1].match(/fields:\s*\[(\w+)\]/);
+        model.relations[field] = {
+          type,
+          model: delegateName(type),
+          list,
+          relationName: relationName || null,
+          // Set on the side holding the foreign key
+          foreignKey: fields ? fields[1] : null,
+        };
+        continue;
+      }
+
+      model.fields.push(field);
+      if (rawType.endsWith('?')) model.optional.push(field);
+      if (/@id\b|@unique\b/.test(line)) model.uniques.push([field]);
+
+      const fallback = line.match(/@default\((.*?)\)(?:\s|$)/);
+      const makeDefault = fallback && parseDefault(fallback[1], type);
+      if (makeDefault) model.defaults[field] = makeDefault;
+      if (/@updatedAt\b/.test(line)) model.defaults[field] = () => new Date();
+    }
+
+    models[delegateName(name)] = model;
+  }
+
+  // Relations without the foreign key point back at the side that has it
+  for (const [modelKey, model] of Object.entries(models)) {
+    for (const relation of Object.values(model.relations)) {
+      if (relation.foreignKey) continue;
+      const target = models[relation.model];
+      const owner = Object.values(target.relations).find(other => (
+        other.model === modelKey
+        && other.foreignKey
+        && other.relationName === relation.relationName
+      ));
+      relation.backReference = owner ? owner.foreignKey : null;
+    }
+  }
+
+  return models;
+}
+
+// ============================================
+// Matching
+// ============================================
+
+const OPERATORS = ['equals', 'in', 'notIn', 'not', 'gt', 'gte', 'lt', 'lte', 'contains', 'startsWith', 'endsWith'];
+
+/**
+ * Compare two scalar values (Dates by time).
+ */
+function same(a, b) {
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  return a === b;
+}
+
+/**
+ * Does a scalar value satisfy a where condition?
+ *
+ * @param {*} value - Column value
+ * @param {*} condition - Value or { gt, in, not, ... }
+ * @returns {boolean}
+ */
+function matchesScalar(value, condition) {
+  const isFilter = condition !== null
+    && typeof condition === 'object'
+    && !(condition instanceof Date)
+    && Object.keys(condition).some(key => OPERATORS.includes(key));
+
+  if (!isFilter) {
+    return same(value ?? null, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case 'equals': return same(value ?? null, operand);
+      case 'in': return operand.some(item => same(value, item));
+      case 'notIn': return !operand.some(item => same(value, item));
+      case 'not': return !matchesScalar(value, operand);
+      case 'gt': return value != null && value > operand;
+      case 'gte': return value != null && value >= operand;
+      case 'lt': return value != null && value < operand;
+      case 'lte': return value != null && value <= operand;
+      case 'contains': return typeof value === 'string' && fold(value, condition).includes(fold(operand, condition));
+      case 'startsWith': return typeof value === 'string' && fold(value, condition).startsWith(fold(operand, condition));
+      case 'endsWith': return typeof value === 'string' && fold(value, condition).endsWith(fold(operand, condition));
+      default: return true; // mode
+    }
+  });
+}
+
+function fold(text, condition) {
+  return condition.mode === 'insensitive' ? text.toLowerCase() : text;
+}
+
+// ============================================
+// Client
+// ============================================
+
+/**
+ * Create an empty in-memory client.
+ *
+ * @returns {object} Prisma-like client with a tables property
+ *   (delegate name → array of rows)
+ */
+function createFakePrisma() {
+  const schema = loadSchema();
+  const tables = {};
+  const sequences = {};
+
+  for (const key of Object.keys(schema)) {
+    tables[key] = [];
+    sequences[key] = 0;
+  }
+
+  const rowsOf = (modelKey) => tables[modelKey];
+
+  /**
+   * Rows of a relation, from the row's side.
+   */
+  function related(modelKey, row, relation) {
+    if (relation.foreignKey) {
+      const target = rowsOf(relation.model).find(other => same(other.id, row[relation.foreignKey]));
+      return target || null;
+    }
+    const children = rowsOf(relation.model).filter(other => same(other[relation.backReference], row.id));
+    return relation.list ? children : (children[0] || null);
+  }
+
+  function matches(modelKey, row, where = {}) {
+    const model = schema[modelKey];
+
+    return Object.entries(where).every(([key, condition]) => {
+      if (condition === undefined) return true;
+      if (key === 'AND') return [].concat(condition).every(part => matches(modelKey, row, part));
+      if (key === 'OR') return condition.some(part => matches(modelKey, row, part));
+      if (key === 'NOT') return ![].concat(condition).some(part => matches(modelKey, row, part));
+
+      const relation = model.relations[key];
+      if (relation) {
+        const value = related(modelKey, row, relation);
+        if (relation.list) {
+          if (condition.some) return value.some(other => matches(relation.model, other, condition.some));
+          if (condition.none) return !value.some(other => matches(relation.model, other, condition.none));
+          if (condition.every) return value.every(other => matches(relation.model, other, condition.every));
+          return true;
+        }
+        if (condition === null) return value === null;
+        const inner = condition.is !== undefined ? condition.is : condition;
+        return value !== null && matches(relation.model, value, inner);
+      }
+
+      // Compound unique input, e.g. { parentId_codeHash: { parentId, codeHash } }
+      if (!model.fields.includes(key) && condition && typeof condition === 'object') {
+        return matches(modelKey, row, condition);
+      }
+
+      return matchesScalar(row[key], condition);
+    });
+  }
+
+  /**
+   * Copy a row with the selected fields and included relations.
+   */
+  function shape(modelKey, row, { select, include } = {}) {
+    const model = schema[modelKey];
+    let result;
+
+    if (select) {
+      result = {};
+      for (const [key, option] of Object.entries(select)) {
+        if (!option) continue;
+        result[key] = model.relations[key] ? shapeRelation(modelKey, row, key, option) : row[key];
+      }
+      return result;
+    }
+
+    result = { ...row };
+    for (const [key, option] of Object.entries(include || {})) {
+      if (option) result[key] = shapeRelation(modelKey, row, key, option);
+    }
+    return result;
+  }
+
+  function shapeRelation(modelKey, row, key, option) {
+    const relation = schema[modelKey].relations[key];
+    const args = option === true ? {} : option;
+    const value = related(modelKey, row, relation);
+
+    if (relation.list) {
+      return query(relation.model, value, args).map(other => shape(relation.model, other, args));
+    }
+    return value && shape(relation.model, value, args);
+  }
+
+  /**
+   * Filter, order and page rows (findMany semantics).
+   */
+  function query(modelKey, rows, { where, orderBy, cursor, skip, take } = {}) {
+    let result = rows.filter(row => matches(modelKey, row, where));
+
+    for (const order of [].concat(orderBy || []).reverse()) {
+      const [[key, direction]] = Object.entries(order);
+      const sign = direction === 'desc' ? -1 : 1;
+      result = [...result].sort((a, b) => (a[key] < b[key] ? -sign : a[key] > b[key] ? sign : 0));
+    }
+
+    if (cursor) {
+      const start = result.findIndex(row => matches(modelKey, row, cursor));
+      result = start === -1 ? [] : result.slice(start);
+    }
+    if (skip) result = result.slice(skip);
+    if (take !== undefined) result = take < 0 ? result.slice(take) : result.slice(0, take);
+
+    return result;
+  }
+
+  function prismaError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  function assertUnique(modelKey, row) {
+    for (const fields of schema[modelKey].uniques) {
+      if (fields.some(field => row[field] == null)) continue;
+      const clash = rowsOf(modelKey).find(other => (
+        other !== row && fields.every(field => same(other[field], row[field]))
+      ));
+      if (clash) {
+        const error = prismaError('P2002', `Unique constraint failed on the fields: (${fields.join(', ')})`);
+        error.meta = { target: fields };
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Apply update data to a row (increment/decrement/set, nested creates).
+   */
+  function applyData(modelKey, row, data) {
+    const model = schema[modelKey];
+    const nested = [];
+
+    for (const [key, value] of Object.entries(data)) {
+      if (value === undefined) continue;
+      const relation = model.relations[key];
+      if (relation) {
+        nested.push([relation, value]);
+        continue;
+      }
+      if (value !== null && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+        if ('increment' in value) row[key] += value.increment;
+        else if ('decrement' in value) row[key] -= value.decrement;
+        else if ('set' in value) row[key] = value.set;
+        else row[key] = value; // Json column
+        continue;
+      }
+      row[key] = value;
+    }
+
+    return nested;
+  }
+
+  function insert(modelKey, data) {
+    const model = schema[modelKey];
+    const row = {};
+
+    for (const field of model.optional) row[field] = null;
+    for (const [field, makeDefault] of Object.entries(model.defaults)) {
+      row[field] = makeDefault(() => ++sequences[modelKey]);
+    }
+
+    const nested = applyData(modelKey, row, data);
+    if (typeof row.id === 'number') sequences[modelKey] = Math.max(sequences[modelKey], row.id);
+
+    assertUnique(modelKey, row);
+    rowsOf(modelKey).push(row);
+
+    for (const [relation, value] of nested) {
+      if (!value.create || !relation.backReference) continue;
+      for (const childData of [].concat(value.create)) {
+        insert(relation.model, { ...childData, [relation.backReference]: row.id });
+      }
+    }
+
+    return row;
+  }
+
+  function findOrFail(modelKey, where) {
+    const row = rowsOf(modelKey).find(candidate => matches(modelKey, candidate, where));
+    if (!row) {
+      throw prismaError('P2025', 'Record to update not found.');
+    }
+    return row;
+  }
+
+  function update(modelKey, row, data) {
+    const before = { ...row };
+    applyData(modelKey, row, data);
+    if (schema[modelKey].defaults.updatedAt && data.updatedAt === undefined) {
+      row.updatedAt = new Date();
+    }
+    try {
+      assertUnique(modelKey, row);
+    } catch (err) {
+      Object.assign(row, before);
+      throw err;
+    }
+    return row;
+  }
+
+  function delegate(modelKey) {
+    return {
+      create: async ({ data, select, include }) => shape(modelKey, insert(modelKey, data), { select, include }),
+
+      createMany: async ({ data, skipDuplicates }) => {
+        let count = 0;
+        for (const item of data) {
+          try {
+            insert(modelKey, item);
+            count++;
+          } catch (err) {
+            if (!(skipDuplicates && err.code === 'P2002')) throw err;
+          }
+        }
+        return { count };
+      },
+
+      findUnique: async ({ where, select, include }) => {
+        const row = rowsOf(modelKey).find(candidate => matches(modelKey, candidate, where));
+        return row ? shape(modelKey, row, { select, include }) : null;
+      },
+
+      findFirst: async (args = {}) => {
+        const [row] = query(modelKey, rowsOf(modelKey), { ...args, take: 1 });
+        return row ? shape(modelKey, row, args) : null;
+      },
+
+      findMany: async (args = {}) => query(modelKey, rowsOf(modelKey), args).map(row => shape(modelKey, row, args)),
+
+      update: async ({ where, data, select, include }) => (
+        shape(modelKey, update(modelKey, findOrFail(modelKey, where), data), { select, include })
+      ),
+
+      updateMany: async ({ where, data }) => {
+        const rows = rowsOf(modelKey).filter(row => matches(modelKey, row, where));
+        rows.forEach(row => update(modelKey, row, data));
+        return { count: rows.length };
+      },
+
+      upsert: async ({ where, create, update: changes, select, include }) => {
+        const row = rowsOf(modelKey).find(candidate => matches(modelKey, candidate, where));
+        const result = row ? update(modelKey, row, changes) : insert(modelKey, create);
+        return shape(modelKey, result, { select, include });
+      },
+
+      delete: async ({ where, select, include }) => {
+        const row = findOrFail(modelKey, where);
+        tables[modelKey] = rowsOf(modelKey).filter(other => other !== row);
+        return shape(modelKey, row, { select, include });
+      },
+
+      deleteMany: async ({ where } = {}) => {
+        const kept = rowsOf(modelKey).filter(row => !matches(modelKey, row, where));
+        const count = rowsOf(modelKey).length - kept.length;
+        tables[modelKey] = kept;
+        return { count };
+      },
+
+      count: async ({ where } = {}) => rowsOf(modelKey).filter(row => matches(modelKey, row, where)).length,
+
+      groupBy: async ({ by, where, _sum = {} }) => {
+        const groups = new Map();
+        for (const row of rowsOf(modelKey).filter(candidate => matches(modelKey, candidate, where))) {
+          const key = JSON.stringify(by.map(field => row[field]));
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push(row);
+        }
+        return [...groups.values()].map(rows => ({
+          ...Object.fromEntries(by.map(field => [field, rows[0][field]])),
+          _sum: Object.fromEntries(Object.keys(_sum).map(field => [
+            field,
+            rows.reduce((total, row) => (total === null ? row[field] : total + row[field]), null),
+          ])),
+        }));
+      },
+    };
+  }
+
+  const prisma = { tables, schema };
+
+  for (const key of Object.keys(schema)) {
+    prisma[key] = delegate(key);
+  }
+
+  prisma.$queryRaw = jest.fn(async () => []);
+  prisma.$executeRaw = jest.fn(async () => 0);
+  prisma.$connect = jest.fn(async () => {});
+  prisma.$disconnect = jest.fn(async () => {});
+
+  let transactionQueue = Promise.resolve();
+
+  prisma.$transaction = async (work) => {
+    if (Array.isArray(work)) {
+      return prisma.$transaction(async () => {
+        const results = [];
+        for (const operation of work) results.push(await operation);
+        return results;
+      });
+    }
+
+    // One transaction at a time, so a rollback can't undo another's writes
+    const run = transactionQueue.then(async () => {
+      // structuredClone keeps Dates, BigInts and Buffers
+      const snapshot = structuredClone(tables);
+      const savedSequences = { ...sequences };
+      const tx = Object.create(prisma);
+      tx.$transaction = async (inner) => (Array.isArray(inner) ? Promise.all(inner) : inner(tx));
+      try {
+        return await work(tx);
+      } catch (err) {
+        for (const key of Object.keys(tables)) tables[key] = snapshot[key];
+        Object.assign(sequences, savedSequences);
+        throw err;
+      }
+    });
+    transactionQueue = run.catch(() => {});
+    return run;
+  };
+
+  /**
+   * Empty every table (for beforeEach).
+   */
+  prisma.reset = () => {
+    for (const key of Object.keys(tables)) {
+      tables[key] = [];
+      sequences[key] = 0;
+    }
+  };
+
+  return prisma;
+}
+
+// ============================================
+// @prisma/client
+// ============================================
+
+/**
+ * Apply a query extension ($allModels.$allOperations) to a client,
+ * including the clients its interactive transactions receive.
+ *
+ * @param {object} client - Fake client or transaction client
+ * @param {object} extension - As passed to Prisma.defineExtension
+ * @returns {object} Extended client (reads through to client)
+ */
+function extendClient(client, extension) {
+  const handler = extension.query.$allModels.$allOperations;
+  const extended = Object.create(client);
+
+  for (const [key, model] of Object.entries(client.schema)) {
+    const delegate = client[key];
+    extended[key] = Object.fromEntries(Object.keys(delegate).map(operation => [
+      operation,
+      (args) => handler({
+        model: model.name,
+        operation,
+        args,
+        query: (queryArgs) => delegate[operation](queryArgs),
+      }),
+    ]));
+  }
+
+  extended.$transaction = (work) => client.$transaction(
+    Array.isArray(work) ? work : (tx) => work(extendClient(tx, extension))
+  );
+
+  return extended;
+}
+
+/**
+ * Stand-in for the @prisma/client module: PrismaClient constructs a fake
+ * client, Prisma.dmmf describes schema.prisma, and $extends applies query
+ * extensions.
+ *
+ * @returns {object} { PrismaClient, Prisma }
+ */
+function createFakePrismaModule() {
+  const schema = loadSchema();
+
+  class PrismaClient {
+    constructor() {
+      const client = createFakePrisma();
+      client.$extends = (extension) => extendClient(client, extension);
+      return client;
+    }
+  }
+
+  const models = Object.values(schema).map(model => ({
+    name: model.name,
+    fields: [
+      ...model.fields.map(field => ({ name: field, kind: 'scalar' })),
+      ...Object.entries(model.relations).map(([field, relation]) => ({ name: field, kind: 'object', type: relation.type })),
+    ],
+  }));
+
+  return {
+    PrismaClient,
+    Prisma: {
+      dmmf: { datamodel: { models } },
+      defineExtension: extension => extension,
+    },
+  };
+}
+
+module.exports = { createFakePrisma, createFakePrismaModule };
@@ -0,0 +1,78 @@
+/**
+ * tests/services/adminService.test.js
+ *
+ * Admin login: the challenge token from the password step completes one
+ * login and allows MFA_CHALLENGE_MAX_ATTEMPTS codes, as for parents.
+ */
+
+jest.mock('../../src/config/db', () => ({
+  prisma: require('../helpers/fakePrisma').createFakePrisma(),
+}));
+jest.mock('../../src/services/auditService');
+
+// Below the admin lockout, so the challenge limit is what stops guessing
+process.env.MFA_CHALLENGE_MAX_ATTEMPTS = '3';
+
+const bcrypt = require('bcrypt');
+const { prisma } = require('../../src/config/db');
+const adminService = require('../../src/services/adminService');
+const totp = require('../../src/utils/totp');
+
+const EMAIL = 'admin@example.com';
+const PASSWORD = 'Admin-Password-9';
+
+let secret;
+
+/** Code for the given step offset (each code is accepted once). */
+function codeAt(offset) {
+  return totp.generateCode(secret, totp.getTimeStep() + offset);
+}
+
+beforeEach(async () => {
+  prisma.reset();
+  jest.clearAllMocks();
+
+  secret = totp.generateSecret();
+  await prisma.admin.create({
+    data: { email: EMAIL, password: await bcrypt.hash(PASSWORD, 4), fullName: 'Ada Admin', totpSecret: secret },
+  });
+});
+
+describe('admin login', () => {
+  test('always asks for the authenticator code', async () => {
+    await expect(adminService.loginAdmin(EMAIL, PASSWORD))
+      .resolves.toEqual({ mfaRequired: true, mfaToken: expect.any(String), expiresIn: expect.any(Number) });
+    expect(prisma.tables.mfaChallenge).toHaveLength(1);
+  });
+
+  test('completes once per challenge', async () => {
+    const { mfaToken } = await adminService.loginAdmin(EMAIL, PASSWORD);
+
+    await expect(adminService.completeAdminLogin(mfaToken, codeAt(0)))
+      .resolves.toMatchObject({ admin: { email: EMAIL }, accessToken: expect.any(String) });
+
+    await expect(adminService.completeAdminLogin(mfaToken, codeAt(1)))
+      .rejects.toMatchObject({ code: 'INVALID_MFA_TOKEN' });
+  });
+
+  test('stops accepting codes once the challenge is out of attempts', async () => {
+    const { mfaToken } = await adminService.loginAdmin(EMAIL, PASSWORD);
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await expect(adminService.completeAdminLogin(mfaToken, '000000'))
+        .rejects.toMatchObject({ code: 'INVALID_MFA_CODE' });
+    }
+
+    await expect(adminService.completeAdminLogin(mfaToken, codeAt(0)))
+      .rejects.toMatchObject({ code: 'INVALID_MFA_TOKEN' });
+  });
+
+  test('refuses a tampered challenge token', async () => {
+    const { mfaToken } = await adminService.loginAdmin(EMAIL, PASSWORD);
+    const [header, , signature] = mfaToken.split('.');
+    const forged = `${header}.${Buffer.from(JSON.stringify({ sub: '1' })).toString('base64url')}.${signature}`;
+
+    await expect(adminService.completeAdminLogin(forged, codeAt(0)))
+      .rejects.toMatchObject({ code: 'INVALID_MFA_TOKEN' });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * tests/services/auditChainService.test.js
+ *
+ * Audit rows form one hash chain; verification finds the first row that
+ * was edited, deleted or inserted.
+ */
+
+jest.mock('../../src/config/db', () => ({
+  prisma: require('../helpers/fakePrisma').createFakePrisma(),
+}));
+
+const { prisma } = require('../../src/config/db');
+const auditChainService = require('../../src/services/auditChainService');
+
+const { GENESIS_HASH, CHAIN_BREAK_REASONS } = auditChainService;
+
+function entry(action, overrides = {}) {
+  return {
+    timestamp: new Date().toISOString(),
+    action,
+    userId: 1,
+    adminId: null,
+    resourceType: 'PARENT',
+    resourceId: 1,
+    severity: 'LOW',
+    result: 'SUCCESS',
+    ipAddress: '203.0.113.7',
+    userAgent: 'jest',
+    requestId: null,
+    details: { source: 'test' },
+    environment: 'development',
+    ...overrides,
+  };
+}
+
+async function appendAll(actions) {
+  // Not awaited one by one: the append queue keeps call order
+  return Promise.all(actions.map(action => auditChainService.appendAuditEntry(entry(action))));
+}
+
+beforeEach(() => {
+  prisma.reset();
+  prisma.$executeRaw.mockClear();
+});
+
+describe('appendAuditEntry', () => {
+  test('links every row to the one before it', async () => {
+    await appendAll(['LOGIN_SUCCESS', 'LOGOUT', 'PASSWORD_CHANGED']);
+
+    const rows = prisma.tables.auditLog;
+    expect(rows.map(row => row.action)).toEqual(['LOGIN_SUCCESS', 'LOGOUT', 'PASSWORD_CHANGED']);
+    expect(rows[0].prevHash).toBe(GENESIS_HASH);
+    expect(rows[1].prevHash).toBe(rows[0].hash);
+    expect(rows[2].prevHash).toBe(rows[1].hash);
+  });
+
+  test('takes the advisory lock for every append', async () => {
+    await appendAll(['LOGIN_SUCCESS', 'LOGOUT']);
+
+    expect(prisma.$executeRaw).toHaveBeenCalledTimes(2);
+    expect(prisma.$executeRaw.mock.calls[0][0].join('?')).toContain('pg_advisory_xact_lock');
+  });
+
+  test('keeps writing after a failed append', async () => {
+    prisma.$executeRaw.mockRejectedValueOnce(new Error('connection lost'));
+
+    const results = await Promise.allSettled([
+      auditChainService.appendAuditEntry(entry('LOGIN_SUCCESS')),
+      auditChainService.appendAuditEntry(entry('LOGOUT')),
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['rejected', 'fulfilled']);
+    expect(prisma.tables.auditLog).toHaveLength(1);
+    await expect(auditChainService.verifyAuditChain()).resolves.toMatchObject({ valid: true, checkedCount: 1 });
+  });
+});
+
+describe('computeEntryHash', () => {
+  test('does not depend on key order in details', () => {
+    const a = auditChainService.computeEntryHash(GENESIS_HASH, entry('X', { details: { a: 1, b: { c: 2, d: 3 } } }));
+    const b = auditChainService.computeEntryHash(GENESIS_HASH, entry('X', { details: { b: { d: 3, c: 2 }, a: 1 } }));
+
+    expect(a).toBe(b);
+  });
+
+  test('hashes a row read back (Date timestamp) like the entry written', () => {
+    const written = entry('X');
+
+    expect(auditChainService.computeEntryHash(GENESIS_HASH, { ...written, timestamp: new Date(written.timestamp) }))
+      .toBe(auditChainService.computeEntryHash(GENESIS_HASH, written));
+  });
+});
+
+describe('verifyAuditChain', () => {
+  test('accepts an intact chain across batches', async () => {
+    await appendAll(['A', 'B', 'C', 'D', 'E']);
+    const last = prisma.tables.auditLog[4];
+
+    await expect(auditChainService.verifyAuditChain({ batchSize: 2 })).resolves.toEqual({
+      valid: true,
+      checkedCount: 5,
+      sealedCount: 0,
+      head: { id: last.id, hash: last.hash },
+    });
+  });
+
+  test('accepts an empty chain', async () => {
+    await expect(auditChainService.verifyAuditChain()).resolves.toMatchObject({ valid: true, head: null });
+  });
+
+  test('finds a row edited in place', async () => {
+    await appendAll(['A', 'B', 'C']);
+    const [first, second] = prisma.tables.auditLog;
+    second.details = { source: 'forged' };
+
+    const result = await auditChainService.verifyAuditChain();
+
+    expect(result).toMatchObject({
+      valid: false,
+      checkedCount: 1,
+      lastValid: { id: first.id, hash: first.hash },
+      brokenAt: { id: second.id, reason: CHAIN_BREAK_REASONS.HASH_MISMATCH },
+    });
+  });
+
+  test('finds a deleted row', async () => {
+    await appendAll(['A', 'B', 'C']);
+    const [, second, third] = prisma.tables.auditLog;
+    await prisma.auditLog.delete({ where: { id: second.id } });
+
+    const result = await auditChainService.verifyAuditChain();
+
+    expect(result.brokenAt).toEqual({
+      id: third.id,
+      reason: CHAIN_BREAK_REASONS.PREV_HASH_MISMATCH,
+      expected: prisma.tables.auditLog[0].hash,
+      actual: second.hash,
+    });
+  });
+
+  test('finds a row inserted in the middle, even with a correct hash of its own', async () => {
+    await appendAll(['A', 'B']);
+    const [first] = prisma.tables.auditLog;
+    const forged = entry('FORGED');
+    prisma.tables.auditLog.splice(1, 0, {
+      ...forged,
+      id: first.id + 0.5, // Sorts between the two real rows
+      timestamp: new Date(forged.timestamp),
+      archiveId: null,
+      sealedAt: null,
+      prevHash: first.hash,
+      hash: auditChainService.computeEntryHash(first.hash, forged),
+    });
+
+    const result = await auditChainService.verifyAuditChain();
+
+    expect(result.brokenAt).toMatchObject({
+      id: prisma.tables.auditLog[2].id,
+      reason: CHAIN_BREAK_REASONS.PREV_HASH_MISMATCH,
+    });
+  });
+
+  test('finds a row marked sealed without an archive to vouch for it', async () => {
+    await appendAll(['A', 'B']);
+    const [, second] = prisma.tables.auditLog;
+    second.action = 'EDITED';
+    second.sealedAt = new Date();
+
+    const result = await auditChainService.verifyAuditChain();
+
+    expect(result.brokenAt).toMatchObject({ id: second.id, reason: CHAIN_BREAK_REASONS.NOT_IN_ARCHIVE });
+  });
+
+  test('starts from an anchor once the oldest rows are gone', async () => {
+    await appendAll(['A', 'B', 'C']);
+    const [first] = prisma.tables.auditLog;
+    await prisma.auditLog.delete({ where: { id: first.id } });
+
+    await expect(auditChainService.verifyAuditChain()).resolves.toMatchObject({ valid: false });
+    await expect(auditChainService.verifyAuditChain({ anchorHash: first.hash }))
+      .resolves.toMatchObject({ valid: true, checkedCount: 2 });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * tests/services/authService.test.js
+ *
+ * Refresh token rotation: every refresh retires the presented token, and
+ * replaying a retired one revokes the whole session.
+ */
+
+jest.mock('../../src/config/db', () => ({
+  prisma: require('../helpers/fakePrisma').createFakePrisma(),
+}));
+jest.mock('../../src/services/auditService');
+
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../../src/config/db');
+const auditService = require('../../src/services/auditService');
+const authService = require('../../src/services/authService');
+const tokenDenylistService = require('../../src/services/tokenDenylistService');
+
+const EMAIL = 'parent@example.com';
+const PASSWORD = 'Correct-Horse-9';
+
+async function signIn() {
+  await prisma.parent.create({
+    data: {
+      email: EMAIL,
+      password: await bcrypt.hash(PASSWORD, 4),
+      fullName: 'Pat Parent',
+    },
+  });
+  return authService.loginParent(EMAIL, PASSWORD);
+}
+
+beforeEach(() => {
+  prisma.reset();
+  jest.clearAllMocks();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('refreshAccessToken', () => {
+  test('rotates the refresh token on every refresh', async () => {
+    const login = await signIn();
+
+    const first = await authService.refreshAccessToken(login.refreshToken);
+    const second = await authService.refreshAccessToken(first.refreshToken);
+
+    expect(first.refreshToken).not.toBe(login.refreshToken);
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect(jwt.decode(second.accessToken).sid).toBe(jwt.decode(login.accessToken).sid);
+
+    const [original, rotated] = prisma.tables.refreshToken;
+    expect(original).toMatchObject({ revokedReason: 'ROTATED', replacedById: rotated.id });
+  });
+
+  test('revokes the session when a rotated token is replayed', async () => {
+    const login = await signIn();
+    const { sid } = jwt.decode(login.accessToken);
+    const latest = await authService.refreshAccessToken(login.refreshToken);
+
+    await expect(authService.refreshAccessToken(login.refreshToken))
+      .rejects.toMatchObject({ code: 'TOKEN_REUSE_DETECTED' });
+
+    // The legitimate client's newest token dies with the family
+    await expect(authService.refreshAccessToken(latest.refreshToken))
+      .rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+    expect(prisma.tables.session[0]).toMatchObject({ id: sid, revokedReason: 'REUSE_DETECTED' });
+    expect(prisma.tables.refreshToken.every(token => token.revokedAt)).toBe(true);
+    expect(await tokenDenylistService.isAccessTokenRevoked(jwt.decode(latest.accessToken))).toBe(true);
+    expect(auditService.logRefreshTokenReuse).toHaveBeenCalledWith(expect.any(Number), sid, 1);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Refresh token reuse detected'));
+  });
+
+  test('lets only one of two concurrent refreshes with the same token win', async () => {
+    const login = await signIn();
+
+    const results = await Promise.allSettled([
+      authService.refreshAccessToken(login.refreshToken),
+      authService.refreshAccessToken(login.refreshToken),
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.code).toBe('TOKEN_REUSE_DETECTED');
+    // The loser's freshly issued token was rolled back; the winner's was revoked with the session
+    expect(prisma.tables.refreshToken).toHaveLength(2);
+    expect(prisma.tables.session[0].revokedReason).toBe('REUSE_DETECTED');
+  });
+
+  test('does not accept an access token', async () => {
+    const login = await signIn();
+
+    await expect(authService.refreshAccessToken(login.accessToken))
+      .rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+  });
+
+  test('does not accept a token that was never stored', async () => {
+    const login = await signIn();
+    prisma.tables.refreshToken.length = 0;
+
+    await expect(authService.refreshAccessToken(login.refreshToken))
+      .rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+  });
+
+  test('does not accept a token revoked by logout', async () => {
+    const login = await signIn();
+    const { id, sid } = jwt.decode(login.accessToken);
+
+    await authService.logoutParent(id, sid);
+
+    await expect(authService.refreshAccessToken(login.refreshToken))
+      .rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+  });
+
+  test('does not refresh for a deactivated account', async () => {
+    const login = await signIn();
+    prisma.tables.parent[0].isActive = false;
+
+    await expect(authService.refreshAccessToken(login.refreshToken))
+      .rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+  });
+});
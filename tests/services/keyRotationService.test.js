@@ -0,0 +1,157 @@
+/**
+ * tests/services/keyRotationService.test.js
+ *
+ * Re-encryption moves stored values from an older key to the active one
+ * without changing what the application reads, and leaves values it
+ * can't (or mustn't) rewrite alone.
+ */
+
+jest.mock('@prisma/client', () => require('../helpers/fakePrisma').createFakePrismaModule());
+jest.mock('../../src/services/auditService');
+
+// Keyring after a rotation: v1 (ENCRYPTION_KEY) decrypt-only, v2 active
+process.env.ENCRYPTION_KEYS = `2:${'33'.repeat(32)}`;
+process.env.ENCRYPTION_ACTIVE_KEY_VERSION = '2';
+
+const { prisma, rawPrisma } = require('../../src/config/db');
+const auditService = require('../../src/services/auditService');
+const encryptionService = require('../../src/services/encryptionService');
+const keyRotationService = require('../../src/services/keyRotationService');
+
+const { FIELD_TYPES } = encryptionService;
+
+// encryptionService as it was before the rotation (v1 active)
+let beforeRotation;
+jest.isolateModules(() => {
+  const saved = process.env.ENCRYPTION_ACTIVE_KEY_VERSION;
+  process.env.ENCRYPTION_ACTIVE_KEY_VERSION = '1';
+  beforeRotation = require('../../src/services/encryptionService');
+  process.env.ENCRYPTION_ACTIVE_KEY_VERSION = saved;
+});
+
+const PHONE = '+254712345678';
+
+/** Parent row as written before the rotation (ciphertexts on v1). */
+async function createParentOnOldKey(email, phoneNumber = PHONE) {
+  return rawPrisma.parent.create({
+    data: {
+      email,
+      password: 'hash',
+      fullName: await beforeRotation.encryptField('Pat Parent', FIELD_TYPES.NAME),
+      phoneNumber: await beforeRotation.encryptField(phoneNumber, FIELD_TYPES.PHONE),
+      phoneNumberIndex: encryptionService.computeBlindIndex(phoneNumber, FIELD_TYPES.PHONE),
+    },
+  });
+}
+
+function storedParent(id) {
+  return rawPrisma.tables.parent.find(row => row.id === id);
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  rawPrisma.reset();
+  jest.clearAllMocks();
+});
+
+describe('reencryptAll', () => {
+  test('moves every value to the active key; the application reads the same values', async () => {
+    const parent = await createParentOnOldKey('a@example.com');
+    expect(storedParent(parent.id).phoneNumber).toMatch(/^v1:/);
+
+    const { activeKey, columns } = await keyRotationService.reencryptAll({ batchSize: 1 });
+
+    expect(activeKey).toBe('v2');
+    expect(columns.find(column => column.column === 'parent.phoneNumber'))
+      .toMatchObject({ total: 1, reencrypted: 1, failed: 0 });
+    expect(storedParent(parent.id).phoneNumber).toMatch(/^v2:/);
+    expect(storedParent(parent.id).fullName).toMatch(/^v2:/);
+    await expect(prisma.parent.findUnique({ where: { id: parent.id } }))
+      .resolves.toMatchObject({ phoneNumber: PHONE, fullName: 'Pat Parent' });
+  });
+
+  test('has nothing left to do after a complete run (resumable)', async () => {
+    await createParentOnOldKey('a@example.com');
+    await keyRotationService.reencryptAll();
+
+    const pending = await keyRotationService.countPendingReencryption();
+
+    expect(pending.every(column => column.pending === 0)).toBe(true);
+  });
+
+  test('leaves a value that fails to decrypt untouched, and reports it', async () => {
+    const intact = await createParentOnOldKey('a@example.com');
+    const tampered = await createParentOnOldKey('b@example.com', '+254722000000');
+    const stored = storedParent(tampered.id);
+    const payload = Buffer.from(stored.phoneNumber.slice(3), 'base64');
+    payload[payload.length - 1] ^= 0xff;
+    stored.phoneNumber = `v1:${payload.toString('base64')}`;
+    const tamperedValue = stored.phoneNumber;
+
+    const { columns } = await keyRotationService.reencryptAll();
+
+    expect(columns.find(column => column.column === 'parent.phoneNumber'))
+      .toMatchObject({ reencrypted: 1, failed: 1, failedIds: [tampered.id] });
+    expect(storedParent(tampered.id).phoneNumber).toBe(tamperedValue);
+    expect(storedParent(intact.id).phoneNumber).toMatch(/^v2:/);
+    expect(auditService.logDecryptionFailure).toHaveBeenCalledTimes(1);
+    expect(auditService.logReencryptionCompleted).toHaveBeenCalledWith('v2', columns, true);
+  });
+
+  test('does not overwrite a value changed while it was being re-encrypted', async () => {
+    const parent = await createParentOnOldKey('a@example.com');
+    const reencryptField = encryptionService.reencryptField;
+    let newValue;
+    jest.spyOn(encryptionService, 'reencryptField').mockImplementation(async (value, fieldType) => {
+      if (fieldType === FIELD_TYPES.PHONE && !newValue) {
+        // The parent changes their number mid-run (written on the active key)
+        await prisma.parent.update({ where: { id: parent.id }, data: { phoneNumber: '+254733000000' } });
+        newValue = storedParent(parent.id).phoneNumber;
+      }
+      return reencryptField(value, fieldType);
+    });
+
+    const { columns } = await keyRotationService.reencryptAll();
+
+    expect(columns.find(column => column.column === 'parent.phoneNumber')).toMatchObject({ reencrypted: 0, skipped: 1 });
+    expect(storedParent(parent.id).phoneNumber).toBe(newValue);
+    await expect(prisma.parent.findUnique({ where: { id: parent.id } }))
+      .resolves.toMatchObject({ phoneNumber: '+254733000000' });
+  });
+
+  test('leaves plaintext in a column being migrated to the encryption job', async () => {
+    const parent = await createParentOnOldKey('a@example.com');
+    storedParent(parent.id).fullName = 'v2: Jane';
+
+    await keyRotationService.reencryptAll();
+    expect(storedParent(parent.id).fullName).toBe('v2: Jane');
+
+    const { columns } = await keyRotationService.encryptPlaintextValues();
+    expect(columns.find(column => column.column === 'parent.fullName')).toMatchObject({ encrypted: 1 });
+    expect(encryptionService.isEncryptedValue(storedParent(parent.id).fullName)).toBe(true);
+    await expect(prisma.parent.findUnique({ where: { id: parent.id } }))
+      .resolves.toMatchObject({ fullName: 'v2: Jane' });
+  });
+});
+
+describe('keyring', () => {
+  test('still decrypts values on the old key before they are re-encrypted', async () => {
+    const parent = await createParentOnOldKey('a@example.com');
+
+    await expect(prisma.parent.findUnique({ where: { id: parent.id } }))
+      .resolves.toMatchObject({ phoneNumber: PHONE });
+  });
+
+  test('writes new values with the active key', async () => {
+    const parent = await prisma.parent.create({
+      data: { email: 'c@example.com', password: 'hash', fullName: 'Sam', phoneNumber: PHONE },
+    });
+
+    expect(storedParent(parent.id).phoneNumber).toMatch(/^v2:/);
+    expect(storedParent(parent.id).phoneNumberIndex)
+      .toBe(encryptionService.computeBlindIndex(PHONE, FIELD_TYPES.PHONE));
+  });
+});
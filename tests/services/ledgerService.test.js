@@ -0,0 +1,172 @@
+/**
+ * tests/services/ledgerService.test.js
+ *
+ * Postings keep Wallet.balance and the ledger in step; debits never
+ * overdraw (conditional decrement).
+ */
+
+jest.mock('../../src/config/db', () => ({
+  prisma: require('../helpers/fakePrisma').createFakePrisma(),
+}));
+jest.mock('../../src/services/auditService');
+
+const { prisma } = require('../../src/config/db');
+const auditService = require('../../src/services/auditService');
+const ledgerService = require('../../src/services/ledgerService');
+
+async function createWallet(balance = 0n) {
+  const wallet = await prisma.wallet.create({ data: { childId: 1 } });
+  if (balance > 0n) {
+    await ledgerService.recordDeposit({ walletId: wallet.id, amount: balance });
+  }
+  return wallet;
+}
+
+async function balanceOf(walletId) {
+  const wallet = await prisma.wallet.findUnique({ where: { id: walletId } });
+  return wallet.balance;
+}
+
+beforeEach(() => {
+  prisma.reset();
+  jest.clearAllMocks();
+});
+
+describe('recordDeposit', () => {
+  test('credits the wallet with a balanced transaction', async () => {
+    const wallet = await createWallet();
+
+    const transaction = await ledgerService.recordDeposit({
+      walletId: wallet.id,
+      amount: '10000',
+      reference: 'MPESA:QK1',
+      initiatedById: 7,
+    });
+
+    expect(transaction.balanceAfter).toBe(10000n);
+    expect(transaction.entries).toEqual([
+      expect.objectContaining({ account: 'EXTERNAL_FUNDING', direction: 'DEBIT', amount: 10000n, walletId: null }),
+      expect.objectContaining({ account: 'WALLET', direction: 'CREDIT', amount: 10000n, walletId: wallet.id }),
+    ]);
+    expect(await balanceOf(wallet.id)).toBe(10000n);
+    expect(await ledgerService.getLedgerBalance(wallet.id)).toBe(10000n);
+    expect(auditService.logWalletDeposit).toHaveBeenCalledWith(7, wallet.id, transaction.id, 10000n);
+  });
+
+  test('rejects a reference that was already posted', async () => {
+    const wallet = await createWallet();
+    await ledgerService.recordDeposit({ walletId: wallet.id, amount: 500, reference: 'MPESA:QK1' });
+
+    await expect(ledgerService.recordDeposit({ walletId: wallet.id, amount: 500, reference: 'MPESA:QK1' }))
+      .rejects.toMatchObject({ code: 'DUPLICATE_REFERENCE' });
+    expect(await balanceOf(wallet.id)).toBe(500n);
+    expect(prisma.tables.transaction).toHaveLength(1);
+  });
+
+  test.each([0, -5, 1.5, '12abc', Number.MAX_SAFE_INTEGER + 1])('rejects amount %p', async (amount) => {
+    const wallet = await createWallet();
+
+    await expect(ledgerService.recordDeposit({ walletId: wallet.id, amount }))
+      .rejects.toMatchObject({ code: 'INVALID_AMOUNT' });
+  });
+
+  test('leaves auditing to the caller inside its transaction', async () => {
+    const wallet = await createWallet();
+
+    await prisma.$transaction(tx => ledgerService.recordDeposit({ walletId: wallet.id, amount: 100 }, tx));
+
+    expect(auditService.logWalletDeposit).not.toHaveBeenCalled();
+  });
+});
+
+describe('recordWithdrawal', () => {
+  test('debits the wallet', async () => {
+    const wallet = await createWallet(1000n);
+
+    const transaction = await ledgerService.recordWithdrawal({ walletId: wallet.id, amount: 400 });
+
+    expect(transaction.balanceAfter).toBe(600n);
+    expect(await balanceOf(wallet.id)).toBe(600n);
+    expect(await ledgerService.getLedgerBalance(wallet.id)).toBe(600n);
+  });
+
+  test('can empty the wallet exactly', async () => {
+    const wallet = await createWallet(1000n);
+
+    await ledgerService.recordWithdrawal({ walletId: wallet.id, amount: 1000 });
+
+    expect(await balanceOf(wallet.id)).toBe(0n);
+  });
+
+  test('refuses to overdraw and writes nothing', async () => {
+    const wallet = await createWallet(1000n);
+
+    await expect(ledgerService.recordWithdrawal({ walletId: wallet.id, amount: 1001 }))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+    expect(await balanceOf(wallet.id)).toBe(1000n);
+    expect(prisma.tables.transaction).toHaveLength(1);
+    expect(auditService.logWalletWithdrawal).not.toHaveBeenCalled();
+  });
+
+  test('lets only one of two withdrawals that together exceed the balance through', async () => {
+    const wallet = await createWallet(100n);
+
+    const results = await Promise.allSettled([
+      ledgerService.recordWithdrawal({ walletId: wallet.id, amount: 60 }),
+      ledgerService.recordWithdrawal({ walletId: wallet.id, amount: 60 }),
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.code).toBe('INSUFFICIENT_FUNDS');
+    expect(await balanceOf(wallet.id)).toBe(40n);
+  });
+
+  test('reports a missing wallet', async () => {
+    await expect(ledgerService.recordWithdrawal({ walletId: 99, amount: 1 }))
+      .rejects.toMatchObject({ code: 'WALLET_NOT_FOUND' });
+  });
+});
+
+describe('postTransaction', () => {
+  test('rejects unbalanced entries', async () => {
+    const wallet = await createWallet();
+
+    await expect(ledgerService.postTransaction({
+      walletId: wallet.id,
+      type: 'ADJUSTMENT',
+      amount: 10n,
+      entries: [
+        { account: 'OPENING_BALANCE', direction: 'DEBIT', amount: 10n },
+        { account: 'WALLET', direction: 'CREDIT', amount: 9n, walletId: wallet.id },
+      ],
+    })).rejects.toMatchObject({ code: 'LEDGER_UNBALANCED' });
+    expect(await balanceOf(wallet.id)).toBe(0n);
+  });
+
+  test('rejects WALLET entries for another wallet', async () => {
+    const wallet = await createWallet();
+
+    await expect(ledgerService.postTransaction({
+      walletId: wallet.id,
+      type: 'ADJUSTMENT',
+      amount: 10n,
+      entries: [
+        { account: 'OPENING_BALANCE', direction: 'DEBIT', amount: 10n },
+        { account: 'WALLET', direction: 'CREDIT', amount: 10n, walletId: wallet.id + 1 },
+      ],
+    })).rejects.toMatchObject({ code: 'INVALID_ENTRY' });
+  });
+});
+
+describe('reconcileWallet', () => {
+  test('reports and repairs a drifted cached balance', async () => {
+    const wallet = await createWallet(500n);
+    await prisma.wallet.update({ where: { id: wallet.id }, data: { balance: 900n } });
+
+    const result = await ledgerService.reconcileWallet(wallet.id, { repair: true });
+
+    expect(result).toEqual({ walletId: wallet.id, storedBalance: 900n, ledgerBalance: 500n, inSync: false, repaired: true });
+    expect(await balanceOf(wallet.id)).toBe(500n);
+    expect(auditService.logWalletBalanceMismatch).toHaveBeenCalledWith(wallet.id, 900n, 500n, true);
+  });
+});
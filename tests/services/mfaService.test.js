@@ -0,0 +1,134 @@
+/**
+ * tests/services/mfaService.test.js
+ *
+ * Two-step login: the challenge token from the password step completes one
+ * login and allows MFA_CHALLENGE_MAX_ATTEMPTS second factors; TOTP codes
+ * and recovery codes work once.
+ */
+
+jest.mock('../../src/config/db', () => ({
+  prisma: require('../helpers/fakePrisma').createFakePrisma(),
+}));
+jest.mock('../../src/services/auditService');
+
+// Below the parent lockout (5), so the challenge limit is what stops guessing
+process.env.MFA_CHALLENGE_MAX_ATTEMPTS = '3';
+
+const bcrypt = require('bcrypt');
+const { prisma } = require('../../src/config/db');
+const authService = require('../../src/services/authService');
+const mfaService = require('../../src/services/mfaService');
+const totp = require('../../src/utils/totp');
+
+const EMAIL = 'parent@example.com';
+const PASSWORD = 'Correct-Horse-9';
+
+let secret;
+let recoveryCodes;
+
+/** Code for the given step offset (each code is accepted once). */
+function codeAt(offset) {
+  return totp.generateCode(secret, totp.getTimeStep() + offset);
+}
+
+beforeEach(async () => {
+  prisma.reset();
+  jest.clearAllMocks();
+
+  const parent = await prisma.parent.create({
+    data: { email: EMAIL, password: await bcrypt.hash(PASSWORD, 4), fullName: 'Pat Parent' },
+  });
+  ({ secret } = await mfaService.startTotpEnrollment(parent.id));
+  ({ recoveryCodes } = await mfaService.confirmTotpEnrollment(parent.id, codeAt(-1)));
+});
+
+describe('two-step login', () => {
+  test('asks for a second factor instead of issuing tokens', async () => {
+    const result = await authService.loginParent(EMAIL, PASSWORD);
+
+    expect(result).toEqual({ mfaRequired: true, mfaToken: expect.any(String), expiresIn: expect.any(Number) });
+    expect(prisma.tables.session).toHaveLength(0);
+  });
+
+  test('completes with an authenticator code and uses up the challenge', async () => {
+    const { mfaToken } = await authService.loginParent(EMAIL, PASSWORD);
+
+    const login = await authService.completeMfaLogin(mfaToken, { code: codeAt(0) });
+
+    expect(login).toMatchObject({ parent: { email: EMAIL }, accessToken: expect.any(String) });
+    expect(prisma.tables.mfaChallenge[0]).toMatchObject({ attempts: 1, usedAt: expect.any(Date) });
+  });
+
+  test('refuses to reuse a challenge that completed a login', async () => {
+    const { mfaToken } = await authService.loginParent(EMAIL, PASSWORD);
+    await authService.completeMfaLogin(mfaToken, { code: codeAt(0) });
+
+    await expect(authService.completeMfaLogin(mfaToken, { code: codeAt(1) }))
+      .rejects.toMatchObject({ code: 'INVALID_MFA_TOKEN' });
+    expect(prisma.tables.session).toHaveLength(1);
+  });
+
+  test('stops accepting codes once the challenge is out of attempts', async () => {
+    const { mfaToken } = await authService.loginParent(EMAIL, PASSWORD);
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await expect(authService.completeMfaLogin(mfaToken, { code: '000000' }))
+        .rejects.toMatchObject({ code: 'INVALID_MFA_CODE' });
+    }
+
+    await expect(authService.completeMfaLogin(mfaToken, { code: codeAt(0) }))
+      .rejects.toMatchObject({ code: 'INVALID_MFA_TOKEN' });
+    expect(prisma.tables.session).toHaveLength(0);
+  });
+
+  test('counts wrong codes against the account lockout', async () => {
+    const { mfaToken } = await authService.loginParent(EMAIL, PASSWORD);
+
+    await expect(authService.completeMfaLogin(mfaToken, { code: '000000' })).rejects.toThrow();
+
+    expect(prisma.tables.parent[0].failedLoginAttempts).toBe(1);
+  });
+
+  test('refuses an expired challenge', async () => {
+    const { mfaToken } = await authService.loginParent(EMAIL, PASSWORD);
+    prisma.tables.mfaChallenge[0].expiresAt = new Date(Date.now() - 1000);
+
+    await expect(authService.completeMfaLogin(mfaToken, { code: codeAt(0) }))
+      .rejects.toMatchObject({ code: 'INVALID_MFA_TOKEN' });
+  });
+
+  test('refuses a challenge token that was never issued', async () => {
+    const { mfaToken } = await authService.loginParent(EMAIL, PASSWORD);
+    prisma.tables.mfaChallenge.length = 0;
+
+    await expect(authService.completeMfaLogin(mfaToken, { code: codeAt(0) }))
+      .rejects.toMatchObject({ code: 'INVALID_MFA_TOKEN' });
+  });
+
+  test('refuses a tampered challenge token', async () => {
+    const { mfaToken } = await authService.loginParent(EMAIL, PASSWORD);
+
+    await expect(authService.completeMfaLogin(`${mfaToken}x`, { code: codeAt(0) }))
+      .rejects.toMatchObject({ code: 'INVALID_MFA_TOKEN' });
+  });
+});
+
+describe('second factors', () => {
+  test('accepts each authenticator code once', async () => {
+    const parentId = prisma.tables.parent[0].id;
+    const code = codeAt(0);
+
+    await expect(mfaService.verifySecondFactor(parentId, { code })).resolves.toBe('TOTP');
+    await expect(mfaService.verifySecondFactor(parentId, { code }))
+      .rejects.toMatchObject({ code: 'INVALID_MFA_CODE' });
+  });
+
+  test('accepts each recovery code once', async () => {
+    const parentId = prisma.tables.parent[0].id;
+    const [recoveryCode] = recoveryCodes;
+
+    await expect(mfaService.verifySecondFactor(parentId, { recoveryCode })).resolves.toBe('RECOVERY_CODE');
+    await expect(mfaService.verifySecondFactor(parentId, { recoveryCode }))
+      .rejects.toMatchObject({ code: 'INVALID_MFA_CODE' });
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * tests/services/paymentService.test.js
+ *
+ * STK push callbacks: a paid callback credits the wallet exactly once,
+ * whatever state the intent reached meanwhile; the rest settle it as
+ * CANCELLED or FAILED, or are rejected.
+ */
+
+jest.mock('../../src/config/db', () => ({
+  prisma: require('../helpers/fakePrisma').createFakePrisma(),
+}));
+jest.mock('../../src/services/auditService');
+
+const { prisma } = require('../../src/config/db');
+const auditService = require('../../src/services/auditService');
+const paymentService = require('../../src/services/paymentService');
+
+const REFERENCE = 'SBX7KQ2MZ9RD';
+const CHECKOUT_REQUEST_ID = 'ws_CO_191020261200001';
+
+let wallet;
+
+/** Intent as initiateDeposit leaves it (PROCESSING unless given). */
+async function createIntent(overrides = {}) {
+  return prisma.paymentIntent.create({
+    data: {
+      reference: REFERENCE,
+      walletId: wallet.id,
+      initiatedById: 7,
+      provider: 'simulator',
+      phoneNumber: '+254712345678',
+      amountKes: 100,
+      amountSats: 20000n,
+      status: 'PROCESSING',
+      merchantRequestId: '29115-34620561-1',
+      checkoutRequestId: CHECKOUT_REQUEST_ID,
+      expiresAt: new Date(Date.now() + 2 * 60 * 1000),
+      ...overrides,
+    },
+  });
+}
+
+function callback(resultCode, { amount = 100, receipt = 'QJK1ABC2DE', checkoutRequestId = CHECKOUT_REQUEST_ID } = {}) {
+  return {
+    Body: {
+      stkCallback: {
+        MerchantRequestID: '29115-34620561-1',
+        CheckoutRequestID: checkoutRequestId,
+        ResultCode: resultCode,
+        ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'Request cancelled by user',
+        ...(resultCode === 0 && {
+          CallbackMetadata: {
+            Item: [
+              { Name: 'Amount', Value: amount },
+              { Name: 'MpesaReceiptNumber', Value: receipt },
+              { Name: 'PhoneNumber', Value: 254712345678 },
+            ],
+          },
+        }),
+      },
+    },
+  };
+}
+
+const paid = (options) => callback(0, options);
+
+function storedIntent() {
+  return prisma.tables.paymentIntent[0];
+}
+
+function balance() {
+  return prisma.tables.wallet[0].balance;
+}
+
+beforeEach(async () => {
+  prisma.reset();
+  jest.clearAllMocks();
+  // SELECT ... FOR UPDATE: the row as it is now
+  prisma.$queryRaw.mockImplementation(async (strings, id) => [
+    { ...prisma.tables.paymentIntent.find(row => row.id === id) },
+  ]);
+  wallet = await prisma.wallet.create({ data: { childId: 1 } });
+});
+
+describe('paid callbacks', () => {
+  test('credit the wallet once and settle the intent', async () => {
+    await createIntent();
+
+    await expect(paymentService.handleStkCallback(REFERENCE, paid()))
+      .resolves.toEqual({ accepted: true, status: 'SUCCEEDED' });
+
+    expect(balance()).toBe(20000n);
+    expect(prisma.tables.transaction).toEqual([
+      expect.objectContaining({ reference: 'MPESA:QJK1ABC2DE', walletId: wallet.id }),
+    ]);
+    expect(storedIntent()).toMatchObject({
+      status: 'SUCCEEDED',
+      mpesaReceiptNumber: 'QJK1ABC2DE',
+      transactionId: prisma.tables.transaction[0].id,
+      completedAt: expect.any(Date),
+    });
+    expect(auditService.logWalletDeposit).toHaveBeenCalledTimes(1);
+    expect(auditService.logPaymentCompleted).toHaveBeenCalledWith(expect.objectContaining({ status: 'SUCCEEDED' }));
+  });
+
+  test('report a retried callback as a duplicate without crediting again', async () => {
+    await createIntent();
+    await paymentService.handleStkCallback(REFERENCE, paid());
+
+    await expect(paymentService.handleStkCallback(REFERENCE, paid()))
+      .resolves.toEqual({ accepted: true, duplicate: true, status: 'SUCCEEDED' });
+
+    expect(balance()).toBe(20000n);
+    expect(prisma.tables.transaction).toHaveLength(1);
+  });
+
+  test('credit once when two deliveries of the callback arrive together', async () => {
+    await createIntent();
+
+    const results = await Promise.all([
+      paymentService.handleStkCallback(REFERENCE, paid()),
+      paymentService.handleStkCallback(REFERENCE, paid()),
+    ]);
+
+    expect(results).toEqual(expect.arrayContaining([
+      { accepted: true, status: 'SUCCEEDED' },
+      { accepted: true, duplicate: true, status: 'SUCCEEDED' },
+    ]));
+    expect(balance()).toBe(20000n);
+  });
+
+  test('settle an intent still PENDING (the callback beat the push response)', async () => {
+    await createIntent({ status: 'PENDING', merchantRequestId: null, checkoutRequestId: null });
+
+    await expect(paymentService.handleStkCallback(REFERENCE, paid()))
+      .resolves.toEqual({ accepted: true, status: 'SUCCEEDED' });
+
+    expect(storedIntent()).toMatchObject({ status: 'SUCCEEDED', checkoutRequestId: CHECKOUT_REQUEST_ID });
+    expect(balance()).toBe(20000n);
+  });
+
+  test('credit from the locked row when the push response lands mid-callback', async () => {
+    const intent = await createIntent({ status: 'PENDING', merchantRequestId: null, checkoutRequestId: null });
+    const findUnique = prisma.paymentIntent.findUnique;
+    jest.spyOn(prisma.paymentIntent, 'findUnique').mockImplementationOnce(async (args) => {
+      const read = await findUnique(args);
+      // initiateDeposit, Step 4
+      await prisma.paymentIntent.update({
+        where: { id: intent.id },
+        data: { status: 'PROCESSING', checkoutRequestId: CHECKOUT_REQUEST_ID },
+      });
+      return read;
+    });
+
+    await expect(paymentService.handleStkCallback(REFERENCE, paid()))
+      .resolves.toEqual({ accepted: true, status: 'SUCCEEDED' });
+
+    expect(storedIntent().status).toBe('SUCCEEDED');
+    expect(balance()).toBe(20000n);
+  });
+
+  test('settle an intent the status poll marked EXPIRED', async () => {
+    await createIntent({ status: 'EXPIRED' });
+
+    await expect(paymentService.handleStkCallback(REFERENCE, paid()))
+      .resolves.toEqual({ accepted: true, status: 'SUCCEEDED' });
+
+    expect(balance()).toBe(20000n);
+  });
+
+  test('do not credit an amount other than the one requested', async () => {
+    await createIntent();
+
+    await expect(paymentService.handleStkCallback(REFERENCE, paid({ amount: 1 })))
+      .resolves.toEqual({ accepted: false, reason: 'AMOUNT_MISMATCH' });
+
+    expect(storedIntent()).toMatchObject({ status: 'FAILED', resultDesc: expect.stringContaining('KES 1') });
+    expect(balance()).toBe(0n);
+    expect(auditService.logPaymentCallbackRejected)
+      .toHaveBeenCalledWith('AMOUNT_MISMATCH', expect.objectContaining({ paidKes: 1 }), undefined, true);
+  });
+
+  test('do not credit a receipt already credited for another intent', async () => {
+    await createIntent();
+    await paymentService.handleStkCallback(REFERENCE, paid());
+    prisma.tables.paymentIntent.length = 0;
+    await createIntent({ reference: 'SBX22222222', checkoutRequestId: 'ws_CO_2' });
+
+    await expect(paymentService.handleStkCallback('SBX22222222', paid({ checkoutRequestId: 'ws_CO_2' })))
+      .resolves.toEqual({ accepted: false, reason: 'DUPLICATE_RECEIPT' });
+
+    expect(storedIntent().status).toBe('PROCESSING');
+    expect(balance()).toBe(20000n);
+  });
+});
+
+describe('unpaid callbacks', () => {
+  test('mark the intent CANCELLED when the parent dismissed the prompt', async () => {
+    await createIntent();
+
+    await expect(paymentService.handleStkCallback(REFERENCE, callback(1032)))
+      .resolves.toEqual({ accepted: true, status: 'CANCELLED' });
+
+    expect(storedIntent()).toMatchObject({ status: 'CANCELLED', resultCode: 1032 });
+  });
+
+  test('mark the intent FAILED for any other result', async () => {
+    await createIntent();
+
+    await expect(paymentService.handleStkCallback(REFERENCE, callback(2001)))
+      .resolves.toEqual({ accepted: true, status: 'FAILED' });
+  });
+
+  test('settle the intent when the push response lands mid-callback', async () => {
+    const intent = await createIntent({ status: 'PENDING', merchantRequestId: null, checkoutRequestId: null });
+    const findUnique = prisma.paymentIntent.findUnique;
+    jest.spyOn(prisma.paymentIntent, 'findUnique').mockImplementationOnce(async (args) => {
+      const read = await findUnique(args);
+      await prisma.paymentIntent.update({
+        where: { id: intent.id },
+        data: { status: 'PROCESSING', checkoutRequestId: CHECKOUT_REQUEST_ID },
+      });
+      return read;
+    });
+
+    await expect(paymentService.handleStkCallback(REFERENCE, callback(1032)))
+      .resolves.toEqual({ accepted: true, status: 'CANCELLED' });
+
+    expect(storedIntent().status).toBe('CANCELLED');
+  });
+
+  test('leave a settled intent as it is', async () => {
+    await createIntent();
+    await paymentService.handleStkCallback(REFERENCE, paid());
+
+    await expect(paymentService.handleStkCallback(REFERENCE, callback(1032)))
+      .resolves.toEqual({ accepted: true, duplicate: true, status: 'SUCCEEDED' });
+
+    expect(storedIntent().status).toBe('SUCCEEDED');
+  });
+});
+
+describe('rejected callbacks', () => {
+  test('a body that is not an STK callback', async () => {
+    await expect(paymentService.handleStkCallback(REFERENCE, { Body: {} }))
+      .resolves.toEqual({ accepted: false, reason: 'MALFORMED' });
+  });
+
+  test('an unknown reference, flagged when money was taken', async () => {
+    await expect(paymentService.handleStkCallback(REFERENCE, paid()))
+      .resolves.toEqual({ accepted: false, reason: 'UNKNOWN_REFERENCE' });
+
+    expect(auditService.logPaymentCallbackRejected)
+      .toHaveBeenCalledWith('UNKNOWN_REFERENCE', expect.any(Object), undefined, true);
+  });
+
+  test('a CheckoutRequestID that is not the one issued for the intent', async () => {
+    await createIntent();
+
+    await expect(paymentService.handleStkCallback(REFERENCE, paid({ checkoutRequestId: 'ws_CO_other' })))
+      .resolves.toEqual({ accepted: false, reason: 'CHECKOUT_MISMATCH' });
+
+    expect(storedIntent().status).toBe('PROCESSING');
+    expect(balance()).toBe(0n);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * tests/services/tokenDenylistService.test.js
+ *
+ * Revoked access tokens stay rejected until they would have expired, in
+ * both built-in stores; an unreadable store fails closed.
+ */
+
+jest.mock('../../src/config/db', () => ({
+  prisma: require('../helpers/fakePrisma').createFakePrisma(),
+}));
+
+const crypto = require('crypto');
+const { prisma } = require('../../src/config/db');
+const env = require('../../src/config/env');
+const tokenDenylistService = require('../../src/services/tokenDenylistService');
+
+const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+function accessToken() {
+  return { jti: crypto.randomUUID(), sid: crypto.randomUUID() };
+}
+
+const configuredStore = env.tokenDenylistStore;
+
+afterEach(() => {
+  env.tokenDenylistStore = configuredStore;
+  prisma.reset();
+});
+
+describe.each(['memory', 'database'])('%s store', (store) => {
+  beforeEach(() => {
+    env.tokenDenylistStore = store;
+  });
+
+  test('rejects a token revoked by logout (jti)', async () => {
+    const token = accessToken();
+
+    await expect(tokenDenylistService.isAccessTokenRevoked(token)).resolves.toBe(false);
+    await expect(tokenDenylistService.revokeAccessToken({ jti: token.jti, expiresAt: inMinutes(5) }))
+      .resolves.toBe(true);
+
+    await expect(tokenDenylistService.isAccessTokenRevoked(token)).resolves.toBe(true);
+    await expect(tokenDenylistService.isAccessTokenRevoked(accessToken())).resolves.toBe(false);
+  });
+
+  test('rejects every token of a revoked session (sid)', async () => {
+    const token = accessToken();
+    const sibling = { jti: crypto.randomUUID(), sid: token.sid };
+
+    await tokenDenylistService.revokeSessionAccessTokens([token.sid], 'SESSION_REVOKED');
+
+    await expect(tokenDenylistService.isAccessTokenRevoked(token)).resolves.toBe(true);
+    await expect(tokenDenylistService.isAccessTokenRevoked(sibling)).resolves.toBe(true);
+  });
+
+  test('forgets an entry once the token has expired', async () => {
+    const token = accessToken();
+    await tokenDenylistService.revokeAccessToken({ jti: token.jti, expiresAt: inMinutes(5) });
+
+    const later = Date.now() + 6 * 60 * 1000;
+    jest.useFakeTimers({ now: later, doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      await expect(tokenDenylistService.isAccessTokenRevoked(token)).resolves.toBe(false);
+      // The memory store also holds the earlier tests' entries
+      expect(await tokenDenylistService.purgeExpired()).toBeGreaterThanOrEqual(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('skips tokens that are already expired or carry no jti', async () => {
+    await expect(tokenDenylistService.revokeAccessToken({ jti: crypto.randomUUID(), expiresAt: inMinutes(-1) }))
+      .resolves.toBe(false);
+    await expect(tokenDenylistService.revokeAccessToken({ expiresAt: inMinutes(5) }))
+      .resolves.toBe(false);
+  });
+});
+
+describe('database store', () => {
+  beforeEach(() => {
+    env.tokenDenylistStore = 'database';
+  });
+
+  test('is shared through the access_token_denylist table', async () => {
+    const token = accessToken();
+
+    await tokenDenylistService.revokeAccessToken({ jti: token.jti, expiresAt: inMinutes(5) });
+
+    expect(prisma.tables.accessTokenDenylist).toEqual([
+      expect.objectContaining({ key: `jti:${token.jti}`, reason: 'LOGOUT' }),
+    ]);
+  });
+
+  test('fails closed when the table can not be read', async () => {
+    jest.spyOn(prisma.accessTokenDenylist, 'findUnique').mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(tokenDenylistService.isAccessTokenRevoked(accessToken())).rejects.toThrow('connection lost');
+  });
+});
+
+describe('store selection', () => {
+  test('refuses an unknown store', async () => {
+    env.tokenDenylistStore = 'redis';
+
+    await expect(tokenDenylistService.isAccessTokenRevoked(accessToken()))
+      .rejects.toMatchObject({ code: 'DENYLIST_STORE_NOT_CONFIGURED' });
+  });
+
+  test('uses a registered store', async () => {
+    const added = [];
+    tokenDenylistService.registerDenylistStore('custom', {
+      async add(key) { added.push(key); },
+      async has(key) { return added.includes(key); },
+      async purgeExpired() { return 0; },
+    });
+    env.tokenDenylistStore = 'custom';
+    const token = accessToken();
+
+    await tokenDenylistService.revokeAccessToken({ jti: token.jti, expiresAt: inMinutes(5) });
+
+    expect(added).toEqual([`jti:${token.jti}`]);
+    await expect(tokenDenylistService.isAccessTokenRevoked(token)).resolves.toBe(true);
+  });
+
+  test('rejects a store missing a method', () => {
+    expect(() => tokenDenylistService.registerDenylistStore('broken', { add() {}, has() {} }))
+      .toThrow('must implement');
+  });
+});
+
+describe('production configuration', () => {
+  function loadEnv(overrides) {
+    const saved = { ...process.env };
+    process.env.NODE_ENV = 'production';
+    for (const [name, value] of Object.entries(overrides)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(process, 'exit').mockImplementation((code) => {
+      throw new Error(`process.exit(${code})`);
+    });
+    try {
+      let loaded;
+      jest.isolateModules(() => {
+        loaded = require('../../src/config/env');
+      });
+      return loaded;
+    } finally {
+      process.env = saved;
+      jest.restoreAllMocks();
+    }
+  }
+
+  test('defaults to the database store', () => {
+    expect(loadEnv({ TOKEN_DENYLIST_STORE: undefined }).tokenDenylistStore).toBe('database');
+  });
+
+  test('refuses the memory store', () => {
+    expect(() => loadEnv({ TOKEN_DENYLIST_STORE: 'memory' })).toThrow('process.exit(1)');
+  });
+});